@@ -28,23 +28,145 @@ const config = convict({
   ycloud: {
     apiKey: { format: String, default: '', env: 'YCLOUD_API_KEY' },
     baseUrl: { format: String, default: 'https://api.ycloud.com', env: 'YCLOUD_BASE_URL' },
-    whatsappNumber: { format: String, default: '', env: 'YCLOUD_WHATSAPP_NUMBER' }
+    whatsappNumber: { format: String, default: '', env: 'YCLOUD_WHATSAPP_NUMBER' },
+    // Outbound queue (services/whatsappOutbox.js, workers/whatsappOutbound.js)
+    outbox: {
+      enabled: { format: Boolean, default: true, env: 'WHATSAPP_OUTBOX_ENABLED' },
+      messagesPerSecond: { format: 'nat', default: 20, env: 'WHATSAPP_MESSAGES_PER_SECOND' },
+      concurrency: { format: 'nat', default: 5, env: 'WHATSAPP_OUTBOX_CONCURRENCY' }
+    },
+    // Approved template used when the 24-hour session window has closed.
+    // Its body must take a single {{1}} parameter; empty disables the fallback.
+    templates: {
+      fallback: { format: String, default: '', env: 'WHATSAPP_FALLBACK_TEMPLATE' },
+      language: { format: String, default: 'en', env: 'WHATSAPP_TEMPLATE_LANGUAGE' }
+    }
   },
 
   // AI configuration
   openai: { key: { format: String, default: '', env: 'OPENAI_API_KEY' } },
+
+  // AI provider registry (services/aiProviders.js)
+  ai: {
+    providerOrder: { format: String, default: 'together,mistral', env: 'AI_PROVIDER_ORDER' },
+    mock: { format: Boolean, default: false, env: 'AI_MOCK' },
+    // Per-task overrides: "cover_letter=together:Qwen/Qwen2.5-72B-Instruct-Turbo;intent=mistral:mistral-small"
+    taskModels: { format: String, default: '', env: 'AI_TASK_MODELS' },
+    breakerThreshold: { format: 'nat', default: 5, env: 'AI_BREAKER_THRESHOLD' },
+    breakerCooldownMs: { format: 'nat', default: 60000, env: 'AI_BREAKER_COOLDOWN_MS' },
+    togetherKey: { format: String, default: '', env: 'TOGETHER_API_KEY' },
+    mistralKey: { format: String, default: '', env: 'MISTRAL_API_KEY' }
+  },
+
+  // Semantic matching (job <-> CV embeddings)
+  embeddings: {
+    provider: { format: String, default: 'hashed-ngram', env: 'EMBEDDINGS_PROVIDER' },
+    dimensions: { format: 'nat', default: 1024, env: 'EMBEDDINGS_DIMENSIONS' },
+    minSimilarity: { format: Number, default: 0.25, env: 'EMBEDDINGS_MIN_SIMILARITY' }
+  },
+
+  // Local OCR for photographed and scanned CVs (services/ocr.js): Tesseract, ImageMagick and poppler's pdftoppm
+  ocr: {
+    enabled: { format: Boolean, default: true, env: 'OCR_ENABLED' },
+    language: { format: String, default: 'eng', env: 'OCR_LANGUAGE' },
+    minConfidence: { format: 'nat', default: 60, env: 'OCR_MIN_CONFIDENCE' },
+    maxPages: { format: 'nat', default: 3, env: 'OCR_MAX_PAGES' },
+    tesseractPath: { format: String, default: 'tesseract', env: 'TESSERACT_PATH' },
+    magickPath: { format: String, default: 'convert', env: 'IMAGEMAGICK_PATH' },
+    pdftoppmPath: { format: String, default: 'pdftoppm', env: 'PDFTOPPM_PATH' }
+  },
+
+  // Voice notes (services/speechToText.js). engine: whisper-cpp (local, offline), openai-compatible or none
+  speechToText: {
+    engine: { format: String, default: 'whisper-cpp', env: 'STT_ENGINE' },
+    language: { format: String, default: 'en', env: 'STT_LANGUAGE' },
+    maxDurationSeconds: { format: 'nat', default: 120, env: 'STT_MAX_DURATION_SECONDS' },
+    ffmpegPath: { format: String, default: 'ffmpeg', env: 'FFMPEG_PATH' },
+    whisperBinary: { format: String, default: 'whisper-cli', env: 'WHISPER_CPP_BINARY' },
+    whisperModel: { format: String, default: '', env: 'WHISPER_CPP_MODEL' },
+    whisperThreads: { format: 'nat', default: 2, env: 'WHISPER_CPP_THREADS' },
+    apiUrl: { format: String, default: 'https://api.openai.com/v1/audio/transcriptions', env: 'STT_API_URL' },
+    apiKey: { format: String, default: '', env: 'STT_API_KEY' },
+    apiModel: { format: String, default: 'whisper-1', env: 'STT_API_MODEL' }
+  },
   
   // Payment configuration
   paystack: {
     secret: { format: String, default: '', env: 'PAYSTACK_SECRET_KEY' },
     public: { format: String, default: '', env: 'PAYSTACK_PUBLIC_KEY' },
     amount: { format: Number, default: 50000, env: 'PAYSTACK_AMOUNT' },
+    // Bank for dedicated transfer accounts (services/paymentChannels.js): wema-bank or titan-paystack
+    dedicatedAccountBank: { format: String, default: 'wema-bank', env: 'PAYSTACK_DEDICATED_ACCOUNT_BANK' },
     webhookUrl: { format: String, default: 'http://localhost:3000/webhook/paystack', env: 'PAYSTACK_WEBHOOK_URL' }
   },
-  
+
+  // Delayed bot nudges such as payment reminders (services/scheduledMessages.js). Quiet hours
+  // are whole hours in WAT; capped nudges are limited per user over a rolling 24 hours.
+  scheduledMessages: {
+    quietHoursStart: { format: 'nat', default: 21, env: 'NUDGE_QUIET_HOURS_START' },
+    quietHoursEnd: { format: 'nat', default: 7, env: 'NUDGE_QUIET_HOURS_END' },
+    maxPerDay: { format: 'nat', default: 3, env: 'NUDGE_MAX_PER_DAY' },
+    minIntervalMinutes: { format: 'nat', default: 30, env: 'NUDGE_MIN_INTERVAL_MINUTES' }
+  },
+
+  // Wallet (services/wallet.js): applications cost applicationPriceKobo each from the wallet
+  // once application credits run out; top-ups must fall between the min and max
+  wallet: {
+    applicationPriceKobo: { format: 'nat', default: 10000, env: 'WALLET_APPLICATION_PRICE_KOBO' },
+    minTopUpKobo: { format: 'nat', default: 50000, env: 'WALLET_MIN_TOPUP_KOBO' },
+    maxTopUpKobo: { format: 'nat', default: 5000000, env: 'WALLET_MAX_TOPUP_KOBO' }
+  },
+
+  // Referral rewards (services/referrals.js): free applications for the referrer when a
+  // referred number makes its first payment, at most maxRewardsPer30Days per referrer
+  referrals: {
+    rewardCredits: { format: 'nat', default: 3, env: 'REFERRAL_REWARD_CREDITS' },
+    rewardValidityHours: { format: 'nat', default: 168, env: 'REFERRAL_REWARD_VALIDITY_HOURS' },
+    maxRewardsPer30Days: { format: 'nat', default: 20, env: 'REFERRAL_MAX_REWARDS_PER_30_DAYS' }
+  },
+
+  // Scheduled Paystack reconciliation (services/paymentReconciliation.js). source: paystack
+  // (the transactions API) or fixture (a saved transaction list, for local runs)
+  paymentReconciliation: {
+    source: { format: ['paystack', 'fixture'], default: 'paystack', env: 'PAYMENT_RECONCILE_SOURCE' },
+    fixturePath: { format: String, default: '', env: 'PAYMENT_RECONCILE_FIXTURE' },
+    lookbackHours: { format: 'nat', default: 48, env: 'PAYMENT_RECONCILE_LOOKBACK_HOURS' },
+    reportEmail: { format: String, default: 'admin@smartcvnaija.com.ng', env: 'ADMIN_EMAIL' }
+  },
+
   // Server configuration
   baseUrl: { format: String, default: 'http://localhost:3000', env: 'BASE_URL' },
-  
+
+  // Signed recruiter links for application status updates
+  applicationStatus: {
+    linkSecret: { format: String, default: '', env: 'APPLICATION_LINK_SECRET' },
+    linkTtlDays: { format: 'nat', default: 30, env: 'APPLICATION_LINK_TTL_DAYS' }
+  },
+
+  // Open pixels and tracked links in recruiter emails (disabled when no secret is set).
+  // CV download links stop working cvLinkTtlDays after the email is sent.
+  emailTracking: {
+    secret: { format: String, default: '', env: 'EMAIL_TRACKING_SECRET' },
+    cvLinkTtlDays: { format: 'nat', default: 30, env: 'EMAIL_CV_LINK_TTL_DAYS' }
+  },
+
+  // Recruiter portal accounts. Login emails link to loginUrl?token=..., the portal
+  // page that POSTs the token to /api/recruiter/auth/verify (default: BASE_URL/recruiter/login)
+  recruiterPortal: {
+    loginUrl: { format: String, default: '', env: 'RECRUITER_LOGIN_URL' },
+    magicLinkTtlMinutes: { format: 'nat', default: 15, env: 'RECRUITER_MAGIC_LINK_TTL_MINUTES' },
+    sessionTtlDays: { format: 'nat', default: 30, env: 'RECRUITER_SESSION_TTL_DAYS' }
+  },
+
+  // Admin API (/api/admin). ownerEmails (comma-separated) can always log in with the
+  // admin role; everyone else has to be added by an admin.
+  adminPortal: {
+    loginUrl: { format: String, default: '', env: 'ADMIN_LOGIN_URL' },
+    ownerEmails: { format: String, default: '', env: 'ADMIN_OWNER_EMAILS' },
+    magicLinkTtlMinutes: { format: 'nat', default: 15, env: 'ADMIN_MAGIC_LINK_TTL_MINUTES' },
+    sessionTtlHours: { format: 'nat', default: 12, env: 'ADMIN_SESSION_TTL_HOURS' }
+  },
+
   // Email configuration
  smtp: {
     host: { format: String, default: 'smtp.zeptomail.com', env: 'SMTP_HOST' },
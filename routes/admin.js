@@ -0,0 +1,606 @@
+// routes/admin.js - Admin API (magic-link login, user lookup, credits, wallets and refunds, resends, bans, products, promo codes, payment reconciliation)
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const xss = require('xss');
+const { body, param, query, validationResult } = require('express-validator');
+const adminAccounts = require('../services/adminAccounts');
+const adminConsole = require('../services/adminConsole');
+const paymentReconciliation = require('../services/paymentReconciliation');
+const productCatalog = require('../services/productCatalog');
+const promoCodes = require('../services/promoCodes');
+const { requireAdmin } = require('../utils/adminAuth');
+const { isValidPromoCode, normalizeCode } = require('../utils/promos');
+const { normalizePhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    error: 'Too many login requests. Please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  }
+});
+
+function rejectInvalid(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input data',
+      details: errors.array()
+    });
+  }
+  next();
+}
+
+const validatePhone = param('phone').matches(/^\+?\d{7,15}$/).withMessage('Invalid phone number');
+
+const validateReason = body('reason')
+  .trim()
+  .isLength({ min: 3, max: 500 })
+  .withMessage('A reason of 3-500 characters is required')
+  .customSanitizer(value => xss(value, { whiteList: {} }));
+
+// ================================
+// AUTH
+// ================================
+
+/**
+ * Email a login link to an admin. Always answers the same way so accounts can't be enumerated.
+ */
+router.post('/auth/request-link',
+  loginLimiter,
+  body('email').trim().isEmail().withMessage('Invalid email address').normalizeEmail().isLength({ max: 100 }),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      await adminAccounts.requestMagicLink(req.body.email);
+
+      res.json({
+        success: true,
+        message: 'If this address has admin access, a login link is on its way.'
+      });
+    } catch (error) {
+      logger.error('Admin login link request error', { error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to send a login link. Please try again.' });
+    }
+  }
+);
+
+router.post('/auth/verify',
+  loginLimiter,
+  body('token').isString().isLength({ min: 20, max: 100 }),
+  rejectInvalid,
+  async (req, res) => {
+    const result = await adminAccounts.verifyMagicLink(req.body.token);
+
+    if (!result.success) {
+      return res.status(result.reason === 'error' ? 500 : 401).json({
+        success: false,
+        error: result.reason === 'error' ? 'Login failed. Please try again.' : 'This login link is invalid or has expired.'
+      });
+    }
+
+    res.json(result);
+  }
+);
+
+router.post('/auth/logout', requireAdmin(), async (req, res) => {
+  try {
+    await adminAccounts.logout(req.sessionToken);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Admin logout error', { adminId: req.admin.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to log out' });
+  }
+});
+
+router.get('/me', requireAdmin(), (req, res) => {
+  res.json({ success: true, admin: adminAccounts.toPublic(req.admin) });
+});
+
+// ================================
+// USERS
+// ================================
+
+router.get('/users',
+  requireAdmin('users:read'),
+  query('phone').matches(/^\+?\d{3,15}$/).withMessage('Search with at least 3 digits of the phone number'),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const users = await adminConsole.searchUsers(req.query.phone);
+      res.json({ success: true, users });
+    } catch (error) {
+      logger.error('Admin user search error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to search users' });
+    }
+  }
+);
+
+router.get('/users/:phone', requireAdmin('users:read'), validatePhone, rejectInvalid, async (req, res) => {
+  try {
+    const user = await adminConsole.getUser(req.params.phone);
+    res.json({ success: true, user });
+  } catch (error) {
+    logger.error('Admin user fetch error', { adminId: req.admin.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to load user' });
+  }
+});
+
+router.get('/users/:phone/applications',
+  requireAdmin('users:read'),
+  validatePhone,
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const applications = await adminConsole.listApplications(
+        normalizePhone(req.params.phone),
+        { limit: req.query.limit || 50 }
+      );
+      res.json({ success: true, applications });
+    } catch (error) {
+      logger.error('Admin application list error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to load applications' });
+    }
+  }
+);
+
+router.post('/users/:phone/applications/resend',
+  requireAdmin('users:support'),
+  validatePhone,
+  body('applicationIds').optional().isArray({ min: 1, max: 20 }).withMessage('applicationIds must be a list of up to 20 ids'),
+  body('applicationIds.*').optional().isString().isLength({ min: 1, max: 64 }),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const result = await adminConsole.resendApplications(req.admin, req.params.phone, req.body.applicationIds || null);
+
+      if (!result.success) {
+        return res.status(result.reason === 'nothing_to_resend' ? 404 : 409).json({
+          success: false,
+          error: result.reason === 'nothing_to_resend'
+            ? 'No failed applications to resend'
+            : 'The user has no CV on file to resend with'
+        });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Admin application resend error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to resend applications' });
+    }
+  }
+);
+
+// ================================
+// CREDITS AND REFUNDS
+// ================================
+
+router.post('/users/:phone/credits',
+  requireAdmin('billing:write'),
+  validatePhone,
+  body('count').isInt({ min: 1, max: 20 }).withMessage('Count must be between 1 and 20').toInt(),
+  body('hours').optional().isInt({ min: 1, max: 168 }).withMessage('Hours must be between 1 and 168').toInt(),
+  validateReason,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const { count, hours, reason } = req.body;
+      const usage = await adminConsole.grantCredits(req.admin, req.params.phone, { count, hours: hours || 24, reason });
+      res.json({ success: true, usage });
+    } catch (error) {
+      logger.error('Admin credit grant error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to add credits' });
+    }
+  }
+);
+
+router.get('/users/:phone/wallet',
+  requireAdmin('users:read'),
+  validatePhone,
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const summary = await adminConsole.getWallet(
+        normalizePhone(req.params.phone),
+        { limit: req.query.limit || 50 }
+      );
+      res.json({ success: true, wallet: summary });
+    } catch (error) {
+      logger.error('Admin wallet fetch error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to load wallet' });
+    }
+  }
+);
+
+/**
+ * Add (positive amountKobo) or remove (negative) wallet money, e.g. to make good a failed top-up
+ */
+router.post('/users/:phone/wallet/adjust',
+  requireAdmin('billing:write'),
+  validatePhone,
+  body('amountKobo').isInt({ min: -5000000, max: 5000000 }).not().equals('0')
+    .withMessage('Amount must be a non-zero number of kobo up to 5000000 either way').toInt(),
+  validateReason,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const result = await adminConsole.adjustWallet(req.admin, req.params.phone, {
+        amountKobo: req.body.amountKobo,
+        reason: req.body.reason
+      });
+
+      if (!result) {
+        return res.status(409).json({ success: false, error: 'The wallet balance is lower than that amount' });
+      }
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Admin wallet adjust error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to adjust wallet' });
+    }
+  }
+);
+
+router.post('/users/:phone/refund',
+  requireAdmin('billing:write'),
+  validatePhone,
+  validateReason,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const result = await adminConsole.refundPayment(req.admin, req.params.phone, { reason: req.body.reason });
+
+      if (!result.success) {
+        const errors = {
+          no_payment: [404, 'No payment found for this user'],
+          not_paid: [409, 'The last payment was not completed'],
+          already_refunded: [409, 'The last payment was already refunded'],
+          paystack_failed: [502, `Paystack refused the refund: ${result.error}`]
+        };
+        const [status, message] = errors[result.reason];
+        return res.status(status).json({ success: false, error: message });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Admin refund error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to refund payment' });
+    }
+  }
+);
+
+// ================================
+// BANS
+// ================================
+
+router.get('/bans',
+  requireAdmin('users:read'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const bans = await adminConsole.listBans({ limit: req.query.limit || 50, offset: req.query.offset || 0 });
+      res.json({ success: true, bans });
+    } catch (error) {
+      logger.error('Admin ban list error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to load bans' });
+    }
+  }
+);
+
+router.post('/users/:phone/ban',
+  requireAdmin('users:support'),
+  validatePhone,
+  validateReason,
+  body('days').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365').toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const ban = await adminConsole.banUser(req.admin, req.params.phone, {
+        reason: req.body.reason,
+        days: req.body.days || null
+      });
+      res.json({ success: true, ban });
+    } catch (error) {
+      logger.error('Admin ban error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to ban user' });
+    }
+  }
+);
+
+router.delete('/users/:phone/ban', requireAdmin('users:support'), validatePhone, rejectInvalid, async (req, res) => {
+  try {
+    const removed = await adminConsole.unbanUser(req.admin, req.params.phone);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'User is not banned' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Admin unban error', { adminId: req.admin.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to unban user' });
+  }
+});
+
+// ================================
+// PRODUCTS
+// ================================
+
+router.get('/products', requireAdmin('users:read'), async (req, res) => {
+  try {
+    const products = await productCatalog.listProducts({ includeInactive: true });
+    res.json({ success: true, products });
+  } catch (error) {
+    logger.error('Admin product list error', { adminId: req.admin.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to load products' });
+  }
+});
+
+/**
+ * Create or update a product. Checkouts already started keep their old price and credits.
+ */
+router.put('/products/:code',
+  requireAdmin('billing:write'),
+  param('code').custom(code => productCatalog.isValidCode(code))
+    .withMessage('Codes are 2-50 lower-case letters, digits and underscores'),
+  body('name').trim().isLength({ min: 1, max: 100 }).customSanitizer(value => xss(value, { whiteList: {} })),
+  body('kind').isIn(['bundle', 'subscription', 'promo']).withMessage('Kind must be bundle, subscription or promo'),
+  body('priceKobo').isInt({ min: 10000 }).withMessage('Price must be at least 10000 kobo').toInt(),
+  body('credits').isInt({ min: 1, max: 1000 }).withMessage('Credits must be between 1 and 1000').toInt(),
+  body('validityHours').isInt({ min: 1, max: 8760 }).withMessage('Validity must be between 1 and 8760 hours').toInt(),
+  body('active').optional().isBoolean().toBoolean(),
+  body('availableFrom').optional({ nullable: true }).isISO8601().toDate(),
+  body('availableUntil').optional({ nullable: true }).isISO8601().toDate(),
+  body('maxPerUser').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('sortOrder').optional().isInt().toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const product = await productCatalog.saveProduct(req.params.code, req.body);
+      await adminAccounts.audit(req.admin, 'products.save', null, { code: product.code, ...req.body });
+      res.json({ success: true, product });
+    } catch (error) {
+      logger.error('Admin product save error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to save product' });
+    }
+  }
+);
+
+// ================================
+// PROMO CODES
+// ================================
+
+router.get('/promo-codes',
+  requireAdmin('users:read'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const codes = await promoCodes.listCodes({ limit: req.query.limit || 50, offset: req.query.offset || 0 });
+      res.json({ success: true, codes });
+    } catch (error) {
+      logger.error('Admin promo list error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to load promo codes' });
+    }
+  }
+);
+
+/**
+ * Discount codes need percentOff or amountOffKobo; credit codes need freeCredits.
+ */
+router.post('/promo-codes',
+  requireAdmin('billing:write'),
+  body('code').customSanitizer(normalizeCode).custom(isValidPromoCode)
+    .withMessage('Codes are 3-30 letters, digits, dashes and underscores'),
+  body('kind').isIn(['discount', 'credits']).withMessage('Kind must be discount or credits'),
+  body('percentOff').optional({ nullable: true }).isInt({ min: 1, max: 90 }).withMessage('Percent off must be between 1 and 90').toInt(),
+  body('amountOffKobo').optional({ nullable: true }).isInt({ min: 100 }).withMessage('Amount off must be at least 100 kobo').toInt(),
+  body('productCodes').optional({ nullable: true }).isArray({ max: 20 }),
+  body('productCodes.*').custom(code => productCatalog.isValidCode(code)).withMessage('Unknown product code format'),
+  body('freeCredits').optional({ nullable: true }).isInt({ min: 1, max: 100 }).withMessage('Free credits must be between 1 and 100').toInt(),
+  body('freeCreditHours').optional({ nullable: true }).isInt({ min: 1, max: 8760 }).toInt(),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('maxPerUser').optional({ nullable: true }).isInt({ min: 1, max: 100 }).toInt(),
+  body('startsAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 255 })
+    .customSanitizer(value => value && xss(value, { whiteList: {} })),
+  body().custom(fields => fields.kind === 'credits'
+    ? Boolean(fields.freeCredits)
+    : Boolean(fields.percentOff || fields.amountOffKobo)
+  ).withMessage('Discount codes need percentOff or amountOffKobo; credit codes need freeCredits'),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const promo = await promoCodes.createCode(req.admin, req.body);
+      if (!promo) {
+        return res.status(409).json({ success: false, error: 'Code already exists' });
+      }
+      res.status(201).json({ success: true, promo });
+    } catch (error) {
+      logger.error('Admin promo create error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to create promo code' });
+    }
+  }
+);
+
+router.delete('/promo-codes/:code', requireAdmin('billing:write'), async (req, res) => {
+  try {
+    const disabled = await promoCodes.disableCode(req.admin, req.params.code);
+    if (!disabled) {
+      return res.status(404).json({ success: false, error: 'No active promo code with that name' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Admin promo disable error', { adminId: req.admin.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to disable promo code' });
+  }
+});
+
+// ================================
+// PAYMENT RECONCILIATION
+// ================================
+
+router.get('/payments/reconciliation',
+  requireAdmin('users:read'),
+  query('all').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const [runs, items] = await Promise.all([
+        paymentReconciliation.listRuns({ limit: 20 }),
+        paymentReconciliation.listItems({
+          open: !req.query.all,
+          limit: req.query.limit || 50,
+          offset: req.query.offset || 0
+        })
+      ]);
+      res.json({ success: true, runs, items });
+    } catch (error) {
+      logger.error('Admin reconciliation list error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to load reconciliation' });
+    }
+  }
+);
+
+router.post('/payments/reconciliation/run',
+  requireAdmin('billing:write'),
+  body('lookbackHours').optional().isInt({ min: 1, max: 720 }).withMessage('lookbackHours must be between 1 and 720').toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const summary = await paymentReconciliation.run(
+        req.body.lookbackHours ? { lookbackHours: req.body.lookbackHours } : {}
+      );
+      if (!summary) {
+        return res.status(409).json({ success: false, error: 'A reconciliation run is already in progress' });
+      }
+
+      await adminAccounts.audit(req.admin, 'payments.reconcile', null, {
+        runId: summary.runId,
+        credited: summary.credited,
+        flagged: summary.flagged
+      });
+      res.json({ success: true, summary });
+    } catch (error) {
+      logger.error('Admin reconciliation run error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to run reconciliation' });
+    }
+  }
+);
+
+router.post('/payments/reconciliation/items/:reference/resolve',
+  requireAdmin('billing:write'),
+  param('reference').isLength({ min: 1, max: 255 }),
+  body('note').trim().isLength({ min: 3, max: 500 }).withMessage('A note of 3-500 characters is required')
+    .customSanitizer(value => xss(value, { whiteList: {} })),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const item = await paymentReconciliation.resolveItem(req.params.reference, req.admin.email, req.body.note);
+      if (!item) {
+        return res.status(404).json({ success: false, error: 'No open item for this reference' });
+      }
+
+      await adminAccounts.audit(req.admin, 'payments.resolve', item.user_identifier, {
+        reference: item.reference,
+        outcome: item.outcome,
+        note: req.body.note
+      });
+      res.json({ success: true, item });
+    } catch (error) {
+      logger.error('Admin reconciliation resolve error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to resolve item' });
+    }
+  }
+);
+
+// ================================
+// ADMINS AND ACTION LOG
+// ================================
+
+router.get('/admins', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const admins = await adminAccounts.listAdmins();
+    res.json({ success: true, admins });
+  } catch (error) {
+    logger.error('Admin list error', { adminId: req.admin.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to load admins' });
+  }
+});
+
+router.post('/admins',
+  requireAdmin('admins:manage'),
+  body('email').trim().isEmail().withMessage('Invalid email address').normalizeEmail().isLength({ max: 100 }),
+  body('name').optional().trim().isLength({ max: 100 }).customSanitizer(value => xss(value, { whiteList: {} })),
+  body('role').isIn(adminAccounts.roles).withMessage(`Role must be one of: ${adminAccounts.roles.join(', ')}`),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const admin = await adminAccounts.saveAdmin(req.admin, req.body);
+      res.json({ success: true, admin });
+    } catch (error) {
+      logger.error('Admin save error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to save admin' });
+    }
+  }
+);
+
+router.delete('/admins/:adminId',
+  requireAdmin('admins:manage'),
+  param('adminId').isLength({ min: 1, max: 64 }),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const result = await adminAccounts.disableAdmin(req.admin, req.params.adminId);
+      if (!result.success) {
+        return res.status(result.reason === 'not_found' ? 404 : 403).json({
+          success: false,
+          error: result.reason === 'not_found' ? 'Admin not found' : 'This account cannot be disabled'
+        });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Admin disable error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to disable admin' });
+    }
+  }
+);
+
+router.get('/audit',
+  requireAdmin('admins:manage'),
+  query('target').optional().isLength({ min: 1, max: 255 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const entries = await adminAccounts.listAudit({
+        target: req.query.target || null,
+        limit: req.query.limit || 50,
+        offset: req.query.offset || 0
+      });
+      res.json({ success: true, entries });
+    } catch (error) {
+      logger.error('Admin audit log error', { adminId: req.admin.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to load the action log' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,241 @@
+// routes/recruiter.js - Recruiter portal API (magic-link login, job management, applicants)
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+const xss = require('xss');
+const { body, param, validationResult } = require('express-validator');
+const recruiterAccounts = require('../services/recruiterAccounts');
+const { requireRecruiter } = require('../utils/recruiterAuth');
+const { JOB_LOCATIONS, EXPERIENCE_LEVELS, JOB_CATEGORIES, DESCRIPTION_TAGS } = require('../utils/jobOptions');
+const logger = require('../utils/logger');
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    error: 'Too many login requests. Please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  }
+});
+
+function rejectInvalid(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid input data',
+      details: errors.array()
+    });
+  }
+  next();
+}
+
+const validateJobId = param('jobId').isLength({ min: 1, max: 64 }).withMessage('Invalid job id');
+
+const validateJobEdit = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Job title must be between 3-150 characters')
+    .matches(/^[a-zA-Z0-9\s\-&.,()\/]+$/)
+    .withMessage('Job title contains invalid characters')
+    .customSanitizer(value => xss(value)),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 50, max: 5000 })
+    .withMessage('Job description must be between 50-5000 characters')
+    .customSanitizer(value => xss(value, { whiteList: DESCRIPTION_TAGS })),
+  body('requirements')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Requirements must be between 10-2000 characters')
+    .customSanitizer(value => xss(value)),
+  body('salary')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Salary range too long')
+    .customSanitizer(value => xss(value)),
+  body('location').optional().trim().isIn(JOB_LOCATIONS).withMessage('Invalid location selected'),
+  body('experience').optional().isIn(EXPERIENCE_LEVELS).withMessage('Invalid experience level'),
+  body('category').optional().isIn(JOB_CATEGORIES).withMessage('Invalid job category')
+];
+
+// ================================
+// AUTH
+// ================================
+
+/**
+ * Email a login link. Always answers the same way so emails can't be enumerated.
+ */
+router.post('/auth/request-link',
+  loginLimiter,
+  [
+    body('email').trim().isEmail().withMessage('Invalid email address').normalizeEmail().isLength({ max: 100 }),
+    body('name').optional().trim().isLength({ max: 100 }).customSanitizer(value => xss(value, { whiteList: {} })),
+    body('company').optional().trim().isLength({ max: 100 }).customSanitizer(value => xss(value, { whiteList: {} }))
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    const { email, name, company } = req.body;
+    await recruiterAccounts.requestMagicLink(email, { name, company });
+
+    res.json({
+      success: true,
+      message: 'If the address is valid, a login link is on its way. Check your inbox.'
+    });
+  }
+);
+
+router.post('/auth/verify',
+  loginLimiter,
+  body('token').isString().isLength({ min: 20, max: 100 }),
+  rejectInvalid,
+  async (req, res) => {
+    const result = await recruiterAccounts.verifyMagicLink(req.body.token);
+
+    if (!result.success) {
+      return res.status(result.reason === 'error' ? 500 : 401).json({
+        success: false,
+        error: result.reason === 'error' ? 'Login failed. Please try again.' : 'This login link is invalid or has expired.'
+      });
+    }
+
+    res.json(result);
+  }
+);
+
+router.post('/auth/logout', requireRecruiter, async (req, res) => {
+  await recruiterAccounts.logout(req.sessionToken);
+  res.json({ success: true });
+});
+
+router.get('/me', requireRecruiter, (req, res) => {
+  res.json({ success: true, recruiter: recruiterAccounts.toPublic(req.recruiter) });
+});
+
+// ================================
+// JOBS
+// ================================
+
+router.get('/jobs', requireRecruiter, async (req, res) => {
+  try {
+    const jobs = await recruiterAccounts.listJobs(req.recruiter.id);
+    res.json({ success: true, jobs });
+  } catch (error) {
+    logger.error('Recruiter job list error', { recruiterId: req.recruiter.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to load jobs' });
+  }
+});
+
+router.get('/jobs/:jobId', requireRecruiter, validateJobId, rejectInvalid, async (req, res) => {
+  try {
+    const job = await recruiterAccounts.getJob(req.recruiter.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error('Recruiter job fetch error', { recruiterId: req.recruiter.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to load job' });
+  }
+});
+
+router.patch('/jobs/:jobId', requireRecruiter, validateJobId, validateJobEdit, rejectInvalid, async (req, res) => {
+  try {
+    const job = await recruiterAccounts.updateJob(req.recruiter.id, req.params.jobId, req.body);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error('Recruiter job update error', { recruiterId: req.recruiter.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to update job' });
+  }
+});
+
+router.post('/jobs/:jobId/extend',
+  requireRecruiter,
+  validateJobId,
+  body('days').isInt({ min: 1, max: 60 }).withMessage('Days must be between 1 and 60').toInt(),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const job = await recruiterAccounts.extendJob(req.recruiter.id, req.params.jobId, req.body.days);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      res.json({ success: true, job });
+    } catch (error) {
+      logger.error('Recruiter job extend error', { recruiterId: req.recruiter.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to extend job' });
+    }
+  }
+);
+
+router.post('/jobs/:jobId/close', requireRecruiter, validateJobId, rejectInvalid, async (req, res) => {
+  try {
+    const job = await recruiterAccounts.closeJob(req.recruiter.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error('Recruiter job close error', { recruiterId: req.recruiter.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to close job' });
+  }
+});
+
+// ================================
+// APPLICANTS
+// ================================
+
+router.get('/jobs/:jobId/applicants', requireRecruiter, validateJobId, rejectInvalid, async (req, res) => {
+  try {
+    const result = await recruiterAccounts.listApplicants(req.recruiter.id, req.params.jobId);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({
+      success: true,
+      job: { id: result.job.id, title: result.job.title, company: result.job.company },
+      applicants: result.applicants
+    });
+  } catch (error) {
+    logger.error('Recruiter applicant list error', { recruiterId: req.recruiter.id, error: error.message });
+    res.status(500).json({ success: false, error: 'Unable to load applicants' });
+  }
+});
+
+router.get('/jobs/:jobId/applicants/:applicationId/cv',
+  requireRecruiter,
+  validateJobId,
+  param('applicationId').isLength({ min: 1, max: 64 }),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const cv = await recruiterAccounts.getApplicantCV(req.recruiter.id, req.params.jobId, req.params.applicationId);
+      if (!cv) {
+        return res.status(404).json({ success: false, error: 'CV not available' });
+      }
+
+      const filename = `${(cv.applicant_name || 'Candidate').replace(/\s+/g, '_')}_CV${path.extname(cv.cv_filepath)}`;
+      res.download(cv.cv_filepath, filename);
+    } catch (error) {
+      logger.error('Recruiter CV download error', { recruiterId: req.recruiter.id, error: error.message });
+      res.status(500).json({ success: false, error: 'Unable to download CV' });
+    }
+  }
+);
+
+module.exports = router;
@@ -5,7 +5,8 @@ const router = express.Router();
 const crypto = require('crypto');
 const bot = require('../services/bot');
 const autoApplyPayment = require('../services/autoApplyPayment');
-const dbManager = require('../config/database');
+const productCatalog = require('../services/productCatalog');
+const { isChannelEvent } = require('../utils/paymentChannels');
 const logger = require('../utils/logger');
 
 /**
@@ -27,6 +28,12 @@ router.post('/paystack', async (req, res) => {
 
     const { event, data } = req.body;
 
+    // Dedicated account assignments and bank transfers into them carry no reference of ours
+    if (isChannelEvent(event, data)) {
+      await bot.processPaymentChannelEvent(event, data);
+      return res.sendStatus(200);
+    }
+
     // Only process successful payments
     if (event !== 'charge.success') {
       logger.info('Ignoring non-success event', { event });
@@ -46,6 +53,9 @@ router.post('/paystack', async (req, res) => {
       await handleAutoApplyPayment(reference, data);
     } else if (reference.startsWith('quick_')) {
       await handleQuickApplyPayment(reference, data);
+    } else if (['credits_', 'wallet_', 'daily_'].some(prefix => reference.startsWith(prefix))) {
+      // Catalog products (productCatalog.js), wallet top-ups (wallet.js) and daily passes
+      await bot.processPayment(reference);
     } else {
       // Fallback for legacy references
       logger.warn('Unknown payment reference format', { reference });
@@ -118,30 +128,16 @@ async function handleQuickApplyPayment(reference, paymentData) {
     const parts = reference.split('_');
     const phone = `+${parts[parts.length - 1]}`;
 
-    // Update daily_usage table
-    const result = await dbManager.query(`
-      UPDATE daily_usage 
-      SET 
-        applications_remaining = 3,
-        payment_status = 'completed',
-        valid_until = NOW() + INTERVAL '24 hours',
-        updated_at = NOW()
-      WHERE payment_reference = $1
-      RETURNING *
-    `, [reference]);
-
-    if (result.rows.length === 0) {
-      // Create record if doesn't exist
-      await dbManager.query(`
-        INSERT INTO daily_usage (
-          user_identifier, payment_reference, payment_status,
-          applications_remaining, valid_until, updated_at
-        ) VALUES ($1, $2, 'completed', 3, NOW() + INTERVAL '24 hours', NOW())
-      `, [phone, reference]);
+    // Credit the (retired) quick product through the ledger; a reference is credited once
+    const grant = await productCatalog.grantProduct(phone, 'quick', { reference });
+    if (!grant.granted) {
+      logger.info('Quick apply payment already credited', { reference });
+      return;
     }
 
     // Send WhatsApp confirmation
     await bot.handleQuickApplyPaymentSuccess(phone, reference);
+    await bot.rewardReferrer(phone, reference);
 
     logger.info('Quick apply payment processed successfully', {
       phone: phone.substring(0, 6) + '***',
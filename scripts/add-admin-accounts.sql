@@ -0,0 +1,34 @@
+-- Admin API accounts, banned numbers and the admin action log (services/adminAccounts.js, services/adminConsole.js)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id VARCHAR(64) PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer', -- viewer, support, admin
+  disabled_at TIMESTAMP,
+  last_login_at TIMESTAMP,
+  created_by VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Inbound WhatsApp messages from these numbers are dropped
+CREATE TABLE IF NOT EXISTS user_bans (
+  user_identifier VARCHAR(255) PRIMARY KEY, -- phone with '+', as in daily_usage
+  reason TEXT NOT NULL,
+  banned_by VARCHAR(64),
+  expires_at TIMESTAMP,                     -- NULL = permanent
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id SERIAL PRIMARY KEY,
+  admin_id VARCHAR(64),
+  admin_email VARCHAR(255),
+  action VARCHAR(50) NOT NULL,              -- credits.grant, payment.refund, application.resend, user.ban, ...
+  target VARCHAR(255),
+  details JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
@@ -0,0 +1,19 @@
+-- Recruiter-facing application lifecycle: sent -> viewed -> shortlisted -> interview -> rejected/hired
+-- (applications.status keeps tracking delivery: submitted / email_sent / email_failed / queued)
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS lifecycle_status VARCHAR(20);
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS lifecycle_updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_applications_user_lifecycle ON applications(user_identifier, applied_at DESC);
+
+-- One row per status change; drives the candidate timeline
+CREATE TABLE IF NOT EXISTS application_status_events (
+  id SERIAL PRIMARY KEY,
+  application_id VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  previous_status VARCHAR(20),
+  source VARCHAR(30) NOT NULL DEFAULT 'system',
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_status_events_app ON application_status_events(application_id, created_at);
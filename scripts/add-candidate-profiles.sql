@@ -0,0 +1,29 @@
+-- Parsed CV data, written once per uploaded CV (keyed by a SHA-256 of the uploaded file, see
+-- candidateProfile.hashFile; a hash of the CV text only when no file bytes are available)
+CREATE TABLE IF NOT EXISTS candidate_profiles (
+  id SERIAL PRIMARY KEY,
+  user_identifier VARCHAR(255) NOT NULL,
+  cv_hash VARCHAR(64) NOT NULL,
+  cv_filepath TEXT,
+  cv_text TEXT NOT NULL,
+  full_name VARCHAR(255),
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  contact JSONB DEFAULT '{}',
+  work_history JSONB DEFAULT '[]',
+  education JSONB DEFAULT '[]',
+  skills JSONB DEFAULT '[]',
+  certifications JSONB DEFAULT '[]',
+  nysc_status VARCHAR(20) DEFAULT 'unknown',
+  years_experience NUMERIC(4,1),
+  highest_education VARCHAR(30),
+  extraction_source VARCHAR(30),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_identifier, cv_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_profiles_user ON candidate_profiles(user_identifier, created_at DESC);
+
+-- Link each application to the profile it was sent with
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS candidate_profile_id INTEGER REFERENCES candidate_profiles(id);
@@ -0,0 +1,88 @@
+-- Product catalog, purchases and the application credit ledger (services/productCatalog.js, services/creditLedger.js)
+
+-- What users can buy. Prices are in kobo; every product grants `credits` applications
+-- that expire `validity_hours` after payment.
+--   bundle:       a pack of applications
+--   subscription: a longer pass with a larger allowance
+--   promo:        limited offers (available_from/until, max_per_user)
+CREATE TABLE IF NOT EXISTS products (
+  code VARCHAR(50) PRIMARY KEY,              -- lower-case letters, digits and _ (part of the payment reference)
+  name VARCHAR(100) NOT NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('bundle', 'subscription', 'promo')),
+  price_kobo INTEGER NOT NULL CHECK (price_kobo > 0),
+  credits INTEGER NOT NULL CHECK (credits > 0),
+  validity_hours INTEGER NOT NULL CHECK (validity_hours > 0),
+  active BOOLEAN DEFAULT TRUE,
+  available_from TIMESTAMP,
+  available_until TIMESTAMP,
+  max_per_user INTEGER,                      -- completed purchases per user, NULL for no limit
+  sort_order INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- daily is the unlock the bot has always sold; quick is kept for old quick_ references only
+INSERT INTO products (code, name, kind, price_kobo, credits, validity_hours, active, max_per_user, sort_order) VALUES
+  ('daily', 'Daily Pass', 'bundle', 30000, 3, 24, TRUE, NULL, 1),
+  ('bundle_10', '10 Applications', 'bundle', 80000, 10, 168, TRUE, NULL, 2),
+  ('bundle_25', '25 Applications', 'bundle', 180000, 25, 720, TRUE, NULL, 3),
+  ('weekly', 'Weekly Pass', 'subscription', 150000, 35, 168, TRUE, NULL, 4),
+  ('monthly', 'Monthly Pass', 'subscription', 500000, 150, 720, TRUE, NULL, 5),
+  ('first_timer', 'First-Timer Offer', 'promo', 15000, 3, 24, FALSE, 1, 6),
+  ('quick', 'Quick Apply', 'bundle', 30000, 3, 24, FALSE, NULL, 99)
+ON CONFLICT (code) DO NOTHING;
+
+-- One row per checkout; price, credits and validity are copied from the product at checkout
+CREATE TABLE IF NOT EXISTS credit_purchases (
+  reference VARCHAR(255) PRIMARY KEY,        -- credits_<product>_<uuid>_<phone>
+  user_identifier VARCHAR(255) NOT NULL,
+  product_code VARCHAR(50) NOT NULL REFERENCES products(code),
+  amount_kobo INTEGER NOT NULL,
+  credits INTEGER NOT NULL,
+  validity_hours INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'refunded')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  refunded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_purchases_user ON credit_purchases(user_identifier, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_purchases_completed ON credit_purchases(completed_at DESC) WHERE status = 'completed';
+
+-- Every credit grant and spend. Grants are positive and expire; spend, return and revoke
+-- rows point at the grant they draw from, so a grant's balance is its credits plus its children.
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  user_identifier VARCHAR(255) NOT NULL,
+  entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('grant', 'spend', 'return', 'revoke')),
+  credits INTEGER NOT NULL,                  -- grant/return > 0, spend/revoke < 0
+  grant_id BIGINT REFERENCES credit_ledger(id),
+  expires_at TIMESTAMP,                      -- grants only
+  source VARCHAR(30) NOT NULL,               -- payment, admin, migration, application, unreadable_cv, refund
+  product_code VARCHAR(50),
+  reference VARCHAR(255),                    -- payment reference for purchase grants
+  created_by VARCHAR(255),
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((entry_type = 'grant') = (grant_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user ON credit_ledger(user_identifier, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_active_grants
+  ON credit_ledger(user_identifier, expires_at) WHERE entry_type = 'grant';
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_grant ON credit_ledger(grant_id);
+
+-- A payment reference is credited once, however many times the webhook fires
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_grant_reference
+  ON credit_ledger(reference) WHERE entry_type = 'grant' AND reference IS NOT NULL;
+
+-- Carry over what users have left on daily_usage (runs once)
+INSERT INTO credit_ledger (user_identifier, entry_type, credits, expires_at, source, product_code, details)
+SELECT u.user_identifier, 'grant', u.applications_remaining, u.valid_until, 'migration', 'daily',
+       jsonb_build_object('payment_reference', u.payment_reference)
+FROM daily_usage u
+WHERE u.valid_until > NOW()
+  AND u.applications_remaining > 0
+  AND NOT EXISTS (
+    SELECT 1 FROM credit_ledger l WHERE l.user_identifier = u.user_identifier AND l.source = 'migration'
+  );
@@ -0,0 +1,17 @@
+-- Open/click events for recruiter emails (application emails and daily digests)
+CREATE TABLE IF NOT EXISTS email_tracking_events (
+  id SERIAL PRIMARY KEY,
+  application_id VARCHAR(64),
+  digest_id VARCHAR(64),
+  email_type VARCHAR(20) NOT NULL,     -- application | digest
+  event_type VARCHAR(10) NOT NULL,     -- open | click
+  link_type VARCHAR(20),               -- cv | profile (clicks only)
+  target_url TEXT,
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_tracking_application ON email_tracking_events(application_id, event_type);
+CREATE INDEX IF NOT EXISTS idx_email_tracking_digest ON email_tracking_events(digest_id, event_type);
+CREATE INDEX IF NOT EXISTS idx_applications_email_sent_at ON applications(email_sent_at);
@@ -0,0 +1,19 @@
+-- Embedding vectors for semantic job <-> CV matching
+-- entity_type: 'job' (entity_id = jobs.id) or 'cv' (entity_id = 'profile:<candidate_profiles.id>',
+-- or 'text:<md5 of the CV text>' for CVs without a parsed profile)
+-- model: provider name:version:dimensions, so switching providers never mixes vectors
+CREATE TABLE IF NOT EXISTS embeddings (
+  entity_type VARCHAR(20) NOT NULL,
+  entity_id VARCHAR(255) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  vector REAL[] NOT NULL,
+  content_hash VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (entity_type, entity_id, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_model ON embeddings(model, entity_type);
+
+-- CV vectors used to be stored per user identifier
+DELETE FROM embeddings WHERE entity_type = 'cv' AND entity_id NOT LIKE 'profile:%' AND entity_id NOT LIKE 'text:%';
@@ -0,0 +1,27 @@
+-- Saved job alerts for free users (services/jobAlerts.js)
+CREATE TABLE IF NOT EXISTS job_alerts (
+  id SERIAL PRIMARY KEY,
+  user_identifier VARCHAR(255) NOT NULL,
+  category VARCHAR(50),            -- NULL = any category
+  category_label VARCHAR(100),
+  location VARCHAR(50),            -- NULL = anywhere
+  query VARCHAR(200),
+  is_active BOOLEAN DEFAULT true,
+  last_matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_alerts_user ON job_alerts(user_identifier) WHERE is_active = true;
+
+-- Jobs matched to an alert, sent in the next daily digest
+CREATE TABLE IF NOT EXISTS job_alert_matches (
+  id SERIAL PRIMARY KEY,
+  alert_id INTEGER NOT NULL REFERENCES job_alerts(id) ON DELETE CASCADE,
+  job_id VARCHAR(64) NOT NULL,
+  matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  UNIQUE (alert_id, job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_alert_matches_unsent ON job_alert_matches(alert_id) WHERE sent_at IS NULL;
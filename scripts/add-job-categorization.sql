@@ -0,0 +1,28 @@
+-- Category confidence and classifier version on jobs (services/jobCategorizer.js)
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS declared_category VARCHAR(50);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS category_confidence NUMERIC(4,3);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS category_version VARCHAR(20);
+
+-- Existing categories become the hint the classifier starts from
+UPDATE jobs SET declared_category = category
+WHERE declared_category IS NULL AND category_version IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_category_version ON jobs(category_version);
+
+-- Low-confidence jobs waiting for an admin
+CREATE TABLE IF NOT EXISTS job_category_reviews (
+  id SERIAL PRIMARY KEY,
+  job_id VARCHAR(64) NOT NULL,
+  suggested_category VARCHAR(50),
+  confidence NUMERIC(4,3),
+  scores JSONB DEFAULT '{}',
+  classifier_version VARCHAR(20),
+  status VARCHAR(20) DEFAULT 'pending', -- pending, resolved, superseded
+  resolved_category VARCHAR(50),
+  resolved_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_category_reviews_pending ON job_category_reviews(job_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_job_category_reviews_status ON job_category_reviews(status, confidence);
@@ -0,0 +1,19 @@
+-- One row per scraper run (services/jobIngestion.js)
+CREATE TABLE IF NOT EXISTS job_ingestion_runs (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(50) NOT NULL,
+  fetched INTEGER DEFAULT 0,
+  inserted INTEGER DEFAULT 0,
+  updated INTEGER DEFAULT 0,
+  duplicates INTEGER DEFAULT 0,
+  invalid INTEGER DEFAULT 0,
+  failed INTEGER DEFAULT 0,
+  fetch_errors INTEGER DEFAULT 0,
+  duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_ingestion_runs_source ON job_ingestion_runs(source, created_at DESC);
+
+-- Duplicate checks look up recent open jobs per state
+CREATE INDEX IF NOT EXISTS idx_jobs_state_scraped_at ON jobs(state, scraped_at DESC);
@@ -0,0 +1,41 @@
+-- Full-text search for jobs (replaces ILIKE '%term%' chains)
+-- Weights: title (A) > requirements (B) > description (C) > category/experience (D)
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION jobs_search_vector_build(
+    p_title TEXT,
+    p_requirements TEXT,
+    p_description TEXT,
+    p_category TEXT,
+    p_experience TEXT
+)
+RETURNS tsvector AS $$
+BEGIN
+    RETURN setweight(to_tsvector('english', COALESCE(p_title, '')), 'A') ||
+           setweight(to_tsvector('english', COALESCE(p_requirements, '')), 'B') ||
+           setweight(to_tsvector('english', COALESCE(p_description, '')), 'C') ||
+           setweight(to_tsvector('english', COALESCE(p_category, '') || ' ' || COALESCE(p_experience, '')), 'D');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Keep search_vector in sync on insert/update
+CREATE OR REPLACE FUNCTION jobs_search_vector_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector := jobs_search_vector_build(
+        NEW.title, NEW.requirements, NEW.description, NEW.category, NEW.experience
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_jobs_search_vector ON jobs;
+CREATE TRIGGER trg_jobs_search_vector
+    BEFORE INSERT OR UPDATE OF title, requirements, description, category, experience
+    ON jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION jobs_search_vector_trigger();
+
+CREATE INDEX IF NOT EXISTS idx_jobs_search_vector ON jobs USING GIN (search_vector);
+
+-- Existing rows are filled by scripts/backfill-jobs-search-vector.js (batched)
@@ -0,0 +1,19 @@
+-- Bank transfer and USSD payments (services/paymentChannels.js)
+
+-- One Paystack dedicated account per user. Transfers into it go to the user's wallet.
+CREATE TABLE IF NOT EXISTS dedicated_accounts (
+  user_identifier VARCHAR(255) PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,        -- how Paystack's assign webhooks find the user
+  customer_code VARCHAR(50) UNIQUE,          -- how transfer webhooks find the user
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'assigned', 'failed')),
+  bank_name VARCHAR(100),
+  account_number VARCHAR(20),
+  account_name VARCHAR(255),
+  failure_reason TEXT,
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  assigned_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- How a catalog purchase was paid: card (Paystack checkout) or ussd
+ALTER TABLE credit_purchases ADD COLUMN IF NOT EXISTS channel VARCHAR(20) DEFAULT 'card';
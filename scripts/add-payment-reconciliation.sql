@@ -0,0 +1,44 @@
+-- Paystack reconciliation runs and the payments they flagged or credited (services/paymentReconciliation.js)
+CREATE TABLE IF NOT EXISTS payment_reconciliation_runs (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(20) NOT NULL,              -- paystack or fixture
+  window_from TIMESTAMP NOT NULL,
+  window_to TIMESTAMP NOT NULL,
+  transactions INTEGER DEFAULT 0,
+  matched INTEGER DEFAULT 0,
+  credited INTEGER DEFAULT 0,
+  flagged INTEGER DEFAULT 0,
+  paid_amount BIGINT DEFAULT 0,             -- kobo, successful Paystack charges in the window
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reconciliation_runs_created ON payment_reconciliation_runs(created_at DESC);
+
+-- One row per reference that needed attention; re-runs update it instead of adding more
+CREATE TABLE IF NOT EXISTS payment_reconciliation_items (
+  reference VARCHAR(255) PRIMARY KEY,
+  outcome VARCHAR(30) NOT NULL,             -- missed, amount_mismatch, orphan, not_paid_at_paystack
+  user_identifier VARCHAR(255),
+  paystack_status VARCHAR(20),
+  paystack_amount INTEGER,
+  expected_amount INTEGER,
+  local_status VARCHAR(50),
+  paid_at TIMESTAMP,
+  credited_at TIMESTAMP,                    -- set when the reconciler credited a missed payment
+  credit_error TEXT,
+  resolved_at TIMESTAMP,
+  resolved_by VARCHAR(255),
+  resolution_note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reconciliation_items_open
+  ON payment_reconciliation_items(created_at DESC) WHERE resolved_at IS NULL;
+
+-- Looked up by reference when reconciling
+CREATE INDEX IF NOT EXISTS idx_daily_usage_payment_reference ON daily_usage(payment_reference);
+ALTER TABLE auto_apply_subscriptions ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_auto_apply_subscriptions_payment_reference ON auto_apply_subscriptions(payment_reference);
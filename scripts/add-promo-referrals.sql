@@ -0,0 +1,68 @@
+-- Promo codes and referral rewards (services/promoCodes.js, services/referrals.js)
+
+-- Admin-issued codes. A code either takes money off the next checkout (percent_off or
+-- amount_off_kobo) or grants free_credits straight away.
+CREATE TABLE IF NOT EXISTS promo_codes (
+  code VARCHAR(30) PRIMARY KEY,              -- upper-case
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('discount', 'credits')),
+  percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 90),
+  amount_off_kobo INTEGER CHECK (amount_off_kobo > 0),
+  product_codes TEXT[],                      -- products a discount covers, NULL for all
+  free_credits INTEGER CHECK (free_credits > 0),
+  free_credit_hours INTEGER DEFAULT 168,
+  max_redemptions INTEGER,                   -- across all users, NULL for no limit
+  max_per_user INTEGER DEFAULT 1,
+  starts_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  active BOOLEAN DEFAULT TRUE,
+  description VARCHAR(255),
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (
+    (kind = 'discount' AND (percent_off IS NOT NULL OR amount_off_kobo IS NOT NULL))
+    OR (kind = 'credits' AND free_credits IS NOT NULL)
+  )
+);
+
+-- Discounts wait as 'pending' for the next checkout, are 'reserved' by it (reference) until it
+-- is paid, then count as 'redeemed'. An unpaid reservation goes back to 'pending' after an hour.
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(30) NOT NULL REFERENCES promo_codes(code),
+  user_identifier VARCHAR(255) NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reserved', 'redeemed', 'replaced')),
+  reference VARCHAR(255),                    -- the reserving or paid checkout, for discounts
+  discount_kobo INTEGER DEFAULT 0,
+  credits_granted INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  reserved_at TIMESTAMP,
+  redeemed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON promo_redemptions(code) WHERE status IN ('reserved', 'redeemed');
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_reference ON promo_redemptions(reference) WHERE status = 'reserved';
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user ON promo_redemptions(user_identifier, status);
+
+ALTER TABLE credit_purchases ADD COLUMN IF NOT EXISTS promo_code VARCHAR(30);
+ALTER TABLE credit_purchases ADD COLUMN IF NOT EXISTS discount_kobo INTEGER DEFAULT 0;
+
+-- One code per user, created the first time they ask for it
+CREATE TABLE IF NOT EXISTS referral_codes (
+  user_identifier VARCHAR(255) PRIMARY KEY,
+  code VARCHAR(10) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Who brought whom; a number can only ever be referred once
+CREATE TABLE IF NOT EXISTS referrals (
+  referred_identifier VARCHAR(255) PRIMARY KEY,
+  referrer_identifier VARCHAR(255) NOT NULL,
+  code VARCHAR(10) NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'rewarded', 'capped')),
+  reward_credits INTEGER DEFAULT 0,
+  reference VARCHAR(255),                    -- the referred user's first payment
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  rewarded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_identifier, status);
@@ -0,0 +1,14 @@
+-- Recruiter portal accounts; jobs.recruiter_id (VARCHAR) points at recruiters.id
+CREATE TABLE IF NOT EXISTS recruiters (
+  id VARCHAR(64) PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255),
+  company VARCHAR(255),
+  email_verified_at TIMESTAMP,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_recruiter_id ON jobs(recruiter_id);
+CREATE INDEX IF NOT EXISTS idx_applications_job_id ON applications(job_id);
@@ -0,0 +1,29 @@
+-- Versioned CV library per phone number
+CREATE TABLE IF NOT EXISTS user_cvs (
+  id SERIAL PRIMARY KEY,
+  user_identifier VARCHAR(255) NOT NULL,
+  version INTEGER NOT NULL,
+  label VARCHAR(60) NOT NULL,
+  original_name VARCHAR(255),
+  filename VARCHAR(255) NOT NULL,
+  filepath TEXT NOT NULL,
+  mimetype VARCHAR(100),
+  size INTEGER,
+  file_hash VARCHAR(64) NOT NULL,
+  candidate_profile_id INTEGER REFERENCES candidate_profiles(id),
+  is_default BOOLEAN DEFAULT false,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_identifier, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_cvs_user ON user_cvs(user_identifier) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_cvs_hash ON user_cvs(user_identifier, file_hash);
+
+-- At most one default CV per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_cvs_default
+  ON user_cvs(user_identifier) WHERE is_default = true AND deleted_at IS NULL;
+
+-- Optional CV pinned to an auto-apply preference (NULL = use the default CV)
+ALTER TABLE auto_apply_preferences ADD COLUMN IF NOT EXISTS cv_id INTEGER REFERENCES user_cvs(id);
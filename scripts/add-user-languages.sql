@@ -0,0 +1,8 @@
+-- Chat language per WhatsApp user (services/i18n.js)
+CREATE TABLE IF NOT EXISTS user_language_preferences (
+  user_identifier VARCHAR(30) PRIMARY KEY,   -- phone number
+  language VARCHAR(5) NOT NULL DEFAULT 'en', -- en, pcm, yo, ha, ig
+  source VARCHAR(20) NOT NULL DEFAULT 'detected', -- chosen (language command) or detected
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
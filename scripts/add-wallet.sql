@@ -0,0 +1,38 @@
+-- Wallet (services/wallet.js): a naira balance topped up through Paystack, debited per
+-- application once application credits run out, and refunded for applications that fail
+
+-- Paystack checkouts for top-ups (wallet_<uuid>_<phone>)
+CREATE TABLE IF NOT EXISTS wallet_topups (
+  reference VARCHAR(255) PRIMARY KEY,
+  user_identifier VARCHAR(255) NOT NULL,
+  amount_kobo INTEGER NOT NULL CHECK (amount_kobo > 0),
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'refunded')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  refunded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_topups_user ON wallet_topups(user_identifier, created_at DESC);
+
+-- Every movement of money in or out; the balance is the sum of amount_kobo
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+  id SERIAL PRIMARY KEY,
+  user_identifier VARCHAR(255) NOT NULL,
+  entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('topup', 'debit', 'refund', 'adjustment')),
+  amount_kobo INTEGER NOT NULL,              -- positive in, negative out
+  applications INTEGER,                      -- applications a debit or refund covers
+  source VARCHAR(50),                        -- paystack, bank_transfer, application, failed_application, admin
+  reference VARCHAR(255),                    -- a reference moves money once
+  created_by VARCHAR(255),                   -- admin email for adjustments
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_transactions_reference
+  ON wallet_transactions(reference) WHERE reference IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_user ON wallet_transactions(user_identifier, created_at DESC);
+
+-- Credits given back for failed applications carry a reference too, so a retried job
+-- doesn't return them twice
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_return_reference
+  ON credit_ledger(reference) WHERE entry_type = 'return' AND reference IS NOT NULL;
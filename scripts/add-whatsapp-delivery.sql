@@ -0,0 +1,40 @@
+-- Outbound WhatsApp messages and their delivery status (services/whatsappDelivery.js)
+CREATE TABLE IF NOT EXISTS whatsapp_messages (
+  id SERIAL PRIMARY KEY,
+  message_id VARCHAR(100) NOT NULL UNIQUE,   -- YCloud message id returned on send
+  wamid VARCHAR(255),
+  outbox_job_id VARCHAR(50),                 -- id returned by the senders when queued
+  recipient VARCHAR(30) NOT NULL,
+  message_type VARCHAR(20),
+  payload JSONB,
+  status VARCHAR(20) DEFAULT 'accepted',     -- accepted, sent, delivered, read, failed
+  error_code VARCHAR(20),
+  error_message TEXT,
+  retry_of INTEGER REFERENCES whatsapp_messages(id),
+  retry_count INTEGER DEFAULT 0,
+  fallback VARCHAR(20),                      -- retry, template, email, none
+  sent_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  read_at TIMESTAMP,
+  failed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_recipient ON whatsapp_messages(recipient, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_outbox_job ON whatsapp_messages(outbox_job_id) WHERE outbox_job_id IS NOT NULL;
+
+-- Per-user summary, updated from status events
+CREATE TABLE IF NOT EXISTS whatsapp_reachability (
+  recipient VARCHAR(30) PRIMARY KEY,
+  status VARCHAR(20) DEFAULT 'unknown',      -- reachable, unreachable, unknown
+  consecutive_failures INTEGER DEFAULT 0,
+  last_error_code VARCHAR(20),
+  last_error_message TEXT,
+  last_delivered_at TIMESTAMP,
+  last_read_at TIMESTAMP,
+  last_failed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_reachability_status ON whatsapp_reachability(status, updated_at DESC);
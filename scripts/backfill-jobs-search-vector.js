@@ -0,0 +1,80 @@
+// scripts/backfill-jobs-search-vector.js - Populate jobs.search_vector for existing rows
+// Run scripts/add-jobs-search-vector.sql first. Safe to re-run.
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const BATCH_SIZE = parseInt(process.env.BACKFILL_BATCH_SIZE) || 500;
+const FORCE = process.argv.includes('--force');
+
+async function backfillSearchVector() {
+  const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: parseInt(process.env.DB_PORT),
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+
+  console.log('🔎 BACKFILLING JOB SEARCH VECTORS\n');
+  console.log('='.repeat(50));
+
+  try {
+    const { rows: [{ pending }] } = await pool.query(`
+      SELECT COUNT(*)::int AS pending FROM jobs
+      ${FORCE ? '' : 'WHERE search_vector IS NULL'}
+    `);
+
+    console.log(`Jobs to process: ${pending}${FORCE ? ' (forced rebuild)' : ''}`);
+
+    let processed = 0;
+    let lastId = null;
+
+    while (true) {
+      // Walk by id so --force terminates and each batch is a short transaction
+      const { rows } = await pool.query(`
+        SELECT id FROM jobs
+        WHERE ($1::text IS NULL OR id::text > $1::text)
+        ${FORCE ? '' : 'AND search_vector IS NULL'}
+        ORDER BY id::text
+        LIMIT $2
+      `, [lastId, BATCH_SIZE]);
+
+      if (rows.length === 0) break;
+
+      const ids = rows.map(r => r.id);
+      lastId = String(ids[ids.length - 1]);
+
+      const result = await pool.query(`
+        UPDATE jobs
+        SET search_vector = jobs_search_vector_build(title, requirements, description, category, experience)
+        WHERE id = ANY($1)
+      `, [ids]);
+
+      processed += result.rowCount;
+      console.log(`✅ ${processed}/${pending} updated`);
+    }
+
+    const { rows: [{ missing }] } = await pool.query(
+      'SELECT COUNT(*)::int AS missing FROM jobs WHERE search_vector IS NULL'
+    );
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 Updated: ${processed}, still missing: ${missing}`);
+
+    await pool.query('ANALYZE jobs');
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+backfillSearchVector().then(() => {
+  console.log('\n✅ Backfill complete!');
+  process.exit(0);
+}).catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
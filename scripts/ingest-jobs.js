@@ -0,0 +1,46 @@
+// scripts/ingest-jobs.js - Run job ingestion by hand
+// Usage: node scripts/ingest-jobs.js [source|all] [--dry-run] [--no-details]
+require('dotenv').config();
+const dbManager = require('../config/database');
+const jobIngestion = require('../services/jobIngestion');
+
+const args = process.argv.slice(2);
+const source = args.find(arg => !arg.startsWith('--')) || 'all';
+const options = {
+  dryRun: args.includes('--dry-run'),
+  withDetails: !args.includes('--no-details')
+};
+
+async function ingestJobs() {
+  const sources = source === 'all'
+    ? jobIngestion.listAdapters().map(adapter => adapter.name)
+    : [source];
+
+  console.log(`📥 INGESTING JOBS${options.dryRun ? ' (dry run)' : ''}\n`);
+  console.log('='.repeat(50));
+
+  await dbManager.connect();
+
+  for (const name of sources) {
+    if (!jobIngestion.getAdapter(name)) {
+      console.log(`❌ Unknown source "${name}". Available: ${jobIngestion.listAdapters().map(a => a.name).join(', ')}`);
+      continue;
+    }
+
+    const stats = await jobIngestion.runSource(name, options);
+    if (!stats) {
+      console.log(`❌ ${name}: run failed (see logs)`);
+      continue;
+    }
+
+    console.log(`✅ ${name}: ${stats.fetched} fetched, ${stats.inserted} new, ${stats.updated} refreshed, ` +
+      `${stats.duplicates} duplicates, ${stats.invalid} invalid, ${stats.failed} failed`);
+  }
+}
+
+ingestJobs()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Ingestion failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+// scripts/reclassify-jobs.js - Re-run job categorization after the rules change
+// Usage: node scripts/reclassify-jobs.js [--all] [--dry-run]
+//   default: only jobs categorized by an older rules version
+//   --all:   every job except admin corrections
+require('dotenv').config();
+const dbManager = require('../config/database');
+const jobCategorizer = require('../services/jobCategorizer');
+
+const args = process.argv.slice(2);
+const options = {
+  all: args.includes('--all'),
+  dryRun: args.includes('--dry-run')
+};
+
+async function reclassifyJobs() {
+  console.log(`🏷️ RECLASSIFYING JOBS (rules ${jobCategorizer.version}${options.dryRun ? ', dry run' : ''})\n`);
+  console.log('='.repeat(50));
+
+  await dbManager.connect();
+
+  const stats = await jobCategorizer.reclassify({
+    ...options,
+    onProgress: (job, result) => {
+      console.log(`   ${job.title}: ${result.previous || 'none'} → ${result.category} (${result.confidence})`);
+    }
+  });
+
+  console.log(`\n📊 ${stats.scanned} scanned, ${stats.changed} recategorized, ` +
+    `${stats.flagged} low confidence, ${stats.skipped} failed`);
+}
+
+reclassifyJobs()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Reclassification failed:', error.message);
+    process.exit(1);
+  });
@@ -14,14 +14,26 @@ const logger = require('./utils/logger');
 const { statsd, trackMetric } = require('./utils/metrics');
 const bot = require('./services/bot');
 const ycloud = require('./services/ycloud');
+const whatsappOutbox = require('./services/whatsappOutbox');
+const whatsappDelivery = require('./services/whatsappDelivery');
+const speechToText = require('./services/speechToText');
+const i18n = require('./services/i18n');
 const openaiWorker = require('./workers/openai');
 const cvWorker = require('./workers/cv');
 const cvBackgroundWorker = require('./workers/cv-background'); // ✅ NEW
 const applicationWorker = require('./workers/application');
+const whatsappOutboundWorker = require('./workers/whatsappOutbound');
+const scheduledMessagesWorker = require('./workers/scheduledMessages');
 const { redis, redisWrapper } = require('./config/redis');
 const dbManager = require('./config/database');
 const cvCleanup = require('./services/cv-cleanup');
 const jobCleanup = require('./services/job-cleanup');
+const embeddings = require('./services/embeddings');
+const jobStore = require('./services/jobStore');
+const jobCategorizer = require('./services/jobCategorizer');
+const aiProviders = require('./services/aiProviders');
+const applicationStatus = require('./services/applicationStatus');
+const emailTracking = require('./services/emailTracking');
 const RateLimiter = require('./utils/rateLimiter');
 const rateLimit = require('express-rate-limit');
 const app = express();
@@ -29,6 +41,13 @@ const helmet = require('helmet');
 const validator = require('validator');
 const xss = require('xss');
 const { body, validationResult } = require('express-validator');
+const { JOB_LOCATIONS, EXPERIENCE_LEVELS, JOB_CATEGORIES, DESCRIPTION_TAGS } = require('./utils/jobOptions');
+const { optionalRecruiter } = require('./utils/recruiterAuth');
+const recruiterRoutes = require('./routes/recruiter');
+const adminRoutes = require('./routes/admin');
+const { requireAdmin } = require('./utils/adminAuth');
+const { isChannelEvent } = require('./utils/paymentChannels');
+const adminConsole = require('./services/adminConsole');
 const nodemailer = require('nodemailer');
 console.log('Bot module loaded:', typeof bot.handleWhatsAppMessage); // Debug check
 // ✅ ENHANCED STARTUP SEQUENCE
@@ -175,17 +194,17 @@ const validateJobInput = [
     // Validate location
     body('location')
         .trim()
-        .isIn(['Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa', 'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo', 'Ekiti', 'Enugu', 'Gombe', 'Imo', 'Jigawa', 'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara', 'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun', 'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara', 'Abuja', 'Remote'])
+        .isIn(JOB_LOCATIONS)
         .withMessage('Invalid location selected'),
     
     // Validate experience level
     body('experience')
-        .isIn(['entry', 'mid', 'senior', 'executive'])
+        .isIn(EXPERIENCE_LEVELS)
         .withMessage('Invalid experience level'),
     
     // Validate job category
     body('jobCategory')
-        .isIn(['accounting_finance', 'admin_office', 'it_software', 'engineering_technical', 'marketing_sales', 'healthcare_medical', 'education_training', 'management_executive', 'human_resources', 'logistics_supply', 'customer_service', 'legal_compliance', 'media_creative', 'security_safety', 'construction_real_estate', 'manufacturing_production', 'retail_fashion', 'transport_driving', 'other_general'])
+        .isIn(JOB_CATEGORIES)
         .withMessage('Invalid job category'),
     
     // Validate and sanitize job description
@@ -193,17 +212,7 @@ const validateJobInput = [
         .trim()
         .isLength({ min: 50, max: 5000 })
         .withMessage('Job description must be between 50-5000 characters')
-        .customSanitizer(value => xss(value, {
-            whiteList: {
-                'p': [],
-                'br': [],
-                'strong': [],
-                'em': [],
-                'ul': [],
-                'ol': [],
-                'li': []
-            }
-        })),
+        .customSanitizer(value => xss(value, { whiteList: DESCRIPTION_TAGS })),
     
     // Validate requirements
     body('requirements')
@@ -447,6 +456,18 @@ app.get('/api/metrics', async (req, res) => {
       req.logger.error('Redis metrics check failed', { error: redisError.message });
     }
     
+    let aiUsage = null;
+    try {
+      aiUsage = await aiProviders.getStats();
+    } catch (aiError) {
+      req.logger.error('AI usage metrics check failed', { error: aiError.message });
+    }
+
+    // Recruiter email engagement over the last 7 days
+    const today = new Date().toISOString().split('T')[0];
+    const weekAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const emailEngagement = await emailTracking.getEngagementStats(weekAgo, today);
+    
     const os = require('os');
     const totalMemoryGB = (os.totalmem() / (1024 * 1024 * 1024)).toFixed(1);
     const usedMemoryGB = ((os.totalmem() - os.freemem()) / (1024 * 1024 * 1024)).toFixed(1);
@@ -482,7 +503,9 @@ app.get('/api/metrics', async (req, res) => {
         redis: {
           status: redisResponseTime > 0 ? 'connected' : 'error',
           response_time_ms: redisResponseTime
-        }
+        },
+        ai: aiUsage,
+        email: emailEngagement
       },
       workers: {
         cv_main: { concurrency: 30, status: 'running' },
@@ -566,6 +589,7 @@ app.get('/api/queue/stats', async (req, res) => {
         concurrency: 8,
         capacity: '480+ applications/hour'
       },
+      whatsappOutbound: await whatsappOutbox.getStats(),
       activeJobs: {
         cvMain: cvActive.slice(0, 5).map(job => ({
           id: job.id,
@@ -631,6 +655,13 @@ async function processYCloudMessage(inboundMessage, logger) {
     }
     await redis.set(duplicateKey, '1', 'EX', 3600);
 
+    // Banned numbers get no reply and cost nothing (no downloads, transcription or AI)
+    if (await adminConsole.isBanned(phone)) {
+      logger.info('Message from banned number ignored', { phone: phone.substring(0, 6) + '***', messageType });
+      trackMetric('whatsapp.banned_message', 1);
+      return;
+    }
+
     let messageData = null;
 
     if (messageType === 'text') {
@@ -652,6 +683,21 @@ async function processYCloudMessage(inboundMessage, logger) {
   logger.info('Document message - processing with YCloud handler');
   return await handleYCloudDocumentMessage(inboundMessage, logger);
 
+    } else if (messageType === 'image') {
+      // Photo of a CV: same path as a document upload, read with OCR by the workers
+      const image = inboundMessage.image;
+      return await handleYCloudDocumentMessage({
+        ...inboundMessage,
+        document: image && { ...image, filename: `cv_photo.${image.mime_type === 'image/png' ? 'png' : 'jpg'}` }
+      }, logger);
+
+    } else if (messageType === 'audio') {
+      // Voice notes become text and go through the normal text pipeline
+      messageData = await transcribeYCloudAudioMessage(inboundMessage, logger);
+      if (!messageData) {
+        return;
+      }
+
     } else {
       logger.warn('Unknown message type', { messageType });
       return await bot.handleWhatsAppMessage(phone, 'Hi! Send me a message or upload your CV.', null, messageId);
@@ -695,7 +741,7 @@ app.post('/webhook/ycloud', async (req, res) => {
   res.sendStatus(200);
   
   try {
-    const { type, whatsappInboundMessage } = req.body;
+    const { type, whatsappInboundMessage, whatsappMessage } = req.body;
     
     req.logger.info('🔥 YCloud webhook received', { 
       type,
@@ -704,6 +750,14 @@ app.post('/webhook/ycloud', async (req, res) => {
       interactiveType: whatsappInboundMessage?.interactive?.type
     });
 
+    // Sent / delivered / read / failed receipts for our outbound messages
+    if (type === 'whatsapp.message.updated') {
+      if (whatsappMessage) {
+        await whatsappDelivery.recordStatus(whatsappMessage);
+      }
+      return;
+    }
+
     if (type !== 'whatsapp.inbound_message.received') {
       return;
     }
@@ -712,6 +766,9 @@ app.post('/webhook/ycloud', async (req, res) => {
       return;
     }
 
+    // Every inbound message reopens the 24-hour window for free-form replies
+    await whatsappOutbox.recordInbound(whatsappInboundMessage.from);
+
     // Enhanced logging for interactive messages
     if (whatsappInboundMessage.type === 'interactive') {
       req.logger.info('🎯 Interactive message details', {
@@ -823,8 +880,13 @@ app.post('/webhook/paystack', (req, res) => {
     const { event, data } = req.body;
     req.logger.info('Paystack webhook received', { event, reference: data?.reference });
     
-    if (event === 'charge.success') {
-      bot.processPayment(data.reference)
+    // Bank transfers into dedicated accounts (and their assignment) are matched by customer, not reference
+    const processing = isChannelEvent(event, data)
+      ? bot.processPaymentChannelEvent(event, data)
+      : event === 'charge.success' ? bot.processPayment(data.reference) : null;
+
+    if (processing) {
+      processing
         .then(() => {
           req.logger.info('Paystack webhook processed successfully');
           res.sendStatus(200);
@@ -842,8 +904,14 @@ app.post('/webhook/paystack', (req, res) => {
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
+// Recruiter portal: accounts, job management and applicants
+app.use('/api/recruiter', recruiterRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Anonymous posting still works; a logged-in recruiter owns the job
 app.post('/api/recruiter/post-job', 
     jobPostingLimiter,
+    optionalRecruiter,
     validateJobInput,
     async (req, res) => {
         try {
@@ -878,9 +946,13 @@ app.post('/api/recruiter/post-job',
 
             // Process and sanitize the job data
             const processedJob = await processJobDataSecurely(jobData, clientIP);
+            processedJob.recruiter_id = req.recruiter ? req.recruiter.id : null;
             
             // Insert into database with transaction
-            const insertedJob = await insertJobToDatabase(processedJob);
+            const insertedJob = await jobStore.insertJob(processedJob);
+            
+            // Index for semantic auto-apply matching (errors are logged, never thrown)
+            embeddings.indexJob(insertedJob);
             
             // ADD THIS LINE HERE - NOTIFY ADMIN
         await notifyAdminNewJob(insertedJob, clientIP, req.get('User-Agent'));
@@ -935,16 +1007,18 @@ async function handleYCloudDocumentMessage(message, logger) {
       return;
     }
 
-    // Validate file type
+    // Validate file type (photos are read with OCR by the workers)
     const allowedTypes = [
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
+      'application/msword',
+      'image/jpeg',
+      'image/png'
     ];
     
     if (!allowedTypes.includes(document.mime_type)) {
       await ycloud.sendSmartMessage(from,
-        `⚠️ Unsupported file type: ${document.mime_type}\n\n✅ Please send:\n• PDF files (.pdf)\n• Word documents (.docx)`,
+        `⚠️ Unsupported file type: ${document.mime_type}\n\n✅ Please send:\n• PDF files (.pdf)\n• Word documents (.docx)\n• A clear photo of your CV (.jpg, .png)`,
         {
           inboundMessageId: messageId,
           messageType: 'instant_response'
@@ -996,6 +1070,61 @@ async function handleYCloudDocumentMessage(message, logger) {
     );
   }
 }
+// Voice note -> transcript, echoed back so the user can see what was understood.
+// Returns null (after telling the user) when it can't be transcribed.
+async function transcribeYCloudAudioMessage(message, logger) {
+  const { from, audio, id: messageId } = message;
+  const lang = await i18n.getLanguage(from);
+
+  if (!speechToText.isEnabled()) {
+    await ycloud.sendSmartMessage(from,
+      i18n.t(lang, 'voice.unavailable'),
+      { inboundMessageId: messageId, messageType: 'instant_response' }
+    );
+    return null;
+  }
+
+  try {
+    if (!audio) {
+      throw new Error('No audio found in message');
+    }
+
+    const downloadResult = await ycloud.downloadAudio(audio);
+    const transcript = await speechToText.transcribe(downloadResult.buffer, {
+      mimeType: downloadResult.mimeType || audio.mime_type
+    });
+
+    if (!transcript.text) {
+      await ycloud.sendSmartMessage(from,
+        i18n.t(lang, 'voice.unclear'),
+        { inboundMessageId: messageId, messageType: 'instant_response' }
+      );
+      return null;
+    }
+
+    const text = transcript.text.substring(0, 1000);
+
+    await ycloud.sendSmartMessage(from,
+      i18n.t(lang, 'voice.heard', { text }),
+      { inboundMessageId: messageId, messageType: 'instant_response' }
+    );
+
+    return text;
+
+  } catch (error) {
+    logger.error('Voice note transcription failed', {
+      from: from.substring(0, 6) + '***',
+      error: error.message
+    });
+
+    await ycloud.sendSmartMessage(from,
+      i18n.t(lang, 'voice.failed'),
+      { inboundMessageId: messageId, messageType: 'instant_response' }
+    );
+    return null;
+  }
+}
+
 function processJobData(rawJobData) {
     const jobId = uuidv4();
     
@@ -1132,42 +1261,6 @@ function hashIP(ip) {
     return crypto.createHash('sha256').update(ip + process.env.IP_SALT || 'default_salt').digest('hex');
 }
 
-async function insertJobToDatabase(jobData) {
-    const query = `
-        INSERT INTO jobs (
-            id, title, company, description, requirements, experience, salary,
-            location, state, email, phone, category, is_remote,
-            recruiter_id, expires_at, scraped_at, last_updated, source,
-            external_id, application_url, url
-        ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
-            $14, $15, $16, $17, $18, $19, $20, $21
-        )
-        RETURNING *
-    `;
-
-    const values = [
-        jobData.id, jobData.title, jobData.company, jobData.description,
-        jobData.requirements, jobData.experience, jobData.salary,
-        jobData.location, jobData.state, jobData.email, jobData.phone,
-        jobData.category, jobData.is_remote,
-        jobData.recruiter_id, jobData.expires_at, jobData.scraped_at,
-        jobData.last_updated, jobData.source, jobData.external_id,
-        jobData.application_url, jobData.url
-    ];
-
-    try {
-        const { rows } = await dbManager.query(query, values);
-        return rows[0];
-    } catch (error) {
-        logger.error('Database insertion error', {
-            error: error.message,
-            jobData: { id: jobData.id, title: jobData.title, company: jobData.company }
-        });
-        throw new Error('Failed to save job to database: ' + error.message);
-    }
-}
-
 function extractRequirementsFromDescription(description) {
     const requirementKeywords = [
         'bachelor', 'degree', 'certification', 'experience', 'years',
@@ -1508,11 +1601,197 @@ app.get('/payment/success', async (req, res) => {
   }
 });
 
+// ================================
+// APPLICATION STATUS (RECRUITER LINKS)
+// ================================
+
+function applicationStatusPage(title, message, extra = '') {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title} - SmartCVNaija</title>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
+        .container { max-width: 500px; margin: 0 auto; background: white; padding: 40px; border-radius: 10px; }
+        .message { color: #555; font-size: 16px; margin: 20px 0; }
+        button { background: #3498db; color: white; border: none; padding: 12px 24px; border-radius: 5px; font-size: 16px; cursor: pointer; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>${title}</h1>
+        <p class="message">${message}</p>
+        ${extra}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+function verifyStatusLink(req, res) {
+  const { applicationId, status } = req.params;
+  const { expires, sig } = req.method === 'POST' ? req.body : req.query;
+  const check = applicationStatus.verifyLink(applicationId, status, expires, sig);
+
+  if (!check.valid) {
+    res.status(check.reason === 'expired' ? 410 : 403).send(applicationStatusPage(
+      '⚠️ Link not valid',
+      check.reason === 'expired'
+        ? 'This status link has expired. Reply to the application email to reach the candidate.'
+        : 'This status link is invalid.'
+    ));
+    return null;
+  }
+
+  return { applicationId, status, expires, sig };
+}
+
+// Opening a link only shows a confirm page; nothing is recorded or sent until the POST,
+// so email link scanners that prefetch URLs can't mark, shortlist or reject anyone
+app.get('/applications/:applicationId/status/:status', async (req, res) => {
+  try {
+    const link = verifyStatusLink(req, res);
+    if (!link) return;
+
+    const application = await applicationStatus.getApplication(link.applicationId);
+    if (!application) {
+      return res.status(404).send(applicationStatusPage('⚠️ Not found', 'This application no longer exists.'));
+    }
+
+    const { emoji, label } = applicationStatus.lifecycle[link.status];
+    const current = application.lifecycle_status;
+
+    if (current === link.status) {
+      return res.send(applicationStatusPage(`${emoji} ${label}`, 'The application status is up to date.'));
+    }
+
+    if (!applicationStatus.canTransition(current, link.status)) {
+      return res.status(409).send(applicationStatusPage(
+        '⚠️ Status not changed',
+        `This application is already marked as "${applicationStatus.lifecycle[current].label}".`
+      ));
+    }
+
+    res.send(applicationStatusPage(
+      `${emoji} ${label}`,
+      'Confirm to update the application. The candidate will be notified on WhatsApp.',
+      `<form method="POST">
+        <input type="hidden" name="expires" value="${validator.escape(String(link.expires))}">
+        <input type="hidden" name="sig" value="${validator.escape(String(link.sig))}">
+        <button type="submit">Confirm: ${label}</button>
+      </form>`
+    ));
+
+  } catch (error) {
+    req.logger.error('Application status link error', { error: error.message });
+    res.status(500).send('System error occurred');
+  }
+});
+
+app.post('/applications/:applicationId/status/:status', async (req, res) => {
+  try {
+    const link = verifyStatusLink(req, res);
+    if (!link) return;
+
+    // Someone confirmed, so the recruiter has seen it; only the chosen status is messaged
+    if (link.status !== 'viewed') {
+      await applicationStatus.updateStatus(link.applicationId, 'viewed', { source: 'recruiter_link', notify: false });
+    }
+
+    const result = await applicationStatus.updateStatus(link.applicationId, link.status, { source: 'recruiter_link' });
+    const { emoji, label } = applicationStatus.lifecycle[link.status];
+
+    if (result.success) {
+      return res.send(applicationStatusPage(
+        `${emoji} ${label}`,
+        result.changed ? 'Thank you! The candidate has been notified.' : 'The application status is up to date.'
+      ));
+    }
+
+    if (result.reason === 'not_found') {
+      return res.status(404).send(applicationStatusPage('⚠️ Not found', 'This application no longer exists.'));
+    }
+
+    if (result.reason === 'invalid_transition') {
+      const current = applicationStatus.lifecycle[result.status];
+      return res.status(409).send(applicationStatusPage(
+        '⚠️ Status not changed',
+        `This application is already marked as "${current.label}".`
+      ));
+    }
+
+    res.status(500).send(applicationStatusPage('⚠️ Something went wrong', 'Please try the link again later.'));
+
+  } catch (error) {
+    req.logger.error('Application status update error', { error: error.message });
+    res.status(500).send('System error occurred');
+  }
+});
+
+// ================================
+// EMAIL TRACKING
+// ================================
+
+function trackingMeta(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+// Open pixel: always answer with the GIF, record in the background
+app.get('/email/open/:token', (req, res) => {
+  const payload = emailTracking.decode(req.params.token);
+
+  if (payload && payload.k === 'open') {
+    emailTracking.recordEvent('open', payload, trackingMeta(req));
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': emailTracking.pixel.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Pragma': 'no-cache'
+  });
+  res.end(emailTracking.pixel);
+});
+
+// Tracked links: only signed tokens are followed, so this is never an open redirect
+app.get('/email/click/:token', async (req, res) => {
+  try {
+    const payload = emailTracking.decode(req.params.token);
+
+    if (!payload || payload.k === 'open') {
+      return res.status(404).send('Link not found');
+    }
+
+    emailTracking.recordEvent('click', payload, trackingMeta(req));
+
+    if (payload.k === 'cv') {
+      const cv = await emailTracking.getCVFile(payload.a);
+
+      if (!cv || !cv.cv_filepath || !fs.existsSync(cv.cv_filepath)) {
+        return res.status(404).send('CV no longer available online. Please use the copy attached to the email.');
+      }
+
+      const ext = cv.cv_filepath.substring(cv.cv_filepath.lastIndexOf('.'));
+      return res.download(cv.cv_filepath, `${(cv.applicant_name || 'Candidate').replace(/\s+/g, '_')}_CV${ext}`);
+    }
+
+    res.redirect(302, payload.u);
+
+  } catch (error) {
+    req.logger.error('Tracked link error', { error: error.message });
+    res.status(500).send('System error occurred');
+  }
+});
+
 // ================================
 // ADMIN ENDPOINTS
 // ================================
+// Operational endpoints; the user support API lives in routes/admin.js (/api/admin)
 
-app.get('/admin/rate-limits/:phone', async (req, res) => {
+app.get('/admin/rate-limits/:phone', requireAdmin('users:read'), async (req, res) => {
   try {
     const phone = req.params.phone;
     const stats = {};
@@ -1534,7 +1813,7 @@ app.get('/admin/rate-limits/:phone', async (req, res) => {
   }
 });
 
-app.delete('/admin/rate-limits/:phone', async (req, res) => {
+app.delete('/admin/rate-limits/:phone', requireAdmin('users:support'), async (req, res) => {
   try {
     const phone = req.params.phone;
     const clearedCount = await RateLimiter.clearUserLimits(phone);
@@ -1552,6 +1831,90 @@ app.delete('/admin/rate-limits/:phone', async (req, res) => {
   }
 });
 
+app.get('/admin/job-categories/review', requireAdmin('users:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const queue = await jobCategorizer.getReviewQueue({ limit, offset });
+
+    res.json({
+      ...queue,
+      threshold: jobCategorizer.reviewThreshold,
+      classifier_version: jobCategorizer.version,
+      categories: JOB_CATEGORIES
+    });
+
+  } catch (error) {
+    req.logger.error('Error loading category review queue', { error: error.message });
+    res.status(500).json({ error: 'Failed to load review queue' });
+  }
+});
+
+app.post('/admin/job-categories/review/:reviewId', requireAdmin('users:support'), async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+  const { category } = req.body || {};
+
+  if (!reviewId || !JOB_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: 'A valid review id and category are required' });
+  }
+
+  try {
+    const result = await jobCategorizer.resolveReview(reviewId, category, req.admin.email.substring(0, 100));
+
+    if (!result.success) {
+      const status = result.reason === 'not_found' ? 404 : result.reason === 'invalid_category' ? 400 : 500;
+      return res.status(status).json({ error: `Review not resolved: ${result.reason}` });
+    }
+
+    res.json({
+      message: 'Job category updated',
+      job_id: result.jobId,
+      category: result.category,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.logger.error('Error resolving category review', { reviewId, error: error.message });
+    res.status(500).json({ error: 'Failed to resolve review' });
+  }
+});
+
+app.get('/admin/whatsapp/reachability', requireAdmin('users:read'), async (req, res) => {
+  try {
+    const status = ['reachable', 'unreachable', 'unknown'].includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const result = await whatsappDelivery.listReachability({ status, limit, offset });
+
+    res.json({
+      ...result,
+      users: result.users.map(user => ({ ...user, recipient: user.recipient.substring(0, 6) + '***' })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.logger.error('Error loading WhatsApp reachability', { error: error.message });
+    res.status(500).json({ error: 'Failed to load reachability' });
+  }
+});
+
+app.get('/admin/whatsapp/reachability/:phone', requireAdmin('users:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const report = await whatsappDelivery.getRecipientReport(req.params.phone, { limit });
+
+    res.json({
+      ...report,
+      recipient: report.recipient.substring(0, 6) + '***',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.logger.error('Error loading WhatsApp delivery report', { error: error.message });
+    res.status(500).json({ error: 'Failed to load delivery report' });
+  }
+});
+
 // ================================
 // ERROR HANDLING
 // ================================
@@ -1639,6 +2002,16 @@ const gracefulShutdown = async (signal) => {
       logger.info('Application worker closed');
     }
     
+    if (whatsappOutboundWorker && typeof whatsappOutboundWorker.close === 'function') {
+      await whatsappOutboundWorker.close();
+      logger.info('WhatsApp outbound worker closed');
+    }
+
+    if (scheduledMessagesWorker && typeof scheduledMessagesWorker.close === 'function') {
+      await scheduledMessagesWorker.close();
+      logger.info('Scheduled messages worker closed');
+    }
+
     await dbManager.close();
     logger.info('Database connection closed');
     
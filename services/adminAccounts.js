@@ -0,0 +1,289 @@
+// services/adminAccounts.js - Admin accounts, roles, magic-link login and the admin action log
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const dbManager = require('../config/database');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Each role includes everything the previous one can do
+const ROLES = ['viewer', 'support', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  // users, sessions, payments, applications, queues and reports
+  viewer: ['users:read'],
+  // resend applications, ban numbers, clear rate limits, resolve category reviews
+  support: ['users:read', 'users:support'],
+  // refunds and free credits, admin accounts, the action log
+  admin: ['users:read', 'users:support', 'billing:write', 'admins:manage']
+};
+
+class AdminAccountService {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: config.get('smtp.host'),
+      port: config.get('smtp.port'),
+      secure: false,
+      auth: {
+        user: config.get('smtp.user'),
+        pass: config.get('smtp.pass')
+      },
+      tls: {
+        rejectUnauthorized: false
+      }
+    });
+
+    this.roles = ROLES;
+    this.loginUrl = config.get('adminPortal.loginUrl') || `${config.get('baseUrl')}/admin/login`;
+    this.ownerEmails = config.get('adminPortal.ownerEmails')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    this.magicLinkTtl = config.get('adminPortal.magicLinkTtlMinutes') * 60;
+    this.sessionTtl = config.get('adminPortal.sessionTtlHours') * 3600;
+  }
+
+  // Tokens are only stored hashed
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  maskEmail(email) {
+    return email.replace(/(.{3}).*(@.*)/, '$1***$2');
+  }
+
+  can(admin, permission) {
+    return !!admin && (ROLE_PERMISSIONS[admin.role] || []).includes(permission);
+  }
+
+  // ================================
+  // LOGIN
+  // ================================
+
+  /**
+   * Email a one-time login link to an active admin. Owner emails get an
+   * admin account on first use; unknown addresses get nothing.
+   */
+  async requestMagicLink(email) {
+    try {
+      const normalizedEmail = email.toLowerCase().trim();
+
+      if (this.ownerEmails.includes(normalizedEmail)) {
+        await dbManager.query(`
+          INSERT INTO admin_users (id, email, role)
+          VALUES ($1, $2, 'admin')
+          ON CONFLICT (email) DO UPDATE SET role = 'admin', disabled_at = NULL, updated_at = NOW()
+        `, [uuidv4(), normalizedEmail]);
+      }
+
+      const { rows: [admin] } = await dbManager.query(
+        'SELECT * FROM admin_users WHERE email = $1 AND disabled_at IS NULL',
+        [normalizedEmail]
+      );
+
+      if (!admin) {
+        logger.warn('Admin login requested for unknown email', { email: this.maskEmail(normalizedEmail) });
+        return false;
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await redis.set(`admin_login:${this.hashToken(token)}`, admin.id, 'EX', this.magicLinkTtl);
+
+      const link = `${this.loginUrl}?token=${token}`;
+      const minutes = Math.round(this.magicLinkTtl / 60);
+
+      await this.transporter.sendMail({
+        from: '"SmartCV Naija Admin" <recruit@smartcvnaija.com.ng>',
+        to: normalizedEmail,
+        subject: 'Your SmartCV Naija admin login link',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #667eea;">Sign in to SmartCV Naija admin</h2>
+            <p>Hello${admin.name ? ` ${admin.name}` : ''},</p>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${link}" style="background: #3498db; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Sign in</a>
+            </p>
+            <p style="color: #666; font-size: 0.9em;">This link expires in ${minutes} minutes and can only be used once. If you didn't request it, tell the team.</p>
+          </div>
+        `,
+        text: `Sign in to SmartCV Naija admin: ${link}\n\nThis link expires in ${minutes} minutes and can only be used once.`
+      });
+
+      logger.info('Admin magic link sent', { email: this.maskEmail(normalizedEmail), adminId: admin.id });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to send admin magic link', {
+        email: this.maskEmail(email),
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Exchange a magic-link token for a session
+   */
+  async verifyMagicLink(token) {
+    try {
+      const key = `admin_login:${this.hashToken(token)}`;
+      const [[, adminId]] = await redis.multi().get(key).del(key).exec();
+
+      if (!adminId) {
+        return { success: false, reason: 'invalid_or_expired' };
+      }
+
+      const { rows: [admin] } = await dbManager.query(`
+        UPDATE admin_users SET last_login_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND disabled_at IS NULL
+        RETURNING *
+      `, [adminId]);
+
+      if (!admin) {
+        return { success: false, reason: 'invalid_or_expired' };
+      }
+
+      const sessionToken = crypto.randomBytes(32).toString('base64url');
+      await redis.set(`admin_session:${this.hashToken(sessionToken)}`, admin.id, 'EX', this.sessionTtl);
+
+      logger.info('Admin logged in', { adminId: admin.id, role: admin.role });
+
+      return {
+        success: true,
+        sessionToken,
+        expiresAt: new Date(Date.now() + this.sessionTtl * 1000).toISOString(),
+        admin: this.toPublic(admin)
+      };
+
+    } catch (error) {
+      logger.error('Failed to verify admin magic link', { error: error.message });
+      return { success: false, reason: 'error' };
+    }
+  }
+
+  /**
+   * Active admin for a session token, or null. Role changes and disabling take effect immediately.
+   */
+  async authenticate(sessionToken) {
+    try {
+      if (!sessionToken) return null;
+
+      const adminId = await redis.get(`admin_session:${this.hashToken(sessionToken)}`);
+      if (!adminId) return null;
+
+      const { rows: [admin] } = await dbManager.query(
+        'SELECT * FROM admin_users WHERE id = $1 AND disabled_at IS NULL',
+        [adminId]
+      );
+
+      return admin || null;
+
+    } catch (error) {
+      logger.error('Admin authentication failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async logout(sessionToken) {
+    await redis.del(`admin_session:${this.hashToken(sessionToken)}`);
+  }
+
+  toPublic(admin) {
+    return {
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role,
+      permissions: ROLE_PERMISSIONS[admin.role] || [],
+      disabledAt: admin.disabled_at,
+      lastLoginAt: admin.last_login_at,
+      createdAt: admin.created_at
+    };
+  }
+
+  // ================================
+  // ACCOUNTS
+  // ================================
+
+  async listAdmins() {
+    const result = await dbManager.query('SELECT * FROM admin_users ORDER BY created_at');
+    return result.rows.map(admin => this.toPublic(admin));
+  }
+
+  /**
+   * Add an admin or change their role; re-enables a disabled account
+   */
+  async saveAdmin(actor, { email, name = null, role }) {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const { rows: [admin] } = await dbManager.query(`
+      INSERT INTO admin_users (id, email, name, role, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (email) DO UPDATE SET
+        name = COALESCE(EXCLUDED.name, admin_users.name),
+        role = EXCLUDED.role,
+        disabled_at = NULL,
+        updated_at = NOW()
+      RETURNING *
+    `, [uuidv4(), normalizedEmail, name, role, actor.id]);
+
+    await this.audit(actor, 'admin.save', normalizedEmail, { role });
+    return this.toPublic(admin);
+  }
+
+  /**
+   * Disable an account. Owners and the caller's own account can't be disabled.
+   */
+  async disableAdmin(actor, adminId) {
+    const { rows: [admin] } = await dbManager.query('SELECT * FROM admin_users WHERE id = $1', [adminId]);
+
+    if (!admin) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (admin.id === actor.id || this.ownerEmails.includes(admin.email)) {
+      return { success: false, reason: 'protected' };
+    }
+
+    await dbManager.query(
+      'UPDATE admin_users SET disabled_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [adminId]
+    );
+
+    await this.audit(actor, 'admin.disable', admin.email);
+    return { success: true };
+  }
+
+  // ================================
+  // ACTION LOG
+  // ================================
+
+  /**
+   * Record an admin action. Never throws; a failed log write must not undo the action.
+   */
+  async audit(admin, action, target, details = {}) {
+    try {
+      await dbManager.query(`
+        INSERT INTO admin_audit_log (admin_id, admin_email, action, target, details)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [admin?.id || null, admin?.email || null, action, target, JSON.stringify(details)]);
+    } catch (error) {
+      logger.error('Failed to write admin audit log', { action, error: error.message });
+    }
+  }
+
+  async listAudit({ target = null, limit = 50, offset = 0 } = {}) {
+    const result = await dbManager.query(`
+      SELECT id, admin_id, admin_email, action, target, details, created_at
+      FROM admin_audit_log
+      WHERE ($1::text IS NULL OR target = $1)
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [target, limit, offset]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new AdminAccountService();
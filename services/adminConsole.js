@@ -0,0 +1,472 @@
+// services/adminConsole.js - Support tooling: user lookup, credits, wallets and refunds, resends and bans
+
+const fs = require('fs');
+const { Queue } = require('bullmq');
+const dbManager = require('../config/database');
+const { redis, queueRedis } = require('../config/redis');
+const logger = require('../utils/logger');
+const { getSessionContext, getSessionState, getSessionData } = require('../utils/sessionContext');
+const { normalizePhone } = require('../utils/phone');
+const adminAccounts = require('./adminAccounts');
+const paystackService = require('./paystack');
+const productCatalog = require('./productCatalog');
+const creditLedger = require('./creditLedger');
+const wallet = require('./wallet');
+const paymentChannels = require('./paymentChannels');
+const cvLibrary = require('./cvLibrary');
+const i18n = require('./i18n');
+const whatsappDelivery = require('./whatsappDelivery');
+
+const applicationQueue = new Queue('job-applications', { connection: queueRedis, prefix: 'queue:' });
+
+const BAN_CACHE_TTL_SECONDS = 300;
+
+// Delivery statuses an admin may resend
+const RESENDABLE_STATUSES = ['email_failed', 'failed'];
+
+class AdminConsoleService {
+  maskPhone(phone) {
+    return phone.substring(0, 6) + '***';
+  }
+
+  // ================================
+  // USERS
+  // ================================
+
+  /**
+   * Users whose number contains the digits, most recently active first
+   */
+  async searchUsers(query, { limit = 20 } = {}) {
+    const digits = String(query).replace(/\D/g, '');
+
+    const result = await dbManager.query(`
+      SELECT user_identifier, MAX(last_seen) AS last_seen
+      FROM (
+        SELECT user_identifier, updated_at AS last_seen FROM daily_usage
+        UNION ALL
+        SELECT user_identifier, created_at FROM credit_ledger
+        UNION ALL
+        SELECT user_identifier, created_at FROM wallet_transactions
+        UNION ALL
+        SELECT user_identifier, applied_at FROM applications
+        UNION ALL
+        SELECT user_identifier, created_at FROM user_cvs WHERE deleted_at IS NULL
+      ) activity
+      WHERE user_identifier LIKE $1
+      GROUP BY user_identifier
+      ORDER BY MAX(last_seen) DESC NULLS LAST
+      LIMIT $2
+    `, [`%${digits}%`, limit]);
+
+    const bans = await this.getActiveBans(result.rows.map(row => row.user_identifier));
+
+    return result.rows.map(row => ({
+      phone: row.user_identifier,
+      lastSeen: row.last_seen,
+      banned: bans.has(row.user_identifier)
+    }));
+  }
+
+  /**
+   * Everything support needs about one user
+   */
+  async getUser(phone, { applicationLimit = 50 } = {}) {
+    const identifier = normalizePhone(phone);
+
+    const [usage, purchases, ledger, walletSummary, ban, applications, cvs, language, state, data, context, delivery] = await Promise.all([
+      this.getUsage(identifier),
+      productCatalog.listPurchases(identifier, { limit: 10 }),
+      creditLedger.listEntries(identifier, { limit: 30 }),
+      this.getWallet(identifier, { limit: 10 }),
+      this.getBan(identifier),
+      this.listApplications(identifier, { limit: applicationLimit }),
+      cvLibrary.listCVs(identifier),
+      i18n.getPreference(identifier),
+      getSessionState(identifier),
+      getSessionData(identifier),
+      getSessionContext(identifier),
+      whatsappDelivery.getRecipientReport(identifier, { limit: 10 })
+    ]);
+
+    return {
+      phone: identifier,
+      usage,
+      purchases,
+      ledger,
+      wallet: walletSummary,
+      ban,
+      language,
+      session: { state, data, context },
+      applications,
+      cvs: cvs.map(cv => ({
+        id: cv.id,
+        version: cv.version,
+        label: cv.label,
+        isDefault: cv.is_default,
+        createdAt: cv.created_at
+      })),
+      whatsapp: {
+        reachability: delivery.reachability,
+        last30Days: delivery.last30Days
+      },
+      history: await adminAccounts.listAudit({ target: identifier, limit: 20 })
+    };
+  }
+
+  /**
+   * Credits from the ledger and the last thing the user bought
+   */
+  async getUsage(identifier) {
+    const [balance, lastPurchase] = await Promise.all([
+      creditLedger.getBalance(identifier),
+      productCatalog.lastPurchase(identifier)
+    ]);
+
+    return {
+      remaining: balance.remaining,
+      usedToday: balance.usedToday,
+      validUntil: balance.validUntil,
+      active: balance.remaining > 0,
+      lastPurchase: lastPurchase && {
+        reference: lastPurchase.reference,
+        product: lastPurchase.product_code,
+        status: lastPurchase.status,
+        amountKobo: lastPurchase.amount_kobo,
+        createdAt: lastPurchase.created_at
+      }
+    };
+  }
+
+  /**
+   * The user's most recent paid (or refunded) payment: catalog purchases first,
+   * then the daily_usage record from before the catalog
+   */
+  async getLastPayment(identifier) {
+    const { rows: [purchase] } = await dbManager.query(`
+      SELECT reference, status FROM credit_purchases
+      WHERE user_identifier = $1 AND status IN ('completed', 'refunded')
+      ORDER BY completed_at DESC
+      LIMIT 1
+    `, [identifier]);
+
+    if (purchase) return purchase;
+
+    const { rows: [legacy] } = await dbManager.query(`
+      SELECT payment_reference AS reference, payment_status AS status FROM daily_usage
+      WHERE user_identifier = $1 AND payment_reference IS NOT NULL
+    `, [identifier]);
+
+    return legacy || null;
+  }
+
+  /**
+   * Applications with job, delivery status, lifecycle and ATS score
+   */
+  async listApplications(identifier, { limit = 50 } = {}) {
+    const result = await dbManager.query(`
+      SELECT a.id, a.job_id, j.title AS job_title, j.company, a.applied_at,
+             a.status AS delivery_status, a.error_message, a.email_sent_at,
+             a.lifecycle_status, a.lifecycle_updated_at,
+             s.overall_score AS ats_score, s.processing_status AS ats_status,
+             s.skill_match_score, s.experience_match_score, s.education_match_score
+      FROM applications a
+      LEFT JOIN jobs j ON j.id::text = a.job_id::text
+      LEFT JOIN ats_scores s ON s.application_id = a.id
+      WHERE a.user_identifier = $1
+      ORDER BY a.applied_at DESC
+      LIMIT $2
+    `, [identifier, limit]);
+
+    return result.rows;
+  }
+
+  // ================================
+  // CREDITS AND REFUNDS
+  // ================================
+
+  /**
+   * Add free applications that expire after `hours`. Other credits are untouched.
+   */
+  async grantCredits(admin, phone, { count, hours = 24, reason }) {
+    const identifier = normalizePhone(phone);
+
+    await creditLedger.grant(identifier, {
+      credits: count,
+      hours,
+      source: 'admin',
+      createdBy: admin.email,
+      details: { reason }
+    });
+    const usage = await this.getUsage(identifier);
+
+    await adminAccounts.audit(admin, 'credits.grant', identifier, { count, hours, reason });
+
+    logger.info('Admin granted free applications', {
+      phone: this.maskPhone(identifier),
+      adminId: admin.id,
+      count
+    });
+
+    return usage;
+  }
+
+  /**
+   * Wallet balance, movements, top-ups and the bank transfer account, newest first
+   */
+  async getWallet(identifier, { limit = 50 } = {}) {
+    const [balanceKobo, transactions, topUps, dedicatedAccount] = await Promise.all([
+      wallet.getBalance(identifier),
+      wallet.listTransactions(identifier, { limit }),
+      wallet.listTopUps(identifier, { limit: 10 }),
+      paymentChannels.getDedicatedAccount(identifier)
+    ]);
+
+    return { balanceKobo, applicationPriceKobo: wallet.applicationPriceKobo, transactions, topUps, dedicatedAccount };
+  }
+
+  /**
+   * Add or remove wallet money by hand. Returns null when removing more than the balance.
+   */
+  async adjustWallet(admin, phone, { amountKobo, reason }) {
+    const identifier = normalizePhone(phone);
+
+    const balanceKobo = await wallet.adjust(identifier, amountKobo, { createdBy: admin.email, reason });
+    if (balanceKobo === null) {
+      return null;
+    }
+
+    await adminAccounts.audit(admin, 'wallet.adjust', identifier, { amountKobo, reason });
+
+    logger.info('Admin adjusted wallet', {
+      phone: this.maskPhone(identifier),
+      adminId: admin.id,
+      amountKobo
+    });
+
+    return { balanceKobo };
+  }
+
+  /**
+   * Refund the user's last Paystack payment and remove what it bought
+   */
+  async refundPayment(admin, phone, { reason }) {
+    const identifier = normalizePhone(phone);
+    const payment = await this.getLastPayment(identifier);
+
+    if (!payment) {
+      return { success: false, reason: 'no_payment' };
+    }
+    if (payment.status !== 'completed') {
+      return { success: false, reason: payment.status === 'refunded' ? 'already_refunded' : 'not_paid' };
+    }
+
+    const refund = await paystackService.refundPayment(payment.reference);
+    if (!refund.success) {
+      await adminAccounts.audit(admin, 'payment.refund_failed', identifier, {
+        reference: payment.reference,
+        error: refund.error
+      });
+      return { success: false, reason: 'paystack_failed', error: refund.error };
+    }
+
+    const revoked = await productCatalog.markRefunded(payment.reference, { createdBy: admin.email, reason });
+    await dbManager.query(`
+      UPDATE daily_usage SET payment_status = 'refunded', updated_at = NOW()
+      WHERE user_identifier = $1 AND payment_reference = $2
+    `, [identifier, payment.reference]);
+
+    await adminAccounts.audit(admin, 'payment.refund', identifier, {
+      reference: payment.reference,
+      refundStatus: refund.refund?.status,
+      creditsRevoked: revoked,
+      reason
+    });
+
+    logger.info('Admin refunded payment', {
+      phone: this.maskPhone(identifier),
+      adminId: admin.id,
+      reference: payment.reference
+    });
+
+    return { success: true, reference: payment.reference, creditsRevoked: revoked, refund: refund.refund };
+  }
+
+  // ================================
+  // APPLICATIONS
+  // ================================
+
+  /**
+   * Queue failed applications again with the user's default CV. The worker
+   * creates fresh application records; the old ones are marked 'resent'.
+   * No credits are charged. applicationIds limits the resend, otherwise all failed ones go.
+   */
+  async resendApplications(admin, phone, applicationIds = null) {
+    const identifier = normalizePhone(phone);
+
+    const { rows: failed } = await dbManager.query(`
+      SELECT a.id AS application_id, j.*
+      FROM applications a
+      JOIN jobs j ON j.id::text = a.job_id::text
+      WHERE a.user_identifier = $1
+        AND a.status = ANY($2)
+        AND ($3::text[] IS NULL OR a.id::text = ANY($3))
+      ORDER BY a.applied_at
+    `, [identifier, RESENDABLE_STATUSES, applicationIds]);
+
+    if (failed.length === 0) {
+      return { success: false, reason: 'nothing_to_resend' };
+    }
+
+    const cv = await cvLibrary.getDefaultCV(identifier);
+    if (!cv || !fs.existsSync(cv.filepath)) {
+      return { success: false, reason: 'cv_missing' };
+    }
+
+    const applicationId = `resend_${identifier}_${Date.now()}`;
+    const jobs = failed.map(({ application_id, ...job }) => job);
+
+    await applicationQueue.add(
+      'process-smart-applications',
+      {
+        identifier,
+        file: {
+          originalname: cv.original_name,
+          mimetype: cv.mimetype,
+          size: cv.size,
+          filepath: cv.filepath,
+          filename: cv.filename
+        },
+        jobs,
+        applicationId,
+        timestamp: Date.now(),
+        processingStrategy: 'file_path'
+      },
+      {
+        priority: 1,
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 2000 },
+        removeOnComplete: 30,
+        removeOnFail: 15
+      }
+    );
+
+    const resentIds = failed.map(row => row.application_id);
+    await dbManager.query(
+      `UPDATE applications SET status = 'resent' WHERE id::text = ANY($1)`,
+      [resentIds.map(String)]
+    );
+
+    await adminAccounts.audit(admin, 'application.resend', identifier, {
+      applicationIds: resentIds,
+      queueId: applicationId,
+      cvVersion: cv.version
+    });
+
+    logger.info('Admin resent failed applications', {
+      phone: this.maskPhone(identifier),
+      adminId: admin.id,
+      count: resentIds.length
+    });
+
+    return { success: true, queueId: applicationId, resent: resentIds, cvVersion: cv.version };
+  }
+
+  // ================================
+  // BANS
+  // ================================
+
+  async getBan(identifier) {
+    const { rows: [ban] } = await dbManager.query(`
+      SELECT user_identifier, reason, banned_by, expires_at, created_at
+      FROM user_bans
+      WHERE user_identifier = $1 AND (expires_at IS NULL OR expires_at > NOW())
+    `, [identifier]);
+
+    return ban || null;
+  }
+
+  async getActiveBans(identifiers) {
+    if (identifiers.length === 0) return new Set();
+
+    const { rows } = await dbManager.query(`
+      SELECT user_identifier FROM user_bans
+      WHERE user_identifier = ANY($1) AND (expires_at IS NULL OR expires_at > NOW())
+    `, [identifiers]);
+
+    return new Set(rows.map(row => row.user_identifier));
+  }
+
+  async listBans({ limit = 50, offset = 0 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT user_identifier, reason, banned_by, expires_at, created_at
+      FROM user_bans
+      WHERE expires_at IS NULL OR expires_at > NOW()
+      ORDER BY created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    return rows;
+  }
+
+  /**
+   * Ban a number; days omitted = permanent
+   */
+  async banUser(admin, phone, { reason, days = null }) {
+    const identifier = normalizePhone(phone);
+
+    const { rows: [ban] } = await dbManager.query(`
+      INSERT INTO user_bans (user_identifier, reason, banned_by, expires_at)
+      VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $4::int) END)
+      ON CONFLICT (user_identifier) DO UPDATE SET
+        reason = EXCLUDED.reason,
+        banned_by = EXCLUDED.banned_by,
+        expires_at = EXCLUDED.expires_at,
+        created_at = NOW()
+      RETURNING *
+    `, [identifier, reason, admin.id, days]);
+
+    await redis.del(`banned:${identifier}`);
+    await adminAccounts.audit(admin, 'user.ban', identifier, { reason, days });
+
+    logger.warn('User banned', { phone: this.maskPhone(identifier), adminId: admin.id, days });
+    return ban;
+  }
+
+  async unbanUser(admin, phone) {
+    const identifier = normalizePhone(phone);
+
+    const result = await dbManager.query('DELETE FROM user_bans WHERE user_identifier = $1', [identifier]);
+
+    await redis.del(`banned:${identifier}`);
+    if (result.rowCount > 0) {
+      await adminAccounts.audit(admin, 'user.unban', identifier);
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Checked for every inbound WhatsApp message, so cached briefly.
+   * Fails open: a database problem must not silence every user.
+   */
+  async isBanned(phone) {
+    const identifier = normalizePhone(phone);
+
+    try {
+      const cached = await redis.get(`banned:${identifier}`);
+      if (cached !== null) {
+        return cached === '1';
+      }
+
+      const banned = !!(await this.getBan(identifier));
+      await redis.set(`banned:${identifier}`, banned ? '1' : '0', 'EX', BAN_CACHE_TTL_SECONDS);
+      return banned;
+
+    } catch (error) {
+      logger.error('Ban check failed', { phone: this.maskPhone(identifier), error: error.message });
+      return false;
+    }
+  }
+}
+
+module.exports = new AdminConsoleService();
@@ -0,0 +1,422 @@
+// services/aiProviders.js - Single registry for AI chat-completion providers
+// Ordering, per-task models, circuit breakers and token/cost accounting live here;
+// workers/openai.js and services/openai.js both go through it.
+
+const axios = require('axios');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Per-task defaults. models: provider -> model; unset providers use their defaultModel
+const TASKS = {
+  intent: { maxTokens: 800, temperature: 0.6 },
+  query_expansion: { maxTokens: 300, temperature: 0.4 },
+  ats_analysis: { maxTokens: 800, temperature: 0.3 },
+  cover_letter: { maxTokens: 1500, temperature: 0.7 },
+  cv_extraction: { maxTokens: 500, temperature: 0.3 },
+  default: { maxTokens: 800, temperature: 0.6 }
+};
+
+// USD per 1M tokens
+const PRICING = {
+  'Qwen/Qwen3-235B-A22B-Instruct-2507-tput': { input: 0.2, output: 0.6 },
+  'mistral-small': { input: 0.2, output: 0.6 },
+  'mock': { input: 0, output: 0 }
+};
+
+class OpenAICompatibleProvider {
+  constructor({ name, url, apiKey, defaultModel, timeout = 90000 }) {
+    this.name = name;
+    this.url = url;
+    this.apiKey = apiKey;
+    this.defaultModel = defaultModel;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.apiKey.trim() !== '');
+  }
+
+  async complete(messages, { model, maxTokens, temperature, timeout }) {
+    const response = await axios.post(
+      this.url,
+      {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        top_p: 0.9
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: timeout || this.timeout
+      }
+    );
+
+    return {
+      content: response.data.choices[0].message.content,
+      usage: response.data.usage ? {
+        promptTokens: response.data.usage.prompt_tokens || 0,
+        completionTokens: response.data.usage.completion_tokens || 0
+      } : null
+    };
+  }
+}
+
+/**
+ * Deterministic offline provider. Same input always gives the same output,
+ * so the bot and workers can run in tests without network access.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultModel = 'mock';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(messages, { task }) {
+    const last = messages[messages.length - 1]?.content || '';
+    const handler = this[`mock_${task}`] || this.mock_default;
+    return { content: handler.call(this, last, messages), usage: null };
+  }
+
+  mock_intent(text) {
+    const lower = text.toLowerCase();
+    const location = ['lagos', 'abuja', 'port harcourt', 'kano', 'ibadan', 'enugu', 'remote']
+      .find(city => lower.includes(city));
+    const roles = {
+      accountant: 'accounting_finance', accounting: 'accounting_finance',
+      developer: 'it_software', software: 'it_software',
+      sales: 'marketing_sales', marketing: 'marketing_sales',
+      nurse: 'healthcare_medical', engineer: 'engineering_technical',
+      teacher: 'education_training', driver: 'transport_driving'
+    };
+    const role = Object.keys(roles).find(keyword => lower.includes(keyword));
+
+    if (role && location) {
+      return JSON.stringify({
+        action: 'search_jobs',
+        response: `Searching for ${role} jobs in ${location}...`,
+        filters: {
+          title: roles[role],
+          location: location === 'remote' ? null : location.replace(/\b\w/g, c => c.toUpperCase()),
+          remote: location === 'remote'
+        }
+      });
+    }
+
+    if (role || location) {
+      return JSON.stringify({
+        action: 'clarify',
+        response: role ? 'Which location? Lagos, Abuja, Port Harcourt, or Remote?' : 'What kind of job are you looking for?'
+      });
+    }
+
+    return JSON.stringify({ action: 'chat', response: 'I can help you find jobs in Nigeria. Try "accountant jobs in Lagos".' });
+  }
+
+  mock_query_expansion(text) {
+    const query = (text.match(/"([^"]+)"/) || [null, text])[1].toLowerCase();
+    const words = query.split(/\s+/).filter(word => word.length > 2);
+    return JSON.stringify({
+      must_include: words.length > 0 ? words : [query],
+      must_exclude: [],
+      related_terms: [],
+      boost_terms: words.slice(0, 2),
+      confidence: 0.5
+    });
+  }
+
+  mock_ats_analysis() {
+    return JSON.stringify({
+      matched_keywords: [],
+      missing_keywords: [],
+      skill_match_score: 60,
+      experience_match_score: 60,
+      education_match_score: 60,
+      strengths: ['CV submitted'],
+      weaknesses: ['Mock analysis'],
+      recommendations: ['Review job description carefully']
+    });
+  }
+
+  mock_cover_letter(text) {
+    const field = (label, fallback) => ((text.match(new RegExp(`^${label}:\\s*(.+)$`, 'mi')) || [null, fallback])[1]).trim();
+    const title = field('Position', 'this role');
+    const company = field('Company', 'your organization');
+    const applicant = field('Applicant', '[Your Name]');
+    return `Dear Hiring Manager,\n\nI am writing to apply for the ${title} position at ${company}. My experience and skills make me a strong fit, and I would welcome the opportunity to contribute to your team.\n\nThank you for considering my application.\n\nBest regards,\n${applicant}`;
+  }
+
+  mock_cv_extraction(text) {
+    const cvText = text.split(/CV TEXT:\s*/i)[1] || text;
+    const firstLine = cvText.split('\n').map(line => line.trim()).find(Boolean) || '';
+    const email = cvText.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
+    const phone = cvText.match(/(?:\+?234|0)[789][01]\d{8}/);
+    return JSON.stringify({
+      name: /^[A-Za-z][A-Za-z'-]+(\s+[A-Za-z][A-Za-z'-]+){1,3}$/.test(firstLine) ? firstLine : '',
+      email: email ? email[0] : '',
+      phone: phone ? phone[0] : '',
+      confidence: 0.5,
+      nameLocation: 'top_of_document'
+    });
+  }
+
+  mock_default() {
+    return JSON.stringify({ action: 'chat', response: 'OK' });
+  }
+}
+
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.breakers = new Map();
+
+    this.breakerThreshold = config.get('ai.breakerThreshold');
+    this.breakerCooldownMs = config.get('ai.breakerCooldownMs');
+    this.mockMode = config.get('ai.mock');
+    this.order = config.get('ai.providerOrder').split(',').map(name => name.trim()).filter(Boolean);
+    this.taskModels = this.parseTaskModels(config.get('ai.taskModels'));
+
+    // Process-local totals; daily totals across processes live in Redis
+    this.totals = { calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+
+    this.register(new OpenAICompatibleProvider({
+      name: 'together',
+      url: 'https://api.together.xyz/v1/chat/completions',
+      apiKey: config.get('ai.togetherKey'),
+      defaultModel: 'Qwen/Qwen3-235B-A22B-Instruct-2507-tput'
+    }));
+
+    this.register(new OpenAICompatibleProvider({
+      name: 'mistral',
+      url: 'https://api.mistral.ai/v1/chat/completions',
+      apiKey: config.get('ai.mistralKey'),
+      defaultModel: 'mistral-small'
+    }));
+
+    this.register(new OpenAICompatibleProvider({
+      name: 'openai',
+      url: 'https://api.openai.com/v1/chat/completions',
+      apiKey: config.get('openai.key'),
+      defaultModel: 'gpt-4o-mini'
+    }));
+
+    this.register(new MockProvider());
+  }
+
+  /**
+   * Add or replace a provider: { name, defaultModel, isConfigured(), complete(messages, options) }
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    this.breakers.set(provider.name, { state: 'closed', failures: 0, openedAt: 0 });
+  }
+
+  parseTaskModels(spec) {
+    const overrides = {};
+
+    (spec || '').split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const [task, target] = part.split('=');
+      if (!task || !target || !target.includes(':')) {
+        logger.warn('Ignoring malformed AI task model override', { override: part });
+        return;
+      }
+      const separator = target.indexOf(':');
+      overrides[task.trim()] = {
+        provider: target.substring(0, separator).trim(),
+        model: target.substring(separator + 1).trim()
+      };
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Providers to try for a task, in order
+   */
+  getProviderChain(task, preferredProvider = null) {
+    if (this.mockMode) return ['mock'];
+
+    const override = this.taskModels[task];
+    const chain = [preferredProvider, override?.provider, ...this.order]
+      .filter(Boolean)
+      .filter((name, index, all) => all.indexOf(name) === index)
+      .filter(name => this.providers.has(name) && name !== 'mock');
+
+    return chain.filter(name => this.providers.get(name).isConfigured());
+  }
+
+  getModel(task, providerName) {
+    const override = this.taskModels[task];
+    if (override && override.provider === providerName) return override.model;
+    return this.providers.get(providerName).defaultModel;
+  }
+
+  // ---- Circuit breaker ----
+
+  canAttempt(providerName) {
+    const breaker = this.breakers.get(providerName);
+
+    if (breaker.state === 'open') {
+      if (Date.now() - breaker.openedAt < this.breakerCooldownMs) return false;
+      breaker.state = 'half_open';
+      logger.info('AI provider circuit half-open, sending trial request', { provider: providerName });
+    }
+
+    return true;
+  }
+
+  recordSuccess(providerName) {
+    const breaker = this.breakers.get(providerName);
+    if (breaker.state !== 'closed') {
+      logger.info('AI provider circuit closed', { provider: providerName });
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+  }
+
+  recordFailure(providerName) {
+    const breaker = this.breakers.get(providerName);
+    breaker.failures++;
+
+    if (breaker.state === 'half_open' || breaker.failures >= this.breakerThreshold) {
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+      logger.warn('AI provider circuit opened', {
+        provider: providerName,
+        failures: breaker.failures,
+        cooldownMs: this.breakerCooldownMs
+      });
+    }
+  }
+
+  // ---- Accounting ----
+
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async recordUsage(providerName, model, task, usage, durationMs) {
+    const cost = PRICING[model] || { input: 0, output: 0 };
+    const costUsd = (usage.promptTokens * cost.input + usage.completionTokens * cost.output) / 1000000;
+
+    this.totals.calls++;
+    this.totals.promptTokens += usage.promptTokens;
+    this.totals.completionTokens += usage.completionTokens;
+    this.totals.costUsd += costUsd;
+
+    logger.info('AI call completed', {
+      provider: providerName,
+      model,
+      task,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      estimated: !!usage.estimated,
+      costUsd: Number(costUsd.toFixed(6)),
+      duration: `${durationMs}ms`
+    });
+
+    try {
+      const key = `ai_usage:${new Date().toISOString().split('T')[0]}`;
+      const prefix = `${providerName}:${task}`;
+      await redis.multi()
+        .hincrby(key, `${prefix}:calls`, 1)
+        .hincrby(key, `${prefix}:prompt_tokens`, usage.promptTokens)
+        .hincrby(key, `${prefix}:completion_tokens`, usage.completionTokens)
+        .hincrbyfloat(key, `${prefix}:cost_usd`, costUsd)
+        .expire(key, 30 * 24 * 3600)
+        .exec();
+    } catch (error) {
+      logger.warn('Failed to record AI usage', { error: error.message });
+    }
+
+    return costUsd;
+  }
+
+  /**
+   * Run a chat completion for a task, falling through providers in order.
+   * Returns { content, provider, model, usage, costUsd }.
+   */
+  async complete(messages, options = {}) {
+    const task = TASKS[options.task] ? options.task : 'default';
+    const settings = { ...TASKS[task], ...options, task };
+    const chain = this.getProviderChain(task, options.provider);
+
+    if (chain.length === 0) {
+      throw new Error('No AI providers configured');
+    }
+
+    let lastError = null;
+
+    for (const providerName of chain) {
+      if (!this.canAttempt(providerName)) {
+        logger.info('Skipping AI provider with open circuit', { provider: providerName, task });
+        continue;
+      }
+
+      const provider = this.providers.get(providerName);
+      const model = this.getModel(task, providerName);
+      const startTime = Date.now();
+
+      try {
+        const result = await provider.complete(messages, { ...settings, model });
+
+        const usage = result.usage || {
+          promptTokens: this.estimateTokens(messages.map(m => m.content).join('\n')),
+          completionTokens: this.estimateTokens(result.content),
+          estimated: true
+        };
+
+        this.recordSuccess(providerName);
+        const costUsd = await this.recordUsage(providerName, model, task, usage, Date.now() - startTime);
+
+        return { content: result.content, provider: providerName, model, usage, costUsd };
+
+      } catch (error) {
+        lastError = error;
+        this.totals.failures++;
+        this.recordFailure(providerName);
+        logger.error(`${providerName} AI call failed`, { task, model, error: error.message });
+      }
+    }
+
+    throw lastError || new Error('All AI providers unavailable (circuits open)');
+  }
+
+  /**
+   * Breaker states plus process and daily usage, for monitoring endpoints
+   */
+  async getStats(date = new Date().toISOString().split('T')[0]) {
+    const breakers = {};
+    for (const [name, breaker] of this.breakers.entries()) {
+      if (name === 'mock' && !this.mockMode) continue;
+      breakers[name] = { state: breaker.state, failures: breaker.failures };
+    }
+
+    let daily = {};
+    try {
+      daily = await redis.hgetall(`ai_usage:${date}`) || {};
+    } catch (error) {
+      logger.warn('Failed to read AI usage', { error: error.message });
+    }
+
+    return {
+      mockMode: this.mockMode,
+      order: this.order,
+      breakers,
+      process: { ...this.totals, costUsd: Number(this.totals.costUsd.toFixed(6)) },
+      daily
+    };
+  }
+}
+
+module.exports = new AIProviderRegistry();
+module.exports.MockProvider = MockProvider;
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
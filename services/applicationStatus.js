@@ -0,0 +1,304 @@
+// services/applicationStatus.js - Application lifecycle, signed recruiter links and candidate timeline
+
+const crypto = require('crypto');
+const config = require('../config');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const ycloud = require('./ycloud');
+const i18n = require('./i18n');
+
+// Lifecycle after delivery. Statuses only move forward; rejected and hired are final.
+const LIFECYCLE = {
+  sent: { rank: 0, label: 'Sent', emoji: '📤' },
+  viewed: { rank: 1, label: 'Viewed', emoji: '👀' },
+  shortlisted: { rank: 2, label: 'Shortlisted', emoji: '⭐' },
+  interview: { rank: 3, label: 'Interview', emoji: '📅' },
+  rejected: { rank: 4, label: 'Not selected', emoji: '❌', terminal: true },
+  hired: { rank: 4, label: 'Hired', emoji: '🎉', terminal: true }
+};
+
+// Statuses recruiters can set from an email ('viewed' is recorded when they confirm one)
+const RECRUITER_ACTIONS = [
+  { status: 'shortlisted', label: 'Shortlist' },
+  { status: 'interview', label: 'Invite to interview' },
+  { status: 'rejected', label: 'Not a fit' },
+  { status: 'hired', label: 'Hired' }
+];
+
+class ApplicationStatusService {
+  constructor() {
+    this.secret = config.get('applicationStatus.linkSecret');
+    this.linkTtlDays = config.get('applicationStatus.linkTtlDays');
+    this.baseUrl = config.get('baseUrl');
+    this.lifecycle = LIFECYCLE;
+
+    if (!this.secret) {
+      logger.warn('APPLICATION_LINK_SECRET not set, recruiter status links are disabled');
+    }
+  }
+
+  isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(LIFECYCLE, status);
+  }
+
+  /**
+   * Forward-only transitions; applications without a lifecycle yet accept any status
+   */
+  canTransition(from, to) {
+    if (!this.isValidStatus(to)) return false;
+    if (!from || !LIFECYCLE[from]) return true;
+    if (LIFECYCLE[from].terminal) return false;
+    return LIFECYCLE[to].rank > LIFECYCLE[from].rank;
+  }
+
+  // ================================
+  // SIGNED LINKS
+  // ================================
+
+  sign(applicationId, status, expires) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${applicationId}.${status}.${expires}`)
+      .digest('hex');
+  }
+
+  createActionLink(applicationId, status) {
+    if (!this.secret || !applicationId) return null;
+
+    const expires = Math.floor(Date.now() / 1000) + this.linkTtlDays * 86400;
+    const signature = this.sign(applicationId, status, expires);
+
+    return `${this.baseUrl}/applications/${encodeURIComponent(applicationId)}/status/${status}?expires=${expires}&sig=${signature}`;
+  }
+
+  /**
+   * Recruiter action links for an application, empty when links are disabled
+   */
+  getActionLinks(applicationId) {
+    if (!this.secret || !applicationId) return [];
+
+    return RECRUITER_ACTIONS.map(action => ({
+      ...action,
+      emoji: LIFECYCLE[action.status].emoji,
+      url: this.createActionLink(applicationId, action.status)
+    }));
+  }
+
+  verifyLink(applicationId, status, expires, signature) {
+    if (!this.secret || !this.isValidStatus(status)) {
+      return { valid: false, reason: 'invalid' };
+    }
+
+    const expected = Buffer.from(this.sign(applicationId, status, expires), 'hex');
+    const given = Buffer.from(String(signature || ''), 'hex');
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { valid: false, reason: 'invalid' };
+    }
+
+    if (!(parseInt(expires) > Math.floor(Date.now() / 1000))) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    return { valid: true };
+  }
+
+  // ================================
+  // STATUS UPDATES
+  // ================================
+
+  /**
+   * { lifecycle_status } without changing anything, null when the application doesn't exist
+   */
+  async getApplication(applicationId) {
+    const { rows } = await dbManager.query(
+      'SELECT id, lifecycle_status FROM applications WHERE id::text = $1',
+      [String(applicationId)]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Move an application along its lifecycle, record the event and notify the candidate
+   */
+  async updateStatus(applicationId, status, { source = 'system', note = null, notify = true } = {}) {
+    if (!this.isValidStatus(status)) {
+      return { success: false, reason: 'invalid_status' };
+    }
+
+    try {
+      const outcome = await dbManager.transaction(async (client) => {
+        const { rows } = await client.query(`
+          SELECT a.id, a.user_identifier, a.lifecycle_status, j.title, j.company
+          FROM applications a
+          LEFT JOIN jobs j ON j.id = a.job_id
+          WHERE a.id::text = $1
+          FOR UPDATE OF a
+        `, [String(applicationId)]);
+
+        const application = rows[0];
+        if (!application) {
+          return { success: false, reason: 'not_found' };
+        }
+
+        const previous = application.lifecycle_status;
+        if (previous === status) {
+          return { success: true, changed: false, status, application };
+        }
+
+        if (!this.canTransition(previous, status)) {
+          return { success: false, reason: 'invalid_transition', status: previous, application };
+        }
+
+        await client.query(`
+          UPDATE applications
+          SET lifecycle_status = $1, lifecycle_updated_at = NOW()
+          WHERE id = $2
+        `, [status, application.id]);
+
+        await client.query(`
+          INSERT INTO application_status_events (application_id, status, previous_status, source, note)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [String(application.id), status, previous, source, note]);
+
+        return { success: true, changed: true, previous, status, application };
+      });
+
+      if (outcome.changed) {
+        logger.info('Application status updated', {
+          applicationId,
+          from: outcome.previous,
+          to: status,
+          source
+        });
+
+        if (notify) {
+          await this.notifyCandidate(outcome.application, status);
+        }
+      }
+
+      return outcome;
+
+    } catch (error) {
+      logger.error('Failed to update application status', {
+        applicationId,
+        status,
+        error: error.message
+      });
+      return { success: false, reason: 'error' };
+    }
+  }
+
+  /**
+   * Start the lifecycle once the application has reached the recruiter.
+   * No WhatsApp message: the candidate already got the submission confirmation.
+   */
+  async markSent(applicationId) {
+    return this.updateStatus(applicationId, 'sent', { source: 'system', notify: false });
+  }
+
+  async notifyCandidate(application, status) {
+    if (status === 'sent' || !application.user_identifier) return;
+
+    try {
+      const lang = await i18n.getLanguage(application.user_identifier);
+      const { title, company } = application;
+      const job = title
+        ? i18n.t(lang, company ? 'appStatus.jobAt' : 'appStatus.job', { title, company })
+        : '';
+
+      const message = i18n.t(lang, 'appStatus.update', {
+        emoji: LIFECYCLE[status].emoji,
+        job,
+        label: i18n.t(lang, `appStatus.label.${status}`),
+        message: i18n.t(lang, `appStatus.message.${status}`)
+      });
+
+      await ycloud.sendTextMessage(application.user_identifier, message);
+    } catch (error) {
+      logger.error('Failed to notify candidate of status change', {
+        phone: application.user_identifier.substring(0, 6) + '***',
+        status,
+        error: error.message
+      });
+    }
+  }
+
+  // ================================
+  // CANDIDATE TIMELINE
+  // ================================
+
+  /**
+   * Recent applications with their status events, newest first
+   */
+  async getTimeline(phone, limit = 5) {
+    try {
+      const digits = phone.replace(/^\+/, '');
+      const identifiers = [digits, `+${digits}`];
+
+      const { rows: applications } = await dbManager.query(`
+        SELECT a.id, a.status, a.lifecycle_status, a.applied_at,
+               j.title, j.company
+        FROM applications a
+        LEFT JOIN jobs j ON j.id = a.job_id
+        WHERE a.user_identifier = ANY($1)
+        ORDER BY a.applied_at DESC
+        LIMIT $2
+      `, [identifiers, limit]);
+
+      if (applications.length === 0) return [];
+
+      const { rows: events } = await dbManager.query(`
+        SELECT application_id, status, created_at
+        FROM application_status_events
+        WHERE application_id = ANY($1)
+        ORDER BY created_at ASC
+      `, [applications.map(app => String(app.id))]);
+
+      return applications.map(app => ({
+        ...app,
+        events: events.filter(event => event.application_id === String(app.id))
+      }));
+
+    } catch (error) {
+      logger.error('Failed to load application timeline', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  formatTimeline(applications, lang) {
+    const formatDate = date => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+    const label = status => (LIFECYCLE[status] ? i18n.t(lang, `appStatus.label.${status}`) : status);
+
+    return applications.map((app, index) => {
+      const title = app.title
+        ? `${app.title}${app.company ? ` - ${app.company}` : ''}`
+        : i18n.t(lang, 'appStatus.untitled');
+
+      let current;
+      if (LIFECYCLE[app.lifecycle_status]) {
+        current = `${LIFECYCLE[app.lifecycle_status].emoji} ${label(app.lifecycle_status)}`;
+      } else if (app.status === 'email_failed') {
+        current = i18n.t(lang, 'appStatus.notDelivered');
+      } else {
+        current = i18n.t(lang, 'appStatus.processing');
+      }
+
+      let text = `${index + 1}. ${title}\n   ${current}`;
+
+      if (app.events.length > 0) {
+        const steps = app.events.map(event => `${label(event.status)} ${formatDate(event.created_at)}`);
+        text += `\n   ${steps.join(' → ')}`;
+      } else if (app.applied_at) {
+        text += `\n   ${i18n.t(lang, 'appStatus.applied', { date: formatDate(app.applied_at) })}`;
+      }
+
+      return text;
+    }).join('\n\n');
+  }
+}
+
+module.exports = new ApplicationStatusService();
@@ -4,6 +4,7 @@ const { Queue } = require('bullmq');
 const { queueRedis } = require('../config/redis');
 const dbManager = require('../config/database');
 const logger = require('../utils/logger');
+const candidateProfile = require('./candidateProfile');
 
 // Dedicated ATS scoring queue (can run slowly in background)
 const atsQueue = new Queue('ats-scoring', {
@@ -112,8 +113,11 @@ class ATSScoringService {
 
       const job = jobResult.rows[0];
 
+      // Parsed profile for the CV this application was sent with
+      const profile = await candidateProfile.getProfileForApplication(applicationId, userId);
+
       // Analyze CV against job using AI
-      const analysis = await this.analyzeWithAI(cvText, job);
+      const analysis = await this.analyzeWithAI(cvText, job, profile);
 
       // Calculate overall score
       const overallScore = this.calculateOverallScore(analysis);
@@ -189,7 +193,7 @@ class ATSScoringService {
   /**
    * Analyze CV vs Job with AI
    */
-  async analyzeWithAI(cvText, job) {
+  async analyzeWithAI(cvText, job, profile = null) {
     try {
       // Use the openai-tasks queue
       const { Queue } = require('bullmq');
@@ -206,7 +210,14 @@ class ATSScoringService {
           jobDescription: job.description,
           jobRequirements: job.requirements,
           jobExperience: job.experience,
-          jobCategory: job.category
+          jobCategory: job.category,
+          candidateProfile: profile ? {
+            skills: profile.skills,
+            years_experience: profile.years_experience,
+            highest_education: profile.highest_education,
+            certifications: profile.certifications,
+            nysc_status: profile.nysc_status
+          } : null
         },
         {
           attempts: 2,
@@ -229,15 +240,17 @@ class ATSScoringService {
       });
 
       // Fallback to rule-based analysis
-      return this.analyzeWithRules(cvText, job);
+      return this.analyzeWithRules(cvText, job, profile);
     }
   }
 
   /**
    * Rule-based ATS analysis (fallback)
    */
-  analyzeWithRules(cvText, job) {
-    const cvLower = cvText.toLowerCase();
+  analyzeWithRules(cvText, job, profile = null) {
+    // Listed skills count as matches even when phrased differently in the body
+    const profileSkills = (profile?.skills || []).join(' ');
+    const cvLower = `${cvText} ${profileSkills}`.toLowerCase();
     const jobText = `${job.title} ${job.description} ${job.requirements}`.toLowerCase();
 
     // Extract keywords from job
@@ -256,9 +269,9 @@ class ATSScoringService {
     // Calculate scores
     const skillMatchScore = Math.min(100, Math.round((matched.length / jobKeywords.length) * 100));
     
-    const experienceMatchScore = this.calculateExperienceMatch(cvText, job.experience);
+    const experienceMatchScore = this.calculateExperienceMatch(cvText, job.experience, profile);
     
-    const educationMatchScore = this.calculateEducationMatch(cvText);
+    const educationMatchScore = this.calculateEducationMatch(cvText, profile);
 
     // Generate strengths and weaknesses
     const strengths = [];
@@ -326,7 +339,7 @@ class ATSScoringService {
   /**
    * Calculate experience match
    */
-  calculateExperienceMatch(cvText, jobExperience) {
+  calculateExperienceMatch(cvText, jobExperience, profile = null) {
     if (!jobExperience) return 75; // Default if not specified
 
     const cvLower = cvText.toLowerCase();
@@ -338,7 +351,9 @@ class ATSScoringService {
 
     // Extract years from CV
     const cvYearsMatch = cvLower.match(/(\d+)\s*(?:\+)?\s*years?\s*(?:of\s*)?experience/);
-    const cvYears = cvYearsMatch ? parseInt(cvYearsMatch[1]) : 0;
+    const cvYears = profile?.years_experience
+      ? Number(profile.years_experience)
+      : (cvYearsMatch ? parseInt(cvYearsMatch[1]) : 0);
 
     if (cvYears >= jobMinYears) {
       return 100;
@@ -354,7 +369,12 @@ class ATSScoringService {
   /**
    * Calculate education match
    */
-  calculateEducationMatch(cvText) {
+  calculateEducationMatch(cvText, profile = null) {
+    const profileScores = { phd: 100, masters: 90, bachelors: 80, hnd: 70, ond: 60, ssce: 40 };
+    if (profile?.highest_education && profileScores[profile.highest_education]) {
+      return profileScores[profile.highest_education];
+    }
+
     const cvLower = cvText.toLowerCase();
 
     if (cvLower.includes('phd') || cvLower.includes('doctorate')) {
@@ -3,6 +3,9 @@
 const dbManager = require('../config/database');
 const logger = require('../utils/logger');
 const queryExpansion = require('./queryExpansion');
+const embeddings = require('./embeddings');
+const candidateProfile = require('./candidateProfile');
+const cvLibrary = require('./cvLibrary');
 const openaiService = require('./openai');
 const atsScoring = require('./atsScoring');
 const recruiterDigest = require('./recruiterDigest');
@@ -171,7 +174,7 @@ class AutoApplyEngine {
         SELECT 
           id, job_category, job_category_label, location, 
           is_remote, expanded_keywords, jobs_applied,
-          last_job_applied_at
+          last_job_applied_at, cv_id
         FROM auto_apply_preferences
         WHERE subscription_id = $1 AND is_active = true
       `, [subscriptionId]);
@@ -198,8 +201,10 @@ class AutoApplyEngine {
         location: preference.location
       });
 
-      // Get CV text for user
-      const cvText = await this.getUserCV(subscription.user_identifier);
+      // CV pinned to this preference, else the user's default CV
+      const profile = await this.getProfileForPreference(subscription.user_identifier, preference);
+      // Older users may only have CV text on past applications
+      const cvText = profile?.cv_text || await this.getUserCV(subscription.user_identifier);
 
       if (!cvText) {
         logger.warn('No CV found for user', {
@@ -238,11 +243,24 @@ class AutoApplyEngine {
       }
 
       // Filter for relevance (auto-apply needs high confidence)
-      const relevantJobs = await queryExpansion.filterForAutoApply(
+      const keywordMatches = await queryExpansion.filterForAutoApply(
         newJobs,
         preference.job_category_label,
         expansion
       );
+      const keywordMatchIds = new Set(keywordMatches.map(job => job.id));
+
+      // Semantic similarity to the CV catches synonyms the keyword lists miss
+      const scoredJobs = await embeddings.scoreJobsForCV(
+        subscription.user_identifier,
+        cvText,
+        newJobs,
+        { profileId: profile?.id }
+      );
+
+      const relevantJobs = scoredJobs.filter(job =>
+        keywordMatchIds.has(job.id) || job.similarity >= embeddings.minSimilarity
+      );
 
       if (relevantJobs.length === 0) {
         logger.info('No relevant jobs after filtering', {
@@ -254,7 +272,10 @@ class AutoApplyEngine {
 
       logger.info('Found relevant jobs for auto-apply', {
         preferenceId: preference.id,
-        relevantCount: relevantJobs.length
+        relevantCount: relevantJobs.length,
+        keywordMatches: keywordMatchIds.size,
+        semanticOnly: relevantJobs.filter(job => !keywordMatchIds.has(job.id)).length,
+        topSimilarity: relevantJobs[0].similarity
       });
 
       // Apply to jobs (respect limits)
@@ -262,7 +283,8 @@ class AutoApplyEngine {
         subscription,
         preference,
         relevantJobs,
-        cvText
+        cvText,
+        profile
       );
 
       return applied;
@@ -276,6 +298,28 @@ class AutoApplyEngine {
     }
   }
 
+  /**
+   * Parsed profile of the CV to use for a preference
+   */
+  async getProfileForPreference(userId, preference) {
+    const cv = await cvLibrary.getCVForPreference(userId, preference.cv_id);
+
+    if (cv) {
+      const profile = cv.candidate_profile_id
+        ? await candidateProfile.getProfileById(cv.candidate_profile_id)
+        : await candidateProfile.findProfile(userId, cv.file_hash).catch(() => null);
+
+      if (profile) return profile;
+
+      logger.warn('Selected CV has no parsed profile yet, using latest', {
+        preferenceId: preference.id,
+        cvVersion: cv.version
+      });
+    }
+
+    return await candidateProfile.getLatestProfile(userId);
+  }
+
   /**
    * Get user's CV text
    */
@@ -311,8 +355,8 @@ class AutoApplyEngine {
    */
   async findNewJobs(preference, expansion, userId) {
     try {
-      // Build search query
-      const { whereClause, params } = queryExpansion.buildSearchQuery(
+      // Build full-text search query (ranked by ts_rank)
+      const { whereClause, orderClause, params } = queryExpansion.buildSearchQuery(
         expansion,
         preference.location
       );
@@ -337,7 +381,7 @@ class AutoApplyEngine {
         ${whereClause}
         ${excludeClause}
         ${timeClause}
-        ORDER BY COALESCE(j.last_updated, j.scraped_at, NOW()) DESC
+        ${orderClause}
         LIMIT 20
       `;
 
@@ -362,7 +406,7 @@ class AutoApplyEngine {
   /**
    * Apply to jobs
    */
-  async applyToJobs(subscription, preference, jobs, cvText) {
+  async applyToJobs(subscription, preference, jobs, cvText, profile = null) {
     try {
       let applied = 0;
       const maxToApply = subscription.tier === 'unlimited' ? jobs.length : 
@@ -378,7 +422,7 @@ class AutoApplyEngine {
       for (const job of jobsToApply) {
         try {
           // Queue application
-          await this.queueApplication(subscription, preference, job, cvText);
+          await this.queueApplication(subscription, preference, job, cvText, profile);
           applied++;
 
           // Update counters
@@ -411,19 +455,22 @@ class AutoApplyEngine {
   /**
    * Queue a single application
    */
-  async queueApplication(subscription, preference, job, cvText) {
+  async queueApplication(subscription, preference, job, cvText, profile = null) {
     try {
       const applicationId = require('uuid').v4();
 
-      // Extract user info from CV (cached)
-      const userInfo = await openaiService.extractUserInfo(cvText, subscription.user_identifier);
+      // Contact details from the parsed profile; only legacy CVs need extraction
+      const userInfo = profile
+        ? candidateProfile.toUserInfo(profile, subscription.user_identifier)
+        : await openaiService.extractUserInfo(cvText, subscription.user_identifier);
 
       // Create application record
       await dbManager.query(`
         INSERT INTO applications (
           id, user_identifier, job_id, cv_text,
-          status, applied_at, applicant_name, applicant_email, applicant_phone
-        ) VALUES ($1, $2, $3, $4, 'queued', NOW(), $5, $6, $7)
+          status, applied_at, applicant_name, applicant_email, applicant_phone,
+          candidate_profile_id
+        ) VALUES ($1, $2, $3, $4, 'queued', NOW(), $5, $6, $7, $8)
       `, [
         applicationId,
         subscription.user_identifier,
@@ -431,7 +478,8 @@ class AutoApplyEngine {
         cvText,
         userInfo.name,
         userInfo.email,
-        userInfo.phone
+        userInfo.phone,
+        profile?.id || null
       ]);
 
       // Track for digest instead of immediate email
@@ -3,7 +3,8 @@
 const ycloud = require('./ycloud');
 const dbManager = require('../config/database');
 const logger = require('../utils/logger');
-const { redis } = require('../config/redis');
+const { transitionSession, getSessionState, getSessionData } = require('../utils/sessionContext');
+const i18n = require('./i18n');
 
 class AutoApplyPreferencesService {
   constructor() {
@@ -80,7 +81,7 @@ class AutoApplyPreferencesService {
         "Choose Action"
       );
 
-      await redis.set(`state:${phone}`, 'preference_menu', 'EX', 3600);
+      await transitionSession(phone, 'preference_menu', { reason: 'preference_setup' });
 
       return true;
 
@@ -141,7 +142,7 @@ class AutoApplyPreferencesService {
         );
       }, 1500);
 
-      await redis.set(`state:${phone}`, 'selecting_category', 'EX', 3600);
+      await transitionSession(phone, 'selecting_category', { reason: 'add_preference' });
 
       return true;
 
@@ -159,12 +160,6 @@ class AutoApplyPreferencesService {
    */
   async showLocationSelection(phone, category) {
     try {
-      // Store selected category
-      await redis.set(`temp_category:${phone}`, JSON.stringify({
-        key: category,
-        label: this.categories[category]
-      }), 'EX', 3600);
-
       // Split locations into two lists (max 10 each)
       const firstHalf = this.locations.slice(0, 10);
       const secondHalf = this.locations.slice(10);
@@ -207,7 +202,10 @@ class AutoApplyPreferencesService {
         );
       }, 1500);
 
-      await redis.set(`state:${phone}`, 'selecting_location', 'EX', 3600);
+      await transitionSession(phone, 'selecting_location', {
+        data: { preferenceCategory: { key: category, label: this.categories[category] } },
+        reason: 'category_selected'
+      });
 
       return true;
 
@@ -287,8 +285,10 @@ class AutoApplyPreferencesService {
         SELECT 
           p.id, p.job_category, p.job_category_label, 
           p.location, p.is_remote, p.jobs_matched, 
-          p.jobs_applied, p.last_job_applied_at, p.created_at
+          p.jobs_applied, p.last_job_applied_at, p.created_at,
+          p.cv_id, c.label AS cv_label, c.version AS cv_version
         FROM auto_apply_preferences p
+        LEFT JOIN user_cvs c ON c.id = p.cv_id AND c.deleted_at IS NULL
       `;
 
       let params = [];
@@ -338,12 +338,16 @@ class AutoApplyPreferencesService {
         return true;
       }
 
+      const lang = await i18n.getLanguage(phone);
       let message = `📋 Your Auto-Apply Preferences\n\n`;
       
       preferences.forEach((pref, index) => {
         message += `${index + 1}. ${pref.job_category_label}\n`;
         message += `   📍 ${pref.location}\n`;
         message += `   ✅ ${pref.jobs_applied || 0} applied\n`;
+        message += i18n.t(lang, 'cv.preferenceCv', {
+          cv: pref.cv_label ? `${pref.cv_version}. ${pref.cv_label}` : i18n.t(lang, 'cv.preferenceDefaultCv')
+        });
         if (pref.last_job_applied_at) {
           const lastApplied = new Date(pref.last_job_applied_at);
           const daysAgo = Math.floor((Date.now() - lastApplied) / (1000 * 60 * 60 * 24));
@@ -353,7 +357,8 @@ class AutoApplyPreferencesService {
       });
 
       message += '💡 We automatically apply when new matching jobs are found!\n\n';
-      message += 'Reply "add preference" to watch more categories.';
+      message += 'Reply "add preference" to watch more categories.\n';
+      message += i18n.t(lang, 'cv.pinHint');
 
       await ycloud.sendTextMessage(phone, message);
 
@@ -399,7 +404,7 @@ class AutoApplyPreferencesService {
         "Remove"
       );
 
-      await redis.set(`state:${phone}`, 'removing_preference', 'EX', 3600);
+      await transitionSession(phone, 'removing_preference', { reason: 'remove_preference' });
 
       return true;
 
@@ -462,7 +467,7 @@ class AutoApplyPreferencesService {
    */
   async handleInteractiveCallback(phone, callbackId, callbackTitle) {
     try {
-      const state = await redis.get(`state:${phone}`);
+      const state = await getSessionState(phone);
 
       logger.info('Handling preference interactive callback', {
         phone: phone.substring(0, 6) + '***',
@@ -498,10 +503,9 @@ class AutoApplyPreferencesService {
       // Location selection
       if (callbackId.startsWith('loc_')) {
         const location = callbackId.replace('loc_', '').replace(/_/g, ' ');
-        const categoryData = await redis.get(`temp_category:${phone}`);
-        
-        if (categoryData) {
-          const category = JSON.parse(categoryData);
+        const { preferenceCategory: category } = await getSessionData(phone);
+
+        if (category) {
           const subData = await this.getActiveSubscription(phone);
           
           if (subData) {
@@ -524,8 +528,7 @@ class AutoApplyPreferencesService {
               await ycloud.sendTextMessage(phone, result.message);
             }
 
-            await redis.del(`temp_category:${phone}`);
-            await redis.del(`state:${phone}`);
+            await transitionSession(phone, 'idle', { reason: 'preference_saved' });
           }
         }
       }
@@ -545,7 +548,7 @@ class AutoApplyPreferencesService {
           await ycloud.sendTextMessage(phone, result.message);
         }
 
-        await redis.del(`state:${phone}`);
+        await transitionSession(phone, 'idle', { reason: 'preference_removed' });
       }
 
       return true;
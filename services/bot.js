@@ -3,17 +3,42 @@
 
 const ycloud = require('./ycloud');
 const openaiService = require('./openai'); // This is your bkopenai.js file
-const paystackService = require('./paystack');
+const jobSearch = require('./jobSearch');
+const cvLibrary = require('./cvLibrary');
+const autoApplyPreferences = require('./autoApplyPreferences');
+const applicationStatus = require('./applicationStatus');
+const jobAlerts = require('./jobAlerts');
+const i18n = require('./i18n');
+const scheduledMessages = require('./scheduledMessages');
+const productCatalog = require('./productCatalog');
+const creditLedger = require('./creditLedger');
+const promoCodes = require('./promoCodes');
+const referrals = require('./referrals');
+const wallet = require('./wallet');
+const paymentChannels = require('./paymentChannels');
+const { parseReference } = require('../utils/paymentReferences');
+const { formatNaira } = require('../utils/credits');
+const { applicationsAffordable, parseTopUpCommand } = require('../utils/wallet');
+const { USSD_BANKS, parsePaymentButton, parseUssdChoice } = require('../utils/paymentChannels');
+const { matchLocation, normalizeText } = require('../utils/locales');
+const { normalizePhone } = require('../utils/phone');
 const { Queue } = require('bullmq');
-const { v4: uuidv4 } = require('uuid');
-const { getSessionContext, saveSessionContext, clearSessionContext } = require('../utils/sessionContext');
+const {
+  getSessionContext,
+  saveSessionContext,
+  clearSessionContext,
+  getSessionState,
+  getSessionData,
+  updateSessionData,
+  transitionSession
+} = require('../utils/sessionContext');
 const { redis, queueRedis, sessionRedis } = require('../config/redis');
 const dbManager = require('../config/database');
 const logger = require('../utils/logger');
 const nodemailer = require('nodemailer');
 
 // Versioned cache key component for search results
-const SEARCH_CACHE_VERSION = 'v2';
+const SEARCH_CACHE_VERSION = 'v3';
 const config = require('../config');
 const RateLimiter = require('../utils/rateLimiter');
 
@@ -37,10 +62,6 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-function normalizePhone(phone) {
-  return phone.startsWith('+') ? phone : `+${phone}`;
-}
-
 // Location Tease Manager Class
 class LocationTeaseManager {
   constructor() {
@@ -114,6 +135,21 @@ class CleanTeaseThenPayBot {
       18: { category: 'retail_fashion', label: 'Retail & Fashion' },
       19: { category: 'other_general', label: 'General Jobs' }
     };
+
+    this.registerScheduledMessages();
+  }
+
+  /**
+   * Nudges sent later through services/scheduledMessages.js (survive restarts and deploys)
+   */
+  registerScheduledMessages() {
+    scheduledMessages.register('payment_reminder',
+      phone => this.sendPaymentReminderWithCommunity(phone),
+      { category: 'payment' });
+
+    scheduledMessages.register('payment_final_reminder',
+      phone => this.sendFinalPaymentReminder(phone),
+      { category: 'payment' });
   }
 
   // ================================
@@ -131,59 +167,53 @@ async handleWhatsAppMessage(phone, message, file = null, inboundMessageId = null
 
 if (message.interactive && message.interactive.type === 'list_reply' && message.interactive.list_reply) {
         const listReply = message.interactive.list_reply;
+        if (listReply.id.startsWith('lang_')) {
+          return await this.handleLanguageSelection(phone, listReply.id.replace('lang_', ''));
+        }
+
         if (listReply.id.startsWith('cat_')) {
           return await this.handleInteractiveMenuSelection(phone, listReply.id, { inboundMessageId });
         }
 
+        if (listReply.id.startsWith('buy_')) {
+          return await this.handleBundlePurchase(phone, listReply.id.replace('buy_', ''));
+        }
+
+        // Bank picked for a USSD payment
+        if (listReply.id.startsWith('ussd_')) {
+          const choice = parseUssdChoice(listReply.id);
+          if (choice) {
+            return await this.handleUssdPayment(phone, choice.product, choice.bank);
+          }
+        }
+
         // Handle job application
         if (listReply.id.startsWith('job_')) {
           const jobNumber = parseInt(listReply.id.replace('job_', ''));
          
           
-          // Get jobs from Redis
-          const lastJobsStr = await redis.get(`last_jobs:${normalizePhone(phone)}`);
-          if (!lastJobsStr) {
-            return this.sendWhatsAppMessage(phone, 'No jobs found. Please search again.', { instant: true });
+          // Jobs on the page the user is looking at
+          const { lastJobs: jobs } = await getSessionData(phone);
+          if (!jobs) {
+            return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noneSearchAgain'), { instant: true });
           }
           
-          const jobs = JSON.parse(lastJobsStr);
           const selectedJob = jobs[jobNumber - 1];
           
           if (!selectedJob) {
-            return this.sendWhatsAppMessage(phone, `Job ${jobNumber} not found.`, { instant: true });
+            return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.notFound', { number: jobNumber }), { instant: true });
           }
           
-          // Check payment status FIRST
-          const usage = await this.checkDailyUsage(phone);
-          if (usage.needsPayment || usage.expired) {
-            const paymentUrl = await this.initiateDailyPayment(phone);
-            return this.sendWhatsAppMessage(phone,
-              `💳 Payment Required\n\nTo apply for "${selectedJob.title}" at ${selectedJob.company}, please complete payment:\n\n${paymentUrl}\n\nAfter payment, upload your CV to apply.`,
-              { instant: true }
-            );
-          }
+          return await this.startJobApplication(phone, selectedJob);
+        }
 
-          if (usage.remaining <= 0) {
-            return this.sendWhatsAppMessage(phone,
-              `⌛ Application Limit Reached\n\nYou've used all your applications today. Try again tomorrow or make a new payment.`,
-              { instant: true }
-            );
+        // Job tapped in a daily alert digest
+        if (listReply.id.startsWith('alert_job_')) {
+          const selectedJob = await jobAlerts.getOpenJob(listReply.id.replace('alert_job_', ''));
+          if (!selectedJob) {
+            return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.alertJobClosed'), { instant: true });
           }
-          
-          // Store selected job
-          await redis.set(`selected_jobs:${normalizePhone(phone)}`, JSON.stringify([selectedJob]), 'EX', 3600);
-          
-          // SUCCESS MESSAGE - This is what was missing!
-          const successMessage = 
-            `✅ Job Selected Successfully!\n\n` +
-            `💼 Position: ${selectedJob.title}\n` +
-            `🏢 Company: ${selectedJob.company}\n` +
-            `📍 Location: ${selectedJob.is_remote ? '🌍 Remote' : selectedJob.location}\n` +
-            `💰 Salary: ${selectedJob.salary || 'Competitive'}\n\n` +
-            `📤 Next Step: Upload your CV (PDF or DOCX) to apply for this position.\n\n` +
-            `You have ${usage.remaining} applications remaining today.`;
-
-          return await ycloud.sendTextMessage(phone, successMessage);
+          return await this.startJobApplication(phone, selectedJob);
         }
 
         // Handle navigation
@@ -192,15 +222,22 @@ if (message.interactive && message.interactive.type === 'list_reply' && message.
           const targetPage = parseInt(listReply.id.split('_')[2]);
           
           if (action === 'prev' || action === 'next') {
-            const allJobsStr = await redis.get(`paginated_jobs:${normalizePhone(phone)}`);
-            if (allJobsStr) {
-              const allJobs = JSON.parse(allJobsStr);
+            const { paginatedJobs: allJobs } = await getSessionData(phone);
+            if (allJobs) {
               return await this.displayJobPageWithInteractive(phone, allJobs, targetPage);
             }
           }
         }
       }
       
+      // Payment method buttons: card, bank transfer or USSD
+      if (message.interactive && message.interactive.type === 'button_reply' && message.interactive.button_reply) {
+        const choice = parsePaymentButton(message.interactive.button_reply.id);
+        if (choice) {
+          return await this.handlePaymentMethod(phone, choice);
+        }
+      }
+
       // REMOVED: Don't send generic "Interactive message received"
       // Instead, fall through to text handling or send specific error
     console.log('⚠️ Unknown interactive type - stopping here');
@@ -218,6 +255,50 @@ if (message.interactive && message.interactive.type === 'list_reply' && message.
       
       // Convert to lowercase for matching
       const lowerText = text.toLowerCase();
+
+      // Follow the language the user writes in (unless they picked one)
+      await i18n.detectAndRemember(phone, text);
+
+      // Language command: "language", "language yoruba", "ede", "harshe", "asusu"
+      if (i18n.isLanguageCommand(text)) {
+        return await this.handleLanguageCommand(phone, text);
+      }
+
+      // Opened from someone's referral link ("... referral code: ABC234")
+      const referralCode = referrals.parseMessage(text);
+      if (referralCode) {
+        return await this.handleReferralArrival(phone, referralCode);
+      }
+
+      // Referral link and earnings
+      if (this.isReferCommand(text)) {
+        return await this.handleReferCommand(phone);
+      }
+
+      // Promo codes: "promo WELCOME50"
+      const promoCode = this.parsePromoCommand(text);
+      if (promoCode) {
+        return await this.handlePromoCode(phone, promoCode);
+      }
+
+      // Wallet balance and history, and top-ups: "top up 1000"
+      if (this.isWalletCommand(text)) {
+        return await this.handleWalletCommand(phone);
+      }
+
+      const topUpKobo = parseTopUpCommand(text);
+      if (topUpKobo !== null) {
+        return await this.handleWalletTopUp(phone, topUpKobo);
+      }
+
+      // Paying without a card: "bank transfer", "ussd"
+      if (this.isBankTransferCommand(text)) {
+        return await this.handleBankTransfer(phone);
+      }
+
+      if (this.isUssdCommand(text)) {
+        return await this.handleUssdBankList(phone, 'daily');
+      }
       
       // Show jobs command - KEEP ALL YOUR EXISTING PATTERNS
       const showJobsPatterns = [
@@ -233,6 +314,21 @@ if (message.interactive && message.interactive.type === 'list_reply' && message.
         return await this.showFullJobsAfterPaymentWithInteractive(phone);
       }
 
+      // CV library commands
+      if (this.isCVCommand(text)) {
+        return await this.handleCVCommand(phone, text);
+      }
+
+      // Saved job alerts
+      if (jobAlerts.isCreateCommand(text) || jobAlerts.isListCommand(text) || jobAlerts.isStopCommand(text)) {
+        return await this.handleJobAlertCommand(phone, text, { inboundMessageId });
+      }
+
+      // Credit bundles and passes
+      if (this.isBundlesCommand(text)) {
+        return await this.handleBundlesCommand(phone);
+      }
+
       // Menu command
     if (lowerText.includes('menu') || lowerText.includes('categories')) {
   return await this.showJobCategoriesMenuInteractive(phone);
@@ -245,7 +341,7 @@ if (message.interactive && message.interactive.type === 'list_reply' && message.
 
       // Apply patterns
       if (this.isJobApplicationCommand(text)) {
-        await redis.set(`state:${normalizePhone(phone)}`, 'selecting_jobs', 'EX', 3600);
+        await transitionSession(phone, 'selecting_jobs', { reason: 'apply_command' });
         return await this.handleJobSelection(phone, text, { inboundMessageId });
       }
 
@@ -272,7 +368,7 @@ if (message.interactive && message.interactive.type === 'list_reply' && message.
       }
 
       // Check state for context-specific handling
-      const state = await redis.get(`state:${normalizePhone(phone)}`);
+      const state = await getSessionState(phone);
       
       if (state === 'selecting_jobs') {
         return await this.handleJobSelection(phone, text, { inboundMessageId });
@@ -297,10 +393,49 @@ if (message.interactive && message.interactive.type === 'list_reply' && message.
     
   } catch (error) {
     console.error('Error in handleWhatsAppMessage:', error);
-    return this.sendWhatsAppMessage(phone, 'Something went wrong. Please try again.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
   }
 }
 
+  /**
+   * Selected one job from a list: payment first, then ask for the CV
+   */
+  async startJobApplication(phone, selectedJob) {
+    // Check payment status FIRST
+    const usage = await this.checkDailyUsage(phone);
+    if (usage.needsPayment || usage.expired) {
+      // Keep the job so the CV upload after payment applies to it
+      await updateSessionData(phone, { selectedJobs: [selectedJob] });
+      const paymentUrl = await this.initiateDailyPayment(phone);
+      return this.sendPaymentRequired(phone,
+        await this.localize(phone, 'apply.paymentRequired', {
+          title: selectedJob.title,
+          company: selectedJob.company,
+          paymentUrl
+        })
+      );
+    }
+
+    if (usage.remaining <= 0) {
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'apply.limitReached'), { instant: true });
+    }
+    
+    // Store selected job
+    await updateSessionData(phone, { selectedJobs: [selectedJob] });
+    
+    // SUCCESS MESSAGE - This is what was missing!
+    const lang = await i18n.getLanguage(phone);
+    const successMessage = i18n.t(lang, 'apply.jobSelected', {
+      title: selectedJob.title,
+      company: selectedJob.company,
+      location: selectedJob.is_remote ? `🌍 ${i18n.t(lang, 'job.remote')}` : selectedJob.location,
+      salary: selectedJob.salary || i18n.t(lang, 'job.competitive'),
+      remaining: usage.remaining
+    });
+
+    return await ycloud.sendTextMessage(phone, successMessage);
+  }
+
 // KEEP ALL YOUR EXISTING HELPER METHODS:
 isJobApplicationCommand(message) {
   const text = message.toLowerCase().trim();
@@ -335,24 +470,80 @@ isPaginationCommand(message) {
   // ENHANCED WELCOME MESSAGE
   // ================================
   async sendWelcomeMessage(phone) {
-    let welcomeText = `🙌 You're in! SmartCVNaija makes job hunting easy.\n⚡ Search jobs (e.g. *sales jobs in Lagos* or *menu*)`;
+    const welcomeText = await this.localize(phone, 'welcome');
     return this.sendWhatsAppMessage(phone, welcomeText, { instant: true });
   }
 
+  // ================================
+  // LANGUAGE
+  // ================================
+
+  /**
+   * Catalog message in the user's chat language
+   */
+  async localize(phone, key, params = {}) {
+    return i18n.t(await i18n.getLanguage(phone), key, params);
+  }
+
+  /**
+   * "language" shows the picker; "language hausa" switches straight away
+   */
+  async handleLanguageCommand(phone, text) {
+    const language = i18n.parseLanguageCommand(text);
+    if (language) {
+      return await this.handleLanguageSelection(phone, language);
+    }
+
+    return await this.showLanguageMenu(phone);
+  }
+
+  async showLanguageMenu(phone) {
+    const lang = await i18n.getLanguage(phone);
+    const sections = [{
+      title: i18n.t(lang, 'language.section'),
+      rows: Object.entries(i18n.languages).map(([code, { name, nativeName }]) => ({
+        id: `lang_${code}`,
+        title: nativeName,
+        description: name
+      }))
+    }];
+
+    try {
+      return await ycloud.sendInteractiveListMessage(
+        phone,
+        i18n.t(lang, 'language.header'),
+        i18n.t(lang, 'language.body'),
+        sections,
+        i18n.t(lang, 'language.button')
+      );
+    } catch (error) {
+      logger.error('Language menu failed', { phone: phone.substring(0, 6) + '***', error: error.message });
+      const names = Object.values(i18n.languages).map(({ nativeName }) => `• language ${nativeName}`).join('\n');
+      return this.sendWhatsAppMessage(phone, `${i18n.t(lang, 'language.body')}\n\n${names}`, { instant: true });
+    }
+  }
+
+  async handleLanguageSelection(phone, language) {
+    const saved = await i18n.setLanguage(phone, language, 'chosen');
+    if (!saved) {
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+
+    return this.sendWhatsAppMessage(phone, i18n.t(language, 'language.changed'), { instant: true });
+  }
+
   // ================================
   // MENU SYSTEM
   // ================================
   async showJobCategoriesMenu(phone) {
-    let menuText = `📋 **Job Categories Menu**\n\nSelect a category by replying with its number:\n\n`;
+    const lang = await i18n.getLanguage(phone);
+    let menuText = i18n.t(lang, 'menu.title');
     
     Object.entries(this.categoryMapping).forEach(([number, { label }]) => {
       menuText += `${number}. ${label}\n`;
     });
     
-    menuText += `\n💡 **How to use:**\n`;
-    menuText += `• Reply with a number (e.g., "1" for IT jobs)\n`;
-    menuText += `• Or use natural language: "developer jobs in Lagos"\n\n`;
-    menuText += `Which category interests you? 🎯`;
+    menuText += i18n.t(lang, 'menu.howTo');
 
     return this.sendWhatsAppMessage(phone, menuText, { instant: true });
   }
@@ -368,41 +559,28 @@ isPaginationCommand(message) {
     const categoryInfo = this.categoryMapping[categoryNumber];
     
     if (!categoryInfo) {
-      return this.sendWhatsAppMessage(phone, 
-        'Please select a valid category number (1-19).\nType "menu" to see all categories.',
-        { instant: true }
-      );
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'menu.invalidNumber'), { instant: true });
     }
 
-    await redis.set(`selected_category:${normalizePhone(phone)}`, JSON.stringify(categoryInfo), 'EX', 3600);
-    await redis.set(`state:${normalizePhone(phone)}`, 'waiting_for_location', 'EX', 3600);
-
-    const locationText = `You selected: **${categoryInfo.label}** ✅\n\n`;
-    const locationPrompt = `📍 **Where do you want to work?**\n\n`;
-    const examples = `Choose from:\n`;
-    const locations = `• Lagos\n• Abuja\n• Port Harcourt\n• Kano\n• Ibadan\n• Remote\n• Any other Nigerian state\n\n`;
-    const instruction = `Just reply with your preferred location! 🎯`;
+    await transitionSession(phone, 'waiting_for_location', { data: { selectedCategory: categoryInfo } });
 
     return this.sendWhatsAppMessage(phone, 
-      locationText + locationPrompt + examples + locations + instruction,
+      await this.localize(phone, 'menu.askLocation', { category: categoryInfo.label }),
       { instant: true }
     );
   }
 
   async handleLocationInput(phone, message, context = {}) {
     try {
-      const categoryStr = await redis.get(`selected_category:${normalizePhone(phone)}`);
+      const { selectedCategory: categoryInfo } = await getSessionData(phone);
       
-      if (!categoryStr) {
-        await redis.del(`state:${normalizePhone(phone)}`);
-        return this.sendWhatsAppMessage(phone, 
-          'Session expired. Please select a job category again.\nType "menu" to see categories.',
-          { instant: true }
-        );
+      if (!categoryInfo) {
+        await transitionSession(phone, 'idle', { reason: 'location_without_category' });
+        return this.sendWhatsAppMessage(phone, await this.localize(phone, 'menu.sessionExpired'), { instant: true });
       }
 
-      const categoryInfo = JSON.parse(categoryStr);
-      const location = message.trim();
+      // "Eko", "Potakot", "for house" -> Lagos, Rivers, Remote
+      const location = matchLocation(message) || message.trim();
 
       const sessionContext = await getSessionContext(phone);
       
@@ -422,24 +600,20 @@ isPaginationCommand(message) {
         filters: filters
       });
 
-      await redis.del(`state:${normalizePhone(phone)}`);
-      await redis.del(`selected_category:${normalizePhone(phone)}`);
+      // Leaving waiting_for_location clears the stored category
+      await transitionSession(phone, 'idle', { reason: 'location_received' });
 
       const displayTitle = this.getCorrectJobDisplayTitle(filters);
-      const searchMessage = `Searching for ${displayTitle} in ${location}...`;
+      const searchMessage = await this.localize(phone, 'search.searchingIn', { title: displayTitle, location });
       await this.sendWhatsAppMessage(phone, searchMessage, { instant: true });
 
       return await this.searchJobs(phone, filters, context);
 
     } catch (error) {
       logger.error('Location input handling error', { phone, error: error.message });
-      await redis.del(`state:${normalizePhone(phone)}`);
-      await redis.del(`selected_category:${normalizePhone(phone)}`);
+      await transitionSession(phone, 'idle', { reason: 'location_error' });
       
-      return this.sendWhatsAppMessage(phone, 
-        'Something went wrong. Please try again.\nType "menu" to browse categories.',
-        { instant: true }
-      );
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.withMenu'), { instant: true });
     }
   }
 
@@ -461,8 +635,9 @@ isPaginationCommand(message) {
 
 async showJobCategoriesMenuInteractive(phone) {
   try {
+    const lang = await i18n.getLanguage(phone);
     const sections = [{
-      title: "Job Categories",
+      title: i18n.t(lang, 'menu.listSection'),
       rows: [
         { id: "cat_1", title: "IT & Software Development", description: "Developers, programmers, engineers" },
         { id: "cat_2", title: "Accounting & Finance", description: "Accountants, finance, banking" },
@@ -479,16 +654,16 @@ async showJobCategoriesMenuInteractive(phone) {
 
     await ycloud.sendInteractiveListMessage(
       phone,
-      "Job Categories (1-10)",
-      "Choose a category:",
+      i18n.t(lang, 'menu.listHeader', { range: '1-10' }),
+      i18n.t(lang, 'menu.listBody'),
       sections,
-      "Select Category"
+      i18n.t(lang, 'menu.listButton')
     );
 
     // Send second message with remaining categories
     setTimeout(async () => {
       const sections2 = [{
-        title: "More Categories",
+        title: i18n.t(lang, 'menu.listMoreSection'),
         rows: [
           { id: "cat_11", title: "Legal & Compliance", description: "Legal, law, compliance" },
           { id: "cat_12", title: "Media & Creative", description: "Design, media, creative" },
@@ -504,10 +679,10 @@ async showJobCategoriesMenuInteractive(phone) {
 
       await ycloud.sendInteractiveListMessage(
         phone,
-        "Job Categories (11-19)",
-        "Or choose from these categories:",
+        i18n.t(lang, 'menu.listHeader', { range: '11-19' }),
+        i18n.t(lang, 'menu.listMoreBody'),
         sections2,
-        "Select Category"
+        i18n.t(lang, 'menu.listButton')
       );
     }, 1000);
 
@@ -528,49 +703,36 @@ async handleInteractiveMenuSelection(phone, selectionId, context = {}) {
       const categoryInfo = this.categoryMapping[categoryNumber];
       
       if (!categoryInfo) {
-        return this.sendWhatsAppMessage(phone, 'Invalid category selection.', { instant: true });
+        return this.sendWhatsAppMessage(phone, await this.localize(phone, 'menu.invalidCategory'), { instant: true });
       }
 
       // Store the selected category and ask for location via TEXT (like your existing flow)
-      await redis.set(`selected_category:${normalizePhone(phone)}`, JSON.stringify(categoryInfo), 'EX', 3600);
-      await redis.set(`state:${normalizePhone(phone)}`, 'waiting_for_location', 'EX', 3600);
-
-      const locationText = `You selected: **${categoryInfo.label}** ✅\n\n`;
-      const locationPrompt = `📍 **Where do you want to work?**\n\n`;
-      const examples = `Choose from:\n`;
-      const locations = `• Lagos\n• Abuja\n• Port Harcourt\n• Kano\n• Ibadan\n• Remote\n• Any other Nigerian state\n\n`;
-      const instruction = `Just reply with your preferred location! 🎯`;
+      await transitionSession(phone, 'waiting_for_location', { data: { selectedCategory: categoryInfo } });
 
       return this.sendWhatsAppMessage(phone, 
-        locationText + locationPrompt + examples + locations + instruction,
+        await this.localize(phone, 'menu.askLocation', { category: categoryInfo.label }),
         { instant: true }
       );
     }
 
     // Fallback
-    return this.sendWhatsAppMessage(phone, 'Invalid selection. Please try again.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'menu.invalidSelection'), { instant: true });
 
   } catch (error) {
     logger.error('Interactive menu selection failed', { phone, error: error.message });
-    return this.sendWhatsAppMessage(phone, 'Selection failed. Please try again.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.selection'), { instant: true });
   }
 }
   async handlePaginationNavigation(phone, message, context = {}) {
     try {
       const text = message.toLowerCase().trim();
-      const currentPageStr = await redis.get(`current_page:${normalizePhone(phone)}`);
-      const totalJobsStr = await redis.get(`paginated_jobs:${normalizePhone(phone)}`);
+      const { currentPage, paginatedJobs: allJobs } = await getSessionData(phone);
       
-      if (!currentPageStr || !totalJobsStr) {
-        return this.sendWhatsAppMessage(phone, 
-          'No jobs found for pagination. Please search for jobs first.',
-          { instant: true }
-        );
+      if (!currentPage || !allJobs) {
+        return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noPagination'), { instant: true });
       }
 
-      const currentPage = parseInt(currentPageStr);
-      const allJobs = JSON.parse(totalJobsStr);
-      const totalPages = Math.ceil(allJobs.length / 5); // Updated to match interactive jobsPerPage
+      const totalPages = Math.ceil(allJobs.length / 8); // Must match jobsPerPage in displayJobPageWithInteractive
       
       let newPage = currentPage;
       
@@ -588,7 +750,7 @@ async handleInteractiveMenuSelection(phone, selectionId, context = {}) {
 
       if (newPage === currentPage) {
         return this.sendWhatsAppMessage(phone, 
-          `Already on page ${currentPage} of ${totalPages}.\nUse "next" or "prev" to navigate.`,
+          await this.localize(phone, 'jobs.samePage', { page: currentPage, totalPages }),
           { instant: true }
         );
       }
@@ -597,7 +759,7 @@ async handleInteractiveMenuSelection(phone, selectionId, context = {}) {
 
     } catch (error) {
       logger.error('Pagination navigation error', { phone, error: error.message });
-      return this.sendWhatsAppMessage(phone, 'Navigation failed. Please try again.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.navigation'), { instant: true });
     }
   }
 
@@ -611,11 +773,13 @@ async displayJobPageWithInteractive(phone, allJobs, page = 1, context = {}) {
     const endIndex = startIndex + jobsPerPage;
     const pageJobs = allJobs.slice(startIndex, endIndex);
     const totalPages = Math.ceil(allJobs.length / jobsPerPage);
+    const lang = await i18n.getLanguage(phone);
 
     // Store current page and jobs
-    await redis.set(`current_page:${normalizePhone(phone)}`, page.toString(), 'EX', 3600);
-    await redis.set(`last_jobs:${normalizePhone(phone)}`, JSON.stringify(pageJobs), 'EX', 3600);
-    await redis.set(`paginated_jobs:${normalizePhone(phone)}`, JSON.stringify(allJobs), 'EX', 3600);
+    await transitionSession(phone, 'browsing_jobs', {
+      data: { currentPage: page, lastJobs: pageJobs, paginatedJobs: allJobs },
+      reason: 'display_page'
+    });
 
     // 1. FIRST - Send interactive buttons at the top
     try {
@@ -626,13 +790,13 @@ async displayJobPageWithInteractive(phone, allJobs, page = 1, context = {}) {
         
         return {
           id: `job_${jobNumber}`,
-          title: `Apply Job ${jobNumber}`,
+          title: i18n.t(lang, 'jobs.applyRow', { number: jobNumber }),
           description: `${truncatedTitle} - ${truncatedCompany}`
         };
       });
 
       const sections = [{
-        title: "Apply to Jobs",
+        title: i18n.t(lang, 'jobs.listSection'),
         rows: jobRows
       }];
 
@@ -643,22 +807,22 @@ async displayJobPageWithInteractive(phone, allJobs, page = 1, context = {}) {
         if (page > 1) {
           navRows.push({
             id: `nav_prev_${page - 1}`,
-            title: '⬅️ Previous',
-            description: `Go to page ${page - 1}`
+            title: i18n.t(lang, 'jobs.prevRow'),
+            description: i18n.t(lang, 'jobs.goToPage', { page: page - 1 })
           });
         }
         
         if (page < totalPages) {
           navRows.push({
             id: `nav_next_${page + 1}`,
-            title: '➡️ Next',
-            description: `Go to page ${page + 1}`
+            title: i18n.t(lang, 'jobs.nextRow'),
+            description: i18n.t(lang, 'jobs.goToPage', { page: page + 1 })
           });
         }
 
         if (navRows.length > 0) {
           sections.unshift({ // Add navigation at the TOP
-            title: "Navigate",
+            title: i18n.t(lang, 'jobs.listNavSection'),
             rows: navRows
           });
         }
@@ -666,10 +830,10 @@ async displayJobPageWithInteractive(phone, allJobs, page = 1, context = {}) {
 
       await ycloud.sendInteractiveListMessage(
         phone,
-        "Job Actions",
-        "Quick apply to jobs:",
+        i18n.t(lang, 'jobs.listHeader'),
+        i18n.t(lang, 'jobs.listBody'),
         sections,
-        "Choose Action"
+        i18n.t(lang, 'jobs.listButton')
       );
 
     } catch (interactiveError) {
@@ -680,18 +844,14 @@ async displayJobPageWithInteractive(phone, allJobs, page = 1, context = {}) {
     }
 
     // 2. THEN - Send detailed job listing below
-    let jobDetailsText = `📋 **Jobs - Page ${page} of ${totalPages}** (${allJobs.length} total)\n\n`;
+    let jobDetailsText = i18n.t(lang, 'jobs.pageTitle', { page, totalPages, total: allJobs.length });
     
     pageJobs.forEach((job, index) => {
       const jobNumber = index + 1;
-      jobDetailsText += this.formatJobDisplay(job, jobNumber);
+      jobDetailsText += this.formatJobDisplay(job, jobNumber, lang);
     });
 
-
-     jobDetailsText += `💡 **Quick Actions:**\n`;
-     jobDetailsText += `• Use interactive buttons above to apply\n`;
-     jobDetailsText += `• Type "details" + job number (e.g. "details 3") for full info\n`;
-     jobDetailsText += `• Type "apply 1,2,3" to select multiple jobs`;
+    jobDetailsText += i18n.t(lang, 'jobs.quickActions');
 
     await this.sendWhatsAppMessage(phone, jobDetailsText, { instant: true });
 
@@ -717,48 +877,48 @@ async displayJobPage(phone, allJobs, page, context = {}) {
     const endIndex = startIndex + jobsPerPage;
     const pageJobs = allJobs.slice(startIndex, endIndex);
     const totalPages = Math.ceil(allJobs.length / jobsPerPage);
+    const lang = await i18n.getLanguage(phone);
 
-    await redis.set(`current_page:${normalizePhone(phone)}`, page.toString(), 'EX', 3600);
-    await redis.set(`last_jobs:${normalizePhone(phone)}`, JSON.stringify(pageJobs), 'EX', 3600);
+    await transitionSession(phone, 'browsing_jobs', {
+      data: { currentPage: page, lastJobs: pageJobs, paginatedJobs: allJobs },
+      reason: 'display_page'
+    });
 
-    let response = `📋 **Jobs - Page ${page} of ${totalPages}** (${allJobs.length} total)\n\n`;
+    let response = i18n.t(lang, 'jobs.pageTitle', { page, totalPages, total: allJobs.length });
 
     pageJobs.forEach((job, index) => {
       const jobNumber = index + 1;
-      response += this.formatJobDisplay(job, jobNumber);
+      response += this.formatJobDisplay(job, jobNumber, lang);
     });
 
-    response += `\n📄 **Navigation:**\n`;
-    if (page > 1) response += `• "prev" - Previous page\n`;
-    if (page < totalPages) response += `• "next" - Next page\n`;
-    response += `• "page X" - Go to page X\n\n`;
+    response += i18n.t(lang, 'jobs.navigation');
+    if (page > 1) response += i18n.t(lang, 'jobs.navPrev');
+    if (page < totalPages) response += i18n.t(lang, 'jobs.navNext');
+    response += i18n.t(lang, 'jobs.navPage');
     
-    response += `🚀 **Quick Actions:**\n`;
-    response += `• "${startIndex + 1},${startIndex + 2}" - Apply to specific jobs\n`;
-    response += `• "details ${startIndex + 1}" - See full requirements\n`;
-    response += `• "all" - Apply to all jobs on this page`;
+    response += i18n.t(lang, 'jobs.textActions', { first: startIndex + 1, second: startIndex + 2 });
 
     await this.sendWhatsAppMessage(phone, response, context);
     return true;
 
   } catch (error) {
     logger.error('Job page display error', { phone, error: error.message });
-    return this.sendWhatsAppMessage(phone, 'Failed to display jobs. Please try again.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.displayJobs'), { instant: true });
   }
 }
 
   // ================================
   // ENHANCED JOB DISPLAY FORMAT
   // ================================
-  formatJobDisplay(job, jobNumber) {
+  formatJobDisplay(job, jobNumber, lang = i18n.defaultLanguage) {
     let jobText = `${jobNumber}. 💼 ${job.title}\n`;
     jobText += `   🏢 ${job.company}\n`;
-    jobText += `   📍 ${job.is_remote ? '🌐 Remote' : job.location}\n`;
+    jobText += `   📍 ${job.is_remote ? `🌐 ${i18n.t(lang, 'job.remote')}` : job.location}\n`;
     
     if (job.salary && job.salary !== 'Competitive') {
       jobText += `   💰 ${job.salary}\n`;
     } else {
-      jobText += `   💰 Competitive\n`;
+      jobText += `   💰 ${i18n.t(lang, 'job.competitive')}\n`;
     }
     
     if (job.description || job.requirements) {
@@ -778,7 +938,8 @@ async displayJobPage(phone, allJobs, page, context = {}) {
     if (job.expires_at) {
       const daysLeft = Math.ceil((new Date(job.expires_at) - new Date()) / (1000 * 60 * 60 * 24));
       if (daysLeft > 0) {
-        jobText += `   ⏰ Expires in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}\n`;
+        const expires = daysLeft === 1 ? i18n.t(lang, 'job.expiresOne') : i18n.t(lang, 'job.expiresMany', { days: daysLeft });
+        jobText += `   ⏰ ${expires}\n`;
       }
     }
     
@@ -864,10 +1025,13 @@ async displayJobPage(phone, allJobs, page, context = {}) {
     const greetingPatterns = [
       /^(hi|hello|hey|good morning|good afternoon|good evening|start|begin)$/i,
       /^(hi|hello|hey)\s/i,
-      /\b(hello|hi|hey)\b/i
+      /\b(hello|hi|hey)\b/i,
+      // Pidgin, Yoruba, Hausa and Igbo greetings
+      /^(how far|how you dey|bawo|e ?kaaro|e ?kaasan|e ?kaale|sannu|ina kwana|ina wuni|kedu|ndewo|nnoo)\b/i
     ];
     
-    return greetingPatterns.some(pattern => pattern.test(message.trim()));
+    const text = normalizeText(message);
+    return greetingPatterns.some(pattern => pattern.test(text));
   }
 
   // ================================
@@ -969,18 +1133,19 @@ async displayJobPage(phone, allJobs, page, context = {}) {
         
         if (rows.length > 0) {
           await this.sendWhatsAppMessage(identifier, 
-            `No ${friendlyLabel || searchTerm} found in ${location}, but I found ${rows.length} nationwide:`,
+            await this.localize(identifier, 'search.nationwide', { title: friendlyLabel || searchTerm, location, count: rows.length }),
             { instant: true }
           );
         }
       }
 
       if (rows.length === 0) {
+        const lang = await i18n.getLanguage(identifier);
         const displayTitle = friendlyLabel || rawTitle || title || 'jobs';
-        const locationText = location ? ` in ${location}` : '';
+        const locationText = location ? i18n.t(lang, 'search.inLocation', { location }) : '';
         return this.sendWhatsAppMessage(
           identifier,
-          `No jobs found for "${displayTitle}"${locationText}\n\nTry broader terms:\n• "software jobs in Lagos"\n• "IT jobs"\n• "remote tech jobs"\n• "jobs in Lagos"\n\nOr type "menu" to browse categories`,
+          i18n.t(lang, 'search.noResults', { title: displayTitle, location: locationText }),
           { instant: true }
         );
       }
@@ -1002,7 +1167,7 @@ async displayJobPage(phone, allJobs, page, context = {}) {
 
     } catch (error) {
       logger.error('Job search error', { identifier, filters, error: error.message });
-      return this.sendWhatsAppMessage(identifier, 'Job search failed. Please try again.', { instant: true });
+      return this.sendWhatsAppMessage(identifier, await this.localize(identifier, 'error.search'), { instant: true });
     }
   }
 
@@ -1011,6 +1176,7 @@ async displayJobPage(phone, allJobs, page, context = {}) {
       let whereConditions = [];
       let queryParams = [];
       let paramIndex = 1;
+      let tsQueryIndex = null;
       
       if (searchTerm) {
         const keywordResult = openaiService.extractSearchKeywords ? 
@@ -1019,21 +1185,13 @@ async displayJobPage(phone, allJobs, page, context = {}) {
 
         const keywords = keywordResult.include || (Array.isArray(keywordResult) ? keywordResult : []);
         
-        if (keywords.length > 0) {
-          const keywordConditions = keywords.map(keyword => {
-            const condition = `(
-              title ILIKE $${paramIndex} OR 
-              description ILIKE $${paramIndex} OR 
-              requirements ILIKE $${paramIndex} OR
-              category ILIKE $${paramIndex} OR
-              experience ILIKE $${paramIndex}
-            )`;
-            queryParams.push(`%${keyword}%`);
-            paramIndex++;
-            return condition;
-          });
-          
-          whereConditions.push(`(${keywordConditions.join(' OR ')})`);
+        const tsQuery = jobSearch.toTsQuery(keywords);
+        
+        if (tsQuery) {
+          whereConditions.push(jobSearch.matchClause(paramIndex));
+          queryParams.push(tsQuery);
+          tsQueryIndex = paramIndex;
+          paramIndex++;
         }
       }
       
@@ -1062,14 +1220,10 @@ async displayJobPage(phone, allJobs, page, context = {}) {
         : 'WHERE (expires_at IS NULL OR expires_at > NOW())';
       
       let orderByClause = 'ORDER BY COALESCE(last_updated, scraped_at, NOW()) DESC';
-      if (searchTerm && queryParams.length > 0) {
+      if (tsQueryIndex) {
         orderByClause = `
           ORDER BY 
-            CASE 
-              WHEN title ILIKE $1 THEN 1
-              WHEN description ILIKE $1 THEN 2
-              ELSE 3
-            END,
+            ${jobSearch.rankExpression(tsQueryIndex)} DESC,
             COALESCE(last_updated, scraped_at, NOW()) DESC`;
       }
       
@@ -1257,9 +1411,8 @@ async displayJobPage(phone, allJobs, page, context = {}) {
         });
       }
 
-      let response = `🔥 Found ${totalJobsFound} ${displayTitle}!\n\n`;
-      
-      response += `📍 Locations:\n`;
+      const lang = await i18n.getLanguage(identifier);
+      let response = i18n.t(lang, 'tease.found', { count: totalJobsFound, title: displayTitle });
       
       const sortedLocations = Object.entries(expandedResults)
         .sort(([locA, countA], [locB, countB]) => {
@@ -1270,27 +1423,23 @@ async displayJobPage(phone, allJobs, page, context = {}) {
         .slice(0, maxLocationsToShow);
 
       sortedLocations.forEach(([location, count]) => {
-        response += `• ${location}: ${count} jobs\n`;
+        response += i18n.t(lang, 'tease.location', { location, count });
       });
 
       if (Object.keys(expandedResults).length > maxLocationsToShow) {
-        response += `• ...and more locations\n`;
+        response += i18n.t(lang, 'tease.moreLocations');
       }
 
-      response += `\n💳 Pay ₦300 for full access\n\n`;
-      response += `✅ View all job details\n`;
-      response += `✅ Apply to 3 jobs with AI-generated cover letters\n`;
-      response += `✅ Instant professional applications\n\n`;
+      response += i18n.t(lang, 'tease.offer');
 
       await redis.set(`pending_jobs:${normalizePhone(identifier)}`, JSON.stringify(jobs), 'EX', 3600);
       await redis.set(`search_context:${normalizePhone(identifier)}`, JSON.stringify(filters), 'EX', 3600);
 
       const paymentUrl = await this.initiateDailyPayment(identifier);
-      response += `Pay now: ${paymentUrl}\n\n`;
-      response += `Already paid? Type "show jobs"`;
+      response += i18n.t(lang, 'tease.payNow', { paymentUrl });
 
       if (response.length > 4000) {
-        response = response.substring(0, 3900) + '\n\nPay to see all details: ' + paymentUrl;
+        response = response.substring(0, 3900) + i18n.t(lang, 'tease.payToSee', { paymentUrl });
       }
 
       await this.sendWhatsAppMessage(identifier, response, {
@@ -1303,59 +1452,56 @@ async displayJobPage(phone, allJobs, page, context = {}) {
 
     } catch (error) {
       logger.error('Enhanced job tease error', { identifier, error: error.message });
-      return this.sendWhatsAppMessage(identifier, 
-        'Failed to process jobs. Please try again.',
-        { instant: true }
-      );
+      return this.sendWhatsAppMessage(identifier, await this.localize(identifier, 'error.processJobs'), { instant: true });
     }
   }
   schedulePaymentReminders(identifier) {
-    setTimeout(async () => {
-      const usage = await this.checkDailyUsage(identifier);
-      if (usage.needsPayment) {
-        await this.sendPaymentReminderWithCommunity(identifier);
-      }
-    }, 600000); // 10 minutes
-
-    setTimeout(async () => {
-      const usage = await this.checkDailyUsage(identifier);
-      if (usage.needsPayment) {
-        await this.sendFinalPaymentReminder(identifier);
-      }
-    }, 3600000); // 1 hour
+    // Fire-and-forget like the tease itself; paying cancels both (processPayment)
+    scheduledMessages.schedule(identifier, 'payment_reminder', { delayMs: 600000 }); // 10 minutes
+    scheduledMessages.schedule(identifier, 'payment_final_reminder', { delayMs: 3600000 }); // 1 hour
   }
 
  async sendPaymentReminderWithCommunity(identifier) {
   const pendingJobs = await redis.get(`pending_jobs:${normalizePhone(identifier)}`);
-  if (!pendingJobs) return;
+  if (!pendingJobs) return false;
+
+  const usage = await this.checkDailyUsage(identifier);
+  if (!usage.needsPayment) return false;
 
   try {
     const jobs = JSON.parse(pendingJobs);
     const paymentUrl = await this.initiateDailyPayment(identifier);
     
     await this.sendWhatsAppMessage(identifier,
-      `🔥 ${jobs.length} new jobs found!\n\n💡 See what others say about us:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n💳 Unlock full details here:\n${paymentUrl}\n\n⚡ 50+ applicants daily - don't miss out!`,
+      await this.localize(identifier, 'reminder.first', { count: jobs.length, paymentUrl }),
       { instant: true }
     );
+    return true;
   } catch (error) {
     logger.error('Payment reminder error', { identifier, error: error.message });
+    throw error;
   }
 }
 
 async sendFinalPaymentReminder(identifier) {
   const pendingJobs = await redis.get(`pending_jobs:${normalizePhone(identifier)}`);
-  if (!pendingJobs) return;
+  if (!pendingJobs) return false;
+
+  const usage = await this.checkDailyUsage(identifier);
+  if (!usage.needsPayment) return false;
 
   try {
     const jobs = JSON.parse(pendingJobs);
     const paymentUrl = await this.initiateDailyPayment(identifier);
     
     await this.sendWhatsAppMessage(identifier,
-      `⏰ Final reminder!\n\nYour ${jobs.length} job search results expire soon\n\n💳 Complete payment now:\n${paymentUrl}\n\n🚀 New jobs added daily - don't miss out!`,
+      await this.localize(identifier, 'reminder.final', { count: jobs.length, paymentUrl }),
       { instant: true }
     );
+    return true;
   } catch (error) {
     logger.error('Final reminder error', { identifier, error: error.message });
+    throw error;
   }
 }
   async quickCountJobsInLocation(jobCategory, location) {
@@ -1401,31 +1547,32 @@ async sendFinalPaymentReminder(identifier) {
   // ================================
   async showJobApplicationOptions(phone, selectedJobs) {
     try {
-      const header = "Application Options";
-      const body = `You selected ${selectedJobs.length} job(s). Choose how to proceed:`;
+      const lang = await i18n.getLanguage(phone);
+      const header = i18n.t(lang, 'options.header');
+      const body = i18n.t(lang, 'options.body', { count: selectedJobs.length });
 
       const sections = [{
-        title: "Application Actions",
+        title: i18n.t(lang, 'options.section'),
         rows: [
           {
             id: 'apply_selected',
-            title: '📤 Apply to Selected Jobs',
-            description: `Apply to all ${selectedJobs.length} selected jobs`
+            title: i18n.t(lang, 'options.applyTitle'),
+            description: i18n.t(lang, 'options.applyDescription', { count: selectedJobs.length })
           },
           {
             id: 'review_jobs',
-            title: '👀 Review Selected Jobs',
-            description: 'See details of your selected jobs'
+            title: i18n.t(lang, 'options.reviewTitle'),
+            description: i18n.t(lang, 'options.reviewDescription')
           },
           {
             id: 'select_more',
-            title: '➕ Select More Jobs',
-            description: 'Add more jobs to your selection'
+            title: i18n.t(lang, 'options.moreTitle'),
+            description: i18n.t(lang, 'options.moreDescription')
           },
           {
             id: 'clear_selection',
-            title: '🗑️ Clear Selection',
-            description: 'Start job selection over'
+            title: i18n.t(lang, 'options.clearTitle'),
+            description: i18n.t(lang, 'options.clearDescription')
           }
         ]
       }];
@@ -1435,19 +1582,16 @@ async sendFinalPaymentReminder(identifier) {
         header,
         body,
         sections,
-        "Choose Action"
+        i18n.t(lang, 'options.button')
       );
 
-      await redis.set(`state:${normalizePhone(phone)}`, 'application_options', 'EX', 3600);
+      await transitionSession(phone, 'application_options', { reason: 'options_shown' });
       
       return true;
 
     } catch (error) {
       logger.error('Application options error', { phone, error: error.message });
-      return this.sendWhatsAppMessage(phone, 
-        'Upload your CV to apply to the selected jobs, or type "more" to select additional jobs.',
-        { instant: true }
-      );
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'options.fallback'), { instant: true });
     }
   }
 
@@ -1465,7 +1609,7 @@ async handleInteractiveResponse(phone, message, context = {}) {
     
     if (!interactive) {
       console.log('❌ No interactive data found');
-      return this.sendWhatsAppMessage(phone, 'No interactive data received.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.noInteractiveData'), { instant: true });
     }
     
     // Handle list reply (what YCloud sends)
@@ -1484,27 +1628,29 @@ async handleInteractiveResponse(phone, message, context = {}) {
         console.log('🎯 Job number to apply:', jobNumber);
         
         if (isNaN(jobNumber)) {
-          return this.sendWhatsAppMessage(phone, 'Invalid job selection.', { instant: true });
+          return this.sendWhatsAppMessage(phone, await this.localize(phone, 'apply.invalidSelection'), { instant: true });
         }
         
-        // Get the jobs from Redis
-        const lastJobsStr = await redis.get(`last_jobs:${normalizePhone(phone)}`);
-        if (!lastJobsStr) {
-          return this.sendWhatsAppMessage(phone, 'No jobs found. Please search again.', { instant: true });
+        // Get the jobs on the current page
+        const { lastJobs: jobs } = await getSessionData(phone);
+        if (!jobs) {
+          return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noneSearchAgain'), { instant: true });
         }
         
-        const jobs = JSON.parse(lastJobsStr);
         const selectedJob = jobs[jobNumber - 1];
         
         if (!selectedJob) {
-          return this.sendWhatsAppMessage(phone, `Job ${jobNumber} not found.`, { instant: true });
+          return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.notFound', { number: jobNumber }), { instant: true });
         }
         
         // Store the selected job
-        await redis.set(`selected_jobs:${normalizePhone(phone)}`, JSON.stringify([selectedJob]), 'EX', 3600);
+        await updateSessionData(phone, { selectedJobs: [selectedJob] });
         
         // Success message
-        const successMsg = `✅ Selected: ${selectedJob.title}\n🏢 ${selectedJob.company}\n\n📤 Please upload your CV (PDF/DOCX) to apply.`;
+        const successMsg = await this.localize(phone, 'apply.selected', {
+          title: selectedJob.title,
+          company: selectedJob.company
+        });
         
         console.log('✅ Interactive selection successful');
         return this.sendWhatsAppMessage(phone, successMsg, { instant: true });
@@ -1513,11 +1659,11 @@ async handleInteractiveResponse(phone, message, context = {}) {
     
     // If we get here, it's an unknown interactive type
     console.log('❓ Unknown interactive type:', interactive.type);
-    return this.sendWhatsAppMessage(phone, 'Unknown action. Please try text commands.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.unknownAction'), { instant: true });
     
   } catch (error) {
     console.error('💥 Interactive handler error:', error);
-    return this.sendWhatsAppMessage(phone, 'Selection failed. Try typing "apply 1" instead.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.selection'), { instant: true });
   }
 }
 
@@ -1529,23 +1675,22 @@ async handleInteractiveJobSelection(phone, jobNumber, context = {}) {
       jobNumber 
     });
     
-    // Get the current page jobs from Redis
-    const lastJobsStr = await redis.get(`last_jobs:${normalizePhone(phone)}`);
+    // Get the current page jobs from the session
+    const { lastJobs: currentPageJobs } = await getSessionData(phone);
     
-    if (!lastJobsStr) {
-      console.log('🔴 No jobs found in Redis');
+    if (!currentPageJobs) {
+      console.log('🔴 No jobs found in session');
       logger.warn('❌ No current page jobs found');
-      return this.sendWhatsAppMessage(phone, 'No jobs available. Please search for jobs first.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noneAvailable'), { instant: true });
     }
 
-    const currentPageJobs = JSON.parse(lastJobsStr);
-    console.log('🟢 Found jobs in Redis:', currentPageJobs.length);
+    console.log('🟢 Found jobs in session:', currentPageJobs.length);
     
     // Validate job number
     if (jobNumber < 1 || jobNumber > currentPageJobs.length) {
       console.log('🔴 Invalid job number:', jobNumber, 'Available:', currentPageJobs.length);
       return this.sendWhatsAppMessage(phone, 
-        `Invalid job number ${jobNumber}. Please select from jobs 1-${currentPageJobs.length}.`, 
+        await this.localize(phone, 'apply.invalidNumber', { number: jobNumber, max: currentPageJobs.length }), 
         { instant: true }
       );
     }
@@ -1556,7 +1701,7 @@ async handleInteractiveJobSelection(phone, jobNumber, context = {}) {
     if (!selectedJob) {
       console.log('🔴 Job not found at index:', jobNumber - 1);
       return this.sendWhatsAppMessage(phone, 
-        `Job ${jobNumber} not found. Please try again.`, 
+        await this.localize(phone, 'jobs.notFound', { number: jobNumber }), 
         { instant: true }
       );
     }
@@ -1578,38 +1723,38 @@ async handleInteractiveJobSelection(phone, jobNumber, context = {}) {
     if (usage.needsPayment) {
       console.log('🔴 Payment required');
       const paymentUrl = await this.initiateDailyPayment(phone);
-      return this.sendWhatsAppMessage(phone,
-        `💳 Payment Required\n\nTo apply for "${selectedJob.title}" at ${selectedJob.company}, please complete payment:\n\n${paymentUrl}\n\nAfter payment, upload your CV to apply.`,
-        { instant: true }
+      return this.sendPaymentRequired(phone,
+        await this.localize(phone, 'apply.paymentRequired', {
+          title: selectedJob.title,
+          company: selectedJob.company,
+          paymentUrl
+        })
       );
     }
 
     if (usage.remaining <= 0) {
       console.log('🔴 Application limit reached');
-      return this.sendWhatsAppMessage(phone,
-        `❌ Application Limit Reached\n\nYou've used all your applications today. Try again tomorrow or make a new payment.`,
-        { instant: true }
-      );
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'apply.limitReached'), { instant: true });
     }
 
     // Store the selected job for application
-    await redis.set(`selected_jobs:${normalizePhone(phone)}`, JSON.stringify([selectedJob]), 'EX', 3600);
+    await updateSessionData(phone, { selectedJobs: [selectedJob] });
     
-    console.log('✅ Job stored in Redis');
+    console.log('✅ Job stored in session');
     logger.info('✅ Job stored for application', { 
       phone: phone.substring(0, 6) + '***',
       jobTitle: selectedJob.title
     });
 
     // Success message with clear instructions
-    const successMessage = 
-      `✅ Job Selected Successfully!\n\n` +
-      `💼 Position: ${selectedJob.title}\n` +
-      `🏢 Company: ${selectedJob.company}\n` +
-      `📍 Location: ${selectedJob.is_remote ? '🌐 Remote' : selectedJob.location}\n` +
-      `💰 Salary: ${selectedJob.salary || 'Competitive'}\n\n` +
-      `📤 Next Step: Upload your CV (PDF or DOCX) to apply for this position.\n\n` +
-      `You have ${usage.remaining} applications remaining today.`;
+    const lang = await i18n.getLanguage(phone);
+    const successMessage = i18n.t(lang, 'apply.jobSelected', {
+      title: selectedJob.title,
+      company: selectedJob.company,
+      location: selectedJob.is_remote ? `🌐 ${i18n.t(lang, 'job.remote')}` : selectedJob.location,
+      salary: selectedJob.salary || i18n.t(lang, 'job.competitive'),
+      remaining: usage.remaining
+    });
 
     console.log('✅ Sending success message');
     return this.sendWhatsAppMessage(phone, successMessage, { instant: true });
@@ -1622,10 +1767,7 @@ async handleInteractiveJobSelection(phone, jobNumber, context = {}) {
       stack: error.stack
     });
     
-    return this.sendWhatsAppMessage(phone, 
-      'Failed to process job selection. Please try typing "apply 1" instead.', 
-      { instant: true }
-    );
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.jobSelection'), { instant: true });
   }
 }
 
@@ -1648,18 +1790,17 @@ async handleInteractiveJobSelection(phone, id, context = {}) {
     
     if (isNaN(jobNumber)) {
       logger.warn('❌ Invalid job number in interactive selection', { phone, id });
-      return this.sendWhatsAppMessage(phone, 'Invalid job number. Please try again.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'apply.invalidSelection'), { instant: true });
     }
     
-    // Get the current page jobs (these are already the correct 5 jobs for this page)
-    const lastJobsStr = await redis.get(`last_jobs:${normalizePhone(phone)}`);
+    // Get the current page jobs (these are already the correct jobs for this page)
+    const { lastJobs: currentPageJobs, selectedJobs: currentSelection } = await getSessionData(phone);
     
-    if (!lastJobsStr) {
+    if (!currentPageJobs) {
       logger.warn('❌ No current page jobs found for selection', { phone });
-      return this.sendWhatsAppMessage(phone, 'Please search for jobs first.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'options.searchFirst'), { instant: true });
     }
 
-    const currentPageJobs = JSON.parse(lastJobsStr);
     const selectedJob = currentPageJobs[jobNumber - 1]; // jobNumber is 1-based, array is 0-based
     
     if (!selectedJob) {
@@ -1669,7 +1810,7 @@ async handleInteractiveJobSelection(phone, id, context = {}) {
         availableJobs: currentPageJobs.length 
       });
       return this.sendWhatsAppMessage(phone, 
-        `Job ${jobNumber} not found. Please select from jobs 1-${currentPageJobs.length}.`, 
+        await this.localize(phone, 'apply.invalidNumber', { number: jobNumber, max: currentPageJobs.length }), 
         { instant: true }
       );
     }
@@ -1688,8 +1829,7 @@ async handleInteractiveJobSelection(phone, id, context = {}) {
       needsPayment: usage.needsPayment 
     });
     
-    const currentSelectionStr = await redis.get(`selected_jobs:${normalizePhone(phone)}`);
-    let selectedJobs = currentSelectionStr ? JSON.parse(currentSelectionStr) : [];
+    let selectedJobs = currentSelection || [];
     
     // Check if job is already selected
     const alreadySelected = selectedJobs.some(job => 
@@ -1703,7 +1843,7 @@ async handleInteractiveJobSelection(phone, id, context = {}) {
         jobTitle: selectedJob.title 
       });
       return this.sendWhatsAppMessage(phone, 
-        `✅ Job "${selectedJob.title}" is already selected.\n\nCurrent selection: ${selectedJobs.length} job(s)`,
+        await this.localize(phone, 'apply.alreadySelected', { title: selectedJob.title, count: selectedJobs.length }),
         { instant: true }
       );
     }
@@ -1714,14 +1854,14 @@ async handleInteractiveJobSelection(phone, id, context = {}) {
         remaining: usage.remaining 
       });
       return this.sendWhatsAppMessage(phone,
-        `Limit reached: You can only apply to ${usage.remaining} more jobs today.`,
+        await this.localize(phone, 'apply.selectionLimit', { remaining: usage.remaining }),
         { instant: true }
       );
     }
 
     // Add job to selection
     selectedJobs.push(selectedJob);
-    await redis.set(`selected_jobs:${normalizePhone(phone)}`, JSON.stringify(selectedJobs), 'EX', 3600);
+    await updateSessionData(phone, { selectedJobs });
     
     logger.info('✅ Job added to selection successfully', { 
       phone: phone.substring(0, 6) + '***',
@@ -1730,7 +1870,11 @@ async handleInteractiveJobSelection(phone, id, context = {}) {
     });
 
     await this.sendWhatsAppMessage(phone, 
-      `✅ Added: ${selectedJob.title}\n🏢 Company: ${selectedJob.company}\n\n📋 Total selected: ${selectedJobs.length} job(s)`,
+      await this.localize(phone, 'apply.added', {
+        title: selectedJob.title,
+        company: selectedJob.company,
+        count: selectedJobs.length
+      }),
       { instant: true }
     );
 
@@ -1747,39 +1891,39 @@ async handleInteractiveJobSelection(phone, id, context = {}) {
       error: error.message,
       id 
     });
-    return this.sendWhatsAppMessage(phone, 'Selection failed. Try typing the job number instead.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.selection'), { instant: true });
   }
 }
 async handleInteractiveJobDetails(phone, detailsId, context = {}) {
   try {
     const jobNumber = parseInt(detailsId.replace('details_', ''), 10);
     if (isNaN(jobNumber)) {
-      return this.sendWhatsAppMessage(phone, 'Invalid job details request. Please try again.');
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'details.invalidRequest'));
     }
 
-    const jobsStr = await redis.get(`paginated_jobs:${normalizePhone(phone)}`);
-    if (!jobsStr) {
-      return this.sendWhatsAppMessage(phone, 'No jobs found. Please search again.');
+    const { paginatedJobs: allJobs } = await getSessionData(phone);
+    if (!allJobs) {
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noneSearchAgain'));
     }
 
-    const allJobs = JSON.parse(jobsStr);
     const selectedJob = allJobs[jobNumber - 1];
 
     if (!selectedJob) {
-      return this.sendWhatsAppMessage(phone, 'Job not found. Please try again.');
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.notFound', { number: jobNumber }));
     }
 
     // Build job details message
+    const lang = await i18n.getLanguage(phone);
     const detailsMsg = 
-      `📋 *Job Details*\n\n` +
+      `${i18n.t(lang, 'details.summaryTitle')}\n\n` +
       `💼 ${selectedJob.title}\n` +
       `🏢 ${selectedJob.company}\n` +
       `📍 ${selectedJob.location}\n` +
       (selectedJob.salary ? `💰 ${selectedJob.salary}\n` : '') +
       (selectedJob.category ? `📝 ${selectedJob.category}\n` : '') +
       (selectedJob.experience ? `🎯 ${selectedJob.experience}\n` : '') +
-      (selectedJob.deadline ? `⏰ Expires: ${selectedJob.deadline}\n` : '') +
-      (selectedJob.description ? `\n📝 Description:\n${selectedJob.description}\n` : '');
+      (selectedJob.deadline ? `⏰ ${i18n.t(lang, 'details.expires')}: ${selectedJob.deadline}\n` : '') +
+      (selectedJob.description ? `\n📝 ${i18n.t(lang, 'details.description')}:\n${selectedJob.description}\n` : '');
 
     return this.sendWhatsAppMessage(phone, detailsMsg);
 
@@ -1788,24 +1932,23 @@ async handleInteractiveJobDetails(phone, detailsId, context = {}) {
       phone: phone.substring(0, 6) + '***',
       error: error.message 
     });
-    return this.sendWhatsAppMessage(phone, 'Something went wrong fetching job details. Please try again.');
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.jobDetails'));
   }
 }
 
 async handleInteractivePageNavigation(phone, targetPage, context = {}) {
   try {
-    const allJobsStr = await redis.get(`paginated_jobs:${normalizePhone(phone)}`);
+    const { paginatedJobs: allJobs } = await getSessionData(phone);
     
-    if (!allJobsStr) {
-      return this.sendWhatsAppMessage(phone, 'No jobs found for navigation.', { instant: true });
+    if (!allJobs) {
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noPagination'), { instant: true });
     }
 
-    const allJobs = JSON.parse(allJobsStr);
-    const totalPages = Math.ceil(allJobs.length / 5);
+    const totalPages = Math.ceil(allJobs.length / 8);
     
     if (targetPage < 1 || targetPage > totalPages) {
       return this.sendWhatsAppMessage(phone, 
-        `Invalid page number. Please select page 1-${totalPages}.`, 
+        await this.localize(phone, 'jobs.invalidPage', { totalPages }), 
         { instant: true }
       );
     }
@@ -1814,28 +1957,27 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
 
   } catch (error) {
     logger.error('Interactive page navigation error', { phone, error: error.message });
-    return this.sendWhatsAppMessage(phone, 'Navigation failed. Please try again.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.navigation'), { instant: true });
   }
 }
 
   async handleApplySelected(phone, context = {}) {
-    const selectedJobsStr = await redis.get(`selected_jobs:${normalizePhone(phone)}`);
-    if (!selectedJobsStr) {
-      return this.sendWhatsAppMessage(phone, 'No jobs selected. Please select jobs first.', { instant: true });
+    const { selectedJobs } = await getSessionData(phone);
+    const lang = await i18n.getLanguage(phone);
+    if (!selectedJobs) {
+      return this.sendWhatsAppMessage(phone, i18n.t(lang, 'options.noneSelected'), { instant: true });
     }
 
-    const selectedJobs = JSON.parse(selectedJobsStr);
     const usage = await this.checkDailyUsage(phone);
     
     if (usage.needsPayment) {
       const paymentUrl = await this.initiateDailyPayment(phone);
-      return this.sendWhatsAppMessage(phone, 
-        `Complete payment first:\n\n${paymentUrl}\n\nAfter payment, upload your CV to apply to ${selectedJobs.length} selected jobs.`,
-        { instant: true }
+      return this.sendPaymentRequired(phone,
+        i18n.t(lang, 'options.payFirst', { paymentUrl, count: selectedJobs.length })
       );
     }
 
-    await redis.del(`state:${normalizePhone(phone)}`);
+    await transitionSession(phone, 'idle', { reason: 'awaiting_cv' });
     
     let jobList = '';
     selectedJobs.slice(0, 3).forEach((job, index) => {
@@ -1843,34 +1985,34 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
     });
 
     if (selectedJobs.length > 3) {
-      jobList += `...and ${selectedJobs.length - 3} more!\n`;
+      jobList += i18n.t(lang, 'upload.moreJobs', { count: selectedJobs.length - 3 });
     }
 
-    const response = `Ready to apply to ${selectedJobs.length} job(s):\n\n${jobList}\n📤 Upload your CV to start applications!\n\n✅ We'll generate personalized cover letters\n✅ Submit professional applications instantly\n✅ Email copies to you for records`;
+    const response = i18n.t(lang, 'options.ready', { count: selectedJobs.length, jobList });
 
     return this.sendWhatsAppMessage(phone, response);
   }
 
   async handleReviewJobs(phone, context = {}) {
-    const selectedJobsStr = await redis.get(`selected_jobs:${normalizePhone(phone)}`);
-    if (!selectedJobsStr) {
-      return this.sendWhatsAppMessage(phone, 'No jobs selected.', { instant: true });
+    const { selectedJobs } = await getSessionData(phone);
+    const lang = await i18n.getLanguage(phone);
+    if (!selectedJobs) {
+      return this.sendWhatsAppMessage(phone, i18n.t(lang, 'options.noneSelected'), { instant: true });
     }
 
-    const selectedJobs = JSON.parse(selectedJobsStr);
-    let response = `📋 Your Selected Jobs (${selectedJobs.length}):\n\n`;
+    let response = i18n.t(lang, 'options.reviewList', { count: selectedJobs.length });
 
     selectedJobs.forEach((job, index) => {
       response += `${index + 1}. 💼 ${job.title}\n`;
       response += `   🏢 ${job.company}\n`;
-      response += `   📍 ${job.is_remote ? '🌐 Remote' : job.location}\n`;
+      response += `   📍 ${job.is_remote ? `🌐 ${i18n.t(lang, 'job.remote')}` : job.location}\n`;
       if (job.salary && job.salary !== 'Competitive') {
         response += `   💰 ${job.salary}\n`;
       }
       response += '\n';
     });
 
-    response += 'Ready to apply? Upload your CV or select more jobs.';
+    response += i18n.t(lang, 'options.reviewFooter');
     
     setTimeout(() => {
       this.showJobApplicationOptions(phone, selectedJobs);
@@ -1880,45 +2022,33 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
   }
 
   async handleSelectMore(phone, context = {}) {
-    await redis.del(`state:${normalizePhone(phone)}`);
+    const { currentPage, paginatedJobs: allJobs } = await getSessionData(phone);
     
-    const currentPageStr = await redis.get(`current_page:${normalizePhone(phone)}`);
-    const allJobsStr = await redis.get(`paginated_jobs:${normalizePhone(phone)}`);
-    
-    if (currentPageStr && allJobsStr) {
-      const currentPage = parseInt(currentPageStr);
-      const allJobs = JSON.parse(allJobsStr);
+    // Redisplaying the page moves the session back to browsing_jobs
+    if (currentPage && allJobs) {
       return await this.displayJobPageWithInteractive(phone, allJobs, currentPage, context);
     }
 
-    return this.sendWhatsAppMessage(phone, 'Please search for jobs first.', { instant: true });
+    await transitionSession(phone, 'idle', { reason: 'select_more_without_jobs' });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'options.searchFirst'), { instant: true });
   }
 
   async handleClearSelection(phone, context = {}) {
-    await redis.del(`selected_jobs:${normalizePhone(phone)}`);
-    await redis.del(`state:${normalizePhone(phone)}`);
+    await transitionSession(phone, 'idle', { data: { selectedJobs: null }, reason: 'clear_selection' });
     
-    return this.sendWhatsAppMessage(phone, 
-      '🗑️ Job selection cleared.\n\nSearch for jobs to start over:\n• "Find developer jobs in Lagos"\n• Type "menu" to browse categories',
-      { instant: true }
-    );
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'options.cleared'), { instant: true });
   }
 
   async handleApplicationOptionsText(phone, message, context = {}) {
     try {
       const text = message.toLowerCase().trim();
-      const selectedJobsStr = await redis.get(`selected_jobs:${normalizePhone(phone)}`);
+      const { selectedJobs } = await getSessionData(phone);
       
-      if (!selectedJobsStr) {
-        await redis.del(`state:${normalizePhone(phone)}`);
-        return this.sendWhatsAppMessage(phone, 
-          'No jobs selected. Search and select jobs first.',
-          { instant: true }
-        );
+      if (!selectedJobs) {
+        await transitionSession(phone, 'idle', { reason: 'options_without_selection' });
+        return this.sendWhatsAppMessage(phone, await this.localize(phone, 'options.noneSelected'), { instant: true });
       }
 
-      const selectedJobs = JSON.parse(selectedJobsStr);
-
       if (text.includes('apply') || text.includes('submit')) {
         return await this.handleApplySelected(phone, context);
       } else if (text.includes('review') || text.includes('see') || text.includes('show')) {
@@ -1929,14 +2059,11 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
         return await this.handleClearSelection(phone, context);
       }
 
-      return this.sendWhatsAppMessage(phone, 
-        'Please choose an option:\n• "apply" - Apply to selected jobs\n• "review" - See selected jobs\n• "more" - Select more jobs\n• "clear" - Clear selection',
-        { instant: true }
-      );
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'options.choose'), { instant: true });
 
     } catch (error) {
       logger.error('Application options text handler error', { phone, error: error.message });
-      return this.sendWhatsAppMessage(phone, 'Failed to process option. Please try again.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.option'), { instant: true });
     }
   }
 
@@ -1948,18 +2075,14 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
       const usage = await this.checkDailyUsage(phone);
       if (usage.needsPayment || usage.expired) {
         const paymentUrl = await this.initiateDailyPayment(phone);
-        return this.sendWhatsAppMessage(phone,
-          `💳 Payment Required\n\nPay ₦300 for premium service:\n✅ Full job details\n✅ 3 applications with AI cover letters\n\n${paymentUrl}`,
-          { instant: true }
+        return this.sendPaymentRequired(phone,
+          await this.localize(phone, 'payment.requiredShowJobs', { paymentUrl })
         );
       }
 
       const searchContextStr = await redis.get(`search_context:${normalizePhone(phone)}`);
       if (!searchContextStr) {
-        return this.sendWhatsAppMessage(phone,
-          '🔍 No jobs found. Search first:\n• "Find developer jobs in Lagos"\n• Type "menu" to browse categories',
-          { instant: true }
-        );
+        return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noSearch'), { instant: true });
       }
 
       const filters = JSON.parse(searchContextStr);
@@ -1985,10 +2108,7 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
       jobs = jobs.filter(job => !job.expires_at || new Date(job.expires_at) > now);
 
       if (jobs.length === 0) {
-        return this.sendWhatsAppMessage(phone,
-          'No active jobs available from your search. Try searching again!',
-          { instant: true }
-        );
+        return this.sendWhatsAppMessage(phone, await this.localize(phone, 'jobs.noneActive'), { instant: true });
       }
 
       jobs.sort((a, b) => {
@@ -2004,15 +2124,13 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
         return dateB - dateA;
       });
 
-      await redis.set(`paginated_jobs:${normalizePhone(phone)}`, JSON.stringify(jobs), 'EX', 3600);
-      await redis.set(`current_page:${normalizePhone(phone)}`, '1', 'EX', 3600);
       await redis.del(`pending_jobs:${normalizePhone(phone)}`);
 
       return await this.displayJobPageWithInteractive(phone, jobs, 1);
 
     } catch (error) {
       logger.error('Interactive show full jobs error', { phone, error: error.message });
-      return this.sendWhatsAppMessage(phone, 'Failed to show jobs. Please try again.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.showJobs'), { instant: true });
     }
   }
 
@@ -2021,60 +2139,56 @@ async handleInteractivePageNavigation(phone, targetPage, context = {}) {
   // ================================
   async handleJobDetailsRequest(phone, message) {
     try {
-      const lastJobsStr = await redis.get(`last_jobs:${normalizePhone(phone)}`);
-      if (!lastJobsStr) {
-        return this.sendWhatsAppMessage(phone,
-          'No jobs available. Please search for jobs first.',
-          { instant: true }
-        );
+      const lang = await i18n.getLanguage(phone);
+      const { lastJobs: jobs } = await getSessionData(phone);
+      if (!jobs) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'jobs.noneAvailable'), { instant: true });
       }
 
-      const jobs = JSON.parse(lastJobsStr);
       const jobNumber = this.extractSingleJobNumber(message);
       
       if (!jobNumber || jobNumber < 1 || jobNumber > jobs.length) {
         return this.sendWhatsAppMessage(phone,
-          `Please specify a valid job number (1-${jobs.length})\nExample: "details 1" or "requirements 2"`,
+          i18n.t(lang, 'details.invalidNumber', { max: jobs.length }),
           { instant: true }
         );
       }
 
       const job = jobs[jobNumber - 1];
       
-      let response = `📋 **Job ${jobNumber} - Full Details**\n\n`;
+      let response = i18n.t(lang, 'details.title', { number: jobNumber });
       response += `💼 **${job.title}**\n`;
-      response += `🏢 Company: ${job.company}\n`;
-      response += `📍 Location: ${job.is_remote ? '🌐 Remote work' : job.location}\n`;
-      response += `💰 Salary: ${job.salary || 'Competitive salary'}\n\n`;
+      response += `🏢 ${i18n.t(lang, 'details.company')}: ${job.company}\n`;
+      response += `📍 ${i18n.t(lang, 'details.location')}: ${job.is_remote ? `🌐 ${i18n.t(lang, 'job.remoteWork')}` : job.location}\n`;
+      response += `💰 ${i18n.t(lang, 'details.salary')}: ${job.salary || i18n.t(lang, 'job.competitiveSalary')}\n\n`;
       
       if (job.experience) {
-        response += `💼 **Experience Required:**\n${job.experience}\n\n`;
+        response += `💼 **${i18n.t(lang, 'details.experience')}:**\n${job.experience}\n\n`;
       }
       
       if (job.requirements) {
-        response += `✅ **Requirements:**\n${job.requirements}\n\n`;
+        response += `✅ **${i18n.t(lang, 'details.requirements')}:**\n${job.requirements}\n\n`;
       }
       
       if (job.description) {
         const shortDesc = job.description.length > 300 
           ? job.description.substring(0, 300) + '...' 
           : job.description;
-        response += `📝 **Description:**\n${shortDesc}\n\n`;
+        response += `📝 **${i18n.t(lang, 'details.description')}:**\n${shortDesc}\n\n`;
       }
       
       if (job.expires_at) {
         const daysLeft = Math.ceil((new Date(job.expires_at) - new Date()) / (1000 * 60 * 60 * 24));
-        response += `⏰ **Deadline:** ${daysLeft} days remaining\n\n`;
+        response += i18n.t(lang, 'details.deadline', { days: daysLeft });
       }
       
-      response += `🚀 **Ready to apply?**\n`;
-      response += `Reply: "apply ${jobNumber}" or "${jobNumber}" to apply to this job`;
+      response += i18n.t(lang, 'details.apply', { number: jobNumber });
 
       return this.sendWhatsAppMessage(phone, response);
 
     } catch (error) {
       logger.error('Job details error', { phone, error: error.message });
-      return this.sendWhatsAppMessage(phone, 'Failed to get job details.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.jobDetails'), { instant: true });
     }
   }
 
@@ -2094,7 +2208,8 @@ async handleWithAI(phone, message, sessionContext = {}) {
     const intent = await openaiService.parseJobQuery(message, phone, {
       platform: 'whatsapp',
       timestamp: Date.now(),
-      sessionData: sessionContext
+      sessionData: sessionContext,
+      language: await i18n.getLanguage(phone)
     });
     logger.info('Intent parsed using bkopenai.js logic', { 
       duration: Date.now() - startTime, 
@@ -2156,7 +2271,7 @@ async updateSessionContext(phone, message, intent, currentContext) {
     }
     
     // IMPORTANT FIX: Don't overwrite session data when in specific states
-    const currentState = await redis.get(`state:${normalizePhone(phone)}`);
+    const currentState = await getSessionState(phone);
     
     if (currentState === 'waiting_for_location') {
       // Don't update job type when waiting for location input
@@ -2232,10 +2347,7 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
         
         // Optional: Follow up with quick action prompt after 2 seconds
         setTimeout(async () => {
-          await this.sendWhatsAppMessage(phone,
-            'Ready to search for jobs? Just tell me what work you\'re looking for!',
-            { instant: true }
-          );
+          await this.sendWhatsAppMessage(phone, await this.localize(phone, 'search.readyToSearch'), { instant: true });
         }, 2000);
         
         return true;
@@ -2277,17 +2389,14 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
           }
 
           const displayTitle = this.getCorrectJobDisplayTitle(filters);
-          const responseMessage = intent.response || `Searching for ${displayTitle}...`;
+          const responseMessage = intent.response || await this.localize(phone, 'search.searching', { title: displayTitle });
           
           await this.sendWhatsAppMessage(phone, responseMessage, { instant: true });
           return await this.searchJobs(phone, filters);
         }
         
         // If no complete filters, ask for clarification
-        return this.sendWhatsAppMessage(phone, 
-          'What type of jobs are you looking for?\n\nTry: "developer jobs in Lagos" or "remote marketing jobs"\n\nOr type "menu" to browse categories',
-          { instant: true }
-        );
+        return this.sendWhatsAppMessage(phone, await this.localize(phone, 'search.askJobType'), { instant: true });
 
       // EXISTING: Clarification requests
       case 'clarify':
@@ -2338,7 +2447,10 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
             };
 
             const displayTitle = this.getCorrectJobDisplayTitle(filters);
-            await this.sendWhatsAppMessage(phone, `Searching for ${displayTitle} in ${filters.location}...`, { instant: true });
+            await this.sendWhatsAppMessage(phone, 
+              await this.localize(phone, 'search.searchingIn', { title: displayTitle, location: filters.location }),
+              { instant: true }
+            );
             return await this.searchJobs(phone, filters);
           }
 
@@ -2354,7 +2466,7 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
             sessionContext.pendingFriendlyLabel = intent.filters.friendlyLabel;
             
             return this.sendWhatsAppMessage(phone, 
-              `What location for ${intent.filters.friendlyLabel || intent.filters.title}? Try: Lagos, Abuja, or Remote`,
+              await this.localize(phone, 'search.askLocationFor', { title: intent.filters.friendlyLabel || intent.filters.title }),
               { instant: true }
             );
           }
@@ -2370,7 +2482,7 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
             
             return this.sendWhatsAppMessage(
               phone,
-              `What kind of job are you looking for in ${intent.filters.location}?\n\nOr type "menu" to browse categories`,
+              await this.localize(phone, 'search.askJobIn', { location: intent.filters.location }),
               { instant: true }
             );
           }
@@ -2408,7 +2520,10 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
             };
 
             const displayTitle = this.getCorrectJobDisplayTitle(filters);
-            await this.sendWhatsAppMessage(phone, `Searching ${displayTitle} in ${filters.location}...`, { instant: true });
+            await this.sendWhatsAppMessage(phone, 
+              await this.localize(phone, 'search.searchingIn', { title: displayTitle, location: filters.location }),
+              { instant: true }
+            );
             return await this.searchJobs(phone, filters);
           }
 
@@ -2449,12 +2564,12 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
 
       // EXISTING: Apply to job
       case 'apply_job':
-        await redis.set(`state:${normalizePhone(phone)}`, 'selecting_jobs', 'EX', 3600);
+        await transitionSession(phone, 'selecting_jobs', { reason: 'apply_intent' });
         return await this.handleJobSelection(phone, originalMessage);
 
       // EXISTING: Help
       case 'help':
-        return this.sendWhatsAppMessage(phone, this.getHelpMessage());
+        return this.sendWhatsAppMessage(phone, intent.response || await this.localize(phone, 'search.help'));
 
       // FALLBACK: Unknown action
       default:
@@ -2468,13 +2583,12 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
           return simpleResponse;
         }
         
-        const response = intent.response || 
-          'I\'m here to help! Try:\n• "Find developer jobs in Lagos"\n• "menu" to browse categories\n• "status" to check your applications';
+        const response = intent.response || await this.localize(phone, 'search.help');
         return this.sendWhatsAppMessage(phone, response, { instant: true });
     }
   } catch (error) {
     logger.error('Intent processing error', { phone, error: error.message });
-    return this.sendWhatsAppMessage(phone, 'Something went wrong. Please try again.', { instant: true });
+    return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
   }
 }
 
@@ -2483,15 +2597,14 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
     const text = message.toLowerCase().trim();
     
     if (text.includes('thanks') || text.includes('thank you')) {
-      return this.sendWhatsAppMessage(phone, 'You’re welcome! 😊 Need more help?', { instant: true });
+      return this.localize(phone, 'chat.thanks')
+        .then(reply => this.sendWhatsAppMessage(phone, reply, { instant: true }));
     }
     
     if (text.includes('cancel') || text.includes('stop')) {
       clearSessionContext(phone);
-      redis.del(`state:${normalizePhone(phone)}`);
-      redis.del(`selected_category:${normalizePhone(phone)}`);
-      redis.del(`selected_jobs:${normalizePhone(phone)}`);
-      return this.sendWhatsAppMessage(phone, 'Session cleared. Start over with "menu" or a job search.', { instant: true });
+      return this.localize(phone, 'chat.cleared')
+        .then(reply => this.sendWhatsAppMessage(phone, reply, { instant: true }));
     }
     
     return null;
@@ -2501,176 +2614,636 @@ async processIntent(phone, intent, originalMessage, sessionContext = {}) {
   // PAYMENT HANDLING
   // ================================
 async initiateDailyPayment(identifier) {
-  const email = 'hr@smartcvnaija.com.ng';
-  const cleanIdentifier = identifier.replace(/\+/g, '');
-  const reference = `daily_${uuidv4()}_${cleanIdentifier}`;
-  
-  await dbManager.query(`
-    INSERT INTO daily_usage (user_identifier, payment_reference, payment_status, updated_at)
-    VALUES ($2, $1, 'pending', NOW())
-    ON CONFLICT (user_identifier) 
-    DO UPDATE SET 
-      payment_reference = $1, 
-      payment_status = 'pending', 
-      updated_at = NOW()
-  `, [reference, identifier]);
-  
-  return paystackService.initializePayment(identifier, reference, email);
+  const checkout = await productCatalog.checkout(identifier, 'daily');
+  if (!checkout.success) {
+    throw new Error(`Daily pass unavailable: ${checkout.reason}`);
+  }
+  return checkout.paymentUrl;
 }
 
-  async deductApplications(identifier, count) {
-    const result = await dbManager.query(`
-      UPDATE daily_usage 
-      SET 
-        applications_remaining = applications_remaining - $1,
-        total_applications_today = total_applications_today + $1,
-        updated_at = NOW()
-      WHERE user_identifier = $2 AND applications_remaining >= $1
-      RETURNING applications_remaining, total_applications_today
-    `, [count, identifier]);
-
-    if (result.rows.length === 0) {
-      throw new Error('Insufficient applications remaining');
-    }
-
-    return result.rows[0];
+  /**
+   * Pay for applications (credits first, then the wallet). Returns the funding the
+   * application job carries for refunds.
+   */
+  async deductApplications(identifier, count, applicationId) {
+    return wallet.chargeApplications(identifier, count, { applicationId });
   }
 
+  /**
+   * Usage derived from the credit ledger and the wallet: unexpired credits from every
+   * purchase and grant, plus the applications the wallet balance pays for
+   */
 async checkDailyUsage(identifier) {
-    const { rows: [usage] } = await dbManager.query(`
-      SELECT applications_remaining, payment_status, total_applications_today, valid_until
-      FROM daily_usage 
-      WHERE user_identifier = $1
-    `, [identifier]);
+    const [balance, walletKobo] = await Promise.all([
+      creditLedger.getBalance(identifier),
+      wallet.getBalance(identifier)
+    ]);
+    const fromWallet = applicationsAffordable(walletKobo, wallet.applicationPriceKobo);
 
-    if (!usage || !usage.valid_until || new Date(usage.valid_until) < new Date()) {
+    if (balance.remaining + fromWallet <= 0) {
       return {
         remaining: 0,
         needsPayment: true,
-        totalToday: 0,
+        totalToday: balance.usedToday,
+        walletKobo,
         expired: true
       };
     }
 
     return {
-      remaining: usage.applications_remaining,
-      needsPayment: usage.applications_remaining <= 0,
-      totalToday: usage.total_applications_today,
-      paymentStatus: usage.payment_status,
-      validUntil: usage.valid_until
+      remaining: balance.remaining + fromWallet,
+      needsPayment: false,
+      totalToday: balance.usedToday,
+      credits: balance.remaining,
+      walletKobo,
+      validUntil: balance.validUntil
     };
   }
 
+  /**
+   * Credit a successful Paystack charge: credits_ (catalog checkouts), wallet_ (top-ups)
+   * and daily_ (older links). Returns { credited, reason }; credited is false when nothing
+   * was added (already credited, not payable, or not one of these references).
+   */
   async processPayment(reference) {
     try {
       logger.info('Processing payment started', { reference });
 
-      const [type, uuid, identifier] = reference.split('_');
-      if (type !== 'daily') return;
-
-      const originalIdentifier = `+${identifier}`;
+      const parsed = parseReference(reference);
+      if (!parsed || !['credits', 'daily', 'wallet'].includes(parsed.kind)) {
+        return { credited: false, reason: 'unsupported_reference' };
+      }
 
-     const result = await dbManager.query(`
-  UPDATE daily_usage 
-  SET 
-    applications_remaining = 3,
-    payment_status = 'completed',
-    valid_until = NOW() + interval '24 hours',
-    updated_at = NOW()
-  WHERE user_identifier = $1
-  RETURNING *
-`, [originalIdentifier]);
+      const originalIdentifier = parsed.phone;
+      let purchase = null;
+      let topUp = null;
 
-      logger.info('Database update result', { rowsAffected: result.rowCount, updatedRow: result.rows[0] });
+      if (parsed.kind === 'wallet') {
+        topUp = await wallet.completeTopUp(reference);
+        if (!topUp.success) {
+          logger.warn('Wallet top-up not credited', { reference, reason: topUp.reason });
+          return { credited: false, reason: topUp.reason };
+        }
+        if (topUp.alreadyCompleted) {
+          logger.info('Payment already credited', { reference });
+          return { credited: false, reason: 'already_credited' };
+        }
+      } else if (parsed.kind === 'credits') {
+        const result = await productCatalog.completePurchase(reference);
+        if (!result.success) {
+          logger.warn('Payment not credited', { reference, reason: result.reason });
+          return { credited: false, reason: result.reason };
+        }
+        if (result.alreadyCompleted) {
+          logger.info('Payment already credited', { reference });
+          return { credited: false, reason: 'already_credited' };
+        }
+        purchase = result.purchase;
+      } else {
+        const grant = await productCatalog.grantProduct(originalIdentifier, 'daily', { reference });
+        if (!grant.granted) {
+          logger.info('Payment already credited', { reference });
+          return { credited: false, reason: 'already_credited' };
+        }
 
-      if (result.rowCount === 0) {
         await dbManager.query(`
-  INSERT INTO daily_usage (user_identifier, applications_remaining, total_applications_today, payment_status, valid_until, updated_at)
-  VALUES ($1, 3, 0, 'completed', NOW() + interval '24 hours', NOW())
-`, [originalIdentifier]);
+          UPDATE daily_usage SET payment_status = 'completed', updated_at = NOW()
+          WHERE user_identifier = $1 AND payment_reference = $2
+        `, [originalIdentifier, reference]);
       }
 
+      await scheduledMessages.cancel(originalIdentifier, { category: 'payment' });
+      await this.rewardReferrer(originalIdentifier, reference);
+
       const pendingJobs = await redis.get(`pending_jobs:${originalIdentifier}`);
       if (pendingJobs) {
-        return this.showFullJobsAfterPaymentWithInteractive(originalIdentifier);
-      } else {
-        return this.sendWhatsAppMessage(originalIdentifier, 
-  'Payment Successful! You now have 3 job applications valid for the next 24 hours!',
-  { instant: true }
-);
+        await this.showFullJobsAfterPaymentWithInteractive(originalIdentifier);
+        return { credited: true };
       }
 
+      if (topUp) {
+        await this.sendWhatsAppMessage(originalIdentifier,
+          await this.localize(originalIdentifier, 'wallet.toppedUp', {
+            amount: formatNaira(topUp.topUp.amount_kobo),
+            balance: formatNaira(topUp.balanceKobo)
+          }),
+          { instant: true }
+        );
+        return { credited: true };
+      }
+
+      if (purchase && purchase.product_code !== 'daily') {
+        const product = await productCatalog.getProduct(purchase.product_code);
+        const { validUntil } = await creditLedger.getBalance(originalIdentifier);
+        await this.sendWhatsAppMessage(originalIdentifier,
+          await this.localize(originalIdentifier, 'payment.creditsAdded', {
+            product: product?.name || purchase.product_code,
+            credits: purchase.credits,
+            validUntil: this.formatWatDate(validUntil)
+          }),
+          { instant: true }
+        );
+        return { credited: true };
+      }
+
+      await this.sendWhatsAppMessage(originalIdentifier,
+        await this.localize(originalIdentifier, 'payment.success'),
+        { instant: true }
+      );
+      return { credited: true };
+
     } catch (error) {
       logger.error('Payment processing failed', { error: error.message, reference });
       throw error;
     }
   }
 
+  /**
+   * Paystack events that don't carry one of our references: dedicated account assignments,
+   * and bank transfers into those accounts, which go to the wallet
+   */
+  async processPaymentChannelEvent(event, data) {
+    try {
+      if (event !== 'charge.success') {
+        const account = await paymentChannels.recordAssignment(event, data);
+        if (!account) return;
+
+        const lang = await i18n.getLanguage(account.user_identifier);
+        return this.sendWhatsAppMessage(account.user_identifier,
+          account.status === 'assigned'
+            ? this.transferAccountMessage(lang, account)
+            : i18n.t(lang, 'paymentMethods.transferFailed'),
+          { instant: true }
+        );
+      }
+
+      const transfer = await paymentChannels.creditTransfer(data);
+      if (!transfer) return;
+      if (!transfer.added) {
+        logger.info('Payment already credited', { reference: data.reference });
+        return;
+      }
+
+      await scheduledMessages.cancel(transfer.identifier, { category: 'payment' });
+      await this.rewardReferrer(transfer.identifier, data.reference);
+
+      await this.sendWhatsAppMessage(transfer.identifier,
+        await this.localize(transfer.identifier, 'paymentMethods.transferReceived', {
+          amount: formatNaira(transfer.amountKobo),
+          balance: formatNaira(transfer.balanceKobo)
+        }),
+        { instant: true }
+      );
+
+      const pendingJobs = await redis.get(`pending_jobs:${transfer.identifier}`);
+      if (pendingJobs) {
+        return this.showFullJobsAfterPaymentWithInteractive(transfer.identifier);
+      }
+
+    } catch (error) {
+      logger.error('Payment channel event failed', { event, reference: data?.reference, error: error.message });
+      throw error;
+    }
+  }
+
+  formatWatDate(date) {
+    return new Date(date).toLocaleString('en-NG', {
+      timeZone: 'Africa/Lagos',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
 
+  /**
+   * A referred number's first payment earns the referrer free applications; never fails the payment
+   */
+  async rewardReferrer(identifier, reference) {
+    try {
+      const reward = await referrals.rewardForPayment(identifier, reference);
+      if (!reward.rewarded) return;
+
+      await this.sendWhatsAppMessage(reward.referrer,
+        await this.localize(reward.referrer, 'refer.rewarded', {
+          credits: reward.credits,
+          days: Math.round(referrals.rewardValidityHours / 24)
+        }),
+        { instant: true }
+      );
+    } catch (error) {
+      logger.error('Referral reward failed', { reference, error: error.message });
+    }
+  }
 
   // ================================
-  // FILE UPLOAD HANDLING
+  // REFERRALS AND PROMO CODES
   // ================================
-  async handleInstantFileUpload(phone, file, context = {}) {
+  isReferCommand(message) {
+    return /^(refer|referral|referrals|invite|invite friends?|my\s+referrals?|my\s+code)$/i.test(message.trim());
+  }
+
+  /**
+   * "promo CODE" (also code/coupon/voucher) -> the code, otherwise null
+   */
+  parsePromoCommand(message) {
+    const match = message.trim().match(/^(?:promo|promo\s+code|code|coupon|voucher)\s*[:\-]?\s+([A-Za-z0-9_-]{3,30})$/i);
+    return match ? match[1] : null;
+  }
+
+  async handleReferCommand(phone) {
     try {
-      const selectedJobs = await redis.get(`selected_jobs:${normalizePhone(phone)}`);
-      
-      if (!selectedJobs) {
+      const summary = await referrals.getSummary(phone);
+      return this.sendWhatsAppMessage(phone,
+        await this.localize(phone, 'refer.summary', { ...summary, credits: referrals.rewardCredits }),
+        { instant: true }
+      );
+    } catch (error) {
+      logger.error('Refer command error', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+  async handleReferralArrival(phone, code) {
+    try {
+      const result = await referrals.recordReferral(phone, code);
+      if (result.recorded) {
+        await this.sendWhatsAppMessage(phone, await this.localize(phone, 'refer.welcome'), { instant: true });
+      }
+    } catch (error) {
+      logger.error('Referral arrival error', { phone: phone.substring(0, 6) + '***', error: error.message });
+    }
+
+    return this.sendWelcomeMessage(phone);
+  }
+
+  async handlePromoCode(phone, code) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const result = await promoCodes.redeem(phone, code);
+
+      if (!result.success) {
+        const key = { used: 'promo.used', invalid: 'promo.invalid', inactive: 'promo.invalid' }[result.reason] || 'promo.expired';
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, key), { instant: true });
+      }
+
+      if (result.kind === 'credits') {
         return this.sendWhatsAppMessage(phone,
-          'First select jobs to apply to!\n\nSearch for jobs:\n• "Find developer jobs in Lagos"\n• Select jobs to apply to\n• Then upload CV for applications!\n\nOr type "menu" to browse categories',
+          i18n.t(lang, 'promo.credits', {
+            code: result.code,
+            credits: result.credits,
+            validUntil: this.formatWatDate(result.expiresAt)
+          }),
           { instant: true }
         );
       }
 
+      return this.sendWhatsAppMessage(phone,
+        result.percentOff
+          ? i18n.t(lang, 'promo.discountPercent', { code: result.code, percent: result.percentOff })
+          : i18n.t(lang, 'promo.discountAmount', { code: result.code, amount: formatNaira(result.amountOffKobo) }),
+        { instant: true }
+      );
+
+    } catch (error) {
+      logger.error('Promo code error', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+  // ================================
+  // WALLET
+  // ================================
+  isWalletCommand(message) {
+    return /^(wallet|my\s+wallet|wallet\s+(balance|history)|balance)$/i.test(message.trim());
+  }
+
+  async handleWalletCommand(phone) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const [balanceKobo, transactions] = await Promise.all([
+        wallet.getBalance(phone),
+        wallet.listTransactions(phone, { limit: 5 })
+      ]);
+
+      const history = transactions.length === 0
+        ? i18n.t(lang, 'wallet.noHistory')
+        : transactions.map(entry => i18n.t(lang, `wallet.entry.${entry.entry_type}`, {
+          amount: (entry.amount_kobo < 0 && entry.entry_type === 'adjustment' ? '-' : '') + formatNaira(Math.abs(entry.amount_kobo)),
+          count: entry.applications || 0,
+          date: this.formatWatDate(entry.created_at)
+        })).join('\n');
+
+      return this.sendWhatsAppMessage(phone,
+        i18n.t(lang, 'wallet.summary', {
+          balance: formatNaira(balanceKobo),
+          applications: applicationsAffordable(balanceKobo, wallet.applicationPriceKobo),
+          price: formatNaira(wallet.applicationPriceKobo),
+          history
+        }),
+        { instant: true }
+      );
+    } catch (error) {
+      logger.error('Wallet command error', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+  /**
+   * amountKobo is 0 for a bare "top up": ask how much
+   */
+  async handleWalletTopUp(phone, amountKobo) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const limits = { min: formatNaira(wallet.minTopUpKobo), max: formatNaira(wallet.maxTopUpKobo) };
+
+      if (amountKobo === 0) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'wallet.topUpPrompt', limits), { instant: true });
+      }
+
+      const topUp = await wallet.startTopUp(phone, amountKobo);
+      if (!topUp.success) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'wallet.topUpRange', limits), { instant: true });
+      }
+
+      return this.sendWhatsAppMessage(phone,
+        i18n.t(lang, 'wallet.topUpLink', { amount: formatNaira(topUp.amountKobo), paymentUrl: topUp.paymentUrl }),
+        { instant: true }
+      );
+    } catch (error) {
+      logger.error('Wallet top-up error', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+  // ================================
+  // BUNDLES
+  // ================================
+  isBundlesCommand(message) {
+    return /^(bundles?|pricing|prices?|plans?|passes|top\s*up|buy\s+(credits?|applications?))$/i.test(message.trim());
+  }
+
+  bundleDetails(lang, product, priceKobo = product.price_kobo) {
+    const params = { price: formatNaira(priceKobo), credits: product.credits };
+    return product.validity_hours % 24 === 0
+      ? i18n.t(lang, 'bundles.rowDays', { ...params, days: product.validity_hours / 24 })
+      : i18n.t(lang, 'bundles.rowHours', { ...params, hours: product.validity_hours });
+  }
+
+  async handleBundlesCommand(phone) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const products = await productCatalog.availableFor(phone);
+
+      if (products.length === 0) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'bundles.none'), { instant: true });
+      }
+
+      const sections = [{
+        title: i18n.t(lang, 'bundles.section'),
+        rows: products.slice(0, 10).map(product => ({
+          id: `buy_${product.code}`,
+          title: product.name,
+          description: this.bundleDetails(lang, product)
+        }))
+      }];
+
+      return await ycloud.sendInteractiveListMessage(
+        phone,
+        i18n.t(lang, 'bundles.header'),
+        i18n.t(lang, 'bundles.body'),
+        sections,
+        i18n.t(lang, 'bundles.button')
+      );
+
+    } catch (error) {
+      logger.error('Bundles command error', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+  async handleBundlePurchase(phone, code) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const checkout = await productCatalog.checkout(phone, code);
+
+      if (!checkout.success) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'bundles.unavailable'), { instant: true });
+      }
+
+      return this.sendWhatsAppMessage(phone,
+        i18n.t(lang, 'bundles.paymentLink', {
+          product: checkout.product.name,
+          details: this.bundleDetails(lang, checkout.product, checkout.amountKobo),
+          paymentUrl: checkout.paymentUrl
+        }),
+        { instant: true }
+      );
+
+    } catch (error) {
+      logger.error('Bundle purchase error', { phone: phone.substring(0, 6) + '***', code, error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+  // ================================
+  // PAYMENT METHODS
+  // ================================
+  isBankTransferCommand(message) {
+    return /^((pay\s+(by|with)\s+)?(bank\s+)?transfer|account\s+(number|details))$/i.test(message.trim());
+  }
+
+  isUssdCommand(message) {
+    return /^(pay\s+(by|with)\s+)?ussd$/i.test(message.trim());
+  }
+
+  /**
+   * A payment-required message, then buttons to pay by card, bank transfer or USSD instead
+   */
+  async sendPaymentRequired(phone, text, productCode = 'daily') {
+    await this.sendWhatsAppMessage(phone, text, { instant: true });
+    return this.offerPaymentMethods(phone, productCode);
+  }
+
+  async offerPaymentMethods(phone, productCode = 'daily') {
+    const lang = await i18n.getLanguage(phone);
+    return ycloud.sendPaymentActionButtons(phone, {
+      header: i18n.t(lang, 'paymentMethods.header'),
+      body: i18n.t(lang, 'paymentMethods.body'),
+      productCode,
+      labels: {
+        card: i18n.t(lang, 'paymentMethods.card'),
+        transfer: i18n.t(lang, 'paymentMethods.transfer'),
+        ussd: i18n.t(lang, 'paymentMethods.ussd')
+      },
+      fallback: i18n.t(lang, 'paymentMethods.fallback')
+    });
+  }
+
+  async handlePaymentMethod(phone, { method, product }) {
+    if (method === 'transfer') {
+      return this.handleBankTransfer(phone);
+    }
+    if (method === 'ussd') {
+      return this.handleUssdBankList(phone, product);
+    }
+    return this.handleBundlePurchase(phone, product);
+  }
+
+  transferAccountMessage(lang, account) {
+    return i18n.t(lang, 'paymentMethods.transferAccount', {
+      bank: account.bank_name,
+      accountNumber: account.account_number,
+      accountName: account.account_name,
+      price: formatNaira(wallet.applicationPriceKobo)
+    });
+  }
+
+  /**
+   * The user's own account number; transfers into it top up the wallet
+   */
+  async handleBankTransfer(phone) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const result = await paymentChannels.requestDedicatedAccount(phone);
+
+      return this.sendWhatsAppMessage(phone,
+        result.status === 'assigned'
+          ? this.transferAccountMessage(lang, result.account)
+          : i18n.t(lang, 'paymentMethods.transferPending'),
+        { instant: true }
+      );
+    } catch (error) {
+      logger.error('Bank transfer error', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'paymentMethods.transferFailed'), { instant: true });
+    }
+  }
+
+  async handleUssdBankList(phone, code) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const product = await productCatalog.getProduct(code);
+
+      if (!product) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'bundles.unavailable'), { instant: true });
+      }
+
+      const sections = [{
+        title: i18n.t(lang, 'paymentMethods.ussdSection'),
+        rows: paymentChannels.ussdBanks().map(bank => ({
+          id: `ussd_${bank.code}_${product.code}`,
+          title: bank.name,
+          description: `*${bank.code}#`
+        }))
+      }];
+
+      return await ycloud.sendInteractiveListMessage(
+        phone,
+        i18n.t(lang, 'paymentMethods.ussdHeader'),
+        i18n.t(lang, 'paymentMethods.ussdBody', { product: product.name }),
+        sections,
+        i18n.t(lang, 'paymentMethods.ussdButton')
+      );
+
+    } catch (error) {
+      logger.error('USSD bank list error', { phone: phone.substring(0, 6) + '***', code, error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+  async handleUssdPayment(phone, code, bank) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const checkout = await productCatalog.checkout(phone, code, { channel: 'ussd', bank });
+
+      if (!checkout.success) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'bundles.unavailable'), { instant: true });
+      }
+
+      return this.sendWhatsAppMessage(phone,
+        i18n.t(lang, 'paymentMethods.ussdCode', {
+          code: checkout.ussdCode,
+          bank: USSD_BANKS[bank],
+          product: checkout.product.name,
+          price: formatNaira(checkout.amountKobo)
+        }),
+        { instant: true }
+      );
+
+    } catch (error) {
+      logger.error('USSD payment error', { phone: phone.substring(0, 6) + '***', code, bank, error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.generic'), { instant: true });
+    }
+  }
+
+
+
+  // ================================
+  // FILE UPLOAD HANDLING
+  // ================================
+  async handleInstantFileUpload(phone, file, context = {}) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+      const { selectedJobs: jobs } = await getSessionData(phone);
+      
+      if (!jobs) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'upload.selectJobsFirst'), { instant: true });
+      }
+
       const usage = await this.checkDailyUsage(phone);
       if (usage.needsPayment) {
         const paymentUrl = await this.initiateDailyPayment(phone);
-       return this.sendWhatsAppMessage(phone, 
-  `Complete Payment First\n\nPay ₦300 for:\n✅ 3 professional applications\n✅ AI-generated cover letters\n✅ Direct recruiter contact\n\n${paymentUrl}\n\nAfter payment, just upload CV - we handle the rest!`,
-  { instant: true }
-);
+        return this.sendPaymentRequired(phone, i18n.t(lang, 'upload.payFirst', { paymentUrl }));
       }
       
       if (file.buffer.length > 5 * 1024 * 1024) {
-        return this.sendWhatsAppMessage(phone, 
-          'File too large (max 5MB).',
-          { instant: true }
-        );
-      }
-
-      let jobs = [];
-      try {
-        jobs = JSON.parse(selectedJobs);
-      } catch (e) {
-        return this.sendWhatsAppMessage(phone, 
-          'Please select jobs again and then upload CV.',
-          { instant: true }
-        );
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'upload.tooLarge'), { instant: true });
       }
 
       const savedFile = await this.saveFileToUploads(phone, file);
       if (!savedFile) {
-        return this.sendWhatsAppMessage(phone, 
-          'Failed to save CV. Please try again.',
-          { instant: true }
-        );
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'upload.saveFailed'), { instant: true });
       }
 
+      // Parse the CV into a candidate profile once; the application worker reuses it
+      await cvQueue.add('build-candidate-profile', {
+        identifier: phone,
+        file: {
+          originalname: savedFile.originalname,
+          mimetype: savedFile.mimetype,
+          filepath: savedFile.filepath
+        },
+        jobId: `profile_${Date.now()}`,
+        priority: 'high'
+      }, {
+        attempts: 2,
+        removeOnComplete: 20,
+        removeOnFail: 10
+      }).catch(error => {
+        logger.error('Failed to queue candidate profile build', { phone: phone.substring(0, 6) + '***', error: error.message });
+      });
+
       await this.sendInstantApplicationConfirmationWithCommunity(phone, jobs, context);
+
+      // Charged before queueing: the worker refunds failed applications from the funding
+      const applicationId = `app_${phone}_${Date.now()}`;
+      const funding = await this.deductApplications(phone, jobs.length, applicationId);
+
+      const queued = await this.queueSmartApplicationProcessing(phone, savedFile, jobs, { applicationId, funding });
+      if (!queued) {
+        await wallet.refundApplications(phone, funding, jobs.map((_, index) => index), {
+          reference: `refund_${applicationId}`,
+          reason: 'queue_failed'
+        });
+      }
       
-      await this.queueSmartApplicationProcessing(phone, savedFile, jobs);
-      
-      await redis.del(`selected_jobs:${normalizePhone(phone)}`);
-      await this.deductApplications(phone, jobs.length);
+      await transitionSession(phone, 'idle', { data: { selectedJobs: null }, reason: 'cv_uploaded' });
 
       return true;
 
     } catch (error) {
       logger.error('Instant file upload error', { phone, error: error.message });
-      return this.sendWhatsAppMessage(phone, 
-        'Upload failed. Please try again.',
-        { instant: true }
-      );
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.upload'), { instant: true });
     }
   }
 
@@ -2699,7 +3272,7 @@ async checkDailyUsage(identifier) {
         path: filepath
       });
 
-      return {
+      const savedFile = {
         originalname: file.originalname,
         mimetype: file.mimetype,
         size: file.buffer.length,
@@ -2707,6 +3280,20 @@ async checkDailyUsage(identifier) {
         filepath: filepath,
       };
 
+      // Keep every upload as a version in the user's CV library
+      const cv = await cvLibrary.addVersion(phone, savedFile, file.buffer);
+      savedFile.cvVersion = cv?.version || null;
+
+      // This upload is still used for the application; it just isn't kept in the library
+      if (cv?.limitReached) {
+        await this.sendWhatsAppMessage(phone,
+          await this.localize(phone, 'cv.libraryFull', { max: cvLibrary.maxCVsPerUser }),
+          { instant: true }
+        );
+      }
+
+      return savedFile;
+
     } catch (error) {
       logger.error('File save failed', { 
         phone: phone.substring(0, 6) + '***',
@@ -2716,8 +3303,96 @@ async checkDailyUsage(identifier) {
     }
   }
 
+  // ================================
+  // CV LIBRARY
+  // ================================
+  isCVCommand(message) {
+    const text = message.toLowerCase().trim();
+    return /^(my\s+cvs?|cvs|cv\s+list|list\s+cvs?)$/.test(text) ||
+           /^(rename|default|delete|remove)\s+cv\s+\d+/.test(text) ||
+           /^pin\s+cv\s+\d+\s+(to\s+)?(pref(erence)?\s+)?\d+$/.test(text);
+  }
+
+  async handleCVCommand(phone, text) {
+    try {
+      const lowerText = text.toLowerCase().trim();
+      const lang = await i18n.getLanguage(phone);
+      let match;
+
+      if ((match = lowerText.match(/^rename\s+cv\s+(\d+)\s*(.*)$/))) {
+        const label = text.trim().substring(text.trim().length - match[2].length);
+        const result = await cvLibrary.renameCV(phone, parseInt(match[1]), label);
+        return this.sendWhatsAppMessage(phone,
+          result.success
+            ? i18n.t(lang, 'cv.renamed', { version: result.cv.version, label: result.cv.label })
+            : this.cvFailureMessage(lang, result, match[1]),
+          { instant: true }
+        );
+      }
+
+      if ((match = lowerText.match(/^default\s+cv\s+(\d+)$/))) {
+        const result = await cvLibrary.setDefault(phone, parseInt(match[1]));
+        return this.sendWhatsAppMessage(phone,
+          result.success ? i18n.t(lang, 'cv.default', { label: result.cv.label }) : this.cvFailureMessage(lang, result, match[1]),
+          { instant: true }
+        );
+      }
+
+      if ((match = lowerText.match(/^(delete|remove)\s+cv\s+(\d+)$/))) {
+        const result = await cvLibrary.deleteCV(phone, parseInt(match[2]));
+        if (!result.success) {
+          return this.sendWhatsAppMessage(phone, this.cvFailureMessage(lang, result, match[2]), { instant: true });
+        }
+
+        let reply = i18n.t(lang, 'cv.deleted', { label: result.cv.label });
+        if (result.newDefault) {
+          reply += i18n.t(lang, 'cv.newDefault', { label: result.newDefault.label });
+        }
+        return this.sendWhatsAppMessage(phone, reply, { instant: true });
+      }
+
+      if ((match = lowerText.match(/^pin\s+cv\s+(\d+)\s+(?:to\s+)?(?:pref(?:erence)?\s+)?(\d+)$/))) {
+        // Preference numbers match the order shown by the "preferences" list
+        const preferences = await autoApplyPreferences.getUserPreferences(phone);
+        const preference = preferences[parseInt(match[2]) - 1];
+
+        if (!preference) {
+          return this.sendWhatsAppMessage(phone, i18n.t(lang, 'cv.preferenceNotFound'), { instant: true });
+        }
+
+        const result = await cvLibrary.pinToPreference(phone, parseInt(match[1]), preference.id);
+        return this.sendWhatsAppMessage(phone,
+          result.success
+            ? i18n.t(lang, 'cv.pinned', {
+              label: result.cv.label,
+              category: result.preference.job_category_label,
+              location: result.preference.location
+            })
+            : this.cvFailureMessage(lang, result, match[1]),
+          { instant: true }
+        );
+      }
+
+      const cvs = await cvLibrary.listCVs(phone);
+      return this.sendWhatsAppMessage(phone, cvLibrary.formatCVList(cvs, lang), { instant: true });
+
+    } catch (error) {
+      logger.error('CV command failed', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.cvs'), { instant: true });
+    }
+  }
+
+  cvFailureMessage(lang, result, version) {
+    const keys = {
+      label_required: 'cv.labelRequired',
+      preference_not_found: 'cv.preferenceNotFound'
+    };
+    return i18n.t(lang, keys[result.reason] || 'cv.notFound', { version });
+  }
+
     async sendInstantApplicationConfirmationWithCommunity(phone, jobs, context = {}) {
     const usage = await this.checkDailyUsage(phone);
+    const lang = await i18n.getLanguage(phone);
     
     let jobList = '';
     jobs.slice(0, 5).forEach((job, index) => {
@@ -2725,9 +3400,13 @@ async checkDailyUsage(identifier) {
     });
     
     if (jobs.length > 5) {
-      jobList += `...and ${jobs.length - 5} more jobs!\n`;
+      jobList += i18n.t(lang, 'upload.moreJobs', { count: jobs.length - 5 });
     }
-    const response = `✅ SUCCESS! Professional Applications Sent!\n\n📨 Applied to ${jobs.length} jobs with custom cover letters:\n${jobList}\n\n🤖 What we sent to each recruiter:\n• Your CV\n• AI-generated cover letter for that specific job\n• Professional email formatting\n\n📧 Confirmation emails sent to you with copies of:\n• Each cover letter we generated\n• Your CV as submitted\n• Recruiter contact details\n\n✉️ Check your email now for full application copies.\n📞 Support: +2349049456183\n\n📊 Usage: ${Math.max(0, usage.remaining - jobs.length)}/3 applications remaining\n\n🌐 Share your success:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n🚀 Keep searching for more opportunities!`;
+    const response = i18n.t(lang, 'upload.confirmation', {
+      count: jobs.length,
+      jobList,
+      remaining: Math.max(0, usage.remaining - jobs.length)
+    });
 
     await this.sendWhatsAppMessage(phone, response, {
       ...context,
@@ -2736,9 +3415,8 @@ async checkDailyUsage(identifier) {
     });
   }
 
-    async queueSmartApplicationProcessing(phone, savedFile, jobs) {
+    async queueSmartApplicationProcessing(phone, savedFile, jobs, { applicationId = `app_${phone}_${Date.now()}`, funding = null } = {}) {
       try {
-        const applicationId = `app_${phone}_${Date.now()}`;
         
         const processedJobs = jobs.map(job => {
           if (!job.email || job.email.trim() === '') {
@@ -2765,6 +3443,7 @@ async checkDailyUsage(identifier) {
             },
             jobs: processedJobs,
             applicationId: applicationId,
+            funding,
             timestamp: Date.now(),
             processingStrategy: 'file_path'
           },
@@ -2783,9 +3462,12 @@ async checkDailyUsage(identifier) {
           jobCount: processedJobs.length,
           filepath: savedFile.filepath
         });
+
+        return true;
   
       } catch (error) {
         logger.error('Failed to queue smart applications', { phone, error: error.message });
+        return false;
       }
     }
   
@@ -2794,26 +3476,19 @@ async checkDailyUsage(identifier) {
   // ================================
   async handleJobSelection(phone, message, context = {}) {
     try {
-      const normalizedPhone = normalizePhone(phone);
-      const lastJobsStr = await redis.get(`last_jobs:${normalizedPhone}`);
+      const lang = await i18n.getLanguage(phone);
+      const { lastJobs: jobs } = await getSessionData(phone);
       
-      if (!lastJobsStr) {
-        await redis.del(`state:${normalizedPhone}`);
-        return this.sendWhatsAppMessage(phone, 
-          'No jobs available. Please search for jobs first.',
-          { instant: true }
-        );
+      if (!jobs) {
+        await transitionSession(phone, 'idle', { reason: 'selection_without_jobs' });
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'jobs.noneAvailable'), { instant: true });
       }
 
-      const jobs = JSON.parse(lastJobsStr);
       const usage = await this.checkDailyUsage(phone);
       
       if (usage.needsPayment || usage.expired) {
         const paymentUrl = await this.initiateDailyPayment(phone);
-        return this.sendWhatsAppMessage(phone,
-          `💳 Payment Required\n\nPay ₦300 to apply:\n${paymentUrl}`,
-          { instant: true }
-        );
+        return this.sendPaymentRequired(phone, i18n.t(lang, 'payment.requiredApply', { paymentUrl }));
       }
 
       const text = message.toLowerCase().trim();
@@ -2831,23 +3506,20 @@ async checkDailyUsage(identifier) {
 
       if (selectedJobs.length === 0) {
         return this.sendWhatsAppMessage(phone,
-          `Please select valid job numbers (1-${jobs.length}) or "all".`,
+          i18n.t(lang, 'apply.invalidNumbers', { max: jobs.length }),
           { instant: true }
         );
       }
 
-      await redis.set(`selected_jobs:${normalizedPhone}`, JSON.stringify(selectedJobs), 'EX', 3600);
-      await redis.del(`state:${normalizedPhone}`);
+      // showJobApplicationOptions moves the session to application_options
+      await updateSessionData(phone, { selectedJobs });
 
       return await this.showJobApplicationOptions(phone, selectedJobs);
 
     } catch (error) {
       logger.error('Job selection error', { phone, error: error.message });
-      await redis.del(`state:${normalizePhone(phone)}`);
-      return this.sendWhatsAppMessage(phone, 
-        'Failed to process job selection. Please try again.',
-        { instant: true }
-      );
+      await transitionSession(phone, 'idle', { reason: 'selection_error' });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.jobSelection'), { instant: true });
     }
   }
 
@@ -2858,54 +3530,103 @@ async checkDailyUsage(identifier) {
     try {
       const normalizedPhone = normalizePhone(phone);
       const usage = await this.checkDailyUsage(phone);
+      const lang = await i18n.getLanguage(phone);
       
-      let response = `📊 **Your Status**\n\n`;
+      let response = i18n.t(lang, 'status.title');
       
       if (usage.needsPayment || usage.expired) {
         const paymentUrl = await this.initiateDailyPayment(phone);
-        response += `💳 **Payment Required**\nPay ₦300 for premium access:\n${paymentUrl}\n\n`;
+        response += i18n.t(lang, 'status.paymentRequired', { paymentUrl });
       } else {
-        response += `✅ **Premium Access Active**\n`;
-        response += `Applications today: ${usage.applications}/3\n`;
-        response += `Remaining: ${usage.remaining} applications\n\n`;
+        response += i18n.t(lang, 'status.active', { used: usage.totalToday, remaining: usage.remaining });
       }
 
-      const selectedJobsStr = await redis.get(`selected_jobs:${normalizedPhone}`);
-      if (selectedJobsStr) {
-        const selectedJobs = JSON.parse(selectedJobsStr);
-        response += `📋 **Selected Jobs**: ${selectedJobs.length}\n`;
+      const { selectedJobs } = await getSessionData(phone);
+      if (selectedJobs) {
+        response += i18n.t(lang, 'status.selected', { count: selectedJobs.length });
         selectedJobs.forEach((job, index) => {
           response += `${index + 1}. ${job.title} - ${job.company}\n`;
         });
-        response += `\nUpload your CV to apply!\n`;
+        response += i18n.t(lang, 'status.uploadCv');
       } else {
-        response += `📋 **No jobs selected**\nSearch for jobs to start applying.\n`;
+        response += i18n.t(lang, 'status.noneSelected');
       }
 
-      const applications = await dbManager.query(
-        'SELECT * FROM applications WHERE phone = $1 ORDER BY applied_at DESC LIMIT 5',
-        [normalizedPhone]
-      );
+      const applications = await applicationStatus.getTimeline(normalizedPhone, 5);
 
-      if (applications.rows.length > 0) {
-        response += `\n📤 **Recent Applications**:\n`;
-        applications.rows.forEach((app, index) => {
-          response += `${index + 1}. ${app.job_title} - ${app.company} (${app.status})\n`;
-        });
+      if (applications.length > 0) {
+        response += i18n.t(lang, 'status.recent');
+        response += `${applicationStatus.formatTimeline(applications, lang)}\n`;
       } else {
-        response += `\n📤 **No recent applications**\n`;
+        response += i18n.t(lang, 'status.noRecent');
       }
 
-      response += `\n🚀 **Next Steps**:\n`;
-      response += `• "show jobs" - View your job search\n`;
-      response += `• "menu" - Browse job categories\n`;
-      response += `• Upload CV to apply to selected jobs`;
+      response += i18n.t(lang, 'status.nextSteps');
 
       return this.sendWhatsAppMessage(phone, response, context);
 
     } catch (error) {
       logger.error('Status request error', { phone, error: error.message });
-      return this.sendWhatsAppMessage(phone, 'Failed to check status. Please try again.', { instant: true });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.status'), { instant: true });
+    }
+  }
+
+  // ================================
+  // JOB ALERTS
+  // ================================
+  async handleJobAlertCommand(phone, text, context = {}) {
+    try {
+      const lang = await i18n.getLanguage(phone);
+
+      if (jobAlerts.isStopCommand(text)) {
+        const number = parseInt(text.replace(/\D+/g, '')) || null;
+        const stopped = await jobAlerts.stopAlerts(phone, number);
+        let reply = i18n.t(lang, 'alerts.noMatching');
+        if (stopped === 1) {
+          reply = i18n.t(lang, 'alerts.stoppedOne');
+        } else if (stopped > 1) {
+          reply = i18n.t(lang, 'alerts.stoppedMany', { count: stopped });
+        }
+        return this.sendWhatsAppMessage(phone, reply, { instant: true });
+      }
+
+      if (jobAlerts.isCreateCommand(text)) {
+        const result = await jobAlerts.createAlert(phone, text);
+
+        if (!result.success) {
+          const messages = {
+            unclear: i18n.t(lang, 'alerts.unclear'),
+            duplicate: i18n.t(lang, 'alerts.duplicate', {
+              alert: result.alert ? jobAlerts.describe(result.alert, lang) : i18n.t(lang, 'alerts.duplicateUnknown')
+            }),
+            limit: i18n.t(lang, 'alerts.limit', { max: jobAlerts.maxAlertsPerUser }),
+            error: i18n.t(lang, 'alerts.saveFailed')
+          };
+          return this.sendWhatsAppMessage(phone, messages[result.reason] || messages.error, { instant: true });
+        }
+
+        return this.sendWhatsAppMessage(phone,
+          i18n.t(lang, 'alerts.saved', { alert: jobAlerts.describe(result.alert, lang) }),
+          context
+        );
+      }
+
+      const alerts = await jobAlerts.listAlerts(phone);
+      if (alerts.length === 0) {
+        return this.sendWhatsAppMessage(phone, i18n.t(lang, 'alerts.none'), { instant: true });
+      }
+
+      let response = i18n.t(lang, 'alerts.listTitle');
+      alerts.forEach((alert, index) => {
+        response += `${index + 1}. ${jobAlerts.describe(alert, lang)}\n`;
+      });
+      response += i18n.t(lang, 'alerts.listFooter');
+
+      return this.sendWhatsAppMessage(phone, response, context);
+
+    } catch (error) {
+      logger.error('Job alert command error', { phone: phone.substring(0, 6) + '***', error: error.message });
+      return this.sendWhatsAppMessage(phone, await this.localize(phone, 'error.alerts'), { instant: true });
     }
   }
 
@@ -0,0 +1,407 @@
+// services/candidateProfile.js - Structured candidate profiles parsed once per uploaded CV
+
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE_RANGE = new RegExp(
+  `((?:(?:${MONTHS})\\.?\\s*,?\\s*)?(?:\\d{1,2}\\/)?(?:19|20)\\d{2})\\s*(?:-|–|—|to|till|until)\\s*((?:(?:${MONTHS})\\.?\\s*,?\\s*)?(?:\\d{1,2}\\/)?(?:19|20)\\d{2}|present|current|date|now)`,
+  'i'
+);
+
+// Ordered from highest to lowest
+const EDUCATION_LEVELS = [
+  { level: 'phd', pattern: /\b(ph\.?d|doctorate|doctor of philosophy)\b/i },
+  { level: 'masters', pattern: /\b(m\.?sc|m\.?a\b|mba|m\.?eng|master'?s?|m\.?tech)\b/i },
+  { level: 'bachelors', pattern: /\b(b\.?sc|b\.?a\b|b\.?eng|b\.?tech|bachelor'?s?|b\.?ed|llb|mbbs|b\.?pharm)\b/i },
+  { level: 'hnd', pattern: /\b(hnd|higher national diploma)\b/i },
+  { level: 'ond', pattern: /\b(ond|ordinary national diploma|nce|diploma)\b/i },
+  { level: 'ssce', pattern: /\b(ssce|waec|neco|o'?\s?level|senior secondary)\b/i }
+];
+
+const CERTIFICATION_PATTERN = /\b(ican|acca|cima|cfa|cipm|citn|pmp|prince2|ccna|ccnp|comptia|aws certified|azure|cisa|cism|six sigma|nebosh|hse|scrum master|cipd|ciarb)\b/gi;
+
+const SECTION_HEADINGS = {
+  experience: /^(work\s+|professional\s+|employment\s+|career\s+)?(experience|history|employment)(\s+history)?:?$/i,
+  education: /^(education(al)?(\s+(background|qualifications?|history))?|academic(\s+(background|qualifications?))?|qualifications?):?$/i,
+  skills: /^((key|core|technical|professional)\s+)?(skills|competenc(ies|e)|expertise|strengths)(\s+(&|and)\s+\w+)?:?$/i,
+  certifications: /^(certifications?|certificates|licen[cs]es?|professional\s+(certifications?|qualifications?|memberships?)|trainings?(\s+(&|and)\s+certifications?)?):?$/i,
+  summary: /^(profile|summary|professional\s+summary|career\s+objective|objective|about\s+me):?$/i,
+  other: /^(references?|hobbies|interests|referees|personal\s+(information|details|data)|languages?|awards?|achievements?|projects?):?$/i
+};
+
+class CandidateProfileService {
+  constructor() {
+    this.lockTtl = 120;       // seconds one worker may spend building a profile
+    this.waitForLockMs = 45000;
+  }
+
+  /**
+   * Identify a CV by its file bytes so every worker handling the same upload agrees
+   */
+  hashFile(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  hashCV(cvText) {
+    return crypto.createHash('sha256').update((cvText || '').trim()).digest('hex');
+  }
+
+  /**
+   * Split CV text into named sections based on heading lines
+   */
+  splitSections(cvText) {
+    const sections = { header: [] };
+    let current = 'header';
+
+    (cvText || '').split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      if (line.length <= 50) {
+        const heading = Object.keys(SECTION_HEADINGS).find(key => SECTION_HEADINGS[key].test(line));
+        if (heading) {
+          current = heading;
+          sections[current] = sections[current] || [];
+          return;
+        }
+      }
+
+      sections[current] = sections[current] || [];
+      sections[current].push(line);
+    });
+
+    return sections;
+  }
+
+  extractContactDetails(cvText) {
+    const emailMatch = cvText.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
+    const phoneMatch = cvText.match(/(?:\+?234[\s-]?|0)[789][01]\d[\s-]?\d{3}[\s-]?\d{4}/);
+    const linkedinMatch = cvText.match(/linkedin\.com\/in\/[A-Za-z0-9_-]+/i);
+
+    return {
+      email: emailMatch ? emailMatch[0].toLowerCase() : '',
+      phone: phoneMatch ? phoneMatch[0].replace(/[\s-]/g, '') : '',
+      linkedin: linkedinMatch ? linkedinMatch[0] : ''
+    };
+  }
+
+  parseYear(value) {
+    if (!value) return null;
+    if (/present|current|date|now/i.test(value)) return new Date().getFullYear();
+    const year = value.match(/(19|20)\d{2}/);
+    return year ? parseInt(year[0]) : null;
+  }
+
+  extractWorkHistory(lines) {
+    const history = [];
+
+    lines.forEach((line, i) => {
+      const match = line.match(DATE_RANGE);
+      if (!match) return;
+
+      let role = line.replace(match[0], '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '');
+      if (role.length < 3 && i > 0) {
+        role = lines[i - 1];
+      }
+
+      history.push({
+        role: role.substring(0, 150),
+        start: match[1].trim(),
+        end: match[2].trim(),
+        current: /present|current|date|now/i.test(match[2])
+      });
+    });
+
+    return history.slice(0, 15);
+  }
+
+  estimateYearsExperience(cvText, workHistory) {
+    // Merge overlapping year ranges so concurrent roles are not double counted
+    const ranges = workHistory
+      .map(entry => [this.parseYear(entry.start), this.parseYear(entry.end)])
+      .filter(([start, end]) => start && end && end >= start)
+      .sort((a, b) => a[0] - b[0]);
+
+    let fromHistory = 0;
+    let lastEnd = null;
+    ranges.forEach(([start, end]) => {
+      if (lastEnd === null || start > lastEnd) {
+        fromHistory += end - start;
+        lastEnd = end;
+      } else if (end > lastEnd) {
+        fromHistory += end - lastEnd;
+        lastEnd = end;
+      }
+    });
+
+    const statedMatch = cvText.match(/(\d{1,2})\s*\+?\s*years?\s*(?:of\s*)?(?:professional\s+|work\s+|cognate\s+)?experience/i);
+    const stated = statedMatch ? parseInt(statedMatch[1]) : 0;
+
+    const years = Math.max(fromHistory, stated);
+    return years > 0 ? Math.min(years, 50) : null;
+  }
+
+  extractEducation(lines) {
+    return lines
+      .filter(line => EDUCATION_LEVELS.some(({ pattern }) => pattern.test(line)) ||
+                      /\b(university|polytechnic|college|institute|school)\b/i.test(line))
+      .slice(0, 10)
+      .map(line => {
+        const level = EDUCATION_LEVELS.find(({ pattern }) => pattern.test(line));
+        const year = line.match(/(19|20)\d{2}(?!.*(19|20)\d{2})/);
+        return {
+          qualification: line.substring(0, 200),
+          level: level ? level.level : null,
+          year: year ? parseInt(year[0]) : null
+        };
+      });
+  }
+
+  highestEducation(cvText) {
+    const found = EDUCATION_LEVELS.find(({ pattern }) => pattern.test(cvText));
+    return found ? found.level : null;
+  }
+
+  extractSkills(lines) {
+    const skills = lines
+      .join('\n')
+      .split(/[\n,;|•●▪◦·]/)
+      .map(skill => skill.replace(/^[\s*\-–:]+|[\s.]+$/g, ''))
+      .filter(skill => skill.length >= 2 && skill.length <= 40);
+
+    return [...new Map(skills.map(skill => [skill.toLowerCase(), skill])).values()].slice(0, 30);
+  }
+
+  extractCertifications(lines, cvText) {
+    const listed = lines
+      .map(line => line.replace(/^[\s*\-–•●▪]+/, ''))
+      .filter(line => line.length >= 3 && line.length <= 150);
+
+    const mentioned = (cvText.match(CERTIFICATION_PATTERN) || [])
+      .map(cert => cert.toUpperCase())
+      .filter(cert => !listed.some(line => line.toUpperCase().includes(cert)));
+
+    return [...new Set([...listed, ...mentioned])].slice(0, 15);
+  }
+
+  detectNyscStatus(cvText) {
+    const text = cvText.toLowerCase();
+
+    if (!/\bnysc\b|national youth service/.test(text)) return 'unknown';
+    if (/exempt(ed|ion)/.test(text)) return 'exempted';
+    if (/currently serving|ongoing|corps member|\bcorper\b/.test(text) && !/discharge/.test(text)) return 'ongoing';
+    if (/completed|discharge|certificate of national service|\b(19|20)\d{2}\b.*nysc|nysc.*\b(19|20)\d{2}\b/.test(text)) return 'completed';
+
+    return 'mentioned';
+  }
+
+  /**
+   * Rule-based parse of a CV into profile sections (no AI involved)
+   */
+  parseCV(cvText) {
+    const sections = this.splitSections(cvText);
+    const workHistory = this.extractWorkHistory(sections.experience || []);
+
+    // Some CVs have no headings; fall back to scanning the whole document
+    const educationLines = sections.education || cvText.split('\n').map(l => l.trim()).filter(Boolean);
+
+    return {
+      contact: this.extractContactDetails(cvText),
+      work_history: workHistory,
+      education: this.extractEducation(educationLines),
+      skills: this.extractSkills(sections.skills || []),
+      certifications: this.extractCertifications(sections.certifications || [], cvText),
+      nysc_status: this.detectNyscStatus(cvText),
+      years_experience: this.estimateYearsExperience(cvText, workHistory),
+      highest_education: this.highestEducation(cvText)
+    };
+  }
+
+  /**
+   * Default name/email/phone extraction via the AI worker, falling back to rules
+   */
+  async extractContact(cvText, identifier, parsedContact) {
+    try {
+      const openaiService = require('./openai');
+      const result = await openaiService.extractUserInfo(cvText, identifier);
+      return { ...result, email: result.email || parsedContact.email, phone: result.phone || parsedContact.phone };
+    } catch (error) {
+      logger.warn('AI contact extraction failed, using parsed contact', {
+        identifier: identifier.substring(0, 6) + '***',
+        error: error.message
+      });
+      return { name: '', email: parsedContact.email, phone: parsedContact.phone || identifier, source: 'rules' };
+    }
+  }
+
+  async findProfile(identifier, cvHash) {
+    const result = await dbManager.query(`
+      SELECT * FROM candidate_profiles
+      WHERE user_identifier = $1 AND cv_hash = $2
+    `, [identifier, cvHash]);
+
+    return result.rows[0] || null;
+  }
+
+  async waitForProfile(identifier, cvHash) {
+    const deadline = Date.now() + this.waitForLockMs;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      const profile = await this.findProfile(identifier, cvHash);
+      if (profile) return profile;
+    }
+
+    return null;
+  }
+
+  /**
+   * Return the profile for this CV, parsing and saving it if this is the first time we see it.
+   * Pass the raw extracted text (line breaks intact) so sections can be detected.
+   * options.cvHash: from hashFile(); options.extractContact(cvText, identifier) overrides AI extraction.
+   */
+  async getOrCreateProfile(identifier, cvText, options = {}) {
+    const cvHash = options.cvHash || this.hashCV(cvText);
+
+    try {
+      const existing = await this.findProfile(identifier, cvHash);
+      if (existing) return existing;
+
+      // Only one worker parses a given CV; others wait for its result
+      const lockKey = `profile_lock:${identifier}:${cvHash.substring(0, 16)}`;
+      const locked = await redis.set(lockKey, '1', 'EX', this.lockTtl, 'NX');
+
+      if (!locked) {
+        const profile = await this.waitForProfile(identifier, cvHash);
+        if (profile) return profile;
+      }
+
+      try {
+        const parsed = this.parseCV(cvText);
+        const contact = options.extractContact
+          ? await options.extractContact(cvText, identifier)
+          : await this.extractContact(cvText, identifier, parsed.contact);
+
+        const result = await dbManager.query(`
+          INSERT INTO candidate_profiles (
+            user_identifier, cv_hash, cv_filepath, cv_text,
+            full_name, email, phone, contact,
+            work_history, education, skills, certifications,
+            nysc_status, years_experience, highest_education, extraction_source
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          ON CONFLICT (user_identifier, cv_hash)
+          DO UPDATE SET updated_at = NOW()
+          RETURNING *
+        `, [
+          identifier,
+          cvHash,
+          options.filepath || null,
+          cvText,
+          contact.name || null,
+          contact.email || parsed.contact.email || null,
+          contact.phone || parsed.contact.phone || null,
+          JSON.stringify(parsed.contact),
+          JSON.stringify(parsed.work_history),
+          JSON.stringify(parsed.education),
+          JSON.stringify(parsed.skills),
+          JSON.stringify(parsed.certifications),
+          parsed.nysc_status,
+          parsed.years_experience,
+          parsed.highest_education,
+          contact.source || 'AI'
+        ]);
+
+        logger.info('Candidate profile saved', {
+          identifier: identifier.substring(0, 6) + '***',
+          profileId: result.rows[0].id,
+          workEntries: parsed.work_history.length,
+          skills: parsed.skills.length,
+          nyscStatus: parsed.nysc_status,
+          yearsExperience: parsed.years_experience
+        });
+
+        return result.rows[0];
+
+      } finally {
+        if (locked) await redis.del(lockKey);
+      }
+
+    } catch (error) {
+      logger.error('Failed to build candidate profile', {
+        identifier: identifier.substring(0, 6) + '***',
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async getProfileById(profileId) {
+    try {
+      const result = await dbManager.query('SELECT * FROM candidate_profiles WHERE id = $1', [profileId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get candidate profile by id', { profileId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Most recent profile for a user
+   */
+  async getLatestProfile(identifier) {
+    try {
+      const result = await dbManager.query(`
+        SELECT * FROM candidate_profiles
+        WHERE user_identifier = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [identifier]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      logger.error('Failed to get candidate profile', {
+        identifier: identifier?.substring(0, 6) + '***',
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Profile an application was sent with (falls back to the user's latest)
+   */
+  async getProfileForApplication(applicationId, identifier) {
+    try {
+      const result = await dbManager.query(`
+        SELECT cp.* FROM applications a
+        JOIN candidate_profiles cp ON cp.id = a.candidate_profile_id
+        WHERE a.id = $1
+      `, [applicationId]);
+
+      return result.rows[0] || await this.getLatestProfile(identifier);
+
+    } catch (error) {
+      logger.error('Failed to get application profile', { applicationId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Shape expected by the application worker and email templates
+   */
+  toUserInfo(profile, identifier) {
+    return {
+      name: profile.full_name || '',
+      email: profile.email || '',
+      phone: profile.phone || identifier,
+      linkedin: profile.contact?.linkedin || '',
+      source: 'profile'
+    };
+  }
+}
+
+module.exports = new CandidateProfileService();
@@ -0,0 +1,219 @@
+// services/creditLedger.js - Application credits: every grant, spend, return and revoke in one ledger
+
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const { allocateSpend, allocateReturn } = require('../utils/credits');
+
+// Grants with their remaining balance ($1 = user)
+const GRANT_BALANCES = `
+  SELECT g.id, g.expires_at, (g.credits + COALESCE(SUM(c.credits), 0))::int AS balance
+  FROM credit_ledger g
+  LEFT JOIN credit_ledger c ON c.grant_id = g.id
+  WHERE g.user_identifier = $1 AND g.entry_type = 'grant'
+`;
+
+class CreditLedgerService {
+  maskPhone(phone) {
+    return phone.substring(0, 6) + '***';
+  }
+
+  /**
+   * Serialises spends and returns per user for the rest of the transaction
+   */
+  async lockUser(client, identifier) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [identifier]);
+  }
+
+  async activeGrants(identifier, client = dbManager) {
+    const { rows } = await client.query(`
+      ${GRANT_BALANCES} AND g.expires_at > NOW()
+      GROUP BY g.id
+      HAVING g.credits + COALESCE(SUM(c.credits), 0) > 0
+      ORDER BY g.expires_at, g.id
+    `, [identifier]);
+
+    return rows.map(row => ({ id: row.id, balance: row.balance, expiresAt: row.expires_at }));
+  }
+
+  /**
+   * { remaining, validUntil, usedToday }: unexpired credits, when the last of them
+   * expires, and applications spent (net of returns) in the last 24 hours
+   */
+  async getBalance(identifier) {
+    const { rows: [balance] } = await dbManager.query(`
+      WITH grants AS (
+        ${GRANT_BALANCES} AND g.expires_at > NOW()
+        GROUP BY g.id
+        HAVING g.credits + COALESCE(SUM(c.credits), 0) > 0
+      )
+      SELECT
+        (SELECT COALESCE(SUM(balance), 0)::int FROM grants) AS remaining,
+        (SELECT MAX(expires_at) FROM grants) AS valid_until,
+        (SELECT COALESCE(-SUM(credits), 0)::int FROM credit_ledger
+          WHERE user_identifier = $1 AND entry_type IN ('spend', 'return')
+            AND created_at > NOW() - INTERVAL '24 hours') AS used_today
+    `, [identifier]);
+
+    return {
+      remaining: balance.remaining,
+      validUntil: balance.valid_until,
+      usedToday: Math.max(0, balance.used_today)
+    };
+  }
+
+  /**
+   * Add credits that expire after `hours`. A reference is only ever granted once;
+   * returns { granted: false, duplicate: true } when it already was. Pass `client` to grant
+   * inside the caller's transaction.
+   */
+  async grant(identifier, { credits, hours, source, productCode = null, reference = null, createdBy = null, details = {} }, client = dbManager) {
+    const { rows: [grant] } = await client.query(`
+      INSERT INTO credit_ledger (
+        user_identifier, entry_type, credits, expires_at, source, product_code, reference, created_by, details
+      ) VALUES ($1, 'grant', $2, NOW() + make_interval(hours => $3), $4, $5, $6, $7, $8)
+      ON CONFLICT (reference) WHERE entry_type = 'grant' AND reference IS NOT NULL DO NOTHING
+      RETURNING id, credits, expires_at
+    `, [identifier, credits, hours, source, productCode, reference, createdBy, JSON.stringify(details)]);
+
+    if (!grant) {
+      logger.info('Credit grant skipped - reference already granted', { reference });
+      return { granted: false, duplicate: true };
+    }
+
+    logger.info('Credits granted', {
+      phone: this.maskPhone(identifier),
+      credits,
+      source,
+      productCode
+    });
+
+    return { granted: true, grantId: grant.id, credits: grant.credits, expiresAt: grant.expires_at };
+  }
+
+  /**
+   * Use `count` credits, soonest-expiring first. Throws when the user doesn't have enough.
+   */
+  async spend(identifier, count, { source = 'application', details = {} } = {}) {
+    return dbManager.transaction(async (client) => {
+      await this.lockUser(client, identifier);
+
+      const grants = await this.activeGrants(identifier, client);
+      const allocation = allocateSpend(grants, count);
+
+      if (!allocation) {
+        throw new Error('Insufficient applications remaining');
+      }
+
+      for (const { grantId, credits } of allocation) {
+        await client.query(`
+          INSERT INTO credit_ledger (user_identifier, entry_type, credits, grant_id, source, details)
+          VALUES ($1, 'spend', $2, $3, $4, $5)
+        `, [identifier, -credits, grantId, source, JSON.stringify(details)]);
+      }
+
+      const available = grants.reduce((total, grant) => total + grant.balance, 0);
+      return { remaining: available - count };
+    });
+  }
+
+  /**
+   * Give back up to `count` spent credits to the grants they came from (e.g. an
+   * application that could not be sent). Returns how many were given back. With a
+   * reference, credits are only returned once for it.
+   */
+  async returnCredits(identifier, count, { source, reference = null, details = {} }) {
+    return dbManager.transaction(async (client) => {
+      await this.lockUser(client, identifier);
+
+      if (reference) {
+        const { rowCount } = await client.query(
+          `SELECT 1 FROM credit_ledger WHERE reference = $1 AND entry_type = 'return' LIMIT 1`,
+          [reference]
+        );
+        if (rowCount > 0) {
+          return 0;
+        }
+      }
+
+      const { rows } = await client.query(`
+        SELECT g.id, (-SUM(c.credits))::int AS used
+        FROM credit_ledger g
+        JOIN credit_ledger c ON c.grant_id = g.id AND c.entry_type IN ('spend', 'return')
+        WHERE g.user_identifier = $1 AND g.entry_type = 'grant'
+        GROUP BY g.id
+        HAVING -SUM(c.credits) > 0
+        ORDER BY MAX(c.created_at) FILTER (WHERE c.entry_type = 'spend') DESC
+        LIMIT 20
+      `, [identifier]);
+
+      const allocation = allocateReturn(rows, count);
+
+      for (const { grantId, credits } of allocation) {
+        await client.query(`
+          INSERT INTO credit_ledger (user_identifier, entry_type, credits, grant_id, source, reference, details)
+          VALUES ($1, 'return', $2, $3, $4, $5, $6)
+        `, [identifier, credits, grantId, source, reference, JSON.stringify(details)]);
+      }
+
+      return allocation.reduce((total, entry) => total + entry.credits, 0);
+    });
+  }
+
+  /**
+   * Remove whatever is left of the grant for a payment reference (refunds), including
+   * balances carried over from daily_usage. Returns the credits removed.
+   */
+  async revokeReference(reference, { createdBy = null, details = {} } = {}) {
+    const { rows: [grant] } = await dbManager.query(`
+      SELECT id, user_identifier FROM credit_ledger
+      WHERE entry_type = 'grant' AND (reference = $1 OR details->>'payment_reference' = $1)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [reference]);
+
+    if (!grant) {
+      return 0;
+    }
+
+    return dbManager.transaction(async (client) => {
+      await this.lockUser(client, grant.user_identifier);
+
+      const { rows: [{ balance }] } = await client.query(`
+        SELECT (g.credits + COALESCE(SUM(c.credits), 0))::int AS balance
+        FROM credit_ledger g
+        LEFT JOIN credit_ledger c ON c.grant_id = g.id
+        WHERE g.id = $1
+        GROUP BY g.id
+      `, [grant.id]);
+
+      if (balance <= 0) {
+        return 0;
+      }
+
+      await client.query(`
+        INSERT INTO credit_ledger (user_identifier, entry_type, credits, grant_id, source, reference, created_by, details)
+        VALUES ($1, 'revoke', $2, $3, 'refund', $4, $5, $6)
+      `, [grant.user_identifier, -balance, grant.id, reference, createdBy, JSON.stringify(details)]);
+
+      return balance;
+    });
+  }
+
+  /**
+   * A user's ledger, newest first
+   */
+  async listEntries(identifier, { limit = 50 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT id, entry_type, credits, grant_id, expires_at, source, product_code, reference,
+             created_by, details, created_at
+      FROM credit_ledger
+      WHERE user_identifier = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [identifier, limit]);
+
+    return rows;
+  }
+}
+
+module.exports = new CreditLedgerService();
@@ -0,0 +1,313 @@
+// services/cvLibrary.js - Versioned CV library per phone number
+
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const candidateProfile = require('./candidateProfile');
+const i18n = require('./i18n');
+
+class CVLibraryService {
+  constructor() {
+    this.maxLabelLength = 60;
+    this.maxCVsPerUser = 10;
+  }
+
+  /**
+   * Record an uploaded file as a new CV version (re-uploads of the same file reuse the existing version).
+   * { limitReached: true } once the user already keeps maxCVsPerUser CVs.
+   */
+  async addVersion(phone, savedFile, buffer) {
+    try {
+      const fileHash = candidateProfile.hashFile(buffer);
+
+      return await dbManager.transaction(async (client) => {
+        // Uploads arriving together would otherwise read the same last version
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`user_cvs:${phone}`]);
+
+        const existing = await client.query(`
+          SELECT * FROM user_cvs
+          WHERE user_identifier = $1 AND file_hash = $2 AND deleted_at IS NULL
+          LIMIT 1
+        `, [phone, fileHash]);
+
+        if (existing.rows.length > 0) {
+          // Point at the newest copy on disk; the old one may have been cleaned up
+          const result = await client.query(`
+            UPDATE user_cvs SET filename = $1, filepath = $2, updated_at = NOW()
+            WHERE id = $3
+            RETURNING *
+          `, [savedFile.filename, savedFile.filepath, existing.rows[0].id]);
+          return result.rows[0];
+        }
+
+        const { rows: [counts] } = await client.query(`
+          SELECT
+            COALESCE(MAX(version), 0) AS last_version,
+            COUNT(*) FILTER (WHERE deleted_at IS NULL) AS active,
+            COUNT(*) FILTER (WHERE deleted_at IS NULL AND is_default) AS defaults
+          FROM user_cvs
+          WHERE user_identifier = $1
+        `, [phone]);
+
+        if (parseInt(counts.active) >= this.maxCVsPerUser) {
+          logger.warn('CV library full', { phone: phone.substring(0, 6) + '***', max: this.maxCVsPerUser });
+          return { limitReached: true };
+        }
+
+        const version = parseInt(counts.last_version) + 1;
+        const baseName = path.basename(savedFile.originalname || '', path.extname(savedFile.originalname || ''));
+        const label = (baseName || `CV ${version}`).substring(0, this.maxLabelLength);
+
+        const result = await client.query(`
+          INSERT INTO user_cvs (
+            user_identifier, version, label, original_name, filename,
+            filepath, mimetype, size, file_hash, is_default
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *
+        `, [
+          phone, version, label, savedFile.originalname, savedFile.filename,
+          savedFile.filepath, savedFile.mimetype, savedFile.size, fileHash,
+          parseInt(counts.defaults) === 0
+        ]);
+
+        logger.info('CV version added', {
+          phone: phone.substring(0, 6) + '***',
+          version,
+          isDefault: result.rows[0].is_default
+        });
+
+        return result.rows[0];
+      });
+
+    } catch (error) {
+      logger.error('Failed to add CV version', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Attach the parsed profile to the library entry for a file (called by the cv worker)
+   */
+  async linkProfile(phone, fileHash, profileId) {
+    try {
+      await dbManager.query(`
+        UPDATE user_cvs SET candidate_profile_id = $1, updated_at = NOW()
+        WHERE user_identifier = $2 AND file_hash = $3 AND deleted_at IS NULL
+      `, [profileId, phone, fileHash]);
+    } catch (error) {
+      logger.error('Failed to link CV profile', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+    }
+  }
+
+  async listCVs(phone) {
+    try {
+      const result = await dbManager.query(`
+        SELECT * FROM user_cvs
+        WHERE user_identifier = $1 AND deleted_at IS NULL
+        ORDER BY version ASC
+      `, [phone]);
+
+      return result.rows;
+
+    } catch (error) {
+      logger.error('Failed to list CVs', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  async getCV(phone, version) {
+    const result = await dbManager.query(`
+      SELECT * FROM user_cvs
+      WHERE user_identifier = $1 AND version = $2 AND deleted_at IS NULL
+    `, [phone, version]);
+
+    return result.rows[0] || null;
+  }
+
+  async getDefaultCV(phone) {
+    try {
+      const result = await dbManager.query(`
+        SELECT * FROM user_cvs
+        WHERE user_identifier = $1 AND deleted_at IS NULL
+        ORDER BY is_default DESC, version DESC
+        LIMIT 1
+      `, [phone]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      logger.error('Failed to get default CV', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async renameCV(phone, version, label) {
+    const cleanLabel = (label || '').replace(/[^\p{L}\p{N}\s&()._-]/gu, '').trim().substring(0, this.maxLabelLength);
+
+    if (!cleanLabel) {
+      return { success: false, reason: 'label_required' };
+    }
+
+    const result = await dbManager.query(`
+      UPDATE user_cvs SET label = $1, updated_at = NOW()
+      WHERE user_identifier = $2 AND version = $3 AND deleted_at IS NULL
+      RETURNING *
+    `, [cleanLabel, phone, version]);
+
+    if (result.rows.length === 0) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    return { success: true, cv: result.rows[0] };
+  }
+
+  async setDefault(phone, version) {
+    const cv = await this.getCV(phone, version);
+    if (!cv) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    await dbManager.transaction(async (client) => {
+      await client.query(`
+        UPDATE user_cvs SET is_default = false, updated_at = NOW()
+        WHERE user_identifier = $1 AND is_default = true
+      `, [phone]);
+
+      await client.query(`
+        UPDATE user_cvs SET is_default = true, updated_at = NOW()
+        WHERE id = $1
+      `, [cv.id]);
+    });
+
+    return { success: true, cv };
+  }
+
+  /**
+   * Soft-delete a CV, remove its file, unpin it from preferences and promote a new default
+   */
+  async deleteCV(phone, version) {
+    const cv = await this.getCV(phone, version);
+    if (!cv) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    let newDefault = null;
+
+    await dbManager.transaction(async (client) => {
+      await client.query(`
+        UPDATE user_cvs SET deleted_at = NOW(), is_default = false, updated_at = NOW()
+        WHERE id = $1
+      `, [cv.id]);
+
+      await client.query(`
+        UPDATE auto_apply_preferences SET cv_id = NULL, updated_at = NOW()
+        WHERE cv_id = $1
+      `, [cv.id]);
+
+      if (cv.is_default) {
+        const promoted = await client.query(`
+          UPDATE user_cvs SET is_default = true, updated_at = NOW()
+          WHERE id = (
+            SELECT id FROM user_cvs
+            WHERE user_identifier = $1 AND deleted_at IS NULL
+            ORDER BY version DESC
+            LIMIT 1
+          )
+          RETURNING *
+        `, [phone]);
+        newDefault = promoted.rows[0] || null;
+      }
+    });
+
+    try {
+      if (cv.filepath && fs.existsSync(cv.filepath)) {
+        fs.unlinkSync(cv.filepath);
+      }
+    } catch (fileError) {
+      logger.warn('Failed to remove deleted CV file', { filepath: cv.filepath, error: fileError.message });
+    }
+
+    logger.info('CV deleted', {
+      phone: phone.substring(0, 6) + '***',
+      version,
+      newDefault: newDefault?.version || null
+    });
+
+    return { success: true, cv, newDefault };
+  }
+
+  async pinToPreference(phone, version, preferenceId) {
+    const cv = await this.getCV(phone, version);
+    if (!cv) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    const result = await dbManager.query(`
+      UPDATE auto_apply_preferences SET cv_id = $1, updated_at = NOW()
+      WHERE id = $2 AND user_identifier = $3 AND is_active = true
+      RETURNING job_category_label, location
+    `, [cv.id, preferenceId, phone]);
+
+    if (result.rows.length === 0) {
+      return { success: false, reason: 'preference_not_found' };
+    }
+
+    return { success: true, cv, preference: result.rows[0] };
+  }
+
+  /**
+   * CV to use for an auto-apply preference: the pinned one if still present, else the default
+   */
+  async getCVForPreference(phone, pinnedCvId) {
+    try {
+      if (pinnedCvId) {
+        const result = await dbManager.query(`
+          SELECT * FROM user_cvs
+          WHERE id = $1 AND user_identifier = $2 AND deleted_at IS NULL
+        `, [pinnedCvId, phone]);
+
+        if (result.rows.length > 0) return result.rows[0];
+      }
+
+      return await this.getDefaultCV(phone);
+
+    } catch (error) {
+      logger.error('Failed to resolve CV for preference', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  formatCVList(cvs, lang) {
+    if (cvs.length === 0) {
+      return i18n.t(lang, 'cv.none');
+    }
+
+    let message = i18n.t(lang, 'cv.listTitle');
+
+    cvs.forEach(cv => {
+      const uploaded = new Date(cv.created_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+      message += `${cv.version}. ${cv.label}${cv.is_default ? i18n.t(lang, 'cv.listDefault') : ''}\n`;
+      message += i18n.t(lang, 'cv.listUploaded', { date: uploaded });
+    });
+
+    return message + i18n.t(lang, 'cv.listCommands');
+  }
+}
+
+module.exports = new CVLibraryService();
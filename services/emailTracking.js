@@ -0,0 +1,229 @@
+// services/emailTracking.js - Open pixels and tracked links for recruiter emails
+
+const crypto = require('crypto');
+const config = require('../config');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+class EmailTrackingService {
+  constructor() {
+    this.secret = config.get('emailTracking.secret');
+    this.cvLinkTtlDays = config.get('emailTracking.cvLinkTtlDays');
+    this.baseUrl = config.get('baseUrl');
+    this.pixel = PIXEL;
+
+    if (!this.secret) {
+      logger.warn('EMAIL_TRACKING_SECRET not set, email open/click tracking is disabled');
+    }
+  }
+
+  isEnabled() {
+    return !!this.secret;
+  }
+
+  // ================================
+  // TOKENS
+  // ================================
+
+  // Tokens carry the email/link they belong to and are signed so the click
+  // route never redirects to a URL we didn't put in an email. CV tokens also
+  // carry an expiry (exp, unix seconds) since they hand out the candidate's file.
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url').substring(0, 22);
+  }
+
+  encode(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.sign(body)}`;
+  }
+
+  decode(token) {
+    if (!this.isEnabled() || typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(this.sign(body));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if ((payload.exp || payload.k === 'cv') && !(payload.exp > Math.floor(Date.now() / 1000))) {
+      return null;
+    }
+
+    return payload;
+  }
+
+  // ================================
+  // EMAIL MARKUP
+  // ================================
+
+  /**
+   * Open-tracking pixel for an application email ({ applicationId }) or a digest ({ digestId })
+   */
+  pixelHTML({ applicationId = null, digestId = null }) {
+    if (!this.isEnabled()) return '';
+
+    const token = this.encode({ k: 'open', a: applicationId, d: digestId });
+    return `<img src="${this.baseUrl}/email/open/${token}" width="1" height="1" alt="" style="display: none;">`;
+  }
+
+  /**
+   * Wrap an outbound link (e.g. the candidate's LinkedIn) in a tracked redirect
+   */
+  wrapLink(url, { applicationId = null, digestId = null, linkType = 'link' }) {
+    if (!url) return null;
+
+    const target = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    if (!this.isEnabled()) return target;
+
+    const token = this.encode({ k: linkType, a: applicationId, d: digestId, u: target });
+    return `${this.baseUrl}/email/click/${token}`;
+  }
+
+  /**
+   * Tracked CV download link, valid for cvLinkTtlDays; served by the click route from the application's profile
+   */
+  cvLink({ applicationId, digestId = null }) {
+    if (!this.isEnabled() || !applicationId) return null;
+
+    const exp = Math.floor(Date.now() / 1000) + this.cvLinkTtlDays * 86400;
+    const token = this.encode({ k: 'cv', a: applicationId, d: digestId, exp });
+    return `${this.baseUrl}/email/click/${token}`;
+  }
+
+  // ================================
+  // EVENTS
+  // ================================
+
+  /**
+   * Store an open or click event from a decoded token
+   */
+  async recordEvent(eventType, payload, { ip = null, userAgent = null } = {}) {
+    try {
+      await dbManager.query(`
+        INSERT INTO email_tracking_events (
+          application_id, digest_id, email_type, event_type, link_type, target_url, ip_address, user_agent
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+        payload.a ? String(payload.a) : null,
+        payload.d ? String(payload.d) : null,
+        payload.d ? 'digest' : 'application',
+        eventType,
+        eventType === 'click' ? payload.k : null,
+        payload.u || null,
+        ip,
+        userAgent ? userAgent.substring(0, 255) : null
+      ]);
+
+    } catch (error) {
+      logger.error('Failed to record email tracking event', {
+        eventType,
+        applicationId: payload.a,
+        digestId: payload.d,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * CV file behind a tracked CV link
+   */
+  async getCVFile(applicationId) {
+    try {
+      const result = await dbManager.query(`
+        SELECT cp.cv_filepath, a.applicant_name
+        FROM applications a
+        JOIN candidate_profiles cp ON cp.id = a.candidate_profile_id
+        WHERE a.id::text = $1
+      `, [String(applicationId)]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      logger.error('Failed to resolve tracked CV', { applicationId, error: error.message });
+      return null;
+    }
+  }
+
+  // ================================
+  // STATS
+  // ================================
+
+  rate(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+  }
+
+  /**
+   * Open/click rates for application emails and digests sent between two dates (inclusive).
+   * A click counts as an open too, since many clients block the pixel.
+   */
+  async getEngagementStats(dateFrom, dateTo) {
+    try {
+      const [applications, digests] = await Promise.all([
+        dbManager.query(`
+          SELECT
+            COUNT(*) AS sent,
+            COUNT(*) FILTER (WHERE EXISTS (
+              SELECT 1 FROM email_tracking_events e
+              WHERE e.application_id = a.id::text AND e.email_type = 'application'
+            )) AS opened,
+            COUNT(*) FILTER (WHERE EXISTS (
+              SELECT 1 FROM email_tracking_events e
+              WHERE e.application_id = a.id::text AND e.email_type = 'application' AND e.event_type = 'click'
+            )) AS clicked
+          FROM applications a
+          WHERE a.email_sent_at >= $1::date AND a.email_sent_at < $2::date + 1
+        `, [dateFrom, dateTo]),
+        dbManager.query(`
+          SELECT
+            COUNT(*) AS sent,
+            COUNT(*) FILTER (WHERE EXISTS (
+              SELECT 1 FROM email_tracking_events e
+              WHERE e.digest_id = rd.id::text
+            )) AS opened,
+            COUNT(*) FILTER (WHERE EXISTS (
+              SELECT 1 FROM email_tracking_events e
+              WHERE e.digest_id = rd.id::text AND e.event_type = 'click'
+            )) AS clicked
+          FROM recruiter_digests rd
+          WHERE rd.email_sent = true AND rd.digest_date BETWEEN $1 AND $2
+        `, [dateFrom, dateTo])
+      ]);
+
+      const summarize = ({ sent, opened, clicked }) => ({
+        sent: parseInt(sent),
+        opened: parseInt(opened),
+        clicked: parseInt(clicked),
+        open_rate: this.rate(parseInt(opened), parseInt(sent)),
+        click_rate: this.rate(parseInt(clicked), parseInt(sent))
+      });
+
+      return {
+        enabled: this.isEnabled(),
+        from: dateFrom,
+        to: dateTo,
+        application_emails: summarize(applications.rows[0]),
+        digests: summarize(digests.rows[0])
+      };
+
+    } catch (error) {
+      logger.error('Failed to get email engagement stats', { error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new EmailTrackingService();
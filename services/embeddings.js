@@ -0,0 +1,285 @@
+// services/embeddings.js - Pluggable text embeddings for semantic job <-> CV matching
+
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this',
+  'to', 'was', 'we', 'will', 'with', 'you', 'your', 'i', 'my', 'me', 'am', 'not'
+]);
+
+/**
+ * Local, offline embedding provider: signed feature hashing of word unigrams,
+ * word bigrams and character trigrams, with sublinear term frequency.
+ * Char trigrams let related forms overlap ("accounts" / "accountant").
+ */
+class HashedNgramProvider {
+  constructor(dimensions = 1024) {
+    this.name = 'hashed-ngram';
+    this.version = 1;
+    this.dimensions = dimensions;
+  }
+
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 1 && !STOPWORDS.has(token));
+  }
+
+  features(text) {
+    const tokens = this.tokenize(text);
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, 1);
+      if (i > 0) add(`b:${tokens[i - 1]}_${token}`, 1);
+
+      const padded = `#${token}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + 3)}`, 0.5);
+      }
+    });
+
+    return counts;
+  }
+
+  // FNV-1a 32-bit
+  hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const [feature, count] of this.features(text)) {
+      const h = this.hash(feature);
+      const sign = (h & 0x80000000) ? -1 : 1;
+      vector[h % this.dimensions] += sign * (1 + Math.log(count));
+    }
+
+    return normalize(vector);
+  }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (!norm) return vector;
+  return vector.map(v => v / norm);
+}
+
+class EmbeddingService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new HashedNgramProvider(config.get('embeddings.dimensions')));
+
+    this.providerName = config.get('embeddings.provider');
+    this.minSimilarity = config.get('embeddings.minSimilarity');
+
+    // Only the start of long documents carries signal worth embedding
+    this.maxTextLength = 8000;
+  }
+
+  /**
+   * Register a provider: { name, version, dimensions, embed(text) -> Promise<number[]> }
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.embed !== 'function') {
+      throw new Error('Embedding provider must have a name and an embed(text) method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider() {
+    const provider = this.providers.get(this.providerName);
+    if (!provider) {
+      logger.warn('Unknown embedding provider, using hashed-ngram', { provider: this.providerName });
+      return this.providers.get('hashed-ngram');
+    }
+    return provider;
+  }
+
+  /**
+   * Model key stored with each vector
+   */
+  getModelKey() {
+    const provider = this.getProvider();
+    return `${provider.name}:${provider.version}:${provider.dimensions}`;
+  }
+
+  async embedText(text) {
+    return this.getProvider().embed((text || '').substring(0, this.maxTextLength));
+  }
+
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    if (!normA || !normB) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  buildJobText(job) {
+    // Title twice so it outweighs boilerplate in long descriptions
+    return [job.title, job.title, job.category, job.requirements, job.experience, job.description]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  contentHash(text) {
+    return crypto.createHash('md5').update(text || '').digest('hex');
+  }
+
+  /**
+   * Return the stored vector for an entity, recomputing only when its text changed
+   */
+  async upsertVector(entityType, entityId, text) {
+    const model = this.getModelKey();
+    const contentHash = this.contentHash(text);
+
+    const existing = await dbManager.query(`
+      SELECT vector, content_hash FROM embeddings
+      WHERE entity_type = $1 AND entity_id = $2 AND model = $3
+    `, [entityType, String(entityId), model]);
+
+    if (existing.rows.length > 0 && existing.rows[0].content_hash === contentHash) {
+      return existing.rows[0].vector;
+    }
+
+    const vector = await this.embedText(text);
+
+    await dbManager.query(`
+      INSERT INTO embeddings (entity_type, entity_id, model, vector, content_hash)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (entity_type, entity_id, model)
+      DO UPDATE SET vector = EXCLUDED.vector, content_hash = EXCLUDED.content_hash, updated_at = NOW()
+    `, [entityType, String(entityId), model, vector, contentHash]);
+
+    return vector;
+  }
+
+  /**
+   * Embed a single job (call after insert/update)
+   */
+  async indexJob(job) {
+    try {
+      return await this.upsertVector('job', job.id, this.buildJobText(job));
+    } catch (error) {
+      logger.error('Failed to index job embedding', { jobId: job.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Embed active jobs that have no vector for the current model yet
+   */
+  async indexPendingJobs(limit = 200) {
+    try {
+      const model = this.getModelKey();
+
+      const { rows } = await dbManager.query(`
+        SELECT j.* FROM jobs j
+        LEFT JOIN embeddings e
+          ON e.entity_type = 'job' AND e.entity_id = j.id::text AND e.model = $1
+        WHERE e.entity_id IS NULL
+          AND (j.expires_at IS NULL OR j.expires_at > NOW())
+        ORDER BY COALESCE(j.last_updated, j.scraped_at, NOW()) DESC
+        LIMIT $2
+      `, [model, limit]);
+
+      let indexed = 0;
+      for (const job of rows) {
+        if (await this.indexJob(job)) indexed++;
+      }
+
+      if (rows.length > 0) {
+        logger.info('Indexed pending job embeddings', { indexed, pending: rows.length, model });
+      }
+
+      return indexed;
+
+    } catch (error) {
+      logger.error('Failed to index pending jobs', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Stored id of a CV's vector: its parsed profile, or its text for CVs parsed before profiles.
+   * Per CV rather than per user, since each auto-apply preference can use a different CV.
+   */
+  cvEntityId(cvText, profileId = null) {
+    return profileId ? `profile:${profileId}` : `text:${this.contentHash(cvText)}`;
+  }
+
+  async getCvVector(cvText, profileId = null) {
+    return this.upsertVector('cv', this.cvEntityId(cvText, profileId), cvText);
+  }
+
+  async getJobVectors(jobs) {
+    const model = this.getModelKey();
+    const vectors = new Map();
+
+    const { rows } = await dbManager.query(`
+      SELECT entity_id, vector FROM embeddings
+      WHERE entity_type = 'job' AND model = $1 AND entity_id = ANY($2)
+    `, [model, jobs.map(job => String(job.id))]);
+
+    rows.forEach(row => vectors.set(row.entity_id, row.vector));
+
+    for (const job of jobs) {
+      if (!vectors.has(String(job.id))) {
+        const vector = await this.indexJob(job);
+        if (vector) vectors.set(String(job.id), vector);
+      }
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Score jobs against a user's CV (profileId: the CV's parsed profile); returns jobs with
+   * `similarity`, best first
+   */
+  async scoreJobsForCV(userId, cvText, jobs, { profileId = null } = {}) {
+    if (!jobs || jobs.length === 0) return [];
+
+    try {
+      const cvVector = await this.getCvVector(cvText, profileId);
+      const jobVectors = await this.getJobVectors(jobs);
+
+      return jobs
+        .map(job => ({
+          ...job,
+          similarity: Math.round(this.cosineSimilarity(cvVector, jobVectors.get(String(job.id))) * 1000) / 1000
+        }))
+        .sort((a, b) => b.similarity - a.similarity);
+
+    } catch (error) {
+      logger.error('Semantic scoring failed', {
+        userId: userId?.substring(0, 6) + '***',
+        error: error.message
+      });
+      return jobs.map(job => ({ ...job, similarity: 0 }));
+    }
+  }
+}
+
+module.exports = new EmbeddingService();
+module.exports.HashedNgramProvider = HashedNgramProvider;
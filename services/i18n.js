@@ -0,0 +1,128 @@
+// services/i18n.js - Per-user chat language (chosen or detected) and message lookup
+
+const dbManager = require('../config/database');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+const {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  isSupported,
+  translate,
+  detectLanguage,
+  parseLanguageName
+} = require('../utils/locales');
+
+const CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+class I18nService {
+  constructor() {
+    this.languages = LANGUAGES;
+    this.defaultLanguage = DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * { language, source } for a user; source is 'chosen', 'detected' or 'default'
+   */
+  async getPreference(phone) {
+    try {
+      const cached = await redis.get(`lang:${phone}`);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+
+      const result = await dbManager.query(
+        'SELECT language, source FROM user_language_preferences WHERE user_identifier = $1',
+        [phone]
+      );
+
+      const preference = result.rows[0] && isSupported(result.rows[0].language)
+        ? { language: result.rows[0].language, source: result.rows[0].source }
+        : { language: DEFAULT_LANGUAGE, source: 'default' };
+
+      await redis.set(`lang:${phone}`, JSON.stringify(preference), 'EX', CACHE_TTL_SECONDS);
+      return preference;
+    } catch (error) {
+      logger.error('Failed to load language preference', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+      return { language: DEFAULT_LANGUAGE, source: 'default' };
+    }
+  }
+
+  async getLanguage(phone) {
+    const { language } = await this.getPreference(phone);
+    return language;
+  }
+
+  /**
+   * Save a user's language. source 'chosen' (the language command) is never
+   * overridden by detection; 'detected' follows how the user writes.
+   */
+  async setLanguage(phone, language, source = 'chosen') {
+    if (!isSupported(language)) {
+      return false;
+    }
+
+    try {
+      await dbManager.query(`
+        INSERT INTO user_language_preferences (user_identifier, language, source)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_identifier) DO UPDATE
+        SET language = EXCLUDED.language, source = EXCLUDED.source, updated_at = NOW()
+      `, [phone, language, source]);
+
+      await redis.set(`lang:${phone}`, JSON.stringify({ language, source }), 'EX', CACHE_TTL_SECONDS);
+
+      logger.info('Language preference saved', {
+        phone: phone.substring(0, 6) + '***',
+        language,
+        source
+      });
+      return true;
+    } catch (error) {
+      logger.error('Failed to save language preference', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Language to reply in for this message. Switches to the detected language
+   * unless the user picked one with the language command.
+   */
+  async detectAndRemember(phone, text) {
+    const preference = await this.getPreference(phone);
+    if (preference.source === 'chosen') {
+      return preference.language;
+    }
+
+    const detected = detectLanguage(text);
+    if (!detected || detected === preference.language) {
+      return preference.language;
+    }
+
+    await this.setLanguage(phone, detected, 'detected');
+    return detected;
+  }
+
+  isLanguageCommand(text) {
+    return /^(language|lang|ede|harshe|asusu|asụsụ)(\s+.+)?$/i.test(text.trim());
+  }
+
+  /**
+   * Language named after the command ("language yoruba" -> 'yo'), or null
+   */
+  parseLanguageCommand(text) {
+    const name = text.trim().replace(/^\S+\s*/, '');
+    return name ? parseLanguageName(name) : null;
+  }
+
+  t(language, key, params) {
+    return translate(language, key, params);
+  }
+}
+
+module.exports = new I18nService();
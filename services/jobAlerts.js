@@ -0,0 +1,305 @@
+// services/jobAlerts.js - Saved job alerts for free users and the daily WhatsApp digest
+
+const ycloud = require('./ycloud');
+const aiProviders = require('./aiProviders');
+const i18n = require('./i18n');
+const JobClassifier = require('./jobClassifier');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+
+const MAX_ALERTS_PER_USER = 3;
+
+// WhatsApp list messages hold at most 10 rows
+const DIGEST_ROWS = 10;
+
+// Words around the actual query: "alert me for accountant jobs in Abuja" -> "accountant jobs in abuja"
+const COMMAND_WORDS = /\b(please|pls|set|create|add|an?|job|jobs?\s+alerts?|alerts?|notify|notifications?|remind|tell|let|know|me|for|about|when|there\s+are|new|whenever)\b/g;
+
+class JobAlertService {
+  constructor() {
+    this.classifier = new JobClassifier({
+      callAIWithContext: (messages) => aiProviders.complete(messages, { task: 'intent' })
+    });
+    this.maxAlertsPerUser = MAX_ALERTS_PER_USER;
+  }
+
+  isCreateCommand(text) {
+    return /\b(alert|notify)\s+me\b/i.test(text) ||
+           /^(set|create|add)\s+(a\s+|an\s+)?(job\s+)?alert\b/i.test(text.trim());
+  }
+
+  isListCommand(text) {
+    return /^(my\s+|show\s+(my\s+)?|view\s+(my\s+)?)?(job\s+)?alerts$/i.test(text.trim());
+  }
+
+  isStopCommand(text) {
+    return /^(stop|cancel|delete|remove)\s+(job\s+)?alerts?(\s+\d+)?$/i.test(text.trim());
+  }
+
+  /**
+   * Turn the user's request into { category, label, location, query } via JobClassifier
+   */
+  async parseRequest(text) {
+    const query = text.toLowerCase().replace(COMMAND_WORDS, ' ').replace(/\s+/g, ' ').trim();
+    if (!query) return null;
+
+    const result = await this.classifier.classifyJobQuery(query);
+
+    // The fallback means neither the patterns nor the AI understood the role;
+    // with a location that is still a useful "any job in <state>" alert
+    if (result.source === 'fallback') {
+      if (!result.location) return null;
+      return { category: null, label: 'All jobs', location: result.location, query: query.substring(0, 200) };
+    }
+
+    return {
+      category: result.jobType,
+      label: result.jobLabel,
+      location: result.location || null,
+      query: query.substring(0, 200)
+    };
+  }
+
+  async createAlert(identifier, text) {
+    try {
+      const parsed = await this.parseRequest(text);
+      if (!parsed) {
+        return { success: false, reason: 'unclear' };
+      }
+
+      const alerts = await this.listAlerts(identifier);
+
+      const existing = alerts.find(alert =>
+        (alert.category || null) === parsed.category && (alert.location || null) === parsed.location
+      );
+      if (existing) {
+        return { success: false, reason: 'duplicate', alert: existing };
+      }
+
+      if (alerts.length >= this.maxAlertsPerUser) {
+        return { success: false, reason: 'limit' };
+      }
+
+      const { rows } = await dbManager.query(`
+        INSERT INTO job_alerts (user_identifier, category, category_label, location, query)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [identifier, parsed.category, parsed.label, parsed.location, parsed.query]);
+
+      logger.info('Job alert created', {
+        identifier: identifier.substring(0, 6) + '***',
+        category: parsed.category,
+        location: parsed.location
+      });
+
+      return { success: true, alert: rows[0] };
+
+    } catch (error) {
+      logger.error('Failed to create job alert', {
+        identifier: identifier.substring(0, 6) + '***',
+        error: error.message
+      });
+      return { success: false, reason: 'error' };
+    }
+  }
+
+  async listAlerts(identifier) {
+    const { rows } = await dbManager.query(`
+      SELECT id, category, category_label, location, query, created_at
+      FROM job_alerts
+      WHERE user_identifier = $1 AND is_active = true
+      ORDER BY created_at ASC
+    `, [identifier]);
+    return rows;
+  }
+
+  /**
+   * Deactivate one alert by its number in listAlerts, or all of them
+   */
+  async stopAlerts(identifier, number = null) {
+    const alerts = await this.listAlerts(identifier);
+    const targets = number ? alerts.slice(number - 1, number) : alerts;
+
+    if (targets.length === 0) {
+      return 0;
+    }
+
+    await dbManager.query(`
+      UPDATE job_alerts SET is_active = false, updated_at = NOW()
+      WHERE id = ANY($1::int[])
+    `, [targets.map(alert => alert.id)]);
+
+    return targets.length;
+  }
+
+  describe(alert, lang) {
+    const label = this.alertLabel(alert, lang);
+    return alert.location
+      ? i18n.t(lang, 'alerts.describeIn', { label, location: alert.location })
+      : i18n.t(lang, 'alerts.describeAnywhere', { label });
+  }
+
+  // "Any job in <state>" alerts are stored with the English label
+  alertLabel(alert, lang) {
+    return alert.category ? alert.category_label : i18n.t(lang, 'alerts.allJobs');
+  }
+
+  // ================================
+  // MATCHING
+  // ================================
+
+  /**
+   * Record open jobs inserted since each alert was last checked
+   */
+  async matchNewJobs() {
+    const cutoff = new Date();
+
+    const result = await dbManager.query(`
+      INSERT INTO job_alert_matches (alert_id, job_id)
+      SELECT a.id, j.id::text
+      FROM job_alerts a
+      JOIN jobs j ON (a.category IS NULL OR j.category = a.category)
+      WHERE a.is_active = true
+        AND j.scraped_at > a.last_matched_at
+        AND j.scraped_at <= $1
+        AND (j.expires_at IS NULL OR j.expires_at > NOW())
+        AND (
+          a.location IS NULL
+          OR j.state = a.location
+          OR (a.location = 'Remote' AND j.is_remote = true)
+        )
+      ON CONFLICT (alert_id, job_id) DO NOTHING
+    `, [cutoff]);
+
+    await dbManager.query(`
+      UPDATE job_alerts SET last_matched_at = $1
+      WHERE is_active = true AND last_matched_at < $1
+    `, [cutoff]);
+
+    return result.rowCount;
+  }
+
+  // ================================
+  // DAILY DIGEST
+  // ================================
+
+  /**
+   * One list message per user with their unsent matches; tapping a job starts the apply flow
+   */
+  async sendDailyDigests() {
+    const stats = { users: 0, sent: 0, failed: 0, jobs: 0 };
+
+    const { rows: users } = await dbManager.query(`
+      SELECT DISTINCT a.user_identifier
+      FROM job_alert_matches m
+      JOIN job_alerts a ON a.id = m.alert_id
+      JOIN jobs j ON j.id::text = m.job_id
+      WHERE m.sent_at IS NULL
+        AND a.is_active = true
+        AND (j.expires_at IS NULL OR j.expires_at > NOW())
+    `);
+
+    for (const { user_identifier: identifier } of users) {
+      stats.users++;
+
+      try {
+        const jobCount = await this.sendDigest(identifier);
+        if (jobCount > 0) {
+          stats.sent++;
+          stats.jobs += jobCount;
+        }
+      } catch (error) {
+        stats.failed++;
+        logger.error('Failed to send job alert digest', {
+          identifier: identifier.substring(0, 6) + '***',
+          error: error.message
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  async sendDigest(identifier) {
+    const { rows: matches } = await dbManager.query(`
+      SELECT m.id AS match_id, a.id AS alert_id, a.category, a.category_label, a.location AS alert_location,
+             j.id, j.title, j.company, j.location, j.is_remote
+      FROM job_alert_matches m
+      JOIN job_alerts a ON a.id = m.alert_id
+      JOIN jobs j ON j.id::text = m.job_id
+      WHERE a.user_identifier = $1
+        AND a.is_active = true
+        AND m.sent_at IS NULL
+        AND (j.expires_at IS NULL OR j.expires_at > NOW())
+      ORDER BY j.scraped_at DESC
+    `, [identifier]);
+
+    if (matches.length === 0) {
+      return 0;
+    }
+
+    // A job can match several alerts; list it once
+    const seen = new Set();
+    const jobs = matches.filter(match => !seen.has(String(match.id)) && seen.add(String(match.id)));
+
+    const lang = await i18n.getLanguage(identifier);
+    const shown = jobs.slice(0, DIGEST_ROWS);
+    const sections = [];
+
+    shown.forEach(job => {
+      const title = this.alertLabel(job, lang);
+      let section = sections.find(s => s.title === title);
+      if (!section) {
+        section = { title, rows: [] };
+        sections.push(section);
+      }
+      section.rows.push({
+        id: `alert_job_${job.id}`,
+        title: job.title,
+        description: `${job.company} • ${job.is_remote ? i18n.t(lang, 'alerts.remote') : job.location}`
+      });
+    });
+
+    let body = jobs.length === 1
+      ? i18n.t(lang, 'alerts.digestOne')
+      : i18n.t(lang, 'alerts.digestMany', { count: jobs.length });
+    if (jobs.length > shown.length) {
+      body += i18n.t(lang, 'alerts.digestMore', { shown: shown.length });
+    }
+    body += i18n.t(lang, 'alerts.digestFooter');
+
+    await ycloud.sendInteractiveListMessage(
+      identifier,
+      i18n.t(lang, 'alerts.digestHeader'),
+      body,
+      sections,
+      i18n.t(lang, 'alerts.digestButton')
+    );
+
+    await dbManager.query(`
+      UPDATE job_alert_matches SET sent_at = NOW()
+      WHERE id = ANY($1::int[])
+    `, [matches.map(match => match.match_id)]);
+
+    logger.info('Job alert digest sent', {
+      identifier: identifier.substring(0, 6) + '***',
+      jobs: jobs.length
+    });
+
+    return jobs.length;
+  }
+
+  /**
+   * Job behind an alert_job_<id> tap, if it is still open
+   */
+  async getOpenJob(jobId) {
+    const { rows } = await dbManager.query(`
+      SELECT * FROM jobs
+      WHERE id::text = $1 AND (expires_at IS NULL OR expires_at > NOW())
+    `, [String(jobId)]);
+    return rows[0] || null;
+  }
+}
+
+module.exports = new JobAlertService();
+module.exports.COMMAND_WORDS = COMMAND_WORDS;
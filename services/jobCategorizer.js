@@ -0,0 +1,270 @@
+// services/jobCategorizer.js - Category, confidence and review queue for stored jobs
+
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const JobClassifier = require('./jobClassifier');
+
+// Bump whenever the classifier patterns or the weights below change, then run
+// `npm run reclassify-jobs` so stored jobs catch up.
+const CATEGORIZER_VERSION = 'rules-1';
+
+// Jobs corrected by an admin keep this version and are never reclassified
+const MANUAL_VERSION = 'manual';
+
+// A disagreement between the title and the declared category splits the score,
+// so it lands below the review threshold whichever side wins.
+const WEIGHTS = {
+  title: 3,        // per matching pattern in the title
+  body: 1,         // per matching pattern in description/requirements
+  declared: 2,     // category mapped from the source site
+  recruiter: 4     // category picked by the recruiter on the posting form
+};
+const MAX_BODY_HITS = 2;
+const STRONG_SCORE = 5;
+const RECRUITER_SOURCES = ['free_website_form'];
+
+class JobCategorizer {
+  constructor() {
+    // Rules only; the AI client is not needed for stored jobs
+    this.classifier = new JobClassifier(null);
+    this.version = CATEGORIZER_VERSION;
+    this.reviewThreshold = 0.5;
+  }
+
+  isValidCategory(category) {
+    return Boolean(category) && Object.prototype.hasOwnProperty.call(this.classifier.getAllCategories(), category);
+  }
+
+  stripHTML(text) {
+    return (text || '').replace(/<[^>]+>/g, ' ');
+  }
+
+  /**
+   * Score every category from the title, body and declared category.
+   * Returns { category, confidence (0..1), version, scores, needsReview }
+   */
+  categorize(job) {
+    const scores = {};
+    const add = (category, points) => {
+      scores[category] = (scores[category] || 0) + points;
+    };
+
+    const titleHits = this.classifier.countPatternMatches(job.title);
+    // "Manager" only decides the category when nothing more specific is in the title
+    if (Object.keys(titleHits).length > 1) {
+      delete titleHits.management_executive;
+    }
+    Object.entries(titleHits).forEach(([category, hits]) => add(category, hits * WEIGHTS.title));
+
+    const bodyHits = this.classifier.countPatternMatches(
+      this.stripHTML(`${job.description || ''}\n${job.requirements || ''}`)
+    );
+    Object.entries(bodyHits).forEach(([category, hits]) => add(category, Math.min(hits, MAX_BODY_HITS) * WEIGHTS.body));
+
+    const declared = job.declared_category;
+    if (this.isValidCategory(declared) && declared !== 'other_general') {
+      add(declared, RECRUITER_SOURCES.includes(job.source) ? WEIGHTS.recruiter : WEIGHTS.declared);
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) =>
+      b[1] - a[1] || (b[0] === declared) - (a[0] === declared)
+    );
+
+    if (ranked.length === 0) {
+      return { category: 'other_general', confidence: 0, version: this.version, scores, needsReview: true };
+    }
+
+    const [category, top] = ranked[0];
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    const confidence = Math.round((top / total) * Math.min(1, top / STRONG_SCORE) * 1000) / 1000;
+
+    return {
+      category,
+      confidence,
+      version: this.version,
+      scores,
+      needsReview: confidence < this.reviewThreshold
+    };
+  }
+
+  /**
+   * Categorize a job about to be inserted. Keeps the incoming category as declared_category.
+   */
+  prepare(jobData) {
+    if (jobData.declared_category === undefined) {
+      jobData.declared_category = this.isValidCategory(jobData.category) ? jobData.category : null;
+    }
+
+    const result = this.categorize(jobData);
+    jobData.category = result.category;
+    jobData.category_confidence = result.confidence;
+    jobData.category_version = result.version;
+
+    return result;
+  }
+
+  /**
+   * Re-run the rules on a stored job and save the outcome (admin corrections are left alone)
+   */
+  async recategorize(job, { dryRun = false } = {}) {
+    if (job.category_version === MANUAL_VERSION) {
+      return { skipped: true };
+    }
+
+    const result = this.categorize(job);
+    const changed = result.category !== job.category;
+
+    if (!dryRun) {
+      await dbManager.query(`
+        UPDATE jobs
+        SET category = $2, category_confidence = $3, category_version = $4
+        WHERE id::text = $1
+      `, [String(job.id), result.category, result.confidence, result.version]);
+
+      if (result.needsReview) {
+        await this.flagForReview(job.id, result);
+      } else {
+        await this.supersedeReview(job.id);
+      }
+    }
+
+    return { ...result, changed, previous: job.category };
+  }
+
+  /**
+   * Reclassify stored jobs in batches. By default only jobs from older rule versions.
+   */
+  async reclassify({ all = false, dryRun = false, batchSize = 200, onProgress = null } = {}) {
+    const stats = { scanned: 0, changed: 0, flagged: 0, skipped: 0 };
+    let lastId = '';
+
+    while (true) {
+      const { rows } = await dbManager.query(`
+        SELECT id, title, description, requirements, category, declared_category, source, category_version
+        FROM jobs
+        WHERE id::text > $1
+          AND category_version IS DISTINCT FROM $2
+          AND ($3 OR category_version IS DISTINCT FROM $4)
+        ORDER BY id::text
+        LIMIT $5
+      `, [lastId, MANUAL_VERSION, all, this.version, batchSize]);
+
+      if (rows.length === 0) break;
+
+      for (const job of rows) {
+        stats.scanned++;
+        try {
+          const result = await this.recategorize(job, { dryRun });
+          if (result.changed) stats.changed++;
+          if (result.needsReview) stats.flagged++;
+          if (onProgress && result.changed) onProgress(job, result);
+        } catch (error) {
+          stats.skipped++;
+          logger.error('Failed to reclassify job', { jobId: job.id, error: error.message });
+        }
+      }
+
+      lastId = String(rows[rows.length - 1].id);
+    }
+
+    logger.info('Job reclassification complete', { ...stats, version: this.version, all, dryRun });
+    return stats;
+  }
+
+  // ================================
+  // REVIEW QUEUE
+  // ================================
+
+  /**
+   * Queue a low-confidence job for an admin (one pending review per job)
+   */
+  async flagForReview(jobId, result) {
+    try {
+      await dbManager.query(`
+        INSERT INTO job_category_reviews (job_id, suggested_category, confidence, scores, classifier_version)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (job_id) WHERE status = 'pending'
+        DO UPDATE SET
+          suggested_category = EXCLUDED.suggested_category,
+          confidence = EXCLUDED.confidence,
+          scores = EXCLUDED.scores,
+          classifier_version = EXCLUDED.classifier_version
+      `, [String(jobId), result.category, result.confidence, JSON.stringify(result.scores), result.version]);
+    } catch (error) {
+      logger.error('Failed to queue job for category review', { jobId, error: error.message });
+    }
+  }
+
+  /**
+   * Close a pending review once newer rules are confident about the job
+   */
+  async supersedeReview(jobId) {
+    await dbManager.query(`
+      UPDATE job_category_reviews
+      SET status = 'superseded', resolved_at = NOW()
+      WHERE job_id = $1 AND status = 'pending'
+    `, [String(jobId)]);
+  }
+
+  async getReviewQueue({ limit = 50, offset = 0 } = {}) {
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+      dbManager.query(`
+        SELECT r.id, r.job_id, r.suggested_category, r.confidence, r.scores, r.classifier_version, r.created_at,
+               j.title, j.company, j.category, j.declared_category, j.source
+        FROM job_category_reviews r
+        JOIN jobs j ON j.id::text = r.job_id
+        WHERE r.status = 'pending'
+        ORDER BY r.confidence ASC, r.created_at ASC
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]),
+      dbManager.query(`SELECT COUNT(*)::int AS count FROM job_category_reviews WHERE status = 'pending'`)
+    ]);
+
+    return { total: countRows[0].count, reviews: rows };
+  }
+
+  /**
+   * Admin decision: set the job's category and pin it against reclassification
+   */
+  async resolveReview(reviewId, category, reviewedBy = 'admin') {
+    if (!this.isValidCategory(category)) {
+      return { success: false, reason: 'invalid_category' };
+    }
+
+    try {
+      return await dbManager.transaction(async (client) => {
+        const { rows } = await client.query(`
+          SELECT id, job_id FROM job_category_reviews
+          WHERE id = $1 AND status = 'pending'
+          FOR UPDATE
+        `, [reviewId]);
+
+        if (rows.length === 0) {
+          return { success: false, reason: 'not_found' };
+        }
+
+        const review = rows[0];
+
+        await client.query(`
+          UPDATE jobs
+          SET category = $2, category_confidence = 1, category_version = $3, last_updated = NOW()
+          WHERE id::text = $1
+        `, [review.job_id, category, MANUAL_VERSION]);
+
+        await client.query(`
+          UPDATE job_category_reviews
+          SET status = 'resolved', resolved_category = $2, resolved_by = $3, resolved_at = NOW()
+          WHERE id = $1
+        `, [review.id, category, reviewedBy]);
+
+        logger.info('Job category review resolved', { reviewId, jobId: review.job_id, category, reviewedBy });
+        return { success: true, jobId: review.job_id, category };
+      });
+    } catch (error) {
+      logger.error('Failed to resolve category review', { reviewId, error: error.message });
+      return { success: false, reason: 'error' };
+    }
+  }
+}
+
+module.exports = new JobCategorizer();
@@ -1,6 +1,7 @@
 // services/jobClassifier.js - AI-powered job classification
 
 const logger = require('../utils/logger');
+const { matchJobType, matchLocation } = require('../utils/locales');
 
 class JobClassifier {
   constructor(aiService) {
@@ -110,64 +111,24 @@ class JobClassifier {
       'yola': 'Adamawa',
       'remote': 'Remote'
     };
-  }
-
-  // Main classification method
-  async classifyJobQuery(message, userContext = {}) {
-    const text = message.toLowerCase().trim();
-    
-    // Quick location detection (no AI needed)
-    const detectedLocation = this.detectLocation(text);
-    
-    // Quick job type detection for obvious cases
-    const quickJobType = this.detectObviousJobType(text);
-    if (quickJobType) {
-      return {
-        jobType: quickJobType,
-        jobLabel: this.jobCategories[quickJobType].label,
-        location: detectedLocation,
-        confidence: 'high',
-        source: 'pattern_match'
-      };
-    }
-
-    // Use AI for complex cases
-    try {
-      const aiResult = await this.aiClassifyJob(text, userContext);
-      return {
-        ...aiResult,
-        location: detectedLocation || aiResult.location,
-        source: 'ai_classification'
-      };
-    } catch (error) {
-      logger.error('AI classification failed', { error: error.message });
-      return {
-        jobType: 'other_general',
-        jobLabel: 'General Jobs',
-        location: detectedLocation,
-        confidence: 'low',
-        source: 'fallback'
-      };
-    }
-  }
 
-  // Quick pattern matching for obvious job types - FIXED LOCATION
-  detectObviousJobType(text) {
-    const patterns = {
+    // Keyword patterns per category; order matters for detectObviousJobType (first match wins)
+    this.jobPatterns = {
       'it_software': [
         /\b(developer|programmer|software|coding|programming)\b/,
         /\b(web dev|mobile dev|frontend|backend|fullstack)\b/,
         /\b(javascript|python|php|react|nodejs)\b/,
-        /\b(cyber security|network admin|system admin)\b/
+        /\b(cyber security|network admin|system admin)\b/,
+        /\b(devops|data scientist|data analyst|it support|it manager)\b/
       ],
       'accounting_finance': [
-        /\b(accountant|accounting|bookkeeper|audit)\b/,
+        /\b(accountant|accounting|bookkeeper|audit|auditor)\b/,
         /\b(finance|financial|treasury|tax)\b/,
         /\b(account|accounts|acct|account\s*officer|account\s*clerk)\b/
       ],
       'healthcare_medical': [
         /\b(doctor|nurse|medical|healthcare|physician)\b/,
-        /\b(clinical|hospital|pharmacy|laboratory)\b/
+        /\b(clinical|hospital|pharmacy|pharmacist|laboratory)\b/
       ],
       'engineering_technical': [
         /\b(mechanical engineer|electrical engineer|civil engineer)\b/,
@@ -185,7 +146,7 @@ class JobClassifier {
         /\b(customer service|customer support|call center)\b/
       ],
       'transport_driving': [
-        /\b(driver|delivery|transport|courier)\b/
+        /\b(driver|rider|delivery|transport|courier)\b/
       ],
       // NEW PATTERNS FOR MISSED JOBS:
       'legal_compliance': [
@@ -200,7 +161,7 @@ class JobClassifier {
         /\b(animator|animation|illustrator)\b/
       ],
       'admin_office': [
-        /\b(secretary|receptionist|admin|administrator)\b/,
+        /\b(secretary|receptionist|front desk|front office|admin|administrator)\b/,
         /\b(office manager|office assistant|clerical)\b/,
         /\b(data entry|executive assistant|personal assistant)\b/
       ],
@@ -226,27 +187,93 @@ class JobClassifier {
       ],
       'logistics_supply': [
         /\b(logistics|warehouse|supply chain|inventory)\b/,
-        /\b(procurement|purchasing|store keeper)\b/
+        /\b(procurement|purchasing|store keeper|storekeeper)\b/
+      ],
+      // Last so a specific role ("sales manager") wins on quick detection
+      'management_executive': [
+        /\b(manager|supervisor|director|team lead|head of)\b/,
+        /\b(general manager|operations manager|project manager|managing director|ceo|coo)\b/
       ]
     };
+  }
 
-    for (const [category, regexArray] of Object.entries(patterns)) {
+  // Main classification method
+  async classifyJobQuery(message, userContext = {}) {
+    const text = message.toLowerCase().trim();
+    
+    // Quick location detection (no AI needed)
+    const detectedLocation = this.detectLocation(text);
+    
+    // Quick job type detection for obvious cases
+    const quickJobType = this.detectObviousJobType(text);
+    if (quickJobType) {
+      return {
+        jobType: quickJobType,
+        jobLabel: this.jobCategories[quickJobType].label,
+        location: detectedLocation,
+        confidence: 'high',
+        source: 'pattern_match'
+      };
+    }
+
+    // Use AI for complex cases
+    try {
+      const aiResult = await this.aiClassifyJob(text, userContext);
+      return {
+        ...aiResult,
+        location: detectedLocation || aiResult.location,
+        source: 'ai_classification'
+      };
+    } catch (error) {
+      logger.error('AI classification failed', { error: error.message });
+      return {
+        jobType: 'other_general',
+        jobLabel: 'General Jobs',
+        location: detectedLocation,
+        confidence: 'low',
+        source: 'fallback'
+      };
+    }
+  }
+
+  // Quick pattern matching for obvious job types - FIXED LOCATION
+  detectObviousJobType(text) {
+    for (const [category, regexArray] of Object.entries(this.jobPatterns)) {
       if (regexArray.some(regex => regex.test(text))) {
         return category;
       }
     }
 
-    return null;
+    // Pidgin/Yoruba/Hausa/Igbo words ("awako", "mai gadi", "onye nkuzi")
+    const local = matchJobType(text);
+    return local ? local.category : null;
+  }
+
+  // Number of matching patterns per category (used to score stored jobs)
+  countPatternMatches(text) {
+    const counts = {};
+    const lower = (text || '').toLowerCase();
+
+    for (const [category, regexArray] of Object.entries(this.jobPatterns)) {
+      const hits = regexArray.filter(regex => regex.test(lower)).length;
+      if (hits > 0) {
+        counts[category] = hits;
+      }
+    }
+
+    return counts;
   }
 
   // Location detection
   detectLocation(text) {
     for (const [key, value] of Object.entries(this.locations)) {
-      if (text.includes(key)) {
+      // Whole words only, so "database" is not Aba
+      if (new RegExp(`\\b${key}\\b`).test(text)) {
         return value;
       }
     }
-    return null;
+    // Local names for places ("Eko", "Potakot") and remote work ("for house")
+    return matchLocation(text);
   }
 
   // AI-powered classification for complex queries
@@ -0,0 +1,310 @@
+// services/jobIngestion.js - Scraped job ingestion: adapters, normalization and dedupe
+
+const { v4: uuidv4 } = require('uuid');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const jobStore = require('./jobStore');
+const { JOB_LOCATIONS } = require('../utils/jobOptions');
+
+const ADAPTERS = [
+  require('./scrapers/jobberman'),
+  require('./scrapers/myjobmag')
+];
+
+const COMPANY_NOISE = /\b(limited|ltd|plc|nigeria|nig|inc|llc|company|co|group|enterprises?|international|intl)\b/g;
+const TITLE_NOISE = /\b(urgent|urgently|vacancy|vacancies|recruitment|needed|wanted|hiring|job|position|opening|apply now)\b/g;
+const TITLE_ABBREVIATIONS = [[/\bsr\b/g, 'senior'], [/\bjr\b/g, 'junior'], [/\bmgr\b/g, 'manager'], [/\basst\b/g, 'assistant']];
+
+class JobIngestionService {
+  constructor() {
+    this.adapters = new Map();
+    this.running = new Set();
+    this.defaultLifetimeDays = 30;
+    this.duplicateThresholds = { company: 0.85, title: 0.8 };
+
+    ADAPTERS.forEach(adapter => this.register(adapter));
+  }
+
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  getAdapter(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  listAdapters() {
+    return [...this.adapters.values()];
+  }
+
+  // ================================
+  // NORMALIZATION
+  // ================================
+
+  detectState(location) {
+    if (!location) return null;
+    if (/remote/i.test(location)) return 'Remote';
+    if (/\b(abuja|fct)\b/i.test(location)) return 'Abuja';
+
+    return JOB_LOCATIONS.find(state =>
+      new RegExp(`\\b${state.replace(/\s+/g, '\\s+')}\\b`, 'i').test(location)
+    ) || null;
+  }
+
+  parseExperience(text) {
+    if (!text) return 'Not specified';
+    if (/graduate|entry|intern|no experience|0\s*(-|to)\s*1\s*year/i.test(text)) return 'Fresh Graduate';
+
+    const years = text.match(/(\d+)\s*(\+|-|to|years?)/i);
+    if (!years) return 'Not specified';
+    return years[1] === '1' ? '1 year' : `${years[1]} years`;
+  }
+
+  extractEmail(text) {
+    if (!text) return null;
+    const emails = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g) || [];
+    const email = emails.find(address => !/noreply|no-reply|jobberman|myjobmag/i.test(address));
+    return email ? email.toLowerCase() : null;
+  }
+
+  /**
+   * Raw adapter output -> the row shape jobStore.insertJob expects (null if unusable)
+   */
+  normalize(raw, source) {
+    const title = (raw.title || '').replace(/\s+/g, ' ').trim();
+    const company = (raw.company || '').replace(/\s+/g, ' ').trim();
+
+    if (!title || !company || !raw.url || !raw.externalId) {
+      return null;
+    }
+
+    const now = new Date();
+    const location = (raw.location || '').replace(/\s+/g, ' ').trim() || 'Nigeria';
+    const applyText = [raw.howToApply, raw.description, raw.summary].filter(Boolean).join('\n');
+    const email = this.extractEmail(applyText);
+    const expiresAt = raw.expiresAt && raw.expiresAt > now
+      ? raw.expiresAt
+      : new Date(now.getTime() + this.defaultLifetimeDays * 24 * 60 * 60 * 1000);
+
+    return {
+      id: uuidv4(),
+      title: title.substring(0, 255),
+      company: company.substring(0, 255),
+      description: raw.description || raw.summary || null,
+      requirements: raw.requirements || null,
+      experience: this.parseExperience(raw.experienceText || raw.requirements),
+      salary: raw.salary || 'Competitive',
+      location,
+      state: this.detectState(location),
+      email,
+      phone: null,
+      category: raw.category || 'other_general',
+      is_remote: /remote/i.test(`${location} ${raw.jobType || ''}`),
+      recruiter_id: null,
+      expires_at: expiresAt,
+      scraped_at: now,
+      last_updated: now,
+      source,
+      external_id: `${source}_${raw.externalId}`,
+      application_url: email ? null : (raw.applyUrl || raw.url),
+      url: raw.url
+    };
+  }
+
+  // ================================
+  // DEDUPE
+  // ================================
+
+  normalizeCompany(company) {
+    return (company || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(COMPANY_NOISE, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  normalizeTitle(title) {
+    let normalized = (title || '')
+      .toLowerCase()
+      .replace(/\(.*?\)/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ');
+
+    TITLE_ABBREVIATIONS.forEach(([pattern, replacement]) => {
+      normalized = normalized.replace(pattern, replacement);
+    });
+
+    return normalized.replace(TITLE_NOISE, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Dice coefficient over character bigrams (0..1)
+   */
+  similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const bigrams = text => {
+      const grams = new Map();
+      const compact = text.replace(/\s+/g, ' ');
+      for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.substring(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+      }
+      return grams;
+    };
+
+    const first = bigrams(a);
+    const second = bigrams(b);
+    let overlap = 0;
+
+    first.forEach((count, gram) => {
+      overlap += Math.min(count, second.get(gram) || 0);
+    });
+
+    const total = [...first.values(), ...second.values()].reduce((sum, count) => sum + count, 0);
+    return total > 0 ? (2 * overlap) / total : 0;
+  }
+
+  /**
+   * Same company, title and location, allowing for suffixes, abbreviations and typos
+   */
+  isDuplicate(job, other) {
+    if (job.state && other.state && job.state !== other.state) return false;
+
+    const companyScore = this.similarity(this.normalizeCompany(job.company), this.normalizeCompany(other.company));
+    if (companyScore < this.duplicateThresholds.company) return false;
+
+    const titleScore = this.similarity(this.normalizeTitle(job.title), this.normalizeTitle(other.title));
+    return titleScore >= this.duplicateThresholds.title;
+  }
+
+  // ================================
+  // RUNS
+  // ================================
+
+  /**
+   * Normalize, dedupe and store raw jobs from one source
+   */
+  async ingest(source, rawJobs, { dryRun = false } = {}) {
+    const stats = { source, fetched: rawJobs.length, inserted: 0, updated: 0, duplicates: 0, invalid: 0, failed: 0 };
+    const accepted = [];
+    const recentByState = new Map();
+
+    for (const raw of rawJobs) {
+      const job = this.normalize(raw, source);
+      if (!job) {
+        stats.invalid++;
+        continue;
+      }
+
+      try {
+        const existing = await jobStore.findByExternalId(job.external_id);
+        if (existing) {
+          if (!dryRun) await jobStore.refreshJob(existing.id, job.expires_at);
+          stats.updated++;
+          continue;
+        }
+
+        if (accepted.some(other => this.isDuplicate(job, other))) {
+          stats.duplicates++;
+          continue;
+        }
+
+        if (job.state) {
+          if (!recentByState.has(job.state)) {
+            recentByState.set(job.state, await jobStore.findRecentInState(job.state));
+          }
+          if (recentByState.get(job.state).some(other => this.isDuplicate(job, other))) {
+            stats.duplicates++;
+            continue;
+          }
+        }
+
+        if (!dryRun) await jobStore.insertJob(job);
+        accepted.push(job);
+        stats.inserted++;
+
+      } catch (error) {
+        stats.failed++;
+        logger.error('Failed to ingest job', {
+          source,
+          externalId: job.external_id,
+          error: error.message
+        });
+      }
+    }
+
+    return { stats, jobs: accepted };
+  }
+
+  /**
+   * Scrape one source and ingest the results; overlapping runs of a source are skipped
+   */
+  async runSource(name, { dryRun = false, withDetails = true } = {}) {
+    const adapter = this.getAdapter(name);
+    if (!adapter) {
+      throw new Error(`Unknown job source: ${name}`);
+    }
+
+    if (this.running.has(name)) {
+      logger.warn('Job ingestion already running, skipping', { source: name });
+      return null;
+    }
+
+    this.running.add(name);
+    const startedAt = Date.now();
+
+    try {
+      const { jobs: rawJobs, errors } = await adapter.scrape({ withDetails });
+      const { stats } = await this.ingest(name, rawJobs, { dryRun });
+
+      stats.fetchErrors = errors.length;
+      stats.durationMs = Date.now() - startedAt;
+
+      if (errors.length > 0) {
+        logger.warn('Job source fetch errors', { source: name, errors: errors.slice(0, 5) });
+      }
+
+      logger.info('Job ingestion run complete', { ...stats, dryRun });
+
+      if (!dryRun) {
+        await this.recordRun(stats);
+      }
+
+      return stats;
+
+    } catch (error) {
+      logger.error('Job ingestion run failed', { source: name, error: error.message });
+      return null;
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  async runAll(options = {}) {
+    const results = [];
+    for (const adapter of this.listAdapters()) {
+      results.push(await this.runSource(adapter.name, options));
+    }
+    return results;
+  }
+
+  async recordRun(stats) {
+    try {
+      await dbManager.query(`
+        INSERT INTO job_ingestion_runs (
+          source, fetched, inserted, updated, duplicates, invalid, failed, fetch_errors, duration_ms
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        stats.source, stats.fetched, stats.inserted, stats.updated, stats.duplicates,
+        stats.invalid, stats.failed, stats.fetchErrors, stats.durationMs
+      ]);
+    } catch (error) {
+      logger.error('Failed to record ingestion run', { source: stats.source, error: error.message });
+    }
+  }
+}
+
+module.exports = new JobIngestionService();
@@ -0,0 +1,59 @@
+// services/jobSearch.js - Full-text search helpers over jobs.search_vector
+// Column and trigger come from scripts/add-jobs-search-vector.sql
+
+const TS_CONFIG = 'english';
+
+class JobSearchService {
+  constructor() {
+    this.config = TS_CONFIG;
+    // Max tokens per phrase; longer inputs are usually whole sentences, not terms
+    this.maxPhraseTokens = 5;
+  }
+
+  /**
+   * Turn one search term into a prefix phrase query, e.g. "web dev" -> "web:* <-> dev:*"
+   */
+  termToTsQuery(term) {
+    if (!term || typeof term !== 'string') return null;
+
+    const tokens = term
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      // Single characters as prefixes ("c:*") would match almost everything
+      .filter(token => token.length > 1)
+      .slice(0, this.maxPhraseTokens);
+
+    if (tokens.length === 0) return null;
+
+    return tokens.map(token => `${token}:*`).join(' <-> ');
+  }
+
+  /**
+   * OR several terms into a single to_tsquery() string, or null if nothing usable
+   */
+  toTsQuery(terms) {
+    const list = Array.isArray(terms) ? terms : [terms];
+    const parts = [...new Set(list.map(term => this.termToTsQuery(term)).filter(Boolean))];
+
+    if (parts.length === 0) return null;
+
+    return parts.map(part => `(${part})`).join(' | ');
+  }
+
+  /**
+   * SQL fragment matching jobs against a tsquery parameter
+   */
+  matchClause(paramIndex) {
+    return `search_vector @@ to_tsquery('${this.config}', $${paramIndex})`;
+  }
+
+  /**
+   * SQL expression ranking jobs against a tsquery parameter (weights A > B > C > D)
+   */
+  rankExpression(paramIndex) {
+    return `ts_rank(search_vector, to_tsquery('${this.config}', $${paramIndex}))`;
+  }
+}
+
+module.exports = new JobSearchService();
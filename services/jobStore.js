@@ -0,0 +1,92 @@
+// services/jobStore.js - Writes to the jobs table (posting form and job ingestion)
+
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const jobCategorizer = require('./jobCategorizer');
+
+class JobStore {
+  /**
+   * Insert a job in the shape produced by the posting form and the ingestion normalizer.
+   * The incoming category is only a hint; jobCategorizer decides the stored one.
+   */
+  async insertJob(jobData) {
+    const categorization = jobCategorizer.prepare(jobData);
+
+    const query = `
+        INSERT INTO jobs (
+            id, title, company, description, requirements, experience, salary,
+            location, state, email, phone, category, is_remote,
+            recruiter_id, expires_at, scraped_at, last_updated, source,
+            external_id, application_url, url,
+            declared_category, category_confidence, category_version
+        ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+            $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24
+        )
+        RETURNING *
+    `;
+
+    const values = [
+      jobData.id, jobData.title, jobData.company, jobData.description,
+      jobData.requirements, jobData.experience, jobData.salary,
+      jobData.location, jobData.state, jobData.email, jobData.phone,
+      jobData.category, jobData.is_remote,
+      jobData.recruiter_id, jobData.expires_at, jobData.scraped_at,
+      jobData.last_updated, jobData.source, jobData.external_id,
+      jobData.application_url, jobData.url,
+      jobData.declared_category, jobData.category_confidence, jobData.category_version
+    ];
+
+    try {
+      const { rows } = await dbManager.query(query, values);
+
+      if (categorization.needsReview) {
+        await jobCategorizer.flagForReview(rows[0].id, categorization);
+      }
+
+      return rows[0];
+    } catch (error) {
+      logger.error('Database insertion error', {
+        error: error.message,
+        jobData: { id: jobData.id, title: jobData.title, company: jobData.company }
+      });
+      throw new Error('Failed to save job to database: ' + error.message);
+    }
+  }
+
+  async findByExternalId(externalId) {
+    const { rows } = await dbManager.query(
+      'SELECT id, expires_at FROM jobs WHERE external_id = $1 LIMIT 1',
+      [externalId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Open jobs in a state from the last few weeks, for duplicate checks
+   */
+  async findRecentInState(state, days = 45) {
+    const { rows } = await dbManager.query(`
+      SELECT id, title, company, location, state, source
+      FROM jobs
+      WHERE state = $1
+        AND scraped_at > NOW() - ($2 * INTERVAL '1 day')
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [state, days]);
+    return rows;
+  }
+
+  /**
+   * Mark an already-stored job as still listed, pushing out its expiry if the source did
+   */
+  async refreshJob(jobId, expiresAt) {
+    await dbManager.query(`
+      UPDATE jobs
+      SET last_updated = NOW(),
+          expires_at = GREATEST(expires_at, $2)
+      WHERE id = $1
+    `, [jobId, expiresAt]);
+  }
+}
+
+module.exports = new JobStore();
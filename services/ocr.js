@@ -0,0 +1,250 @@
+// services/ocr.js - Local OCR for CV photos and scanned PDFs (Tesseract + ImageMagick + pdftoppm)
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+const ycloud = require('./ycloud');
+const i18n = require('./i18n');
+
+const execFileAsync = promisify(execFile);
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Below this many non-space characters a PDF is treated as a scan
+const MIN_TEXT_CHARS = 50;
+
+// Rotation suggested by Tesseract's orientation detection is ignored below this confidence
+const MIN_ORIENTATION_CONFIDENCE = 2;
+
+const RENDER_DPI = 300;
+const CACHE_TTL_SECONDS = 60 * 60;
+
+class OcrService {
+  constructor() {
+    this.enabled = config.get('ocr.enabled');
+    this.language = config.get('ocr.language');
+    this.minConfidence = config.get('ocr.minConfidence');
+    this.maxPages = config.get('ocr.maxPages');
+    this.tesseractPath = config.get('ocr.tesseractPath');
+    this.magickPath = config.get('ocr.magickPath');
+    this.pdftoppmPath = config.get('ocr.pdftoppmPath');
+  }
+
+  isImage(mimeType) {
+    return IMAGE_TYPES.includes(mimeType);
+  }
+
+  /**
+   * True when extracted PDF text is too thin to be a real CV (scanned pages)
+   */
+  needsOcr(text) {
+    return !text || text.replace(/\s/g, '').length < MIN_TEXT_CHARS;
+  }
+
+  /**
+   * OCR an image or a scanned PDF. Returns
+   * { text, confidence (0-100), lowConfidence, pages: [{ page, rotation, confidence, words }] }.
+   * Results are cached by file hash, so the CV and application workers share one run.
+   */
+  async recognize(buffer, mimeType) {
+    if (!this.enabled) {
+      throw new Error('OCR is disabled');
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const cacheKey = `ocr:${hash}`;
+
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const startTime = Date.now();
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+
+    try {
+      const images = await this.writePageImages(buffer, mimeType, dir);
+      const pages = [];
+
+      for (const [index, image] of images.entries()) {
+        pages.push({ page: index + 1, ...(await this.recognizePage(image, dir)) });
+      }
+
+      const result = this.combinePages(pages);
+      result.hash = hash;
+
+      await redis.set(cacheKey, JSON.stringify(result), 'EX', CACHE_TTL_SECONDS);
+
+      logger.info('OCR completed', {
+        pages: pages.length,
+        confidence: result.confidence,
+        textLength: result.text.length,
+        rotated: pages.filter(page => page.rotation).map(page => page.page),
+        durationMs: Date.now() - startTime
+      });
+
+      return result;
+
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async writePageImages(buffer, mimeType, dir) {
+    if (this.isImage(mimeType)) {
+      const image = path.join(dir, `upload.${mimeType === 'image/png' ? 'png' : 'jpg'}`);
+      await fs.promises.writeFile(image, buffer);
+      return [image];
+    }
+
+    const pdf = path.join(dir, 'upload.pdf');
+    await fs.promises.writeFile(pdf, buffer);
+
+    await execFileAsync(this.pdftoppmPath, [
+      '-r', String(RENDER_DPI), '-l', String(this.maxPages), '-png', pdf, path.join(dir, 'page')
+    ], { timeout: 60000 });
+
+    const files = (await fs.promises.readdir(dir))
+      .filter(file => /^page-\d+\.png$/.test(file))
+      .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+    if (files.length === 0) {
+      throw new Error('PDF has no pages to OCR');
+    }
+
+    return files.map(file => path.join(dir, file));
+  }
+
+  /**
+   * Grayscale + deskew, fix 90/180/270 degree orientation, then OCR
+   */
+  async recognizePage(image, dir) {
+    const prepared = path.join(dir, `prepared-${path.basename(image, path.extname(image))}.png`);
+
+    await execFileAsync(this.magickPath, [
+      image, '-auto-orient', '-colorspace', 'Gray', '-deskew', '40%', '+repage', '-normalize', prepared
+    ], { timeout: 60000 });
+
+    const rotation = await this.detectRotation(prepared);
+    if (rotation) {
+      await execFileAsync(this.magickPath, [prepared, '-rotate', String(rotation), prepared], { timeout: 60000 });
+    }
+
+    const { stdout } = await execFileAsync(this.tesseractPath, [
+      prepared, 'stdout', '-l', this.language, '--psm', '3', 'tsv'
+    ], { timeout: 120000, maxBuffer: 10 * 1024 * 1024 });
+
+    return { rotation, ...this.parseTsv(stdout) };
+  }
+
+  async detectRotation(image) {
+    try {
+      const { stdout } = await execFileAsync(this.tesseractPath, [image, 'stdout', '--psm', '0'], { timeout: 30000 });
+      const rotate = parseInt(stdout.match(/Rotate:\s*(\d+)/)?.[1]) || 0;
+      const confidence = parseFloat(stdout.match(/Orientation confidence:\s*([\d.]+)/)?.[1]) || 0;
+      return confidence >= MIN_ORIENTATION_CONFIDENCE ? rotate : 0;
+    } catch (error) {
+      // Orientation detection fails on pages with little text; OCR as-is
+      return 0;
+    }
+  }
+
+  /**
+   * Tesseract TSV -> text in reading order and a confidence weighted by word length
+   */
+  parseTsv(tsv) {
+    const lines = new Map();
+    let weighted = 0;
+    let chars = 0;
+    let words = 0;
+
+    tsv.split('\n').slice(1).forEach(row => {
+      const cols = row.split('\t');
+      if (cols.length < 12 || cols[0] !== '5') return;
+
+      const confidence = parseFloat(cols[10]);
+      const word = cols.slice(11).join('\t').trim();
+      if (!word || confidence < 0) return;
+
+      const lineKey = `${cols[2]}.${cols[3]}.${cols[4]}`;
+      if (!lines.has(lineKey)) lines.set(lineKey, []);
+      lines.get(lineKey).push(word);
+
+      weighted += confidence * word.length;
+      chars += word.length;
+      words++;
+    });
+
+    return {
+      text: [...lines.values()].map(line => line.join(' ')).join('\n'),
+      confidence: chars ? Math.round(weighted / chars) : 0,
+      words,
+      chars
+    };
+  }
+
+  combinePages(pages) {
+    const chars = pages.reduce((sum, page) => sum + page.chars, 0);
+    const confidence = chars
+      ? Math.round(pages.reduce((sum, page) => sum + page.confidence * page.chars, 0) / chars)
+      : 0;
+    const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+
+    return {
+      text,
+      confidence,
+      lowConfidence: confidence < this.minConfidence || this.needsOcr(text),
+      pages: pages.map(({ page, rotation, confidence: pageConfidence, words }) => ({
+        page, rotation, confidence: pageConfidence, words
+      }))
+    };
+  }
+
+  /**
+   * PDF copy of a CV photo for recruiters (written next to the image)
+   */
+  async imageToPdf(imagePath) {
+    const pdfPath = imagePath.replace(/\.(jpe?g|png)$/i, '') + '.pdf';
+    await execFileAsync(this.magickPath, [imagePath, '-auto-orient', pdfPath], { timeout: 60000 });
+    return pdfPath;
+  }
+
+  /**
+   * Error thrown by the workers for unreadable uploads; they answer it with promptUnreadable
+   */
+  lowConfidenceError(result) {
+    const error = new Error(`OCR confidence too low (${result.confidence}%)`);
+    error.code = 'OCR_LOW_CONFIDENCE';
+    error.ocr = result;
+    return error;
+  }
+
+  /**
+   * Ask the user for a clearer copy. Sent once per upload even though both workers read it.
+   */
+  async promptUnreadable(identifier, result) {
+    const key = `ocr_prompt:${identifier}:${(result.hash || '').substring(0, 16)}`;
+    const first = await redis.set(key, '1', 'EX', CACHE_TTL_SECONDS, 'NX');
+    if (!first) {
+      return false;
+    }
+
+    const lang = await i18n.getLanguage(identifier);
+    await ycloud.sendTextMessage(identifier, i18n.t(lang, 'cv.unreadable'));
+
+    logger.info('Asked user for a clearer CV', {
+      identifier: identifier.substring(0, 6) + '***',
+      confidence: result.confidence
+    });
+
+    return true;
+  }
+}
+
+module.exports = new OcrService();
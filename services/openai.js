@@ -5,6 +5,8 @@ const crypto = require('crypto');
 const { redis, queueRedis, sessionRedis } = require('../config/redis');
 const logger = require('../utils/logger');
 const RateLimiter = require('../utils/rateLimiter');
+const aiProviders = require('./aiProviders');
+const { matchJobType, matchLocation } = require('../utils/locales');
 
 // Enhanced queue configuration for better performance
 const openaiQueue = new Queue('openai-tasks', { 
@@ -1134,7 +1136,8 @@ parseSmartPatternsEnhanced(message, userContext = null) {
   }
   
   // 6. CRITICAL: Job + Location detection (ONLY when BOTH are present)
-  const jobDetection = this.detectJobTypeFromMessage(text);
+  // Pidgin/Yoruba/Hausa/Igbo keywords when the English detection finds nothing
+  const jobDetection = this.detectJobTypeFromMessage(text) || matchJobType(text);
   let detectedLocation = null;
   
   for (const [key, value] of Object.entries(this.locations)) {
@@ -1143,6 +1146,7 @@ parseSmartPatternsEnhanced(message, userContext = null) {
       break;
     }
   }
+  detectedLocation = detectedLocation || matchLocation(text);
   
   // ONLY return search_jobs if BOTH job AND location are clearly present
   if (jobDetection && detectedLocation) {
@@ -1707,6 +1711,13 @@ parseSmartPatternsEnhanced(message, userContext = null) {
         logger.error('Failed to log metrics', { error: error.message });
       }
     }
+    /**
+     * Provider breaker states and token/cost usage from the AI provider registry
+     */
+    async getAIUsage(date) {
+      return aiProviders.getStats(date);
+    }
+
     // NEW: Method to clear session data for testing
     async clearSessionData(identifier) {
       if (identifier) {
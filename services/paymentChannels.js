@@ -0,0 +1,159 @@
+// services/paymentChannels.js - Bank transfer to Paystack dedicated accounts; transfers land in the wallet
+
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const paystackService = require('./paystack');
+const candidateProfile = require('./candidateProfile');
+const wallet = require('./wallet');
+const { USSD_BANKS, customerEmail, splitName } = require('../utils/paymentChannels');
+
+// Paystack usually assigns within seconds; ask again if nothing came back by then
+const PENDING_RETRY_MINUTES = 10;
+
+class PaymentChannelsService {
+  maskPhone(phone) {
+    return phone.substring(0, 6) + '***';
+  }
+
+  /**
+   * Banks the user can pay at by USSD: [{ code, name }]
+   */
+  ussdBanks() {
+    return Object.entries(USSD_BANKS).map(([code, name]) => ({ code, name }));
+  }
+
+  async getDedicatedAccount(identifier) {
+    const { rows: [account] } = await dbManager.query(
+      'SELECT * FROM dedicated_accounts WHERE user_identifier = $1',
+      [identifier]
+    );
+    return account || null;
+  }
+
+  /**
+   * The user's account for transfers, asking Paystack for one the first time.
+   * { status: 'assigned', account } or { status: 'pending' } while Paystack creates it.
+   */
+  async requestDedicatedAccount(identifier) {
+    const existing = await this.getDedicatedAccount(identifier);
+
+    if (existing?.status === 'assigned') {
+      return { status: 'assigned', account: existing };
+    }
+    if (existing?.status === 'pending' &&
+        Date.now() - new Date(existing.requested_at).getTime() < PENDING_RETRY_MINUTES * 60 * 1000) {
+      return { status: 'pending' };
+    }
+
+    const profile = await candidateProfile.getLatestProfile(identifier);
+    const email = existing?.email || await this.availableEmail(identifier, profile?.email);
+    const { firstName, lastName } = splitName(profile?.full_name);
+
+    await dbManager.query(`
+      INSERT INTO dedicated_accounts (user_identifier, email) VALUES ($1, $2)
+      ON CONFLICT (user_identifier) DO UPDATE SET
+        status = 'pending', failure_reason = NULL, requested_at = NOW(), updated_at = NOW()
+    `, [identifier, email]);
+
+    try {
+      await paystackService.assignDedicatedAccount({ email, firstName, lastName, phone: identifier });
+    } catch (error) {
+      // Not pending if Paystack never took the request: the next ask tries again straight away
+      await dbManager.query(`
+        UPDATE dedicated_accounts SET status = 'failed', failure_reason = $2, updated_at = NOW()
+        WHERE user_identifier = $1
+      `, [identifier, error.response?.data?.message || error.message]);
+      throw error;
+    }
+
+    logger.info('Dedicated account requested', { phone: this.maskPhone(identifier) });
+    return { status: 'pending' };
+  }
+
+  /**
+   * The CV email unless another user's account already has it
+   */
+  async availableEmail(identifier, profileEmail) {
+    const email = customerEmail(identifier, profileEmail);
+    const { rows: [taken] } = await dbManager.query(
+      'SELECT 1 FROM dedicated_accounts WHERE email = $1 AND user_identifier <> $2',
+      [email, identifier]
+    );
+    return taken ? customerEmail(identifier) : email;
+  }
+
+  /**
+   * Store what a dedicated_account.assign.success/failed webhook says. Returns the
+   * updated account, or null when the customer isn't one of ours.
+   */
+  async recordAssignment(event, data) {
+    const email = data.customer?.email?.toLowerCase();
+    if (!email) return null;
+
+    if (event === 'dedicated_account.assign.success') {
+      const { rows: [account] } = await dbManager.query(`
+        UPDATE dedicated_accounts SET
+          status = 'assigned',
+          customer_code = $2,
+          bank_name = $3,
+          account_number = $4,
+          account_name = $5,
+          failure_reason = NULL,
+          assigned_at = NOW(),
+          updated_at = NOW()
+        WHERE email = $1
+        RETURNING *
+      `, [
+        email,
+        data.customer.customer_code,
+        data.dedicated_account?.bank?.name,
+        data.dedicated_account?.account_number,
+        data.dedicated_account?.account_name
+      ]);
+
+      if (account) {
+        logger.info('Dedicated account assigned', { phone: this.maskPhone(account.user_identifier) });
+      }
+      return account || null;
+    }
+
+    const { rows: [account] } = await dbManager.query(`
+      UPDATE dedicated_accounts SET
+        status = 'failed', customer_code = COALESCE($2, customer_code), failure_reason = $3, updated_at = NOW()
+      WHERE email = $1
+      RETURNING *
+    `, [email, data.customer.customer_code || null, data.message || data.reason || null]);
+
+    if (account) {
+      logger.warn('Dedicated account assignment failed', { phone: this.maskPhone(account.user_identifier) });
+    }
+    return account || null;
+  }
+
+  /**
+   * Add a transfer into a dedicated account (charge.success, channel dedicated_nuban) to the
+   * owner's wallet. { identifier, added, amountKobo, balanceKobo }, or null for an unknown customer.
+   */
+  async creditTransfer(data) {
+    const { rows: [account] } = await dbManager.query(`
+      SELECT user_identifier FROM dedicated_accounts
+      WHERE customer_code = $1 OR email = $2
+      ORDER BY (customer_code = $1) DESC NULLS LAST
+      LIMIT 1
+    `, [data.customer?.customer_code || null, data.customer?.email?.toLowerCase() || null]);
+
+    if (!account) {
+      logger.warn('Transfer from unknown dedicated account', { reference: data.reference });
+      return null;
+    }
+
+    const { added, balanceKobo } = await wallet.creditTransfer(account.user_identifier, data.amount, data.reference, {
+      sender: data.authorization?.sender_name || null,
+      senderBank: data.authorization?.sender_bank || null
+    });
+
+    return { identifier: account.user_identifier, added, amountKobo: data.amount, balanceKobo };
+  }
+}
+
+module.exports = new PaymentChannelsService();
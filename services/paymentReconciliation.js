@@ -0,0 +1,553 @@
+// services/paymentReconciliation.js - Diff Paystack transactions against local payment records
+
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const dbManager = require('../config/database');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+const paystackService = require('./paystack');
+const { parseReference, expectedAmount, classifyTransaction } = require('../utils/paymentReferences');
+
+const LOCK_KEY = 'payment_reconciliation:lock';
+const LOCK_TTL_SECONDS = 15 * 60;
+
+// Locally completed payments re-verified one by one when missing from the listing
+const MAX_LOCAL_CHECKS = 200;
+
+/**
+ * Live transactions from the Paystack API
+ */
+class PaystackTransactionSource {
+  constructor() {
+    this.name = 'paystack';
+  }
+
+  async list({ from, to }) {
+    const transactions = [];
+    let page = 1;
+    let pageCount = 1;
+
+    do {
+      const result = await paystackService.listTransactions({ from, to, page });
+      transactions.push(...result.transactions);
+      pageCount = result.pageCount;
+      page++;
+    } while (page <= pageCount);
+
+    return transactions;
+  }
+
+  async get(reference) {
+    return paystackService.getTransaction(reference);
+  }
+}
+
+/**
+ * A saved transaction list (the Paystack list response or a bare array) for local runs.
+ * The file is the window: every transaction in it is reconciled.
+ */
+class FixtureTransactionSource {
+  constructor(fixturePath) {
+    this.name = 'fixture';
+    this.fixturePath = fixturePath;
+  }
+
+  load() {
+    const parsed = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    return Array.isArray(parsed) ? parsed : parsed.data || [];
+  }
+
+  async list() {
+    return this.load();
+  }
+
+  async get(reference) {
+    return this.load().find(transaction => transaction.reference === reference) || null;
+  }
+}
+
+class PaymentReconciliationService {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: config.get('smtp.host'),
+      port: config.get('smtp.port'),
+      secure: false,
+      auth: {
+        user: config.get('smtp.user'),
+        pass: config.get('smtp.pass')
+      }
+    });
+
+    this.lookbackHours = config.get('paymentReconciliation.lookbackHours');
+    this.reportEmail = config.get('paymentReconciliation.reportEmail');
+    this.dailyAmount = config.get('paystack.amount');
+    this.source = config.get('paymentReconciliation.source') === 'fixture'
+      ? new FixtureTransactionSource(config.get('paymentReconciliation.fixturePath'))
+      : new PaystackTransactionSource();
+  }
+
+  // ================================
+  // RECONCILIATION
+  // ================================
+
+  /**
+   * Reconcile the last lookbackHours: credit missed payments, flag the rest, record the run.
+   * Returns the run summary, or null when another run holds the lock.
+   */
+  async run({ lookbackHours = this.lookbackHours } = {}) {
+    const locked = await redis.set(LOCK_KEY, Date.now(), 'EX', LOCK_TTL_SECONDS, 'NX');
+    if (!locked) {
+      logger.warn('Payment reconciliation already running, skipping');
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const to = new Date();
+    const from = new Date(to.getTime() - lookbackHours * 3600 * 1000);
+    const summary = {
+      source: this.source.name,
+      from,
+      to,
+      transactions: 0,
+      matched: 0,
+      credited: 0,
+      flagged: 0,
+      paidAmount: 0,
+      outcomes: {},
+      error: null
+    };
+
+    try {
+      const transactions = await this.source.list({ from, to });
+      const listed = new Set(transactions.map(transaction => transaction.reference));
+
+      summary.transactions = transactions.length;
+      summary.paidAmount = transactions
+        .filter(transaction => transaction.status === 'success')
+        .reduce((total, transaction) => total + transaction.amount, 0);
+
+      const local = await this.loadLocalRecords([...listed]);
+
+      for (const transaction of transactions) {
+        await this.reconcile(transaction.reference, transaction, local.get(transaction.reference) || null, summary);
+      }
+
+      // Completed locally but missing from the listing: ask Paystack about each one
+      for (const record of await this.recentLocalPayments(from, listed)) {
+        const transaction = await this.source.get(record.reference);
+        await this.reconcile(record.reference, transaction, record, summary);
+      }
+
+    } catch (error) {
+      summary.error = error.message;
+      logger.error('Payment reconciliation failed', { error: error.message });
+    } finally {
+      await redis.del(LOCK_KEY);
+    }
+
+    summary.durationMs = Date.now() - startedAt;
+    summary.runId = await this.recordRun(summary);
+
+    logger.info('Payment reconciliation run complete', {
+      ...summary,
+      from: from.toISOString(),
+      to: to.toISOString()
+    });
+
+    return summary;
+  }
+
+  /**
+   * Classify one reference, act on it and count it in the summary
+   */
+  async reconcile(reference, transaction, local, summary) {
+    const parsed = parseReference(reference);
+    const expected = expectedAmount(parsed, this.dailyAmount, local);
+    const outcome = classifyTransaction(transaction, local, expected);
+
+    summary.outcomes[outcome] = (summary.outcomes[outcome] || 0) + 1;
+
+    if (outcome === 'ignored') {
+      return outcome;
+    }
+
+    if (outcome === 'matched') {
+      summary.matched++;
+      await this.closeItem(reference);
+      return outcome;
+    }
+
+    const item = {
+      reference,
+      outcome,
+      userIdentifier: local?.userIdentifier || parsed?.phone || null,
+      paystackStatus: transaction?.status || 'missing',
+      paystackAmount: transaction?.amount ?? null,
+      expectedAmount: expected,
+      localStatus: local?.status || null,
+      paidAt: transaction?.paid_at || transaction?.paidAt || null,
+      credited: false,
+      creditError: null
+    };
+
+    if (outcome === 'missed') {
+      const result = await this.creditMissedPayment(reference, parsed);
+      item.credited = result.success;
+      item.creditError = result.error || null;
+      if (result.success) summary.credited++;
+      else summary.flagged++;
+    } else {
+      summary.flagged++;
+    }
+
+    await this.saveItem(item);
+    return outcome;
+  }
+
+  /**
+   * Local state for each reference: daily_usage for daily_, credit_purchases for credits_,
+   * wallet_topups for wallet_, auto_apply_subscriptions for auto_. References Paystack made
+   * itself are bank transfers into dedicated accounts when the wallet has them.
+   */
+  async loadLocalRecords(references) {
+    const records = new Map();
+    const daily = references.filter(reference => parseReference(reference)?.kind === 'daily');
+    const credits = references.filter(reference => parseReference(reference)?.kind === 'credits');
+    const topUps = references.filter(reference => parseReference(reference)?.kind === 'wallet');
+    const auto = references.filter(reference => parseReference(reference)?.kind === 'auto');
+    const other = references.filter(reference => !parseReference(reference));
+
+    if (daily.length > 0) {
+      const { rows } = await dbManager.query(`
+        SELECT payment_reference, payment_status, user_identifier
+        FROM daily_usage
+        WHERE payment_reference = ANY($1)
+      `, [daily]);
+
+      rows.forEach(row => records.set(row.payment_reference, {
+        reference: row.payment_reference,
+        kind: 'daily',
+        status: row.payment_status,
+        userIdentifier: row.user_identifier
+      }));
+    }
+
+    if (credits.length > 0) {
+      const { rows } = await dbManager.query(`
+        SELECT reference, status, user_identifier, amount_kobo
+        FROM credit_purchases
+        WHERE reference = ANY($1)
+      `, [credits]);
+
+      rows.forEach(row => records.set(row.reference, {
+        reference: row.reference,
+        kind: 'credits',
+        status: row.status,
+        userIdentifier: row.user_identifier,
+        amount: row.amount_kobo
+      }));
+    }
+
+    if (topUps.length > 0) {
+      const { rows } = await dbManager.query(`
+        SELECT reference, status, user_identifier, amount_kobo
+        FROM wallet_topups
+        WHERE reference = ANY($1)
+      `, [topUps]);
+
+      rows.forEach(row => records.set(row.reference, {
+        reference: row.reference,
+        kind: 'wallet',
+        status: row.status,
+        userIdentifier: row.user_identifier,
+        amount: row.amount_kobo
+      }));
+    }
+
+    if (auto.length > 0) {
+      const { rows } = await dbManager.query(`
+        SELECT payment_reference, status, user_identifier
+        FROM auto_apply_subscriptions
+        WHERE payment_reference = ANY($1)
+      `, [auto]);
+
+      rows.forEach(row => records.set(row.payment_reference, {
+        reference: row.payment_reference,
+        kind: 'auto',
+        status: row.status,
+        userIdentifier: row.user_identifier
+      }));
+    }
+
+    if (other.length > 0) {
+      const { rows } = await dbManager.query(`
+        SELECT reference, user_identifier, amount_kobo
+        FROM wallet_transactions
+        WHERE source = 'bank_transfer' AND reference = ANY($1)
+      `, [other]);
+
+      rows.forEach(row => records.set(row.reference, {
+        reference: row.reference,
+        kind: 'transfer',
+        status: 'completed',
+        userIdentifier: row.user_identifier,
+        amount: row.amount_kobo
+      }));
+    }
+
+    return records;
+  }
+
+  /**
+   * Daily passes, catalog purchases and wallet top-ups marked completed in the window that
+   * Paystack didn't list
+   */
+  async recentLocalPayments(from, listed) {
+    const { rows } = await dbManager.query(`
+      (
+        SELECT payment_reference AS reference, 'daily' AS kind, payment_status AS status,
+               user_identifier, NULL::int AS amount, updated_at AS completed_at
+        FROM daily_usage
+        WHERE payment_status = 'completed'
+          AND payment_reference LIKE 'daily\\_%'
+          AND updated_at >= $1
+      )
+      UNION ALL
+      (
+        SELECT reference, 'credits', status, user_identifier, amount_kobo, completed_at
+        FROM credit_purchases
+        WHERE status = 'completed' AND completed_at >= $1
+      )
+      UNION ALL
+      (
+        SELECT reference, 'wallet', status, user_identifier, amount_kobo, completed_at
+        FROM wallet_topups
+        WHERE status = 'completed' AND completed_at >= $1
+      )
+      ORDER BY completed_at DESC
+      LIMIT $2
+    `, [from, MAX_LOCAL_CHECKS]);
+
+    return rows
+      .filter(row => !listed.has(row.reference))
+      .map(row => ({
+        reference: row.reference,
+        kind: row.kind,
+        status: row.status,
+        userIdentifier: row.user_identifier,
+        amount: row.amount
+      }));
+  }
+
+  /**
+   * Credit a paid reference the webhook never delivered, through the same code the webhook uses.
+   * A reference is only ever credited once by the reconciler.
+   */
+  async creditMissedPayment(reference, parsed) {
+    try {
+      const { rows: [previous] } = await dbManager.query(
+        'SELECT credited_at FROM payment_reconciliation_items WHERE reference = $1',
+        [reference]
+      );
+      if (previous?.credited_at) {
+        return { success: false, error: 'already credited by an earlier run' };
+      }
+
+      if (parsed.kind !== 'auto') {
+        // Required here: bot loads most of the app
+        const result = await require('./bot').processPayment(reference);
+        if (!result?.credited) {
+          return { success: false, error: `nothing credited: ${result?.reason || 'unknown'}` };
+        }
+      } else {
+        const result = await require('./autoApplyPayment').processPayment(reference);
+        if (!result?.success) {
+          return { success: false, error: 'auto-apply payment processing failed' };
+        }
+      }
+
+      logger.info('Missed payment credited by reconciliation', {
+        reference,
+        kind: parsed.kind,
+        phone: parsed.phone.substring(0, 6) + '***'
+      });
+      return { success: true };
+
+    } catch (error) {
+      logger.error('Failed to credit missed payment', { reference, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async saveItem(item) {
+    try {
+      await dbManager.query(`
+        INSERT INTO payment_reconciliation_items (
+          reference, outcome, user_identifier, paystack_status, paystack_amount,
+          expected_amount, local_status, paid_at, credited_at, credit_error, resolved_at, resolved_by
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $9 THEN NOW() END, $10,
+          CASE WHEN $9 THEN NOW() END, CASE WHEN $9 THEN 'reconciliation' END
+        )
+        ON CONFLICT (reference) DO UPDATE SET
+          outcome = EXCLUDED.outcome,
+          paystack_status = EXCLUDED.paystack_status,
+          paystack_amount = EXCLUDED.paystack_amount,
+          local_status = EXCLUDED.local_status,
+          credited_at = COALESCE(payment_reconciliation_items.credited_at, EXCLUDED.credited_at),
+          credit_error = EXCLUDED.credit_error,
+          resolved_at = COALESCE(payment_reconciliation_items.resolved_at, EXCLUDED.resolved_at),
+          resolved_by = COALESCE(payment_reconciliation_items.resolved_by, EXCLUDED.resolved_by),
+          updated_at = NOW()
+      `, [
+        item.reference, item.outcome, item.userIdentifier, item.paystackStatus, item.paystackAmount,
+        item.expectedAmount, item.localStatus, item.paidAt, item.credited, item.creditError
+      ]);
+    } catch (error) {
+      logger.error('Failed to save reconciliation item', { reference: item.reference, error: error.message });
+    }
+  }
+
+  /**
+   * A flagged reference that now matches (webhook arrived late, admin fixed it) closes itself
+   */
+  async closeItem(reference) {
+    await dbManager.query(`
+      UPDATE payment_reconciliation_items
+      SET resolved_at = NOW(), resolved_by = 'reconciliation', updated_at = NOW()
+      WHERE reference = $1 AND resolved_at IS NULL
+    `, [reference]);
+  }
+
+  async recordRun(summary) {
+    try {
+      const { rows: [run] } = await dbManager.query(`
+        INSERT INTO payment_reconciliation_runs (
+          source, window_from, window_to, transactions, matched, credited, flagged, paid_amount, error, duration_ms
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+      `, [
+        summary.source, summary.from, summary.to, summary.transactions, summary.matched,
+        summary.credited, summary.flagged, summary.paidAmount, summary.error, summary.durationMs
+      ]);
+      return run.id;
+    } catch (error) {
+      logger.error('Failed to record reconciliation run', { error: error.message });
+      return null;
+    }
+  }
+
+  // ================================
+  // REVIEW
+  // ================================
+
+  async listRuns({ limit = 20 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT * FROM payment_reconciliation_runs
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [limit]);
+    return rows;
+  }
+
+  /**
+   * Credited and flagged references; by default only the open ones (flagged, or a credit that failed)
+   */
+  async listItems({ open = true, limit = 50, offset = 0 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT * FROM payment_reconciliation_items
+      WHERE NOT $1 OR resolved_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [open, limit, offset]);
+    return rows;
+  }
+
+  async resolveItem(reference, resolvedBy, note) {
+    const { rows: [item] } = await dbManager.query(`
+      UPDATE payment_reconciliation_items
+      SET resolved_at = NOW(), resolved_by = $2, resolution_note = $3, updated_at = NOW()
+      WHERE reference = $1 AND resolved_at IS NULL
+      RETURNING *
+    `, [reference, resolvedBy, note]);
+    return item || null;
+  }
+
+  // ================================
+  // DAILY REPORT
+  // ================================
+
+  /**
+   * Totals for the last 24 hours of runs plus every open item
+   */
+  async buildReport() {
+    const [{ rows: [totals] }, { rows: [credited] }, items] = await Promise.all([
+      dbManager.query(`
+        SELECT COUNT(*)::int AS runs,
+               COUNT(*) FILTER (WHERE error IS NOT NULL)::int AS failed_runs,
+               MAX(created_at) AS last_run_at
+        FROM payment_reconciliation_runs
+        WHERE created_at > NOW() - INTERVAL '24 hours'
+      `),
+      dbManager.query(`
+        SELECT COUNT(*)::int AS count
+        FROM payment_reconciliation_items
+        WHERE credited_at > NOW() - INTERVAL '24 hours'
+      `),
+      this.listItems({ open: true, limit: 200 })
+    ]);
+
+    return {
+      runs: totals.runs,
+      failedRuns: totals.failed_runs,
+      lastRunAt: totals.last_run_at,
+      creditedLast24h: credited.count,
+      open: items,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  async sendDailyReport() {
+    const report = await this.buildReport();
+
+    const rows = report.open.map(item => `
+      <tr>
+        <td>${item.reference}</td>
+        <td>${item.outcome}</td>
+        <td>${item.user_identifier ? item.user_identifier.substring(0, 6) + '***' : '-'}</td>
+        <td>${item.paystack_status || '-'}</td>
+        <td>${item.paystack_amount != null ? `₦${(item.paystack_amount / 100).toFixed(2)}` : '-'}</td>
+        <td>${item.expected_amount != null ? `₦${(item.expected_amount / 100).toFixed(2)}` : '-'}</td>
+        <td>${item.credit_error || ''}</td>
+      </tr>`).join('');
+
+    await this.transporter.sendMail({
+      from: '"SmartCV System" <noreply@smartcvnaija.com.ng>',
+      to: this.reportEmail,
+      subject: `Payment reconciliation: ${report.creditedLast24h} credited, ${report.open.length} need review`,
+      html: `
+        <h2>Paystack reconciliation - last 24 hours</h2>
+        <p>Runs: ${report.runs} (${report.failedRuns} failed), last run: ${report.lastRunAt || 'never'}</p>
+        <p>Missed payments credited automatically: ${report.creditedLast24h}</p>
+        <h3>Needs review (${report.open.length})</h3>
+        ${report.open.length === 0 ? '<p>Nothing to review.</p>' : `
+        <table border="1" cellpadding="4" cellspacing="0">
+          <tr><th>Reference</th><th>Outcome</th><th>User</th><th>Paystack</th><th>Paid</th><th>Expected</th><th>Error</th></tr>
+          ${rows}
+        </table>`}
+        <p>Resolve items with POST /api/admin/payments/reconciliation/items/:reference/resolve.</p>
+      `
+    });
+
+    logger.info('Payment reconciliation report sent', {
+      runs: report.runs,
+      credited: report.creditedLast24h,
+      open: report.open.length
+    });
+
+    return report;
+  }
+}
+
+module.exports = new PaymentReconciliationService();
@@ -4,13 +4,14 @@ const logger = require('../utils/logger');
 
 class PaystackService {
 
-async initializePayment(identifier, reference, email) {
+// amount in kobo; defaults to the daily price for callers that predate the product catalog
+async initializePayment(identifier, reference, email, amount = config.get('paystack.amount')) {
   try {
     const response = await axios.post(
       'https://api.paystack.co/transaction/initialize',
       {
         email,
-        amount: config.get('paystack.amount'),
+        amount,
         reference,
         // ✅ CHANGED: Point to success page, not webhook
         callback_url: `https://www.smartcvnaija.com.ng/payment-success.html`
@@ -47,6 +48,127 @@ async initializePayment(identifier, reference, email) {
       return false;
     }
   }
+
+  /**
+   * One page of transactions created between from and to (Dates)
+   */
+  async listTransactions({ from, to, page = 1, perPage = 100 }) {
+    const response = await axios.get('https://api.paystack.co/transaction', {
+      params: { from: from.toISOString(), to: to.toISOString(), page, perPage },
+      headers: {
+        Authorization: `Bearer ${config.get('paystack.secret')}`
+      }
+    });
+    return { transactions: response.data.data, pageCount: response.data.meta?.pageCount || 1 };
+  }
+
+  /**
+   * Full transaction for a reference, or null when Paystack doesn't know it
+   */
+  async getTransaction(reference) {
+    try {
+      const response = await axios.get(
+        `https://api.paystack.co/transaction/verify/${reference}`,
+        {
+          headers: {
+            Authorization: `Bearer ${config.get('paystack.secret')}`
+          }
+        }
+      );
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 400) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Charge by USSD for customers whose card fails. Paystack answers with a code to dial and
+   * sends charge.success for the reference once the customer completes it.
+   * { ussdCode, displayText }
+   */
+  async chargeUssd(reference, email, amount, bankCode) {
+    try {
+      const response = await axios.post(
+        'https://api.paystack.co/charge',
+        { email, amount, reference, ussd: { type: bankCode } },
+        {
+          headers: {
+            Authorization: `Bearer ${config.get('paystack.secret')}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      const { ussd_code: ussdCode, display_text: displayText } = response.data.data;
+      return { ussdCode, displayText };
+    } catch (error) {
+      logger.error('Paystack USSD charge error', {
+        reference,
+        bankCode,
+        error: error.response?.data?.message || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Ask Paystack to create a customer and give them a dedicated bank account for transfers.
+   * The account arrives later through dedicated_account.assign.success (or .failed).
+   */
+  async assignDedicatedAccount({ email, firstName, lastName, phone, preferredBank = config.get('paystack.dedicatedAccountBank') }) {
+    try {
+      await axios.post(
+        'https://api.paystack.co/dedicated_account/assign',
+        {
+          email,
+          first_name: firstName,
+          last_name: lastName,
+          phone,
+          preferred_bank: preferredBank,
+          country: 'NG'
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${config.get('paystack.secret')}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      return true;
+    } catch (error) {
+      logger.error('Paystack dedicated account error', {
+        error: error.response?.data?.message || error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a transaction by reference; amount in kobo, omitted for a full refund
+   */
+  async refundPayment(reference, amount = null) {
+    try {
+      const response = await axios.post(
+        'https://api.paystack.co/refund',
+        amount ? { transaction: reference, amount } : { transaction: reference },
+        {
+          headers: {
+            Authorization: `Bearer ${config.get('paystack.secret')}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      return { success: true, refund: response.data.data };
+    } catch (error) {
+      logger.error('Paystack refund error', {
+        reference,
+        error: error.response?.data?.message || error.message
+      });
+      return { success: false, error: error.response?.data?.message || error.message };
+    }
+  }
 }
 
 module.exports = new PaystackService();
@@ -0,0 +1,254 @@
+// services/productCatalog.js - What users can buy (credit bundles, subscriptions, promos) and the checkout for it
+
+const { v4: uuidv4 } = require('uuid');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const paystackService = require('./paystack');
+const creditLedger = require('./creditLedger');
+const promoCodes = require('./promoCodes');
+const { unavailableReason } = require('../utils/credits');
+
+// Paystack needs an email; WhatsApp users don't give us one
+const CHECKOUT_EMAIL = 'hr@smartcvnaija.com.ng';
+
+const PRODUCT_CODE = /^[a-z0-9_]{2,50}$/;
+
+class ProductCatalogService {
+  maskPhone(phone) {
+    return phone.substring(0, 6) + '***';
+  }
+
+  isValidCode(code) {
+    return PRODUCT_CODE.test(code || '');
+  }
+
+  // ================================
+  // CATALOG
+  // ================================
+
+  async listProducts({ includeInactive = false } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT * FROM products
+      ${includeInactive ? '' : 'WHERE active = TRUE'}
+      ORDER BY sort_order, price_kobo
+    `);
+    return rows;
+  }
+
+  async getProduct(code) {
+    const { rows: [product] } = await dbManager.query('SELECT * FROM products WHERE code = $1', [code]);
+    return product || null;
+  }
+
+  /**
+   * Create or update a product. Purchases keep the price and credits they were made at.
+   */
+  async saveProduct(code, fields) {
+    const { rows: [product] } = await dbManager.query(`
+      INSERT INTO products (
+        code, name, kind, price_kobo, credits, validity_hours, active,
+        available_from, available_until, max_per_user, sort_order
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (code) DO UPDATE SET
+        name = EXCLUDED.name,
+        kind = EXCLUDED.kind,
+        price_kobo = EXCLUDED.price_kobo,
+        credits = EXCLUDED.credits,
+        validity_hours = EXCLUDED.validity_hours,
+        active = EXCLUDED.active,
+        available_from = EXCLUDED.available_from,
+        available_until = EXCLUDED.available_until,
+        max_per_user = EXCLUDED.max_per_user,
+        sort_order = EXCLUDED.sort_order,
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      code, fields.name, fields.kind, fields.priceKobo, fields.credits, fields.validityHours,
+      fields.active !== false, fields.availableFrom || null, fields.availableUntil || null,
+      fields.maxPerUser || null, fields.sortOrder || 0
+    ]);
+
+    return product;
+  }
+
+  /**
+   * Completed purchases per product for one user
+   */
+  async purchaseCounts(identifier) {
+    const { rows } = await dbManager.query(`
+      SELECT product_code, COUNT(*)::int AS purchases
+      FROM credit_purchases
+      WHERE user_identifier = $1 AND status = 'completed'
+      GROUP BY product_code
+    `, [identifier]);
+
+    return new Map(rows.map(row => [row.product_code, row.purchases]));
+  }
+
+  /**
+   * Products this user can buy right now (promo windows and per-user limits applied)
+   */
+  async availableFor(identifier) {
+    const [products, counts] = await Promise.all([
+      this.listProducts(),
+      this.purchaseCounts(identifier)
+    ]);
+
+    const now = new Date();
+    return products.filter(product =>
+      !unavailableReason(product, { now, completedPurchases: counts.get(product.code) || 0 })
+    );
+  }
+
+  // ================================
+  // CHECKOUT
+  // ================================
+
+  /**
+   * Start a Paystack payment for a product, less any promo discount the user is holding
+   * (reserved for this checkout until it's paid or abandoned):
+   * a card checkout link, or with channel 'ussd' a code to dial at `bank`.
+   * { success: true, reference, paymentUrl | ussdCode, product, amountKobo, discount } or { success: false, reason }
+   */
+  async checkout(identifier, code, { channel = 'card', bank = null } = {}) {
+    const product = await this.getProduct(code);
+    const counts = await this.purchaseCounts(identifier);
+    const reason = unavailableReason(product, { completedPurchases: counts.get(code) || 0 });
+
+    if (reason) {
+      return { success: false, reason };
+    }
+
+    const reference = `credits_${product.code}_${uuidv4()}_${identifier.replace(/\D/g, '')}`;
+    const discount = await promoCodes.reserve(identifier, product, reference);
+    const amountKobo = discount ? discount.amountKobo : product.price_kobo;
+
+    let payment;
+    try {
+      await dbManager.query(`
+        INSERT INTO credit_purchases (
+          reference, user_identifier, product_code, amount_kobo, credits, validity_hours, promo_code, discount_kobo, channel
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        reference, identifier, product.code, amountKobo, product.credits, product.validity_hours,
+        discount?.code || null, discount?.discountKobo || 0, channel
+      ]);
+
+      payment = channel === 'ussd'
+        ? { ussdCode: (await paystackService.chargeUssd(reference, CHECKOUT_EMAIL, amountKobo, bank)).ussdCode }
+        : { paymentUrl: await paystackService.initializePayment(identifier, reference, CHECKOUT_EMAIL, amountKobo) };
+    } catch (error) {
+      if (discount) {
+        await promoCodes.release(reference);
+      }
+      throw error;
+    }
+
+    logger.info('Checkout started', {
+      phone: this.maskPhone(identifier),
+      product: product.code,
+      amount: amountKobo,
+      channel,
+      promoCode: discount?.code
+    });
+
+    return { success: true, reference, ...payment, product, amountKobo, discount };
+  }
+
+  /**
+   * Credit a paid checkout. Safe to call again for the same reference (webhook retries,
+   * reconciliation): the ledger grants a reference once.
+   */
+  async completePurchase(reference) {
+    const { rows: [purchase] } = await dbManager.query(
+      'SELECT * FROM credit_purchases WHERE reference = $1',
+      [reference]
+    );
+
+    if (!purchase) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (purchase.status === 'refunded') {
+      return { success: false, reason: 'refunded' };
+    }
+
+    const grant = await creditLedger.grant(purchase.user_identifier, {
+      credits: purchase.credits,
+      hours: purchase.validity_hours,
+      source: 'payment',
+      productCode: purchase.product_code,
+      reference
+    });
+
+    await dbManager.query(`
+      UPDATE credit_purchases SET status = 'completed', completed_at = NOW()
+      WHERE reference = $1 AND status = 'pending'
+    `, [reference]);
+
+    if (grant.granted && purchase.promo_code) {
+      await promoCodes.markRedeemed(purchase.user_identifier, purchase.promo_code, reference, purchase.discount_kobo);
+    }
+
+    return {
+      success: true,
+      alreadyCompleted: !grant.granted,
+      purchase: { ...purchase, status: 'completed' },
+      expiresAt: grant.expiresAt || null
+    };
+  }
+
+  /**
+   * Grant a product's credits without a checkout record (daily_ and quick_ references
+   * from before the catalog)
+   */
+  async grantProduct(identifier, code, { reference = null, source = 'payment', createdBy = null } = {}) {
+    const product = await this.getProduct(code);
+    if (!product) {
+      throw new Error(`Unknown product: ${code}`);
+    }
+
+    return creditLedger.grant(identifier, {
+      credits: product.credits,
+      hours: product.validity_hours,
+      source,
+      productCode: product.code,
+      reference,
+      createdBy
+    });
+  }
+
+  // ================================
+  // PURCHASES
+  // ================================
+
+  async listPurchases(identifier, { limit = 20 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT p.*, pr.name AS product_name
+      FROM credit_purchases p
+      JOIN products pr ON pr.code = p.product_code
+      WHERE p.user_identifier = $1
+      ORDER BY p.created_at DESC
+      LIMIT $2
+    `, [identifier, limit]);
+    return rows;
+  }
+
+  async lastPurchase(identifier) {
+    const [purchase] = await this.listPurchases(identifier, { limit: 1 });
+    return purchase || null;
+  }
+
+  /**
+   * Mark a refunded purchase and take back the credits it has left
+   */
+  async markRefunded(reference, { createdBy = null, reason = null } = {}) {
+    await dbManager.query(`
+      UPDATE credit_purchases SET status = 'refunded', refunded_at = NOW()
+      WHERE reference = $1
+    `, [reference]);
+
+    return creditLedger.revokeReference(reference, { createdBy, details: { reason } });
+  }
+}
+
+module.exports = new ProductCatalogService();
@@ -0,0 +1,267 @@
+// services/promoCodes.js - Admin-issued promo codes: checkout discounts and free credits
+
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const creditLedger = require('./creditLedger');
+const adminAccounts = require('./adminAccounts');
+const {
+  normalizeCode,
+  promoUnavailableReason,
+  appliesToProduct,
+  applyDiscount
+} = require('../utils/promos');
+
+// A discounted checkout still unpaid after this long is abandoned; its discount goes back to the user
+const RESERVATION_MINUTES = 60;
+
+// Where a released reservation goes: waiting again, unless the user saved a newer code since
+const RELEASED_STATUS = `CASE WHEN EXISTS (
+  SELECT 1 FROM promo_redemptions p WHERE p.user_identifier = promo_redemptions.user_identifier AND p.status = 'pending'
+) THEN 'replaced' ELSE 'pending' END`;
+
+class PromoCodeService {
+  maskPhone(phone) {
+    return phone.substring(0, 6) + '***';
+  }
+
+  // ================================
+  // ADMIN
+  // ================================
+
+  async listCodes({ limit = 50, offset = 0 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT p.*,
+             COUNT(r.id) FILTER (WHERE r.status = 'redeemed')::int AS redemptions,
+             COALESCE(SUM(r.discount_kobo) FILTER (WHERE r.status = 'redeemed'), 0)::int AS discount_given_kobo,
+             COALESCE(SUM(r.credits_granted), 0)::int AS credits_given
+      FROM promo_codes p
+      LEFT JOIN promo_redemptions r ON r.code = p.code
+      GROUP BY p.code
+      ORDER BY p.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+    return rows;
+  }
+
+  /**
+   * Returns null when the code is taken
+   */
+  async createCode(admin, fields) {
+    const code = normalizeCode(fields.code);
+
+    const { rows: [promo] } = await dbManager.query(`
+      INSERT INTO promo_codes (
+        code, kind, percent_off, amount_off_kobo, product_codes, free_credits, free_credit_hours,
+        max_redemptions, max_per_user, starts_at, expires_at, description, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (code) DO NOTHING
+      RETURNING *
+    `, [
+      code, fields.kind, fields.percentOff || null, fields.amountOffKobo || null,
+      fields.productCodes?.length ? fields.productCodes : null,
+      fields.freeCredits || null, fields.freeCreditHours || 168,
+      fields.maxRedemptions || null, fields.maxPerUser || 1,
+      fields.startsAt || null, fields.expiresAt || null, fields.description || null, admin.email
+    ]);
+
+    if (promo) {
+      await adminAccounts.audit(admin, 'promo.create', null, { code, kind: fields.kind });
+    }
+    return promo || null;
+  }
+
+  async disableCode(admin, code) {
+    const { rowCount } = await dbManager.query(
+      'UPDATE promo_codes SET active = FALSE WHERE code = $1 AND active = TRUE',
+      [normalizeCode(code)]
+    );
+
+    if (rowCount > 0) {
+      await adminAccounts.audit(admin, 'promo.disable', null, { code: normalizeCode(code) });
+    }
+    return rowCount > 0;
+  }
+
+  // ================================
+  // REDEMPTION
+  // ================================
+
+  /**
+   * The promo and why this user can't use it (null when they can). Discounts held by an
+   * unpaid checkout count against the limits until they're paid or released.
+   */
+  async check(identifier, code, client = dbManager) {
+    const { rows: [promo] } = await client.query(`
+      SELECT p.*,
+             (SELECT COUNT(*)::int FROM promo_redemptions
+               WHERE code = p.code AND status IN ('reserved', 'redeemed')) AS redemptions,
+             (SELECT COUNT(*)::int FROM promo_redemptions
+               WHERE code = p.code AND user_identifier = $2 AND status IN ('reserved', 'redeemed')) AS user_redemptions
+      FROM promo_codes p
+      WHERE p.code = $1
+    `, [normalizeCode(code), identifier]);
+
+    if (!promo) {
+      return { promo: null, reason: 'invalid' };
+    }
+
+    const reason = promoUnavailableReason(promo, {
+      redemptions: promo.redemptions,
+      userRedemptions: promo.user_redemptions
+    });
+    return { promo, reason };
+  }
+
+  /**
+   * Use a code. Free-credit codes are granted now; discounts are held for the next checkout.
+   *   { success: true, kind: 'credits', code, credits, expiresAt }
+   *   { success: true, kind: 'discount', code, percentOff, amountOffKobo }
+   *   { success: false, reason }  (invalid, inactive, not_started, expired, exhausted, used)
+   */
+  async redeem(identifier, rawCode) {
+    const code = normalizeCode(rawCode);
+
+    return dbManager.transaction(async (client) => {
+      // One redemption per user at a time, and one per code across users, so two
+      // messages can't both get under max_per_user or max_redemptions
+      await creditLedger.lockUser(client, identifier);
+      await client.query('SELECT 1 FROM promo_codes WHERE code = $1 FOR UPDATE', [code]);
+
+      const { promo, reason } = await this.check(identifier, code, client);
+      if (reason) {
+        return { success: false, reason };
+      }
+
+      if (promo.kind === 'credits') {
+        const { rows: [redemption] } = await client.query(`
+          INSERT INTO promo_redemptions (code, user_identifier, status, credits_granted, redeemed_at)
+          VALUES ($1, $2, 'redeemed', $3, NOW())
+          RETURNING id
+        `, [promo.code, identifier, promo.free_credits]);
+
+        const grant = await creditLedger.grant(identifier, {
+          credits: promo.free_credits,
+          hours: promo.free_credit_hours,
+          source: 'promo',
+          reference: `promo_${redemption.id}`,
+          details: { code: promo.code }
+        }, client);
+
+        logger.info('Promo code redeemed', { phone: this.maskPhone(identifier), code: promo.code, kind: promo.kind });
+        return { success: true, kind: 'credits', code: promo.code, credits: promo.free_credits, expiresAt: grant.expiresAt };
+      }
+
+      // One discount waits at a time; a newer code replaces it
+      await client.query(`
+        UPDATE promo_redemptions SET status = 'replaced'
+        WHERE user_identifier = $1 AND status = 'pending'
+      `, [identifier]);
+
+      await client.query(
+        'INSERT INTO promo_redemptions (code, user_identifier) VALUES ($1, $2)',
+        [promo.code, identifier]
+      );
+
+      logger.info('Promo code saved for next checkout', { phone: this.maskPhone(identifier), code: promo.code });
+      return {
+        success: true,
+        kind: 'discount',
+        code: promo.code,
+        percentOff: promo.percent_off,
+        amountOffKobo: promo.amount_off_kobo
+      };
+    });
+  }
+
+  /**
+   * Hold the user's waiting discount for a checkout of `product`, or null when none applies.
+   * The redemption is 'reserved' under the checkout reference, so another checkout started
+   * before this one is paid goes at full price. { code, discountKobo, amountKobo }
+   */
+  async reserve(identifier, product, reference) {
+    return dbManager.transaction(async (client) => {
+      await creditLedger.lockUser(client, identifier);
+      await this.releaseAbandoned(identifier, client);
+
+      const { rows: [pending] } = await client.query(`
+        SELECT id, code FROM promo_redemptions
+        WHERE user_identifier = $1 AND status = 'pending'
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [identifier]);
+
+      if (!pending) {
+        return null;
+      }
+
+      await client.query('SELECT 1 FROM promo_codes WHERE code = $1 FOR UPDATE', [pending.code]);
+
+      const { promo, reason } = await this.check(identifier, pending.code, client);
+      if (reason || promo.kind !== 'discount' || !appliesToProduct(promo, product.code)) {
+        return null;
+      }
+
+      const discount = applyDiscount(product.price_kobo, promo);
+
+      await client.query(`
+        UPDATE promo_redemptions
+        SET status = 'reserved', reference = $2, discount_kobo = $3, reserved_at = NOW()
+        WHERE id = $1
+      `, [pending.id, reference, discount.discountKobo]);
+
+      return { code: promo.code, ...discount };
+    });
+  }
+
+  /**
+   * The checkout never started (Paystack refused it): its discount goes back to the user
+   */
+  async release(reference) {
+    await dbManager.query(`
+      UPDATE promo_redemptions
+      SET status = ${RELEASED_STATUS}, reference = NULL, discount_kobo = 0, reserved_at = NULL
+      WHERE reference = $1 AND status = 'reserved'
+    `, [reference]);
+  }
+
+  /**
+   * Give back discounts held by the user's checkouts that were never paid
+   */
+  async releaseAbandoned(identifier, client = dbManager) {
+    const { rowCount } = await client.query(`
+      UPDATE promo_redemptions
+      SET status = ${RELEASED_STATUS}, reference = NULL, discount_kobo = 0, reserved_at = NULL
+      WHERE user_identifier = $1
+        AND status = 'reserved'
+        AND reserved_at < NOW() - make_interval(mins => $2)
+        AND NOT EXISTS (
+          SELECT 1 FROM credit_purchases c
+          WHERE c.reference = promo_redemptions.reference AND c.status = 'completed'
+        )
+    `, [identifier, RESERVATION_MINUTES]);
+
+    if (rowCount > 0) {
+      logger.info('Abandoned promo reservations released', { phone: this.maskPhone(identifier), count: rowCount });
+    }
+  }
+
+  /**
+   * A discounted checkout was paid: its reservation counts from now on. A checkout paid after
+   * its reservation was released takes the user's waiting redemption of the code instead.
+   */
+  async markRedeemed(identifier, code, reference, discountKobo) {
+    await dbManager.query(`
+      UPDATE promo_redemptions
+      SET status = 'redeemed', reference = $3, discount_kobo = $4, redeemed_at = NOW()
+      WHERE id = (
+        SELECT id FROM promo_redemptions
+        WHERE user_identifier = $1 AND code = $2
+          AND ((status = 'reserved' AND reference = $3) OR status IN ('pending', 'replaced'))
+        ORDER BY (status = 'reserved') DESC, (status = 'pending') DESC, created_at DESC
+        LIMIT 1
+      )
+    `, [identifier, code, reference, discountKobo]);
+  }
+}
+
+module.exports = new PromoCodeService();
@@ -3,6 +3,7 @@
 const { Queue } = require('bullmq');
 const { queueRedis, redis } = require('../config/redis');
 const dbManager = require('../config/database');
+const jobSearch = require('./jobSearch');
 const logger = require('../utils/logger');
 
 const aiQueue = new Queue('openai-tasks', { 
@@ -275,7 +276,7 @@ class RealWorldQueryExpansion {
   }
 
   /**
-   * Build PostgreSQL search query with boosting
+   * Build PostgreSQL full-text search query with ts_rank boosting
    */
   buildSearchQuery(expansion, location = null) {
     const conditions = [];
@@ -283,38 +284,31 @@ class RealWorldQueryExpansion {
     let paramIndex = 1;
 
     // MUST INCLUDE (at least 2 of these terms)
-    if (expansion.must_include && expansion.must_include.length > 0) {
-      const orConditions = expansion.must_include.map(term => {
-        const condition = `(
-          title ILIKE $${paramIndex} OR 
-          description ILIKE $${paramIndex} OR 
-          requirements ILIKE $${paramIndex} OR
-          category ILIKE $${paramIndex} OR
-          experience ILIKE $${paramIndex}
-        )`;
-        params.push(`%${term}%`);
-        paramIndex++;
-        return condition;
-      });
-      
+    const includeIndexes = [];
+    (expansion.must_include || []).forEach(term => {
+      const tsQuery = jobSearch.toTsQuery(term);
+      if (!tsQuery) return;
+      params.push(tsQuery);
+      includeIndexes.push(paramIndex);
+      paramIndex++;
+    });
+
+    if (includeIndexes.length > 0) {
+      const matchCounts = includeIndexes.map(idx => `(${jobSearch.matchClause(idx)})::int`);
+
       // At least 2 matches required for relevance
-      const minMatches = Math.min(2, expansion.must_include.length);
+      const minMatches = Math.min(2, includeIndexes.length);
       conditions.push(`(
-        (${orConditions.join(' + ')}) >= ${minMatches}
+        (${matchCounts.join(' + ')}) >= ${minMatches}
       )`);
     }
 
     // MUST EXCLUDE (strict)
-    if (expansion.must_exclude && expansion.must_exclude.length > 0) {
-      expansion.must_exclude.forEach(term => {
-        conditions.push(`NOT (
-          title ILIKE $${paramIndex} OR 
-          description ILIKE $${paramIndex} OR 
-          requirements ILIKE $${paramIndex}
-        )`);
-        params.push(`%${term}%`);
-        paramIndex++;
-      });
+    const excludeQuery = jobSearch.toTsQuery(expansion.must_exclude || []);
+    if (excludeQuery) {
+      conditions.push(`NOT (${jobSearch.matchClause(paramIndex)})`);
+      params.push(excludeQuery);
+      paramIndex++;
     }
 
     // Location
@@ -333,21 +327,22 @@ class RealWorldQueryExpansion {
       ? `WHERE ${conditions.join(' AND ')}`
       : 'WHERE (expires_at IS NULL OR expires_at > NOW())';
 
-    // Relevance-based ordering with boost terms
-    let orderClause = '';
-    if (expansion.boost_terms && expansion.boost_terms.length > 0) {
-      const boostConditions = expansion.boost_terms.map((term, idx) => {
-        return `WHEN title ILIKE '%${term}%' THEN ${expansion.boost_terms.length - idx}`;
-      }).join(' ');
+    // Relevance-based ordering: boost terms first, falling back to must_include
+    const rankQuery = jobSearch.toTsQuery(
+      (expansion.boost_terms && expansion.boost_terms.length > 0)
+        ? expansion.boost_terms
+        : (expansion.must_include || [])
+    );
 
+    let orderClause = '';
+    if (rankQuery) {
+      params.push(rankQuery);
       orderClause = `
         ORDER BY 
-          CASE 
-            ${boostConditions}
-            ELSE 0
-          END DESC,
+          ${jobSearch.rankExpression(paramIndex)} DESC,
           COALESCE(last_updated, scraped_at, NOW()) DESC
       `;
+      paramIndex++;
     } else {
       orderClause = 'ORDER BY COALESCE(last_updated, scraped_at, NOW()) DESC';
     }
@@ -0,0 +1,365 @@
+// services/recruiterAccounts.js - Recruiter accounts, magic-link login and job management
+
+const crypto = require('crypto');
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const dbManager = require('../config/database');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+const jobCategorizer = require('./jobCategorizer');
+
+const MAX_JOB_LIFETIME_DAYS = 90;
+
+// Fields recruiters may edit on their postings (values are validated by the route)
+const EDITABLE_JOB_FIELDS = ['title', 'description', 'requirements', 'salary', 'location', 'experience', 'category'];
+
+// Edits to these re-run categorization
+const CATEGORY_INPUT_FIELDS = ['title', 'description', 'requirements', 'declared_category'];
+
+class RecruiterAccountService {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: config.get('smtp.host'),
+      port: config.get('smtp.port'),
+      secure: false,
+      auth: {
+        user: config.get('smtp.user'),
+        pass: config.get('smtp.pass')
+      },
+      tls: {
+        rejectUnauthorized: false
+      }
+    });
+
+    this.loginUrl = config.get('recruiterPortal.loginUrl') || `${config.get('baseUrl')}/recruiter/login`;
+    this.magicLinkTtl = config.get('recruiterPortal.magicLinkTtlMinutes') * 60;
+    this.sessionTtl = config.get('recruiterPortal.sessionTtlDays') * 86400;
+  }
+
+  // Tokens are only stored hashed
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  maskEmail(email) {
+    return email.replace(/(.{3}).*(@.*)/, '$1***$2');
+  }
+
+  // ================================
+  // LOGIN
+  // ================================
+
+  /**
+   * Create the account if needed and email a one-time login link
+   */
+  async requestMagicLink(email, { name = null, company = null } = {}) {
+    try {
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const { rows: [recruiter] } = await dbManager.query(`
+        INSERT INTO recruiters (id, email, name, company)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (email) DO UPDATE SET
+          name = COALESCE(recruiters.name, EXCLUDED.name),
+          company = COALESCE(recruiters.company, EXCLUDED.company),
+          updated_at = NOW()
+        RETURNING *
+      `, [uuidv4(), normalizedEmail, name, company]);
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await redis.set(`recruiter_login:${this.hashToken(token)}`, recruiter.id, 'EX', this.magicLinkTtl);
+
+      const link = `${this.loginUrl}?token=${token}`;
+      const minutes = Math.round(this.magicLinkTtl / 60);
+
+      await this.transporter.sendMail({
+        from: '"SmartCV Naija Recruitment" <recruit@smartcvnaija.com.ng>',
+        to: normalizedEmail,
+        subject: 'Your SmartCV Naija recruiter login link',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #667eea;">Sign in to SmartCV Naija</h2>
+            <p>Hello${recruiter.name ? ` ${recruiter.name}` : ''},</p>
+            <p>Click the button below to sign in and manage your job postings and applicants.</p>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${link}" style="background: #3498db; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Sign in</a>
+            </p>
+            <p style="color: #666; font-size: 0.9em;">This link expires in ${minutes} minutes and can only be used once. If you didn't request it, you can ignore this email.</p>
+          </div>
+        `,
+        text: `Sign in to SmartCV Naija: ${link}\n\nThis link expires in ${minutes} minutes and can only be used once.`
+      });
+
+      logger.info('Recruiter magic link sent', { email: this.maskEmail(normalizedEmail), recruiterId: recruiter.id });
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to send recruiter magic link', {
+        email: this.maskEmail(email),
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Exchange a magic-link token for a session. Verifies the email and
+   * claims anonymous postings made with the same contact email.
+   */
+  async verifyMagicLink(token) {
+    try {
+      const key = `recruiter_login:${this.hashToken(token)}`;
+      const [[, recruiterId]] = await redis.multi().get(key).del(key).exec();
+
+      if (!recruiterId) {
+        return { success: false, reason: 'invalid_or_expired' };
+      }
+
+      const { rows: [recruiter] } = await dbManager.query(`
+        UPDATE recruiters
+        SET email_verified_at = COALESCE(email_verified_at, NOW()), last_login_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [recruiterId]);
+
+      if (!recruiter) {
+        return { success: false, reason: 'invalid_or_expired' };
+      }
+
+      const claimed = await dbManager.query(`
+        UPDATE jobs SET recruiter_id = $1
+        WHERE recruiter_id IS NULL AND LOWER(email) = $2 AND source = 'free_website_form'
+      `, [recruiter.id, recruiter.email]);
+
+      const sessionToken = crypto.randomBytes(32).toString('base64url');
+      await redis.set(`recruiter_session:${this.hashToken(sessionToken)}`, recruiter.id, 'EX', this.sessionTtl);
+
+      logger.info('Recruiter logged in', {
+        recruiterId: recruiter.id,
+        claimedJobs: claimed.rowCount
+      });
+
+      return {
+        success: true,
+        sessionToken,
+        expiresAt: new Date(Date.now() + this.sessionTtl * 1000).toISOString(),
+        recruiter: this.toPublic(recruiter),
+        claimedJobs: claimed.rowCount
+      };
+
+    } catch (error) {
+      logger.error('Failed to verify recruiter magic link', { error: error.message });
+      return { success: false, reason: 'error' };
+    }
+  }
+
+  /**
+   * Recruiter for a session token, or null
+   */
+  async authenticate(sessionToken) {
+    try {
+      if (!sessionToken) return null;
+
+      const recruiterId = await redis.get(`recruiter_session:${this.hashToken(sessionToken)}`);
+      if (!recruiterId) return null;
+
+      const { rows: [recruiter] } = await dbManager.query(
+        'SELECT * FROM recruiters WHERE id = $1 AND email_verified_at IS NOT NULL',
+        [recruiterId]
+      );
+
+      return recruiter || null;
+
+    } catch (error) {
+      logger.error('Recruiter authentication failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async logout(sessionToken) {
+    await redis.del(`recruiter_session:${this.hashToken(sessionToken)}`);
+  }
+
+  toPublic(recruiter) {
+    return {
+      id: recruiter.id,
+      email: recruiter.email,
+      name: recruiter.name,
+      company: recruiter.company,
+      emailVerifiedAt: recruiter.email_verified_at,
+      createdAt: recruiter.created_at
+    };
+  }
+
+  // ================================
+  // JOBS
+  // ================================
+
+  async listJobs(recruiterId) {
+    const result = await dbManager.query(`
+      SELECT j.id, j.title, j.company, j.location, j.category, j.salary, j.experience,
+             j.expires_at, j.scraped_at AS posted_at,
+             (j.expires_at IS NULL OR j.expires_at > NOW()) AS is_open,
+             COUNT(a.id) AS applicant_count
+      FROM jobs j
+      LEFT JOIN applications a ON a.job_id = j.id
+      WHERE j.recruiter_id = $1
+      GROUP BY j.id
+      ORDER BY j.scraped_at DESC
+    `, [recruiterId]);
+
+    return result.rows.map(job => ({ ...job, applicant_count: parseInt(job.applicant_count) }));
+  }
+
+  async getJob(recruiterId, jobId) {
+    const result = await dbManager.query(`
+      SELECT *, (expires_at IS NULL OR expires_at > NOW()) AS is_open
+      FROM jobs
+      WHERE recruiter_id = $1 AND id::text = $2
+    `, [recruiterId, jobId]);
+
+    return result.rows[0] || null;
+  }
+
+  async updateJob(recruiterId, jobId, fields) {
+    const columns = {};
+    EDITABLE_JOB_FIELDS
+      .filter(field => fields[field] !== undefined)
+      .forEach(field => { columns[field] = fields[field]; });
+
+    if (Object.keys(columns).length === 0) {
+      return this.getJob(recruiterId, jobId);
+    }
+
+    // Locations come from the posting form's state list, so state mirrors location
+    if (columns.location !== undefined) {
+      columns.state = columns.location;
+      columns.is_remote = columns.location === 'Remote';
+    }
+
+    // The recruiter's pick is a hint like on the posting form; jobCategorizer sets category
+    if (columns.category !== undefined) {
+      columns.declared_category = columns.category;
+      delete columns.category;
+    }
+
+    const names = Object.keys(columns);
+    const assignments = names.map((name, index) => `${name} = $${index + 3}`);
+    const values = [recruiterId, jobId, ...names.map(name => columns[name])];
+
+    const result = await dbManager.query(`
+      UPDATE jobs SET ${assignments.join(', ')}, last_updated = NOW()
+      WHERE recruiter_id = $1 AND id::text = $2
+      RETURNING *
+    `, values);
+
+    const job = result.rows[0];
+    if (!job) {
+      return null;
+    }
+
+    logger.info('Recruiter updated job', { recruiterId, jobId, fields: names });
+
+    if (names.some(name => CATEGORY_INPUT_FIELDS.includes(name))) {
+      const categorization = await jobCategorizer.recategorize(job);
+      if (!categorization.skipped) {
+        job.category = categorization.category;
+        job.category_confidence = categorization.confidence;
+        job.category_version = categorization.version;
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Push the expiry out by some days (reopens expired postings), capped at 90 days from now
+   */
+  async extendJob(recruiterId, jobId, days) {
+    const result = await dbManager.query(`
+      UPDATE jobs
+      SET expires_at = LEAST(
+            GREATEST(COALESCE(expires_at, NOW()), NOW()) + $3 * INTERVAL '1 day',
+            NOW() + INTERVAL '${MAX_JOB_LIFETIME_DAYS} days'
+          ),
+          is_active = true,
+          last_updated = NOW()
+      WHERE recruiter_id = $1 AND id::text = $2
+      RETURNING *
+    `, [recruiterId, jobId, days]);
+
+    if (result.rows[0]) {
+      logger.info('Recruiter extended job', { recruiterId, jobId, days, expiresAt: result.rows[0].expires_at });
+    }
+
+    return result.rows[0] || null;
+  }
+
+  async closeJob(recruiterId, jobId) {
+    const result = await dbManager.query(`
+      UPDATE jobs
+      SET expires_at = NOW(), is_active = false, last_updated = NOW()
+      WHERE recruiter_id = $1 AND id::text = $2
+      RETURNING *
+    `, [recruiterId, jobId]);
+
+    if (result.rows[0]) {
+      logger.info('Recruiter closed job', { recruiterId, jobId });
+    }
+
+    return result.rows[0] || null;
+  }
+
+  // ================================
+  // APPLICANTS
+  // ================================
+
+  /**
+   * Applicants for one of the recruiter's jobs, best ATS score first
+   */
+  async listApplicants(recruiterId, jobId) {
+    const job = await this.getJob(recruiterId, jobId);
+    if (!job) return null;
+
+    const result = await dbManager.query(`
+      SELECT a.id, a.applicant_name, a.applicant_email, a.applicant_phone,
+             a.applied_at, a.status AS delivery_status, a.lifecycle_status,
+             s.overall_score AS ats_score, s.processing_status AS ats_status,
+             s.skill_match_score, s.experience_match_score, s.education_match_score,
+             s.matched_keywords, s.missing_keywords,
+             (cp.cv_filepath IS NOT NULL) AS has_cv
+      FROM applications a
+      LEFT JOIN ats_scores s ON s.application_id = a.id
+      LEFT JOIN candidate_profiles cp ON cp.id = a.candidate_profile_id
+      WHERE a.job_id = $1
+      ORDER BY s.overall_score DESC NULLS LAST, a.applied_at DESC
+    `, [job.id]);
+
+    return { job, applicants: result.rows };
+  }
+
+  /**
+   * CV file for an applicant, only if the application belongs to one of the recruiter's jobs
+   */
+  async getApplicantCV(recruiterId, jobId, applicationId) {
+    const result = await dbManager.query(`
+      SELECT cp.cv_filepath, a.applicant_name
+      FROM applications a
+      JOIN jobs j ON j.id = a.job_id
+      JOIN candidate_profiles cp ON cp.id = a.candidate_profile_id
+      WHERE j.recruiter_id = $1 AND j.id::text = $2 AND a.id::text = $3
+    `, [recruiterId, jobId, applicationId]);
+
+    const cv = result.rows[0];
+    if (!cv || !cv.cv_filepath || !fs.existsSync(cv.cv_filepath)) {
+      return null;
+    }
+
+    logger.info('Recruiter downloaded CV', { recruiterId, jobId, applicationId });
+    return cv;
+  }
+}
+
+module.exports = new RecruiterAccountService();
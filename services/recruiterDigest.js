@@ -4,6 +4,8 @@ const nodemailer = require('nodemailer');
 const dbManager = require('../config/database');
 const logger = require('../utils/logger');
 const config = require('../config');
+const applicationStatus = require('./applicationStatus');
+const emailTracking = require('./emailTracking');
 
 class RecruiterDigestService {
   constructor() {
@@ -135,8 +137,9 @@ class RecruiterDigestService {
       const applicantsResult = await dbManager.query(`
         SELECT 
           a.id, a.applicant_name, a.applicant_email, a.applicant_phone,
-          a.cv_text, a.applied_at
+          a.cv_text, a.applied_at, cp.contact->>'linkedin' AS linkedin
         FROM applications a
+        LEFT JOIN candidate_profiles cp ON cp.id = a.candidate_profile_id
         WHERE a.id = ANY($1)
         ORDER BY a.applied_at DESC
       `, [digest.application_ids]);
@@ -173,6 +176,10 @@ class RecruiterDigestService {
         WHERE id = $1
       `, [digest.id]);
 
+      for (const applicant of applicants) {
+        await applicationStatus.markSent(applicant.id);
+      }
+
       logger.info('Digest email sent successfully', {
         digestId: digest.id,
         recruiterEmail: digest.recruiter_email,
@@ -276,7 +283,9 @@ class RecruiterDigestService {
           <p style="font-style: italic; color: #999;">
             📎 Full CV attached as PDF file
           </p>
+          ${this.generateCandidateLinksHTML(digest, applicant)}
         </div>
+        ${this.generateStatusActionsHTML(applicant.id)}
       </div>
     `).join('');
 
@@ -377,20 +386,60 @@ class RecruiterDigestService {
             </p>
         </div>
     </div>
+    ${emailTracking.pixelHTML({ digestId: digest.id })}
 </body>
 </html>`;
   }
 
+  /**
+   * Tracked CV and LinkedIn links for one applicant
+   */
+  generateCandidateLinksHTML(digest, applicant) {
+    const tracking = { applicationId: applicant.id, digestId: digest.id };
+    const cvUrl = emailTracking.cvLink(tracking);
+    const profileUrl = emailTracking.wrapLink(applicant.linkedin, { ...tracking, linkType: 'profile' });
+
+    const links = [
+      cvUrl ? `<a href="${cvUrl}" style="color: #3498db;">View CV online</a>` : '',
+      profileUrl ? `<a href="${profileUrl}" style="color: #3498db;">LinkedIn profile</a>` : ''
+    ].filter(Boolean);
+
+    return links.length > 0 ? `<p style="margin: 5px 0;">${links.join(' &middot; ')}</p>` : '';
+  }
+
+  /**
+   * Recruiter status buttons for one applicant (empty when links are disabled)
+   */
+  generateStatusActionsHTML(applicationId) {
+    const actions = applicationStatus.getActionLinks(applicationId);
+    if (actions.length === 0) return '';
+
+    return `
+        <div style="margin-top: 15px;">
+          <p style="margin: 0 0 8px 0; color: #2c3e50;"><strong>Update status</strong> <small style="color: #999;">(the candidate is notified on WhatsApp)</small></p>
+          ${actions.map(action => `<a href="${action.url}" style="display: inline-block; margin: 3px; padding: 6px 12px; background: #3498db; color: white; text-decoration: none; border-radius: 4px; font-size: 0.9em;">${action.emoji} ${action.label}</a>`).join('')}
+        </div>`;
+  }
+
   /**
    * Generate digest text email
    */
   generateDigestText(digest, applicants) {
-    const applicantList = applicants.map((applicant, index) => `
+    const applicantList = applicants.map((applicant, index) => {
+      const cvUrl = emailTracking.cvLink({ applicationId: applicant.id, digestId: digest.id });
+      const links = [
+        cvUrl ? `View CV online: ${cvUrl}` : null,
+        ...applicationStatus.getActionLinks(applicant.id).map(action => `${action.label}: ${action.url}`)
+      ].filter(Boolean);
+
+      return `
 ${index + 1}. ${applicant.applicant_name}
    Email: ${applicant.applicant_email}
    Phone: ${applicant.applicant_phone}
    Applied: ${new Date(applicant.applied_at).toLocaleString('en-NG')}
-`).join('\n');
+${links.map(link => `   ${link}`).join('\n')}
+`;
+    }).join('\n');
 
     return `
 DAILY APPLICATION SUMMARY
@@ -428,7 +477,15 @@ For questions: support@smartcvnaija.com.ng
         WHERE digest_date BETWEEN $1 AND $2
       `, [dateFrom, dateTo]);
 
-      return result.rows[0];
+      const engagement = await emailTracking.getEngagementStats(dateFrom, dateTo);
+
+      return {
+        ...result.rows[0],
+        opened_count: engagement?.digests.opened ?? null,
+        clicked_count: engagement?.digests.clicked ?? null,
+        open_rate: engagement?.digests.open_rate ?? null,
+        click_rate: engagement?.digests.click_rate ?? null
+      };
 
     } catch (error) {
       logger.error('Failed to get digest stats', {
@@ -0,0 +1,199 @@
+// services/referrals.js - Referral links and free applications for referrers when a friend first pays
+
+const config = require('../config');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const creditLedger = require('./creditLedger');
+const { generateReferralCode, parseReferralMessage } = require('../utils/promos');
+
+// Prefilled by the referral link; parseReferralMessage reads the code back out
+const LINK_MESSAGE = 'Hi SmartCVNaija! My referral code: {code}';
+
+const CODE_ATTEMPTS = 5;
+
+class ReferralService {
+  constructor() {
+    this.rewardCredits = config.get('referrals.rewardCredits');
+    this.rewardValidityHours = config.get('referrals.rewardValidityHours');
+    this.maxRewardsPer30Days = config.get('referrals.maxRewardsPer30Days');
+    this.botNumber = config.get('ycloud.whatsappNumber').replace(/\D/g, '');
+  }
+
+  maskPhone(phone) {
+    return phone.substring(0, 6) + '***';
+  }
+
+  parseMessage(text) {
+    return parseReferralMessage(text);
+  }
+
+  /**
+   * wa.me link that opens a chat with the bot, code already typed
+   */
+  link(code) {
+    const text = encodeURIComponent(LINK_MESSAGE.replace('{code}', code));
+    return `https://wa.me/${this.botNumber}?text=${text}`;
+  }
+
+  async getOrCreateCode(identifier) {
+    const { rows: [existing] } = await dbManager.query(
+      'SELECT code FROM referral_codes WHERE user_identifier = $1',
+      [identifier]
+    );
+    if (existing) {
+      return existing.code;
+    }
+
+    for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt++) {
+      const { rows: [created] } = await dbManager.query(`
+        INSERT INTO referral_codes (user_identifier, code) VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING code
+      `, [identifier, generateReferralCode()]);
+
+      if (created) {
+        return created.code;
+      }
+
+      // Lost a race for this user, or the code was taken: look again, then retry
+      const { rows: [raced] } = await dbManager.query(
+        'SELECT code FROM referral_codes WHERE user_identifier = $1',
+        [identifier]
+      );
+      if (raced) {
+        return raced.code;
+      }
+    }
+
+    throw new Error('Could not create a unique referral code');
+  }
+
+  /**
+   * Remember who referred a number. Only numbers that have never paid can be referred, once.
+   * { recorded: true, referrer } or { recorded: false, reason } (unknown_code, self, already_referred, existing_customer)
+   */
+  async recordReferral(referredIdentifier, code) {
+    const { rows: [owner] } = await dbManager.query(
+      'SELECT user_identifier FROM referral_codes WHERE code = $1',
+      [code]
+    );
+
+    if (!owner) {
+      return { recorded: false, reason: 'unknown_code' };
+    }
+    if (owner.user_identifier === referredIdentifier) {
+      return { recorded: false, reason: 'self' };
+    }
+
+    const { rows: [{ paid }] } = await dbManager.query(`
+      SELECT EXISTS (
+        SELECT 1 FROM credit_ledger
+        WHERE user_identifier = $1 AND entry_type = 'grant' AND source IN ('payment', 'migration')
+      ) OR EXISTS (
+        SELECT 1 FROM daily_usage WHERE user_identifier = $1 AND payment_status IN ('completed', 'refunded')
+      ) OR EXISTS (
+        SELECT 1 FROM wallet_topups WHERE user_identifier = $1 AND status IN ('completed', 'refunded')
+      ) OR EXISTS (
+        SELECT 1 FROM wallet_transactions WHERE user_identifier = $1 AND source = 'bank_transfer'
+      ) AS paid
+    `, [referredIdentifier]);
+
+    if (paid) {
+      return { recorded: false, reason: 'existing_customer' };
+    }
+
+    const { rowCount } = await dbManager.query(`
+      INSERT INTO referrals (referred_identifier, referrer_identifier, code)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (referred_identifier) DO NOTHING
+    `, [referredIdentifier, owner.user_identifier, code]);
+
+    if (rowCount === 0) {
+      return { recorded: false, reason: 'already_referred' };
+    }
+
+    logger.info('Referral recorded', {
+      phone: this.maskPhone(referredIdentifier),
+      referrer: this.maskPhone(owner.user_identifier)
+    });
+    return { recorded: true, referrer: owner.user_identifier };
+  }
+
+  /**
+   * Called for every credited payment. The first one from a referred number earns the
+   * referrer free applications. { rewarded: true, referrer, credits } or { rewarded: false }
+   */
+  async rewardForPayment(referredIdentifier, reference) {
+    return dbManager.transaction(async (client) => {
+      const { rows: [referral] } = await client.query(`
+        SELECT referrer_identifier FROM referrals
+        WHERE referred_identifier = $1 AND status = 'pending'
+        FOR UPDATE
+      `, [referredIdentifier]);
+
+      if (!referral) {
+        return { rewarded: false };
+      }
+
+      const referrer = referral.referrer_identifier;
+
+      // Friends paying at the same time are counted against the cap one at a time
+      await creditLedger.lockUser(client, referrer);
+
+      const { rows: [{ recent }] } = await client.query(`
+        SELECT COUNT(*)::int AS recent FROM referrals
+        WHERE referrer_identifier = $1 AND status = 'rewarded' AND reward_credits > 0
+          AND rewarded_at > NOW() - INTERVAL '30 days'
+      `, [referrer]);
+
+      if (recent >= this.maxRewardsPer30Days) {
+        await client.query(`
+          UPDATE referrals SET status = 'capped', reference = $2, rewarded_at = NOW()
+          WHERE referred_identifier = $1
+        `, [referredIdentifier, reference]);
+        logger.warn('Referral reward cap reached', { referrer: this.maskPhone(referrer) });
+        return { rewarded: false, reason: 'capped' };
+      }
+
+      await creditLedger.grant(referrer, {
+        credits: this.rewardCredits,
+        hours: this.rewardValidityHours,
+        source: 'referral',
+        reference: `referral_${referredIdentifier.replace(/\D/g, '')}`,
+        details: { referred: this.maskPhone(referredIdentifier), payment: reference }
+      }, client);
+
+      await client.query(`
+        UPDATE referrals SET status = 'rewarded', reference = $2, rewarded_at = NOW(), reward_credits = $3
+        WHERE referred_identifier = $1
+      `, [referredIdentifier, reference, this.rewardCredits]);
+
+      logger.info('Referral rewarded', {
+        referrer: this.maskPhone(referrer),
+        phone: this.maskPhone(referredIdentifier),
+        credits: this.rewardCredits
+      });
+
+      return { rewarded: true, referrer, credits: this.rewardCredits };
+    });
+  }
+
+  /**
+   * What the "refer" command shows: { code, link, joined, rewarded, earned }
+   */
+  async getSummary(identifier) {
+    const code = await this.getOrCreateCode(identifier);
+
+    const { rows: [stats] } = await dbManager.query(`
+      SELECT COUNT(*)::int AS joined,
+             COUNT(*) FILTER (WHERE status IN ('rewarded', 'capped'))::int AS rewarded,
+             COALESCE(SUM(reward_credits), 0)::int AS earned
+      FROM referrals
+      WHERE referrer_identifier = $1
+    `, [identifier]);
+
+    return { code, link: this.link(code), ...stats };
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,225 @@
+// services/scheduledMessages.js - Durable delayed nudges (BullMQ): dedupe, cancellation, quiet hours, per-user cap
+
+const { Queue } = require('bullmq');
+const config = require('../config');
+const { redis, queueRedis } = require('../config/redis');
+const logger = require('../utils/logger');
+const { nextSendTime } = require('../utils/quietHours');
+
+const QUEUE_NAME = 'scheduled-messages';
+
+// Job states that still count as scheduled (a second schedule is a duplicate)
+const PENDING_STATES = ['delayed', 'waiting', 'prioritized', 'waiting-children'];
+
+// Scheduled job ids per user, for cancellation
+const INDEX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Claim a per-user nudge slot in one step, so concurrent workers can't both pass the cap.
+// KEYS[1] sent set; ARGV now, window, max per window, min interval, member.
+// Returns {'claimed'}, {'cap'} or {'defer', retryAt}
+const CLAIM_SLOT_SCRIPT = `
+local now = tonumber(ARGV[1])
+redis.call('zremrangebyscore', KEYS[1], 0, now - tonumber(ARGV[2]))
+if redis.call('zcard', KEYS[1]) >= tonumber(ARGV[3]) then
+  return {'cap'}
+end
+local last = redis.call('zrevrangebyscore', KEYS[1], '+inf', '-inf', 'WITHSCORES', 'LIMIT', 0, 1)
+if last[2] and now - tonumber(last[2]) < tonumber(ARGV[4]) then
+  return {'defer', tostring(tonumber(last[2]) + tonumber(ARGV[4]))}
+end
+redis.call('zadd', KEYS[1], now, ARGV[5])
+redis.call('pexpire', KEYS[1], ARGV[2])
+return {'claimed'}
+`;
+
+class ScheduledMessageService {
+  constructor() {
+    this.queueName = QUEUE_NAME;
+    this.queue = new Queue(QUEUE_NAME, { connection: queueRedis, prefix: 'queue:' });
+    this.handlers = new Map();
+    this.quietHoursStart = config.get('scheduledMessages.quietHoursStart');
+    this.quietHoursEnd = config.get('scheduledMessages.quietHoursEnd');
+    this.maxPerDay = config.get('scheduledMessages.maxPerDay');
+    this.minIntervalMs = config.get('scheduledMessages.minIntervalMinutes') * 60 * 1000;
+  }
+
+  digits(phone) {
+    return String(phone).replace(/\D/g, '');
+  }
+
+  // Send times of capped nudges in the last day, per user
+  sentKey(phone) {
+    return `nudges_sent:${this.digits(phone)}`;
+  }
+
+  /**
+   * Register what a message type sends. handler(phone, data) returns true when it
+   * sent something, false when it no longer applies (e.g. the user already paid).
+   *   category:   cancel() target shared by related types (default: the type)
+   *   quietHours: wait until quiet hours end before sending
+   *   capped:     counts towards, and is limited by, the per-user nudge cap
+   */
+  register(type, handler, { category = type, quietHours = true, capped = true } = {}) {
+    this.handlers.set(type, { handler, category, quietHours, capped });
+  }
+
+  /**
+   * Send `type` to phone after delayMs. One pending message per user, type and key;
+   * scheduling again while one is pending is a no-op.
+   */
+  async schedule(phone, type, { delayMs = 0, data = {}, key = 'default' } = {}) {
+    const registered = this.handlers.get(type);
+    if (!registered) {
+      throw new Error(`Unknown scheduled message type: ${type}`);
+    }
+
+    const jobId = `${type}-${this.digits(phone)}-${key}`;
+
+    try {
+      const existing = await this.queue.getJob(jobId);
+      if (existing) {
+        if ([...PENDING_STATES, 'active'].includes(await existing.getState())) {
+          return { scheduled: false, jobId, reason: 'duplicate' };
+        }
+        // Finished or failed jobs keep their id until removed
+        await existing.remove();
+      }
+
+      await this.queue.add(type, { phone, type, category: registered.category, data }, {
+        jobId,
+        delay: Math.max(0, Math.round(delayMs)),
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: true,
+        removeOnFail: 100
+      });
+
+      const indexKey = `scheduled_messages:${this.digits(phone)}`;
+      await redis.multi().sadd(indexKey, jobId).expire(indexKey, INDEX_TTL_SECONDS).exec();
+
+      logger.info('Message scheduled', {
+        phone: phone.substring(0, 6) + '***',
+        type,
+        delayMs
+      });
+
+      return { scheduled: true, jobId };
+
+    } catch (error) {
+      logger.error('Failed to schedule message', {
+        phone: phone.substring(0, 6) + '***',
+        type,
+        error: error.message
+      });
+      return { scheduled: false, jobId, reason: 'error' };
+    }
+  }
+
+  /**
+   * Drop a user's pending messages, optionally only one type or category. Returns how many.
+   */
+  async cancel(phone, { type = null, category = null } = {}) {
+    const indexKey = `scheduled_messages:${this.digits(phone)}`;
+    let cancelled = 0;
+
+    try {
+      for (const jobId of await redis.smembers(indexKey)) {
+        const job = await this.queue.getJob(jobId);
+
+        if (!job) {
+          await redis.srem(indexKey, jobId);
+          continue;
+        }
+        if ((type && job.data.type !== type) || (category && job.data.category !== category)) {
+          continue;
+        }
+
+        if (PENDING_STATES.includes(await job.getState())) {
+          await job.remove();
+          cancelled++;
+        }
+        await redis.srem(indexKey, jobId);
+      }
+
+      if (cancelled > 0) {
+        logger.info('Scheduled messages cancelled', {
+          phone: phone.substring(0, 6) + '***',
+          type,
+          category,
+          cancelled
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to cancel scheduled messages', {
+        phone: phone.substring(0, 6) + '***',
+        error: error.message
+      });
+    }
+
+    return cancelled;
+  }
+
+  // ================================
+  // DELIVERY (workers/scheduledMessages.js)
+  // ================================
+
+  /**
+   * Whether a due job may be sent now: { send: true, slot }, { deferUntil: Date } or { skip: reason }.
+   * Capped types claim their slot here; deliver() gives it back when nothing is sent.
+   */
+  async checkDue(job, now = new Date()) {
+    const registered = this.handlers.get(job.data.type);
+    if (!registered) {
+      return { skip: 'unknown_type' };
+    }
+
+    if (registered.quietHours) {
+      const allowedAt = nextSendTime(now, this.quietHoursStart, this.quietHoursEnd);
+      if (allowedAt > now) {
+        return { deferUntil: allowedAt };
+      }
+    }
+
+    if (registered.capped) {
+      const slot = `${job.data.type}:${job.id}:${now.getTime()}`;
+      const [claim, retryAt] = await redis.eval(
+        CLAIM_SLOT_SCRIPT, 1, this.sentKey(job.data.phone),
+        now.getTime(), DAY_MS, this.maxPerDay, this.minIntervalMs, slot
+      );
+
+      if (claim === 'cap') {
+        return { skip: 'daily_cap' };
+      }
+      if (claim === 'defer') {
+        return { deferUntil: new Date(Number(retryAt)) };
+      }
+      return { send: true, slot };
+    }
+
+    return { send: true, slot: null };
+  }
+
+  /**
+   * Run the handler for a due job with the slot checkDue claimed; returns whether a message went out
+   */
+  async deliver(job, slot = null) {
+    const { phone, type, data } = job.data;
+    const registered = this.handlers.get(type);
+
+    let sent = false;
+    try {
+      sent = await registered.handler(phone, data);
+    } finally {
+      if (!sent && slot) {
+        await redis.zrem(this.sentKey(phone), slot);
+      }
+    }
+
+    await redis.srem(`scheduled_messages:${this.digits(phone)}`, job.id);
+    return !!sent;
+  }
+}
+
+module.exports = new ScheduledMessageService();
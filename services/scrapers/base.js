@@ -0,0 +1,123 @@
+// services/scrapers/base.js - Shared fetching and parsing helpers for job source adapters
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+/**
+ * Adapters extend this and implement:
+ *   name, label, schedule (cron), listingUrls()
+ *   parseListing(html, pageUrl) -> [{ externalId, title, company, location, url, ... }]
+ *   parseDetail(html, job)      -> extra fields for one job (optional)
+ */
+class BaseScraper {
+  constructor({ name, label, schedule, baseUrl, pages = 1, maxDetailPages = 40, requestDelayMs = 1500 }) {
+    this.name = name;
+    this.label = label;
+    this.schedule = schedule;
+    this.baseUrl = baseUrl;
+    this.pages = pages;
+    this.maxDetailPages = maxDetailPages;
+    this.requestDelayMs = requestDelayMs;
+  }
+
+  listingUrls() {
+    return [this.baseUrl];
+  }
+
+  parseListing() {
+    throw new Error(`${this.name}: parseListing not implemented`);
+  }
+
+  async fetchPage(url) {
+    const response = await axios.get(url, {
+      timeout: 20000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; SmartCVNaijaBot/1.0; +https://smartcvnaija.com.ng)',
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      responseType: 'text'
+    });
+    return response.data;
+  }
+
+  async pause() {
+    if (this.requestDelayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.requestDelayMs));
+    }
+  }
+
+  /**
+   * Fetch listing pages (and detail pages when the adapter parses them) into raw jobs
+   */
+  async scrape({ withDetails = true } = {}) {
+    const jobs = [];
+    const errors = [];
+
+    for (const url of this.listingUrls()) {
+      try {
+        const html = await this.fetchPage(url);
+        jobs.push(...this.parseListing(html, url));
+      } catch (error) {
+        errors.push({ url, error: error.message });
+      }
+      await this.pause();
+    }
+
+    if (withDetails && typeof this.parseDetail === 'function') {
+      for (const job of jobs.slice(0, this.maxDetailPages)) {
+        try {
+          const html = await this.fetchPage(job.url);
+          Object.assign(job, this.parseDetail(html, job));
+        } catch (error) {
+          errors.push({ url: job.url, error: error.message });
+        }
+        await this.pause();
+      }
+    }
+
+    return { jobs, errors };
+  }
+
+  // ================================
+  // PARSING HELPERS
+  // ================================
+
+  load(html) {
+    return cheerio.load(html);
+  }
+
+  text(value) {
+    return (value || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Block text with paragraph/list breaks kept as newlines
+   */
+  blockText($, element) {
+    const clone = $(element).clone();
+    clone.find('br').replaceWith('\n');
+    clone.find('p, li, h1, h2, h3, h4, div').each((i, el) => {
+      $(el).append('\n');
+    });
+    clone.find('li').each((i, el) => {
+      $(el).prepend('• ');
+    });
+
+    return clone.text()
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  absoluteUrl(href, pageUrl) {
+    if (!href) return null;
+    try {
+      return new URL(href, pageUrl || this.baseUrl).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = BaseScraper;
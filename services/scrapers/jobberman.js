@@ -0,0 +1,105 @@
+// services/scrapers/jobberman.js - Jobberman Nigeria listings
+
+const BaseScraper = require('./base');
+
+// Jobberman function names -> our categories
+const CATEGORY_MAP = {
+  'accounting, auditing & finance': 'accounting_finance',
+  'banking, finance & insurance': 'accounting_finance',
+  'admin & office': 'admin_office',
+  'software & data': 'it_software',
+  'it & telecoms': 'it_software',
+  'engineering & technology': 'engineering_technical',
+  'marketing & communications': 'marketing_sales',
+  'sales': 'marketing_sales',
+  'health & safety': 'security_safety',
+  'medical & pharmaceutical': 'healthcare_medical',
+  'education': 'education_training',
+  'management & business development': 'management_executive',
+  'human resources': 'human_resources',
+  'supply chain & procurement': 'logistics_supply',
+  'customer service & support': 'customer_service',
+  'legal services': 'legal_compliance',
+  'creative & design': 'media_creative',
+  'driver & transport services': 'transport_driving',
+  'product & project management': 'management_executive'
+};
+
+class JobbermanScraper extends BaseScraper {
+  constructor() {
+    super({
+      name: 'jobberman',
+      label: 'Jobberman',
+      schedule: '15 */6 * * *',
+      baseUrl: 'https://www.jobberman.com/jobs',
+      pages: 3
+    });
+  }
+
+  listingUrls() {
+    return Array.from({ length: this.pages }, (_, i) => `${this.baseUrl}?page=${i + 1}`);
+  }
+
+  parseListing(html, pageUrl) {
+    const $ = this.load(html);
+    const jobs = [];
+
+    $('[data-cy="listing-cards-components"]').each((i, card) => {
+      const link = $(card).find('a[data-cy="listing-title-link"]').first();
+      const url = this.absoluteUrl(link.attr('href'), pageUrl);
+      const title = this.text(link.text());
+
+      if (!url || !title) return;
+
+      const tags = $(card).find('.job-tags span').map((j, el) => this.text($(el).text())).get();
+      const category = this.text($(card).find('.job-function').text()).replace(/^Function:\s*/i, '');
+
+      jobs.push({
+        externalId: url.split('/').filter(Boolean).pop(),
+        title,
+        company: this.text($(card).find('[data-cy="listing-company"]').text()),
+        location: tags[0] || '',
+        jobType: tags[1] || '',
+        salary: tags.find(tag => /₦|NGN|confidential/i.test(tag)) || null,
+        category: CATEGORY_MAP[category.toLowerCase()] || null,
+        summary: this.text($(card).find('.job-summary').text()),
+        url
+      });
+    });
+
+    return jobs;
+  }
+
+  parseDetail(html) {
+    const $ = this.load(html);
+    const sections = {};
+
+    $('.job-details h3').each((i, heading) => {
+      const key = this.text($(heading).text()).toLowerCase();
+      const body = $(heading).nextUntil('h3');
+      sections[key] = body.map((j, el) => this.blockText($, el)).get().join('\n');
+    });
+
+    const requirements = Object.entries(sections)
+      .filter(([key]) => /requirement|qualification|skills/.test(key))
+      .map(([, value]) => value)
+      .join('\n');
+
+    const description = Object.entries(sections)
+      .filter(([key]) => !/requirement|qualification|skills|how to apply/.test(key))
+      .map(([, value]) => value)
+      .join('\n');
+
+    const deadline = this.text($('[data-cy="job-deadline"]').text()).replace(/^Deadline:\s*/i, '');
+
+    return {
+      description: description || null,
+      requirements: requirements || null,
+      howToApply: sections['how to apply'] || null,
+      experienceText: this.text($('[data-cy="job-experience"]').text()),
+      expiresAt: deadline && !isNaN(Date.parse(deadline)) ? new Date(deadline) : null
+    };
+  }
+}
+
+module.exports = new JobbermanScraper();
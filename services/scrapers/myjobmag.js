@@ -0,0 +1,110 @@
+// services/scrapers/myjobmag.js - MyJobMag Nigeria listings
+
+const BaseScraper = require('./base');
+
+const CATEGORY_MAP = {
+  'accounting / audit / tax': 'accounting_finance',
+  'banking': 'accounting_finance',
+  'administration / office': 'admin_office',
+  'ict / computer': 'it_software',
+  'engineering / technical': 'engineering_technical',
+  'sales / marketing / retail / business development': 'marketing_sales',
+  'medical / healthcare': 'healthcare_medical',
+  'education / teaching': 'education_training',
+  'management / business development': 'management_executive',
+  'human resources / hr': 'human_resources',
+  'procurement / store-keeping / supply chain': 'logistics_supply',
+  'customer care': 'customer_service',
+  'law / legal': 'legal_compliance',
+  'media / advertising / branding': 'media_creative',
+  'security intelligence': 'security_safety',
+  'driving / transport': 'transport_driving',
+  'manufacturing': 'manufacturing_production',
+  'real estate': 'construction_real_estate',
+  'building and construction': 'construction_real_estate'
+};
+
+class MyJobMagScraper extends BaseScraper {
+  constructor() {
+    super({
+      name: 'myjobmag',
+      label: 'MyJobMag',
+      schedule: '45 */6 * * *',
+      baseUrl: 'https://www.myjobmag.com/jobs',
+      pages: 2
+    });
+  }
+
+  listingUrls() {
+    return Array.from({ length: this.pages }, (_, i) => (i === 0 ? this.baseUrl : `${this.baseUrl}/page/${i + 1}`));
+  }
+
+  parseListing(html, pageUrl) {
+    const $ = this.load(html);
+    const jobs = [];
+
+    $('ul.job-list li.job-list-li').each((i, item) => {
+      const link = $(item).find('.job-info h2 a').first();
+      const url = this.absoluteUrl(link.attr('href'), pageUrl);
+      const heading = this.text(link.text());
+
+      if (!url || !heading) return;
+
+      // Headings read "Accountant at Dangote Group"
+      const match = heading.match(/^(.*?)\s+at\s+(.+)$/i);
+
+      jobs.push({
+        externalId: url.split('/').filter(Boolean).pop(),
+        title: match ? match[1] : heading,
+        company: match ? match[2] : '',
+        location: '',
+        summary: this.text($(item).find('.job-desc').text()),
+        url
+      });
+    });
+
+    return jobs;
+  }
+
+  parseDetail(html) {
+    const $ = this.load(html);
+    const facts = {};
+
+    $('ul.job-key-info li').each((i, li) => {
+      const key = this.text($(li).find('.jkey-title').text()).replace(/:$/, '').toLowerCase();
+      facts[key] = this.text($(li).find('.jkey-info').text());
+    });
+
+    const body = $('.job-details').first();
+    const requirementsHeading = body.find('h3, strong').filter((i, el) => /requirement|qualification/i.test($(el).text())).first();
+
+    let description = this.blockText($, body);
+    let requirements = null;
+
+    if (requirementsHeading.length > 0) {
+      const headingText = this.text(requirementsHeading.text());
+      const index = description.indexOf(headingText);
+      if (index > -1) {
+        requirements = description.substring(index + headingText.length).trim();
+        description = description.substring(0, index).trim();
+      }
+    }
+
+    const deadline = this.text($('.read-date-sec-li').filter((i, el) => /deadline/i.test($(el).text())).first().text())
+      .replace(/^.*deadline:?\s*/i, '');
+
+    return {
+      location: facts.location || '',
+      salary: facts.salary && !/^(not specified|confidential)$/i.test(facts.salary) ? facts.salary : null,
+      category: CATEGORY_MAP[(facts['job field'] || '').toLowerCase()] || null,
+      experienceText: facts.experience || '',
+      jobType: facts['job type'] || '',
+      description: description || null,
+      requirements,
+      howToApply: this.blockText($, $('.mag-b').first()) || null,
+      expiresAt: deadline && !isNaN(Date.parse(deadline)) ? new Date(deadline) : null
+    };
+  }
+}
+
+module.exports = new MyJobMagScraper();
@@ -0,0 +1,166 @@
+// services/speechToText.js - Pluggable speech-to-text for WhatsApp voice notes
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Local, offline engine: ffmpeg converts the voice note (usually OGG/Opus) to
+ * 16 kHz mono WAV, then whisper.cpp transcribes it. Needs both binaries and a ggml model.
+ */
+class WhisperCppEngine {
+  constructor({ binary, model, threads, ffmpegPath }) {
+    this.name = 'whisper-cpp';
+    this.binary = binary;
+    this.model = model;
+    this.threads = threads;
+    this.ffmpegPath = ffmpegPath;
+  }
+
+  isAvailable() {
+    return !!this.model && fs.existsSync(this.model);
+  }
+
+  async transcribe(buffer, { language, maxDurationSeconds }) {
+    const base = path.join(os.tmpdir(), `voice_${crypto.randomBytes(8).toString('hex')}`);
+    const input = `${base}.audio`;
+    const wav = `${base}.wav`;
+
+    try {
+      await fs.promises.writeFile(input, buffer);
+
+      await execFileAsync(this.ffmpegPath, [
+        '-y', '-loglevel', 'error',
+        '-i', input,
+        '-t', String(maxDurationSeconds),
+        '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+        wav
+      ], { timeout: 30000 });
+
+      const { stdout } = await execFileAsync(this.binary, [
+        '-m', this.model,
+        '-f', wav,
+        '-l', language || 'auto',
+        '-t', String(this.threads),
+        '-nt', '-np'
+      ], { timeout: 120000, maxBuffer: 1024 * 1024 });
+
+      return { text: stdout.replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim(), language };
+
+    } finally {
+      await Promise.all([input, wav].map(file => fs.promises.unlink(file).catch(() => {})));
+    }
+  }
+}
+
+/**
+ * Hosted engine for any OpenAI-compatible /audio/transcriptions endpoint
+ */
+class OpenAICompatibleEngine {
+  constructor({ url, apiKey, model }) {
+    this.name = 'openai-compatible';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  isAvailable() {
+    return !!(this.apiKey && this.apiKey.trim() !== '');
+  }
+
+  async transcribe(buffer, { language, mimeType }) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType || 'audio/ogg' }), 'voice.ogg');
+    form.append('model', this.model);
+    if (language) form.append('language', language);
+
+    const response = await axios.post(this.url, form, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      timeout: 60000
+    });
+
+    return { text: (response.data.text || '').trim(), language: response.data.language || language };
+  }
+}
+
+class SpeechToTextService {
+  constructor() {
+    this.engines = new Map();
+    this.engineName = config.get('speechToText.engine');
+    this.language = config.get('speechToText.language');
+    this.maxDurationSeconds = config.get('speechToText.maxDurationSeconds');
+
+    this.registerEngine(new WhisperCppEngine({
+      binary: config.get('speechToText.whisperBinary'),
+      model: config.get('speechToText.whisperModel'),
+      threads: config.get('speechToText.whisperThreads'),
+      ffmpegPath: config.get('speechToText.ffmpegPath')
+    }));
+
+    this.registerEngine(new OpenAICompatibleEngine({
+      url: config.get('speechToText.apiUrl'),
+      apiKey: config.get('speechToText.apiKey'),
+      model: config.get('speechToText.apiModel')
+    }));
+  }
+
+  /**
+   * Register an engine: { name, isAvailable(), transcribe(buffer, { language, mimeType, maxDurationSeconds }) -> Promise<{ text, language }> }
+   */
+  registerEngine(engine) {
+    if (!engine || !engine.name || typeof engine.transcribe !== 'function') {
+      throw new Error('Speech-to-text engine must have a name and a transcribe(buffer, options) method');
+    }
+    this.engines.set(engine.name, engine);
+  }
+
+  getEngine() {
+    const engine = this.engines.get(this.engineName);
+    if (!engine || (engine.isAvailable && !engine.isAvailable())) {
+      return null;
+    }
+    return engine;
+  }
+
+  isEnabled() {
+    return this.getEngine() !== null;
+  }
+
+  /**
+   * Transcribe a downloaded voice note. Returns { text, language, engine, durationMs }; text is '' when nothing was heard.
+   */
+  async transcribe(buffer, { mimeType } = {}) {
+    const engine = this.getEngine();
+    if (!engine) {
+      throw new Error(`Speech-to-text engine not available: ${this.engineName}`);
+    }
+
+    const startTime = Date.now();
+    const result = await engine.transcribe(buffer, {
+      language: this.language,
+      mimeType,
+      maxDurationSeconds: this.maxDurationSeconds
+    });
+
+    const text = (result?.text || '').trim();
+    const durationMs = Date.now() - startTime;
+    logger.info('Voice note transcribed', {
+      engine: engine.name,
+      size: buffer.length,
+      textLength: text.length,
+      durationMs
+    });
+
+    return { ...result, text, engine: engine.name, durationMs };
+  }
+}
+
+module.exports = new SpeechToTextService();
@@ -0,0 +1,303 @@
+// services/wallet.js - Naira wallet: Paystack top-ups, per-application debits once credits run out, refunds for failed applications
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const paystackService = require('./paystack');
+const creditLedger = require('./creditLedger');
+const { planFunding, refundFor } = require('../utils/wallet');
+
+// Paystack needs an email; WhatsApp users don't give us one
+const CHECKOUT_EMAIL = 'hr@smartcvnaija.com.ng';
+
+class WalletService {
+  constructor() {
+    this.applicationPriceKobo = config.get('wallet.applicationPriceKobo');
+    this.minTopUpKobo = config.get('wallet.minTopUpKobo');
+    this.maxTopUpKobo = config.get('wallet.maxTopUpKobo');
+  }
+
+  maskPhone(phone) {
+    return phone.substring(0, 6) + '***';
+  }
+
+  async getBalance(identifier, client = dbManager) {
+    const { rows: [{ balance }] } = await client.query(
+      'SELECT COALESCE(SUM(amount_kobo), 0)::int AS balance FROM wallet_transactions WHERE user_identifier = $1',
+      [identifier]
+    );
+    return balance;
+  }
+
+  /**
+   * A user's wallet movements, newest first
+   */
+  async listTransactions(identifier, { limit = 20 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT id, entry_type, amount_kobo, applications, source, reference, created_by, details, created_at
+      FROM wallet_transactions
+      WHERE user_identifier = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [identifier, limit]);
+
+    return rows;
+  }
+
+  /**
+   * Add a movement under the user's lock. Returns false when the reference already moved money.
+   */
+  async record(client, identifier, { entryType, amountKobo, applications = null, source, reference = null, createdBy = null, details = {} }) {
+    const { rowCount } = await client.query(`
+      INSERT INTO wallet_transactions (
+        user_identifier, entry_type, amount_kobo, applications, source, reference, created_by, details
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (reference) WHERE reference IS NOT NULL DO NOTHING
+    `, [identifier, entryType, amountKobo, applications, source, reference, createdBy, JSON.stringify(details)]);
+
+    return rowCount > 0;
+  }
+
+  // ================================
+  // TOP-UPS
+  // ================================
+
+  /**
+   * { success: true, reference, paymentUrl, amountKobo } or { success: false, reason } (too_small, too_large)
+   */
+  async startTopUp(identifier, amountKobo) {
+    if (amountKobo < this.minTopUpKobo) {
+      return { success: false, reason: 'too_small' };
+    }
+    if (amountKobo > this.maxTopUpKobo) {
+      return { success: false, reason: 'too_large' };
+    }
+
+    const reference = `wallet_${uuidv4()}_${identifier.replace(/\D/g, '')}`;
+
+    await dbManager.query(
+      'INSERT INTO wallet_topups (reference, user_identifier, amount_kobo) VALUES ($1, $2, $3)',
+      [reference, identifier, amountKobo]
+    );
+
+    const paymentUrl = await paystackService.initializePayment(identifier, reference, CHECKOUT_EMAIL, amountKobo);
+
+    logger.info('Wallet top-up started', { phone: this.maskPhone(identifier), amount: amountKobo });
+    return { success: true, reference, paymentUrl, amountKobo };
+  }
+
+  /**
+   * Add a paid top-up to the wallet. Safe to call again for the same reference
+   * (webhook retries, reconciliation).
+   */
+  async completeTopUp(reference) {
+    const { rows: [topUp] } = await dbManager.query('SELECT * FROM wallet_topups WHERE reference = $1', [reference]);
+
+    if (!topUp) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (topUp.status === 'refunded') {
+      return { success: false, reason: 'refunded' };
+    }
+
+    const { added, balanceKobo } = await dbManager.transaction(async (client) => {
+      await creditLedger.lockUser(client, topUp.user_identifier);
+
+      const added = await this.record(client, topUp.user_identifier, {
+        entryType: 'topup',
+        amountKobo: topUp.amount_kobo,
+        source: 'paystack',
+        reference
+      });
+
+      await client.query(`
+        UPDATE wallet_topups SET status = 'completed', completed_at = NOW()
+        WHERE reference = $1 AND status = 'pending'
+      `, [reference]);
+
+      return { added, balanceKobo: await this.getBalance(topUp.user_identifier, client) };
+    });
+
+    if (added) {
+      logger.info('Wallet topped up', { phone: this.maskPhone(topUp.user_identifier), amount: topUp.amount_kobo });
+    }
+
+    return { success: true, alreadyCompleted: !added, topUp: { ...topUp, status: 'completed' }, balanceKobo };
+  }
+
+  /**
+   * Money sent by bank transfer to the user's dedicated account. Each Paystack
+   * reference is added once. { added, balanceKobo }
+   */
+  async creditTransfer(identifier, amountKobo, reference, details = {}) {
+    const result = await dbManager.transaction(async (client) => {
+      await creditLedger.lockUser(client, identifier);
+
+      const added = await this.record(client, identifier, {
+        entryType: 'topup',
+        amountKobo,
+        source: 'bank_transfer',
+        reference,
+        details
+      });
+
+      return { added, balanceKobo: await this.getBalance(identifier, client) };
+    });
+
+    if (result.added) {
+      logger.info('Bank transfer added to wallet', { phone: this.maskPhone(identifier), amount: amountKobo });
+    }
+    return result;
+  }
+
+  async listTopUps(identifier, { limit = 10 } = {}) {
+    const { rows } = await dbManager.query(`
+      SELECT reference, amount_kobo, status, created_at, completed_at, refunded_at
+      FROM wallet_topups
+      WHERE user_identifier = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [identifier, limit]);
+    return rows;
+  }
+
+  // ================================
+  // APPLICATIONS
+  // ================================
+
+  /**
+   * Pay for `count` applications: application credits first, the rest from the wallet.
+   * Throws when the two together don't cover it. The funding goes into the application
+   * job so the worker can refund exactly what failed.
+   *   { applicationId, credits, wallet, priceKobo, walletKobo }
+   */
+  async chargeApplications(identifier, count, { applicationId }) {
+    const [{ remaining }, balanceKobo] = await Promise.all([
+      creditLedger.getBalance(identifier),
+      this.getBalance(identifier)
+    ]);
+
+    const funding = planFunding({ credits: remaining, balanceKobo, priceKobo: this.applicationPriceKobo, count });
+    if (!funding) {
+      throw new Error('Insufficient applications remaining');
+    }
+
+    if (funding.credits > 0) {
+      await creditLedger.spend(identifier, funding.credits, { source: 'application', details: { applicationId } });
+    }
+
+    if (funding.wallet > 0) {
+      try {
+        await dbManager.transaction(async (client) => {
+          await creditLedger.lockUser(client, identifier);
+
+          if (await this.getBalance(identifier, client) < funding.walletKobo) {
+            throw new Error('Insufficient wallet balance');
+          }
+
+          await this.record(client, identifier, {
+            entryType: 'debit',
+            amountKobo: -funding.walletKobo,
+            applications: funding.wallet,
+            source: 'application',
+            reference: `debit_${applicationId}`
+          });
+        });
+      } catch (error) {
+        if (funding.credits > 0) {
+          await creditLedger.returnCredits(identifier, funding.credits, {
+            source: 'charge_failed',
+            details: { applicationId }
+          });
+        }
+        throw error;
+      }
+    }
+
+    logger.info('Applications charged', {
+      phone: this.maskPhone(identifier),
+      applicationId,
+      credits: funding.credits,
+      walletKobo: funding.walletKobo
+    });
+
+    return { applicationId, ...funding };
+  }
+
+  /**
+   * Give back what was paid for the applications (positions in the batch) that failed for
+   * good. Each reference refunds once, so job retries are safe. Returns { credits, wallet, walletKobo }.
+   */
+  async refundApplications(identifier, funding, failedIndexes, { reference, reason }) {
+    const refund = refundFor(funding, failedIndexes);
+    let credits = 0;
+    let walletKobo = 0;
+
+    if (refund.credits > 0) {
+      credits = await creditLedger.returnCredits(identifier, refund.credits, {
+        source: 'failed_application',
+        reference,
+        details: { applicationId: funding.applicationId, reason }
+      });
+    }
+
+    if (refund.walletKobo > 0) {
+      const refunded = await dbManager.transaction(async (client) => {
+        await creditLedger.lockUser(client, identifier);
+        return this.record(client, identifier, {
+          entryType: 'refund',
+          amountKobo: refund.walletKobo,
+          applications: refund.wallet,
+          source: 'failed_application',
+          reference,
+          details: { applicationId: funding.applicationId, reason }
+        });
+      });
+      walletKobo = refunded ? refund.walletKobo : 0;
+    }
+
+    if (credits > 0 || walletKobo > 0) {
+      logger.info('Failed applications refunded', {
+        phone: this.maskPhone(identifier),
+        applicationId: funding.applicationId,
+        credits,
+        walletKobo,
+        reason
+      });
+    }
+
+    return { credits, wallet: walletKobo > 0 ? refund.wallet : 0, walletKobo };
+  }
+
+  // ================================
+  // ADMIN
+  // ================================
+
+  /**
+   * Add (positive) or remove (negative) money by hand. Can't take the balance below zero.
+   * Returns the new balance, or null when there isn't enough to remove.
+   */
+  async adjust(identifier, amountKobo, { createdBy, reason }) {
+    return dbManager.transaction(async (client) => {
+      await creditLedger.lockUser(client, identifier);
+
+      const balanceKobo = await this.getBalance(identifier, client);
+      if (balanceKobo + amountKobo < 0) {
+        return null;
+      }
+
+      await this.record(client, identifier, {
+        entryType: 'adjustment',
+        amountKobo,
+        source: 'admin',
+        createdBy,
+        details: { reason }
+      });
+
+      return balanceKobo + amountKobo;
+    });
+  }
+}
+
+module.exports = new WalletService();
@@ -0,0 +1,321 @@
+// services/whatsappDelivery.js - Delivery/read receipts from YCloud, failed-message recovery and reachability
+
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const dbManager = require('../config/database');
+const { redis } = require('../config/redis');
+const logger = require('../utils/logger');
+const whatsappOutbox = require('./whatsappOutbox');
+const { nextStatus, isPermanentError, failureAction } = require('../utils/whatsappDelivery');
+
+const TIME_COLUMNS = {
+  sent: 'sent_at',
+  delivered: 'delivered_at',
+  read: 'read_at',
+  failed: 'failed_at'
+};
+
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Failures in a row before a number counts as unreachable (a permanent error counts at once)
+const UNREACHABLE_AFTER = 3;
+
+// At most one fallback email per user in this period
+const EMAIL_FALLBACK_INTERVAL_SECONDS = 6 * 60 * 60;
+
+class WhatsAppDeliveryService {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: config.get('confirmation.smtp.host') || config.get('smtp.host'),
+      port: config.get('confirmation.smtp.port') || config.get('smtp.port'),
+      secure: false,
+      auth: {
+        user: config.get('confirmation.smtp.user'),
+        pass: config.get('confirmation.smtp.pass')
+      },
+      tls: {
+        rejectUnauthorized: false
+      }
+    });
+  }
+
+  /**
+   * Log a message YCloud accepted, so later status events can be matched to it
+   */
+  async recordSent(messageId, payload, { outboxJobId = null, retryOf = null } = {}) {
+    try {
+      await dbManager.query(`
+        INSERT INTO whatsapp_messages (message_id, outbox_job_id, recipient, message_type, payload, retry_of, retry_count)
+        VALUES ($1, $2, $3, $4, $5, $6,
+                COALESCE((SELECT retry_count + 1 FROM whatsapp_messages WHERE id = $6), 0))
+        ON CONFLICT (message_id) DO NOTHING
+      `, [
+        messageId,
+        outboxJobId ? String(outboxJobId) : null,
+        whatsappOutbox.cleanNumber(payload.to),
+        payload.type,
+        JSON.stringify(payload),
+        retryOf
+      ]);
+    } catch (error) {
+      logger.error('Failed to record outbound WhatsApp message', { messageId, error: error.message });
+    }
+  }
+
+  // ================================
+  // STATUS EVENTS
+  // ================================
+
+  /**
+   * Apply a whatsapp.message.updated event. Statuses never go backwards
+   * (events can arrive out of order); a failure is acted on once.
+   */
+  async recordStatus(event) {
+    const status = event?.status;
+    const timeColumn = TIME_COLUMNS[status];
+
+    if (!event?.id || !timeColumn) {
+      return null;
+    }
+
+    const recipient = whatsappOutbox.cleanNumber(event.to || '');
+    const errorCode = event.errorCode ? String(event.errorCode) : null;
+    const errorMessage = event.errorMessage || event.whatsappApiError?.message || null;
+
+    const message = await dbManager.transaction(async (client) => {
+      const { rows: [current] } = await client.query(
+        'SELECT id, status FROM whatsapp_messages WHERE message_id = $1 FOR UPDATE',
+        [event.id]
+      );
+      if (!current) return null;
+
+      const { rows: [updated] } = await client.query(`
+        UPDATE whatsapp_messages SET
+          status = $2,
+          wamid = COALESCE(wamid, $3),
+          ${timeColumn} = COALESCE(${timeColumn}, NOW()),
+          error_code = COALESCE($4, error_code),
+          error_message = COALESCE($5, error_message),
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [current.id, nextStatus(current.status, status), event.wamid || null, errorCode, errorMessage]);
+
+      return { ...updated, previous_status: current.status };
+    });
+
+    if (!message) {
+      logger.warn('Status event for an unknown WhatsApp message', { messageId: event.id, status });
+    }
+
+    if (recipient) {
+      await this.updateReachability(recipient, status, errorCode, errorMessage);
+    }
+
+    if (status === 'failed' && message && message.previous_status !== 'failed') {
+      logger.warn('WhatsApp message delivery failed', {
+        to: recipient.substring(0, 6) + '***',
+        messageId: event.id,
+        errorCode,
+        errorMessage
+      });
+      await this.handleFailure(message);
+    }
+
+    return message || null;
+  }
+
+  // ================================
+  // FAILED MESSAGES
+  // ================================
+
+  /**
+   * Resend as a template when the session window closed, retry transient errors,
+   * otherwise (or once retries run out) try the user's email
+   */
+  async handleFailure(message) {
+    const payload = message.payload;
+    const action = failureAction(message);
+    let fallback = 'none';
+
+    try {
+      if (action === 'template') {
+        const templatePayload = whatsappOutbox.buildTemplatePayload(payload);
+        if (templatePayload) {
+          await whatsappOutbox.enqueue(templatePayload, { retryOf: message.id });
+          fallback = 'template';
+        }
+      } else if (action === 'retry') {
+        await whatsappOutbox.enqueue(payload, {
+          delayMs: RETRY_DELAY_MS * (message.retry_count + 1),
+          retryOf: message.id
+        });
+        fallback = 'retry';
+      }
+
+      if (fallback === 'none' && await this.sendEmailFallback(message)) {
+        fallback = 'email';
+      }
+    } catch (error) {
+      logger.error('Failed to recover failed WhatsApp message', { messageId: message.message_id, error: error.message });
+    }
+
+    await dbManager.query(
+      'UPDATE whatsapp_messages SET fallback = $2, updated_at = NOW() WHERE id = $1',
+      [message.id, fallback]
+    );
+
+    return fallback;
+  }
+
+  async sendEmailFallback(message) {
+    const email = await this.findEmail(message.recipient);
+    if (!email) {
+      return false;
+    }
+
+    const allowed = await redis.set(
+      `wa_email_fallback:${message.recipient}`, Date.now(), 'EX', EMAIL_FALLBACK_INTERVAL_SECONDS, 'NX'
+    );
+    if (!allowed) {
+      return false;
+    }
+
+    await this.transporter.sendMail({
+      from: '"SmartCV Naija" <noreply@smartcvnaija.com.ng>',
+      to: email,
+      subject: 'We could not reach you on WhatsApp',
+      text: `Hello,\n\nWe tried to send you this message on WhatsApp but it could not be delivered:\n\n` +
+            `${whatsappOutbox.messageText(message.payload)}\n\n` +
+            `Message us on WhatsApp any time to continue.\n\nSmartCV Naija`
+    });
+
+    logger.info('WhatsApp failure fallback email sent', {
+      to: message.recipient.substring(0, 6) + '***',
+      messageId: message.message_id
+    });
+
+    return true;
+  }
+
+  /**
+   * Latest email we hold for a phone number (parsed CVs first, then applications)
+   */
+  async findEmail(recipient) {
+    const { rows } = await dbManager.query(`
+      SELECT email FROM (
+        SELECT email, created_at, 1 AS priority FROM candidate_profiles
+        WHERE regexp_replace(user_identifier, '\\D', '', 'g') = $1 AND email IS NOT NULL AND email <> ''
+        UNION ALL
+        SELECT applicant_email AS email, applied_at AS created_at, 2 AS priority FROM applications
+        WHERE regexp_replace(user_identifier, '\\D', '', 'g') = $1 AND applicant_email IS NOT NULL AND applicant_email <> ''
+      ) emails
+      ORDER BY priority, created_at DESC
+      LIMIT 1
+    `, [recipient]);
+
+    return rows[0]?.email || null;
+  }
+
+  // ================================
+  // REACHABILITY
+  // ================================
+
+  async updateReachability(recipient, status, errorCode = null, errorMessage = null) {
+    try {
+      if (status === 'delivered' || status === 'read') {
+        const column = status === 'read' ? 'last_read_at' : 'last_delivered_at';
+        await dbManager.query(`
+          INSERT INTO whatsapp_reachability (recipient, status, consecutive_failures, ${column})
+          VALUES ($1, 'reachable', 0, NOW())
+          ON CONFLICT (recipient) DO UPDATE SET
+            status = 'reachable',
+            consecutive_failures = 0,
+            ${column} = NOW(),
+            updated_at = NOW()
+        `, [recipient]);
+      } else if (status === 'failed') {
+        const permanent = isPermanentError(errorCode);
+        await dbManager.query(`
+          INSERT INTO whatsapp_reachability (
+            recipient, status, consecutive_failures, last_error_code, last_error_message, last_failed_at
+          )
+          VALUES ($1, CASE WHEN $4 THEN 'unreachable' ELSE 'unknown' END, 1, $2, $3, NOW())
+          ON CONFLICT (recipient) DO UPDATE SET
+            status = CASE
+              WHEN $4 OR whatsapp_reachability.consecutive_failures + 1 >= $5 THEN 'unreachable'
+              ELSE whatsapp_reachability.status
+            END,
+            consecutive_failures = whatsapp_reachability.consecutive_failures + 1,
+            last_error_code = $2,
+            last_error_message = $3,
+            last_failed_at = NOW(),
+            updated_at = NOW()
+        `, [recipient, errorCode, errorMessage, permanent, UNREACHABLE_AFTER]);
+      }
+    } catch (error) {
+      logger.error('Failed to update WhatsApp reachability', {
+        to: recipient.substring(0, 6) + '***',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Users by reachability, most recently changed first
+   */
+  async listReachability({ status = null, limit = 50, offset = 0 } = {}) {
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+      dbManager.query(`
+        SELECT * FROM whatsapp_reachability
+        WHERE ($1::text IS NULL OR status = $1)
+        ORDER BY updated_at DESC
+        LIMIT $2 OFFSET $3
+      `, [status, limit, offset]),
+      dbManager.query(`
+        SELECT status, COUNT(*)::int AS count FROM whatsapp_reachability GROUP BY status
+      `)
+    ]);
+
+    const totals = {};
+    countRows.forEach(row => { totals[row.status] = row.count; });
+
+    return { totals, users: rows };
+  }
+
+  /**
+   * One user's reachability with their recent messages and 30-day status counts
+   */
+  async getRecipientReport(phone, { limit = 20 } = {}) {
+    const recipient = whatsappOutbox.cleanNumber(phone);
+
+    const [{ rows: reachability }, { rows: messages }, { rows: counts }] = await Promise.all([
+      dbManager.query('SELECT * FROM whatsapp_reachability WHERE recipient = $1', [recipient]),
+      dbManager.query(`
+        SELECT message_id, outbox_job_id, message_type, status, error_code, error_message,
+               retry_of, retry_count, fallback, created_at, sent_at, delivered_at, read_at, failed_at
+        FROM whatsapp_messages
+        WHERE recipient = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `, [recipient, limit]),
+      dbManager.query(`
+        SELECT status, COUNT(*)::int AS count FROM whatsapp_messages
+        WHERE recipient = $1 AND created_at > NOW() - INTERVAL '30 days'
+        GROUP BY status
+      `, [recipient])
+    ]);
+
+    const last30Days = {};
+    counts.forEach(row => { last30Days[row.status] = row.count; });
+
+    return {
+      recipient,
+      reachability: reachability[0] || { recipient, status: 'unknown', consecutive_failures: 0 },
+      last30Days,
+      messages
+    };
+  }
+}
+
+module.exports = new WhatsAppDeliveryService();
@@ -0,0 +1,226 @@
+// services/whatsappOutbox.js - Outbound WhatsApp queue: per-recipient ordering, session window, template and text fallbacks
+
+const { Queue } = require('bullmq');
+const config = require('../config');
+const { redis, queueRedis } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const QUEUE_NAME = 'whatsapp-outbound';
+
+// WhatsApp allows free-form messages for 24 hours after the user's last message;
+// the margin covers clock skew and queue delay
+const SESSION_WINDOW_SECONDS = 24 * 60 * 60 - 5 * 60;
+
+// Sequence counters per recipient; refreshed on every message
+const LANE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// A message stops waiting for an earlier one that has been due this long (lost or stuck job)
+const LANE_TIMEOUT_MS = 60 * 1000;
+
+const MARK_DONE_SCRIPT = `
+  local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+  if tonumber(ARGV[1]) > current then
+    redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+  end
+  return current
+`;
+
+class WhatsAppOutbox {
+  constructor() {
+    this.queueName = QUEUE_NAME;
+    this.queue = new Queue(QUEUE_NAME, { connection: queueRedis, prefix: 'queue:' });
+    this.fallbackTemplate = config.get('ycloud.templates.fallback');
+    this.templateLanguage = config.get('ycloud.templates.language');
+  }
+
+  /**
+   * Queue a YCloud message payload. Returns the queue job id.
+   * retryOf: whatsapp_messages id of the failed message this one replaces (services/whatsappDelivery.js)
+   */
+  async enqueue(payload, { delayMs = 0, template = null, retryOf = null, fallbackText = null } = {}) {
+    const to = payload.to;
+    const seqKey = `wa_outbox:seq:${to}`;
+
+    const [[, seq]] = await redis.multi()
+      .incr(seqKey)
+      .expire(seqKey, LANE_TTL_SECONDS)
+      .exec();
+
+    const job = await this.queue.add('send', { payload, seq, template, retryOf, fallbackText }, {
+      delay: Math.max(0, Math.round(delayMs)),
+      attempts: 5,
+      backoff: { type: 'exponential', delay: 2000 },
+      removeOnComplete: 200,
+      removeOnFail: 100
+    });
+
+    return job.id;
+  }
+
+  // ================================
+  // PER-RECIPIENT ORDERING
+  // ================================
+
+  /**
+   * A message may go once every earlier message to the same recipient has been sent or given up
+   */
+  async isTurn(to, seq, job) {
+    const done = parseInt(await redis.get(`wa_outbox:done:${to}`)) || 0;
+    if (seq <= done + 1) {
+      return true;
+    }
+
+    const dueAt = job.timestamp + (job.opts.delay || 0);
+    if (Date.now() - dueAt > LANE_TIMEOUT_MS) {
+      logger.warn('Outbound message skipped ahead of an earlier one', {
+        to: to.substring(0, 6) + '***',
+        seq,
+        done
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  async markDone(to, seq) {
+    await redis.eval(MARK_DONE_SCRIPT, 1, `wa_outbox:done:${to}`, seq, LANE_TTL_SECONDS);
+  }
+
+  // ================================
+  // SESSION WINDOW
+  // ================================
+
+  /**
+   * Called for every inbound message; opens (or extends) the 24-hour window
+   */
+  async recordInbound(phone) {
+    try {
+      await redis.set(`wa_session:${this.cleanNumber(phone)}`, Date.now(), 'EX', SESSION_WINDOW_SECONDS);
+    } catch (error) {
+      logger.error('Failed to record WhatsApp session window', { error: error.message });
+    }
+  }
+
+  async isSessionOpen(phone) {
+    return (await redis.exists(`wa_session:${this.cleanNumber(phone)}`)) === 1;
+  }
+
+  cleanNumber(phone) {
+    return String(phone).replace(/\D/g, '');
+  }
+
+  // ================================
+  // TEMPLATE FALLBACK
+  // ================================
+
+  isWindowError(error) {
+    const data = error.response?.data;
+    const details = JSON.stringify(data || {});
+    return /131047|re-engagement|24 hours|customer service window/i.test(`${error.message} ${details}`);
+  }
+
+  /**
+   * Plain text version of a payload: header, body, then list rows and buttons numbered;
+   * templates give their parameter values
+   */
+  messageText(payload) {
+    if (payload?.type === 'text') {
+      return payload.text.body;
+    }
+    if (payload?.type === 'template') {
+      return (payload.template.components || [])
+        .flatMap(component => component.parameters || [])
+        .map(parameter => parameter.text)
+        .join('\n');
+    }
+    if (payload?.type !== 'interactive') {
+      return '';
+    }
+
+    const { header, body, action } = payload.interactive;
+    const options = [];
+
+    (action.sections || []).forEach(section => {
+      section.rows.forEach((row, index) => {
+        options.push(`${index + 1}. ${row.title}${row.description ? ` (${row.description})` : ''}`);
+      });
+    });
+
+    (action.buttons || []).forEach((button, index) => {
+      options.push(`${index + 1}. ${button.reply.title}`);
+    });
+
+    return [header?.text, body.text, options.join('\n')].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * messageText squeezed into a template parameter (no newlines or tabs, at most 1024 characters)
+   */
+  flattenText(payload) {
+    return this.messageText(payload)
+      .replace(/[\n\t]+/g, ' | ')
+      .replace(/ {4,}/g, '   ')
+      .substring(0, 1024);
+  }
+
+  /**
+   * YCloud refused the payload itself (a 4xx other than rate limiting or a closed window):
+   * sending it again won't help
+   */
+  isRejected(error) {
+    const status = error.response?.status;
+    return status >= 400 && status < 500 && status !== 429 && !this.isWindowError(error);
+  }
+
+  /**
+   * Text message to send instead of an interactive one YCloud rejected (bad list or buttons):
+   * the caller's fallbackText, else the message's own text and options
+   */
+  buildTextPayload(payload, fallbackText = null) {
+    return {
+      from: payload.from,
+      to: payload.to,
+      type: 'text',
+      text: { body: (fallbackText || this.messageText(payload)).substring(0, 4096) }
+    };
+  }
+
+  /**
+   * Template payload for a message that can no longer be sent free-form, or null if none is configured.
+   * template: { name, params, language } from the caller, else the configured fallback template.
+   */
+  buildTemplatePayload(payload, template = null) {
+    const name = template?.name || this.fallbackTemplate;
+    if (!name) {
+      return null;
+    }
+
+    const params = template?.params || [this.flattenText(payload)];
+
+    return {
+      from: payload.from,
+      to: payload.to,
+      type: 'template',
+      template: {
+        name,
+        language: { code: template?.language || this.templateLanguage },
+        components: [{
+          type: 'body',
+          parameters: params.map(text => ({ type: 'text', text: String(text) }))
+        }]
+      }
+    };
+  }
+
+  async getStats() {
+    const counts = await this.queue.getJobCounts('waiting', 'active', 'delayed', 'completed', 'failed');
+    return {
+      ...counts,
+      concurrency: config.get('ycloud.outbox.concurrency'),
+      messagesPerSecond: config.get('ycloud.outbox.messagesPerSecond')
+    };
+  }
+}
+
+module.exports = new WhatsAppOutbox();
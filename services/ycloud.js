@@ -3,6 +3,8 @@
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const whatsappOutbox = require('./whatsappOutbox');
+const whatsappDelivery = require('./whatsappDelivery');
 
 class YCloudService {
   constructor() {
@@ -17,6 +19,51 @@ class YCloudService {
       },
       timeout: 30000
     });
+    this.typingDelays = true;
+    this.queueOutbound = config.get('ycloud.outbox.enabled');
+    this.trackDelivery = true;
+  }
+
+  // 🎯 TRANSPORT OVERRIDE (conversation simulator)
+  // transport must implement post(url, payload) -> { status, data: { id } }
+  // Messages skip the outbound queue so they are captured in order, straight away.
+  useTransport(transport, { typingDelays = false } = {}) {
+    this.client = transport;
+    this.typingDelays = typingDelays;
+    this.queueOutbound = false;
+    this.trackDelivery = false;
+  }
+
+  // 🎯 OUTBOUND DISPATCH
+  // Queued by default (ordering per recipient, throughput limit, retries, template
+  // fallback once the 24-hour window has closed). options.direct sends inline.
+  // Returns the YCloud message id, or the outbox job id when queued (whatsapp_messages.outbox_job_id).
+  async dispatch(payload, options = {}) {
+    if (this.queueOutbound && !options.direct) {
+      return whatsappOutbox.enqueue(payload, {
+        delayMs: options.delayMs,
+        template: options.template,
+        fallbackText: options.fallbackText
+      });
+    }
+
+    return this.deliver(payload);
+  }
+
+  // Raw send used inline and by workers/whatsappOutbound.js; returns the message id or throws.
+  // Sent messages are logged so status webhooks can be matched to them.
+  async deliver(payload, meta = {}) {
+    const response = await this.client.post('/v2/whatsapp/messages/sendDirectly', payload);
+
+    if (response.status !== 200) {
+      throw new Error(`Unexpected response status: ${response.status}`);
+    }
+
+    if (this.trackDelivery) {
+      await whatsappDelivery.recordSent(response.data.id, payload, meta);
+    }
+
+    return response.data.id;
   }
 
   // 🎯 TYPING INDICATOR
@@ -88,17 +135,13 @@ class YCloudService {
         buttonCount: limitedButtons.length 
       });
 
-      const response = await this.client.post('/v2/whatsapp/messages/sendDirectly', payload);
-      
-      if (response.status === 200) {
-        logger.info('YCloud interactive buttons sent successfully', { 
-          to: cleanTo, 
-          messageId: response.data.id 
-        });
-        return response.data.id;
-      }
-      
-      throw new Error(`Unexpected response status: ${response.status}`);
+      const messageId = await this.dispatch(payload, options);
+
+      logger.info('YCloud interactive buttons sent successfully', { 
+        to: cleanTo, 
+        messageId
+      });
+      return messageId;
       
     } catch (error) {
       logger.error('YCloud interactive buttons failed', { 
@@ -108,8 +151,9 @@ class YCloudService {
         data: error.response?.data
       });
       
-      // Fallback to text message
-      const fallbackText = `${header ? header + '\n\n' : ''}${body}\n\n${buttons.map((btn, i) => `${i + 1}. ${btn.title}`).join('\n')}`;
+      // Fallback to text message (options.fallbackText when button titles alone can't be acted on)
+      const fallbackText = options.fallbackText ||
+        `${header ? header + '\n\n' : ''}${body}\n\n${buttons.map((btn, i) => `${i + 1}. ${btn.title}`).join('\n')}`;
       return await this.sendTextMessage(to, fallbackText);
     }
   }
@@ -178,17 +222,13 @@ class YCloudService {
         rows: validSections.reduce((sum, s) => sum + s.rows.length, 0)
       });
 
-      const response = await this.client.post('/v2/whatsapp/messages/sendDirectly', payload);
-      
-      if (response.status === 200) {
-        logger.info('YCloud interactive list sent successfully', { 
-          to: cleanTo, 
-          messageId: response.data.id 
-        });
-        return response.data.id;
-      }
-      
-      throw new Error(`Unexpected response status: ${response.status}`);
+      const messageId = await this.dispatch(payload, options);
+
+      logger.info('YCloud interactive list sent successfully', { 
+        to: cleanTo, 
+        messageId
+      });
+      return messageId;
       
     } catch (error) {
       logger.error('YCloud interactive list failed', { 
@@ -364,38 +404,33 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
     }
   }
 
-  // 🎯 PAYMENT ACTION BUTTONS
-  async sendPaymentActionButtons(to, paymentUrl, jobCount = 0) {
+  // 🎯 PAYMENT METHOD BUTTONS
+  // Card, bank transfer or USSD for a catalog product; labels and fallback are already translated.
+  // Without buttons the user gets `fallback`: how to pay by typing instead.
+  async sendPaymentActionButtons(to, { header, body, productCode = 'daily', labels, fallback }) {
+    const fallbackText = `${header}\n\n${body}\n\n${fallback}`;
+
     try {
       const buttons = [
         {
-          id: 'pay_now',
-          title: '💳 Pay ₦300'
+          id: `pay_card_${productCode}`,
+          title: labels.card
+        },
+        {
+          id: 'pay_transfer',
+          title: labels.transfer
         },
         {
-          id: 'show_free_preview',
-          title: '👀 Free Preview'
+          id: `pay_ussd_${productCode}`,
+          title: labels.ussd
         }
       ];
-      
-      if (jobCount > 0) {
-        buttons.push({
-          id: 'search_more',
-          title: '🔍 Search More'
-        });
-      }
-      
-      const header = 'Payment Required';
-      const body = jobCount > 0 ? 
-        `Found ${jobCount} jobs! Pay ₦300 to see full details and apply with AI cover letters.` :
-        'Pay ₦300 for premium job search with AI-powered applications.';
-      
-      return await this.sendInteractiveButtonMessage(to, header, body, buttons);
+
+      return await this.sendInteractiveButtonMessage(to, header, body, buttons, { fallbackText });
       
     } catch (error) {
-      logger.error('Payment action buttons failed', { to, error: error.message });
-      // Send text with payment link as fallback
-      return await this.sendTextMessage(to, `${body}\n\nPay here: ${paymentUrl}`);
+      logger.error('Payment action buttons failed', { to, productCode, error: error.message });
+      return await this.sendTextMessage(to, fallbackText);
     }
   }
 
@@ -445,11 +480,8 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
         delay = Math.min(typingDuration, 25000);
       }
 
-      if (delay > 0) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-
-      return await this.sendTextMessage(to, text);
+      // Queued messages are delayed in the queue rather than holding up the request
+      return await this.sendTextMessage(to, text, { typingDelay: delay });
       
     } catch (error) {
       logger.error('Send message with typing failed', { to, error: error.message });
@@ -461,9 +493,9 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
   async sendTextMessage(to, text, options = {}) {
     try {
       const cleanTo = this.formatPhoneNumber(to);
+      const delay = options.typingDelay && this.typingDelays ? Math.min(options.typingDelay, 25000) : 0;
       
-      if (options.typingDelay) {
-        const delay = Math.min(options.typingDelay, 25000);
+      if (delay > 0 && (!this.queueOutbound || options.direct)) {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
       
@@ -478,14 +510,10 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
 
       logger.info('Sending YCloud text message', { to: cleanTo, textLength: text.length });
 
-      const response = await this.client.post('/v2/whatsapp/messages/sendDirectly', payload);
-      
-      if (response.status === 200) {
-        logger.info('YCloud message sent successfully', { to: cleanTo, messageId: response.data.id });
-        return true;
-      }
-      
-      return false;
+      const messageId = await this.dispatch(payload, { ...options, delayMs: delay });
+
+      logger.info('YCloud message sent successfully', { to: cleanTo, messageId });
+      return messageId;
       
     } catch (error) {
       logger.error('YCloud message failed', { to, error: error.message });
@@ -495,37 +523,49 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
 
   // 🎯 DOCUMENT DOWNLOAD (UNCHANGED)
   async downloadDocument(document) {
+    return this.downloadMedia(document, { kind: 'document' });
+  }
+
+  // 🎯 VOICE NOTE DOWNLOAD (WhatsApp allows audio up to 16MB)
+  async downloadAudio(audio) {
+    const result = await this.downloadMedia(audio, { kind: 'audio', maxSize: 16 * 1024 * 1024 });
+    return { ...result, filename: result.filename || 'voice.ogg' };
+  }
+
+  // Shared by documents and audio: direct link first, then the media API
+  async downloadMedia(media, { kind = 'document', maxSize = 5 * 1024 * 1024 } = {}) {
     try {
-      logger.info('Starting YCloud document download', {
-        hasLink: !!document.link,
-        hasId: !!document.id,
-        filename: document.filename
+      logger.info(`Starting YCloud ${kind} download`, {
+        hasLink: !!media.link,
+        hasId: !!media.id,
+        filename: media.filename
       });
 
       let fileBuffer;
       let downloadMethod = 'none';
 
-      if (document.link) {
+      if (media.link) {
         try {
-          const response = await axios.get(document.link, {
+          const response = await axios.get(media.link, {
             headers: { 'X-API-Key': this.apiKey },
             responseType: 'arraybuffer',
             timeout: 30000,
-            maxContentLength: 5 * 1024 * 1024
+            maxContentLength: maxSize
           });
 
           fileBuffer = Buffer.from(response.data);
           downloadMethod = 'direct_link';
           
-          logger.info('Document downloaded via direct link', {
+          logger.info('Media downloaded via direct link', {
+            kind,
             size: fileBuffer.length,
-            filename: document.filename
+            filename: media.filename
           });
 
           return {
             buffer: fileBuffer,
-            filename: document.filename,
-            mimeType: response.headers['content-type'] || document.mime_type,
+            filename: media.filename,
+            mimeType: response.headers['content-type'] || media.mime_type,
             size: fileBuffer.length,
             method: downloadMethod
           };
@@ -535,30 +575,31 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
         }
       }
 
-      if (document.id) {
+      if (media.id) {
         try {
-          const mediaInfoResponse = await this.client.get(`/v2/whatsapp/media/${document.id}`);
+          const mediaInfoResponse = await this.client.get(`/v2/whatsapp/media/${media.id}`);
           
           if (mediaInfoResponse.data && mediaInfoResponse.data.url) {
             const response = await axios.get(mediaInfoResponse.data.url, {
               headers: { 'X-API-Key': this.apiKey },
               responseType: 'arraybuffer',
               timeout: 30000,
-              maxContentLength: 5 * 1024 * 1024
+              maxContentLength: maxSize
             });
 
             fileBuffer = Buffer.from(response.data);
             downloadMethod = 'media_api';
             
-            logger.info('Document downloaded via media API', {
+            logger.info('Media downloaded via media API', {
+              kind,
               size: fileBuffer.length,
-              filename: document.filename
+              filename: media.filename
             });
 
             return {
               buffer: fileBuffer,
-              filename: document.filename,
-              mimeType: response.headers['content-type'] || document.mime_type,
+              filename: media.filename,
+              mimeType: response.headers['content-type'] || media.mime_type,
               size: fileBuffer.length,
               method: downloadMethod
             };
@@ -571,7 +612,7 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
       throw new Error('All YCloud download methods failed');
 
     } catch (error) {
-      logger.error('YCloud document download completely failed', { error: error.message });
+      logger.error(`YCloud ${kind} download completely failed`, { error: error.message });
       throw error;
     }
   }
@@ -580,13 +621,15 @@ async sendJobNavigationButtons(to, currentPage, totalPages, hasSelection = false
     const allowedTypes = [
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
+      'application/msword',
+      'image/jpeg',
+      'image/png'
     ];
 
     const mimeType = document.mime_type;
     
     if (!allowedTypes.includes(mimeType)) {
-      throw new Error(`Unsupported file type: ${mimeType}. Please send PDF or DOCX files only.`);
+      throw new Error(`Unsupported file type: ${mimeType}. Please send a PDF, DOCX or a photo of your CV.`);
     }
 
     if (buffer.length > 5 * 1024 * 1024) {
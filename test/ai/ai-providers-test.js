@@ -0,0 +1,225 @@
+// test/ai/ai-providers-test.js - Provider fallback, circuit breakers and the offline mock provider
+//
+// Run: npm run test:ai  (usage counters in Redis are stubbed)
+
+const assert = require('assert');
+const { test, beforeEach, afterEach } = require('node:test');
+
+const { redis } = require('../../config/redis');
+const aiProviders = require('../../services/aiProviders');
+const { MockProvider } = require('../../services/aiProviders');
+
+const messages = [{ role: 'user', content: 'accountant jobs in Lagos' }];
+
+// Scripted provider: each call takes the next outcome, an Error is thrown
+const fakeProvider = (name, outcomes = []) => ({
+  name,
+  defaultModel: `${name}-model`,
+  calls: [],
+  isConfigured: () => true,
+  async complete(messages, options) {
+    this.calls.push(options);
+    const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+    if (outcome instanceof Error) throw outcome;
+    return { content: outcome || `${name} reply`, usage: { promptTokens: 10, completionTokens: 5 } };
+  }
+});
+
+const multi = redis.multi;
+const saved = {};
+
+beforeEach(() => {
+  Object.assign(saved, {
+    providers: aiProviders.providers,
+    breakers: aiProviders.breakers,
+    order: aiProviders.order,
+    mockMode: aiProviders.mockMode,
+    taskModels: aiProviders.taskModels,
+    breakerThreshold: aiProviders.breakerThreshold
+  });
+
+  aiProviders.providers = new Map();
+  aiProviders.breakers = new Map();
+  aiProviders.mockMode = false;
+  aiProviders.taskModels = {};
+  aiProviders.breakerThreshold = 2;
+
+  const pipeline = { hincrby: () => pipeline, hincrbyfloat: () => pipeline, expire: () => pipeline, exec: async () => [] };
+  redis.multi = () => pipeline;
+});
+
+afterEach(() => {
+  Object.assign(aiProviders, saved);
+  redis.multi = multi;
+});
+
+const useProviders = (...providers) => {
+  providers.forEach(provider => aiProviders.register(provider));
+  aiProviders.order = providers.map(provider => provider.name);
+};
+
+// ================================
+// FALLBACK CHAIN
+// ================================
+
+test('a failing provider falls through to the next one', async () => {
+  const together = fakeProvider('together', [new Error('503')]);
+  const mistral = fakeProvider('mistral');
+  useProviders(together, mistral);
+
+  const result = await aiProviders.complete(messages, { task: 'intent' });
+
+  assert.strictEqual(result.provider, 'mistral');
+  assert.strictEqual(result.model, 'mistral-model');
+  assert.strictEqual(result.content, 'mistral reply');
+  assert.strictEqual(together.calls.length, 1);
+});
+
+test('the last error is thrown when every provider fails', async () => {
+  useProviders(fakeProvider('together', [new Error('503')]), fakeProvider('mistral', [new Error('timeout')]));
+
+  await assert.rejects(aiProviders.complete(messages), /timeout/);
+});
+
+test('unconfigured providers are left out of the chain', async () => {
+  const together = { ...fakeProvider('together'), isConfigured: () => false };
+  useProviders(together, fakeProvider('mistral'));
+
+  assert.deepStrictEqual(aiProviders.getProviderChain('intent'), ['mistral']);
+
+  aiProviders.order = ['together'];
+  await assert.rejects(aiProviders.complete(messages), /No AI providers configured/);
+});
+
+test('a preferred provider and task override go first, without duplicates', () => {
+  useProviders(fakeProvider('together'), fakeProvider('mistral'), fakeProvider('openai'));
+  aiProviders.taskModels = aiProviders.parseTaskModels('cover_letter=mistral:mistral-large');
+
+  assert.deepStrictEqual(aiProviders.getProviderChain('cover_letter'), ['mistral', 'together', 'openai']);
+  assert.deepStrictEqual(aiProviders.getProviderChain('cover_letter', 'openai'), ['openai', 'mistral', 'together']);
+  assert.strictEqual(aiProviders.getModel('cover_letter', 'mistral'), 'mistral-large');
+  assert.strictEqual(aiProviders.getModel('intent', 'mistral'), 'mistral-model');
+});
+
+test('malformed task overrides are ignored', () => {
+  assert.deepStrictEqual(aiProviders.parseTaskModels('intent=mistral; cover_letter=together:Qwen/Qwen2.5-72B;bad'), {
+    cover_letter: { provider: 'together', model: 'Qwen/Qwen2.5-72B' }
+  });
+});
+
+test('task defaults apply unless the caller overrides them', async () => {
+  const together = fakeProvider('together');
+  useProviders(together);
+
+  await aiProviders.complete(messages, { task: 'cover_letter' });
+  await aiProviders.complete(messages, { task: 'ats_analysis', temperature: 0 });
+  await aiProviders.complete(messages, { task: 'not_a_task' });
+
+  assert.deepStrictEqual(together.calls.map(({ task, maxTokens, temperature }) => ({ task, maxTokens, temperature })), [
+    { task: 'cover_letter', maxTokens: 1500, temperature: 0.7 },
+    { task: 'ats_analysis', maxTokens: 800, temperature: 0 },
+    { task: 'default', maxTokens: 800, temperature: 0.6 }
+  ]);
+});
+
+// ================================
+// CIRCUIT BREAKER
+// ================================
+
+test('the circuit opens after the threshold and the provider is skipped', async () => {
+  const together = fakeProvider('together', [new Error('503')]);
+  const mistral = fakeProvider('mistral');
+  useProviders(together, mistral);
+
+  await aiProviders.complete(messages);
+  await aiProviders.complete(messages);
+  assert.strictEqual(aiProviders.breakers.get('together').state, 'open');
+
+  await aiProviders.complete(messages);
+  assert.strictEqual(together.calls.length, 2);
+  assert.strictEqual(mistral.calls.length, 3);
+});
+
+test('after the cooldown one trial call closes the circuit again', async () => {
+  const together = fakeProvider('together', [new Error('503'), new Error('503'), 'back up']);
+  useProviders(together, fakeProvider('mistral'));
+
+  await aiProviders.complete(messages);
+  await aiProviders.complete(messages);
+  aiProviders.breakers.get('together').openedAt = Date.now() - aiProviders.breakerCooldownMs;
+
+  const result = await aiProviders.complete(messages);
+
+  assert.strictEqual(result.content, 'back up');
+  assert.strictEqual(aiProviders.breakers.get('together').state, 'closed');
+  assert.strictEqual(aiProviders.breakers.get('together').failures, 0);
+});
+
+test('a failed trial call reopens the circuit at once', async () => {
+  useProviders(fakeProvider('together', [new Error('503')]), fakeProvider('mistral'));
+  aiProviders.breakerThreshold = 5;
+
+  const breaker = aiProviders.breakers.get('together');
+  Object.assign(breaker, { state: 'open', failures: 5, openedAt: Date.now() - aiProviders.breakerCooldownMs });
+
+  await aiProviders.complete(messages);
+
+  assert.strictEqual(breaker.state, 'open');
+  assert.ok(Date.now() - breaker.openedAt < aiProviders.breakerCooldownMs);
+});
+
+// ================================
+// MOCK PROVIDER
+// ================================
+
+test('mock mode only uses the mock provider and estimates usage', async () => {
+  aiProviders.register(new MockProvider());
+  useProviders(fakeProvider('together'));
+  aiProviders.mockMode = true;
+
+  const result = await aiProviders.complete(messages, { task: 'intent' });
+
+  assert.strictEqual(result.provider, 'mock');
+  assert.strictEqual(result.costUsd, 0);
+  assert.strictEqual(result.usage.estimated, true);
+});
+
+test('mock intents: search, clarify and chat', async () => {
+  const mock = new MockProvider();
+  const intent = async text => JSON.parse((await mock.complete([{ role: 'user', content: text }], { task: 'intent' })).content);
+
+  assert.deepStrictEqual((await intent('Accountant jobs in Port Harcourt')).filters,
+    { title: 'accounting_finance', location: 'Port Harcourt', remote: false });
+  assert.deepStrictEqual((await intent('remote developer roles')).filters,
+    { title: 'it_software', location: null, remote: true });
+  assert.strictEqual((await intent('nurse')).action, 'clarify');
+  assert.strictEqual((await intent('hello')).action, 'chat');
+});
+
+test('mock replies are the same every time', async () => {
+  const mock = new MockProvider();
+  const prompt = [{ role: 'user', content: 'Position: Sales Executive\nCompany: Jumia\nApplicant: Ada Obi' }];
+
+  const first = await mock.complete(prompt, { task: 'cover_letter' });
+  const second = await mock.complete(prompt, { task: 'cover_letter' });
+
+  assert.strictEqual(first.content, second.content);
+  assert.ok(first.content.includes('Sales Executive position at Jumia'));
+  assert.ok(first.content.endsWith('Ada Obi'));
+});
+
+test('mock CV extraction reads name, email and phone', async () => {
+  const mock = new MockProvider();
+  const { content } = await mock.complete([{
+    role: 'user',
+    content: 'Extract the details.\nCV TEXT:\nChiamaka Eze\nchiamaka.eze@example.com | 08031234567'
+  }], { task: 'cv_extraction' });
+
+  assert.deepStrictEqual(JSON.parse(content), {
+    name: 'Chiamaka Eze',
+    email: 'chiamaka.eze@example.com',
+    phone: '08031234567',
+    confidence: 0.5,
+    nameLocation: 'top_of_document'
+  });
+});
@@ -0,0 +1,101 @@
+// test/alerts/job-alerts-test.js - Reading job alert requests and describing saved alerts
+//
+// Run: npm run test:alerts  (obvious roles classify without AI; other classifier results are stubbed)
+
+const assert = require('assert');
+const { test, afterEach } = require('node:test');
+
+const jobAlerts = require('../../services/jobAlerts');
+const { COMMAND_WORDS } = require('../../services/jobAlerts');
+
+const stripCommand = text => text.toLowerCase().replace(COMMAND_WORDS, ' ').replace(/\s+/g, ' ').trim();
+
+const classifier = jobAlerts.classifier;
+
+afterEach(() => {
+  jobAlerts.classifier = classifier;
+});
+
+const classifyAs = result => {
+  const queries = [];
+  jobAlerts.classifier = {
+    classifyJobQuery: async query => {
+      queries.push(query);
+      return result;
+    }
+  };
+  return queries;
+};
+
+// ================================
+// COMMAND WORDS
+// ================================
+
+test('command words around the query are dropped', () => {
+  assert.strictEqual(stripCommand('Alert me for accountant jobs in Abuja'), 'accountant jobs in abuja');
+  assert.strictEqual(stripCommand('please set a job alert for nurse Lagos'), 'nurse lagos');
+  assert.strictEqual(stripCommand('notify me when there are new driver jobs'), 'driver jobs');
+  assert.strictEqual(stripCommand('let me know about remote developer roles'), 'remote developer roles');
+});
+
+test('command words only match whole words', () => {
+  assert.strictEqual(stripCommand('alert me for a marketing manager job'), 'marketing manager');
+  assert.strictEqual(stripCommand('alert me for forklift operator'), 'forklift operator');
+});
+
+// ================================
+// PARSING REQUESTS
+// ================================
+
+test('obvious roles are read without the AI', async () => {
+  const parsed = await jobAlerts.parseRequest('Alert me for accountant jobs in Abuja');
+
+  assert.strictEqual(parsed.category, 'accounting_finance');
+  assert.strictEqual(parsed.location, 'Abuja');
+  assert.strictEqual(parsed.query, 'accountant jobs in abuja');
+});
+
+test('the classifier only sees the query', async () => {
+  const queries = classifyAs({ jobType: 'it_software', jobLabel: 'IT & Software', location: null, source: 'ai_classification' });
+
+  const parsed = await jobAlerts.parseRequest('please notify me about backend roles');
+
+  assert.deepStrictEqual(queries, ['backend roles']);
+  assert.deepStrictEqual(parsed, { category: 'it_software', label: 'IT & Software', location: null, query: 'backend roles' });
+});
+
+test('an unknown role with a location is an alert for any job there', async () => {
+  classifyAs({ jobType: 'other_general', jobLabel: 'General Jobs', location: 'Kano', source: 'fallback' });
+
+  assert.deepStrictEqual(await jobAlerts.parseRequest('alert me for anything in Kano'),
+    { category: null, label: 'All jobs', location: 'Kano', query: 'anything in kano' });
+});
+
+test('requests with nothing to watch for are unclear', async () => {
+  const queries = classifyAs({ jobType: 'other_general', location: null, source: 'fallback' });
+
+  assert.strictEqual(await jobAlerts.parseRequest('alert me'), null);
+  assert.strictEqual(await jobAlerts.parseRequest('alert me for something'), null);
+  assert.deepStrictEqual(queries, ['something']);
+});
+
+test('long queries are cut to 200 characters', async () => {
+  classifyAs({ jobType: 'it_software', jobLabel: 'IT & Software', location: null, source: 'ai_classification' });
+
+  const parsed = await jobAlerts.parseRequest(`alert me for ${'software '.repeat(40)}`);
+  assert.strictEqual(parsed.query.length, 200);
+});
+
+// ================================
+// DESCRIPTIONS
+// ================================
+
+test('alerts are described in the user\'s language', () => {
+  const accountant = { category: 'accounting_finance', category_label: 'Accounting & Finance', location: 'Abuja' };
+  const anyJob = { category: null, category_label: 'All jobs', location: null };
+
+  assert.strictEqual(jobAlerts.describe(accountant, 'en'), 'Accounting & Finance in Abuja');
+  assert.strictEqual(jobAlerts.describe(anyJob, 'en'), 'All jobs anywhere');
+  assert.strictEqual(jobAlerts.describe(accountant, 'yo'), 'Accounting & Finance ní Abuja');
+  assert.strictEqual(jobAlerts.describe(anyJob, 'ha'), 'Duk ayyuka a ko\'ina');
+});
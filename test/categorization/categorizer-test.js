@@ -0,0 +1,99 @@
+// test/categorization/categorizer-test.js - Category scoring and confidence for stored jobs
+//
+// Run: npm run test:categorization
+//
+// When the rules change, bump the categorizer version and adjust the expectations here.
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const jobCategorizer = require('../../services/jobCategorizer');
+
+// ================================
+// CATEGORY
+// ================================
+
+test('title decides the category', () => {
+  assert.strictEqual(jobCategorizer.categorize({ title: 'Accountant' }).category, 'accounting_finance');
+  assert.strictEqual(jobCategorizer.categorize({ title: 'Dispatch Rider' }).category, 'transport_driving');
+  assert.strictEqual(jobCategorizer.categorize({ title: 'Front Desk Officer' }).category, 'admin_office');
+  assert.strictEqual(jobCategorizer.categorize({ title: 'DevOps Engineer' }).category, 'it_software');
+});
+
+test('title beats a wrong declared category', () => {
+  const result = jobCategorizer.categorize({
+    title: 'Business Development Manager',
+    declared_category: 'healthcare_medical',
+    source: 'jobberman'
+  });
+
+  assert.strictEqual(result.category, 'marketing_sales');
+});
+
+test('manager only counts when nothing more specific is in the title', () => {
+  assert.strictEqual(jobCategorizer.categorize({ title: 'Sales Manager' }).category, 'marketing_sales');
+  assert.strictEqual(jobCategorizer.categorize({ title: 'General Manager' }).category, 'management_executive');
+});
+
+test('recruiter category wins when the title says nothing', () => {
+  const result = jobCategorizer.categorize({
+    title: 'Graduate Trainee',
+    declared_category: 'education_training',
+    source: 'free_website_form'
+  });
+
+  assert.strictEqual(result.category, 'education_training');
+  assert.ok(!result.needsReview);
+});
+
+test('description html is ignored', () => {
+  const result = jobCategorizer.categorize({
+    title: 'Officer',
+    description: '<p class="sales">We need a <strong>nurse</strong> for our hospital</p>'
+  });
+
+  assert.strictEqual(result.category, 'healthcare_medical');
+  assert.ok(!('marketing_sales' in result.scores));
+});
+
+// ================================
+// CONFIDENCE
+// ================================
+
+test('agreeing signals give full confidence', () => {
+  const result = jobCategorizer.categorize({
+    title: 'Senior Accountant',
+    description: 'Prepare financial statements and support the annual audit.',
+    declared_category: 'accounting_finance',
+    source: 'jobberman'
+  });
+
+  assert.strictEqual(result.confidence, 1);
+  assert.strictEqual(result.version, jobCategorizer.version);
+  assert.ok(!result.needsReview);
+});
+
+test('ambiguous titles are flagged for review', () => {
+  const result = jobCategorizer.categorize({ title: 'Account Manager' });
+
+  assert.ok(result.confidence < jobCategorizer.reviewThreshold);
+  assert.ok(result.needsReview);
+});
+
+test('no signal falls back to other_general with zero confidence', () => {
+  const result = jobCategorizer.categorize({ title: 'Graduate Trainee', declared_category: 'other_general' });
+
+  assert.strictEqual(result.category, 'other_general');
+  assert.strictEqual(result.confidence, 0);
+  assert.ok(result.needsReview);
+});
+
+test('prepare keeps the incoming category as the declared one', () => {
+  const job = { title: 'Accountant', category: 'healthcare_medical', source: 'jobberman' };
+  jobCategorizer.prepare(job);
+
+  assert.strictEqual(job.declared_category, 'healthcare_medical');
+  assert.strictEqual(job.category, 'accounting_finance');
+  assert.strictEqual(job.category_version, jobCategorizer.version);
+  assert.ok(job.category_confidence > 0 && job.category_confidence < 1);
+});
@@ -0,0 +1,129 @@
+// test/embeddings/embeddings-test.js - Hashed n-gram vectors, cosine similarity and per-CV vector keys
+//
+// Run: npm run test:embeddings  (database calls are stubbed)
+
+const assert = require('assert');
+const { test, afterEach } = require('node:test');
+
+const dbManager = require('../../config/database');
+const embeddings = require('../../services/embeddings');
+const { HashedNgramProvider } = require('../../services/embeddings');
+
+const provider = new HashedNgramProvider(256);
+const norm = vector => Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+
+// In-memory embeddings table for the vector store tests
+const query = dbManager.query;
+let rows;
+let embedCalls;
+
+const useMemoryStore = () => {
+  rows = new Map();
+  embedCalls = 0;
+
+  const embedText = embeddings.embedText;
+  embeddings.embedText = async text => {
+    embedCalls++;
+    return embedText.call(embeddings, text);
+  };
+
+  dbManager.query = async (sql, [entityType, entityId, model, vector, contentHash]) => {
+    const key = `${entityType}|${entityId}|${model}`;
+    if (/^\s*SELECT/.test(sql)) {
+      return { rows: rows.has(key) ? [rows.get(key)] : [] };
+    }
+    rows.set(key, { vector, content_hash: contentHash });
+    return { rows: [] };
+  };
+};
+
+afterEach(() => {
+  dbManager.query = query;
+  delete embeddings.embedText;
+});
+
+// ================================
+// HASHED N-GRAMS
+// ================================
+
+test('vectors are unit length and the same text always gives the same vector', async () => {
+  const a = await provider.embed('Senior accountant with IFRS and audit experience');
+  const b = await provider.embed('Senior accountant with IFRS and audit experience');
+
+  assert.strictEqual(a.length, 256);
+  assert.ok(Math.abs(norm(a) - 1) < 1e-9);
+  assert.deepStrictEqual(a, b);
+});
+
+test('stopwords, punctuation and case are ignored', () => {
+  assert.deepStrictEqual(provider.tokenize('The Accountant, for YOUR team!'), ['accountant', 'team']);
+  assert.deepStrictEqual(provider.tokenize(''), []);
+});
+
+test('empty text gives a zero vector instead of dividing by zero', async () => {
+  const vector = await provider.embed('');
+  assert.ok(vector.every(v => v === 0));
+});
+
+test('the hash is 32-bit FNV-1a', () => {
+  assert.strictEqual(provider.hash(''), 0x811c9dc5);
+  assert.strictEqual(provider.hash('a'), 0xe40c292c);
+});
+
+test('related roles score higher than unrelated ones', async () => {
+  const cv = await provider.embed('Chartered accountant: financial reporting, audit, tax and accounts payable');
+  const accounts = await provider.embed('Accounts officer for financial reporting and tax returns');
+  const driver = await provider.embed('Delivery driver with a valid licence for Lagos routes');
+
+  assert.ok(embeddings.cosineSimilarity(cv, accounts) > embeddings.cosineSimilarity(cv, driver));
+});
+
+// ================================
+// COSINE SIMILARITY
+// ================================
+
+test('cosine similarity of a vector with itself is 1 and with its opposite is -1', () => {
+  assert.ok(Math.abs(embeddings.cosineSimilarity([1, 2, 3], [1, 2, 3]) - 1) < 1e-9);
+  assert.ok(Math.abs(embeddings.cosineSimilarity([1, 2, 3], [-1, -2, -3]) + 1) < 1e-9);
+  assert.strictEqual(embeddings.cosineSimilarity([1, 0], [0, 1]), 0);
+});
+
+test('missing, mismatched and zero vectors are not similar', () => {
+  assert.strictEqual(embeddings.cosineSimilarity(null, [1, 0]), 0);
+  assert.strictEqual(embeddings.cosineSimilarity([1, 0], undefined), 0);
+  assert.strictEqual(embeddings.cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  assert.strictEqual(embeddings.cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+// ================================
+// CV VECTORS
+// ================================
+
+test('CV vectors are kept per CV, not per user', async () => {
+  useMemoryStore();
+
+  await embeddings.getCvVector('Accountant CV', 11);
+  await embeddings.getCvVector('Sales CV', 12);
+  assert.strictEqual(rows.size, 2);
+
+  // Running the preferences again reuses both vectors
+  await embeddings.getCvVector('Accountant CV', 11);
+  await embeddings.getCvVector('Sales CV', 12);
+  assert.strictEqual(embedCalls, 2);
+});
+
+test('a changed CV is embedded again under the same profile', async () => {
+  useMemoryStore();
+
+  await embeddings.getCvVector('Accountant CV', 11);
+  await embeddings.getCvVector('Accountant CV, now with ICAN', 11);
+
+  assert.strictEqual(rows.size, 1);
+  assert.strictEqual(embedCalls, 2);
+});
+
+test('CVs without a profile are keyed by their text', () => {
+  assert.strictEqual(embeddings.cvEntityId('Accountant CV', 11), 'profile:11');
+  assert.strictEqual(embeddings.cvEntityId('Accountant CV'), `text:${embeddings.contentHash('Accountant CV')}`);
+  assert.notStrictEqual(embeddings.cvEntityId('Accountant CV'), embeddings.cvEntityId('Sales CV'));
+});
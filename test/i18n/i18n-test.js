@@ -0,0 +1,120 @@
+// test/i18n/i18n-test.js - Message catalogs, language detection and local job/place keywords
+//
+// Run: npm run test:i18n
+//
+// Every catalog must have the English keys with the same {placeholders}.
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const {
+  LANGUAGES,
+  catalogs,
+  translate,
+  detectLanguage,
+  parseLanguageName,
+  matchJobType,
+  matchLocation
+} = require('../../utils/locales');
+
+const placeholders = text => (text.match(/\{\w+\}/g) || []).sort().join(',');
+
+// Characters, not UTF-16 units, so an emoji counts once
+const length = text => Array.from(text).length;
+
+// ================================
+// CATALOGS
+// ================================
+
+test('every language has a catalog', () => {
+  assert.deepStrictEqual(Object.keys(catalogs).sort(), Object.keys(LANGUAGES).sort());
+});
+
+test('catalogs have the English keys and placeholders', () => {
+  const english = catalogs.en;
+
+  for (const [language, catalog] of Object.entries(catalogs)) {
+    for (const key of Object.keys(english)) {
+      assert.ok(catalog[key], `${language} is missing ${key}`);
+      assert.strictEqual(placeholders(catalog[key]), placeholders(english[key]), `${language} ${key} placeholders`);
+    }
+    for (const key of Object.keys(catalog)) {
+      assert.ok(english[key] !== undefined, `${language} has unknown key ${key}`);
+    }
+  }
+});
+
+test('list rows and buttons fit WhatsApp limits', () => {
+  const rowTitles = ['jobs.applyRow', 'jobs.prevRow', 'jobs.nextRow', 'options.applyTitle',
+    'options.reviewTitle', 'options.moreTitle', 'options.clearTitle'];
+  const buttons = ['language.button', 'menu.listButton', 'jobs.listButton', 'options.button'];
+
+  for (const [language, catalog] of Object.entries(catalogs)) {
+    rowTitles.forEach(key => assert.ok(length(translate(language, key, { number: 8 })) <= 24, `${language} ${key}`));
+    buttons.forEach(key => assert.ok(length(catalog[key]) <= 20, `${language} ${key}`));
+  }
+});
+
+test('translate fills placeholders and falls back', () => {
+  assert.strictEqual(translate('en', 'jobs.notFound', { number: 4 }), 'Job 4 not found.');
+  assert.strictEqual(translate('yo', 'jobs.notFound', { number: 4 }), 'Mi ò rí iṣẹ́ 4.');
+  assert.strictEqual(translate('fr', 'jobs.notFound', { number: 4 }), 'Job 4 not found.');
+  assert.strictEqual(translate('ha', 'no.such.key'), 'no.such.key');
+});
+
+// ================================
+// DETECTION
+// ================================
+
+test('detects Pidgin, Yoruba, Hausa and Igbo', () => {
+  assert.strictEqual(detectLanguage('Abeg I wan find driver work for Lagos'), 'pcm');
+  assert.strictEqual(detectLanguage('mo fẹ́ iṣẹ́ awakọ̀ ni Eko'), 'yo');
+  assert.strictEqual(detectLanguage('ina neman aiki a Kano'), 'ha');
+  assert.strictEqual(detectLanguage('achọrọ m ọrụ na Enugu'), 'ig');
+});
+
+test('English stays English and short commands are unknown', () => {
+  assert.strictEqual(detectLanguage('I am looking for accountant jobs in Abuja'), 'en');
+  assert.strictEqual(detectLanguage('menu'), null);
+  assert.strictEqual(detectLanguage('apply 1,2'), null);
+  assert.strictEqual(detectLanguage(''), null);
+});
+
+test('language names', () => {
+  assert.strictEqual(parseLanguageName('Yoruba'), 'yo');
+  assert.strictEqual(parseLanguageName('Yorùbá'), 'yo');
+  assert.strictEqual(parseLanguageName('pidgin'), 'pcm');
+  assert.strictEqual(parseLanguageName('Igbo'), 'ig');
+  assert.strictEqual(parseLanguageName('french'), null);
+});
+
+// ================================
+// JOB AND PLACE KEYWORDS
+// ================================
+
+test('local job words map to categories and English titles', () => {
+  assert.deepStrictEqual(matchJobType('mo fẹ́ iṣẹ́ awakọ̀'), {
+    category: 'transport_driving', rawTitle: 'driver', detectedKeyword: 'awako'
+  });
+  assert.strictEqual(matchJobType('ina neman aikin mai gadi').category, 'security_safety');
+  assert.strictEqual(matchJobType('achọrọ m ọrụ onye nkuzi').category, 'education_training');
+  assert.strictEqual(matchJobType('I wan do teacha work').category, 'education_training');
+});
+
+test('longer terms win over the words inside them', () => {
+  assert.strictEqual(matchJobType('iṣẹ́ akọ̀wé owó').category, 'accounting_finance');
+  assert.strictEqual(matchJobType('iṣẹ́ akọ̀wé').category, 'admin_office');
+});
+
+test('job words only match whole words', () => {
+  assert.strictEqual(matchJobType('dynasty records'), null);
+  assert.strictEqual(matchJobType('software developer'), null);
+});
+
+test('local place names map to states', () => {
+  assert.strictEqual(matchLocation('ni Eko'), 'Lagos');
+  assert.strictEqual(matchLocation('for Potakot'), 'Rivers');
+  assert.strictEqual(matchLocation('na Owerri'), 'Imo');
+  assert.strictEqual(matchLocation('I fit work for house'), 'Remote');
+  assert.strictEqual(matchLocation('deko'), null);
+});
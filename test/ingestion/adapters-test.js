@@ -0,0 +1,153 @@
+// test/ingestion/adapters-test.js - Fixture tests for job source adapters, normalization and dedupe
+//
+// Run: npm run test:ingestion
+//
+// Each adapter is parsed against saved pages in test/ingestion/fixtures. When a source changes
+// its markup, save a fresh page over the fixture and update the expectations here.
+
+const assert = require('assert');
+const { test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+
+const jobberman = require('../../services/scrapers/jobberman');
+const myjobmag = require('../../services/scrapers/myjobmag');
+const jobIngestion = require('../../services/jobIngestion');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// ================================
+// JOBBERMAN
+// ================================
+
+test('jobberman: parses listing cards and skips promos', () => {
+  const jobs = jobberman.parseListing(fixture('jobberman-listing.html'), 'https://www.jobberman.com/jobs?page=1');
+
+  assert.strictEqual(jobs.length, 3);
+  assert.deepStrictEqual(jobs[0], {
+    externalId: 'accountant-5w2k3p',
+    title: 'Accountant',
+    company: 'Dangote Group',
+    location: 'Lagos',
+    jobType: 'Full Time',
+    salary: 'NGN 250,000 - 350,000',
+    category: 'accounting_finance',
+    summary: 'Prepare monthly management accounts and reconcile vendor ledgers.',
+    url: 'https://www.jobberman.com/listings/accountant-5w2k3p'
+  });
+
+  assert.strictEqual(jobs[1].title, 'Frontend Developer (React)');
+  assert.strictEqual(jobs[1].category, 'it_software');
+  assert.strictEqual(jobs[1].salary, 'Confidential');
+  assert.strictEqual(jobs[2].salary, null);
+  assert.strictEqual(jobs[2].location, 'Abuja & FCT');
+});
+
+test('jobberman: parses detail sections, deadline and experience', () => {
+  const detail = jobberman.parseDetail(fixture('jobberman-detail.html'));
+
+  assert.ok(detail.description.includes('recruiting an Accountant'));
+  assert.ok(detail.description.includes('• Reconcile vendor and bank ledgers'));
+  assert.ok(!detail.description.includes('ICAN'));
+  assert.ok(detail.requirements.includes('• ICAN certification'));
+  assert.ok(detail.howToApply.includes('careers@dangote.com'));
+  assert.strictEqual(detail.experienceText, 'Minimum Experience: 3 - 5 years');
+  assert.strictEqual(detail.expiresAt.toISOString().substring(0, 10), '2030-01-15');
+});
+
+// ================================
+// MYJOBMAG
+// ================================
+
+test('myjobmag: splits "Title at Company" headings', () => {
+  const jobs = myjobmag.parseListing(fixture('myjobmag-listing.html'), 'https://www.myjobmag.com/jobs');
+
+  assert.strictEqual(jobs.length, 2);
+  assert.strictEqual(jobs[0].title, 'Customer Service Officer');
+  assert.strictEqual(jobs[0].company, 'MTN Nigeria');
+  assert.strictEqual(jobs[0].externalId, 'customer-service-officer-at-mtn-nigeria-1120533');
+  assert.strictEqual(jobs[0].url, 'https://www.myjobmag.com/job/customer-service-officer-at-mtn-nigeria-1120533');
+  assert.strictEqual(jobs[1].company, 'KPMG');
+});
+
+test('myjobmag: parses key info, requirements and application method', () => {
+  const detail = myjobmag.parseDetail(fixture('myjobmag-detail.html'));
+
+  assert.strictEqual(detail.location, 'Port Harcourt, Rivers');
+  assert.strictEqual(detail.category, 'customer_service');
+  assert.strictEqual(detail.salary, null);
+  assert.strictEqual(detail.experienceText, '1 - 2 years');
+  assert.ok(detail.description.includes('walk-in centres in Port Harcourt'));
+  assert.ok(!detail.description.includes('BSc/HND'));
+  assert.ok(detail.requirements.includes('• BSc/HND in any discipline'));
+  assert.ok(detail.howToApply.includes('recruitment.ph@mtn.com'));
+  assert.strictEqual(detail.expiresAt.getFullYear(), 2030);
+});
+
+// ================================
+// NORMALIZATION
+// ================================
+
+test('normalize: listing + detail into the jobs row shape', () => {
+  const [listing] = jobberman.parseListing(fixture('jobberman-listing.html'), 'https://www.jobberman.com/jobs');
+  const job = jobIngestion.normalize({ ...listing, ...jobberman.parseDetail(fixture('jobberman-detail.html')) }, 'jobberman');
+
+  assert.strictEqual(job.source, 'jobberman');
+  assert.strictEqual(job.external_id, 'jobberman_accountant-5w2k3p');
+  assert.strictEqual(job.state, 'Lagos');
+  assert.strictEqual(job.email, 'careers@dangote.com');
+  assert.strictEqual(job.application_url, null);
+  assert.strictEqual(job.experience, '3 years');
+  assert.strictEqual(job.is_remote, false);
+  assert.strictEqual(job.recruiter_id, null);
+  assert.ok(job.id && job.scraped_at && job.last_updated);
+});
+
+test('normalize: ignores source no-reply addresses and falls back to the job url', () => {
+  const [listing] = myjobmag.parseListing(fixture('myjobmag-listing.html'), 'https://www.myjobmag.com/jobs');
+  const job = jobIngestion.normalize({ ...listing, ...myjobmag.parseDetail(fixture('myjobmag-detail.html')) }, 'myjobmag');
+  assert.strictEqual(job.email, 'recruitment.ph@mtn.com');
+  assert.strictEqual(job.state, 'Rivers');
+
+  const withoutEmail = jobIngestion.normalize({ ...listing, howToApply: 'Apply on noreply@myjobmag.com' }, 'myjobmag');
+  assert.strictEqual(withoutEmail.email, null);
+  assert.strictEqual(withoutEmail.application_url, listing.url);
+});
+
+test('normalize: remote and FCT locations, rejects incomplete jobs', () => {
+  const jobs = jobberman.parseListing(fixture('jobberman-listing.html'), 'https://www.jobberman.com/jobs');
+
+  const remote = jobIngestion.normalize(jobs[1], 'jobberman');
+  assert.strictEqual(remote.state, 'Remote');
+  assert.strictEqual(remote.is_remote, true);
+
+  assert.strictEqual(jobIngestion.normalize(jobs[2], 'jobberman').state, 'Abuja');
+  assert.strictEqual(jobIngestion.normalize({ ...jobs[0], company: '' }, 'jobberman'), null);
+});
+
+// ================================
+// DEDUPE
+// ================================
+
+test('dedupe: same job across sources with suffixes and noise words', () => {
+  const a = { title: 'Accountant', company: 'Dangote Group', state: 'Lagos' };
+
+  assert.ok(jobIngestion.isDuplicate(a, { title: 'Urgent Vacancy: Accountant', company: 'Dangote Group Limited', state: 'Lagos' }));
+  assert.ok(jobIngestion.isDuplicate(
+    { title: 'Sr. Software Engineer', company: 'Interswitch Nig. Ltd', state: 'Lagos' },
+    { title: 'Senior Software Engineer', company: 'Interswitch', state: 'Lagos' }
+  ));
+  assert.ok(jobIngestion.isDuplicate(
+    { title: 'Customer Service Oficer', company: 'MTN Nigeria', state: 'Rivers' },
+    { title: 'Customer Service Officer', company: 'MTN', state: 'Rivers' }
+  ));
+});
+
+test('dedupe: different state, company or role are kept', () => {
+  const a = { title: 'Accountant', company: 'Dangote Group', state: 'Lagos' };
+
+  assert.ok(!jobIngestion.isDuplicate(a, { ...a, state: 'Kano' }));
+  assert.ok(!jobIngestion.isDuplicate(a, { ...a, company: 'Dangote Cement' }));
+  assert.ok(!jobIngestion.isDuplicate(a, { ...a, title: 'Senior Accountant' }));
+  assert.ok(!jobIngestion.isDuplicate(a, { ...a, title: 'Account Officer' }));
+});
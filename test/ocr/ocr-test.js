@@ -0,0 +1,83 @@
+// test/ocr/ocr-test.js - Tesseract output parsing and confidence for CV photos/scans
+//
+// Run: npm run test:ocr  (no Tesseract needed; the TSV below is what `tesseract ... tsv` prints)
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const ocr = require('../../services/ocr');
+
+const HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+const word = (block, par, line, num, conf, text) =>
+  `5\t1\t${block}\t${par}\t${line}\t${num}\t0\t0\t10\t10\t${conf}\t${text}`;
+
+// ================================
+// TSV PARSING
+// ================================
+
+test('words are grouped into lines in reading order', () => {
+  const tsv = [
+    HEADER,
+    '1\t1\t0\t0\t0\t0\t0\t0\t100\t100\t-1\t',
+    word(1, 1, 1, 1, 96, 'Adaeze'),
+    word(1, 1, 1, 2, 94, 'Okafor'),
+    word(1, 1, 2, 1, 90, 'Accountant'),
+    word(2, 1, 1, 1, 88, 'adaeze@example.com')
+  ].join('\n');
+
+  const result = ocr.parseTsv(tsv);
+
+  assert.strictEqual(result.text, 'Adaeze Okafor\nAccountant\nadaeze@example.com');
+  assert.strictEqual(result.words, 4);
+});
+
+test('confidence is weighted by word length and skips non-word rows', () => {
+  const tsv = [
+    HEADER,
+    '4\t1\t1\t1\t1\t0\t0\t0\t100\t10\t-1\t',
+    word(1, 1, 1, 1, 90, 'Engineering'),
+    word(1, 1, 1, 2, 10, 'x'),
+    word(1, 1, 1, 3, -1, '')
+  ].join('\n');
+
+  const result = ocr.parseTsv(tsv);
+
+  // (90 * 11 + 10 * 1) / 12
+  assert.strictEqual(result.confidence, 83);
+  assert.strictEqual(result.chars, 12);
+});
+
+// ================================
+// CONFIDENCE
+// ================================
+
+test('pages combine into one weighted confidence', () => {
+  const text = 'Professional summary with enough characters to count as a real CV page';
+  const result = ocr.combinePages([
+    { page: 1, rotation: 90, text, confidence: 90, words: 12, chars: 300 },
+    { page: 2, rotation: 0, text: 'References', confidence: 30, words: 1, chars: 100 }
+  ]);
+
+  assert.strictEqual(result.confidence, 75);
+  assert.ok(!result.lowConfidence);
+  assert.deepStrictEqual(result.pages.map(page => page.rotation), [90, 0]);
+});
+
+test('blurry photos are low confidence', () => {
+  const text = 'Some text that is long enough to pass the minimum length check for OCR';
+  const result = ocr.combinePages([{ page: 1, rotation: 0, text, confidence: 40, words: 14, chars: 60 }]);
+
+  assert.ok(result.lowConfidence);
+});
+
+test('too little text is low confidence even when confident', () => {
+  const result = ocr.combinePages([{ page: 1, rotation: 0, text: 'CV', confidence: 95, words: 1, chars: 2 }]);
+
+  assert.ok(result.lowConfidence);
+});
+
+test('scanned PDFs are detected by missing text', () => {
+  assert.ok(ocr.needsOcr(''));
+  assert.ok(ocr.needsOcr(' \n\n \f '));
+  assert.ok(!ocr.needsOcr('Work experience: five years as an accountant at a Lagos audit firm.'));
+});
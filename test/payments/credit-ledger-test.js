@@ -0,0 +1,120 @@
+// test/payments/credit-ledger-test.js - Credit allocation, product availability and catalog references
+//
+// Run: npm run test:payments
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const {
+  allocateSpend,
+  allocateReturn,
+  unavailableReason,
+  formatNaira
+} = require('../../utils/credits');
+const { parseReference, expectedAmount, classifyTransaction } = require('../../utils/paymentReferences');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const product = (overrides = {}) => ({
+  code: 'bundle_10',
+  active: true,
+  available_from: null,
+  available_until: null,
+  max_per_user: null,
+  ...overrides
+});
+
+// ================================
+// SPENDING
+// ================================
+
+test('spends from the soonest-expiring grant first', () => {
+  const grants = [
+    { id: 2, balance: 10, expiresAt: '2026-03-17T12:00:00Z' },
+    { id: 1, balance: 2, expiresAt: '2026-03-11T09:00:00Z' }
+  ];
+  assert.deepStrictEqual(allocateSpend(grants, 3), [
+    { grantId: 1, credits: 2 },
+    { grantId: 2, credits: 1 }
+  ]);
+});
+
+test('same expiry falls back to the oldest grant', () => {
+  const grants = [
+    { id: 7, balance: 3, expiresAt: '2026-03-11T12:00:00Z' },
+    { id: 5, balance: 3, expiresAt: '2026-03-11T12:00:00Z' }
+  ];
+  assert.deepStrictEqual(allocateSpend(grants, 1), [{ grantId: 5, credits: 1 }]);
+});
+
+test('not enough credits allocates nothing', () => {
+  assert.strictEqual(allocateSpend([{ id: 1, balance: 2, expiresAt: '2026-03-11T12:00:00Z' }], 3), null);
+  assert.strictEqual(allocateSpend([], 1), null);
+});
+
+test('returns go back to the most recent spends, up to what was spent', () => {
+  const spent = [{ id: 4, used: 1 }, { id: 3, used: 5 }];
+  assert.deepStrictEqual(allocateReturn(spent, 3), [
+    { grantId: 4, credits: 1 },
+    { grantId: 3, credits: 2 }
+  ]);
+  assert.deepStrictEqual(allocateReturn([{ id: 4, used: 1 }], 3), [{ grantId: 4, credits: 1 }]);
+});
+
+// ================================
+// CATALOG
+// ================================
+
+test('active products are available', () => {
+  assert.strictEqual(unavailableReason(product(), { now: NOW }), null);
+});
+
+test('inactive and missing products are not', () => {
+  assert.strictEqual(unavailableReason(product({ active: false }), { now: NOW }), 'inactive');
+  assert.strictEqual(unavailableReason(null, { now: NOW }), 'inactive');
+});
+
+test('promo windows', () => {
+  const promo = product({ available_from: '2026-03-01T00:00:00Z', available_until: '2026-03-10T12:00:00Z' });
+  assert.strictEqual(unavailableReason(promo, { now: new Date('2026-02-28T23:00:00Z') }), 'not_started');
+  assert.strictEqual(unavailableReason(promo, { now: new Date('2026-03-05T00:00:00Z') }), null);
+  assert.strictEqual(unavailableReason(promo, { now: NOW }), 'ended');
+});
+
+test('per-user purchase limit', () => {
+  const promo = product({ max_per_user: 1 });
+  assert.strictEqual(unavailableReason(promo, { now: NOW, completedPurchases: 0 }), null);
+  assert.strictEqual(unavailableReason(promo, { now: NOW, completedPurchases: 1 }), 'limit_reached');
+});
+
+test('prices are shown in naira', () => {
+  assert.strictEqual(formatNaira(30000), '₦300');
+  assert.strictEqual(formatNaira(150000), '₦1,500');
+});
+
+// ================================
+// REFERENCES
+// ================================
+
+test('parses catalog references, including codes with underscores', () => {
+  assert.deepStrictEqual(
+    parseReference('credits_bundle_10_3f1c2a9e-8f5d-4c1b-9a57-1c2d3e4f5a6b_2348031234567'),
+    { kind: 'credits', product: 'bundle_10', phone: '+2348031234567' }
+  );
+  assert.deepStrictEqual(
+    parseReference('credits_daily_3f1c2a9e-8f5d-4c1b-9a57-1c2d3e4f5a6b_2348031234567'),
+    { kind: 'credits', product: 'daily', phone: '+2348031234567' }
+  );
+  assert.strictEqual(parseReference('credits_2348031234567'), null);
+});
+
+test('catalog purchases are expected at their checkout price', () => {
+  const parsed = parseReference('credits_weekly_x_2348031234567');
+  const local = { kind: 'credits', status: 'pending', amount: 150000 };
+
+  assert.strictEqual(expectedAmount(parsed, 30000, local), 150000);
+  assert.strictEqual(expectedAmount(parsed, 30000, null), null);
+  assert.strictEqual(classifyTransaction({ status: 'success', amount: 150000 }, local, 150000), 'missed');
+  assert.strictEqual(classifyTransaction({ status: 'success', amount: 30000 }, local, 150000), 'amount_mismatch');
+  assert.strictEqual(classifyTransaction({ status: 'success', amount: 150000 }, { ...local, status: 'completed' }, 150000), 'matched');
+});
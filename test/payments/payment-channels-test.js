@@ -0,0 +1,82 @@
+// test/payments/payment-channels-test.js - Bank transfer and USSD: button ids, webhook events, customer details
+//
+// Run: npm run test:payments
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const {
+  isUssdBank,
+  customerEmail,
+  splitName,
+  parsePaymentButton,
+  parseUssdChoice,
+  isTransferCharge,
+  isChannelEvent
+} = require('../../utils/paymentChannels');
+const { parseReference, classifyTransaction } = require('../../utils/paymentReferences');
+
+// ================================
+// BUTTONS
+// ================================
+
+test('payment method buttons carry the product', () => {
+  assert.deepStrictEqual(parsePaymentButton('pay_card_daily'), { method: 'card', product: 'daily' });
+  assert.deepStrictEqual(parsePaymentButton('pay_ussd_week_pass'), { method: 'ussd', product: 'week_pass' });
+  assert.deepStrictEqual(parsePaymentButton('pay_transfer'), { method: 'transfer', product: null });
+});
+
+test('card and USSD buttons need a product; other ids are not payment buttons', () => {
+  assert.strictEqual(parsePaymentButton('pay_card'), null);
+  assert.strictEqual(parsePaymentButton('pay_ussd'), null);
+  assert.strictEqual(parsePaymentButton('pay_now'), null);
+  assert.strictEqual(parsePaymentButton('apply_selected'), null);
+  assert.strictEqual(parsePaymentButton(undefined), null);
+});
+
+test('USSD choices only for banks we list', () => {
+  assert.deepStrictEqual(parseUssdChoice('ussd_737_daily'), { bank: '737', product: 'daily' });
+  assert.strictEqual(parseUssdChoice('ussd_123_daily'), null);
+  assert.strictEqual(parseUssdChoice('ussd_737'), null);
+  assert.ok(isUssdBank('919'));
+  assert.ok(!isUssdBank('toString'));
+});
+
+// ================================
+// WEBHOOKS
+// ================================
+
+test('assignments and transfers are channel events; card and USSD charges are not', () => {
+  assert.ok(isChannelEvent('dedicated_account.assign.success', {}));
+  assert.ok(isChannelEvent('dedicated_account.assign.failed', {}));
+  assert.ok(isChannelEvent('charge.success', { channel: 'dedicated_nuban' }));
+  assert.ok(!isChannelEvent('charge.success', { channel: 'card' }));
+  assert.ok(!isChannelEvent('charge.success', { channel: 'ussd' }));
+  assert.ok(!isChannelEvent('transfer.success', { channel: 'dedicated_nuban' }));
+  assert.ok(!isTransferCharge(undefined));
+});
+
+test('a credited transfer reconciles as matched under Paystack\'s own reference', () => {
+  const reference = '1718293847_dd7ab2c9';
+  const local = { kind: 'transfer', status: 'completed', amount: 150000 };
+
+  assert.strictEqual(parseReference(reference), null);
+  assert.strictEqual(classifyTransaction({ status: 'success', amount: 150000 }, local, null), 'matched');
+  assert.strictEqual(classifyTransaction({ status: 'success', amount: 150000 }, null, null), 'orphan');
+});
+
+// ================================
+// CUSTOMERS
+// ================================
+
+test('customer email is the CV email when it looks real, else one from the phone', () => {
+  assert.strictEqual(customerEmail('+2348031234567', ' Ada.Obi@Example.com '), 'ada.obi@example.com');
+  assert.strictEqual(customerEmail('+2348031234567', 'not an email'), '2348031234567@wa.smartcvnaija.com.ng');
+  assert.strictEqual(customerEmail('+2348031234567'), '2348031234567@wa.smartcvnaija.com.ng');
+});
+
+test('names split into first and last', () => {
+  assert.deepStrictEqual(splitName('Chiamaka Ngozi Eze'), { firstName: 'Chiamaka', lastName: 'Ngozi Eze' });
+  assert.deepStrictEqual(splitName('Tunde'), { firstName: 'Tunde', lastName: 'Tunde' });
+  assert.deepStrictEqual(splitName('  '), { firstName: 'SmartCVNaija', lastName: 'User' });
+});
@@ -0,0 +1,129 @@
+// test/payments/promos-test.js - Promo code rules, discount maths and referral codes
+//
+// Run: npm run test:payments
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const {
+  MIN_CHARGE_KOBO,
+  REFERRAL_ALPHABET,
+  normalizeCode,
+  isValidPromoCode,
+  promoUnavailableReason,
+  appliesToProduct,
+  applyDiscount,
+  generateReferralCode,
+  parseReferralMessage
+} = require('../../utils/promos');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const promo = (overrides = {}) => ({
+  code: 'WELCOME50',
+  kind: 'discount',
+  percent_off: 50,
+  amount_off_kobo: null,
+  product_codes: null,
+  active: true,
+  starts_at: null,
+  expires_at: null,
+  max_redemptions: null,
+  max_per_user: 1,
+  ...overrides
+});
+
+// ================================
+// CODES
+// ================================
+
+test('codes are matched case-insensitively', () => {
+  assert.strictEqual(normalizeCode('  welcome50 '), 'WELCOME50');
+  assert.strictEqual(isValidPromoCode('naija-2026'), true);
+  assert.strictEqual(isValidPromoCode('ab'), false);
+  assert.strictEqual(isValidPromoCode('50% OFF'), false);
+});
+
+// ================================
+// AVAILABILITY
+// ================================
+
+test('active codes can be redeemed', () => {
+  assert.strictEqual(promoUnavailableReason(promo(), { now: NOW }), null);
+});
+
+test('inactive and missing codes cannot', () => {
+  assert.strictEqual(promoUnavailableReason(promo({ active: false }), { now: NOW }), 'inactive');
+  assert.strictEqual(promoUnavailableReason(null, { now: NOW }), 'inactive');
+});
+
+test('start and expiry dates', () => {
+  const dated = promo({ starts_at: '2026-03-01T00:00:00Z', expires_at: '2026-03-10T12:00:00Z' });
+  assert.strictEqual(promoUnavailableReason(dated, { now: new Date('2026-02-28T23:00:00Z') }), 'not_started');
+  assert.strictEqual(promoUnavailableReason(dated, { now: new Date('2026-03-05T00:00:00Z') }), null);
+  assert.strictEqual(promoUnavailableReason(dated, { now: NOW }), 'expired');
+});
+
+test('total and per-user redemption limits', () => {
+  const limited = promo({ max_redemptions: 100, max_per_user: 2 });
+  assert.strictEqual(promoUnavailableReason(limited, { now: NOW, redemptions: 99, userRedemptions: 1 }), null);
+  assert.strictEqual(promoUnavailableReason(limited, { now: NOW, redemptions: 100 }), 'exhausted');
+  assert.strictEqual(promoUnavailableReason(limited, { now: NOW, redemptions: 5, userRedemptions: 2 }), 'used');
+});
+
+// ================================
+// DISCOUNTS
+// ================================
+
+test('discounts cover every product unless limited', () => {
+  assert.strictEqual(appliesToProduct(promo(), 'weekly'), true);
+  assert.strictEqual(appliesToProduct(promo({ product_codes: [] }), 'weekly'), true);
+  assert.strictEqual(appliesToProduct(promo({ product_codes: ['daily'] }), 'daily'), true);
+  assert.strictEqual(appliesToProduct(promo({ product_codes: ['daily'] }), 'weekly'), false);
+});
+
+test('percentage and fixed discounts', () => {
+  assert.deepStrictEqual(applyDiscount(30000, promo()), { discountKobo: 15000, amountKobo: 15000 });
+  assert.deepStrictEqual(
+    applyDiscount(150000, promo({ percent_off: null, amount_off_kobo: 50000 })),
+    { discountKobo: 50000, amountKobo: 100000 }
+  );
+});
+
+test('discounts never take a charge below the Paystack minimum', () => {
+  assert.deepStrictEqual(
+    applyDiscount(30000, promo({ percent_off: 90 })),
+    { discountKobo: 25000, amountKobo: MIN_CHARGE_KOBO }
+  );
+  assert.deepStrictEqual(
+    applyDiscount(30000, promo({ percent_off: null, amount_off_kobo: 100000 })),
+    { discountKobo: 25000, amountKobo: MIN_CHARGE_KOBO }
+  );
+  assert.deepStrictEqual(applyDiscount(4000, promo()), { discountKobo: 0, amountKobo: MIN_CHARGE_KOBO });
+});
+
+// ================================
+// REFERRALS
+// ================================
+
+test('referral codes use the unambiguous alphabet', () => {
+  assert.strictEqual(generateReferralCode(Buffer.from([0, 1, 2, 3, 4, 5])), 'ABCDEF');
+  assert.strictEqual(generateReferralCode(Buffer.from([31, 32, 33, 63, 64, 255])), '9AB9A9');
+
+  const code = generateReferralCode();
+  assert.strictEqual(code.length, 6);
+  assert.ok([...code].every(char => REFERRAL_ALPHABET.includes(char)));
+});
+
+test('reads the code from a referral link message', () => {
+  assert.strictEqual(parseReferralMessage('Hi SmartCVNaija! My referral code: ABC234'), 'ABC234');
+  assert.strictEqual(parseReferralMessage('ref abc234'), 'ABC234');
+  assert.strictEqual(parseReferralMessage('referral #XYZ789'), 'XYZ789');
+});
+
+test('ignores messages that only look like referrals', () => {
+  assert.strictEqual(parseReferralMessage('reference number 123456'), null);
+  assert.strictEqual(parseReferralMessage('ref ABC10I'), null);
+  assert.strictEqual(parseReferralMessage('developer jobs in Lagos'), null);
+  assert.strictEqual(parseReferralMessage(null), null);
+});
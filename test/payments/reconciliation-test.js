@@ -0,0 +1,93 @@
+// test/payments/reconciliation-test.js - Paystack reference parsing and reconciliation outcomes
+//
+// Run: npm run test:payments
+//
+// fixtures/paystack-transactions.json is a saved GET /transaction response; the same file
+// works as PAYMENT_RECONCILE_FIXTURE for a local run of the reconciler.
+
+const assert = require('assert');
+const { test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  parseReference,
+  expectedAmount,
+  classifyTransaction
+} = require('../../utils/paymentReferences');
+
+const DAILY_AMOUNT = 50000;
+
+const { data: transactions } = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'paystack-transactions.json'), 'utf8')
+);
+
+const classify = (transaction, local) =>
+  classifyTransaction(transaction, local, expectedAmount(parseReference(transaction?.reference), DAILY_AMOUNT));
+
+// ================================
+// REFERENCES
+// ================================
+
+test('parses daily and subscription references', () => {
+  assert.deepStrictEqual(
+    parseReference('daily_3f1c2a9e-8f5d-4c1b-9a57-1c2d3e4f5a6b_2348031234567'),
+    { kind: 'daily', phone: '+2348031234567' }
+  );
+  assert.deepStrictEqual(
+    parseReference('auto_basic_c4d5e6f7-a8b9-4c0d-8e1f-2a3b4c5d6e7f_2348074443333'),
+    { kind: 'auto', tier: 'basic', phone: '+2348074443333' }
+  );
+});
+
+test('unknown formats are not ours', () => {
+  assert.strictEqual(parseReference('T948271650193842'), null);
+  assert.strictEqual(parseReference('auto_gold_c4d5e6f7_2348074443333'), null);
+  assert.strictEqual(parseReference('daily_abc_notaphone'), null);
+  assert.strictEqual(parseReference(undefined), null);
+});
+
+test('expected amounts', () => {
+  assert.strictEqual(expectedAmount(parseReference('daily_x_2348031234567'), DAILY_AMOUNT), 50000);
+  assert.strictEqual(expectedAmount(parseReference('auto_basic_x_2348031234567'), DAILY_AMOUNT), 100000);
+  assert.strictEqual(expectedAmount(parseReference('auto_unlimited_x_2348031234567'), DAILY_AMOUNT), 250000);
+  assert.strictEqual(expectedAmount(null, DAILY_AMOUNT), null);
+});
+
+// ================================
+// OUTCOMES
+// ================================
+
+test('paid on both sides is matched', () => {
+  assert.strictEqual(classify(transactions[0], { kind: 'daily', status: 'completed' }), 'matched');
+  assert.strictEqual(classify(transactions[3], { kind: 'auto', status: 'active' }), 'matched');
+});
+
+test('paid at Paystack but pending locally is missed', () => {
+  assert.strictEqual(classify(transactions[1], { kind: 'daily', status: 'pending' }), 'missed');
+  assert.strictEqual(classify(transactions[3], { kind: 'auto', status: 'pending' }), 'missed');
+});
+
+test('wrong amount is flagged even when the user is pending', () => {
+  assert.strictEqual(classify(transactions[2], { kind: 'daily', status: 'pending' }), 'amount_mismatch');
+  assert.strictEqual(classify(transactions[2], { kind: 'daily', status: 'completed' }), 'amount_mismatch');
+});
+
+test('paid with no local record is an orphan', () => {
+  assert.strictEqual(classify(transactions[1], null), 'orphan');
+  assert.strictEqual(classify(transactions[4], null), 'orphan');
+});
+
+test('credited locally without a successful charge is flagged', () => {
+  assert.strictEqual(classify(transactions[5], { kind: 'daily', status: 'completed' }), 'not_paid_at_paystack');
+  assert.strictEqual(
+    classifyTransaction(null, { kind: 'daily', status: 'completed' }, DAILY_AMOUNT),
+    'not_paid_at_paystack'
+  );
+});
+
+test('abandoned checkouts and refunds are ignored', () => {
+  assert.strictEqual(classify(transactions[5], { kind: 'daily', status: 'pending' }), 'ignored');
+  assert.strictEqual(classify(transactions[5], null), 'ignored');
+  assert.strictEqual(classify({ ...transactions[0], status: 'reversed' }, { kind: 'daily', status: 'refunded' }), 'ignored');
+});
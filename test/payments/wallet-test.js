@@ -0,0 +1,94 @@
+// test/payments/wallet-test.js - Paying for applications from credits and the wallet, and refunding failures
+//
+// Run: npm run test:payments
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const {
+  planFunding,
+  refundFor,
+  applicationsAffordable,
+  parseTopUpCommand
+} = require('../../utils/wallet');
+const { parseReference, expectedAmount, classifyTransaction } = require('../../utils/paymentReferences');
+
+const PRICE = 10000;
+
+// ================================
+// FUNDING
+// ================================
+
+test('credits pay first', () => {
+  assert.deepStrictEqual(
+    planFunding({ credits: 5, balanceKobo: 100000, priceKobo: PRICE, count: 3 }),
+    { credits: 3, wallet: 0, priceKobo: PRICE, walletKobo: 0 }
+  );
+});
+
+test('the wallet pays for what credits do not cover', () => {
+  assert.deepStrictEqual(
+    planFunding({ credits: 1, balanceKobo: 25000, priceKobo: PRICE, count: 3 }),
+    { credits: 1, wallet: 2, priceKobo: PRICE, walletKobo: 20000 }
+  );
+  assert.deepStrictEqual(
+    planFunding({ credits: 0, balanceKobo: 30000, priceKobo: PRICE, count: 3 }),
+    { credits: 0, wallet: 3, priceKobo: PRICE, walletKobo: 30000 }
+  );
+});
+
+test('nothing is planned when credits and wallet together fall short', () => {
+  assert.strictEqual(planFunding({ credits: 1, balanceKobo: 15000, priceKobo: PRICE, count: 3 }), null);
+  assert.strictEqual(planFunding({ credits: 0, balanceKobo: 0, priceKobo: PRICE, count: 1 }), null);
+  assert.strictEqual(planFunding({ credits: 0, balanceKobo: 50000, priceKobo: 0, count: 1 }), null);
+});
+
+test('wallet balance in applications', () => {
+  assert.strictEqual(applicationsAffordable(25000, PRICE), 2);
+  assert.strictEqual(applicationsAffordable(9999, PRICE), 0);
+  assert.strictEqual(applicationsAffordable(-500, PRICE), 0);
+  assert.strictEqual(applicationsAffordable(50000, 0), 0);
+});
+
+// ================================
+// REFUNDS
+// ================================
+
+test('failed applications are refunded to what paid for them', () => {
+  const funding = { credits: 2, wallet: 3, priceKobo: PRICE, walletKobo: 30000 };
+
+  assert.deepStrictEqual(refundFor(funding, [1]), { credits: 1, wallet: 0, walletKobo: 0 });
+  assert.deepStrictEqual(refundFor(funding, [3, 4]), { credits: 0, wallet: 2, walletKobo: 20000 });
+  assert.deepStrictEqual(refundFor(funding, [0, 2, 4]), { credits: 1, wallet: 2, walletKobo: 20000 });
+});
+
+test('refunds ignore repeated and unknown positions', () => {
+  const funding = { credits: 1, wallet: 1, priceKobo: PRICE, walletKobo: PRICE };
+
+  assert.deepStrictEqual(refundFor(funding, [1, 1, 5, -1]), { credits: 0, wallet: 1, walletKobo: PRICE });
+  assert.deepStrictEqual(refundFor(funding, []), { credits: 0, wallet: 0, walletKobo: 0 });
+});
+
+// ================================
+// TOP-UPS
+// ================================
+
+test('top-up commands', () => {
+  assert.strictEqual(parseTopUpCommand('top up 1000'), 100000);
+  assert.strictEqual(parseTopUpCommand('Topup ₦2,000'), 200000);
+  assert.strictEqual(parseTopUpCommand('fund wallet N500'), 50000);
+  assert.strictEqual(parseTopUpCommand('top-up'), 0);
+  assert.strictEqual(parseTopUpCommand('top up abc'), null);
+  assert.strictEqual(parseTopUpCommand('topping jobs in Lagos'), null);
+});
+
+test('wallet references are top-ups expected at their checkout amount', () => {
+  const reference = 'wallet_3f1c2a9e-8f5d-4c1b-9a57-1c2d3e4f5a6b_2348031234567';
+  const parsed = parseReference(reference);
+  const local = { kind: 'wallet', status: 'pending', amount: 200000 };
+
+  assert.deepStrictEqual(parsed, { kind: 'wallet', phone: '+2348031234567' });
+  assert.strictEqual(expectedAmount(parsed, 30000, local), 200000);
+  assert.strictEqual(classifyTransaction({ status: 'success', amount: 200000 }, local, 200000), 'missed');
+  assert.strictEqual(classifyTransaction({ status: 'success', amount: 200000 }, { ...local, status: 'completed' }, 200000), 'matched');
+});
@@ -0,0 +1,153 @@
+// test/profiles/candidate-profile-test.js - Rule-based CV parsing into candidate profiles
+//
+// Run: npm run test:profiles
+//
+// Whole-CV expectations use the text in test/profiles/fixtures; the smaller tests cover the
+// rules one at a time.
+
+const assert = require('assert');
+const { test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+
+const candidateProfile = require('../../services/candidateProfile');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const thisYear = new Date().getFullYear();
+
+// ================================
+// WHOLE CVS
+// ================================
+
+test('accountant CV: contact details, history, education and skills', () => {
+  const profile = candidateProfile.parseCV(fixture('accountant-cv.txt'));
+
+  assert.deepStrictEqual(profile.contact, {
+    email: 'chiamaka.eze@example.com',
+    phone: '08031234567',
+    linkedin: 'linkedin.com/in/chiamaka-eze'
+  });
+  assert.deepStrictEqual(profile.work_history, [
+    { role: 'Senior Accountant, Dangote Cement Plc', start: 'Jan 2021', end: 'Present', current: true },
+    { role: 'Audit Associate | KPMG Nigeria', start: '2017', end: '2021', current: false },
+    { role: 'Part-time Tutor, ICAN Study Centre', start: '2019', end: '2020', current: false }
+  ]);
+  assert.deepStrictEqual(profile.education, [
+    { qualification: 'B.Sc Accounting, University of Nigeria, Nsukka 2012 - 2016', level: 'bachelors', year: 2016 },
+    { qualification: 'WAEC SSCE 2011', level: 'ssce', year: 2011 }
+  ]);
+  assert.deepStrictEqual(profile.skills.map(skill => skill.toLowerCase()),
+    ['financial reporting', 'ifrs', 'audit', 'excel', 'sap', 'taxation']);
+  assert.deepStrictEqual(profile.certifications, ['ICAN Associate Member']);
+  assert.strictEqual(profile.nysc_status, 'completed');
+  assert.strictEqual(profile.highest_education, 'bachelors');
+
+  // 2017 to the present role, more than the 6 years the summary states
+  assert.strictEqual(profile.years_experience, thisYear - 2017);
+});
+
+test('graduate CV without headings: education found anywhere, certifications from mentions', () => {
+  const profile = candidateProfile.parseCV(fixture('graduate-cv.txt'));
+
+  assert.strictEqual(profile.contact.email, 'tunde.bakare@mail.com');
+  assert.strictEqual(profile.contact.phone, '+2348098765432');
+  assert.deepStrictEqual(profile.work_history, []);
+  assert.deepStrictEqual(profile.education, [
+    { qualification: 'HND Computer Science, Yaba College of Technology, 2022', level: 'hnd', year: 2022 }
+  ]);
+  assert.deepStrictEqual(profile.skills, []);
+  assert.deepStrictEqual(profile.certifications, ['CCNA']);
+  assert.strictEqual(profile.nysc_status, 'ongoing');
+  assert.strictEqual(profile.years_experience, null);
+  assert.strictEqual(profile.highest_education, 'hnd');
+});
+
+// ================================
+// SECTIONS
+// ================================
+
+test('headings start sections; text before the first heading is the header', () => {
+  const sections = candidateProfile.splitSections(
+    'Ada Obi\n\nEmployment History:\nCashier 2019 - 2020\nCore Competencies\nCustomer service\nReferees\nAvailable on request'
+  );
+
+  assert.deepStrictEqual(sections, {
+    header: ['Ada Obi'],
+    experience: ['Cashier 2019 - 2020'],
+    skills: ['Customer service'],
+    other: ['Available on request']
+  });
+});
+
+test('long lines that contain a heading word are content, not headings', () => {
+  const sections = candidateProfile.splitSections(
+    'Skills\nExperience with SAP and Oracle across three finance teams'
+  );
+  assert.deepStrictEqual(sections.skills, ['Experience with SAP and Oracle across three finance teams']);
+  assert.strictEqual(sections.experience, undefined);
+});
+
+// ================================
+// WORK HISTORY
+// ================================
+
+test('date ranges in many formats', () => {
+  const history = candidateProfile.extractWorkHistory([
+    'Driver, GIG Logistics 03/2018 to 06/2020',
+    'Sales Rep — Mar. 2015 – Dec 2017',
+    'Storekeeper 2012 till date'
+  ]);
+
+  assert.deepStrictEqual(history.map(({ start, end, current }) => ({ start, end, current })), [
+    { start: '03/2018', end: '06/2020', current: false },
+    { start: 'Mar. 2015', end: 'Dec 2017', current: false },
+    { start: '2012', end: 'date', current: true }
+  ]);
+  assert.strictEqual(history[1].role, 'Sales Rep');
+});
+
+test('a date on its own line takes the role from the line above', () => {
+  const history = candidateProfile.extractWorkHistory(['Branch Manager, GTBank', '2016 - 2019']);
+  assert.strictEqual(history[0].role, 'Branch Manager, GTBank');
+});
+
+// ================================
+// YEARS OF EXPERIENCE
+// ================================
+
+test('overlapping roles are counted once', () => {
+  const years = candidateProfile.estimateYearsExperience('', [
+    { start: '2010', end: '2015' },
+    { start: '2013', end: '2016' },
+    { start: '2018', end: '2020' }
+  ]);
+  assert.strictEqual(years, 8);
+});
+
+test('stated experience wins when it is more than the history shows', () => {
+  assert.strictEqual(candidateProfile.estimateYearsExperience('Over 12+ years of cognate experience', [
+    { start: '2019', end: '2021' }
+  ]), 12);
+  assert.strictEqual(candidateProfile.estimateYearsExperience('No dates here', []), null);
+});
+
+test('bad ranges are ignored and totals are capped at 50', () => {
+  assert.strictEqual(candidateProfile.estimateYearsExperience('', [{ start: '2020', end: '2018' }]), null);
+  assert.strictEqual(candidateProfile.estimateYearsExperience('', [{ start: 'unknown', end: '2018' }]), null);
+  assert.strictEqual(candidateProfile.estimateYearsExperience('60 years experience', []), 50);
+});
+
+// ================================
+// NYSC
+// ================================
+
+test('NYSC status', () => {
+  assert.strictEqual(candidateProfile.detectNyscStatus('NYSC: Completed 2019'), 'completed');
+  assert.strictEqual(candidateProfile.detectNyscStatus('Certificate of National Service attached'), 'unknown');
+  assert.strictEqual(candidateProfile.detectNyscStatus('Kaduna State, 2018 (NYSC)'), 'completed');
+  assert.strictEqual(candidateProfile.detectNyscStatus('National Youth Service Corps, Kaduna'), 'mentioned');
+  assert.strictEqual(candidateProfile.detectNyscStatus('NYSC: currently serving in Abuja'), 'ongoing');
+  assert.strictEqual(candidateProfile.detectNyscStatus('NYSC exemption letter'), 'exempted');
+  assert.strictEqual(candidateProfile.detectNyscStatus('Willing to relocate after NYSC'), 'mentioned');
+  assert.strictEqual(candidateProfile.detectNyscStatus('Accountant, Lagos'), 'unknown');
+});
@@ -0,0 +1,57 @@
+// test/scheduling/quiet-hours-test.js - Quiet hours for scheduled nudges (WAT, UTC+1)
+//
+// Run: npm run test:scheduling
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const { watHour, isQuietHour, nextSendTime } = require('../../utils/quietHours');
+
+const START = 21;
+const END = 7;
+
+// ================================
+// QUIET HOURS
+// ================================
+
+test('WAT is one hour ahead of UTC', () => {
+  assert.strictEqual(watHour(new Date('2026-03-10T12:30:00Z')), 13);
+  assert.strictEqual(watHour(new Date('2026-03-10T23:15:00Z')), 0);
+});
+
+test('window wraps midnight', () => {
+  assert.strictEqual(isQuietHour(new Date('2026-03-10T20:00:00Z'), START, END), true);  // 21:00 WAT
+  assert.strictEqual(isQuietHour(new Date('2026-03-10T02:00:00Z'), START, END), true);  // 03:00 WAT
+  assert.strictEqual(isQuietHour(new Date('2026-03-10T06:00:00Z'), START, END), false); // 07:00 WAT
+  assert.strictEqual(isQuietHour(new Date('2026-03-10T19:59:00Z'), START, END), false); // 20:59 WAT
+});
+
+test('same-day window and no window', () => {
+  assert.strictEqual(isQuietHour(new Date('2026-03-10T12:00:00Z'), 12, 14), true);
+  assert.strictEqual(isQuietHour(new Date('2026-03-10T14:00:00Z'), 12, 14), false);
+  assert.strictEqual(isQuietHour(new Date('2026-03-10T02:00:00Z'), 0, 0), false);
+});
+
+// ================================
+// NEXT SEND TIME
+// ================================
+
+test('outside quiet hours sends immediately', () => {
+  const now = new Date('2026-03-10T10:00:00Z');
+  assert.strictEqual(nextSendTime(now, START, END), now);
+});
+
+test('late evening waits until 07:00 WAT next morning', () => {
+  const next = nextSendTime(new Date('2026-03-10T21:30:00Z'), START, END); // 22:30 WAT
+  assert.strictEqual(next.toISOString(), '2026-03-11T06:00:00.000Z');
+});
+
+test('after midnight waits until 07:00 WAT the same morning', () => {
+  const next = nextSendTime(new Date('2026-03-11T01:45:00Z'), START, END); // 02:45 WAT
+  assert.strictEqual(next.toISOString(), '2026-03-11T06:00:00.000Z');
+});
+
+test('23:xx UTC is already the next WAT day', () => {
+  const next = nextSendTime(new Date('2026-03-10T23:20:00Z'), START, END); // 00:20 WAT on the 11th
+  assert.strictEqual(next.toISOString(), '2026-03-11T06:00:00.000Z');
+});
@@ -0,0 +1,392 @@
+// test/simulator.js - Drive the bot locally without WhatsApp
+//
+// Interactive:  node test/simulator.js [--phone 2348000000001] [--verbose]
+// Scripted:     node test/simulator.js test/conversations/*.json
+//
+// Inbound messages go straight into bot.handleWhatsAppMessage; outbound messages are
+// captured by a stub YCloud transport and printed. Redis and Postgres are the local ones
+// from .env. AI runs on the mock provider unless --live-ai is given.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const args = process.argv.slice(2);
+const flags = {
+  verbose: args.includes('--verbose'),
+  liveAI: args.includes('--live-ai'),
+  noWorkers: args.includes('--no-workers'),
+  phone: args.includes('--phone') ? args[args.indexOf('--phone') + 1] : '2348000000001'
+};
+const scriptFiles = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--phone');
+
+if (!flags.liveAI) {
+  process.env.AI_MOCK = 'true';
+}
+
+const logger = require('../utils/logger');
+if (!flags.verbose) {
+  // The bot logs heavily to the console; keep the terminal for the conversation
+  logger.transports.filter(t => t.name === 'console').forEach(t => { t.silent = true; });
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const ycloud = require('../services/ycloud');
+const { redis, sessionRedis } = require('../config/redis');
+const dbManager = require('../config/database');
+const bot = require('../services/bot');
+const { transitionSession } = require('../utils/sessionContext');
+const { normalizePhone } = require('../utils/phone');
+
+// The AI worker resolves intent/expansion jobs queued by services/openai.js
+if (!flags.noWorkers) {
+  require('../workers/openai');
+}
+
+const out = (text = '') => process.stdout.write(text + '\n');
+
+class StubYCloudTransport {
+  constructor() {
+    this.sent = [];
+    this.listeners = [];
+    this.counter = 0;
+  }
+
+  async post(url, payload) {
+    if (url.endsWith('/messages/sendDirectly')) {
+      const message = { ...payload, id: `sim-${++this.counter}` };
+      this.sent.push(message);
+      this.listeners.forEach(listener => listener(message));
+      return { status: 200, data: { id: message.id } };
+    }
+
+    // Typing indicators and anything else: accept and ignore
+    return { status: 200, data: {} };
+  }
+
+  onSend(listener) {
+    this.listeners.push(listener);
+  }
+
+  drain() {
+    const messages = this.sent;
+    this.sent = [];
+    return messages;
+  }
+}
+
+// Flatten an outbound payload into what the assertions look at
+function describe(message) {
+  if (message.type === 'text') {
+    return { type: 'text', text: message.text.body, ids: [] };
+  }
+
+  const interactive = message.interactive;
+  if (interactive.type === 'list') {
+    const rows = interactive.action.sections.flatMap(section => section.rows);
+    return {
+      type: 'list',
+      header: interactive.header?.text || '',
+      text: [interactive.header?.text, interactive.body.text, ...rows.map(row => `${row.title} ${row.description || ''}`)].join('\n'),
+      ids: rows.map(row => row.id)
+    };
+  }
+
+  const buttons = interactive.action.buttons.map(button => button.reply);
+  return {
+    type: 'button',
+    header: interactive.header?.text || '',
+    text: [interactive.header?.text, interactive.body.text, ...buttons.map(button => button.title)].join('\n'),
+    ids: buttons.map(button => button.id)
+  };
+}
+
+function render(message) {
+  const indent = text => text.split('\n').map(line => `   ${line}`).join('\n');
+
+  if (message.type === 'text') {
+    out(`🤖 ${message.text.body.split('\n').join('\n   ')}`);
+    return;
+  }
+
+  const interactive = message.interactive;
+  out(`🤖 [${interactive.type}] ${interactive.header?.text || ''}`);
+  out(indent(interactive.body.text));
+
+  if (interactive.type === 'list') {
+    interactive.action.sections.forEach(section => {
+      out(`   ── ${section.title || ''}`);
+      section.rows.forEach(row => out(`   • ${row.id}  ${row.title}${row.description ? ' — ' + row.description : ''}`));
+    });
+    out(`   (${interactive.action.button})`);
+  } else {
+    interactive.action.buttons.forEach(button => out(`   [${button.reply.id}] ${button.reply.title}`));
+  }
+}
+
+function buildInbound(step) {
+  if (step.text !== undefined) {
+    return { message: String(step.text), file: null };
+  }
+
+  if (step.list_reply || step.button_reply) {
+    const type = step.list_reply ? 'list_reply' : 'button_reply';
+    const reply = typeof step[type] === 'string' ? { id: step[type], title: step[type] } : step[type];
+    return { message: { type: 'interactive', interactive: { type, [type]: reply } }, file: null };
+  }
+
+  if (step.file) {
+    const filepath = path.resolve(step.file);
+    const ext = path.extname(filepath).toLowerCase();
+    return {
+      message: null,
+      file: {
+        buffer: fs.readFileSync(filepath),
+        originalname: path.basename(filepath),
+        mimetype: ext === '.pdf'
+          ? 'application/pdf'
+          : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      }
+    };
+  }
+
+  throw new Error(`Step needs one of text, list_reply, button_reply or file: ${JSON.stringify(step)}`);
+}
+
+/**
+ * Remove every Redis key mentioning the phone so each run starts clean
+ */
+async function resetPhone(phone) {
+  const digits = phone.replace(/^\+/, '');
+  let removed = 0;
+
+  for (const client of [redis, sessionRedis]) {
+    let cursor = '0';
+    // SCAN returns full key names but DEL re-applies the client's keyPrefix
+    const prefix = client.options.keyPrefix || '';
+    do {
+      const [next, keys] = await client.scan(cursor, 'MATCH', `${prefix}*${digits}*`, 'COUNT', 200);
+      cursor = next;
+      if (keys.length > 0) {
+        removed += await client.del(...keys.map(key => key.substring(prefix.length)));
+      }
+    } while (cursor !== '0');
+  }
+
+  return removed;
+}
+
+async function send(phone, step) {
+  const { message, file } = buildInbound(step);
+  await bot.handleWhatsAppMessage(phone, message, file, `sim-in-${Date.now()}`);
+}
+
+// ================================
+// SCRIPTED CONVERSATIONS
+// ================================
+
+function checkExpectation(actual, expected, index) {
+  const failures = [];
+  const label = `reply ${index + 1}`;
+
+  if (!actual) {
+    return [`${label}: expected a ${expected.type || 'message'} but nothing was sent`];
+  }
+
+  if (expected.type && actual.type !== expected.type) {
+    failures.push(`${label}: expected type ${expected.type}, got ${actual.type}`);
+  }
+
+  if (expected.header && actual.header !== expected.header) {
+    failures.push(`${label}: expected header "${expected.header}", got "${actual.header}"`);
+  }
+
+  [].concat(expected.contains || []).forEach(fragment => {
+    if (!actual.text.includes(fragment)) {
+      failures.push(`${label}: expected to contain "${fragment}"`);
+    }
+  });
+
+  [].concat(expected.notContains || []).forEach(fragment => {
+    if (actual.text.includes(fragment)) {
+      failures.push(`${label}: expected not to contain "${fragment}"`);
+    }
+  });
+
+  if (expected.matches && !new RegExp(expected.matches, 'i').test(actual.text)) {
+    failures.push(`${label}: expected to match /${expected.matches}/`);
+  }
+
+  [].concat(expected.ids || []).forEach(id => {
+    if (!actual.ids.includes(id)) {
+      failures.push(`${label}: expected option "${id}" (has ${actual.ids.join(', ') || 'none'})`);
+    }
+  });
+
+  return failures;
+}
+
+async function applySetup(phone, setup = {}) {
+  const normalized = normalizePhone(phone);
+  const fill = value => value.replace(/\{phone\}/g, normalized).replace(/\{digits\}/g, phone.replace(/^\+/, ''));
+
+  for (const [key, value] of Object.entries(setup.redis || {})) {
+    await redis.set(fill(key), typeof value === 'string' ? value : JSON.stringify(value), 'EX', 3600);
+  }
+
+  for (const statement of setup.sql || []) {
+    await dbManager.query(fill(statement));
+  }
+
+  // Conversation state and job data, e.g. { "state": "browsing_jobs", "data": { "paginatedJobs": [...] } }
+  if (setup.session) {
+    const result = await transitionSession(phone, setup.session.state || 'idle', {
+      data: setup.session.data,
+      reason: 'simulator_setup'
+    });
+    if (!result.ok) {
+      throw new Error(`Invalid session setup: cannot enter ${setup.session.state}`);
+    }
+  }
+}
+
+async function runScript(file, transport) {
+  const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const phone = script.phone || flags.phone;
+  const failures = [];
+
+  out(`\n▶ ${script.name || path.basename(file)}`);
+
+  await resetPhone(phone);
+  await applySetup(phone, script.setup);
+  transport.drain();
+
+  try {
+    for (const [stepIndex, step] of script.steps.entries()) {
+      const label = step.text !== undefined ? `"${step.text}"` : JSON.stringify(step.list_reply || step.button_reply || step.file);
+
+      await send(phone, step);
+      await new Promise(resolve => setTimeout(resolve, step.wait || script.wait || 300));
+
+      const replies = transport.drain().map(describe);
+      const expected = step.expect || [];
+      const stepFailures = expected.flatMap((expectation, i) => checkExpectation(replies[i], expectation, i));
+
+      if (!step.allowExtra && replies.length > expected.length) {
+        stepFailures.push(`expected ${expected.length} replies, got ${replies.length}`);
+      }
+
+      if (stepFailures.length > 0) {
+        out(`  ✗ step ${stepIndex + 1} ${label}`);
+        stepFailures.forEach(failure => out(`      ${failure}`));
+        replies.forEach(reply => out(`      ← [${reply.type}] ${reply.text.split('\n')[0].substring(0, 80)}`));
+        failures.push(...stepFailures.map(failure => `step ${stepIndex + 1}: ${failure}`));
+      } else {
+        out(`  ✓ step ${stepIndex + 1} ${label}`);
+      }
+    }
+  } finally {
+    await applySetup(phone, script.teardown);
+    await resetPhone(phone);
+  }
+
+  return failures;
+}
+
+async function runScripts(files, transport) {
+  let failed = 0;
+
+  for (const file of files) {
+    const failures = await runScript(file, transport);
+    if (failures.length > 0) failed++;
+  }
+
+  out(`\n${files.length - failed}/${files.length} conversations passed`);
+  return failed === 0;
+}
+
+// ================================
+// INTERACTIVE REPL
+// ================================
+
+const REPL_HELP = `Commands:
+  <text>              send a text message
+  /list <id>          tap a list row (e.g. /list job_1, /list cat_2)
+  /button <id>        tap a reply button
+  /file <path>        upload a CV file
+  /phone <number>     switch simulated user
+  /reset              clear Redis state for this user
+  /quit               exit`;
+
+async function runRepl(transport) {
+  let phone = flags.phone;
+  transport.onSend(render);
+
+  out(`SmartCVNaija simulator — user ${phone}${flags.liveAI ? ' (live AI)' : ' (mock AI)'}`);
+  out(REPL_HELP);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '👤 ' });
+  rl.prompt();
+
+  for await (const line of rl) {
+    const input = line.trim();
+    const [command, ...rest] = input.split(/\s+/);
+    const argument = rest.join(' ');
+
+    try {
+      if (!input) {
+        // nothing
+      } else if (command === '/quit' || command === '/exit') {
+        break;
+      } else if (command === '/help') {
+        out(REPL_HELP);
+      } else if (command === '/phone') {
+        phone = argument || phone;
+        out(`Now chatting as ${phone}`);
+      } else if (command === '/reset') {
+        out(`Cleared ${await resetPhone(phone)} keys`);
+      } else if (command === '/list') {
+        await send(phone, { list_reply: argument });
+      } else if (command === '/button') {
+        await send(phone, { button_reply: argument });
+      } else if (command === '/file') {
+        await send(phone, { file: argument });
+      } else {
+        await send(phone, { text: input });
+      }
+    } catch (error) {
+      out(`⚠️  ${error.message}`);
+    }
+
+    transport.drain();
+    rl.prompt();
+  }
+
+  rl.close();
+}
+
+async function main() {
+  const transport = new StubYCloudTransport();
+  ycloud.useTransport(transport);
+
+  await dbManager.connect();
+
+  if (scriptFiles.length > 0) {
+    return runScripts(scriptFiles, transport);
+  }
+
+  await runRepl(transport);
+  return true;
+}
+
+if (require.main === module) {
+  main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      process.stderr.write(`Simulator failed: ${error.message}\n`);
+      process.exit(1);
+    });
+}
+
+module.exports = { StubYCloudTransport, describe, checkExpectation };
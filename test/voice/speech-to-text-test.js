@@ -0,0 +1,103 @@
+// test/voice/speech-to-text-test.js - Engine registration, availability and transcripts for voice notes
+//
+// Run: npm run test:voice  (no whisper.cpp or API key needed; engines are stubbed)
+
+const assert = require('assert');
+const { test, afterEach } = require('node:test');
+
+const speechToText = require('../../services/speechToText');
+
+const AUDIO = Buffer.from('OggS fake voice note');
+
+const stubEngine = (name, result, { available = true } = {}) => ({
+  name,
+  calls: [],
+  isAvailable: () => available,
+  async transcribe(buffer, options) {
+    this.calls.push({ buffer, options });
+    return result;
+  }
+});
+
+// Each test picks its engine; the configured one is put back afterwards
+const configuredEngine = speechToText.engineName;
+const useEngine = name => { speechToText.engineName = name; };
+
+afterEach(() => useEngine(configuredEngine));
+
+// ================================
+// REGISTRATION
+// ================================
+
+test('engines need a name and a transcribe method', () => {
+  assert.throws(() => speechToText.registerEngine(null), /name and a transcribe/);
+  assert.throws(() => speechToText.registerEngine({ name: 'no-transcribe' }), /name and a transcribe/);
+  assert.throws(() => speechToText.registerEngine({ transcribe: async () => ({ text: '' }) }), /name and a transcribe/);
+  assert.ok(!speechToText.engines.has('no-transcribe'));
+});
+
+test('a registered engine is used once selected', async () => {
+  const engine = stubEngine('stub', { text: 'find accountant jobs in Abuja', language: 'en' });
+  speechToText.registerEngine(engine);
+  useEngine('stub');
+
+  assert.ok(speechToText.isEnabled());
+
+  const result = await speechToText.transcribe(AUDIO, { mimeType: 'audio/ogg' });
+  assert.strictEqual(result.text, 'find accountant jobs in Abuja');
+  assert.strictEqual(result.engine, 'stub');
+  assert.strictEqual(engine.calls.length, 1);
+  assert.strictEqual(engine.calls[0].options.mimeType, 'audio/ogg');
+  assert.strictEqual(engine.calls[0].options.maxDurationSeconds, speechToText.maxDurationSeconds);
+});
+
+// ================================
+// AVAILABILITY
+// ================================
+
+test('whisper.cpp is disabled when its model file is missing', () => {
+  const whisper = speechToText.engines.get('whisper-cpp');
+  const model = whisper.model;
+
+  try {
+    useEngine('whisper-cpp');
+    whisper.model = '/nonexistent/ggml-base.bin';
+    assert.ok(!whisper.isAvailable());
+    assert.ok(!speechToText.isEnabled());
+
+    whisper.model = '';
+    assert.ok(!speechToText.isEnabled());
+  } finally {
+    whisper.model = model;
+  }
+});
+
+test('unknown and unavailable engines are disabled and refuse to transcribe', async () => {
+  useEngine('not-registered');
+  assert.ok(!speechToText.isEnabled());
+  await assert.rejects(speechToText.transcribe(AUDIO), /not available: not-registered/);
+
+  speechToText.registerEngine(stubEngine('offline', { text: 'hello' }, { available: false }));
+  useEngine('offline');
+  assert.ok(!speechToText.isEnabled());
+});
+
+// ================================
+// TRANSCRIPTS
+// ================================
+
+test('silence comes back as an empty transcript', async () => {
+  speechToText.registerEngine(stubEngine('silent', { text: '   \n ' }));
+  useEngine('silent');
+  assert.strictEqual((await speechToText.transcribe(AUDIO)).text, '');
+
+  speechToText.registerEngine(stubEngine('nothing', {}));
+  useEngine('nothing');
+  assert.strictEqual((await speechToText.transcribe(AUDIO)).text, '');
+});
+
+test('transcripts are trimmed', async () => {
+  speechToText.registerEngine(stubEngine('padded', { text: '  show jobs \n' }));
+  useEngine('padded');
+  assert.strictEqual((await speechToText.transcribe(AUDIO)).text, 'show jobs');
+});
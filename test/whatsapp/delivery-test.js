@@ -0,0 +1,88 @@
+// test/whatsapp/delivery-test.js - Receipt ordering and recovery of failed WhatsApp messages
+//
+// Run: npm run test:whatsapp
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const {
+  STATUS_ORDER,
+  MAX_RETRIES,
+  nextStatus,
+  isPermanentError,
+  failureAction
+} = require('../../utils/whatsappDelivery');
+
+const textPayload = { from: '+2349000000000', to: '+2348031234567', type: 'text', text: { body: 'Hello' } };
+const templatePayload = { from: '+2349000000000', to: '+2348031234567', type: 'template', template: { name: 'fallback' } };
+
+const failed = (overrides = {}) => ({
+  error_code: '131047',
+  payload: textPayload,
+  retry_count: 0,
+  ...overrides
+});
+
+// ================================
+// STATUS ORDER
+// ================================
+
+test('statuses move forward', () => {
+  assert.strictEqual(nextStatus('accepted', 'sent'), 'sent');
+  assert.strictEqual(nextStatus('sent', 'delivered'), 'delivered');
+  assert.strictEqual(nextStatus('delivered', 'read'), 'read');
+  assert.strictEqual(nextStatus('sent', 'read'), 'read');
+});
+
+test('late receipts never move a status backwards', () => {
+  assert.strictEqual(nextStatus('read', 'delivered'), 'read');
+  assert.strictEqual(nextStatus('read', 'sent'), 'read');
+  assert.strictEqual(nextStatus('delivered', 'sent'), 'delivered');
+  assert.strictEqual(nextStatus('failed', 'delivered'), 'failed');
+});
+
+test('a repeated receipt keeps the status', () => {
+  STATUS_ORDER.forEach(status => assert.strictEqual(nextStatus(status, status), status));
+});
+
+test('messages logged without a status take the first receipt', () => {
+  assert.strictEqual(nextStatus(null, 'sent'), 'sent');
+  assert.strictEqual(nextStatus(undefined, 'delivered'), 'delivered');
+});
+
+// ================================
+// FAILED MESSAGES
+// ================================
+
+test('closed session window resends as a template', () => {
+  assert.strictEqual(failureAction(failed({ error_code: '131047' })), 'template');
+});
+
+test('a template that fails on a closed window goes to email', () => {
+  assert.strictEqual(failureAction(failed({ payload: templatePayload })), 'email');
+});
+
+test('transient errors retry until the retries run out', () => {
+  assert.strictEqual(failureAction(failed({ error_code: '131000', retry_count: 0 })), 'retry');
+  assert.strictEqual(failureAction(failed({ error_code: '130429', retry_count: MAX_RETRIES - 1 })), 'retry');
+  assert.strictEqual(failureAction(failed({ error_code: '131000', retry_count: MAX_RETRIES })), 'email');
+});
+
+test('permanent and unknown errors go straight to email', () => {
+  assert.strictEqual(failureAction(failed({ error_code: '131026' })), 'email');
+  assert.strictEqual(failureAction(failed({ error_code: '131051', retry_count: 0 })), 'email');
+  assert.strictEqual(failureAction(failed({ error_code: '999999' })), 'email');
+  assert.strictEqual(failureAction(failed({ error_code: null })), 'email');
+});
+
+test('nothing to resend without the original payload', () => {
+  assert.strictEqual(failureAction(failed({ payload: null })), 'email');
+  assert.strictEqual(failureAction(failed({ error_code: '131000', payload: null })), 'email');
+});
+
+test('permanent errors mark a number unreachable at once', () => {
+  assert.ok(isPermanentError('131026'));
+  assert.ok(isPermanentError(131050));
+  assert.ok(!isPermanentError('131000'));
+  assert.ok(!isPermanentError(null));
+});
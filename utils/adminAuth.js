@@ -0,0 +1,26 @@
+const adminAccounts = require('../services/adminAccounts');
+const { bearerToken } = require('./recruiterAuth');
+
+/**
+ * Middleware that rejects requests without an admin session holding the
+ * permission; sets req.admin
+ */
+function requireAdmin(permission = 'users:read') {
+  return async (req, res, next) => {
+    const admin = await adminAccounts.authenticate(bearerToken(req));
+
+    if (!admin) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    if (!adminAccounts.can(admin, permission)) {
+      return res.status(403).json({ success: false, error: 'Your role does not allow this action' });
+    }
+
+    req.admin = admin;
+    req.sessionToken = bearerToken(req);
+    next();
+  };
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,74 @@
+// utils/credits.js - Credit ledger arithmetic and product availability (services/creditLedger.js, services/productCatalog.js)
+
+/**
+ * Which grants a spend of `count` draws from: soonest-expiring first.
+ *   grants: [{ id, balance, expiresAt }] with balance > 0
+ * Returns [{ grantId, credits }] (credits > 0), or null when the grants don't cover count.
+ */
+function allocateSpend(grants, count) {
+  const ordered = [...grants].sort((a, b) =>
+    new Date(a.expiresAt) - new Date(b.expiresAt) || Number(a.id) - Number(b.id)
+  );
+
+  const allocation = [];
+  let needed = count;
+
+  for (const grant of ordered) {
+    if (needed <= 0) break;
+    const take = Math.min(grant.balance, needed);
+    if (take > 0) {
+      allocation.push({ grantId: grant.id, credits: take });
+      needed -= take;
+    }
+  }
+
+  return needed > 0 ? null : allocation;
+}
+
+/**
+ * Where `count` returned credits go: back to the grants they were spent from, most recent spend first.
+ *   spent: [{ id, used }] ordered most recent spend first, used = credits spent and not yet returned
+ * Returns [{ grantId, credits }]; may cover less than count if less was spent.
+ */
+function allocateReturn(spent, count) {
+  const allocation = [];
+  let remaining = count;
+
+  for (const grant of spent) {
+    if (remaining <= 0) break;
+    const give = Math.min(grant.used, remaining);
+    if (give > 0) {
+      allocation.push({ grantId: grant.id, credits: give });
+      remaining -= give;
+    }
+  }
+
+  return allocation;
+}
+
+/**
+ * null when the product can be bought, otherwise why not:
+ * inactive, not_started, ended or limit_reached
+ */
+function unavailableReason(product, { now = new Date(), completedPurchases = 0 } = {}) {
+  if (!product || !product.active) return 'inactive';
+  if (product.available_from && new Date(product.available_from) > now) return 'not_started';
+  if (product.available_until && new Date(product.available_until) <= now) return 'ended';
+  if (product.max_per_user && completedPurchases >= product.max_per_user) return 'limit_reached';
+  return null;
+}
+
+/**
+ * 150000 -> '₦1,500'
+ */
+function formatNaira(kobo) {
+  const naira = kobo / 100;
+  return `₦${naira.toLocaleString('en-NG', { maximumFractionDigits: 2 })}`;
+}
+
+module.exports = {
+  allocateSpend,
+  allocateReturn,
+  unavailableReason,
+  formatNaira
+};
@@ -0,0 +1,19 @@
+// Allowed values for recruiter-posted jobs (posting form and recruiter portal)
+
+const JOB_LOCATIONS = ['Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa', 'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo', 'Ekiti', 'Enugu', 'Gombe', 'Imo', 'Jigawa', 'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara', 'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun', 'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara', 'Abuja', 'Remote'];
+
+const EXPERIENCE_LEVELS = ['entry', 'mid', 'senior', 'executive'];
+
+const JOB_CATEGORIES = ['accounting_finance', 'admin_office', 'it_software', 'engineering_technical', 'marketing_sales', 'healthcare_medical', 'education_training', 'management_executive', 'human_resources', 'logistics_supply', 'customer_service', 'legal_compliance', 'media_creative', 'security_safety', 'construction_real_estate', 'manufacturing_production', 'retail_fashion', 'transport_driving', 'other_general'];
+
+const DESCRIPTION_TAGS = {
+  'p': [],
+  'br': [],
+  'strong': [],
+  'em': [],
+  'ul': [],
+  'ol': [],
+  'li': []
+};
+
+module.exports = { JOB_LOCATIONS, EXPERIENCE_LEVELS, JOB_CATEGORIES, DESCRIPTION_TAGS };
@@ -0,0 +1,297 @@
+// English messages for the WhatsApp bot (services/bot.js). Other catalogs use the same keys.
+
+module.exports = {
+  // General
+  'error.generic': 'Something went wrong. Please try again.',
+  'error.withMenu': 'Something went wrong. Please try again.\nType "menu" to browse categories.',
+  'error.selection': 'Selection failed. Please try again.',
+  'error.navigation': 'Navigation failed. Please try again.',
+  'error.search': 'Job search failed. Please try again.',
+  'error.displayJobs': 'Failed to display jobs. Please try again.',
+  'error.processJobs': 'Failed to process jobs. Please try again.',
+  'error.showJobs': 'Failed to show jobs. Please try again.',
+  'error.jobDetails': 'Failed to get job details.',
+  'error.option': 'Failed to process option. Please try again.',
+  'error.jobSelection': 'Failed to process job selection. Please try again.',
+  'error.upload': 'Upload failed. Please try again.',
+  'error.status': 'Failed to check status. Please try again.',
+  'error.alerts': 'Failed to update alerts. Please try again.',
+  'error.cvs': 'Could not update your CVs. Please try again.',
+  'error.noInteractiveData': 'No interactive data received.',
+  'error.unknownAction': 'Unknown action. Please try text commands.',
+
+  // Welcome and language
+  'welcome': '🙌 You\'re in! SmartCVNaija makes job hunting easy.\n⚡ Search jobs (e.g. *sales jobs in Lagos* or *menu*)\n🔔 Get new jobs daily (e.g. *alert me for accountant jobs in Abuja*)\n🌍 Type *language* to chat in Pidgin, Yorùbá, Hausa or Igbo',
+  'language.header': 'Language',
+  'language.body': 'Which language should I use?',
+  'language.button': 'Choose Language',
+  'language.section': 'Languages',
+  'language.changed': '✅ I\'ll reply in English from now on.\nType "language" any time to change it.',
+
+  // Category menu
+  'menu.title': '📋 **Job Categories Menu**\n\nSelect a category by replying with its number:\n\n',
+  'menu.howTo': '\n💡 **How to use:**\n• Reply with a number (e.g., "1" for IT jobs)\n• Or use natural language: "developer jobs in Lagos"\n\nWhich category interests you? 🎯',
+  'menu.listHeader': 'Job Categories ({range})',
+  'menu.listBody': 'Choose a category:',
+  'menu.listMoreBody': 'Or choose from these categories:',
+  'menu.listSection': 'Job Categories',
+  'menu.listMoreSection': 'More Categories',
+  'menu.listButton': 'Select Category',
+  'menu.invalidNumber': 'Please select a valid category number (1-19).\nType "menu" to see all categories.',
+  'menu.invalidCategory': 'Invalid category selection.',
+  'menu.invalidSelection': 'Invalid selection. Please try again.',
+  'menu.askLocation': 'You selected: **{category}** ✅\n\n📍 **Where do you want to work?**\n\nChoose from:\n• Lagos\n• Abuja\n• Port Harcourt\n• Kano\n• Ibadan\n• Remote\n• Any other Nigerian state\n\nJust reply with your preferred location! 🎯',
+  'menu.sessionExpired': 'Session expired. Please select a job category again.\nType "menu" to see categories.',
+
+  // Search
+  'search.searching': 'Searching for {title}...',
+  'search.searchingIn': 'Searching for {title} in {location}...',
+  'search.nationwide': 'No {title} found in {location}, but I found {count} nationwide:',
+  'search.noResults': 'No jobs found for "{title}"{location}\n\nTry broader terms:\n• "software jobs in Lagos"\n• "IT jobs"\n• "remote tech jobs"\n• "jobs in Lagos"\n\nOr type "menu" to browse categories',
+  'search.inLocation': ' in {location}',
+  'search.askJobType': 'What type of jobs are you looking for?\n\nTry: "developer jobs in Lagos" or "remote marketing jobs"\n\nOr type "menu" to browse categories',
+  'search.askLocationFor': 'What location for {title}? Try: Lagos, Abuja, or Remote',
+  'search.askJobIn': 'What kind of job are you looking for in {location}?\n\nOr type "menu" to browse categories',
+  'search.readyToSearch': 'Ready to search for jobs? Just tell me what work you\'re looking for!',
+  'search.help': 'I\'m here to help! Try:\n• "Find developer jobs in Lagos"\n• "menu" to browse categories\n• "status" to check your applications',
+
+  // Search results teaser and payment
+  'tease.found': '🔥 Found {count} {title}!\n\n📍 Locations:\n',
+  'tease.location': '• {location}: {count} jobs\n',
+  'tease.moreLocations': '• ...and more locations\n',
+  'tease.offer': '\n💳 Pay ₦300 for full access\n\n✅ View all job details\n✅ Apply to 3 jobs with AI-generated cover letters\n✅ Instant professional applications\n\n',
+  'tease.payNow': 'Pay now: {paymentUrl}\n\nAlready paid? Type "show jobs"',
+  'tease.payToSee': '\n\nPay to see all details: {paymentUrl}',
+  'reminder.first': '🔥 {count} new jobs found!\n\n💡 See what others say about us:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n💳 Unlock full details here:\n{paymentUrl}\n\n⚡ 50+ applicants daily - don\'t miss out!',
+  'reminder.final': '⏰ Final reminder!\n\nYour {count} job search results expire soon\n\n💳 Complete payment now:\n{paymentUrl}\n\n🚀 New jobs added daily - don\'t miss out!',
+  'payment.success': 'Payment Successful! You now have 3 job applications valid for the next 24 hours!',
+  'payment.requiredShowJobs': '💳 Payment Required\n\nPay ₦300 for premium service:\n✅ Full job details\n✅ 3 applications with AI cover letters\n\n{paymentUrl}',
+  'payment.requiredApply': '💳 Payment Required\n\nPay ₦300 to apply:\n{paymentUrl}',
+  'payment.creditsAdded': '✅ Payment Successful! {product} is active: {credits} job applications, valid until {validUntil}.',
+
+  // Job lists
+  'jobs.noneSearchAgain': 'No jobs found. Please search again.',
+  'jobs.noneAvailable': 'No jobs available. Please search for jobs first.',
+  'jobs.notFound': 'Job {number} not found.',
+  'jobs.noSearch': '🔍 No jobs found. Search first:\n• "Find developer jobs in Lagos"\n• Type "menu" to browse categories',
+  'jobs.noneActive': 'No active jobs available from your search. Try searching again!',
+  'jobs.alertJobClosed': 'This job is no longer open. Type "alerts" to see your alerts.',
+  'jobs.pageTitle': '📋 **Jobs - Page {page} of {totalPages}** ({total} total)\n\n',
+  'jobs.quickActions': '💡 **Quick Actions:**\n• Use interactive buttons above to apply\n• Type "details" + job number (e.g. "details 3") for full info\n• Type "apply 1,2,3" to select multiple jobs',
+  'jobs.navigation': '\n📄 **Navigation:**\n',
+  'jobs.navPrev': '• "prev" - Previous page\n',
+  'jobs.navNext': '• "next" - Next page\n',
+  'jobs.navPage': '• "page X" - Go to page X\n\n',
+  'jobs.textActions': '🚀 **Quick Actions:**\n• "{first},{second}" - Apply to specific jobs\n• "details {first}" - See full requirements\n• "all" - Apply to all jobs on this page',
+  'jobs.listHeader': 'Job Actions',
+  'jobs.listBody': 'Quick apply to jobs:',
+  'jobs.listButton': 'Choose Action',
+  'jobs.listSection': 'Apply to Jobs',
+  'jobs.listNavSection': 'Navigate',
+  'jobs.applyRow': 'Apply Job {number}',
+  'jobs.prevRow': '⬅️ Previous',
+  'jobs.nextRow': '➡️ Next',
+  'jobs.goToPage': 'Go to page {page}',
+  'jobs.noPagination': 'No jobs found for pagination. Please search for jobs first.',
+  'jobs.samePage': 'Already on page {page} of {totalPages}.\nUse "next" or "prev" to navigate.',
+  'jobs.invalidPage': 'Invalid page number. Please select page 1-{totalPages}.',
+  'job.remote': 'Remote',
+  'job.remoteWork': 'Remote work',
+  'job.competitive': 'Competitive',
+  'job.competitiveSalary': 'Competitive salary',
+  'job.expiresOne': 'Expires in 1 day',
+  'job.expiresMany': 'Expires in {days} days',
+
+  // Job details
+  'details.invalidNumber': 'Please specify a valid job number (1-{max})\nExample: "details 1" or "requirements 2"',
+  'details.title': '📋 **Job {number} - Full Details**\n\n',
+  'details.company': 'Company',
+  'details.location': 'Location',
+  'details.salary': 'Salary',
+  'details.experience': 'Experience Required',
+  'details.requirements': 'Requirements',
+  'details.description': 'Description',
+  'details.deadline': '⏰ **Deadline:** {days} days remaining\n\n',
+  'details.apply': '🚀 **Ready to apply?**\nReply: "apply {number}" or "{number}" to apply to this job',
+  'details.invalidRequest': 'Invalid job details request. Please try again.',
+  'details.summaryTitle': '📋 *Job Details*',
+  'details.expires': 'Expires',
+
+  // Selecting and applying
+  'apply.paymentRequired': '💳 Payment Required\n\nTo apply for "{title}" at {company}, please complete payment:\n\n{paymentUrl}\n\nAfter payment, upload your CV to apply.',
+  'apply.limitReached': '⌛ Application Limit Reached\n\nYou\'ve used all your applications today. Try again tomorrow or make a new payment.',
+  'apply.jobSelected': '✅ Job Selected Successfully!\n\n💼 Position: {title}\n🏢 Company: {company}\n📍 Location: {location}\n💰 Salary: {salary}\n\n📤 Next Step: Upload your CV (PDF or DOCX) to apply for this position.\n\nYou have {remaining} applications remaining today.',
+  'apply.invalidNumbers': 'Please select valid job numbers (1-{max}) or "all".',
+  'apply.invalidSelection': 'Invalid job selection. Please try again.',
+  'apply.invalidNumber': 'Job {number} is not on this page. Please select from jobs 1-{max}.',
+  'apply.selected': '✅ Selected: {title}\n🏢 {company}\n\n📤 Please upload your CV (PDF/DOCX) to apply.',
+  'apply.alreadySelected': '✅ Job "{title}" is already selected.\n\nCurrent selection: {count} job(s)',
+  'apply.selectionLimit': 'Limit reached: You can only apply to {remaining} more jobs today.',
+  'apply.added': '✅ Added: {title}\n🏢 Company: {company}\n\n📋 Total selected: {count} job(s)',
+  'options.header': 'Application Options',
+  'options.body': 'You selected {count} job(s). Choose how to proceed:',
+  'options.section': 'Application Actions',
+  'options.button': 'Choose Action',
+  'options.applyTitle': '📤 Apply to Selected Jobs',
+  'options.applyDescription': 'Apply to all {count} selected jobs',
+  'options.reviewTitle': '👀 Review Selected Jobs',
+  'options.reviewDescription': 'See details of your selected jobs',
+  'options.moreTitle': '➕ Select More Jobs',
+  'options.moreDescription': 'Add more jobs to your selection',
+  'options.clearTitle': '🗑️ Clear Selection',
+  'options.clearDescription': 'Start job selection over',
+  'options.fallback': 'Upload your CV to apply to the selected jobs, or type "more" to select additional jobs.',
+  'options.noneSelected': 'No jobs selected. Search and select jobs first.',
+  'options.choose': 'Please choose an option:\n• "apply" - Apply to selected jobs\n• "review" - See selected jobs\n• "more" - Select more jobs\n• "clear" - Clear selection',
+  'options.payFirst': 'Complete payment first:\n\n{paymentUrl}\n\nAfter payment, upload your CV to apply to {count} selected jobs.',
+  'options.ready': 'Ready to apply to {count} job(s):\n\n{jobList}\n📤 Upload your CV to start applications!\n\n✅ We\'ll generate personalized cover letters\n✅ Submit professional applications instantly\n✅ Email copies to you for records',
+  'options.reviewList': '📋 Your Selected Jobs ({count}):\n\n',
+  'options.reviewFooter': 'Ready to apply? Upload your CV or select more jobs.',
+  'options.searchFirst': 'Please search for jobs first.',
+  'options.cleared': '🗑️ Job selection cleared.\n\nSearch for jobs to start over:\n• "Find developer jobs in Lagos"\n• Type "menu" to browse categories',
+
+  // CV upload
+  'upload.selectJobsFirst': 'First select jobs to apply to!\n\nSearch for jobs:\n• "Find developer jobs in Lagos"\n• Select jobs to apply to\n• Then upload CV for applications!\n\nOr type "menu" to browse categories',
+  'upload.payFirst': 'Complete Payment First\n\nPay ₦300 for:\n✅ 3 professional applications\n✅ AI-generated cover letters\n✅ Direct recruiter contact\n\n{paymentUrl}\n\nAfter payment, just upload CV - we handle the rest!',
+  'upload.tooLarge': 'File too large (max 5MB).',
+  'upload.saveFailed': 'Failed to save CV. Please try again.',
+  'upload.moreJobs': '...and {count} more jobs!\n',
+  'upload.confirmation': '✅ SUCCESS! Professional Applications Sent!\n\n📨 Applied to {count} jobs with custom cover letters:\n{jobList}\n\n🤖 What we sent to each recruiter:\n• Your CV\n• AI-generated cover letter for that specific job\n• Professional email formatting\n\n📧 Confirmation emails sent to you with copies of:\n• Each cover letter we generated\n• Your CV as submitted\n• Recruiter contact details\n\n✉️ Check your email now for full application copies.\n📞 Support: +2349049456183\n\n📊 Usage: {remaining}/3 applications remaining\n\n🌐 Share your success:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n🚀 Keep searching for more opportunities!',
+
+  // Status
+  'status.title': '📊 **Your Status**\n\n',
+  'status.paymentRequired': '💳 **Payment Required**\nPay ₦300 for premium access:\n{paymentUrl}\n\n',
+  'status.active': '✅ **Premium Access Active**\nApplications today: {used}\nRemaining: {remaining} applications\n\n',
+  'status.selected': '📋 **Selected Jobs**: {count}\n',
+  'status.uploadCv': '\nUpload your CV to apply!\n',
+  'status.noneSelected': '📋 **No jobs selected**\nSearch for jobs to start applying.\n',
+  'status.recent': '\n📤 **Recent Applications**:\n',
+  'status.noRecent': '\n📤 **No recent applications**\n',
+  'status.nextSteps': '\n🚀 **Next Steps**:\n• "show jobs" - View your job search\n• "menu" - Browse job categories\n• Upload CV to apply to selected jobs',
+  'appStatus.label.sent': 'Sent',
+  'appStatus.label.viewed': 'Viewed',
+  'appStatus.label.shortlisted': 'Shortlisted',
+  'appStatus.label.interview': 'Interview',
+  'appStatus.label.rejected': 'Not selected',
+  'appStatus.label.hired': 'Hired',
+  'appStatus.message.viewed': 'The recruiter has viewed your application.',
+  'appStatus.message.shortlisted': 'Great news! You have been shortlisted. Keep an eye on your email and phone.',
+  'appStatus.message.interview': 'You have been invited to interview! The recruiter will contact you with details.',
+  'appStatus.message.rejected': 'The recruiter has decided not to move forward this time. Don\'t give up, keep applying!',
+  'appStatus.message.hired': 'Congratulations, you got the job! 🎊',
+  'appStatus.update': '{emoji} Application update\n\n{job}Status: {label}\n\n{message}\n\nType "status" to see your application timeline.',
+  'appStatus.job': '💼 {title}\n',
+  'appStatus.jobAt': '💼 {title} at {company}\n',
+  'appStatus.untitled': 'Job application',
+  'appStatus.notDelivered': '⚠️ Not delivered',
+  'appStatus.processing': '⏳ Processing',
+  'appStatus.applied': 'Applied {date}',
+
+  // Job alerts
+  'alerts.stoppedOne': '🔕 Stopped 1 alert.',
+  'alerts.stoppedMany': '🔕 Stopped {count} alerts.',
+  'alerts.noMatching': 'No matching alerts. Type "alerts" to see yours.',
+  'alerts.unclear': 'Which jobs should I watch for? Try:\n• "alert me for accountant jobs in Abuja"\n• "alert me for driver jobs in Lagos"',
+  'alerts.duplicate': 'You already have an alert for {alert}.',
+  'alerts.duplicateUnknown': 'that',
+  'alerts.limit': 'You can have up to {max} alerts. Reply "stop alert 1" to free one up.',
+  'alerts.saveFailed': 'Could not save your alert. Please try again.',
+  'alerts.saved': '🔔 Alert saved: {alert}\n\nEvery morning I\'ll send you new matching jobs. Tap one to apply.\n\n• "alerts" - see your alerts\n• "stop alert 1" - remove one',
+  'alerts.none': '🔕 No job alerts yet.\n\nSay "alert me for accountant jobs in Abuja" and I\'ll send you new matches daily.',
+  'alerts.listTitle': '🔔 **Your Job Alerts**\n\n',
+  'alerts.listFooter': '\nReply "stop alert 1" to remove one, or "stop alerts" to remove all.',
+  'alerts.describeIn': '{label} in {location}',
+  'alerts.describeAnywhere': '{label} anywhere',
+  'alerts.allJobs': 'All jobs',
+  'alerts.digestHeader': 'Your Daily Job Alerts',
+  'alerts.digestOne': '🔔 1 new job matching your alerts.\n\nTap a job to apply.',
+  'alerts.digestMany': '🔔 {count} new jobs matching your alerts.\n\nTap a job to apply.',
+  'alerts.digestMore': ' Showing the newest {shown}; search to see the rest.',
+  'alerts.digestFooter': '\n\nReply "alerts" to manage your alerts.',
+  'alerts.digestButton': 'View & Apply',
+  'alerts.remote': 'Remote',
+
+  // CV library
+  'cv.renamed': '✏️ CV {version} renamed to "{label}"',
+  'cv.default': '⭐ "{label}" is now your default CV.\n\nAuto-apply uses it unless a preference has its own CV pinned.',
+  'cv.deleted': '🗑️ "{label}" deleted.',
+  'cv.newDefault': '\n\n⭐ "{label}" is now your default CV.',
+  'cv.preferenceNotFound': 'Preference not found. You need an active auto-apply subscription with preferences to pin a CV.',
+  'cv.pinned': '📌 "{label}" will be used for {category} in {location}.',
+  'cv.libraryFull': '📚 You already keep {max} CVs, so this one wasn\'t added to "my cvs". Reply "my cvs" to see them and delete one to make room.',
+  'cv.unreadable': '📸 I couldn\'t read your CV clearly.\n\nPlease send it again as:\n• A clear photo taken straight on, in good light, with the whole page in view\n• Or better, a PDF or Word document\n\nYour selected jobs are kept, so just send the CV again.',
+  'cv.none': '📄 No CVs saved yet.\n\nUpload a CV (PDF or DOCX) and we\'ll keep it here for future applications.',
+  'cv.listTitle': '📄 Your CVs\n\n',
+  'cv.listDefault': ' ⭐ (default)',
+  'cv.listUploaded': '   Uploaded {date}\n',
+  'cv.listCommands': '\nCommands:\n• "rename cv 2 Sales CV"\n• "default cv 2"\n• "delete cv 2"\n• "pin cv 2 to 1" (use CV 2 for auto-apply preference 1)',
+  'cv.labelRequired': 'Please give the CV a name, e.g. "rename cv 2 Sales CV"',
+  'cv.notFound': 'CV {version} not found. Type "my cvs" to see your CVs.',
+  'cv.preferenceCv': '   📄 CV: {cv}\n',
+  'cv.preferenceDefaultCv': 'Default CV',
+  'cv.pinHint': 'Reply "pin cv 2 to 1" to use CV 2 for preference 1 ("my cvs" lists your CVs).',
+
+  // Bundles
+  'bundles.header': '💳 Application Bundles',
+  'bundles.body': 'Pick a bundle. I\'ll send you a Paystack link and add the applications as soon as you pay.',
+  'bundles.button': 'See bundles',
+  'bundles.section': 'Bundles',
+  'bundles.rowHours': '{price} · {credits} applications · {hours}h',
+  'bundles.rowDays': '{price} · {credits} applications · {days} days',
+  'bundles.none': 'No bundles are available right now. Please try again later.',
+  'bundles.unavailable': 'That bundle is not available any more. Type "bundles" to see the current ones.',
+  'bundles.paymentLink': '💳 {product}\n{details}\n\nPay here:\n{paymentUrl}\n\nThe applications are added as soon as your payment goes through.',
+
+  // Referrals and promo codes
+  'refer.summary': '🎁 **Invite friends, earn applications**\n\nYour code: {code}\nShare this link:\n{link}\n\nWhen a friend you invite makes their first payment, you get {credits} free applications.\n\n👥 Friends joined: {joined}\n✅ Friends who paid: {rewarded}\n🎉 Applications earned: {earned}',
+  'refer.welcome': '🎁 Welcome! You joined with a friend\'s invite.',
+  'refer.rewarded': '🎉 A friend you invited just made their first payment! {credits} free applications have been added for you, valid for {days} days.',
+  'promo.credits': '🎉 Code {code} applied! {credits} free applications added, valid until {validUntil}.',
+  'promo.discountPercent': '🎉 Code {code} saved! Your next payment is {percent}% off.',
+  'promo.discountAmount': '🎉 Code {code} saved! Your next payment is {amount} off.',
+  'promo.invalid': 'That code is not valid. Check the spelling and try again.',
+  'promo.expired': 'That code is not available any more.',
+  'promo.used': 'You have already used that code.',
+
+  // Wallet
+  'wallet.summary': '👛 **Your wallet**\n\nBalance: {balance}\nEnough for {applications} applications at {price} each. The wallet pays once your application credits run out.\n\nRecent activity:\n{history}\n\nReply "top up 1000" to add ₦1,000.',
+  'wallet.noHistory': 'Nothing yet.',
+  'wallet.entry.topup': '➕ {amount} top-up · {date}',
+  'wallet.entry.debit': '➖ {amount} for {count} applications · {date}',
+  'wallet.entry.refund': '↩️ {amount} back for {count} failed applications · {date}',
+  'wallet.entry.adjustment': '⚙️ {amount} adjusted by support · {date}',
+  'wallet.topUpPrompt': 'How much would you like to add? Reply like "top up 1000" (from {min} to {max}).',
+  'wallet.topUpRange': 'Top-ups must be from {min} to {max}.',
+  'wallet.topUpLink': '💳 Wallet top-up: {amount}\n\nPay here:\n{paymentUrl}\n\nYour balance updates as soon as your payment goes through.',
+  'wallet.toppedUp': '✅ {amount} added to your wallet. Balance: {balance}.',
+  'wallet.refundCredits': '↩️ {count} of your applications could not be delivered, so we gave back {credits} application credits.',
+  'wallet.refundWallet': '↩️ {count} of your applications could not be delivered, so {amount} is back in your wallet.',
+  'wallet.refundBoth': '↩️ {count} of your applications could not be delivered, so we gave back {credits} application credits and put {amount} back in your wallet.',
+
+  // Payment methods
+  'paymentMethods.header': 'No card?',
+  'paymentMethods.body': 'You can also pay by bank transfer or USSD.',
+  'paymentMethods.card': '💳 Card',
+  'paymentMethods.transfer': '🏦 Bank transfer',
+  'paymentMethods.ussd': '📱 USSD',
+  'paymentMethods.fallback': '💳 Card: use the payment link above\n🏦 Bank transfer: type "bank transfer" for your own account number\n📱 USSD: type "ussd" to pay by dialling a code',
+  'paymentMethods.ussdHeader': 'Pay by USSD',
+  'paymentMethods.ussdBody': 'Pick your bank to pay for {product} by dialling a code.',
+  'paymentMethods.ussdButton': 'Choose bank',
+  'paymentMethods.ussdSection': 'Banks',
+  'paymentMethods.ussdCode': '📱 {product}: {price}\n\nDial {code} on the line registered with your {bank} account and follow the prompts.\n\nWe\'ll message you as soon as the payment goes through.',
+  'paymentMethods.transferAccount': '🏦 **Your SmartCVNaija account**\n\nBank: {bank}\nAccount number: {accountNumber}\nAccount name: {accountName}\n\nAny amount you send here goes to your wallet, which pays {price} per application. The account is yours to reuse.',
+  'paymentMethods.transferPending': '🏦 We\'re setting up your account number for bank transfers. We\'ll send it here in a moment.',
+  'paymentMethods.transferFailed': 'We couldn\'t set up an account number for you right now. Please pay by card or USSD, or try "bank transfer" again later.',
+  'paymentMethods.transferReceived': '✅ Transfer received: {amount} added to your wallet. Balance: {balance}.',
+
+  // Voice notes
+  'voice.unavailable': '🎤 I can\'t listen to voice notes yet. Please type your message instead.',
+  'voice.unclear': '🎤 Sorry, I couldn\'t make out that voice note. Please try again or type your message.',
+  'voice.heard': '🎤 I heard: "{text}"\n\nIf that\'s not right, just type your message.',
+  'voice.failed': '⚠️ I couldn\'t process your voice note. Please type your message instead.',
+
+  // Small talk
+  'chat.thanks': 'You’re welcome! 😊 Need more help?',
+  'chat.cleared': 'Session cleared. Start over with "menu" or a job search.'
+};
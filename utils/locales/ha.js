@@ -0,0 +1,297 @@
+// Hausa messages for the WhatsApp bot (keys as in ./en.js). Commands stay in English.
+
+module.exports = {
+  // General
+  'error.generic': 'An sami matsala. Don Allah a sake gwadawa.',
+  'error.withMenu': 'An sami matsala. Don Allah a sake gwadawa.\nRubuta "menu" don ganin rukunonin aiki.',
+  'error.selection': 'Zaɓin bai yi aiki ba. Don Allah a sake gwadawa.',
+  'error.navigation': 'Ba zan iya zuwa wannan shafin ba. Don Allah a sake gwadawa.',
+  'error.search': 'Neman aiki bai yi nasara ba. Don Allah a sake gwadawa.',
+  'error.displayJobs': 'Ba zan iya nuna ayyukan ba. Don Allah a sake gwadawa.',
+  'error.processJobs': 'Ba zan iya shirya ayyukan ba. Don Allah a sake gwadawa.',
+  'error.showJobs': 'Ba zan iya nuna ayyukan ba. Don Allah a sake gwadawa.',
+  'error.jobDetails': 'Ba zan iya samo bayanan aikin ba.',
+  'error.option': 'Ba zan iya yin wannan ba. Don Allah a sake gwadawa.',
+  'error.jobSelection': 'Ba zan iya sarrafa ayyukan da ka zaɓa ba. Don Allah a sake gwadawa.',
+  'error.upload': 'Turawa bai yi nasara ba. Don Allah a sake gwadawa.',
+  'error.status': 'Ba zan iya duba matsayinka ba. Don Allah a sake gwadawa.',
+  'error.alerts': 'Ba zan iya sabunta sanarwarka ba. Don Allah a sake gwadawa.',
+  'error.cvs': 'Ba zan iya sabunta CV ɗinka ba. Don Allah a sake gwadawa.',
+  'error.noInteractiveData': 'Babu abin da ya zo da wannan taɓawar.',
+  'error.unknownAction': 'Ban gane wannan aikin ba. Don Allah ka rubuta umarnin.',
+
+  // Welcome and language
+  'welcome': '🙌 Barka da zuwa! SmartCVNaija na sauƙaƙa neman aiki.\n⚡ Nemi aiki (misali *ina neman aikin direba a Kano* ko *menu*)\n🔔 Samu sababbin ayyuka kullum (misali *alert me for accountant jobs in Abuja*)\n🌍 Rubuta *language* don canza harshe',
+  'language.header': 'Harshe',
+  'language.body': 'Wane harshe kake so in yi amfani da shi?',
+  'language.button': 'Zaɓi Harshe',
+  'language.section': 'Harsuna',
+  'language.changed': '✅ Daga yanzu zan riƙa amsawa da Hausa.\nRubuta "language" a kowane lokaci don canzawa.',
+
+  // Category menu
+  'menu.title': '📋 **Rukunonin Aiki**\n\nAmsa da lambar rukunin da kake so:\n\n',
+  'menu.howTo': '\n💡 **Yadda ake amfani:**\n• Amsa da lamba (misali "1" don aikin IT)\n• Ko ka faɗa: "ina neman aikin malami a Kaduna"\n\nWanne kake so? 🎯',
+  'menu.listHeader': 'Rukunonin Aiki ({range})',
+  'menu.listBody': 'Zaɓi rukuni:',
+  'menu.listMoreBody': 'Ko ka zaɓi daga waɗannan:',
+  'menu.listSection': 'Rukunonin Aiki',
+  'menu.listMoreSection': 'Ƙarin Rukunoni',
+  'menu.listButton': 'Zaɓi Rukuni',
+  'menu.invalidNumber': 'Don Allah zaɓi lambar rukuni mai kyau (1-19).\nRubuta "menu" don ganin duk rukunoni.',
+  'menu.invalidCategory': 'Babu wannan rukunin.',
+  'menu.invalidSelection': 'Wannan zaɓin ba daidai ba ne. Don Allah a sake gwadawa.',
+  'menu.askLocation': 'Ka zaɓi: **{category}** ✅\n\n📍 **A ina kake son yin aiki?**\n\nZaɓi daga:\n• Lagos (Legas)\n• Abuja\n• Port Harcourt\n• Kano\n• Ibadan\n• Remote (daga gida)\n• Kowace jiha a Najeriya\n\nKa amsa da wurin da kake so! 🎯',
+  'menu.sessionExpired': 'Lokacinka ya ƙare. Don Allah sake zaɓar rukunin aiki.\nRubuta "menu" don ganin rukunoni.',
+
+  // Search
+  'search.searching': 'Ina neman {title}...',
+  'search.searchingIn': 'Ina neman {title} a {location}...',
+  'search.nationwide': 'Ban sami {title} a {location} ba, amma na sami {count} a faɗin Najeriya:',
+  'search.noResults': 'Ban sami aiki ba don "{title}"{location}\n\nGwada wata hanya:\n• "software jobs in Lagos"\n• "IT jobs"\n• "remote tech jobs"\n• "aiki a Kano"\n\nKo rubuta "menu" don ganin rukunoni',
+  'search.inLocation': ' a {location}',
+  'search.askJobType': 'Wane irin aiki kake nema?\n\nGwada: "ina neman aikin direba a Kano" ko "remote marketing jobs"\n\nKo rubuta "menu" don ganin rukunoni',
+  'search.askLocationFor': 'A ina kake son aikin {title}? Misali: Lagos, Abuja, ko Remote',
+  'search.askJobIn': 'Wane irin aiki kake nema a {location}?\n\nKo rubuta "menu" don ganin rukunoni',
+  'search.readyToSearch': 'Ka shirya neman aiki? Faɗa mini irin aikin da kake nema!',
+  'search.help': 'Ina nan don taimaka maka! Gwada:\n• "ina neman aikin developer a Abuja"\n• "menu" don ganin rukunoni\n• "status" don duba neman aikinka',
+
+  // Search results teaser and payment
+  'tease.found': '🔥 Na sami {title} guda {count}!\n\n📍 Wurare:\n',
+  'tease.location': '• {location}: ayyuka {count}\n',
+  'tease.moreLocations': '• ...da wasu wurare\n',
+  'tease.offer': '\n💳 Biya ₦300 don ganin komai\n\n✅ Duba duk bayanan ayyuka\n✅ Nemi ayyuka 3 da wasiƙun da AI ya rubuta\n✅ Neman aiki na ƙwarewa nan take\n\n',
+  'tease.payNow': 'Biya yanzu: {paymentUrl}\n\nKa riga ka biya? Rubuta "show jobs"',
+  'tease.payToSee': '\n\nBiya don ganin duk bayanai: {paymentUrl}',
+  'reminder.first': '🔥 Na sami sababbin ayyuka {count}!\n\n💡 Duba abin da wasu ke faɗa game da mu:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n💳 Buɗe duk bayanai a nan:\n{paymentUrl}\n\n⚡ Sama da mutane 50 na nema kullum - kada ya wuce ka!',
+  'reminder.final': '⏰ Tunatarwa ta ƙarshe!\n\nSakamakon ayyuka {count} naka zai ƙare nan ba da jimawa ba\n\n💳 Biya yanzu:\n{paymentUrl}\n\n🚀 Ana ƙara sababbin ayyuka kullum - kada ya wuce ka!',
+  'payment.success': 'An karɓi kuɗin! Yanzu kana da neman aiki 3 na awa 24 masu zuwa!',
+  'payment.requiredShowJobs': '💳 Ana buƙatar biya\n\nBiya ₦300 don sabis na musamman:\n✅ Duk bayanan ayyuka\n✅ Neman aiki 3 da wasiƙun AI\n\n{paymentUrl}',
+  'payment.requiredApply': '💳 Ana buƙatar biya\n\nBiya ₦300 don neman aiki:\n{paymentUrl}',
+  'payment.creditsAdded': '✅ An karɓi kuɗin! {product} ya fara aiki: neman aiki {credits}, har zuwa {validUntil}.',
+
+  // Job lists
+  'jobs.noneSearchAgain': 'Ban sami aiki ba. Don Allah a sake nema.',
+  'jobs.noneAvailable': 'Babu ayyuka. Don Allah ka fara neman aiki.',
+  'jobs.notFound': 'Ban sami aiki na {number} ba.',
+  'jobs.noSearch': '🔍 Ban sami aiki ba. Ka fara nema:\n• "ina neman aikin developer a Abuja"\n• Rubuta "menu" don ganin rukunoni',
+  'jobs.noneActive': 'Babu buɗaɗɗen aiki daga bincikenka. Ka sake nema!',
+  'jobs.alertJobClosed': 'An rufe wannan aikin. Rubuta "alerts" don ganin sanarwarka.',
+  'jobs.pageTitle': '📋 **Ayyuka - Shafi {page} cikin {totalPages}** (ayyuka {total})\n\n',
+  'jobs.quickActions': '💡 **Abin da za ka iya yi:**\n• Yi amfani da maɓallan da ke sama don nema\n• Rubuta "details" + lambar aiki (misali "details 3") don cikakken bayani\n• Rubuta "apply 1,2,3" don zaɓar ayyuka da yawa',
+  'jobs.navigation': '\n📄 **Kewayawa:**\n',
+  'jobs.navPrev': '• "prev" - Shafin baya\n',
+  'jobs.navNext': '• "next" - Shafi na gaba\n',
+  'jobs.navPage': '• "page X" - Je shafi X\n\n',
+  'jobs.textActions': '🚀 **Abin da za ka iya yi:**\n• "{first},{second}" - Nemi waɗannan ayyuka\n• "details {first}" - Duba abin da ake buƙata\n• "all" - Nemi duk ayyukan wannan shafin',
+  'jobs.listHeader': 'Ayyuka',
+  'jobs.listBody': 'Nemi aiki da sauri:',
+  'jobs.listButton': 'Zaɓi',
+  'jobs.listSection': 'Nemi Ayyuka',
+  'jobs.listNavSection': 'Kewayawa',
+  'jobs.applyRow': 'Nemi Aiki {number}',
+  'jobs.prevRow': '⬅️ Baya',
+  'jobs.nextRow': '➡️ Gaba',
+  'jobs.goToPage': 'Je shafi {page}',
+  'jobs.noPagination': 'Babu ayyukan da za a kewaya. Don Allah ka fara neman aiki.',
+  'jobs.samePage': 'Kana shafi {page} cikin {totalPages} tuni.\nYi amfani da "next" ko "prev" don kewayawa.',
+  'jobs.invalidPage': 'Babu wannan shafin. Don Allah zaɓi shafi 1-{totalPages}.',
+  'job.remote': 'Daga gida',
+  'job.remoteWork': 'Aiki daga gida',
+  'job.competitive': 'Albashi mai kyau',
+  'job.competitiveSalary': 'Albashi mai kyau',
+  'job.expiresOne': 'Zai ƙare cikin kwana 1',
+  'job.expiresMany': 'Zai ƙare cikin kwanaki {days}',
+
+  // Job details
+  'details.invalidNumber': 'Don Allah saka lambar aiki mai kyau (1-{max})\nMisali: "details 1" ko "requirements 2"',
+  'details.title': '📋 **Aiki {number} - Cikakken Bayani**\n\n',
+  'details.company': 'Kamfani',
+  'details.location': 'Wuri',
+  'details.salary': 'Albashi',
+  'details.experience': 'Ƙwarewar da ake buƙata',
+  'details.requirements': 'Abubuwan da ake buƙata',
+  'details.description': 'Game da aikin',
+  'details.deadline': '⏰ **Ranar ƙarshe:** saura kwanaki {days}\n\n',
+  'details.apply': '🚀 **Ka shirya nema?**\nAmsa: "apply {number}" ko "{number}" don neman wannan aikin',
+  'details.invalidRequest': 'Ban gane bayanan wane aiki kake so ba. Don Allah a sake gwadawa.',
+  'details.summaryTitle': '📋 *Bayanan Aiki*',
+  'details.expires': 'Zai rufe',
+
+  // Selecting and applying
+  'apply.paymentRequired': '💳 Ana buƙatar biya\n\nDon neman "{title}" a {company}, don Allah ka biya:\n\n{paymentUrl}\n\nBayan biya, tura CV ɗinka don nema.',
+  'apply.limitReached': '⌛ Ka kai iyaka\n\nKa yi amfani da duk neman aikinka na yau. Ka sake gwadawa gobe ko ka sake biya.',
+  'apply.jobSelected': '✅ Ka zaɓi aikin!\n\n💼 Matsayi: {title}\n🏢 Kamfani: {company}\n📍 Wuri: {location}\n💰 Albashi: {salary}\n\n📤 Mataki na gaba: Tura CV ɗinka (PDF ko DOCX) don neman wannan aikin.\n\nSaura maka neman aiki {remaining} na yau.',
+  'apply.invalidNumbers': 'Don Allah zaɓi lambobin aiki masu kyau (1-{max}) ko "all".',
+  'apply.invalidSelection': 'Zaɓin aikin bai yi daidai ba. Don Allah a sake gwadawa.',
+  'apply.invalidNumber': 'Aiki {number} baya wannan shafin. Don Allah zaɓi daga ayyuka 1-{max}.',
+  'apply.selected': '✅ Ka zaɓi: {title}\n🏢 {company}\n\n📤 Don Allah tura CV ɗinka (PDF/DOCX) don nema.',
+  'apply.alreadySelected': '✅ Ka riga ka zaɓi "{title}".\n\nAbin da ka zaɓa: aiki {count}',
+  'apply.selectionLimit': 'Ka kai iyaka: ayyuka {remaining} kawai za ka iya nema yau.',
+  'apply.added': '✅ An ƙara: {title}\n🏢 Kamfani: {company}\n\n📋 Jimillar zaɓi: aiki {count}',
+  'options.header': 'Zaɓuɓɓukan Nema',
+  'options.body': 'Ka zaɓi ayyuka {count}. Me kake so ka yi?',
+  'options.section': 'Abin da za ka yi',
+  'options.button': 'Zaɓi',
+  'options.applyTitle': '📤 Nemi su',
+  'options.applyDescription': 'Nemi duk ayyuka {count} da ka zaɓa',
+  'options.reviewTitle': '👀 Duba ayyukan',
+  'options.reviewDescription': 'Duba bayanan ayyukan da ka zaɓa',
+  'options.moreTitle': '➕ Zaɓi ƙarin ayyuka',
+  'options.moreDescription': 'Ƙara wasu ayyuka',
+  'options.clearTitle': '🗑️ Share zaɓi',
+  'options.clearDescription': 'Fara zaɓe daga farko',
+  'options.fallback': 'Tura CV ɗinka don neman ayyukan da ka zaɓa, ko rubuta "more" don zaɓar ƙarin ayyuka.',
+  'options.noneSelected': 'Ba ka zaɓi aiki ba tukuna. Ka fara nema ka zaɓa.',
+  'options.choose': 'Don Allah zaɓi ɗaya:\n• "apply" - Nemi ayyukan da ka zaɓa\n• "review" - Duba ayyukan da ka zaɓa\n• "more" - Zaɓi ƙarin ayyuka\n• "clear" - Share zaɓi',
+  'options.payFirst': 'Ka fara biya:\n\n{paymentUrl}\n\nBayan biya, tura CV ɗinka don neman ayyuka {count} da ka zaɓa.',
+  'options.ready': 'Mun shirya neman ayyuka {count}:\n\n{jobList}\n📤 Tura CV ɗinka mu fara!\n\n✅ Za mu rubuta wasiƙa ga kowane\n✅ Za mu tura su nan take\n✅ Za mu tura maka kwafi ta imel',
+  'options.reviewList': '📋 Ayyukan da ka zaɓa ({count}):\n\n',
+  'options.reviewFooter': 'Ka shirya? Tura CV ɗinka ko ka zaɓi ƙarin ayyuka.',
+  'options.searchFirst': 'Don Allah ka fara neman aiki.',
+  'options.cleared': '🗑️ Na share ayyukan da ka zaɓa.\n\nSake neman aiki don farawa:\n• "ina neman aikin developer a Abuja"\n• Rubuta "menu" don ganin rukunoni',
+
+  // CV upload
+  'upload.selectJobsFirst': 'Ka fara zaɓar ayyukan da kake son nema!\n\nNemi aiki:\n• "ina neman aikin developer a Abuja"\n• Zaɓi ayyuka\n• Sannan ka tura CV!\n\nKo rubuta "menu" don ganin rukunoni',
+  'upload.payFirst': 'Ka Fara Biya\n\nBiya ₦300 don:\n✅ Neman aiki 3 na ƙwarewa\n✅ Wasiƙun da AI ya rubuta\n✅ Tuntuɓar mai ɗaukar aiki kai tsaye\n\n{paymentUrl}\n\nBayan biya, kawai ka tura CV - za mu yi sauran!',
+  'upload.tooLarge': 'Fayil ɗin ya yi girma (iyaka 5MB).',
+  'upload.saveFailed': 'Ba zan iya ajiye CV ɗin ba. Don Allah a sake gwadawa.',
+  'upload.moreJobs': '...da ƙarin ayyuka {count}!\n',
+  'upload.confirmation': '✅ AN YI NASARA! An tura neman aikinka!\n\n📨 Mun nemi ayyuka {count} da wasiƙa ta musamman ga kowane:\n{jobList}\n\n🤖 Abin da muka tura wa kowane mai ɗaukar aiki:\n• CV ɗinka\n• Wasiƙar da AI ya rubuta don aikin\n• Imel mai tsari\n\n📧 Mun tura maka imel da:\n• Kowace wasiƙa da muka rubuta\n• CV ɗin da muka tura\n• Bayanan tuntuɓar mai ɗaukar aiki\n\n✉️ Duba imel ɗinka yanzu.\n📞 Taimako: +2349049456183\n\n📊 Saura maka neman aiki {remaining}/3\n\n🌐 Raba nasararka:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n🚀 Ci gaba da neman ƙarin dama!',
+
+  // Status
+  'status.title': '📊 **Matsayinka**\n\n',
+  'status.paymentRequired': '💳 **Ana buƙatar biya**\nBiya ₦300 don sabis na musamman:\n{paymentUrl}\n\n',
+  'status.active': '✅ **Sabis na musamman yana aiki**\nNeman aiki na yau: {used}\nSaura: {remaining}\n\n',
+  'status.selected': '📋 **Ayyukan da ka zaɓa**: {count}\n',
+  'status.uploadCv': '\nTura CV ɗinka don nema!\n',
+  'status.noneSelected': '📋 **Ba ka zaɓi aiki ba**\nNemi aiki don farawa.\n',
+  'status.recent': '\n📤 **Neman aiki na kwanan nan**:\n',
+  'status.noRecent': '\n📤 **Babu neman aiki na kwanan nan**\n',
+  'status.nextSteps': '\n🚀 **Mataki na gaba**:\n• "show jobs" - Duba bincikenka\n• "menu" - Duba rukunonin aiki\n• Tura CV don neman ayyukan da ka zaɓa',
+  'appStatus.label.sent': 'An tura',
+  'appStatus.label.viewed': 'An duba',
+  'appStatus.label.shortlisted': 'An zaɓe ka',
+  'appStatus.label.interview': 'Hira',
+  'appStatus.label.rejected': 'Ba a zaɓe ka ba',
+  'appStatus.label.hired': 'An ɗauke ka aiki',
+  'appStatus.message.viewed': 'Mai ɗaukar aiki ya duba neman aikinka.',
+  'appStatus.message.shortlisted': 'Labari mai daɗi! An zaɓe ka cikin jerin farko. Ka riƙa duba imel da wayarka.',
+  'appStatus.message.interview': 'An gayyace ka zuwa hira! Mai ɗaukar aiki zai tuntuɓe ka da cikakken bayani.',
+  'appStatus.message.rejected': 'Mai ɗaukar aiki bai ci gaba a wannan karon ba. Kada ka karaya, ci gaba da nema!',
+  'appStatus.message.hired': 'Taya murna, ka sami aikin! 🎊',
+  'appStatus.update': '{emoji} Labarin neman aiki\n\n{job}Matsayi: {label}\n\n{message}\n\nRubuta "status" don ganin yadda neman aikinka ke tafiya.',
+  'appStatus.job': '💼 {title}\n',
+  'appStatus.jobAt': '💼 {title} a {company}\n',
+  'appStatus.untitled': 'Neman aiki',
+  'appStatus.notDelivered': '⚠️ Bai isa ba',
+  'appStatus.processing': '⏳ Ana aiki a kai',
+  'appStatus.applied': 'An nema {date}',
+
+  // Job alerts
+  'alerts.stoppedOne': '🔕 Na dakatar da sanarwa 1.',
+  'alerts.stoppedMany': '🔕 Na dakatar da sanarwa {count}.',
+  'alerts.noMatching': 'Ban sami wannan sanarwar ba. Rubuta "alerts" don ganin naka.',
+  'alerts.unclear': 'Wane irin aiki zan riƙa duba maka? Gwada:\n• "alert me for accountant jobs in Abuja"\n• "alert me for driver jobs in Lagos"',
+  'alerts.duplicate': 'Kana da sanarwa tuni don {alert}.',
+  'alerts.duplicateUnknown': 'wannan',
+  'alerts.limit': 'Sanarwa {max} kawai za ka iya samu. Amsa "stop alert 1" don cire ɗaya.',
+  'alerts.saveFailed': 'Ban iya ajiye sanarwarka ba. Don Allah a sake gwadawa.',
+  'alerts.saved': '🔔 An ajiye sanarwa: {alert}\n\nKowace safiya zan tura maka sababbin ayyukan da suka dace. Taɓa ɗaya don nema.\n\n• "alerts" - duba sanarwarka\n• "stop alert 1" - cire ɗaya',
+  'alerts.none': '🔕 Ba ka da sanarwar aiki tukuna.\n\nFaɗa "alert me for accountant jobs in Abuja" zan riƙa tura maka sababbin ayyuka kullum.',
+  'alerts.listTitle': '🔔 **Sanarwar Ayyukanka**\n\n',
+  'alerts.listFooter': '\nAmsa "stop alert 1" don cire ɗaya, ko "stop alerts" don cire duka.',
+  'alerts.describeIn': '{label} a {location}',
+  'alerts.describeAnywhere': '{label} a ko\'ina',
+  'alerts.allJobs': 'Duk ayyuka',
+  'alerts.digestHeader': 'Sanarwar Ayyukan Yau',
+  'alerts.digestOne': '🔔 Sabon aiki 1 ya dace da sanarwarka.\n\nTaɓa aikin don nema.',
+  'alerts.digestMany': '🔔 Sababbin ayyuka {count} sun dace da sanarwarka.\n\nTaɓa aiki don nema.',
+  'alerts.digestMore': ' Muna nuna sababbi {shown}; yi bincike don ganin sauran.',
+  'alerts.digestFooter': '\n\nAmsa "alerts" don sarrafa sanarwarka.',
+  'alerts.digestButton': 'Duba ka Nema',
+  'alerts.remote': 'Daga nesa',
+
+  // CV library
+  'cv.renamed': '✏️ An canza sunan CV {version} zuwa "{label}"',
+  'cv.default': '⭐ "{label}" ne babban CV ɗinka yanzu.\n\nAuto-apply zai yi amfani da shi sai dai idan ka maƙala wani CV ga wani zaɓi.',
+  'cv.deleted': '🗑️ An share "{label}".',
+  'cv.newDefault': '\n\n⭐ "{label}" ne babban CV ɗinka yanzu.',
+  'cv.preferenceNotFound': 'Ban sami wannan zaɓin ba. Kana buƙatar auto-apply mai aiki da zaɓuɓɓuka don maƙala CV.',
+  'cv.pinned': '📌 Za a yi amfani da "{label}" don {category} a {location}.',
+  'cv.libraryFull': '📚 Kana da CV {max} riga, don haka ba a ƙara wannan a "my cvs" ba. Ka amsa "my cvs" don ganin su, sannan ka goge ɗaya don samar da wuri.',
+  'cv.unreadable': '📸 Ban iya karanta CV ɗinka sosai ba.\n\nDon Allah sake tura shi kamar:\n• Hoto mai kyau da aka ɗauka kai tsaye, a wuri mai haske, duk shafin yana bayyana\n• Ko mafi kyau, takardar PDF ko Word\n\nAyyukan da ka zaɓa suna nan, kawai sake tura CV ɗin.',
+  'cv.none': '📄 Ba ka ajiye CV ba tukuna.\n\nTura CV (PDF ko DOCX) za mu ajiye shi a nan don neman aiki na gaba.',
+  'cv.listTitle': '📄 CV ɗinka\n\n',
+  'cv.listDefault': ' ⭐ (na asali)',
+  'cv.listUploaded': '   An tura ranar {date}\n',
+  'cv.listCommands': '\nUmarni:\n• "rename cv 2 Sales CV"\n• "default cv 2"\n• "delete cv 2"\n• "pin cv 2 to 1" (yi amfani da CV 2 don zaɓin auto-apply 1)',
+  'cv.labelRequired': 'Don Allah ba CV ɗin suna, misali "rename cv 2 Sales CV"',
+  'cv.notFound': 'Ban sami CV {version} ba. Rubuta "my cvs" don ganin CV ɗinka.',
+  'cv.preferenceCv': '   📄 CV: {cv}\n',
+  'cv.preferenceDefaultCv': 'CV na asali',
+  'cv.pinHint': 'Amsa "pin cv 2 to 1" don amfani da CV 2 don zaɓi 1 ("my cvs" yana nuna CV ɗinka).',
+
+  // Bundles
+  'bundles.header': '💳 Fakitin Neman Aiki',
+  'bundles.body': 'Zaɓi fakiti ɗaya. Zan aiko maka da hanyar biyan Paystack, kuma za a ƙara neman aikin da zarar ka biya.',
+  'bundles.button': 'Duba fakitoci',
+  'bundles.section': 'Fakitoci',
+  'bundles.rowHours': '{price} · neman aiki {credits} · awa {hours}',
+  'bundles.rowDays': '{price} · neman aiki {credits} · kwana {days}',
+  'bundles.none': 'Babu fakiti a yanzu. Don Allah a sake gwadawa anjima.',
+  'bundles.unavailable': 'Wannan fakitin ba ya nan kuma. Rubuta "bundles" don ganin waɗanda ke akwai.',
+  'bundles.paymentLink': '💳 {product}\n{details}\n\nBiya a nan:\n{paymentUrl}\n\nZa a ƙara neman aikin da zarar kuɗinka ya shiga.',
+
+  // Referrals and promo codes
+  'refer.summary': '🎁 **Gayyaci abokai, ka samu neman aiki kyauta**\n\nLambarka: {code}\nRaba wannan hanyar:\n{link}\n\nIdan abokin da ka gayyata ya fara biya, za ka samu neman aiki {credits} kyauta.\n\n👥 Abokan da suka shiga: {joined}\n✅ Waɗanda suka biya: {rewarded}\n🎉 Neman aikin da ka samu: {earned}',
+  'refer.welcome': '🎁 Barka da zuwa! Abokinka ne ya gayyace ka.',
+  'refer.rewarded': '🎉 Abokin da ka gayyata ya fara biya! An ƙara maka neman aiki {credits} kyauta, na kwana {days}.',
+  'promo.credits': '🎉 Lambar {code} ta yi aiki! An ƙara neman aiki {credits} kyauta, har zuwa {validUntil}.',
+  'promo.discountPercent': '🎉 An ajiye lambar {code}! Za a rage {percent}% a biyanka na gaba.',
+  'promo.discountAmount': '🎉 An ajiye lambar {code}! Za a rage {amount} a biyanka na gaba.',
+  'promo.invalid': 'Wannan lambar ba daidai ba ce. Duba rubutun ka sake gwadawa.',
+  'promo.expired': 'Wannan lambar ba ta aiki kuma.',
+  'promo.used': 'Ka riga ka yi amfani da wannan lambar.',
+
+  // Wallet
+  'wallet.summary': '👛 **Walat ɗinka**\n\nKuɗin da ke ciki: {balance}\nYa isa neman aiki {applications}, {price} kowanne. Walat zai biya idan neman aikinka ya ƙare.\n\nAbubuwan kwanan nan:\n{history}\n\nAmsa da "top up 1000" don ƙara ₦1,000.',
+  'wallet.noHistory': 'Babu komai tukuna.',
+  'wallet.entry.topup': '➕ An ƙara {amount} · {date}',
+  'wallet.entry.debit': '➖ {amount} na neman aiki {count} · {date}',
+  'wallet.entry.refund': '↩️ {amount} ya dawo na neman aiki {count} da bai tafi ba · {date}',
+  'wallet.entry.adjustment': '⚙️ Tallafi ya gyara {amount} · {date}',
+  'wallet.topUpPrompt': 'Nawa kake son ƙarawa? Amsa kamar "top up 1000" (daga {min} zuwa {max}).',
+  'wallet.topUpRange': 'Dole ƙari ya kasance daga {min} zuwa {max}.',
+  'wallet.topUpLink': '💳 Ƙara kuɗi a walat: {amount}\n\nBiya a nan:\n{paymentUrl}\n\nKuɗin walat ɗinka zai canza da zarar kuɗinka ya shiga.',
+  'wallet.toppedUp': '✅ An ƙara {amount} a walat ɗinka. Kuɗin da ke ciki: {balance}.',
+  'wallet.refundCredits': '↩️ Neman aiki {count} naka bai isa ba, don haka mun mayar maka da neman aiki {credits}.',
+  'wallet.refundWallet': '↩️ Neman aiki {count} naka bai isa ba, don haka {amount} ya dawo cikin walat ɗinka.',
+  'wallet.refundBoth': '↩️ Neman aiki {count} naka bai isa ba, don haka mun mayar maka da neman aiki {credits} kuma mun mayar da {amount} cikin walat ɗinka.',
+
+  // Payment methods
+  'paymentMethods.header': 'Babu kati?',
+  'paymentMethods.body': 'Kana iya biya ta bank transfer ko USSD.',
+  'paymentMethods.card': '💳 Kati',
+  'paymentMethods.transfer': '🏦 Bank transfer',
+  'paymentMethods.ussd': '📱 USSD',
+  'paymentMethods.fallback': '💳 Kati: yi amfani da hanyar biyan kuɗi da ke sama\n🏦 Bank transfer: rubuta "bank transfer" don samun lambar asusunka\n📱 USSD: rubuta "ussd" don biya ta hanyar danna lamba',
+  'paymentMethods.ussdHeader': 'Biya ta USSD',
+  'paymentMethods.ussdBody': 'Zaɓi bankinka don biyan {product} ta hanyar danna lamba.',
+  'paymentMethods.ussdButton': 'Zaɓi banki',
+  'paymentMethods.ussdSection': 'Bankuna',
+  'paymentMethods.ussdCode': '📱 {product}: {price}\n\nDanna {code} a layin da ka yi rajista da asusunka na {bank}, sannan ka bi umarnin.\n\nZa mu aiko maka saƙo da zarar kuɗin ya shiga.',
+  'paymentMethods.transferAccount': '🏦 **Asusunka na SmartCVNaija**\n\nBanki: {bank}\nLambar asusu: {accountNumber}\nSunan asusu: {accountName}\n\nDuk kuɗin da ka tura nan zai shiga walat ɗinka, wanda ke biyan {price} ga kowace neman aiki. Asusun naka ne, za ka iya sake amfani da shi.',
+  'paymentMethods.transferPending': '🏦 Muna shirya lambar asusu don bank transfer ɗinka. Za mu aiko ta nan ba da daɗewa ba.',
+  'paymentMethods.transferFailed': 'Ba mu iya shirya maka lambar asusu yanzu ba. Don Allah ka biya da kati ko USSD, ko ka sake gwada "bank transfer" daga baya.',
+  'paymentMethods.transferReceived': '✅ An karɓi kuɗin da ka tura: an ƙara {amount} a walat ɗinka. Kuɗin da ke ciki: {balance}.',
+
+  // Voice notes
+  'voice.unavailable': '🎤 Ba zan iya sauraron saƙon murya ba tukuna. Don Allah ka rubuta saƙonka.',
+  'voice.unclear': '🎤 Yi haƙuri, ban gane wannan saƙon murya ba. Ka sake gwadawa ko ka rubuta saƙonka.',
+  'voice.heard': '🎤 Abin da na ji: "{text}"\n\nIdan ba daidai ba ne, kawai ka rubuta saƙonka.',
+  'voice.failed': '⚠️ Ban iya sarrafa saƙon muryarka ba. Don Allah ka rubuta saƙonka.',
+
+  // Small talk
+  'chat.thanks': 'Ba komai! 😊 Kana buƙatar ƙarin taimako?',
+  'chat.cleared': 'Na share komai. Fara da "menu" ko neman aiki.'
+};
@@ -0,0 +1,297 @@
+// Igbo messages for the WhatsApp bot (keys as in ./en.js). Commands stay in English.
+
+module.exports = {
+  // General
+  'error.generic': 'Ihe adịghị mma mere. Biko nwaa ọzọ.',
+  'error.withMenu': 'Ihe adịghị mma mere. Biko nwaa ọzọ.\nDee "menu" ka ị hụ ụdị ọrụ.',
+  'error.selection': 'Nhọrọ ahụ arụghị ọrụ. Biko nwaa ọzọ.',
+  'error.navigation': 'Enweghị m ike ịga peeji ahụ. Biko nwaa ọzọ.',
+  'error.search': 'Ịchọ ọrụ agaghị nke ọma. Biko nwaa ọzọ.',
+  'error.displayJobs': 'Enweghị m ike igosi ọrụ ndị ahụ. Biko nwaa ọzọ.',
+  'error.processJobs': 'Enweghị m ike ihazi ọrụ ndị ahụ. Biko nwaa ọzọ.',
+  'error.showJobs': 'Enweghị m ike igosi ọrụ ndị ahụ. Biko nwaa ọzọ.',
+  'error.jobDetails': 'Enweghị m ike inweta nkọwa ọrụ ahụ.',
+  'error.option': 'Enweghị m ike ime nke ahụ. Biko nwaa ọzọ.',
+  'error.jobSelection': 'Enweghị m ike ịhazi ọrụ ị họọrọ. Biko nwaa ọzọ.',
+  'error.upload': 'Iziga agaghị nke ọma. Biko nwaa ọzọ.',
+  'error.status': 'Enweghị m ike ilele ọnọdụ gị. Biko nwaa ọzọ.',
+  'error.alerts': 'Enweghị m ike imelite ọkwa gị. Biko nwaa ọzọ.',
+  'error.cvs': 'Enweghị m ike imelite CV gị. Biko nwaa ọzọ.',
+  'error.noInteractiveData': 'Ọ dịghị ihe sosoro mpịakọ ahụ bịa.',
+  'error.unknownAction': 'Amaghị m ihe ahụ. Biko dee iwu ahụ.',
+
+  // Welcome and language
+  'welcome': '🙌 Nnọọ! SmartCVNaija na-eme ka ịchọ ọrụ dị mfe.\n⚡ Chọọ ọrụ (dịka *achọrọ m ọrụ onye nkuzi na Enugu* ma ọ bụ *menu*)\n🔔 Nweta ọrụ ọhụrụ kwa ụbọchị (dịka *alert me for accountant jobs in Abuja*)\n🌍 Dee *language* ka ị gbanwee asụsụ',
+  'language.header': 'Asụsụ',
+  'language.body': 'Kedu asụsụ ị chọrọ ka m jiri?',
+  'language.button': 'Họrọ Asụsụ',
+  'language.section': 'Asụsụ',
+  'language.changed': '✅ Site ugbu a, m ga na-aza gị n\'Igbo.\nDee "language" oge ọ bụla ka ị gbanwee ya.',
+
+  // Category menu
+  'menu.title': '📋 **Ụdị Ọrụ**\n\nJiri nọmba ụdị ọrụ ị chọrọ zaa:\n\n',
+  'menu.howTo': '\n💡 **Otu esi eji ya:**\n• Jiri nọmba zaa (dịka "1" maka ọrụ IT)\n• Ma ọ bụ kwuo ya: "achọrọ m ọrụ onye nche na Owerri"\n\nKedu nke masịrị gị? 🎯',
+  'menu.listHeader': 'Ụdị Ọrụ ({range})',
+  'menu.listBody': 'Họrọ otu ụdị:',
+  'menu.listMoreBody': 'Ma ọ bụ họrọ n\'ime ndị a:',
+  'menu.listSection': 'Ụdị Ọrụ',
+  'menu.listMoreSection': 'Ụdị Ọrụ Ndị Ọzọ',
+  'menu.listButton': 'Họrọ Ụdị',
+  'menu.invalidNumber': 'Biko họrọ nọmba ụdị ọrụ ziri ezi (1-19).\nDee "menu" ka ị hụ ha niile.',
+  'menu.invalidCategory': 'Ụdị ọrụ ahụ adịghị.',
+  'menu.invalidSelection': 'Nhọrọ ahụ ezighị ezi. Biko nwaa ọzọ.',
+  'menu.askLocation': 'Ị họọrọ: **{category}** ✅\n\n📍 **Ebee ka ị chọrọ ịrụ ọrụ?**\n\nHọrọ n\'ime:\n• Lagos\n• Abuja\n• Port Harcourt\n• Kano\n• Ibadan\n• Remote (n\'ụlọ)\n• Steeti ọ bụla na Naịjirịa\n\nZaa naanị ebe ị chọrọ! 🎯',
+  'menu.sessionExpired': 'Oge gị agwụla. Biko họrọ ụdị ọrụ ọzọ.\nDee "menu" ka ị hụ ụdị ọrụ.',
+
+  // Search
+  'search.searching': 'Ana m achọ {title}...',
+  'search.searchingIn': 'Ana m achọ {title} na {location}...',
+  'search.nationwide': 'Ahụghị m {title} na {location}, mana ahụrụ m {count} na Naịjirịa niile:',
+  'search.noResults': 'Ahụghị m ọrụ ọ bụla maka "{title}"{location}\n\nNwaa ụzọ ọzọ:\n• "software jobs in Lagos"\n• "IT jobs"\n• "remote tech jobs"\n• "ọrụ na Enugu"\n\nMa ọ bụ dee "menu" ka ị hụ ụdị ọrụ',
+  'search.inLocation': ' na {location}',
+  'search.askJobType': 'Kedu ụdị ọrụ ị na-achọ?\n\nNwaa: "achọrọ m ọrụ onye nkuzi na Enugu" ma ọ bụ "remote marketing jobs"\n\nMa ọ bụ dee "menu" ka ị hụ ụdị ọrụ',
+  'search.askLocationFor': 'Ebee ka ị chọrọ ọrụ {title}? Dịka: Lagos, Abuja, ma ọ bụ Remote',
+  'search.askJobIn': 'Kedu ụdị ọrụ ị na-achọ na {location}?\n\nMa ọ bụ dee "menu" ka ị hụ ụdị ọrụ',
+  'search.readyToSearch': 'Ị dịla njikere ịchọ ọrụ? Gwa m ụdị ọrụ ị na-achọ!',
+  'search.help': 'Anọ m ebe a inyere gị aka! Nwaa:\n• "achọrọ m ọrụ developer na Lagos"\n• "menu" ka ị hụ ụdị ọrụ\n• "status" ka ị lelee arịrịọ ọrụ gị',
+
+  // Search results teaser and payment
+  'tease.found': '🔥 Ahụrụ m {title} {count}!\n\n📍 Ebe:\n',
+  'tease.location': '• {location}: ọrụ {count}\n',
+  'tease.moreLocations': '• ...na ebe ndị ọzọ\n',
+  'tease.offer': '\n💳 Kwụọ ₦300 ka ị hụ ihe niile\n\n✅ Hụ nkọwa ọrụ niile\n✅ Tinye akwụkwọ maka ọrụ 3 na leta AI dere\n✅ Arịrịọ ọrụ ọkachamara ozugbo\n\n',
+  'tease.payNow': 'Kwụọ ugbu a: {paymentUrl}\n\nỊ kwụọla? Dee "show jobs"',
+  'tease.payToSee': '\n\nKwụọ ka ị hụ nkọwa niile: {paymentUrl}',
+  'reminder.first': '🔥 Ahụrụ m ọrụ ọhụrụ {count}!\n\n💡 Hụ ihe ndị ọzọ na-ekwu maka anyị:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n💳 Mepee nkọwa niile ebe a:\n{paymentUrl}\n\n⚡ Ihe karịrị mmadụ 50 na-etinye akwụkwọ kwa ụbọchị - ekwela ka ọ gafere gị!',
+  'reminder.final': '⏰ Ncheta ikpeazụ!\n\nNsonaazụ ọrụ {count} gị ga-agwụ n\'oge na-adịghị anya\n\n💳 Kwụọ ugbu a:\n{paymentUrl}\n\n🚀 A na-etinye ọrụ ọhụrụ kwa ụbọchị - ekwela ka ọ gafere gị!',
+  'payment.success': 'Ego abatala! Ị nwere arịrịọ ọrụ 3 ruo awa 24 na-abịa!',
+  'payment.requiredShowJobs': '💳 Ị ga-akwụ ụgwọ\n\nKwụọ ₦300 maka ọrụ pụrụ iche:\n✅ Nkọwa ọrụ niile\n✅ Arịrịọ ọrụ 3 na leta AI\n\n{paymentUrl}',
+  'payment.requiredApply': '💳 Ị ga-akwụ ụgwọ\n\nKwụọ ₦300 ka ị tinye akwụkwọ:\n{paymentUrl}',
+  'payment.creditsAdded': '✅ Ego abatala! {product} amalitela: arịrịọ ọrụ {credits}, ruo {validUntil}.',
+
+  // Job lists
+  'jobs.noneSearchAgain': 'Ahụghị m ọrụ ọ bụla. Biko chọọ ọzọ.',
+  'jobs.noneAvailable': 'Enweghị ọrụ ọ bụla. Biko buru ụzọ chọọ ọrụ.',
+  'jobs.notFound': 'Ahụghị m ọrụ {number}.',
+  'jobs.noSearch': '🔍 Ahụghị m ọrụ ọ bụla. Buru ụzọ chọọ:\n• "achọrọ m ọrụ developer na Lagos"\n• Dee "menu" ka ị hụ ụdị ọrụ',
+  'jobs.noneActive': 'Enweghị ọrụ mepere emepe site na nchọ gị. Chọọ ọzọ!',
+  'jobs.alertJobClosed': 'Ọrụ a emechiela. Dee "alerts" ka ị hụ ọkwa gị.',
+  'jobs.pageTitle': '📋 **Ọrụ - Peeji {page} n\'ime {totalPages}** (ọrụ {total})\n\n',
+  'jobs.quickActions': '💡 **Ihe ị nwere ike ime:**\n• Jiri bọtịnụ ndị dị n\'elu tinye akwụkwọ\n• Dee "details" + nọmba ọrụ (dịka "details 3") maka nkọwa zuru ezu\n• Dee "apply 1,2,3" ka ị họrọ ọtụtụ ọrụ',
+  'jobs.navigation': '\n📄 **Ngagharị:**\n',
+  'jobs.navPrev': '• "prev" - Peeji gara aga\n',
+  'jobs.navNext': '• "next" - Peeji na-esote\n',
+  'jobs.navPage': '• "page X" - Gaa peeji X\n\n',
+  'jobs.textActions': '🚀 **Ihe ị nwere ike ime:**\n• "{first},{second}" - Tinye akwụkwọ maka ọrụ ndị a\n• "details {first}" - Hụ ihe a chọrọ\n• "all" - Tinye akwụkwọ maka ọrụ niile dị na peeji a',
+  'jobs.listHeader': 'Ọrụ',
+  'jobs.listBody': 'Tinye akwụkwọ ngwa ngwa:',
+  'jobs.listButton': 'Họrọ',
+  'jobs.listSection': 'Tinye Akwụkwọ',
+  'jobs.listNavSection': 'Ngagharị',
+  'jobs.applyRow': 'Tinye maka Ọrụ {number}',
+  'jobs.prevRow': '⬅️ Azụ',
+  'jobs.nextRow': '➡️ Na-esote',
+  'jobs.goToPage': 'Gaa peeji {page}',
+  'jobs.noPagination': 'Enweghị ọrụ a ga-agagharị. Biko buru ụzọ chọọ ọrụ.',
+  'jobs.samePage': 'Ị nọlarị na peeji {page} n\'ime {totalPages}.\nJiri "next" ma ọ bụ "prev" gagharịa.',
+  'jobs.invalidPage': 'Peeji ahụ adịghị. Biko họrọ peeji 1-{totalPages}.',
+  'job.remote': 'N\'ụlọ',
+  'job.remoteWork': 'Ọrụ n\'ụlọ',
+  'job.competitive': 'Ụgwọ ọnwa dị mma',
+  'job.competitiveSalary': 'Ụgwọ ọnwa dị mma',
+  'job.expiresOne': 'Ọ ga-agwụ n\'ụbọchị 1',
+  'job.expiresMany': 'Ọ ga-agwụ n\'ụbọchị {days}',
+
+  // Job details
+  'details.invalidNumber': 'Biko tinye nọmba ọrụ ziri ezi (1-{max})\nDịka: "details 1" ma ọ bụ "requirements 2"',
+  'details.title': '📋 **Ọrụ {number} - Nkọwa Zuru Ezu**\n\n',
+  'details.company': 'Ụlọ ọrụ',
+  'details.location': 'Ebe',
+  'details.salary': 'Ụgwọ ọnwa',
+  'details.experience': 'Ahụmịhe a chọrọ',
+  'details.requirements': 'Ihe a chọrọ',
+  'details.description': 'Maka ọrụ a',
+  'details.deadline': '⏰ **Ụbọchị ikpeazụ:** ụbọchị {days} fọdụrụ\n\n',
+  'details.apply': '🚀 **Ị dịla njikere?**\nZaa: "apply {number}" ma ọ bụ "{number}" ka ị tinye akwụkwọ maka ọrụ a',
+  'details.invalidRequest': 'Aghọtaghị m nkọwa ọrụ ị chọrọ. Biko nwaa ọzọ.',
+  'details.summaryTitle': '📋 *Nkọwa Ọrụ*',
+  'details.expires': 'Ọ ga-emechi',
+
+  // Selecting and applying
+  'apply.paymentRequired': '💳 Ị ga-akwụ ụgwọ\n\nKa ị tinye akwụkwọ maka "{title}" na {company}, biko kwụọ ụgwọ:\n\n{paymentUrl}\n\nMgbe ị kwụsịrị, zitere anyị CV gị.',
+  'apply.limitReached': '⌛ Ị eruola oke\n\nỊ jiela arịrịọ ọrụ gị niile maka taa. Nwaa ọzọ echi ma ọ bụ kwụọ ọzọ.',
+  'apply.jobSelected': '✅ Ị họọrọ ọrụ ahụ!\n\n💼 Ọkwa: {title}\n🏢 Ụlọ ọrụ: {company}\n📍 Ebe: {location}\n💰 Ụgwọ ọnwa: {salary}\n\n📤 Ihe na-esote: Zitere CV gị (PDF ma ọ bụ DOCX) ka anyị tinye akwụkwọ maka ọrụ a.\n\nỊ ka nwere arịrịọ {remaining} maka taa.',
+  'apply.invalidNumbers': 'Biko họrọ nọmba ọrụ ziri ezi (1-{max}) ma ọ bụ "all".',
+  'apply.invalidSelection': 'Nhọrọ ọrụ ahụ ezighi ezi. Biko nwaa ọzọ.',
+  'apply.invalidNumber': 'Ọrụ {number} anọghị na peeji a. Biko họrọ n\'etiti ọrụ 1-{max}.',
+  'apply.selected': '✅ Ị họọrọ: {title}\n🏢 {company}\n\n📤 Biko zitere CV gị (PDF/DOCX) ka anyị tinye akwụkwọ.',
+  'apply.alreadySelected': '✅ Ị họọrị "{title}" na mbụ.\n\nNhọrọ gị: ọrụ {count}',
+  'apply.selectionLimit': 'Ị ruola oke: naanị ọrụ {remaining} ka ị nwere ike itinye akwụkwọ taa.',
+  'apply.added': '✅ Etinyere: {title}\n🏢 Ụlọ ọrụ: {company}\n\n📋 Ngụkọta nhọrọ: ọrụ {count}',
+  'options.header': 'Nhọrọ',
+  'options.body': 'Ị họọrọ ọrụ {count}. Gịnị ka ị chọrọ ime?',
+  'options.section': 'Ihe ị ga-eme',
+  'options.button': 'Họrọ',
+  'options.applyTitle': '📤 Tinye akwụkwọ',
+  'options.applyDescription': 'Tinye akwụkwọ maka ọrụ {count} niile ị họọrọ',
+  'options.reviewTitle': '👀 Lelee ọrụ ndị ahụ',
+  'options.reviewDescription': 'Hụ nkọwa ọrụ ị họọrọ',
+  'options.moreTitle': '➕ Họrọ ọrụ ndị ọzọ',
+  'options.moreDescription': 'Tinyekwuo ọrụ ndị ọzọ',
+  'options.clearTitle': '🗑️ Hichapụ nhọrọ',
+  'options.clearDescription': 'Malite nhọrọ ọzọ',
+  'options.fallback': 'Zitere CV gị ka anyị tinye akwụkwọ maka ọrụ ị họọrọ, ma ọ bụ dee "more" ka ị họrọ ọrụ ndị ọzọ.',
+  'options.noneSelected': 'Ị họrọbeghị ọrụ ọ bụla. Buru ụzọ chọọ ma họrọ ọrụ.',
+  'options.choose': 'Biko họrọ otu:\n• "apply" - Tinye akwụkwọ maka ọrụ ị họọrọ\n• "review" - Lelee ọrụ ị họọrọ\n• "more" - Họrọ ọrụ ndị ọzọ\n• "clear" - Hichapụ nhọrọ',
+  'options.payFirst': 'Buru ụzọ kwụọ ụgwọ:\n\n{paymentUrl}\n\nMgbe ị kwụsịrị, zitere CV gị ka anyị tinye akwụkwọ maka ọrụ {count} ị họọrọ.',
+  'options.ready': 'Anyị dị njikere itinye akwụkwọ maka ọrụ {count}:\n\n{jobList}\n📤 Zitere CV gị ka anyị malite!\n\n✅ Anyị ga-ede leta maka nke ọ bụla\n✅ Anyị ga-eziga ha ozugbo\n✅ Anyị ga-eziga gị nnomi na email',
+  'options.reviewList': '📋 Ọrụ ị họọrọ ({count}):\n\n',
+  'options.reviewFooter': 'Ị dịla njikere? Zitere CV gị ma ọ bụ họrọ ọrụ ndị ọzọ.',
+  'options.searchFirst': 'Biko buru ụzọ chọọ ọrụ.',
+  'options.cleared': '🗑️ Ehichapụla m ọrụ ị họọrọ.\n\nChọọ ọrụ ọzọ ka ị malite:\n• "achọrọ m ọrụ developer na Lagos"\n• Dee "menu" ka ị hụ ụdị ọrụ',
+
+  // CV upload
+  'upload.selectJobsFirst': 'Buru ụzọ họrọ ọrụ ị chọrọ itinye akwụkwọ maka ya!\n\nChọọ ọrụ:\n• "achọrọ m ọrụ developer na Lagos"\n• Họrọ ọrụ\n• Mgbe ahụ zitere CV gị!\n\nMa ọ bụ dee "menu" ka ị hụ ụdị ọrụ',
+  'upload.payFirst': 'Buru Ụzọ Kwụọ Ụgwọ\n\nKwụọ ₦300 maka:\n✅ Arịrịọ ọrụ ọkachamara 3\n✅ Leta AI dere\n✅ Kpọtụrụ onye na-ewe ọrụ ozugbo\n\n{paymentUrl}\n\nMgbe ị kwụsịrị, zitere naanị CV - anyị ga-eme ihe fọdụrụ!',
+  'upload.tooLarge': 'Faịlụ ahụ buru oke ibu (oke 5MB).',
+  'upload.saveFailed': 'Enweghị m ike ichekwa CV ahụ. Biko nwaa ọzọ.',
+  'upload.moreJobs': '...na ọrụ {count} ndị ọzọ!\n',
+  'upload.confirmation': '✅ Ọ GAARA NKE ỌMA! Anyị ezigala arịrịọ ọrụ gị!\n\n📨 Anyị tinyere akwụkwọ maka ọrụ {count} na leta pụrụ iche maka nke ọ bụla:\n{jobList}\n\n🤖 Ihe anyị zigara onye na-ewe ọrụ ọ bụla:\n• CV gị\n• Leta AI dere maka ọrụ ahụ\n• Email hazie nke ọma\n\n📧 Anyị ezigara gị email nwere:\n• Leta ọ bụla anyị dere\n• CV anyị zigara\n• Nkọwa kpọtụrụ onye na-ewe ọrụ\n\n✉️ Lelee email gị ugbu a.\n📞 Enyemaka: +2349049456183\n\n📊 Ị ka nwere arịrịọ {remaining}/3\n\n🌐 Kesaa ihe ịga nke ọma gị:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n🚀 Gaa n\'ihu na-achọ ohere ndị ọzọ!',
+
+  // Status
+  'status.title': '📊 **Ọnọdụ Gị**\n\n',
+  'status.paymentRequired': '💳 **Ị ga-akwụ ụgwọ**\nKwụọ ₦300 maka ọrụ pụrụ iche:\n{paymentUrl}\n\n',
+  'status.active': '✅ **Ọrụ pụrụ iche na-arụ**\nArịrịọ taa: {used}\nFọdụrụ: {remaining}\n\n',
+  'status.selected': '📋 **Ọrụ ị họọrọ**: {count}\n',
+  'status.uploadCv': '\nZitere CV gị ka anyị tinye akwụkwọ!\n',
+  'status.noneSelected': '📋 **Ị họrọbeghị ọrụ ọ bụla**\nChọọ ọrụ ka ị malite.\n',
+  'status.recent': '\n📤 **Arịrịọ ọrụ na nso nso a**:\n',
+  'status.noRecent': '\n📤 **Enweghị arịrịọ ọrụ na nso nso a**\n',
+  'status.nextSteps': '\n🚀 **Ihe na-esote**:\n• "show jobs" - Lelee nchọ gị\n• "menu" - Lelee ụdị ọrụ\n• Zitere CV ka anyị tinye akwụkwọ maka ọrụ ị họọrọ',
+  'appStatus.label.sent': 'Ezigara',
+  'appStatus.label.viewed': 'Ha ahụla ya',
+  'appStatus.label.shortlisted': 'A họpụtala gị',
+  'appStatus.label.interview': 'Ajụjụ ọnụ',
+  'appStatus.label.rejected': 'A họpụtaghị gị',
+  'appStatus.label.hired': 'E nwetala gị ọrụ',
+  'appStatus.message.viewed': 'Onye na-enye ọrụ ahụla akwụkwọ arịrịọ gị.',
+  'appStatus.message.shortlisted': 'Ozi ọma! A họpụtala gị. Na-elele email na ekwentị gị.',
+  'appStatus.message.interview': 'A kpọrọ gị maka ajụjụ ọnụ! Onye na-enye ọrụ ga-akpọtụrụ gị maka nkọwa.',
+  'appStatus.message.rejected': 'Onye na-enye ọrụ ekpebiela ịghara ịga n\'ihu ugbu a. Adala mba, gaa n\'ihu na-etinye akwụkwọ!',
+  'appStatus.message.hired': 'Ekele, ị nwetala ọrụ ahụ! 🎊',
+  'appStatus.update': '{emoji} Ozi gbasara arịrịọ ọrụ\n\n{job}Ọnọdụ: {label}\n\n{message}\n\nDee "status" ka ị hụ otú arịrịọ gị si aga.',
+  'appStatus.job': '💼 {title}\n',
+  'appStatus.jobAt': '💼 {title} na {company}\n',
+  'appStatus.untitled': 'Arịrịọ ọrụ',
+  'appStatus.notDelivered': '⚠️ Erubeghị',
+  'appStatus.processing': '⏳ A na-arụ ya',
+  'appStatus.applied': 'Etinyere {date}',
+
+  // Job alerts
+  'alerts.stoppedOne': '🔕 Akwụsịla m ọkwa 1.',
+  'alerts.stoppedMany': '🔕 Akwụsịla m ọkwa {count}.',
+  'alerts.noMatching': 'Ahụghị m ọkwa ahụ. Dee "alerts" ka ị hụ nke gị.',
+  'alerts.unclear': 'Kedu ụdị ọrụ m ga-elere gị anya? Nwaa:\n• "alert me for accountant jobs in Abuja"\n• "alert me for driver jobs in Lagos"',
+  'alerts.duplicate': 'Ị nweelarị ọkwa maka {alert}.',
+  'alerts.duplicateUnknown': 'nke ahụ',
+  'alerts.limit': 'Ị nwere ike inwe naanị ọkwa {max}. Zaa "stop alert 1" ka ị wepụ otu.',
+  'alerts.saveFailed': 'Enweghị m ike ichekwa ọkwa gị. Biko nwaa ọzọ.',
+  'alerts.saved': '🔔 Echekwala ọkwa: {alert}\n\nỤtụtụ ọ bụla, m ga-eziga gị ọrụ ọhụrụ dabara. Pịa otu ka ị tinye akwụkwọ.\n\n• "alerts" - hụ ọkwa gị\n• "stop alert 1" - wepụ otu',
+  'alerts.none': '🔕 Ị nwebeghị ọkwa ọrụ ọ bụla.\n\nKwuo "alert me for accountant jobs in Abuja", m ga na-eziga gị ọrụ ọhụrụ kwa ụbọchị.',
+  'alerts.listTitle': '🔔 **Ọkwa Ọrụ Gị**\n\n',
+  'alerts.listFooter': '\nZaa "stop alert 1" ka ị wepụ otu, ma ọ bụ "stop alerts" ka ị wepụ ha niile.',
+  'alerts.describeIn': '{label} na {location}',
+  'alerts.describeAnywhere': '{label} ebe ọ bụla',
+  'alerts.allJobs': 'Ọrụ niile',
+  'alerts.digestHeader': 'Ọkwa Ọrụ Taa',
+  'alerts.digestOne': '🔔 Ọrụ ọhụrụ 1 dabara na ọkwa gị.\n\nPịa ọrụ ahụ ka ị tinye akwụkwọ.',
+  'alerts.digestMany': '🔔 Ọrụ ọhụrụ {count} dabara na ọkwa gị.\n\nPịa otu ọrụ ka ị tinye akwụkwọ.',
+  'alerts.digestMore': ' Anyị na-egosi {shown} kachasị ọhụrụ; chọọ ka ị hụ ndị ọzọ.',
+  'alerts.digestFooter': '\n\nZaa "alerts" ka ị hazie ọkwa gị.',
+  'alerts.digestButton': 'Lee ma Tinye',
+  'alerts.remote': 'Site n\'ebe dị anya',
+
+  // CV library
+  'cv.renamed': '✏️ Agbanwela aha CV {version} ka ọ bụrụ "{label}"',
+  'cv.default': '⭐ "{label}" bụ CV isi gị ugbu a.\n\nAuto-apply ga-eji ya ma ọ bụrụ na ị jikọtaghị CV ọzọ na nhọrọ.',
+  'cv.deleted': '🗑️ Ehichapụla "{label}".',
+  'cv.newDefault': '\n\n⭐ "{label}" bụ CV isi gị ugbu a.',
+  'cv.preferenceNotFound': 'Ahụghị m nhọrọ ahụ. Ị chọrọ auto-apply na-arụ ọrụ nwere nhọrọ iji jikọta CV.',
+  'cv.pinned': '📌 A ga-eji "{label}" maka {category} na {location}.',
+  'cv.libraryFull': '📚 Ị nweelarị CV {max}, ya mere etinyeghị nke a na "my cvs". Zaa "my cvs" ka ịhụ ha, ma hichapụ otu ka ohere dị.',
+  'cv.unreadable': '📸 Enweghị m ike ịgụ CV gị nke ọma.\n\nBiko zitegharịa ya dịka:\n• Foto doro anya e sere ya n\'ihu, n\'ebe ìhè dị mma, ka peeji niile pụta\n• Ma ọ bụ nke ka mma, akwụkwọ PDF ma ọ bụ Word\n\nỌrụ ndị ị họọrọ ka dị, zitegharịa CV ahụ.',
+  'cv.none': '📄 Ị chekwabeghị CV ọ bụla.\n\nZite CV (PDF ma ọ bụ DOCX) anyị ga-edebe ya ebe a maka ngwa ọrụ n\'ọdịnihu.',
+  'cv.listTitle': '📄 CV gị\n\n',
+  'cv.listDefault': ' ⭐ (nke izizi)',
+  'cv.listUploaded': '   Ezitere ya na {date}\n',
+  'cv.listCommands': '\nIwu:\n• "rename cv 2 Sales CV"\n• "default cv 2"\n• "delete cv 2"\n• "pin cv 2 to 1" (jiri CV 2 maka nhọrọ auto-apply 1)',
+  'cv.labelRequired': 'Biko nye CV ahụ aha, dịka "rename cv 2 Sales CV"',
+  'cv.notFound': 'Ahụghị m CV {version}. Dee "my cvs" ka ị hụ CV gị.',
+  'cv.preferenceCv': '   📄 CV: {cv}\n',
+  'cv.preferenceDefaultCv': 'CV izizi',
+  'cv.pinHint': 'Zaa "pin cv 2 to 1" ka e jiri CV 2 maka nhọrọ 1 ("my cvs" na-egosi CV gị).',
+
+  // Bundles
+  'bundles.header': '💳 Ngwugwu Arịrịọ',
+  'bundles.body': 'Họrọ otu ngwugwu. M ga-ezitere gị njikọ Paystack, a ga-etinye arịrịọ ndị ahụ ozugbo ị kwụrụ ụgwọ.',
+  'bundles.button': 'Lee ngwugwu',
+  'bundles.section': 'Ngwugwu',
+  'bundles.rowHours': '{price} · arịrịọ {credits} · awa {hours}',
+  'bundles.rowDays': '{price} · arịrịọ {credits} · ụbọchị {days}',
+  'bundles.none': 'Enweghị ngwugwu ọ bụla ugbu a. Biko nwaa ọzọ ma emechaa.',
+  'bundles.unavailable': 'Ngwugwu ahụ adịghịzi. Dee "bundles" ka ịhụ ndị dị ugbu a.',
+  'bundles.paymentLink': '💳 {product}\n{details}\n\nKwụọ ụgwọ ebe a:\n{paymentUrl}\n\nA ga-etinye arịrịọ ndị ahụ ozugbo ụgwọ gị gara nke ọma.',
+
+  // Referrals and promo codes
+  'refer.summary': '🎁 **Kpọọ ndị enyi, nweta arịrịọ n\'efu**\n\nKoodu gị: {code}\nKesaa njikọ a:\n{link}\n\nMgbe enyi ị kpọrọ kwụrụ ụgwọ nke mbụ, ị ga-enweta arịrịọ {credits} n\'efu.\n\n👥 Ndị enyi sonyere: {joined}\n✅ Ndị kwụrụ ụgwọ: {rewarded}\n🎉 Arịrịọ ị nwetara: {earned}',
+  'refer.welcome': '🎁 Nnọọ! Enyi gị kpọrọ gị.',
+  'refer.rewarded': '🎉 Enyi ị kpọrọ ka kwụrụ ụgwọ nke mbụ! Etinyere gị arịrịọ {credits} n\'efu, ruo ụbọchị {days}.',
+  'promo.credits': '🎉 Koodu {code} rụrụ ọrụ! Etinyere arịrịọ {credits} n\'efu, ruo {validUntil}.',
+  'promo.discountPercent': '🎉 Echekwala koodu {code}! A ga-ewepụ {percent}% n\'ụgwọ ị ga-akwụ ọzọ.',
+  'promo.discountAmount': '🎉 Echekwala koodu {code}! A ga-ewepụ {amount} n\'ụgwọ ị ga-akwụ ọzọ.',
+  'promo.invalid': 'Koodu ahụ ezighi ezi. Lelee ya ma nwaa ọzọ.',
+  'promo.expired': 'Koodu ahụ anaghịzi arụ ọrụ.',
+  'promo.used': 'Ị jirila koodu ahụ mee ihe.',
+
+  // Wallet
+  'wallet.summary': '👛 **Obere akpa ego gị**\n\nEgo fọdụrụ: {balance}\nỌ ga-ezu maka arịrịọ {applications}, {price} nke ọ bụla. Akpa ego ga-akwụ ụgwọ ma arịrịọ gị gwụ.\n\nIhe mere n\'oge na-adịbeghị anya:\n{history}\n\nZaa "top up 1000" iji tinye ₦1,000.',
+  'wallet.noHistory': 'Ọ dịbeghị ihe ọ bụla.',
+  'wallet.entry.topup': '➕ Etinyere {amount} · {date}',
+  'wallet.entry.debit': '➖ {amount} maka arịrịọ {count} · {date}',
+  'wallet.entry.refund': '↩️ {amount} laghachiri maka arịrịọ {count} na-agaghị · {date}',
+  'wallet.entry.adjustment': '⚙️ Ndị nkwado gbanwere {amount} · {date}',
+  'wallet.topUpPrompt': 'Ego ole ka ị chọrọ itinye? Zaa dị ka "top up 1000" (site na {min} ruo {max}).',
+  'wallet.topUpRange': 'Ego ị ga-etinye ga-adị site na {min} ruo {max}.',
+  'wallet.topUpLink': '💳 Itinye ego n\'akpa: {amount}\n\nKwụọ ụgwọ ebe a:\n{paymentUrl}\n\nEgo gị ga-agbanwe ozugbo ụgwọ gị gara nke ọma.',
+  'wallet.toppedUp': '✅ Etinyere {amount} n\'akpa ego gị. Ego fọdụrụ: {balance}.',
+  'wallet.refundCredits': '↩️ Arịrịọ {count} gị enweghị ike iru, ya mere anyị weghachiri gị arịrịọ {credits}.',
+  'wallet.refundWallet': '↩️ Arịrịọ {count} gị enweghị ike iru, ya mere {amount} alaghachila n\'akpa ego gị.',
+  'wallet.refundBoth': '↩️ Arịrịọ {count} gị enweghị ike iru, ya mere anyị weghachiri gị arịrịọ {credits} ma tinyeghachi {amount} n\'akpa ego gị.',
+
+  // Payment methods
+  'paymentMethods.header': 'Enweghị kaadị?',
+  'paymentMethods.body': 'Ị nwekwara ike ịkwụ ụgwọ site na bank transfer ma ọ bụ USSD.',
+  'paymentMethods.card': '💳 Kaadị',
+  'paymentMethods.transfer': '🏦 Bank transfer',
+  'paymentMethods.ussd': '📱 USSD',
+  'paymentMethods.fallback': '💳 Kaadị: jiri njikọ ịkwụ ụgwọ dị n\'elu\n🏦 Bank transfer: dee "bank transfer" ka ị nweta nọmba akaụntụ nke gị\n📱 USSD: dee "ussd" ka ị kwụọ ụgwọ site na ịpị koodu',
+  'paymentMethods.ussdHeader': 'Kwụọ site na USSD',
+  'paymentMethods.ussdBody': 'Họrọ ụlọ akụ gị ka ị kwụọ ụgwọ {product} site n\'ịpị koodu.',
+  'paymentMethods.ussdButton': 'Họrọ ụlọ akụ',
+  'paymentMethods.ussdSection': 'Ụlọ akụ',
+  'paymentMethods.ussdCode': '📱 {product}: {price}\n\nPịa {code} na nọmba i ji debanye aha na akaụntụ {bank} gị, ma soro ntụziaka.\n\nAnyị ga-ezitere gị ozi ozugbo ụgwọ gị gara nke ọma.',
+  'paymentMethods.transferAccount': '🏦 **Akaụntụ SmartCVNaija gị**\n\nỤlọ akụ: {bank}\nNọmba akaụntụ: {accountNumber}\nAha akaụntụ: {accountName}\n\nEgo ọ bụla i zitere ebe a ga-abanye n\'akpa ego gị, nke na-akwụ {price} maka arịrịọ ọrụ ọ bụla. Akaụntụ a bụ nke gị, ị nwere ike iji ya ọtụtụ ugboro.',
+  'paymentMethods.transferPending': '🏦 Anyị na-edozi nọmba akaụntụ maka bank transfer gị. Anyị ga-eziga ya ebe a n\'oge na-adịghị anya.',
+  'paymentMethods.transferFailed': 'Anyị enweghị ike idozi nọmba akaụntụ maka gị ugbu a. Biko kwụọ site na kaadị ma ọ bụ USSD, ma ọ bụ nwaa "bank transfer" ọzọ ma emechaa.',
+  'paymentMethods.transferReceived': '✅ Anyị natara ego i zitere: etinyere {amount} n\'akpa ego gị. Ego fọdụrụ: {balance}.',
+
+  // Voice notes
+  'voice.unavailable': '🎤 Enweghị m ike ịge ozi olu ugbu a. Biko dee ozi gị.',
+  'voice.unclear': '🎤 Ndo, aghọtaghị m ozi olu ahụ. Nwaa ọzọ ma ọ bụ dee ozi gị.',
+  'voice.heard': '🎤 Ihe m nụrụ: "{text}"\n\nỌ bụrụ na ọ bụghị ya, dee ozi gị.',
+  'voice.failed': '⚠️ Enweghị m ike ịhazi ozi olu gị. Biko dee ozi gị.',
+
+  // Small talk
+  'chat.thanks': 'Ọ dị mma! 😊 Ị chọrọ enyemaka ọzọ?',
+  'chat.cleared': 'Ehichapụla m ihe niile. Malite ọzọ na "menu" ma ọ bụ chọọ ọrụ.'
+};
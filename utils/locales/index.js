@@ -0,0 +1,157 @@
+// utils/locales/index.js - Message catalogs, language detection and local job/place keywords
+
+const { JOB_KEYWORDS, PLACE_NAMES, LANGUAGE_MARKERS } = require('./keywords');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  pcm: { name: 'Nigerian Pidgin', nativeName: 'Pidgin' },
+  yo: { name: 'Yoruba', nativeName: 'Yorùbá' },
+  ha: { name: 'Hausa', nativeName: 'Hausa' },
+  ig: { name: 'Igbo', nativeName: 'Igbo' }
+};
+
+const catalogs = {
+  en: require('./en'),
+  pcm: require('./pcm'),
+  yo: require('./yo'),
+  ha: require('./ha'),
+  ig: require('./ig')
+};
+
+// Names users type for each language (after normalizeText)
+const LANGUAGE_ALIASES = {
+  en: ['en', 'english', 'oyinbo', 'turanci', 'bekee'],
+  pcm: ['pcm', 'pidgin', 'pidgin english', 'broken', 'broken english'],
+  yo: ['yo', 'yoruba', 'ede yoruba'],
+  ha: ['ha', 'hausa', 'harshen hausa'],
+  ig: ['ig', 'igbo', 'asusu igbo']
+};
+
+// Minimum marker score before a message counts as written in a language
+const MIN_DETECTION_SCORE = 2;
+
+/**
+ * Lower-case, strip tone marks and dots (ẹ -> e, ụ -> u, ɗ -> d) and collapse whitespace
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[ɗ]/g, 'd').replace(/[ƙ]/g, 'k').replace(/[ɓ]/g, 'b').replace(/[ƴ]/g, 'y')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[’‘`]/g, '\'')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isSupported(language) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words/phrases only, so "nas" does not match "dynasty"
+function termRegex(term) {
+  return new RegExp(`(^|[^a-z'])${escapeRegExp(term)}(?=$|[^a-z'])`);
+}
+
+/**
+ * Catalog string for a key with {placeholders} filled in; falls back to English, then to the key
+ */
+function translate(language, key, params = {}) {
+  const template = catalogs[language]?.[key] ?? catalogs[DEFAULT_LANGUAGE][key];
+  if (template === undefined) {
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+}
+
+const markerPatterns = Object.fromEntries(
+  Object.entries(LANGUAGE_MARKERS).map(([language, { words, phrases }]) => [language, {
+    words: words.map(termRegex),
+    phrases: phrases.map(termRegex)
+  }])
+);
+
+/**
+ * Best guess at the language of a message, or null when it is too short or mixed to tell.
+ * Pidgin shares most of its words with English, so any local language that scores wins.
+ */
+function detectLanguage(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return null;
+  }
+
+  const scores = {};
+  for (const [language, { words, phrases }] of Object.entries(markerPatterns)) {
+    scores[language] = words.filter(regex => regex.test(normalized)).length +
+                       phrases.filter(regex => regex.test(normalized)).length * 2;
+  }
+
+  const [best, bestScore] = Object.entries(scores)
+    .filter(([language]) => language !== DEFAULT_LANGUAGE)
+    .sort(([, a], [, b]) => b - a)[0];
+
+  if (bestScore >= MIN_DETECTION_SCORE) {
+    return best;
+  }
+
+  return scores[DEFAULT_LANGUAGE] >= MIN_DETECTION_SCORE ? DEFAULT_LANGUAGE : null;
+}
+
+/**
+ * Language code for a name the user typed ("yoruba", "Hausa", "pidgin"), or null
+ */
+function parseLanguageName(text) {
+  const normalized = normalizeText(text);
+  const match = Object.entries(LANGUAGE_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+}
+
+// Longest terms first, so "akowe owo" (accountant) wins over "akowe" (secretary)
+const jobTerms = JOB_KEYWORDS
+  .flatMap(({ category, title, terms }) => terms.map(term => ({ term, category, title, regex: termRegex(term) })))
+  .sort((a, b) => b.term.length - a.term.length);
+
+const placeTerms = Object.entries(PLACE_NAMES)
+  .map(([term, place]) => ({ term, place, regex: termRegex(term) }))
+  .sort((a, b) => b.term.length - a.term.length);
+
+/**
+ * Job category from Pidgin/Yoruba/Hausa/Igbo words: { category, rawTitle, detectedKeyword } or null
+ */
+function matchJobType(text) {
+  const normalized = normalizeText(text);
+  const match = jobTerms.find(({ regex }) => regex.test(normalized));
+  return match ? { category: match.category, rawTitle: match.title, detectedKeyword: match.term } : null;
+}
+
+/**
+ * State (or Abuja / Remote) from local and city names ("Eko", "Potakot", "Owerri"), or null
+ */
+function matchLocation(text) {
+  const normalized = normalizeText(text);
+  const match = placeTerms.find(({ regex }) => regex.test(normalized));
+  return match ? match.place : null;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  catalogs,
+  normalizeText,
+  isSupported,
+  translate,
+  detectLanguage,
+  parseLanguageName,
+  matchJobType,
+  matchLocation
+};
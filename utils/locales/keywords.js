@@ -0,0 +1,182 @@
+// Job, place and language-marker words in Nigerian Pidgin (pcm), Yoruba (yo), Hausa (ha) and Igbo (ig).
+// Terms are written lower-case without tone marks; text is normalized the same way before matching.
+
+// title is the English search term used for the job query
+const JOB_KEYWORDS = [
+  { category: 'transport_driving', title: 'driver', terms: [
+    'draiva', 'drayva', 'okada', 'keke', 'danfo',             // pcm
+    'awako', 'olukoko',                                       // yo
+    'direba', 'dereba', 'mai tuka mota', 'mai mota',          // ha
+    'onye na-anya ugboala', 'onye okwo ugboala', 'okwo ugboala' // ig
+  ] },
+  { category: 'education_training', title: 'teacher', terms: [
+    'teacha', 'lesson teacha',
+    'oluko', 'olukoni',
+    'malami', 'malamin makaranta',
+    'onye nkuzi', 'nkuzi'
+  ] },
+  { category: 'healthcare_medical', title: 'nurse', terms: [
+    'nos',
+    'noosi', 'noosu',
+    'nas', 'ma\'aikaciyar jinya',
+    'onye nlekota oria'
+  ] },
+  { category: 'healthcare_medical', title: 'medical', terms: [
+    'dokita', 'ile iwosan', 'osibitu',
+    'likita', 'asibiti',
+    'ulo ogwu', 'dibia bekee'
+  ] },
+  { category: 'security_safety', title: 'security', terms: [
+    'gateman', 'gate man', 'maiguard', 'mai guard', 'security man',
+    'oluso', 'oluso abo',
+    'mai gadi', 'maigadi', 'gadi',
+    'onye nche', 'nche'
+  ] },
+  { category: 'retail_fashion', title: 'fashion', terms: [
+    'tela', 'telo', 'aranso', 'dinki', 'mai dinki', 'onye akwa', 'onye ndozi akwa'
+  ] },
+  { category: 'retail_fashion', title: 'sales assistant', terms: [
+    'shop girl', 'shop boy', 'sales girl', 'sales boy',
+    'oloja', 'olutaja',
+    'mai shago', 'dan kasuwa',
+    'onye ahia', 'onye na-ere ahia'
+  ] },
+  { category: 'marketing_sales', title: 'sales', terms: [
+    'maketa', 'marketa',
+    'ontaja', 'tita oja',
+    'mai sayarwa', 'tallace-tallace', 'tallace',
+    'ire ahia'
+  ] },
+  { category: 'construction_real_estate', title: 'construction', terms: [
+    'bricklaya', 'mason', 'carpenta', 'site work',
+    'birikila', 'gbenagbena', 'gbena gbena',
+    'magini', 'kafinta',
+    'onye owu ulo', 'kapinta'
+  ] },
+  { category: 'accounting_finance', title: 'accountant', terms: [
+    'akaunt', 'akaunta', 'account work',
+    'akowe owo', 'onisiro',
+    'akanta', 'lissafin kudi',
+    'onye nguko ego', 'onye na-agu ego'
+  ] },
+  { category: 'admin_office', title: 'secretary', terms: [
+    'sekretri', 'secretry',
+    'akowe',
+    'sakatare', 'magatakarda',
+    'odeakwukwo', 'ode akwukwo'
+  ] },
+  { category: 'customer_service', title: 'customer service', terms: [
+    'customer care',
+    'itoju onibara',
+    'kula da abokan ciniki',
+    'ilekota ndi ahia'
+  ] },
+  { category: 'logistics_supply', title: 'warehouse', terms: [
+    'store keeper', 'loader',
+    'ile ikopamo', 'akopamo',
+    'dakin ajiya', 'ma\'ajiya'
+  ] },
+  { category: 'manufacturing_production', title: 'factory', terms: [
+    'factri',
+    'ile ise ero',
+    'masana\'anta', 'masana\'antu'
+  ] },
+  { category: 'it_software', title: 'computer', terms: [
+    'kompiuta', 'computer work',
+    'komputa', 'konputa',
+    'kwamfuta'
+  ] },
+  { category: 'legal_compliance', title: 'lawyer', terms: [
+    'lawya',
+    'agbejoro',
+    'lauya',
+    'onye oka iwu', 'oka iwu'
+  ] },
+  { category: 'media_creative', title: 'photographer', terms: [
+    'foto man', 'photo man',
+    'ayaworan',
+    'mai daukar hoto',
+    'onye na-ese foto'
+  ] },
+  { category: 'engineering_technical', title: 'engineer', terms: [
+    'injinia', 'onye injinia',
+    'onimo ero',
+    'injiniya'
+  ] },
+  { category: 'engineering_technical', title: 'technician', terms: [
+    'mekanik', 'mekaniki', 'makanike', 'wireman', 'electrician man',
+    'onise ina', 'mai gyaran wuta'
+  ] },
+  { category: 'management_executive', title: 'manager', terms: [
+    'manaja',
+    'alakoso',
+    'shugaba',
+    'onye njikwa'
+  ] },
+  { category: 'other_general', title: 'cleaner', terms: [
+    'klina',
+    'olugbale', 'afogbale',
+    'mai shara',
+    'onye nhicha'
+  ] },
+  { category: 'other_general', title: 'cook', terms: [
+    'alase', 'onjewe',
+    'mai dafa abinci',
+    'onye osi nri'
+  ] }
+];
+
+// Local and city names -> state (or Abuja / Remote), as the search filters expect
+const PLACE_NAMES = {
+  // Lagos
+  'eko': 'Lagos', 'ilu eko': 'Lagos', 'legas': 'Lagos', 'ikeja': 'Lagos', 'lekki': 'Lagos',
+  'yaba': 'Lagos', 'ikorodu': 'Lagos', 'surulere': 'Lagos', 'ajah': 'Lagos', 'ikoyi': 'Lagos',
+  'victoria island': 'Lagos', 'festac': 'Lagos', 'oshodi': 'Lagos',
+  // Abuja
+  'abuja': 'Abuja', 'wuse': 'Abuja', 'garki': 'Abuja', 'gwarinpa': 'Abuja', 'kubwa': 'Abuja',
+  // South West
+  'ibadan': 'Oyo', 'ogbomoso': 'Oyo', 'abeokuta': 'Ogun', 'ijebu ode': 'Ogun', 'sagamu': 'Ogun',
+  'osogbo': 'Osun', 'ile ife': 'Osun', 'ilesa': 'Osun', 'akure': 'Ondo',
+  'ado ekiti': 'Ekiti',
+  // South South
+  'potakot': 'Rivers', 'pitakwa': 'Rivers', 'fatakwal': 'Rivers', 'port harcourt': 'Rivers',
+  'bini': 'Edo', 'ibini': 'Edo', 'benin city': 'Edo', 'asaba': 'Delta', 'warri': 'Delta',
+  'yenagoa': 'Bayelsa', 'uyo': 'Akwa Ibom', 'calabar': 'Cross River',
+  // South East
+  'owerri': 'Imo', 'owere': 'Imo', 'enugwu': 'Enugu', 'nsukka': 'Enugu', 'onitsha': 'Anambra',
+  'onicha': 'Anambra', 'awka': 'Anambra', 'nnewi': 'Anambra', 'aba': 'Abia', 'umuahia': 'Abia',
+  'abakaliki': 'Ebonyi',
+  // North
+  'zaria': 'Kaduna', 'zariya': 'Kaduna', 'birnin kebbi': 'Kebbi', 'dutse': 'Jigawa', 'gusau': 'Zamfara',
+  'damaturu': 'Yobe', 'jalingo': 'Taraba', 'maiduguri': 'Borno', 'yola': 'Adamawa', 'jos': 'Plateau',
+  'lafia': 'Nasarawa', 'minna': 'Niger', 'lokoja': 'Kogi', 'makurdi': 'Benue', 'ilorin': 'Kwara',
+  // Working from home
+  'for house': 'Remote', 'from house': 'Remote', 'lati ile': 'Remote', 'ni ile': 'Remote',
+  'daga gida': 'Remote', 'a gida': 'Remote', 'site n\'ulo': 'Remote', 'n\'ulo': 'Remote'
+};
+
+// Words that give a language away. Phrases count double; see detectLanguage in ./index.js
+const LANGUAGE_MARKERS = {
+  pcm: {
+    words: ['dey', 'wetin', 'abeg', 'una', 'wan', 'sabi', 'wahala', 'comot', 'dem', 'shey', 'abi', 'oya', 'wey', 'don', 'naim', 'sef', 'ehn', 'jare'],
+    phrases: ['how far', 'i dey', 'i wan', 'make i', 'na im', 'no be', 'abeg help', 'dey find', 'work dey']
+  },
+  yo: {
+    words: ['mo', 'fe', 'ise', 'jowo', 'bawo', 'nibo', 'ejo', 'ese', 'emi', 'wa', 'owo', 'ni', 'ti', 'awon', 'kini', 'daada', 'odabo'],
+    phrases: ['mo fe', 'e kaaro', 'e kaasan', 'e kale', 'e ku', 'bawo ni', 'e se o', 'mo n wa', 'mo nwa', 'ise wa']
+  },
+  ha: {
+    words: ['ina', 'aiki', 'sannu', 'yaya', 'nagode', 'kuma', 'barka', 'allah', 'zan', 'nake', 'neman', 'akwai'],
+    phrases: ['don allah', 'ina son', 'ina neman', 'ina kwana', 'ina wuni', 'barka da', 'na gode', 'ina aiki', 'yaya dai']
+  },
+  ig: {
+    words: ['biko', 'kedu', 'olu', 'ebee', 'daalu', 'nnoo', 'achoro', 'choro', 'ka', 'ndewo', 'ihe', 'maka', 'nke', 'ulo'],
+    phrases: ['achoro m', 'a choro m', 'm choro', 'aga m', 'kedu ka', 'olu di', 'ka o di', 'biko nye m', 'ulo oru']
+  },
+  en: {
+    words: ['the', 'i', 'want', 'need', 'looking', 'please', 'jobs', 'job', 'in', 'for', 'my', 'find', 'work', 'is', 'am', 'what', 'how', 'hello', 'thanks'],
+    phrases: ['i want', 'i need', 'looking for', 'thank you', 'how much', 'jobs in']
+  }
+};
+
+module.exports = { JOB_KEYWORDS, PLACE_NAMES, LANGUAGE_MARKERS };
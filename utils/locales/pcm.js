@@ -0,0 +1,297 @@
+// Nigerian Pidgin messages for the WhatsApp bot (keys as in ./en.js)
+
+module.exports = {
+  // General
+  'error.generic': 'Something no work well. Abeg try again.',
+  'error.withMenu': 'Something no work well. Abeg try again.\nType "menu" to see the job categories.',
+  'error.selection': 'The selection no work. Abeg try again.',
+  'error.navigation': 'I no fit move to that page. Abeg try again.',
+  'error.search': 'The job search no work. Abeg try again.',
+  'error.displayJobs': 'I no fit show the jobs. Abeg try again.',
+  'error.processJobs': 'I no fit arrange the jobs. Abeg try again.',
+  'error.showJobs': 'I no fit show the jobs. Abeg try again.',
+  'error.jobDetails': 'I no fit bring the job details.',
+  'error.option': 'I no fit do that one. Abeg try again.',
+  'error.jobSelection': 'I no fit process the jobs wey you pick. Abeg try again.',
+  'error.upload': 'The upload no work. Abeg try again.',
+  'error.status': 'I no fit check your status. Abeg try again.',
+  'error.alerts': 'I no fit update your alerts. Abeg try again.',
+  'error.cvs': 'I no fit update your CVs. Abeg try again.',
+  'error.noInteractiveData': 'Nothing come with that tap.',
+  'error.unknownAction': 'I no sabi that action. Abeg type the command.',
+
+  // Welcome and language
+  'welcome': '🙌 You don enter! SmartCVNaija go make job hunting easy for you.\n⚡ Find work (e.g. *sales work for Lagos* or *menu*)\n🔔 Get new jobs every day (e.g. *alert me for accountant jobs in Abuja*)\n🌍 Type *language* to change the language',
+  'language.header': 'Language',
+  'language.body': 'Which language you wan make I use?',
+  'language.button': 'Pick Language',
+  'language.section': 'Languages',
+  'language.changed': '✅ From now I go dey reply you for Pidgin.\nType "language" anytime to change am.',
+
+  // Category menu
+  'menu.title': '📋 **Job Categories**\n\nReply with the number of the category wey you want:\n\n',
+  'menu.howTo': '\n💡 **How e dey work:**\n• Reply with number (e.g. "1" for IT jobs)\n• Or just talk am: "I wan driver work for Lagos"\n\nWhich one you like? 🎯',
+  'menu.listHeader': 'Job Categories ({range})',
+  'menu.listBody': 'Pick one category:',
+  'menu.listMoreBody': 'Or pick from these ones:',
+  'menu.listSection': 'Job Categories',
+  'menu.listMoreSection': 'More Categories',
+  'menu.listButton': 'Pick Category',
+  'menu.invalidNumber': 'Abeg pick correct category number (1-19).\nType "menu" to see all the categories.',
+  'menu.invalidCategory': 'That category no dey.',
+  'menu.invalidSelection': 'That one no correct. Abeg try again.',
+  'menu.askLocation': 'You pick: **{category}** ✅\n\n📍 **Where you wan work?**\n\nYou fit choose:\n• Lagos\n• Abuja\n• Port Harcourt\n• Kano\n• Ibadan\n• Remote (for house)\n• Any other state for Naija\n\nJust reply with the place wey you want! 🎯',
+  'menu.sessionExpired': 'Your session don expire. Abeg pick job category again.\nType "menu" to see the categories.',
+
+  // Search
+  'search.searching': 'I dey find {title}...',
+  'search.searchingIn': 'I dey find {title} for {location}...',
+  'search.nationwide': 'I no see {title} for {location}, but I see {count} for other places for Naija:',
+  'search.noResults': 'I no see any job for "{title}"{location}\n\nTry am another way:\n• "software jobs for Lagos"\n• "IT jobs"\n• "remote tech jobs"\n• "jobs for Lagos"\n\nOr type "menu" to see the categories',
+  'search.inLocation': ' for {location}',
+  'search.askJobType': 'Which kind work you dey find?\n\nTry: "driver work for Lagos" or "remote marketing jobs"\n\nOr type "menu" to see the categories',
+  'search.askLocationFor': 'Where you wan do {title} work? E.g. Lagos, Abuja or Remote',
+  'search.askJobIn': 'Which kind work you dey find for {location}?\n\nOr type "menu" to see the categories',
+  'search.readyToSearch': 'You ready to find work? Just tell me the kind work wey you want!',
+  'search.help': 'I dey here to help you! Try:\n• "I wan developer work for Lagos"\n• "menu" to see the categories\n• "status" to check your applications',
+
+  // Search results teaser and payment
+  'tease.found': '🔥 I see {count} {title}!\n\n📍 Places:\n',
+  'tease.location': '• {location}: {count} jobs\n',
+  'tease.moreLocations': '• ...and other places\n',
+  'tease.offer': '\n💳 Pay ₦300 to see everything\n\n✅ See all the job details\n✅ Apply to 3 jobs with cover letter wey AI write\n✅ Sharp sharp professional applications\n\n',
+  'tease.payNow': 'Pay now: {paymentUrl}\n\nYou don pay? Type "show jobs"',
+  'tease.payToSee': '\n\nPay to see all the details: {paymentUrl}',
+  'reminder.first': '🔥 I don see {count} new jobs!\n\n💡 See wetin other people talk about us:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n💳 Open all the details here:\n{paymentUrl}\n\n⚡ Pass 50 people dey apply every day - no dey left out!',
+  'reminder.final': '⏰ Last reminder!\n\nYour {count} job results go soon expire\n\n💳 Pay now:\n{paymentUrl}\n\n🚀 New jobs dey enter every day - no dey left out!',
+  'payment.success': 'Payment don enter! You get 3 job applications wey go last for the next 24 hours!',
+  'payment.requiredShowJobs': '💳 You go need pay first\n\nPay ₦300 for premium:\n✅ All the job details\n✅ 3 applications with AI cover letters\n\n{paymentUrl}',
+  'payment.requiredApply': '💳 You go need pay first\n\nPay ₦300 to apply:\n{paymentUrl}',
+  'payment.creditsAdded': '✅ Payment don enter! {product} don start: {credits} job applications wey go last reach {validUntil}.',
+
+  // Job lists
+  'jobs.noneSearchAgain': 'I no see any job. Abeg search again.',
+  'jobs.noneAvailable': 'No job dey yet. Abeg search for jobs first.',
+  'jobs.notFound': 'I no see job {number}.',
+  'jobs.noSearch': '🔍 I no see any job. Search first:\n• "I wan developer work for Lagos"\n• Type "menu" to see the categories',
+  'jobs.noneActive': 'No open job dey from your search again. Try search again!',
+  'jobs.alertJobClosed': 'This job don close. Type "alerts" to see your alerts.',
+  'jobs.pageTitle': '📋 **Jobs - Page {page} of {totalPages}** ({total} jobs)\n\n',
+  'jobs.quickActions': '💡 **Wetin you fit do:**\n• Use the buttons for up to apply\n• Type "details" + job number (e.g. "details 3") to see everything\n• Type "apply 1,2,3" to pick plenty jobs',
+  'jobs.navigation': '\n📄 **Move around:**\n',
+  'jobs.navPrev': '• "prev" - Page wey pass\n',
+  'jobs.navNext': '• "next" - Next page\n',
+  'jobs.navPage': '• "page X" - Go page X\n\n',
+  'jobs.textActions': '🚀 **Wetin you fit do:**\n• "{first},{second}" - Apply to these jobs\n• "details {first}" - See wetin dem need\n• "all" - Apply to all the jobs for this page',
+  'jobs.listHeader': 'Job Actions',
+  'jobs.listBody': 'Apply sharp sharp:',
+  'jobs.listButton': 'Pick Action',
+  'jobs.listSection': 'Apply to Jobs',
+  'jobs.listNavSection': 'Move Around',
+  'jobs.applyRow': 'Apply Job {number}',
+  'jobs.prevRow': '⬅️ Back',
+  'jobs.nextRow': '➡️ Next',
+  'jobs.goToPage': 'Go page {page}',
+  'jobs.noPagination': 'No job dey to page through. Abeg search for jobs first.',
+  'jobs.samePage': 'You dey page {page} of {totalPages} already.\nUse "next" or "prev" to move.',
+  'jobs.invalidPage': 'That page no dey. Abeg pick page 1-{totalPages}.',
+  'job.remote': 'Remote',
+  'job.remoteWork': 'Work from house',
+  'job.competitive': 'Good pay',
+  'job.competitiveSalary': 'Good pay',
+  'job.expiresOne': 'E go close in 1 day',
+  'job.expiresMany': 'E go close in {days} days',
+
+  // Job details
+  'details.invalidNumber': 'Abeg put correct job number (1-{max})\nE.g. "details 1" or "requirements 2"',
+  'details.title': '📋 **Job {number} - All the Details**\n\n',
+  'details.company': 'Company',
+  'details.location': 'Place',
+  'details.salary': 'Salary',
+  'details.experience': 'Experience wey dem need',
+  'details.requirements': 'Wetin dem need',
+  'details.description': 'About the work',
+  'details.deadline': '⏰ **Deadline:** {days} days remain\n\n',
+  'details.apply': '🚀 **You ready to apply?**\nReply: "apply {number}" or "{number}" to apply for this job',
+  'details.invalidRequest': 'I no understand which job details you want. Abeg try again.',
+  'details.summaryTitle': '📋 *Job Details*',
+  'details.expires': 'E go close',
+
+  // Selecting and applying
+  'apply.paymentRequired': '💳 You go need pay first\n\nTo apply for "{title}" for {company}, abeg pay here:\n\n{paymentUrl}\n\nAfter you pay, send your CV make we apply.',
+  'apply.limitReached': '⌛ You don reach your limit\n\nYou don use all your applications for today. Try again tomorrow or pay again.',
+  'apply.jobSelected': '✅ You don pick the job!\n\n💼 Position: {title}\n🏢 Company: {company}\n📍 Place: {location}\n💰 Salary: {salary}\n\n📤 Next step: Send your CV (PDF or DOCX) make we apply for this job.\n\nYou still get {remaining} applications for today.',
+  'apply.invalidNumbers': 'Abeg pick correct job numbers (1-{max}) or "all".',
+  'apply.invalidSelection': 'That job selection no correct. Abeg try again.',
+  'apply.invalidNumber': 'Job {number} no dey this page. Abeg pick from jobs 1-{max}.',
+  'apply.selected': '✅ You don pick: {title}\n🏢 {company}\n\n📤 Abeg send your CV (PDF/DOCX) make we apply.',
+  'apply.alreadySelected': '✅ You don already pick "{title}".\n\nWetin you don pick: {count} job(s)',
+  'apply.selectionLimit': 'Limit don reach: na only {remaining} more jobs you fit apply for today.',
+  'apply.added': '✅ E don enter: {title}\n🏢 Company: {company}\n\n📋 All wey you pick: {count} job(s)',
+  'options.header': 'Application Options',
+  'options.body': 'You pick {count} job(s). Wetin you wan do next?',
+  'options.section': 'Wetin You Fit Do',
+  'options.button': 'Pick Action',
+  'options.applyTitle': '📤 Apply to Them',
+  'options.applyDescription': 'Apply to all the {count} jobs wey you pick',
+  'options.reviewTitle': '👀 Check the Jobs',
+  'options.reviewDescription': 'See the details of the jobs wey you pick',
+  'options.moreTitle': '➕ Pick More Jobs',
+  'options.moreDescription': 'Add more jobs',
+  'options.clearTitle': '🗑️ Clear Am',
+  'options.clearDescription': 'Start the picking again',
+  'options.fallback': 'Send your CV make we apply to the jobs wey you pick, or type "more" to pick more jobs.',
+  'options.noneSelected': 'You never pick any job. Search and pick jobs first.',
+  'options.choose': 'Abeg choose one:\n• "apply" - Apply to the jobs wey you pick\n• "review" - See the jobs wey you pick\n• "more" - Pick more jobs\n• "clear" - Clear everything',
+  'options.payFirst': 'Pay first:\n\n{paymentUrl}\n\nAfter you pay, send your CV make we apply for the {count} jobs wey you pick.',
+  'options.ready': 'We ready to apply for {count} job(s):\n\n{jobList}\n📤 Send your CV make we start!\n\n✅ We go write cover letter for each one\n✅ We go submit am sharp sharp\n✅ We go email you copy',
+  'options.reviewList': '📋 Jobs wey you pick ({count}):\n\n',
+  'options.reviewFooter': 'You ready? Send your CV or pick more jobs.',
+  'options.searchFirst': 'Abeg search for jobs first.',
+  'options.cleared': '🗑️ We don clear the jobs wey you pick.\n\nSearch again make you start fresh:\n• "I wan find driver work for Lagos"\n• Type "menu" to see categories',
+
+  // CV upload
+  'upload.selectJobsFirst': 'Pick the jobs wey you wan apply for first!\n\nSearch for jobs:\n• "I wan developer work for Lagos"\n• Pick the jobs\n• Then send your CV make we apply!\n\nOr type "menu" to see the categories',
+  'upload.payFirst': 'Pay First\n\nPay ₦300 for:\n✅ 3 professional applications\n✅ Cover letters wey AI write\n✅ Direct contact with the recruiter\n\n{paymentUrl}\n\nAfter you pay, just send your CV - we go handle the rest!',
+  'upload.tooLarge': 'The file too big (max 5MB).',
+  'upload.saveFailed': 'I no fit save the CV. Abeg try again.',
+  'upload.moreJobs': '...and {count} more jobs!\n',
+  'upload.confirmation': '✅ E DON ENTER! We don send your applications!\n\n📨 We apply to {count} jobs with cover letter for each one:\n{jobList}\n\n🤖 Wetin we send to each recruiter:\n• Your CV\n• Cover letter wey AI write for that job\n• Neat professional email\n\n📧 We don send you email with:\n• Each cover letter wey we write\n• The CV wey we send\n• The recruiter contact\n\n✉️ Check your email now to see everything.\n📞 Support: +2349049456183\n\n📊 You still get {remaining}/3 applications\n\n🌐 Share your testimony:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n🚀 Continue to dey search for more work!',
+
+  // Status
+  'status.title': '📊 **Your Status**\n\n',
+  'status.paymentRequired': '💳 **You go need pay**\nPay ₦300 for premium:\n{paymentUrl}\n\n',
+  'status.active': '✅ **Premium dey active**\nApplications today: {used}\nWetin remain: {remaining} applications\n\n',
+  'status.selected': '📋 **Jobs wey you pick**: {count}\n',
+  'status.uploadCv': '\nSend your CV make we apply!\n',
+  'status.noneSelected': '📋 **You never pick any job**\nSearch for jobs to start to apply.\n',
+  'status.recent': '\n📤 **Your recent applications**:\n',
+  'status.noRecent': '\n📤 **No recent application**\n',
+  'status.nextSteps': '\n🚀 **Wetin next**:\n• "show jobs" - See your job search\n• "menu" - See the job categories\n• Send your CV to apply to the jobs wey you pick',
+  'appStatus.label.sent': 'Don send',
+  'appStatus.label.viewed': 'Dem don see am',
+  'appStatus.label.shortlisted': 'Shortlisted',
+  'appStatus.label.interview': 'Interview',
+  'appStatus.label.rejected': 'Dem no pick you',
+  'appStatus.label.hired': 'You don get am',
+  'appStatus.message.viewed': 'The recruiter don see your application.',
+  'appStatus.message.shortlisted': 'Good news! Dem don shortlist you. Dey check your email and phone.',
+  'appStatus.message.interview': 'Dem don invite you for interview! The recruiter go call you with the details.',
+  'appStatus.message.rejected': 'The recruiter no go forward this time. No give up, dey apply!',
+  'appStatus.message.hired': 'Congrats, you don get the work! 🎊',
+  'appStatus.update': '{emoji} Application update\n\n{job}Status: {label}\n\n{message}\n\nType "status" make you see how your applications dey go.',
+  'appStatus.job': '💼 {title}\n',
+  'appStatus.jobAt': '💼 {title} for {company}\n',
+  'appStatus.untitled': 'Job application',
+  'appStatus.notDelivered': '⚠️ E no reach',
+  'appStatus.processing': '⏳ E dey process',
+  'appStatus.applied': 'You apply {date}',
+
+  // Job alerts
+  'alerts.stoppedOne': '🔕 I don stop 1 alert.',
+  'alerts.stoppedMany': '🔕 I don stop {count} alerts.',
+  'alerts.noMatching': 'I no see that alert. Type "alerts" to see your own.',
+  'alerts.unclear': 'Which kind jobs make I dey watch for you? Try:\n• "alert me for accountant jobs in Abuja"\n• "alert me for driver jobs in Lagos"',
+  'alerts.duplicate': 'You don already get alert for {alert}.',
+  'alerts.duplicateUnknown': 'that one',
+  'alerts.limit': 'You fit get only {max} alerts. Reply "stop alert 1" to remove one.',
+  'alerts.saveFailed': 'I no fit save your alert. Abeg try again.',
+  'alerts.saved': '🔔 Alert don save: {alert}\n\nEvery morning I go send you new jobs wey match. Tap one to apply.\n\n• "alerts" - see your alerts\n• "stop alert 1" - remove one',
+  'alerts.none': '🔕 You never get any job alert.\n\nTalk "alert me for accountant jobs in Abuja" and I go dey send you new jobs every day.',
+  'alerts.listTitle': '🔔 **Your Job Alerts**\n\n',
+  'alerts.listFooter': '\nReply "stop alert 1" to remove one, or "stop alerts" to remove all.',
+  'alerts.describeIn': '{label} for {location}',
+  'alerts.describeAnywhere': '{label} anywhere',
+  'alerts.allJobs': 'All jobs',
+  'alerts.digestHeader': 'Your Job Alerts for Today',
+  'alerts.digestOne': '🔔 1 new job wey match your alerts.\n\nTap the job to apply.',
+  'alerts.digestMany': '🔔 {count} new jobs wey match your alerts.\n\nTap any job to apply.',
+  'alerts.digestMore': ' Na the newest {shown} we show; search make you see the rest.',
+  'alerts.digestFooter': '\n\nReply "alerts" to manage your alerts.',
+  'alerts.digestButton': 'See & Apply',
+  'alerts.remote': 'Remote',
+
+  // CV library
+  'cv.renamed': '✏️ CV {version} don change name to "{label}"',
+  'cv.default': '⭐ "{label}" na your main CV now.\n\nAuto-apply go use am unless you pin another CV to a preference.',
+  'cv.deleted': '🗑️ "{label}" don delete.',
+  'cv.newDefault': '\n\n⭐ "{label}" na your main CV now.',
+  'cv.preferenceNotFound': 'I no see that preference. You need active auto-apply with preferences to pin CV.',
+  'cv.pinned': '📌 We go use "{label}" for {category} for {location}.',
+  'cv.libraryFull': '📚 You don get {max} CVs already, so we no add this one to "my cvs". Reply "my cvs" make you see dem, then delete one make space dey.',
+  'cv.unreadable': '📸 I no fit read your CV well.\n\nAbeg send am again as:\n• Clear photo wey you snap straight, for better light, make the whole page show\n• Or better, PDF or Word document\n\nThe jobs wey you pick still dey, so just send the CV again.',
+  'cv.none': '📄 You never save any CV.\n\nSend CV (PDF or DOCX) and we go keep am here for your next applications.',
+  'cv.listTitle': '📄 Your CVs\n\n',
+  'cv.listDefault': ' ⭐ (default)',
+  'cv.listUploaded': '   You send am {date}\n',
+  'cv.listCommands': '\nCommands:\n• "rename cv 2 Sales CV"\n• "default cv 2"\n• "delete cv 2"\n• "pin cv 2 to 1" (use CV 2 for auto-apply preference 1)',
+  'cv.labelRequired': 'Abeg give the CV name, like "rename cv 2 Sales CV"',
+  'cv.notFound': 'I no see CV {version}. Type "my cvs" make you see your CVs.',
+  'cv.preferenceCv': '   📄 CV: {cv}\n',
+  'cv.preferenceDefaultCv': 'Default CV',
+  'cv.pinHint': 'Reply "pin cv 2 to 1" make we use CV 2 for preference 1 ("my cvs" go show your CVs).',
+
+  // Bundles
+  'bundles.header': '💳 Application Bundles',
+  'bundles.body': 'Pick one bundle. I go send you Paystack link, and the applications go enter once you pay.',
+  'bundles.button': 'See bundles',
+  'bundles.section': 'Bundles',
+  'bundles.rowHours': '{price} · {credits} applications · {hours}h',
+  'bundles.rowDays': '{price} · {credits} applications · {days} days',
+  'bundles.none': 'No bundle dey now. Abeg try again later.',
+  'bundles.unavailable': 'That bundle no dey again. Type "bundles" to see the ones wey dey.',
+  'bundles.paymentLink': '💳 {product}\n{details}\n\nPay here:\n{paymentUrl}\n\nThe applications go enter as your payment don go through.',
+
+  // Referrals and promo codes
+  'refer.summary': '🎁 **Invite your people, collect applications**\n\nYour code: {code}\nShare this link:\n{link}\n\nAnybody wey you invite, once dem pay for the first time, you go get {credits} free applications.\n\n👥 People wey join: {joined}\n✅ People wey don pay: {rewarded}\n🎉 Applications wey you don collect: {earned}',
+  'refer.welcome': '🎁 You don land! Na your padi invite you.',
+  'refer.rewarded': '🎉 One person wey you invite don pay for the first time! We don add {credits} free applications for you, e go last {days} days.',
+  'promo.credits': '🎉 Code {code} don work! We don add {credits} free applications, e go last reach {validUntil}.',
+  'promo.discountPercent': '🎉 We don save code {code}! Your next payment go comot {percent}%.',
+  'promo.discountAmount': '🎉 We don save code {code}! Your next payment go comot {amount}.',
+  'promo.invalid': 'That code no correct. Check am well and try again.',
+  'promo.expired': 'That code no dey work again.',
+  'promo.used': 'You don already use that code.',
+
+  // Wallet
+  'wallet.summary': '👛 **Your wallet**\n\nBalance: {balance}\nE reach for {applications} applications, {price} each. Na the wallet go pay once your application credits finish.\n\nWetin happen recently:\n{history}\n\nReply "top up 1000" to add ₦1,000.',
+  'wallet.noHistory': 'Nothing yet.',
+  'wallet.entry.topup': '➕ {amount} top-up · {date}',
+  'wallet.entry.debit': '➖ {amount} for {count} applications · {date}',
+  'wallet.entry.refund': '↩️ {amount} don return for {count} applications wey fail · {date}',
+  'wallet.entry.adjustment': '⚙️ Support adjust am {amount} · {date}',
+  'wallet.topUpPrompt': 'How much you wan add? Reply like "top up 1000" (from {min} reach {max}).',
+  'wallet.topUpRange': 'Top-up must dey from {min} reach {max}.',
+  'wallet.topUpLink': '💳 Wallet top-up: {amount}\n\nPay here:\n{paymentUrl}\n\nYour balance go update as your payment don go through.',
+  'wallet.toppedUp': '✅ We don add {amount} to your wallet. Balance: {balance}.',
+  'wallet.refundCredits': '↩️ {count} of your applications no fit deliver, so we don return {credits} application credits give you.',
+  'wallet.refundWallet': '↩️ {count} of your applications no fit deliver, so {amount} don return to your wallet.',
+  'wallet.refundBoth': '↩️ {count} of your applications no fit deliver, so we don return {credits} application credits and put {amount} back for your wallet.',
+
+  // Payment methods
+  'paymentMethods.header': 'No get card?',
+  'paymentMethods.body': 'You fit pay with bank transfer or USSD too.',
+  'paymentMethods.card': '💳 Card',
+  'paymentMethods.transfer': '🏦 Bank transfer',
+  'paymentMethods.ussd': '📱 USSD',
+  'paymentMethods.fallback': '💳 Card: use the payment link wey dey up\n🏦 Bank transfer: type "bank transfer" make you get your own account number\n📱 USSD: type "ussd" make you pay with code',
+  'paymentMethods.ussdHeader': 'Pay with USSD',
+  'paymentMethods.ussdBody': 'Choose your bank make you pay for {product} by dialling code.',
+  'paymentMethods.ussdButton': 'Choose bank',
+  'paymentMethods.ussdSection': 'Banks',
+  'paymentMethods.ussdCode': '📱 {product}: {price}\n\nDial {code} for the line wey you register with your {bank} account, then follow wetin e talk.\n\nWe go message you as your payment don go through.',
+  'paymentMethods.transferAccount': '🏦 **Your SmartCVNaija account**\n\nBank: {bank}\nAccount number: {accountNumber}\nAccount name: {accountName}\n\nAny money wey you send here go enter your wallet, wey dey pay {price} for each application. The account na your own, you fit use am again and again.',
+  'paymentMethods.transferPending': '🏦 We dey set up account number for your bank transfer. We go send am here small time.',
+  'paymentMethods.transferFailed': 'We no fit set up account number for you now. Abeg pay with card or USSD, or try "bank transfer" again later.',
+  'paymentMethods.transferReceived': '✅ Transfer don land: we don add {amount} to your wallet. Balance: {balance}.',
+
+  // Voice notes
+  'voice.unavailable': '🎤 I never fit hear voice note for now. Abeg type your message.',
+  'voice.unclear': '🎤 Sorry, I no fit hear wetin you talk for that voice note. Abeg try again or type your message.',
+  'voice.heard': '🎤 Wetin I hear: "{text}"\n\nIf no be am, just type your message.',
+  'voice.failed': '⚠️ I no fit process your voice note. Abeg type your message.',
+
+  // Small talk
+  'chat.thanks': 'No wahala! 😊 You need another help?',
+  'chat.cleared': 'I don clear everything. Start again with "menu" or search for job.'
+};
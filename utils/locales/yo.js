@@ -0,0 +1,297 @@
+// Yoruba messages for the WhatsApp bot (keys as in ./en.js). Commands stay in English.
+
+module.exports = {
+  // General
+  'error.generic': 'Nǹkan kan ò lọ dáadáa. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.withMenu': 'Nǹkan kan ò lọ dáadáa. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.\nẸ tẹ "menu" láti wo àwọn ẹ̀ka iṣẹ́.',
+  'error.selection': 'Àṣàyàn náà kò ṣiṣẹ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.navigation': 'Mi ò lè lọ sí ojú-ìwé yẹn. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.search': 'Wíwá iṣẹ́ kò ṣiṣẹ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.displayJobs': 'Mi ò lè fi àwọn iṣẹ́ hàn. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.processJobs': 'Mi ò lè ṣètò àwọn iṣẹ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.showJobs': 'Mi ò lè fi àwọn iṣẹ́ hàn. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.jobDetails': 'Mi ò rí àlàyé iṣẹ́ náà.',
+  'error.option': 'Mi ò lè ṣe èyí. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.jobSelection': 'Mi ò lè ṣe àwọn iṣẹ́ tí ẹ yàn. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.upload': 'Fífi ránṣẹ́ kò ṣiṣẹ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.status': 'Mi ò lè ṣàyẹ̀wò ipò yín. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.alerts': 'Mi ò lè ṣe àtúnṣe ìkìlọ̀ yín. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.cvs': 'Mi ò lè ṣe àtúnṣe CV yín. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'error.noInteractiveData': 'Kò sí ohun tó dé pẹ̀lú ìfọwọ́kàn náà.',
+  'error.unknownAction': 'Mi ò mọ ìgbésẹ̀ yẹn. Ẹ jọ̀wọ́ ẹ tẹ àṣẹ náà.',
+
+  // Welcome and language
+  'welcome': '🙌 Ẹ káàbọ̀! SmartCVNaija máa jẹ́ kí wíwá iṣẹ́ rọrùn.\n⚡ Ẹ wá iṣẹ́ (bí àpẹẹrẹ *mo fẹ́ iṣẹ́ awakọ̀ ní Èkó* tàbí *menu*)\n🔔 Ẹ máa gba iṣẹ́ tuntun lójoojúmọ́ (bí àpẹẹrẹ *alert me for accountant jobs in Abuja*)\n🌍 Ẹ tẹ *language* láti yí èdè padà',
+  'language.header': 'Èdè',
+  'language.body': 'Èdè wo ni kí n máa lò?',
+  'language.button': 'Yan Èdè',
+  'language.section': 'Àwọn Èdè',
+  'language.changed': '✅ Láti ìsinsìnyí, màá máa fèsì ní Yorùbá.\nẸ tẹ "language" nígbàkúgbà láti yí i padà.',
+
+  // Category menu
+  'menu.title': '📋 **Àwọn Ẹ̀ka Iṣẹ́**\n\nẸ fi nọ́ńbà ẹ̀ka tí ẹ fẹ́ fèsì:\n\n',
+  'menu.howTo': '\n💡 **Bí ó ṣe ń ṣiṣẹ́:**\n• Ẹ fi nọ́ńbà fèsì (bí àpẹẹrẹ "1" fún iṣẹ́ IT)\n• Tàbí ẹ sọ ọ́: "mo fẹ́ iṣẹ́ olùkọ́ ní Ìbàdàn"\n\nÈwo ló wù yín? 🎯',
+  'menu.listHeader': 'Àwọn Ẹ̀ka Iṣẹ́ ({range})',
+  'menu.listBody': 'Ẹ yan ẹ̀ka kan:',
+  'menu.listMoreBody': 'Tàbí ẹ yan nínú ìwọ̀nyí:',
+  'menu.listSection': 'Àwọn Ẹ̀ka Iṣẹ́',
+  'menu.listMoreSection': 'Àwọn Ẹ̀ka Míràn',
+  'menu.listButton': 'Yan Ẹ̀ka',
+  'menu.invalidNumber': 'Ẹ jọ̀wọ́ ẹ yan nọ́ńbà ẹ̀ka tó tọ́ (1-19).\nẸ tẹ "menu" láti rí gbogbo ẹ̀ka.',
+  'menu.invalidCategory': 'Ẹ̀ka yẹn kò sí.',
+  'menu.invalidSelection': 'Àṣàyàn yẹn kò tọ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'menu.askLocation': 'Ẹ yan: **{category}** ✅\n\n📍 **Ibo lẹ fẹ́ ṣiṣẹ́?**\n\nẸ yan nínú:\n• Lagos (Èkó)\n• Abuja\n• Port Harcourt\n• Kano\n• Ibadan\n• Remote (láti ilé)\n• Ìpínlẹ̀ míràn ní Nàìjíríà\n\nẸ kàn fi ibi tí ẹ fẹ́ fèsì! 🎯',
+  'menu.sessionExpired': 'Àkókò yín ti parí. Ẹ jọ̀wọ́ ẹ tún yan ẹ̀ka iṣẹ́.\nẸ tẹ "menu" láti rí àwọn ẹ̀ka.',
+
+  // Search
+  'search.searching': 'Mò ń wá {title}...',
+  'search.searchingIn': 'Mò ń wá {title} ní {location}...',
+  'search.nationwide': 'Mi ò rí {title} ní {location}, ṣùgbọ́n mo rí {count} káàkiri Nàìjíríà:',
+  'search.noResults': 'Mi ò rí iṣẹ́ kankan fún "{title}"{location}\n\nẸ gbìyànjú ọ̀nà míràn:\n• "software jobs in Lagos"\n• "IT jobs"\n• "remote tech jobs"\n• "iṣẹ́ ní Èkó"\n\nTàbí ẹ tẹ "menu" láti wo àwọn ẹ̀ka',
+  'search.inLocation': ' ní {location}',
+  'search.askJobType': 'Irú iṣẹ́ wo lẹ ń wá?\n\nẸ gbìyànjú: "mo fẹ́ iṣẹ́ awakọ̀ ní Èkó" tàbí "remote marketing jobs"\n\nTàbí ẹ tẹ "menu" láti wo àwọn ẹ̀ka',
+  'search.askLocationFor': 'Ibo lẹ fẹ́ ṣe iṣẹ́ {title}? Bí àpẹẹrẹ: Lagos, Abuja, tàbí Remote',
+  'search.askJobIn': 'Irú iṣẹ́ wo lẹ ń wá ní {location}?\n\nTàbí ẹ tẹ "menu" láti wo àwọn ẹ̀ka',
+  'search.readyToSearch': 'Ṣé ẹ ti ṣetán láti wá iṣẹ́? Ẹ kàn sọ irú iṣẹ́ tí ẹ ń wá fún mi!',
+  'search.help': 'Mo wà níbí láti ràn yín lọ́wọ́! Ẹ gbìyànjú:\n• "mo fẹ́ iṣẹ́ developer ní Èkó"\n• "menu" láti wo àwọn ẹ̀ka\n• "status" láti ṣàyẹ̀wò àwọn ìbéèrè iṣẹ́ yín',
+
+  // Search results teaser and payment
+  'tease.found': '🔥 Mo rí {count} {title}!\n\n📍 Àwọn ibi:\n',
+  'tease.location': '• {location}: iṣẹ́ {count}\n',
+  'tease.moreLocations': '• ...àti àwọn ibi míràn\n',
+  'tease.offer': '\n💳 Ẹ san ₦300 láti rí gbogbo rẹ̀\n\n✅ Ẹ wo gbogbo àlàyé iṣẹ́\n✅ Ẹ béèrè fún iṣẹ́ 3 pẹ̀lú lẹ́tà tí AI kọ\n✅ Ìbéèrè iṣẹ́ tó jáfáfá lẹ́sẹ̀kẹsẹ̀\n\n',
+  'tease.payNow': 'Ẹ sanwó báyìí: {paymentUrl}\n\nṢé ẹ ti sanwó? Ẹ tẹ "show jobs"',
+  'tease.payToSee': '\n\nẸ sanwó láti rí gbogbo àlàyé: {paymentUrl}',
+  'reminder.first': '🔥 Mo rí iṣẹ́ tuntun {count}!\n\n💡 Ẹ wo ohun tí àwọn míràn sọ nípa wa:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n💳 Ẹ ṣí gbogbo àlàyé níbí:\n{paymentUrl}\n\n⚡ Ènìyàn tó ju 50 lọ ń béèrè lójoojúmọ́ - ẹ má ṣe jẹ́ kó bọ́!',
+  'reminder.final': '⏰ Ìránnilétí ìkẹyìn!\n\nÀbájáde iṣẹ́ {count} yín yóò parí láìpẹ́\n\n💳 Ẹ sanwó báyìí:\n{paymentUrl}\n\n🚀 Iṣẹ́ tuntun ń wọlé lójoojúmọ́ - ẹ má ṣe jẹ́ kó bọ́!',
+  'payment.success': 'Owó ti wọlé! Ẹ ní ìbéèrè iṣẹ́ 3 fún wákàtí 24 tó ń bọ̀!',
+  'payment.requiredShowJobs': '💳 Ẹ gbọ́dọ̀ sanwó\n\nẸ san ₦300 fún iṣẹ́ àkànṣe:\n✅ Gbogbo àlàyé iṣẹ́\n✅ Ìbéèrè iṣẹ́ 3 pẹ̀lú lẹ́tà AI\n\n{paymentUrl}',
+  'payment.requiredApply': '💳 Ẹ gbọ́dọ̀ sanwó\n\nẸ san ₦300 láti béèrè iṣẹ́:\n{paymentUrl}',
+  'payment.creditsAdded': '✅ Owó ti wọlé! {product} ti bẹ̀rẹ̀: ìbéèrè iṣẹ́ {credits}, títí di {validUntil}.',
+
+  // Job lists
+  'jobs.noneSearchAgain': 'Mi ò rí iṣẹ́ kankan. Ẹ jọ̀wọ́ ẹ tún wá.',
+  'jobs.noneAvailable': 'Kò sí iṣẹ́ kankan. Ẹ jọ̀wọ́ ẹ kọ́kọ́ wá iṣẹ́.',
+  'jobs.notFound': 'Mi ò rí iṣẹ́ {number}.',
+  'jobs.noSearch': '🔍 Mi ò rí iṣẹ́ kankan. Ẹ kọ́kọ́ wá:\n• "mo fẹ́ iṣẹ́ developer ní Èkó"\n• Ẹ tẹ "menu" láti wo àwọn ẹ̀ka',
+  'jobs.noneActive': 'Kò sí iṣẹ́ tó ṣí sílẹ̀ mọ́ láti inú ìwádìí yín. Ẹ tún wá!',
+  'jobs.alertJobClosed': 'Iṣẹ́ yìí ti tì. Ẹ tẹ "alerts" láti wo ìkìlọ̀ yín.',
+  'jobs.pageTitle': '📋 **Iṣẹ́ - Ojú-ìwé {page} nínú {totalPages}** (iṣẹ́ {total})\n\n',
+  'jobs.quickActions': '💡 **Ohun tí ẹ lè ṣe:**\n• Ẹ lo àwọn bọ́tìnnì lókè láti béèrè\n• Ẹ tẹ "details" + nọ́ńbà iṣẹ́ (bí àpẹẹrẹ "details 3") fún àlàyé kíkún\n• Ẹ tẹ "apply 1,2,3" láti yan iṣẹ́ púpọ̀',
+  'jobs.navigation': '\n📄 **Ìrìnkiri:**\n',
+  'jobs.navPrev': '• "prev" - Ojú-ìwé ti tẹ́lẹ̀\n',
+  'jobs.navNext': '• "next" - Ojú-ìwé tó kàn\n',
+  'jobs.navPage': '• "page X" - Lọ sí ojú-ìwé X\n\n',
+  'jobs.textActions': '🚀 **Ohun tí ẹ lè ṣe:**\n• "{first},{second}" - Béèrè fún àwọn iṣẹ́ yìí\n• "details {first}" - Wo ohun tí wọ́n ń fẹ́\n• "all" - Béèrè fún gbogbo iṣẹ́ ojú-ìwé yìí',
+  'jobs.listHeader': 'Àwọn Iṣẹ́',
+  'jobs.listBody': 'Ẹ béèrè iṣẹ́ kíákíá:',
+  'jobs.listButton': 'Yan',
+  'jobs.listSection': 'Béèrè Iṣẹ́',
+  'jobs.listNavSection': 'Ìrìnkiri',
+  'jobs.applyRow': 'Béèrè Iṣẹ́ {number}',
+  'jobs.prevRow': '⬅️ Ti tẹ́lẹ̀',
+  'jobs.nextRow': '➡️ Tó kàn',
+  'jobs.goToPage': 'Lọ sí ojú-ìwé {page}',
+  'jobs.noPagination': 'Kò sí iṣẹ́ láti yí ojú-ìwé. Ẹ jọ̀wọ́ ẹ kọ́kọ́ wá iṣẹ́.',
+  'jobs.samePage': 'Ẹ ti wà ní ojú-ìwé {page} nínú {totalPages}.\nẸ lo "next" tàbí "prev" láti yí i.',
+  'jobs.invalidPage': 'Ojú-ìwé yẹn kò sí. Ẹ jọ̀wọ́ ẹ yan ojú-ìwé 1-{totalPages}.',
+  'job.remote': 'Láti ilé',
+  'job.remoteWork': 'Iṣẹ́ láti ilé',
+  'job.competitive': 'Owó tó dára',
+  'job.competitiveSalary': 'Owó oṣù tó dára',
+  'job.expiresOne': 'Yóò parí ní ọjọ́ 1',
+  'job.expiresMany': 'Yóò parí ní ọjọ́ {days}',
+
+  // Job details
+  'details.invalidNumber': 'Ẹ jọ̀wọ́ ẹ fi nọ́ńbà iṣẹ́ tó tọ́ (1-{max})\nBí àpẹẹrẹ: "details 1" tàbí "requirements 2"',
+  'details.title': '📋 **Iṣẹ́ {number} - Àlàyé Kíkún**\n\n',
+  'details.company': 'Ilé-iṣẹ́',
+  'details.location': 'Ibi',
+  'details.salary': 'Owó oṣù',
+  'details.experience': 'Ìrírí tí wọ́n ń fẹ́',
+  'details.requirements': 'Ohun tí wọ́n ń fẹ́',
+  'details.description': 'Nípa iṣẹ́ náà',
+  'details.deadline': '⏰ **Ọjọ́ ìkẹyìn:** ọjọ́ {days} ló kù\n\n',
+  'details.apply': '🚀 **Ṣé ẹ ti ṣetán?**\nẸ fèsì: "apply {number}" tàbí "{number}" láti béèrè fún iṣẹ́ yìí',
+  'details.invalidRequest': 'Mi ò mọ iṣẹ́ tí ẹ fẹ́ rí àlàyé rẹ̀. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'details.summaryTitle': '📋 *Àlàyé Iṣẹ́*',
+  'details.expires': 'Yóò parí',
+
+  // Selecting and applying
+  'apply.paymentRequired': '💳 Ẹ gbọ́dọ̀ sanwó\n\nLáti béèrè fún "{title}" ní {company}, ẹ jọ̀wọ́ ẹ sanwó:\n\n{paymentUrl}\n\nLẹ́yìn ìsanwó, ẹ fi CV yín ránṣẹ́.',
+  'apply.limitReached': '⌛ Ẹ ti dé òpin\n\nẸ ti lo gbogbo ìbéèrè iṣẹ́ yín fún òní. Ẹ tún gbìyànjú lọ́la tàbí kí ẹ tún sanwó.',
+  'apply.jobSelected': '✅ Ẹ ti yan iṣẹ́ náà!\n\n💼 Ipò: {title}\n🏢 Ilé-iṣẹ́: {company}\n📍 Ibi: {location}\n💰 Owó oṣù: {salary}\n\n📤 Ìgbésẹ̀ tó kàn: Ẹ fi CV yín (PDF tàbí DOCX) ránṣẹ́ láti béèrè fún iṣẹ́ yìí.\n\nẸ ṣì ní ìbéèrè {remaining} fún òní.',
+  'apply.invalidNumbers': 'Ẹ jọ̀wọ́ ẹ yan nọ́ńbà iṣẹ́ tó tọ́ (1-{max}) tàbí "all".',
+  'apply.invalidSelection': 'Àṣàyàn iṣẹ́ náà kò tọ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'apply.invalidNumber': 'Iṣẹ́ {number} kò sí lójú-ìwé yìí. Ẹ jọ̀wọ́ ẹ yan láàrin iṣẹ́ 1-{max}.',
+  'apply.selected': '✅ Ẹ ti yan: {title}\n🏢 {company}\n\n📤 Ẹ jọ̀wọ́ ẹ fi CV yín (PDF/DOCX) ránṣẹ́ láti béèrè.',
+  'apply.alreadySelected': '✅ Ẹ ti yan "{title}" tẹ́lẹ̀.\n\nÀwọn tí ẹ ti yan: iṣẹ́ {count}',
+  'apply.selectionLimit': 'Ẹ ti dé òpin: iṣẹ́ {remaining} péré ló kù tí ẹ lè béèrè lónìí.',
+  'apply.added': '✅ A ti fi kún un: {title}\n🏢 Ilé-iṣẹ́: {company}\n\n📋 Gbogbo èyí tí ẹ yan: iṣẹ́ {count}',
+  'options.header': 'Àwọn Àṣàyàn',
+  'options.body': 'Ẹ yan iṣẹ́ {count}. Kí lẹ fẹ́ ṣe?',
+  'options.section': 'Ohun tí ẹ lè ṣe',
+  'options.button': 'Yan',
+  'options.applyTitle': '📤 Béèrè fún wọn',
+  'options.applyDescription': 'Béèrè fún gbogbo iṣẹ́ {count} tí ẹ yàn',
+  'options.reviewTitle': '👀 Wo àwọn iṣẹ́',
+  'options.reviewDescription': 'Wo àlàyé àwọn iṣẹ́ tí ẹ yàn',
+  'options.moreTitle': '➕ Yan iṣẹ́ míràn',
+  'options.moreDescription': 'Fi iṣẹ́ míràn kún un',
+  'options.clearTitle': '🗑️ Pa á rẹ́',
+  'options.clearDescription': 'Bẹ̀rẹ̀ yíyàn lákọ̀tun',
+  'options.fallback': 'Ẹ fi CV yín ránṣẹ́ láti béèrè fún àwọn iṣẹ́ tí ẹ yàn, tàbí ẹ tẹ "more" láti yan iṣẹ́ míràn.',
+  'options.noneSelected': 'Ẹ kò tíì yan iṣẹ́ kankan. Ẹ kọ́kọ́ wá iṣẹ́ kí ẹ sì yàn.',
+  'options.choose': 'Ẹ jọ̀wọ́ ẹ yan ọ̀kan:\n• "apply" - Béèrè fún iṣẹ́ tí ẹ yàn\n• "review" - Wo iṣẹ́ tí ẹ yàn\n• "more" - Yan iṣẹ́ míràn\n• "clear" - Pa àṣàyàn rẹ́',
+  'options.payFirst': 'Ẹ kọ́kọ́ sanwó:\n\n{paymentUrl}\n\nLẹ́yìn ìsanwó, ẹ fi CV yín ránṣẹ́ láti béèrè fún iṣẹ́ {count} tí ẹ yàn.',
+  'options.ready': 'A ti ṣetán láti béèrè fún iṣẹ́ {count}:\n\n{jobList}\n📤 Ẹ fi CV yín ránṣẹ́ ká bẹ̀rẹ̀!\n\n✅ A ó kọ lẹ́tà fún ọ̀kọ̀ọ̀kan\n✅ A ó fi ránṣẹ́ lẹ́sẹ̀kẹsẹ̀\n✅ A ó fi ẹ̀dà ránṣẹ́ sí ímeèlì yín',
+  'options.reviewList': '📋 Iṣẹ́ tí ẹ yàn ({count}):\n\n',
+  'options.reviewFooter': 'Ṣé ẹ ti ṣetán? Ẹ fi CV ránṣẹ́ tàbí kí ẹ yan iṣẹ́ míràn.',
+  'options.searchFirst': 'Ẹ jọ̀wọ́ ẹ kọ́kọ́ wá iṣẹ́.',
+  'options.cleared': '🗑️ Mo ti pa àwọn iṣẹ́ tí ẹ yàn rẹ́.\n\nẸ tún wá iṣẹ́ láti bẹ̀rẹ̀:\n• "mo fẹ́ iṣẹ́ developer ní Èkó"\n• Ẹ tẹ "menu" láti wo àwọn ẹ̀ka',
+
+  // CV upload
+  'upload.selectJobsFirst': 'Ẹ kọ́kọ́ yan àwọn iṣẹ́ tí ẹ fẹ́ béèrè fún!\n\nẸ wá iṣẹ́:\n• "mo fẹ́ iṣẹ́ developer ní Èkó"\n• Ẹ yan àwọn iṣẹ́\n• Lẹ́yìn náà ẹ fi CV ránṣẹ́!\n\nTàbí ẹ tẹ "menu" láti wo àwọn ẹ̀ka',
+  'upload.payFirst': 'Ẹ Kọ́kọ́ Sanwó\n\nẸ san ₦300 fún:\n✅ Ìbéèrè iṣẹ́ 3 tó jáfáfá\n✅ Lẹ́tà tí AI kọ\n✅ Ìbánisọ̀rọ̀ tààrà pẹ̀lú agbanisíṣẹ́\n\n{paymentUrl}\n\nLẹ́yìn ìsanwó, ẹ kàn fi CV ránṣẹ́ - a ó ṣe ìyókù!',
+  'upload.tooLarge': 'Fáìlì náà ti tóbi jù (5MB ló pọ̀ jù).',
+  'upload.saveFailed': 'Mi ò lè fi CV náà pamọ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'upload.moreJobs': '...àti iṣẹ́ {count} míràn!\n',
+  'upload.confirmation': '✅ Ó TI LỌ! A ti fi ìbéèrè iṣẹ́ yín ránṣẹ́!\n\n📨 A béèrè fún iṣẹ́ {count} pẹ̀lú lẹ́tà fún ọ̀kọ̀ọ̀kan:\n{jobList}\n\n🤖 Ohun tí a fi ránṣẹ́ sí agbanisíṣẹ́ kọ̀ọ̀kan:\n• CV yín\n• Lẹ́tà tí AI kọ fún iṣẹ́ náà\n• Ímeèlì tó wà létòlétò\n\n📧 A ti fi ímeèlì ránṣẹ́ sí yín pẹ̀lú:\n• Lẹ́tà kọ̀ọ̀kan tí a kọ\n• CV tí a fi ránṣẹ́\n• Àdírẹ́sì agbanisíṣẹ́\n\n✉️ Ẹ ṣàyẹ̀wò ímeèlì yín báyìí.\n📞 Ìrànlọ́wọ́: +2349049456183\n\n📊 Ẹ ṣì ní ìbéèrè {remaining}/3\n\n🌐 Ẹ pín ìrírí yín:\nhttps://whatsapp.com/channel/0029VbAp71RA89Mc5GPDKl1h\n\n🚀 Ẹ máa wá iṣẹ́ míràn lọ!',
+
+  // Status
+  'status.title': '📊 **Ipò Yín**\n\n',
+  'status.paymentRequired': '💳 **Ẹ gbọ́dọ̀ sanwó**\nẸ san ₦300 fún iṣẹ́ àkànṣe:\n{paymentUrl}\n\n',
+  'status.active': '✅ **Iṣẹ́ àkànṣe ń ṣiṣẹ́**\nÌbéèrè òní: {used}\nÓ kù: ìbéèrè {remaining}\n\n',
+  'status.selected': '📋 **Iṣẹ́ tí ẹ yàn**: {count}\n',
+  'status.uploadCv': '\nẸ fi CV yín ránṣẹ́ láti béèrè!\n',
+  'status.noneSelected': '📋 **Ẹ kò tíì yan iṣẹ́ kankan**\nẸ wá iṣẹ́ láti bẹ̀rẹ̀.\n',
+  'status.recent': '\n📤 **Ìbéèrè iṣẹ́ àìpẹ́**:\n',
+  'status.noRecent': '\n📤 **Kò sí ìbéèrè iṣẹ́ àìpẹ́**\n',
+  'status.nextSteps': '\n🚀 **Ìgbésẹ̀ tó kàn**:\n• "show jobs" - Wo ìwádìí iṣẹ́ yín\n• "menu" - Wo àwọn ẹ̀ka iṣẹ́\n• Ẹ fi CV ránṣẹ́ láti béèrè fún iṣẹ́ tí ẹ yàn',
+  'appStatus.label.sent': 'A ti fi ránṣẹ́',
+  'appStatus.label.viewed': 'Wọ́n ti rí i',
+  'appStatus.label.shortlisted': 'Wọ́n ti yàn yín',
+  'appStatus.label.interview': 'Ìfọ̀rọ̀wánilẹ́nuwò',
+  'appStatus.label.rejected': 'A kò yàn yín',
+  'appStatus.label.hired': 'Ẹ ti gba iṣẹ́ náà',
+  'appStatus.message.viewed': 'Agbanisíṣẹ́ ti wo ìbéèrè yín.',
+  'appStatus.message.shortlisted': 'Ìròyìn ayọ̀! Wọ́n ti yàn yín sínú àkọsílẹ̀ kúkúrú. Ẹ máa ṣàyẹ̀wò ímeèlì àti fóònù yín.',
+  'appStatus.message.interview': 'Wọ́n ti pè yín fún ìfọ̀rọ̀wánilẹ́nuwò! Agbanisíṣẹ́ yóò kàn sí yín pẹ̀lú àlàyé.',
+  'appStatus.message.rejected': 'Agbanisíṣẹ́ kò tẹ̀síwájú lọ́tẹ̀ yìí. Ẹ má ṣe jáwọ́, ẹ máa béèrè síbẹ̀!',
+  'appStatus.message.hired': 'Ẹ kú oríire, ẹ ti gba iṣẹ́ náà! 🎊',
+  'appStatus.update': '{emoji} Ìròyìn ìbéèrè iṣẹ́\n\n{job}Ipò: {label}\n\n{message}\n\nẸ tẹ "status" láti rí bí àwọn ìbéèrè yín ṣe ń lọ.',
+  'appStatus.job': '💼 {title}\n',
+  'appStatus.jobAt': '💼 {title} ní {company}\n',
+  'appStatus.untitled': 'Ìbéèrè iṣẹ́',
+  'appStatus.notDelivered': '⚠️ Kò dé ọ̀dọ̀ wọn',
+  'appStatus.processing': '⏳ Ó ń lọ lọ́wọ́',
+  'appStatus.applied': 'A béèrè ní {date}',
+
+  // Job alerts
+  'alerts.stoppedOne': '🔕 Mo ti dá ìkìlọ̀ 1 dúró.',
+  'alerts.stoppedMany': '🔕 Mo ti dá ìkìlọ̀ {count} dúró.',
+  'alerts.noMatching': 'Mi ò rí ìkìlọ̀ yẹn. Ẹ tẹ "alerts" láti wo tiyín.',
+  'alerts.unclear': 'Irú iṣẹ́ wo ni kí n máa ṣọ́ fún yín? Ẹ gbìyànjú:\n• "alert me for accountant jobs in Abuja"\n• "alert me for driver jobs in Lagos"',
+  'alerts.duplicate': 'Ẹ ti ní ìkìlọ̀ fún {alert}.',
+  'alerts.duplicateUnknown': 'ìyẹn',
+  'alerts.limit': 'Ìkìlọ̀ {max} péré lẹ lè ní. Ẹ fèsì "stop alert 1" láti yọ ọ̀kan kúrò.',
+  'alerts.saveFailed': 'Mi ò lè fi ìkìlọ̀ yín pamọ́. Ẹ jọ̀wọ́ ẹ tún gbìyànjú.',
+  'alerts.saved': '🔔 Ìkìlọ̀ ti wà: {alert}\n\nLárààárọ̀ màá fi iṣẹ́ tuntun tó bá a mu ránṣẹ́ sí yín. Ẹ tẹ ọ̀kan láti béèrè.\n\n• "alerts" - wo ìkìlọ̀ yín\n• "stop alert 1" - yọ ọ̀kan kúrò',
+  'alerts.none': '🔕 Ẹ kò tíì ní ìkìlọ̀ iṣẹ́ kankan.\n\nẸ sọ "alert me for accountant jobs in Abuja", màá sì máa fi iṣẹ́ tuntun ránṣẹ́ lójoojúmọ́.',
+  'alerts.listTitle': '🔔 **Ìkìlọ̀ Iṣẹ́ Yín**\n\n',
+  'alerts.listFooter': '\nẸ fèsì "stop alert 1" láti yọ ọ̀kan kúrò, tàbí "stop alerts" láti yọ gbogbo rẹ̀.',
+  'alerts.describeIn': '{label} ní {location}',
+  'alerts.describeAnywhere': '{label} níbikíbi',
+  'alerts.allJobs': 'Gbogbo iṣẹ́',
+  'alerts.digestHeader': 'Ìkìlọ̀ Iṣẹ́ Ti Òní',
+  'alerts.digestOne': '🔔 Iṣẹ́ tuntun 1 bá ìkìlọ̀ yín mu.\n\nẸ tẹ iṣẹ́ náà láti béèrè.',
+  'alerts.digestMany': '🔔 Iṣẹ́ tuntun {count} bá ìkìlọ̀ yín mu.\n\nẸ tẹ iṣẹ́ kan láti béèrè.',
+  'alerts.digestMore': ' A ń fi {shown} tó jẹ́ tuntun jù hàn; ẹ wá a láti rí ìyókù.',
+  'alerts.digestFooter': '\n\nẸ fèsì "alerts" láti ṣàkóso ìkìlọ̀ yín.',
+  'alerts.digestButton': 'Wo kí ẹ béèrè',
+  'alerts.remote': 'Látọ̀nà jíjìn',
+
+  // CV library
+  'cv.renamed': '✏️ A ti yí orúkọ CV {version} padà sí "{label}"',
+  'cv.default': '⭐ "{label}" ni CV àkọ́kọ́ yín báyìí.\n\nAuto-apply yóò máa lò ó àyàfi tí ẹ bá so CV míràn mọ́ àṣàyàn kan.',
+  'cv.deleted': '🗑️ A ti pa "{label}" rẹ́.',
+  'cv.newDefault': '\n\n⭐ "{label}" ni CV àkọ́kọ́ yín báyìí.',
+  'cv.preferenceNotFound': 'Mi ò rí àṣàyàn yẹn. Ẹ nílò auto-apply tó ń ṣiṣẹ́ pẹ̀lú àṣàyàn láti so CV mọ́ ọn.',
+  'cv.pinned': '📌 A ó máa lo "{label}" fún {category} ní {location}.',
+  'cv.libraryFull': '📚 Ẹ ti ní CV {max} tẹ́lẹ̀, nítorí náà a kò fi èyí kún "my cvs". Ẹ fèsì "my cvs" láti rí wọn, kí ẹ sì pa ọ̀kan rẹ́ láti ṣe àyè.',
+  'cv.unreadable': '📸 Mi ò lè ka CV yín dáadáa.\n\nẸ jọ̀wọ́ ẹ tún fi ránṣẹ́ bí:\n• Fọ́tò tó mọ́ kedere, tí ẹ yà tààrà, níbi tí ìmọ́lẹ̀ dára, tí gbogbo ojú ìwé hàn\n• Tàbí èyí tó dára jù, ìwé PDF tàbí Word\n\nÀwọn iṣẹ́ tí ẹ yàn ṣì wà, ẹ kàn tún fi CV náà ránṣẹ́.',
+  'cv.none': '📄 Ẹ kò tíì fi CV kankan pamọ́.\n\nẸ fi CV (PDF tàbí DOCX) ránṣẹ́, a ó sì tọ́jú rẹ̀ síbí fún ìbéèrè iṣẹ́ míì.',
+  'cv.listTitle': '📄 Àwọn CV yín\n\n',
+  'cv.listDefault': ' ⭐ (àkọ́kọ́)',
+  'cv.listUploaded': '   A gbà á ní {date}\n',
+  'cv.listCommands': '\nÀwọn àṣẹ:\n• "rename cv 2 Sales CV"\n• "default cv 2"\n• "delete cv 2"\n• "pin cv 2 to 1" (lo CV 2 fún àṣàyàn auto-apply 1)',
+  'cv.labelRequired': 'Ẹ jọ̀wọ́ ẹ fún CV náà ní orúkọ, bí àpẹẹrẹ "rename cv 2 Sales CV"',
+  'cv.notFound': 'Mi ò rí CV {version}. Ẹ tẹ "my cvs" láti rí àwọn CV yín.',
+  'cv.preferenceCv': '   📄 CV: {cv}\n',
+  'cv.preferenceDefaultCv': 'CV àkọ́kọ́',
+  'cv.pinHint': 'Ẹ fèsì "pin cv 2 to 1" láti lo CV 2 fún àṣàyàn 1 ("my cvs" ń fi àwọn CV yín hàn).',
+
+  // Bundles
+  'bundles.header': '💳 Àpapọ̀ Ìbéèrè',
+  'bundles.body': 'Ẹ yan àpapọ̀ kan. Màá fi ìlànà Paystack ránṣẹ́ sí yín, ìbéèrè náà yóò sì wọlé ní kété tí ẹ bá sanwó.',
+  'bundles.button': 'Wo àwọn àpapọ̀',
+  'bundles.section': 'Àpapọ̀',
+  'bundles.rowHours': '{price} · ìbéèrè {credits} · wákàtí {hours}',
+  'bundles.rowDays': '{price} · ìbéèrè {credits} · ọjọ́ {days}',
+  'bundles.none': 'Kò sí àpapọ̀ kankan báyìí. Ẹ jọ̀wọ́ ẹ gbìyànjú lẹ́yìn náà.',
+  'bundles.unavailable': 'Àpapọ̀ yẹn kò sí mọ́. Ẹ tẹ "bundles" láti rí àwọn tó wà.',
+  'bundles.paymentLink': '💳 {product}\n{details}\n\nẸ sanwó níbí:\n{paymentUrl}\n\nÌbéèrè náà yóò wọlé ní kété tí owó yín bá wọlé.',
+
+  // Referrals and promo codes
+  'refer.summary': '🎁 **Ẹ pe àwọn ọ̀rẹ́, ẹ gba ìbéèrè ọ̀fẹ́**\n\nKóòdù yín: {code}\nẸ pín ìlànà yìí:\n{link}\n\nTí ọ̀rẹ́ tí ẹ pè bá sanwó fún ìgbà àkọ́kọ́, ẹ ó gba ìbéèrè ọ̀fẹ́ {credits}.\n\n👥 Ọ̀rẹ́ tó darapọ̀: {joined}\n✅ Ọ̀rẹ́ tó ti sanwó: {rewarded}\n🎉 Ìbéèrè tí ẹ ti gbà: {earned}',
+  'refer.welcome': '🎁 Ẹ káàbọ̀! Ọ̀rẹ́ yín ló pè yín.',
+  'refer.rewarded': '🎉 Ọ̀rẹ́ tí ẹ pè ṣẹ̀ṣẹ̀ sanwó fún ìgbà àkọ́kọ́! A ti fi ìbéèrè ọ̀fẹ́ {credits} kún un fún yín, fún ọjọ́ {days}.',
+  'promo.credits': '🎉 Kóòdù {code} ti ṣiṣẹ́! A ti fi ìbéèrè ọ̀fẹ́ {credits} kún un, títí di {validUntil}.',
+  'promo.discountPercent': '🎉 A ti fi kóòdù {code} pamọ́! Ẹ ó san {percent}% dín nígbà tí ẹ bá tún sanwó.',
+  'promo.discountAmount': '🎉 A ti fi kóòdù {code} pamọ́! Ẹ ó san {amount} dín nígbà tí ẹ bá tún sanwó.',
+  'promo.invalid': 'Kóòdù yẹn kò tọ̀nà. Ẹ ṣàyẹ̀wò rẹ̀ kí ẹ sì tún gbìyànjú.',
+  'promo.expired': 'Kóòdù yẹn kò ṣiṣẹ́ mọ́.',
+  'promo.used': 'Ẹ ti lo kóòdù yẹn tẹ́lẹ̀.',
+
+  // Wallet
+  'wallet.summary': '👛 **Àpamọ́wọ́ yín**\n\nOwó tó kù: {balance}\nÓ tó fún ìbéèrè {applications}, {price} fún ọ̀kọ̀ọ̀kan. Àpamọ́wọ́ yóò sanwó nígbà tí ìbéèrè yín bá tán.\n\nÌṣẹ̀lẹ̀ àìpẹ́:\n{history}\n\nẸ fèsì "top up 1000" láti fi ₦1,000 kún un.',
+  'wallet.noHistory': 'Kò sí nǹkan kan síbẹ̀.',
+  'wallet.entry.topup': '➕ {amount} tí ẹ fi kún un · {date}',
+  'wallet.entry.debit': '➖ {amount} fún ìbéèrè {count} · {date}',
+  'wallet.entry.refund': '↩️ {amount} padà fún ìbéèrè {count} tí kò lọ · {date}',
+  'wallet.entry.adjustment': '⚙️ Ìrànlọ́wọ́ ṣàtúnṣe {amount} · {date}',
+  'wallet.topUpPrompt': 'Èló ni ẹ fẹ́ fi kún un? Ẹ fèsì bíi "top up 1000" (láti {min} dé {max}).',
+  'wallet.topUpRange': 'Owó tí ẹ fi kún un gbọ́dọ̀ wà láti {min} dé {max}.',
+  'wallet.topUpLink': '💳 Fífi owó kún àpamọ́wọ́: {amount}\n\nẸ sanwó níbí:\n{paymentUrl}\n\nOwó yín yóò yí padà ní kété tí owó yín bá wọlé.',
+  'wallet.toppedUp': '✅ A ti fi {amount} kún àpamọ́wọ́ yín. Owó tó kù: {balance}.',
+  'wallet.refundCredits': '↩️ Ìbéèrè {count} yín kò lè dé ọ̀dọ̀ wọn, nítorí náà a ti dá ìbéèrè {credits} padà fún yín.',
+  'wallet.refundWallet': '↩️ Ìbéèrè {count} yín kò lè dé ọ̀dọ̀ wọn, nítorí náà {amount} ti padà sí àpamọ́wọ́ yín.',
+  'wallet.refundBoth': '↩️ Ìbéèrè {count} yín kò lè dé ọ̀dọ̀ wọn, nítorí náà a ti dá ìbéèrè {credits} padà, a sì ti fi {amount} padà sí àpamọ́wọ́ yín.',
+
+  // Payment methods
+  'paymentMethods.header': 'Kò sí káàdì?',
+  'paymentMethods.body': 'Ẹ tún lè sanwó nípasẹ̀ bank transfer tàbí USSD.',
+  'paymentMethods.card': '💳 Káàdì',
+  'paymentMethods.transfer': '🏦 Bank transfer',
+  'paymentMethods.ussd': '📱 USSD',
+  'paymentMethods.fallback': '💳 Káàdì: ẹ lo ìlànà ìsanwó tó wà lókè\n🏦 Bank transfer: ẹ tẹ "bank transfer" láti gba nọ́ńbà àkáǹtì tiyín\n📱 USSD: ẹ tẹ "ussd" láti san owó nípa títẹ kóòdù',
+  'paymentMethods.ussdHeader': 'Sanwó pẹ̀lú USSD',
+  'paymentMethods.ussdBody': 'Ẹ yan báńkì yín láti sanwó fún {product} nípa títẹ kóòdù.',
+  'paymentMethods.ussdButton': 'Yan báńkì',
+  'paymentMethods.ussdSection': 'Àwọn báńkì',
+  'paymentMethods.ussdCode': '📱 {product}: {price}\n\nẸ tẹ {code} lórí nọ́ńbà tí ẹ fi forúkọ sílẹ̀ pẹ̀lú àkáǹtì {bank} yín, kí ẹ sì tẹ̀lé ìtọ́sọ́nà.\n\nA ó fi ọ̀rọ̀ ránṣẹ́ sí yín ní kété tí owó bá wọlé.',
+  'paymentMethods.transferAccount': '🏦 **Àkáǹtì SmartCVNaija yín**\n\nBáńkì: {bank}\nNọ́ńbà àkáǹtì: {accountNumber}\nOrúkọ àkáǹtì: {accountName}\n\nOwó èyíkéyìí tí ẹ bá fi ránṣẹ́ síbí yóò wọ àpamọ́wọ́ yín, èyí tó ń san {price} fún ìbéèrè iṣẹ́ kọ̀ọ̀kan. Àkáǹtì yìí jẹ́ tiyín, ẹ lè lò ó léraléra.',
+  'paymentMethods.transferPending': '🏦 A ń ṣètò nọ́ńbà àkáǹtì fún bank transfer yín. A ó fi ránṣẹ́ síbí láìpẹ́.',
+  'paymentMethods.transferFailed': 'A kò lè ṣètò nọ́ńbà àkáǹtì fún yín báyìí. Ẹ jọ̀wọ́ sanwó pẹ̀lú káàdì tàbí USSD, tàbí ẹ tún gbìyànjú "bank transfer" nígbà míì.',
+  'paymentMethods.transferReceived': '✅ A ti gba owó tí ẹ fi ránṣẹ́: a ti fi {amount} kún àpamọ́wọ́ yín. Owó tó kù: {balance}.',
+
+  // Voice notes
+  'voice.unavailable': '🎤 Mi ò tíì lè gbọ́ ohùn tí a gbà sílẹ̀. Ẹ jọ̀wọ́ tẹ ọ̀rọ̀ yín.',
+  'voice.unclear': '🎤 Ẹ má bínú, mi ò gbọ́ ohùn yẹn dáadáa. Ẹ tún gbìyànjú tàbí kí ẹ tẹ ọ̀rọ̀ yín.',
+  'voice.heard': '🎤 Ohun tí mo gbọ́: "{text}"\n\nTí kò bá tọ̀nà, ẹ kàn tẹ ọ̀rọ̀ yín.',
+  'voice.failed': '⚠️ Mi ò lè ṣiṣẹ́ lórí ohùn yín. Ẹ jọ̀wọ́ tẹ ọ̀rọ̀ yín.',
+
+  // Small talk
+  'chat.thanks': 'Kò tọ́pẹ́! 😊 Ṣé ẹ nílò ìrànlọ́wọ́ míràn?',
+  'chat.cleared': 'Mo ti pa gbogbo rẹ̀ rẹ́. Ẹ bẹ̀rẹ̀ pẹ̀lú "menu" tàbí wíwá iṣẹ́.'
+};
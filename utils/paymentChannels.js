@@ -0,0 +1,93 @@
+// utils/paymentChannels.js - Bank transfer and USSD helpers (services/paymentChannels.js, services/paystack.js)
+
+// Banks Paystack can charge by USSD, keyed by the code the customer dials
+const USSD_BANKS = {
+  737: 'GTBank',
+  919: 'UBA',
+  822: 'Sterling Bank',
+  966: 'Zenith Bank'
+};
+
+// Paystack customers need a unique email; users without one on file get an address on our domain
+const CUSTOMER_EMAIL_DOMAIN = 'wa.smartcvnaija.com.ng';
+
+// Paystack events about dedicated accounts; the customer on them tells us whose account it is
+const ASSIGN_EVENTS = ['dedicated_account.assign.success', 'dedicated_account.assign.failed'];
+
+const PAY_BUTTON = /^pay_(card|transfer|ussd)(?:_([a-z0-9_]{2,50}))?$/;
+const USSD_CHOICE = /^ussd_(\d{3})_([a-z0-9_]{2,50})$/;
+
+function isUssdBank(code) {
+  return Object.prototype.hasOwnProperty.call(USSD_BANKS, code);
+}
+
+/**
+ * Email for the user's Paystack customer: their CV email when it looks real, otherwise
+ * one made from the phone number
+ */
+function customerEmail(identifier, profileEmail = null) {
+  const email = String(profileEmail || '').trim().toLowerCase();
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return email;
+  }
+  return `${String(identifier).replace(/\D/g, '')}@${CUSTOMER_EMAIL_DOMAIN}`;
+}
+
+/**
+ * Paystack wants first and last names for a dedicated account
+ */
+function splitName(fullName) {
+  const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) {
+    return { firstName: 'SmartCVNaija', lastName: 'User' };
+  }
+  if (parts.length === 1) {
+    return { firstName: parts[0], lastName: parts[0] };
+  }
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+}
+
+/**
+ * Payment method button ids: pay_card_<product>, pay_ussd_<product>, pay_transfer.
+ * { method, product } or null
+ */
+function parsePaymentButton(id) {
+  const match = String(id || '').match(PAY_BUTTON);
+  if (!match) return null;
+  if (match[1] !== 'transfer' && !match[2]) return null;
+  return { method: match[1], product: match[2] || null };
+}
+
+/**
+ * USSD bank list ids: ussd_<bank code>_<product>. { bank, product } or null
+ */
+function parseUssdChoice(id) {
+  const match = String(id || '').match(USSD_CHOICE);
+  if (!match || !isUssdBank(match[1])) return null;
+  return { bank: match[1], product: match[2] };
+}
+
+/**
+ * A charge.success for money sent to a dedicated account (bank transfer)
+ */
+function isTransferCharge(data) {
+  return data?.channel === 'dedicated_nuban';
+}
+
+/**
+ * Webhook events handled by services/paymentChannels.js rather than by payment reference
+ */
+function isChannelEvent(event, data) {
+  return ASSIGN_EVENTS.includes(event) || (event === 'charge.success' && isTransferCharge(data));
+}
+
+module.exports = {
+  USSD_BANKS,
+  isUssdBank,
+  customerEmail,
+  splitName,
+  parsePaymentButton,
+  parseUssdChoice,
+  isTransferCharge,
+  isChannelEvent
+};
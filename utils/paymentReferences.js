@@ -0,0 +1,106 @@
+// utils/paymentReferences.js - Paystack reference formats and the reconciliation diff rules
+
+// Subscription prices in kobo (auto_<tier>_<uuid>_<phone> references)
+const SUBSCRIPTION_AMOUNTS = {
+  basic: 100000,
+  unlimited: 250000
+};
+
+// Local statuses that mean the user already got what they paid for
+const PAID_STATUSES = {
+  daily: ['completed', 'refunded'],
+  credits: ['completed', 'refunded'],
+  wallet: ['completed', 'refunded'],
+  transfer: ['completed'],
+  auto: ['active', 'expired', 'cancelled']
+};
+
+/**
+ * What a reference pays for and who paid:
+ *   daily_<uuid>_<phone>            -> daily applications (daily_usage, before the product catalog)
+ *   credits_<product>_<uuid>_<phone> -> a catalog product (credit_purchases)
+ *   wallet_<uuid>_<phone>           -> a wallet top-up (wallet_topups)
+ *   auto_<tier>_<uuid>_<phone>      -> auto-apply subscription
+ * null for anything else.
+ */
+function parseReference(reference) {
+  const parts = String(reference || '').split('_');
+  const phone = parts[parts.length - 1];
+
+  if (!/^\d{7,15}$/.test(phone)) {
+    return null;
+  }
+
+  if (parts[0] === 'daily' && parts.length === 3) {
+    return { kind: 'daily', phone: `+${phone}` };
+  }
+
+  if (parts[0] === 'wallet' && parts.length === 3) {
+    return { kind: 'wallet', phone: `+${phone}` };
+  }
+
+  // Product codes may contain underscores; the uuid never does
+  if (parts[0] === 'credits' && parts.length >= 4) {
+    return { kind: 'credits', product: parts.slice(1, -2).join('_'), phone: `+${phone}` };
+  }
+
+  if (parts[0] === 'auto' && parts.length === 4 && SUBSCRIPTION_AMOUNTS[parts[1]]) {
+    return { kind: 'auto', tier: parts[1], phone: `+${phone}` };
+  }
+
+  return null;
+}
+
+/**
+ * Amount in kobo Paystack should have charged for a parsed reference. Catalog purchases
+ * and wallet top-ups are charged what was recorded at checkout (local.amount), null when
+ * there is no record.
+ */
+function expectedAmount(parsed, dailyAmount, local = null) {
+  if (!parsed) return null;
+  if (parsed.kind === 'credits' || parsed.kind === 'wallet') return local?.amount ?? null;
+  return parsed.kind === 'daily' ? dailyAmount : SUBSCRIPTION_AMOUNTS[parsed.tier];
+}
+
+function isPaidLocally(kind, status) {
+  return (PAID_STATUSES[kind] || []).includes(status);
+}
+
+/**
+ * Compare one Paystack transaction with the local record for its reference.
+ *   transaction: { status, amount } (amount in kobo), or null when Paystack has no such reference
+ *   local:       { kind, status } from daily_usage / credit_purchases / wallet_topups /
+ *                auto_apply_subscriptions / bank transfers in wallet_transactions, or null
+ *
+ * Outcomes:
+ *   matched              both sides agree
+ *   missed               paid at Paystack, still pending locally -> credit the user
+ *   amount_mismatch      paid, but not the price of what the reference buys -> flag, don't credit
+ *   orphan               paid, but nothing local for the reference -> flag
+ *   not_paid_at_paystack credited locally, but Paystack has no successful charge -> flag
+ *   ignored              unpaid on both sides (abandoned checkouts and the like)
+ */
+function classifyTransaction(transaction, local, expected) {
+  const paidAtPaystack = transaction?.status === 'success';
+  const paidLocally = !!local && isPaidLocally(local.kind, local.status);
+
+  if (paidAtPaystack) {
+    if (expected && transaction.amount !== expected) return 'amount_mismatch';
+    if (!local) return 'orphan';
+    return paidLocally ? 'matched' : 'missed';
+  }
+
+  if (paidLocally && local.status !== 'refunded') {
+    return 'not_paid_at_paystack';
+  }
+
+  return 'ignored';
+}
+
+module.exports = {
+  SUBSCRIPTION_AMOUNTS,
+  parseReference,
+  expectedAmount,
+  isPaidLocally,
+  classifyTransaction
+};
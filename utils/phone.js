@@ -0,0 +1,13 @@
+// utils/phone.js - WhatsApp phone number format shared by Redis keys and database lookups
+
+/**
+ * Phones are stored and keyed with a leading '+' and digits only (daily_usage, applications,
+ * user_cvs, session keys): "2348031234567", "+234 803 123 4567" -> "+2348031234567"
+ */
+function normalizePhone(phone) {
+  return `+${String(phone).replace(/\D/g, '')}`;
+}
+
+module.exports = {
+  normalizePhone
+};
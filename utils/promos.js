@@ -0,0 +1,85 @@
+// utils/promos.js - Promo code rules, discount maths and referral codes (services/promoCodes.js, services/referrals.js)
+
+const crypto = require('crypto');
+
+// Paystack won't take less than ₦50; discounts never push a charge below it
+const MIN_CHARGE_KOBO = 5000;
+
+// No 0/O or 1/I, so codes survive being read out or retyped
+const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 6;
+
+const PROMO_CODE = /^[A-Z0-9_-]{3,30}$/;
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function isValidPromoCode(code) {
+  return PROMO_CODE.test(normalizeCode(code));
+}
+
+/**
+ * null when a user may redeem the promo now, otherwise why not:
+ *   inactive, not_started, expired, exhausted (max_redemptions reached) or used (max_per_user reached)
+ */
+function promoUnavailableReason(promo, { now = new Date(), redemptions = 0, userRedemptions = 0 } = {}) {
+  if (!promo || !promo.active) return 'inactive';
+  if (promo.starts_at && new Date(promo.starts_at) > now) return 'not_started';
+  if (promo.expires_at && new Date(promo.expires_at) <= now) return 'expired';
+  if (promo.max_redemptions && redemptions >= promo.max_redemptions) return 'exhausted';
+  if (promo.max_per_user && userRedemptions >= promo.max_per_user) return 'used';
+  return null;
+}
+
+/**
+ * Whether a discount promo covers a product (no product_codes means every product)
+ */
+function appliesToProduct(promo, productCode) {
+  return !promo.product_codes || promo.product_codes.length === 0 || promo.product_codes.includes(productCode);
+}
+
+/**
+ * { discountKobo, amountKobo } for a price after percent_off or amount_off_kobo
+ */
+function applyDiscount(priceKobo, promo) {
+  let discount = 0;
+
+  if (promo.percent_off) {
+    discount = Math.round(priceKobo * promo.percent_off / 100);
+  } else if (promo.amount_off_kobo) {
+    discount = promo.amount_off_kobo;
+  }
+
+  const amountKobo = Math.max(MIN_CHARGE_KOBO, priceKobo - discount);
+  return { discountKobo: Math.max(0, priceKobo - amountKobo), amountKobo };
+}
+
+function generateReferralCode(bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH)) {
+  return Array.from(bytes.subarray(0, REFERRAL_CODE_LENGTH), byte =>
+    REFERRAL_ALPHABET[byte % REFERRAL_ALPHABET.length]
+  ).join('');
+}
+
+/**
+ * The referral code in a message from a referral link ("... referral code: ABC234"), or null
+ */
+function parseReferralMessage(text) {
+  const match = String(text || '').match(/\bref(?:erral)?(?:\s+code)?(?:\s*[:#-]\s*|\s+)([A-Za-z0-9]{6})\b/i);
+  if (!match) return null;
+
+  const code = match[1].toUpperCase();
+  return [...code].every(char => REFERRAL_ALPHABET.includes(char)) ? code : null;
+}
+
+module.exports = {
+  MIN_CHARGE_KOBO,
+  REFERRAL_ALPHABET,
+  normalizeCode,
+  isValidPromoCode,
+  promoUnavailableReason,
+  appliesToProduct,
+  applyDiscount,
+  generateReferralCode,
+  parseReferralMessage
+};
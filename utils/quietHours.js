@@ -0,0 +1,36 @@
+// utils/quietHours.js - Quiet hours in West Africa Time (UTC+1, no daylight saving)
+
+const WAT_OFFSET_HOURS = 1;
+
+function watHour(date) {
+  return (date.getUTCHours() + WAT_OFFSET_HOURS) % 24;
+}
+
+/**
+ * True when date falls in [start, end) WAT; the window may wrap midnight (21 -> 7).
+ * start === end means no quiet hours.
+ */
+function isQuietHour(date, start, end) {
+  const hour = watHour(date);
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * date itself when sending is allowed, otherwise the moment quiet hours end (end:00 WAT)
+ */
+function nextSendTime(date, start, end) {
+  if (!isQuietHour(date, start, end)) {
+    return date;
+  }
+
+  const next = new Date(date.getTime());
+  next.setUTCMinutes(0, 0, 0);
+  next.setUTCHours((end - WAT_OFFSET_HOURS + 24) % 24);
+  if (next <= date) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+module.exports = { WAT_OFFSET_HOURS, watHour, isQuietHour, nextSendTime };
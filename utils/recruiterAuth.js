@@ -0,0 +1,32 @@
+const recruiterAccounts = require('../services/recruiterAccounts');
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+}
+
+/**
+ * Reject requests without a valid recruiter session; sets req.recruiter
+ */
+async function requireRecruiter(req, res, next) {
+  const recruiter = await recruiterAccounts.authenticate(bearerToken(req));
+
+  if (!recruiter) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  req.recruiter = recruiter;
+  req.sessionToken = bearerToken(req);
+  next();
+}
+
+/**
+ * Attach req.recruiter when a valid session is sent, otherwise continue anonymously
+ */
+async function optionalRecruiter(req, res, next) {
+  const token = bearerToken(req);
+  req.recruiter = token ? await recruiterAccounts.authenticate(token) : null;
+  next();
+}
+
+module.exports = { requireRecruiter, optionalRecruiter, bearerToken };
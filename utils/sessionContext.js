@@ -1,19 +1,250 @@
+const crypto = require('crypto');
 const { sessionRedis } = require('../config/redis');
 const logger = require('../utils/logger');
+const { normalizePhone } = require('../utils/phone');
+
+// One document per phone: AI conversation context (flat fields, as before),
+// the conversation state machine (fsm) and job browsing data (data).
+const SESSION_TTL = 3600;
+const LOCK_TTL_MS = 5000;
+
+const EMPTY_DATA = {
+  paginatedJobs: null,   // full search result list
+  currentPage: null,
+  lastJobs: null,        // jobs on the page currently shown (numbered 1..n)
+  selectedJobs: null,    // jobs picked for the next CV upload
+  selectedCategory: null, // menu category waiting for a location
+  preferenceCategory: null // auto-apply preference category waiting for a location
+};
+
+// Conversation state machine.
+//   timeout:     seconds in the state before falling back to 'idle' (null = never)
+//   transitions: states reachable from here ('idle' is always reachable)
+//   guard:       precondition on the session data for entering
+//   onEnter/onExit: mutate the session document during the transition
+const SESSION_STATES = {
+  idle: {
+    timeout: null,
+    transitions: [
+      'browsing_jobs', 'waiting_for_location', 'selecting_jobs', 'application_options',
+      'preference_menu', 'selecting_category', 'selecting_location', 'removing_preference'
+    ]
+  },
+  browsing_jobs: {
+    timeout: 3600,
+    transitions: ['browsing_jobs', 'waiting_for_location', 'selecting_jobs', 'application_options', 'preference_menu'],
+    guard: data => Array.isArray(data.paginatedJobs) && data.paginatedJobs.length > 0,
+    onEnter: session => {
+      session.data.currentPage = session.data.currentPage || 1;
+    }
+  },
+  waiting_for_location: {
+    timeout: 900,
+    transitions: ['browsing_jobs', 'waiting_for_location', 'preference_menu'],
+    guard: data => !!data.selectedCategory,
+    onExit: session => {
+      session.data.selectedCategory = null;
+    }
+  },
+  selecting_jobs: {
+    timeout: 1800,
+    transitions: ['selecting_jobs', 'browsing_jobs', 'waiting_for_location', 'application_options', 'preference_menu'],
+    guard: data => Array.isArray(data.lastJobs) && data.lastJobs.length > 0
+  },
+  application_options: {
+    timeout: 1800,
+    transitions: ['application_options', 'selecting_jobs', 'browsing_jobs', 'waiting_for_location', 'preference_menu'],
+    guard: data => Array.isArray(data.selectedJobs) && data.selectedJobs.length > 0
+  },
+
+  // Auto-apply preference setup (services/autoApplyPreferences.js)
+  preference_menu: {
+    timeout: 3600,
+    transitions: ['preference_menu', 'selecting_category', 'removing_preference']
+  },
+  selecting_category: {
+    timeout: 3600,
+    transitions: ['selecting_category', 'selecting_location']
+  },
+  selecting_location: {
+    timeout: 3600,
+    transitions: ['selecting_location', 'selecting_category'],
+    guard: data => !!data.preferenceCategory,
+    onExit: session => {
+      session.data.preferenceCategory = null;
+    }
+  },
+  removing_preference: {
+    timeout: 3600,
+    transitions: ['removing_preference', 'preference_menu']
+  }
+};
+
+function maskPhone(phone) {
+  return phone.substring(0, 6) + '***';
+}
+
+function sessionKey(phone) {
+  return `session:${normalizePhone(phone)}`;
+}
+
+function newFsm(state = 'idle', previous = null) {
+  const definition = SESSION_STATES[state];
+  const now = Date.now();
+  return {
+    state,
+    previous,
+    enteredAt: now,
+    expiresAt: definition.timeout ? now + definition.timeout * 1000 : null
+  };
+}
+
+async function readSession(phone) {
+  const value = await sessionRedis.get(sessionKey(phone));
+  const session = value ? JSON.parse(value) : {};
+
+  session.fsm = session.fsm && SESSION_STATES[session.fsm.state] ? session.fsm : newFsm();
+  session.data = { ...EMPTY_DATA, ...(session.data || {}) };
+
+  // Expired states fall back to idle; persisted with the next write
+  if (session.fsm.expiresAt && session.fsm.expiresAt < Date.now()) {
+    const expired = session.fsm.state;
+    const onExit = SESSION_STATES[expired].onExit;
+    if (onExit) onExit(session);
+    session.fsm = newFsm('idle', expired);
+
+    logger.info('Session state timed out', { phone: maskPhone(phone), state: expired });
+  }
+
+  return session;
+}
+
+async function writeSession(phone, session) {
+  return sessionRedis.set(sessionKey(phone), JSON.stringify(session), 'EX', SESSION_TTL);
+}
+
+/**
+ * Read-modify-write the whole session document under a per-phone lock. Throws when the
+ * lock stays busy (~1s) rather than writing without it and losing the other update.
+ */
+async function updateSession(phone, mutator) {
+  const lockKey = `lock:${normalizePhone(phone)}`;
+  const token = crypto.randomBytes(8).toString('hex');
+  let locked = false;
+
+  for (let attempt = 0; attempt < 40 && !locked; attempt++) {
+    locked = await sessionRedis.set(lockKey, token, 'PX', LOCK_TTL_MS, 'NX') === 'OK';
+    if (!locked) await new Promise(resolve => setTimeout(resolve, 25));
+  }
+
+  if (!locked) {
+    logger.warn('Session lock busy, update not written', { phone: maskPhone(phone) });
+    throw new Error('Session lock busy');
+  }
+
+  try {
+    const session = await readSession(phone);
+    const result = await mutator(session);
+    await writeSession(phone, session);
+    return result;
+  } finally {
+    await sessionRedis.eval(
+      "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0",
+      1, lockKey, token
+    ).catch(() => {});
+  }
+}
+
+function applyTransition(session, phone, toState, reason) {
+  const from = session.fsm.state;
+  const target = SESSION_STATES[toState];
+  const allowed = toState === 'idle' || (target && SESSION_STATES[from].transitions.includes(toState));
+  const guardPassed = !target?.guard || target.guard(session.data);
+
+  if (!allowed || !guardPassed) {
+    logger.warn('Invalid session transition, resetting to idle', {
+      phone: maskPhone(phone),
+      from,
+      to: toState,
+      reason,
+      cause: !target ? 'unknown_state' : !allowed ? 'not_allowed' : 'guard_failed'
+    });
+    toState = 'idle';
+  }
+
+  if (from !== toState || toState !== 'idle') {
+    const onExit = SESSION_STATES[from].onExit;
+    if (onExit && from !== toState) onExit(session);
+
+    session.fsm = newFsm(toState, from);
+
+    const onEnter = SESSION_STATES[toState].onEnter;
+    if (onEnter) onEnter(session);
+  }
+
+  return { ok: allowed && guardPassed, from, state: toState };
+}
+
+/**
+ * Move the conversation to a new state, optionally updating session data in the same write.
+ * Invalid transitions are logged and land in 'idle'; { ok: false } is returned.
+ */
+async function transitionSession(phone, toState, { data = null, reason = null } = {}) {
+  try {
+    return await updateSession(phone, session => {
+      if (data) Object.assign(session.data, data);
+      return applyTransition(session, phone, toState, reason);
+    });
+  } catch (err) {
+    logger.error('Failed to transition session', { phone: maskPhone(phone), to: toState, error: err.message });
+    return { ok: false, from: null, state: 'idle' };
+  }
+}
+
+async function getSessionState(phone) {
+  try {
+    return (await readSession(phone)).fsm.state;
+  } catch (err) {
+    logger.error('Failed to get session state', { phone: maskPhone(phone), error: err.message });
+    return 'idle';
+  }
+}
+
+async function getSessionData(phone) {
+  try {
+    return (await readSession(phone)).data;
+  } catch (err) {
+    logger.error('Failed to get session data', { phone: maskPhone(phone), error: err.message });
+    return { ...EMPTY_DATA };
+  }
+}
+
+/**
+ * Update job browsing data without changing state
+ */
+async function updateSessionData(phone, data) {
+  try {
+    await updateSession(phone, session => {
+      Object.assign(session.data, data);
+    });
+    return true;
+  } catch (err) {
+    logger.error('Failed to update session data', { phone: maskPhone(phone), error: err.message });
+    return false;
+  }
+}
 
 async function getSessionContext(phone) {
   try {
-    const key = `session:${phone}`;
-    const value = await sessionRedis.get(key);
-    const context = value ? JSON.parse(value) : {};
-    
-    logger.debug('Session context loaded', { 
-      phone: phone.substring(0, 6) + '***',
+    const { fsm, data, ...context } = await readSession(phone);
+
+    logger.debug('Session context loaded', {
+      phone: maskPhone(phone),
+      state: fsm.state,
       pendingJobType: context.pendingJobType,
-      lastJobType: context.lastJobType,
-      hasData: !!value
+      lastJobType: context.lastJobType
     });
-    
+
     return context;
   } catch (err) {
     logger.error('Failed to get session context', { phone, error: err.message });
@@ -23,55 +254,59 @@ async function getSessionContext(phone) {
 
 async function saveSessionContext(phone, context) {
   try {
-    const key = `session:${phone}`;
-    
-    // SET returns 'OK' on success
-    const result = await sessionRedis.set(key, JSON.stringify(context), 'EX', 3600);
-    
-    if (result === 'OK') {
-      logger.debug('Session context saved successfully', { 
-        phone: phone.substring(0, 6) + '***',
-        contextKeys: Object.keys(context),
-        pendingJobType: context.pendingJobType,
-        lastJobType: context.lastJobType
-      });
-      return true;
-    } else {
-      logger.error('Session save returned unexpected result', { 
-        phone: phone.substring(0, 6) + '***',
-        result 
+    // State and job data are owned by the state machine; only merge conversation fields
+    const { fsm, data, ...fields } = context;
+
+    await updateSession(phone, session => {
+      Object.keys(session).forEach(key => {
+        if (key !== 'fsm' && key !== 'data') delete session[key];
       });
-      return false;
-    }
+      Object.assign(session, fields);
+    });
+
+    logger.debug('Session context saved successfully', {
+      phone: maskPhone(phone),
+      contextKeys: Object.keys(fields),
+      pendingJobType: fields.pendingJobType,
+      lastJobType: fields.lastJobType
+    });
+    return true;
   } catch (err) {
-    logger.error('Failed to save session context', { 
-      phone: phone.substring(0, 6) + '***',
-      error: err.message 
+    logger.error('Failed to save session context', {
+      phone: maskPhone(phone),
+      error: err.message
     });
     return false;
   }
 }
 
+/**
+ * Drop the whole session: conversation context, state and job data
+ */
 async function clearSessionContext(phone) {
   try {
-    const key = `session:${phone}`;
-    const result = await sessionRedis.del(key);
-    logger.info('Session context cleared', { 
-      phone: phone.substring(0, 6) + '***',
-      keysDeleted: result 
+    const result = await sessionRedis.del(sessionKey(phone));
+    logger.info('Session context cleared', {
+      phone: maskPhone(phone),
+      keysDeleted: result
     });
     return result > 0;
   } catch (err) {
-    logger.error('Failed to clear session context', { 
-      phone: phone.substring(0, 6) + '***',
-      error: err.message 
+    logger.error('Failed to clear session context', {
+      phone: maskPhone(phone),
+      error: err.message
     });
     return false;
   }
 }
 
 module.exports = {
+  SESSION_STATES,
   getSessionContext,
   saveSessionContext,
-  clearSessionContext
-};
\ No newline at end of file
+  clearSessionContext,
+  getSessionState,
+  getSessionData,
+  updateSessionData,
+  transitionSession
+};
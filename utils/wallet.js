@@ -0,0 +1,62 @@
+// utils/wallet.js - How applications are paid for (credits, then wallet) and refunded (services/wallet.js)
+
+/**
+ * Split `count` applications between application credits and the wallet. Credits are
+ * used first; the rest cost priceKobo each from the wallet. null when both together
+ * can't cover it. Applications 0..credits-1 are the credit-funded ones.
+ *   { credits, wallet, priceKobo, walletKobo }
+ */
+function planFunding({ credits, balanceKobo, priceKobo, count }) {
+  const fromCredits = Math.min(Math.max(0, credits), count);
+  const fromWallet = count - fromCredits;
+  const walletKobo = fromWallet * priceKobo;
+
+  if (fromWallet > 0 && (priceKobo <= 0 || walletKobo > balanceKobo)) {
+    return null;
+  }
+
+  return { credits: fromCredits, wallet: fromWallet, priceKobo, walletKobo };
+}
+
+/**
+ * What to give back for the applications (by position in the batch) that failed for good.
+ *   { credits, wallet, walletKobo }
+ */
+function refundFor(funding, failedIndexes) {
+  const total = funding.credits + funding.wallet;
+  const failed = [...new Set(failedIndexes)].filter(index => index >= 0 && index < total);
+
+  const credits = failed.filter(index => index < funding.credits).length;
+  const wallet = failed.length - credits;
+
+  return { credits, wallet, walletKobo: wallet * funding.priceKobo };
+}
+
+/**
+ * Applications a wallet balance pays for on its own
+ */
+function applicationsAffordable(balanceKobo, priceKobo) {
+  return priceKobo > 0 ? Math.floor(Math.max(0, balanceKobo) / priceKobo) : 0;
+}
+
+/**
+ * "top up 1000", "topup ₦2,000", "fund wallet N500" -> amount in kobo; 0 for a bare
+ * "top up", null when the message isn't a top-up. Amounts are naira, not range-checked.
+ */
+function parseTopUpCommand(text) {
+  const match = String(text || '').trim()
+    .match(/^(?:top\s*-?\s*up|fund(?:\s+(?:my\s+)?wallet)?)(?:\s+(?:with\s+)?(?:₦|n|ngn)?\s*([\d,]+))?$/i);
+
+  if (!match) return null;
+  if (!match[1]) return 0;
+
+  const naira = parseInt(match[1].replace(/,/g, ''), 10);
+  return Number.isFinite(naira) ? naira * 100 : null;
+}
+
+module.exports = {
+  planFunding,
+  refundFor,
+  applicationsAffordable,
+  parseTopUpCommand
+};
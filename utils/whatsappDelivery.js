@@ -0,0 +1,51 @@
+// utils/whatsappDelivery.js - Receipt ordering and failed-message rules (services/whatsappDelivery.js)
+
+const STATUS_ORDER = ['accepted', 'sent', 'delivered', 'read', 'failed'];
+
+// WhatsApp Cloud API error codes (as forwarded by YCloud)
+const WINDOW_CLOSED_CODES = ['131047'];
+const TRANSIENT_CODES = ['1', '2', '130429', '131000', '131016', '131048', '131049', '133004'];
+const PERMANENT_CODES = ['131021', '131026', '131050', '131051'];
+
+const MAX_RETRIES = 2;
+
+/**
+ * Status after a receipt. Statuses never go backwards: YCloud events can arrive out of
+ * order, and a late 'sent' must not undo 'read'.
+ */
+function nextStatus(current, incoming) {
+  return STATUS_ORDER.indexOf(incoming) > STATUS_ORDER.indexOf(current) ? incoming : current;
+}
+
+function isPermanentError(errorCode) {
+  return PERMANENT_CODES.includes(String(errorCode || ''));
+}
+
+/**
+ * How to recover a failed message ({ error_code, payload, retry_count } from whatsapp_messages):
+ *   template  session window closed -> resend as the fallback template
+ *   retry     transient error with retries left -> send the same payload again later
+ *   email     permanent errors, unknown errors and spent retries -> the user's email
+ */
+function failureAction({ error_code: errorCode, payload, retry_count: retryCount = 0 }) {
+  const code = String(errorCode || '');
+
+  if (!payload || PERMANENT_CODES.includes(code)) {
+    return 'email';
+  }
+  if (WINDOW_CLOSED_CODES.includes(code) && payload.type !== 'template') {
+    return 'template';
+  }
+  if (TRANSIENT_CODES.includes(code) && retryCount < MAX_RETRIES) {
+    return 'retry';
+  }
+  return 'email';
+}
+
+module.exports = {
+  STATUS_ORDER,
+  MAX_RETRIES,
+  nextStatus,
+  isPermanentError,
+  failureAction
+};
@@ -6,6 +6,15 @@ const logger = require('../utils/logger');
 const nodemailer = require('nodemailer');
 const config = require('../config');
 const openaiService = require('../services/openai');
+const candidateProfile = require('../services/candidateProfile');
+const applicationStatus = require('../services/applicationStatus');
+const emailTracking = require('../services/emailTracking');
+const ocr = require('../services/ocr');
+const wallet = require('../services/wallet');
+const i18n = require('../services/i18n');
+const ycloud = require('../services/ycloud');
+const { formatNaira } = require('../utils/credits');
+const { updateSessionData } = require('../utils/sessionContext');
 const fs = require('fs');
 const path = require('path');
 const pdfParse = require('pdf-parse');
@@ -264,6 +273,21 @@ async function processCVFromFile(file, identifier) {
       throw new Error('Failed to extract text from CV file');
     }
 
+    // Photos and scanned PDFs: OCR (shared with the cv worker through the OCR cache)
+    if (ocr.isImage(file.mimetype) || (file.mimetype === 'application/pdf' && ocr.needsOcr(cvText))) {
+      const ocrResult = await ocr.recognize(fileBuffer, file.mimetype);
+      if (ocrResult.lowConfidence) {
+        throw ocr.lowConfidenceError(ocrResult);
+      }
+      cvText = ocrResult.text;
+
+      if (ocr.isImage(file.mimetype)) {
+        file.generatedPdfPath = await ocr.imageToPdf(file.filepath);
+      }
+    }
+
+    const cvHash = candidateProfile.hashFile(fileBuffer);
+
     // Clear buffer after use
     fileBuffer.fill(0);
 
@@ -275,8 +299,18 @@ async function processCVFromFile(file, identifier) {
       .replace(/[\u0000-\u001F\u007F-\u009F]/g, ' ')
       .trim();
 
-    // Extract user information
-    const userInfo = await extractUserInfoWithAI(cleanedText, identifier);
+    // Read the candidate profile built by the cv worker (or build it now if it isn't there yet)
+    const profile = await candidateProfile.getOrCreateProfile(identifier, cvText, {
+      cvHash,
+      filepath: file.filepath,
+      extractContact: (text, id) => extractUserInfoWithAI(text, id)
+    });
+
+    let userInfo = profile ? candidateProfile.toUserInfo(profile, identifier) : null;
+    
+    if (!userInfo || !validateUserInfo(userInfo, identifier)) {
+      userInfo = await extractUserInfoWithAI(cleanedText, identifier);
+    }
     
     // Validate extracted user information
     if (!validateUserInfo(userInfo, identifier)) {
@@ -285,7 +319,8 @@ async function processCVFromFile(file, identifier) {
 
     return {
       cvText: cleanedText,
-      userInfo: userInfo
+      userInfo: userInfo,
+      profile: profile
     };
 
   } catch (error) {
@@ -662,7 +697,7 @@ function validateUserInfo(userInfo, identifier) {
 
 
 // CRITICAL FIX: Database operations using the fixed query function
-async function createApplicationRecords(identifier, jobs, cvText, userInfo) {
+async function createApplicationRecords(identifier, jobs, cvText, userInfo, profile = null) {
   const records = [];
   
   for (const job of jobs) {
@@ -673,10 +708,11 @@ async function createApplicationRecords(identifier, jobs, cvText, userInfo) {
       await executeQuery(`
         INSERT INTO applications (
           id, user_identifier, job_id, cv_text, 
-          status, applied_at, applicant_name, applicant_email, applicant_phone
-        ) VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7, $8)
+          status, applied_at, applicant_name, applicant_email, applicant_phone,
+          candidate_profile_id
+        ) VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7, $8, $9)
       `, [applicationId, identifier, job.id, cvText, 'submitted', 
-          userInfo.name, userInfo.email, userInfo.phone]);
+          userInfo.name, userInfo.email, userInfo.phone, profile?.id || null]);
       
       records.push({
         id: applicationId,
@@ -717,7 +753,7 @@ async function createApplicationRecords(identifier, jobs, cvText, userInfo) {
 
 // Cover letter generation
 // FIXED: Enhanced cover letter generation with proper timeout
-async function generateCoverLetters(cvText, jobs, userInfo) {
+async function generateCoverLetters(cvText, jobs, userInfo, profile = null) {
   const coverLetters = {};
   const defaultLetter = getDefaultCoverLetter(userInfo.name);
   
@@ -765,7 +801,7 @@ async function generateCoverLetters(cvText, jobs, userInfo) {
       
       // ENHANCED: Generate personalized fallback instead of generic one
       coverLetters[job.id] = generateEnhancedFallbackCoverLetter(
-        cvText, job.title, job.company, userInfo.name
+        cvText, job.title, job.company, userInfo.name, profile
       );
     }
   });
@@ -794,28 +830,36 @@ Best regards,
 ${applicantName}`;
 }
 // ADD this function to your application worker file:
-function generateEnhancedFallbackCoverLetter(cvText, jobTitle, companyName, applicantName) {
+function generateEnhancedFallbackCoverLetter(cvText, jobTitle, companyName, applicantName, profile = null) {
   try {
     const text = (cvText || '').toLowerCase();
     
-    // Quick experience detection
-    const yearMatches = text.match(/(\d+)\s*years?\s*(of\s*)?(experience|exp)/gi);
-    let experienceText = 'relevant professional background';
+    // Experience: prefer the parsed candidate profile, fall back to scanning the text
+    let years = profile?.years_experience ? Math.round(Number(profile.years_experience)) : null;
+    if (!years) {
+      const yearMatches = text.match(/(\d+)\s*years?\s*(of\s*)?(experience|exp)/gi);
+      years = yearMatches ? parseInt(yearMatches[0].match(/(\d+)/)[1]) : null;
+    }
     
-    if (yearMatches) {
-      const years = parseInt(yearMatches[0].match(/(\d+)/)[1]);
+    let experienceText = 'relevant professional background';
+    if (years) {
       experienceText = years >= 5 ? `${years}+ years of extensive experience` : 
                       years >= 2 ? `${years} years of solid experience` : 
                       `${years} years of foundational experience`;
     }
     
     // Education detection
+    const education = profile?.highest_education ||
+      ((text.includes('master') || text.includes('msc')) ? 'masters' :
+       (text.includes('bachelor') || text.includes('bsc')) ? 'bachelors' :
+       (text.includes('diploma') || text.includes('hnd')) ? 'hnd' : null);
+    
     let educationText = '';
-    if (text.includes('master') || text.includes('msc')) {
+    if (education === 'phd' || education === 'masters') {
       educationText = 'advanced degree and ';
-    } else if (text.includes('bachelor') || text.includes('bsc')) {
+    } else if (education === 'bachelors') {
       educationText = 'university education and ';
-    } else if (text.includes('diploma') || text.includes('hnd')) {
+    } else if (education === 'hnd' || education === 'ond') {
       educationText = 'professional qualification and ';
     }
     
@@ -872,8 +916,9 @@ async function sendProfessionalEmails(identifier, jobs, pdfFilePath, coverLetter
   if (!fs.existsSync(pdfFilePath)) {
     logger.error('PDF file not found for email attachments', { pdfFilePath });
     
-    jobs.forEach(job => {
+    jobs.forEach((job, index) => {
       results.failed.push({
+        index,
         jobId: job.id,
         jobTitle: job.title,
         company: job.company,
@@ -911,6 +956,8 @@ async function sendProfessionalEmails(identifier, jobs, pdfFilePath, coverLetter
           'UPDATE applications SET status = $1, email_sent_at = NOW() WHERE id = $2',
           ['email_sent', applicationRecord.id]
         );
+
+        await applicationStatus.markSent(applicationRecord.id);
         
         return {
           success: true,
@@ -934,6 +981,7 @@ async function sendProfessionalEmails(identifier, jobs, pdfFilePath, coverLetter
         
         return {
           success: false,
+          index: overallIndex,
           jobId: job.id,
           jobTitle: job.title,
           company: job.company,
@@ -1194,6 +1242,7 @@ function generateEmailHTML(job, coverLetter, userInfo, applicationId) {
     
         <div class="attachment-note">
             <strong>📎 CV/Resume:</strong> Please find the complete CV attached as a PDF file.
+            ${generateCandidateLinksHTML(userInfo, applicationId)}
         </div>
         
         <div class="cover-letter">
@@ -1201,6 +1250,8 @@ function generateEmailHTML(job, coverLetter, userInfo, applicationId) {
             <div style="white-space: pre-line;">${coverLetter.replace(/\[Applicant Name\]|\[Your Name\]/g, userInfo.name)}</div>
         </div>
         
+        ${generateStatusActionsHTML(applicationId)}
+
         <div class="signature">
             <p style="margin: 0;"><strong>Best regards,</strong></p>
             <p style="margin: 5px 0 0 0; color: #2c3e50; font-size: 1.1em;"><strong>${userInfo.name}</strong></p>
@@ -1213,10 +1264,59 @@ function generateEmailHTML(job, coverLetter, userInfo, applicationId) {
             <p style="font-size: 0.8em; color: #999;">Application ID: ${applicationId}</p>
         </div>
     </div>
+    ${emailTracking.pixelHTML({ applicationId })}
 </body>
 </html>`;
 }
 
+// Tracked links to the candidate's CV and LinkedIn profile
+function generateCandidateLinksHTML(userInfo, applicationId) {
+  const cvUrl = emailTracking.cvLink({ applicationId });
+  const profileUrl = emailTracking.wrapLink(userInfo.linkedin, { applicationId, linkType: 'profile' });
+
+  const links = [
+    cvUrl ? `<a href="${cvUrl}" style="color: #3498db;">View CV online</a>` : '',
+    profileUrl ? `<a href="${profileUrl}" style="color: #3498db;">LinkedIn profile</a>` : ''
+  ].filter(Boolean);
+
+  return links.length > 0 ? `<br>${links.join(' &middot; ')}` : '';
+}
+
+function generateCandidateLinksText(userInfo, applicationId) {
+  const cvUrl = emailTracking.cvLink({ applicationId });
+  const profileUrl = emailTracking.wrapLink(userInfo.linkedin, { applicationId, linkType: 'profile' });
+
+  return [
+    cvUrl ? `View CV online: ${cvUrl}` : '',
+    profileUrl ? `LinkedIn profile: ${profileUrl}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+// One-click recruiter links that move the application along its lifecycle
+function generateStatusActionsHTML(applicationId) {
+  const actions = applicationStatus.getActionLinks(applicationId);
+  if (actions.length === 0) return '';
+
+  const buttons = actions.map(action => `
+            <a href="${action.url}" style="display: inline-block; margin: 4px; padding: 8px 14px; background: #3498db; color: white; text-decoration: none; border-radius: 4px; font-size: 0.9em;">${action.emoji} ${action.label}</a>`).join('');
+
+  return `
+        <div class="status-actions" style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center;">
+            <p style="margin: 0 0 10px 0; color: #2c3e50;"><strong>Update the candidate on their application</strong></p>${buttons}
+            <p style="margin: 10px 0 0 0; font-size: 0.8em; color: #999;">The candidate is notified on WhatsApp when you update the status.</p>
+        </div>`;
+}
+
+function generateStatusActionsText(applicationId) {
+  const actions = applicationStatus.getActionLinks(applicationId);
+  if (actions.length === 0) return '';
+
+  return `
+Update the candidate on their application:
+${actions.map(action => `${action.label}: ${action.url}`).join('\n')}
+`;
+}
+
 function generateEmailText(job, coverLetter, userInfo, applicationId) {
   return `
 Job Application - ${job.title}
@@ -1234,10 +1334,11 @@ Phone: ${userInfo.phone}
 
 
 📎 CV/Resume: Please find the complete CV attached as a PDF file.
+${generateCandidateLinksText(userInfo, applicationId)}
 
 Cover Letter:
 ${coverLetter.replace(/\[Applicant Name\]|\[Your Name\]/g, userInfo.name)}
-
+${generateStatusActionsText(applicationId)}
 Best regards,
 ${userInfo.name}
 ${userInfo.email}
@@ -1646,7 +1747,7 @@ async function silentCleanupAndLogging(identifier, jobs, emailResults, pdfFilePa
   try {
     setTimeout(() => {
       try {
-        if (fs.existsSync(pdfFilePath)) {
+        if (pdfFilePath && fs.existsSync(pdfFilePath)) {
           fs.unlinkSync(pdfFilePath);
           logger.info('PDF file cleaned up', { pdfFilePath });
         }
@@ -1685,10 +1786,72 @@ function updateStats(processingTime, emailResults, isRejected = false) {
   }
 }
 
+// Unreadable photo/scan: refund the applications and ask for a clearer copy (no admin alert)
+async function handleUnreadableCV(job, ocrResult, startTime) {
+  const { identifier, jobs } = job.data;
+
+  logger.warn('CV unreadable after OCR - applications returned', {
+    identifier: identifier.substring(0, 6) + '***',
+    confidence: ocrResult.confidence,
+    jobCount: jobs.length
+  });
+
+  await refundFailedApplications(job, jobs.map((_, index) => index), 'unreadable_cv');
+
+  await updateSessionData(identifier, { selectedJobs: jobs });
+
+  await ocr.promptUnreadable(identifier, ocrResult).catch(error => {
+    logger.error('Failed to ask user for a clearer CV', { error: error.message });
+  });
+
+  updateStats(Date.now() - startTime, { successful: [], failed: [] }, true);
+
+  return {
+    success: false,
+    reason: 'unreadable_cv',
+    ocrConfidence: ocrResult.confidence,
+    processingTime: (Date.now() - startTime) + 'ms'
+  };
+}
+
+// Give back the credits and wallet money paid for applications that will never be sent,
+// and tell the user. Jobs without funding (admin resends) cost nothing and refund nothing.
+async function refundFailedApplications(job, failedIndexes, reason) {
+  const { identifier, funding, applicationId } = job.data;
+  if (!funding || failedIndexes.length === 0) {
+    return;
+  }
+
+  try {
+    const refund = await wallet.refundApplications(identifier, funding, failedIndexes, {
+      reference: `refund_${applicationId}`,
+      reason
+    });
+    if (refund.credits === 0 && refund.walletKobo === 0) {
+      return;
+    }
+
+    const lang = await i18n.getLanguage(identifier);
+    const params = { count: failedIndexes.length, credits: refund.credits, amount: formatNaira(refund.walletKobo) };
+    const key = refund.walletKobo === 0 ? 'wallet.refundCredits'
+      : refund.credits === 0 ? 'wallet.refundWallet'
+        : 'wallet.refundBoth';
+
+    await ycloud.sendTextMessage(identifier, i18n.t(lang, key, params));
+  } catch (error) {
+    logger.error('Failed to refund failed applications', {
+      identifier: identifier.substring(0, 6) + '***',
+      applicationId,
+      error: error.message
+    });
+  }
+}
+
 // MAIN APPLICATION WORKER - with your original high-performance settings
 const applicationWorker = new Worker('job-applications', async (job) => {
   const { identifier, file, jobs, applicationId, processingStrategy } = job.data;
   const startTime = Date.now();
+  let emailResults = null;
   
   try {
     logger.info('Starting application processing', {
@@ -1709,6 +1872,10 @@ const applicationWorker = new Worker('job-applications', async (job) => {
     try {
       cvData = await processCVFromFile(file, identifier);
     } catch (validationError) {
+      if (validationError.code === 'OCR_LOW_CONFIDENCE') {
+        return await handleUnreadableCV(job, validationError.ocr, startTime);
+      }
+
       logger.error('CV validation failed - rejecting application', {
         identifier: identifier.substring(0, 6) + '***',
         error: validationError.message
@@ -1718,7 +1885,7 @@ const applicationWorker = new Worker('job-applications', async (job) => {
       throw new Error(`CV_VALIDATION_FAILED: ${validationError.message}`);
     }
     
-    const { cvText, userInfo } = cvData;
+    const { cvText, userInfo, profile } = cvData;
     const pdfFilePath = file.generatedPdfPath || file.filepath;
 logger.info('CV validation successful', {
   identifier: identifier.substring(0, 6) + '***',
@@ -1729,15 +1896,19 @@ logger.info('CV validation successful', {
 });
     // STEP 3: Generate cover letters
     await job.updateProgress(50);
-    const coverLetters = await generateCoverLetters(cvText, jobs, userInfo);
+    const coverLetters = await generateCoverLetters(cvText, jobs, userInfo, profile);
     
     // STEP 4: Create application records with CV scoring
     await job.updateProgress(70);
-    const applicationRecords = await createApplicationRecords(identifier, jobs, cvText, userInfo);
+    const applicationRecords = await createApplicationRecords(identifier, jobs, cvText, userInfo, profile);
     
     // STEP 5: Send emails to employers
     await job.updateProgress(85);
-    const emailResults = await sendProfessionalEmails(identifier, jobs, pdfFilePath, coverLetters, applicationRecords, userInfo);
+    emailResults = await sendProfessionalEmails(identifier, jobs, pdfFilePath, coverLetters, applicationRecords, userInfo);
+
+    if (emailResults.failed.length > 0) {
+      await refundFailedApplications(job, emailResults.failed.map(result => result.index), 'email_failed');
+    }
     
     // STEP 6: Send confirmation email to applicant
     await job.updateProgress(95);
@@ -1746,7 +1917,8 @@ logger.info('CV validation successful', {
     
     // STEP 7: Cleanup
     await job.updateProgress(100);
-    await silentCleanupAndLogging(identifier, jobs, emailResults, pdfFilePath);
+    // Only remove the converted PDF; the uploaded file belongs to the user's CV library
+    await silentCleanupAndLogging(identifier, jobs, emailResults, file.generatedPdfPath || null);
     
     updateStats(Date.now() - startTime, emailResults);
 
@@ -1770,6 +1942,12 @@ logger.info('CV validation successful', {
     };
 
   } catch (error) {
+    // Nothing was sent and BullMQ won't try again: refund the whole batch
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    if (!emailResults && finalAttempt) {
+      await refundFailedApplications(job, jobs.map((_, index) => index), 'processing_failed');
+    }
+
     await sendFailureEmailToAdmin(identifier, 'CRITICAL_PROCESSING_ERROR', {
       error: error.message,
       jobId: applicationId,
@@ -6,6 +6,10 @@ const autoApplyEngine = require('../services/autoApplyEngine');
 const recruiterDigest = require('../services/recruiterDigest');
 const autoApplyPayment = require('../services/autoApplyPayment');
 const queryExpansion = require('../services/queryExpansion');
+const embeddings = require('../services/embeddings');
+const jobIngestion = require('../services/jobIngestion');
+const jobAlerts = require('../services/jobAlerts');
+const paymentReconciliation = require('../services/paymentReconciliation');
 const logger = require('../utils/logger');
 
 class AutoApplyWorker {
@@ -71,7 +75,86 @@ class AutoApplyWorker {
 
     this.jobs.push({ name: 'cache-cleanup', job: cacheCleanupJob });
 
-    // 5. Log statistics every hour
+    // 5. Embed newly inserted jobs every 10 minutes
+    const embeddingJob = cron.schedule('*/10 * * * *', async () => {
+      try {
+        const indexed = await embeddings.indexPendingJobs();
+        if (indexed > 0) {
+          logger.info('Job embedding refresh complete', { indexed });
+        }
+      } catch (error) {
+        logger.error('Job embedding refresh failed', { error: error.message });
+      }
+    });
+
+    this.jobs.push({ name: 'job-embeddings', job: embeddingJob });
+
+    // 6. Ingest scraped jobs, each source on its own schedule
+    jobIngestion.listAdapters().forEach(adapter => {
+      const ingestionJob = cron.schedule(adapter.schedule, async () => {
+        try {
+          await jobIngestion.runSource(adapter.name);
+        } catch (error) {
+          logger.error('Job ingestion failed', { source: adapter.name, error: error.message });
+        }
+      });
+
+      this.jobs.push({ name: `job-ingestion-${adapter.name}`, job: ingestionJob });
+    });
+
+    // 7. Match newly inserted jobs against saved alerts every hour
+    const alertMatchJob = cron.schedule('20 * * * *', async () => {
+      try {
+        const matched = await jobAlerts.matchNewJobs();
+        if (matched > 0) {
+          logger.info('Job alert matching complete', { matched });
+        }
+      } catch (error) {
+        logger.error('Job alert matching failed', { error: error.message });
+      }
+    });
+
+    this.jobs.push({ name: 'job-alert-matching', job: alertMatchJob });
+
+    // 8. Send job alert digests daily at 8 AM
+    const alertDigestJob = cron.schedule('0 8 * * *', async () => {
+      try {
+        logger.info('Running daily job alert digest');
+        const result = await jobAlerts.sendDailyDigests();
+        logger.info('Job alert digest complete', result);
+      } catch (error) {
+        logger.error('Job alert digest failed', { error: error.message });
+      }
+    });
+
+    this.jobs.push({ name: 'job-alert-digest', job: alertDigestJob });
+
+    // 9. Reconcile Paystack payments every hour (credits payments whose webhook never arrived)
+    const reconciliationJob = cron.schedule('40 * * * *', async () => {
+      try {
+        const summary = await paymentReconciliation.run();
+        if (summary && (summary.credited > 0 || summary.flagged > 0)) {
+          logger.warn('Payment reconciliation found issues', { credited: summary.credited, flagged: summary.flagged });
+        }
+      } catch (error) {
+        logger.error('Payment reconciliation failed', { error: error.message });
+      }
+    });
+
+    this.jobs.push({ name: 'payment-reconciliation', job: reconciliationJob });
+
+    // 10. Email the reconciliation report daily at 7 AM
+    const reconciliationReportJob = cron.schedule('0 7 * * *', async () => {
+      try {
+        await paymentReconciliation.sendDailyReport();
+      } catch (error) {
+        logger.error('Payment reconciliation report failed', { error: error.message });
+      }
+    });
+
+    this.jobs.push({ name: 'payment-reconciliation-report', job: reconciliationReportJob });
+
+    // 11. Log statistics every hour
     const statsJob = cron.schedule('0 * * * *', async () => {
       try {
         const stats = await autoApplyEngine.getStatistics(7);
@@ -1,9 +1,12 @@
 // workers/cv.js - COMPLETE REWRITE - MEMORY OPTIMIZED FOR 1000+ USERS
 
-const { Worker } = require('bullmq');
+const { Worker, UnrecoverableError } = require('bullmq');
 const { redis, queueRedis } = require('../config/redis');
 const config = require('../config');
 const logger = require('../utils/logger');
+const candidateProfile = require('../services/candidateProfile');
+const cvLibrary = require('../services/cvLibrary');
+const ocr = require('../services/ocr');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const fs = require('fs');
@@ -110,13 +113,24 @@ function detectFileTypeLocal(buffer, filename) {
       }
     }
     
+    // Photos of CVs (read with OCR)
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+      return { mime: 'image/jpeg', ext: 'jpg' };
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+      return { mime: 'image/png', ext: 'png' };
+    }
+    
     // Fallback to filename extension
     if (filename) {
       const ext = filename.toLowerCase().split('.').pop();
       const types = {
         'pdf': { mime: 'application/pdf', ext: 'pdf' },
         'docx': { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: 'docx' },
-        'doc': { mime: 'application/msword', ext: 'doc' }
+        'doc': { mime: 'application/msword', ext: 'doc' },
+        'jpg': { mime: 'image/jpeg', ext: 'jpg' },
+        'jpeg': { mime: 'image/jpeg', ext: 'jpg' },
+        'png': { mime: 'image/png', ext: 'png' }
       };
       return types[ext] || null;
     }
@@ -353,6 +367,11 @@ const cvWorker = new Worker('cv-processing', async (job) => {
       throw new Error('System memory usage too high, job deferred');
     }
 
+    // Uploads saved by the bot arrive as a path on disk rather than a buffer
+    if (!file?.buffer && file?.filepath && fs.existsSync(file.filepath)) {
+      file.buffer = fs.readFileSync(file.filepath);
+    }
+
     if (!file?.buffer) {
       throw new Error('No file provided');
     }
@@ -383,13 +402,23 @@ const cvWorker = new Worker('cv-processing', async (job) => {
     
     const fileType = detectFileTypeLocal(file.buffer, file.originalname);
     if (!fileType) {
-      throw new Error('Unsupported file type - use PDF, DOCX, or DOC');
+      throw new Error('Unsupported file type - use PDF, DOCX, DOC, JPG or PNG');
     }
     
-    // ✅ STEP 3: EXTRACT TEXT (60%)
+    // ✅ STEP 3: EXTRACT TEXT (60%) - photos and scanned PDFs go through OCR
     await job.updateProgress(60);
     
-    const extractedText = await extractTextLocal(file.buffer, fileType);
+    let extractedText = await extractTextLocal(file.buffer, fileType);
+    let ocrResult = null;
+    
+    if (ocr.isImage(fileType.mime) || (fileType.mime === 'application/pdf' && ocr.needsOcr(extractedText))) {
+      ocrResult = await ocr.recognize(file.buffer, fileType.mime);
+      if (ocrResult.lowConfidence) {
+        throw ocr.lowConfidenceError(ocrResult);
+      }
+      extractedText = ocrResult.text;
+    }
+    
     if (!extractedText || extractedText.trim().length < 50) {
       throw new Error('Could not extract text from file');
     }
@@ -405,9 +434,24 @@ const cvWorker = new Worker('cv-processing', async (job) => {
     // ✅ STEP 5: SAVE FILE (90%)
     await job.updateProgress(90);
     
-    const savedFile = saveToUploadsLocal(file.buffer, identifier, file.originalname);
+    const savedFile = file.filepath
+      ? { filename: path.basename(file.filepath), filepath: file.filepath, size: file.buffer.length }
+      : saveToUploadsLocal(file.buffer, identifier, file.originalname);
     
-    // ✅ STEP 6: CREATE METADATA (100%)
+    // ✅ STEP 6: BUILD CANDIDATE PROFILE (95%) - parsed once, read by every consumer
+    await job.updateProgress(95);
+    
+    const cvHash = candidateProfile.hashFile(file.buffer);
+    const profile = await candidateProfile.getOrCreateProfile(identifier, extractedText, {
+      cvHash,
+      filepath: savedFile?.filepath || null
+    });
+    
+    if (profile) {
+      await cvLibrary.linkProfile(identifier, cvHash, profile.id);
+    }
+    
+    // ✅ STEP 7: CREATE METADATA (100%)
     await job.updateProgress(100);
     
     const metadata = {
@@ -420,7 +464,9 @@ const cvWorker = new Worker('cv-processing', async (job) => {
       textLength: cleanedText.length,
       processingTime: Date.now() - startTime,
       jobId: jobId,
-      priority: priority || 'normal'
+      priority: priority || 'normal',
+      profileId: profile?.id || null,
+      ocrConfidence: ocrResult ? ocrResult.confidence : null
     };
     
     // ✅ CLEANUP AND STATS
@@ -437,7 +483,8 @@ const cvWorker = new Worker('cv-processing', async (job) => {
       textLength: cleanedText.length,
       memoryBefore: memoryBefore.usedMB + 'MB',
       memoryAfter: memoryAfter.usedMB + 'MB',
-      saved: savedFile ? 'yes' : 'no'
+      saved: savedFile ? 'yes' : 'no',
+      profileId: profile?.id || null
     });
     
     return {
@@ -451,6 +498,19 @@ const cvWorker = new Worker('cv-processing', async (job) => {
     failedCount++;
     forceCleanup(); // Cleanup on error too
     
+    // Unreadable photo/scan: the user can fix this, so ask them instead of alerting the admin
+    if (error.code === 'OCR_LOW_CONFIDENCE') {
+      logger.warn('CV unreadable after OCR', {
+        identifier: identifier.substring(0, 6) + '***',
+        jobId: jobId,
+        confidence: error.ocr.confidence
+      });
+      await ocr.promptUnreadable(identifier, error.ocr).catch(promptError => {
+        logger.error('Failed to ask user for a clearer CV', { error: promptError.message });
+      });
+      throw new UnrecoverableError(error.message);
+    }
+    
   await sendFailureEmailToAdmin(identifier, 'CV_PROCESSING_FAILED', {
       error: error.message,
       jobId: jobId,
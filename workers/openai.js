@@ -1,34 +1,10 @@
 // Enhanced workers/openai.js - Dual AI provider support with improved architecture
 require('dotenv').config();
 const { Worker } = require('bullmq');
-const axios = require('axios');
 const logger = require('../utils/logger');
 const { redis, queueRedis } = require('../config/redis');
-
-// AI Provider Configuration
-const AI_PROVIDERS = {
-  TOGETHER: 'together',
-  MISTRAL: 'mistral'
-};
-
-const PROVIDER_CONFIG = {
-  [AI_PROVIDERS.TOGETHER]: {
-    url: 'https://api.together.xyz/v1/chat/completions',
-    apiKey: process.env.TOGETHER_API_KEY,
-    model: 'Qwen/Qwen3-235B-A22B-Instruct-2507-tput', // $0.28/M tokens - 10M context, excellent performance
-    maxTokens: 800, // Reduced for cost control
-    temperature: 0.6, // Lower for more consistent JSON
-    timeout: 90000  // CRITICAL: Reduced from 10000 to 90000
-  },
-  [AI_PROVIDERS.MISTRAL]: {
-    url: 'https://api.mistral.ai/v1/chat/completions',
-    apiKey: process.env.MISTRAL_API_KEY,
-    model: 'mistral-small', // Fallback option
-    maxTokens: 800,
-    temperature: 0.6,
-    timeout: 90000  // CRITICAL: Reduced from 12000 to 10000
-  }
-};
+const aiProviders = require('../services/aiProviders');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/locales');
 
 // Helper: Get conversation history for context
 async function getConversationHistory(userId) {
@@ -59,92 +35,16 @@ async function saveConversationTurn(userId, userMessage, botResponse) {
   }
 }
 
-// Smart provider selection
-function selectAIProvider(message, conversationHistory = []) {
-  const messageLength = (message || '').length;
-  const hasHistory = conversationHistory.length > 0;
-  const isComplex = messageLength > 50 || hasHistory;
-  
-  // Prefer Together for most queries (faster, cost-effective)
-  if (PROVIDER_CONFIG[AI_PROVIDERS.TOGETHER].apiKey && 
-      PROVIDER_CONFIG[AI_PROVIDERS.TOGETHER].apiKey.trim() !== '') {
-    return AI_PROVIDERS.TOGETHER;
-  }
-  
-  // Fallback to Mistral
-  if (PROVIDER_CONFIG[AI_PROVIDERS.MISTRAL].apiKey && 
-      PROVIDER_CONFIG[AI_PROVIDERS.MISTRAL].apiKey.trim() !== '') {
-    return AI_PROVIDERS.MISTRAL;
-  }
-  
-  return null;
-}
-
-// Universal AI call function with provider switching
-// REPLACE your existing callAIWithContext function with this version
+// Universal AI call: provider order, per-task models, circuit breakers and
+// usage accounting are handled by services/aiProviders.js
 async function callAIWithContext(messages, preferredProvider = null, customConfig = {}) {
-  const provider = preferredProvider || selectAIProvider(messages[messages.length - 1]?.content || '', messages);
-  
-  if (!provider) {
-    throw new Error('No AI providers configured');
-  }
-  
-  const config = PROVIDER_CONFIG[provider];
-  
-  if (!config.apiKey || config.apiKey.trim() === '') {
-    throw new Error(`${provider} API key not configured`);
-  }
+  const { task, ...overrides } = customConfig;
 
-  // ADDED: Merge custom config with default config
-  const finalConfig = {
-    ...config,
-    ...customConfig
-  };
-
-  try {
-    logger.info(`Using ${provider} provider for AI call`, {
-      maxTokens: finalConfig.maxTokens,
-      temperature: finalConfig.temperature
-    });
-    
-    const response = await axios.post(
-      config.url,
-      {
-        model: config.model,
-        messages: messages,
-        temperature: finalConfig.temperature,
-        max_tokens: finalConfig.maxTokens,
-        top_p: 0.9
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${config.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: finalConfig.timeout
-      }
-    );
-    
-    return {
-      content: response.data.choices[0].message.content,
-      provider: provider,
-      model: config.model
-    };
-    
-  } catch (error) {
-    logger.error(`${provider} AI call failed`, { error: error.message });
-    
-    // Try fallback provider
-    const fallbackProvider = provider === AI_PROVIDERS.TOGETHER ? AI_PROVIDERS.MISTRAL : AI_PROVIDERS.TOGETHER;
-    const fallbackConfig = PROVIDER_CONFIG[fallbackProvider];
-    
-    if (fallbackConfig.apiKey && fallbackConfig.apiKey.trim() !== '') {
-      logger.info(`Falling back to ${fallbackProvider} provider`);
-      return callAIWithContext(messages, fallbackProvider, customConfig);
-    }
-    
-    throw error;
-  }
+  return aiProviders.complete(messages, {
+    ...overrides,
+    task: task || 'default',
+    provider: preferredProvider
+  });
 }
 
 // CV text summarization
@@ -275,7 +175,7 @@ async function tryExtractUserInfo(messages, attempts = 2) {
   let lastError;
   for (let i = 0; i < attempts; i++) {
     try {
-      return await callAIWithContext(messages, null);
+      return await callAIWithContext(messages, null, { task: 'cv_extraction' });
     } catch (err) {
       lastError = err;
       logger.warn('Retrying AI extraction', { attempt: i + 1, error: err.message });
@@ -429,6 +329,15 @@ Remember: Build trust through conversation, explain the 30-day auto-apply servic
           { role: 'system', content: systemPrompt }
         ];
 
+        // Reply in the user's chat language; filters stay English so search still works
+        const language = userContext?.language;
+        if (language && language !== DEFAULT_LANGUAGE && LANGUAGES[language]) {
+          conversationMessages.push({
+            role: 'system',
+            content: `The user chats in ${LANGUAGES[language].name}. Write "response" in ${LANGUAGES[language].name}, but keep every value in "filters" (title, location) in English.`
+          });
+        }
+
         // Add recent conversation history for context
         conversationMessages.push(...conversationHistory);
 
@@ -451,7 +360,7 @@ Remember: Build trust through conversation, explain the 30-day auto-apply servic
         // STEP 2: Only call AI if local methods failed
         if (!result) {
           try {
-            const aiResponse = await callAIWithContext(conversationMessages);
+            const aiResponse = await callAIWithContext(conversationMessages, null, { task: 'intent' });
             const parsedResult = parseJSON(aiResponse.content, null);
             
             if (parsedResult && parsedResult.action) {
@@ -526,10 +435,7 @@ Return ONLY valid JSON.`;
       { role: 'user', content: userPrompt }
     ];
 
-    const aiResponse = await callAIWithContext(messages, null, {
-      maxTokens: 300,
-      temperature: 0.4
-    });
+    const aiResponse = await callAIWithContext(messages, null, { task: 'query_expansion' });
 
     const expansion = parseJSON(aiResponse.content, {});
 
@@ -571,9 +477,9 @@ Return ONLY valid JSON.`;
 // NEW JOB TYPE 2: ATS Analysis
 // ============================================
 else if (job.name === 'ats-analysis') {
-  const { cvText, jobTitle, jobDescription, jobRequirements, jobExperience, jobCategory } = job.data;
+  const { cvText, jobTitle, jobDescription, jobRequirements, jobExperience, jobCategory, candidateProfile } = job.data;
   
-  logger.info('Performing ATS analysis', { jobTitle, jobCategory });
+  logger.info('Performing ATS analysis', { jobTitle, jobCategory, hasProfile: !!candidateProfile });
   
   try {
     const systemPrompt = `You are an ATS (Applicant Tracking System) expert analyzing CV compatibility with job requirements.
@@ -600,7 +506,18 @@ Requirements: ${jobRequirements ? jobRequirements.substring(0, 500) : 'Not provi
 Experience: ${jobExperience || 'Not specified'}
 `;
 
-    const cvInfo = `CV Content (first 2000 chars): ${cvText.substring(0, 2000)}`;
+    let cvInfo = `CV Content (first 2000 chars): ${cvText.substring(0, 2000)}`;
+
+    if (candidateProfile) {
+      cvInfo += `
+
+Parsed Candidate Profile:
+Skills: ${(candidateProfile.skills || []).join(', ') || 'Not listed'}
+Years of Experience: ${candidateProfile.years_experience || 'Unknown'}
+Highest Education: ${candidateProfile.highest_education || 'Unknown'}
+Certifications: ${(candidateProfile.certifications || []).join(', ') || 'None listed'}
+NYSC Status: ${candidateProfile.nysc_status || 'unknown'}`;
+    }
 
     const userPrompt = `${jobInfo}\n\n${cvInfo}\n\nAnalyze CV compatibility and return JSON.`;
 
@@ -609,10 +526,7 @@ Experience: ${jobExperience || 'Not specified'}
       { role: 'user', content: userPrompt }
     ];
 
-    const aiResponse = await callAIWithContext(messages, null, {
-      maxTokens: 800,
-      temperature: 0.3
-    });
+    const aiResponse = await callAIWithContext(messages, null, { task: 'ats_analysis' });
 
     const analysis = parseJSON(aiResponse.content, {});
 
@@ -691,11 +605,7 @@ Generate a tailored cover letter.`;
             { role: 'user', content: userContent }
           ];
 
-          // CRITICAL: Reduced maxTokens and added faster timeout
-          const aiResponse = await callAIWithContext(messages, null, { 
-            maxTokens: 1500,  // Reduced from 600
-            temperature: 0.7 
-          });
+          const aiResponse = await callAIWithContext(messages, null, { task: 'cover_letter' });
           
           const coverLetter = aiResponse.content.trim();
           const duration = Date.now() - jobStartTime;
@@ -829,7 +739,7 @@ Return valid JSON only.`;
 
           // Call AI with timeout
           const aiResponse = await Promise.race([
-            callAIWithContext(messages, null, { maxTokens: 500, temperature: 0.3 }),
+            callAIWithContext(messages, null, { task: 'cv_extraction' }),
             new Promise((_, reject) =>
               setTimeout(() => reject(new Error("AI extraction timeout")), 30000)
             )
@@ -1769,11 +1679,9 @@ worker.on('ready', () => {
   logger.info('🧠 Enhanced AI conversation worker with dual provider support ready!');
   
   // Log available providers
-  const availableProviders = [];
-  if (PROVIDER_CONFIG[AI_PROVIDERS.TOGETHER].apiKey) availableProviders.push('Together AI');
-  if (PROVIDER_CONFIG[AI_PROVIDERS.MISTRAL].apiKey) availableProviders.push('Mistral AI');
+  const availableProviders = aiProviders.getProviderChain('default');
   
-  logger.info(`Available AI providers: ${availableProviders.join(', ')}`);
+  logger.info(`Available AI providers: ${availableProviders.join(', ') || 'none'}`);
 });
 
 worker.on('completed', (job, result) => {
@@ -0,0 +1,50 @@
+// workers/scheduledMessages.js - Sends due nudges from the scheduled-messages queue (services/scheduledMessages.js)
+
+const { Worker, DelayedError } = require('bullmq');
+const { queueRedis } = require('../config/redis');
+const logger = require('../utils/logger');
+const scheduledMessages = require('../services/scheduledMessages');
+
+// The bot registers the message handlers when it loads
+require('../services/bot');
+
+const scheduledMessagesWorker = new Worker(scheduledMessages.queueName, async (job, token) => {
+  const due = await scheduledMessages.checkDue(job);
+
+  if (due.deferUntil) {
+    await job.moveToDelayed(due.deferUntil.getTime(), token);
+    throw new DelayedError();
+  }
+
+  if (due.skip) {
+    logger.info('Scheduled message skipped', {
+      phone: job.data.phone.substring(0, 6) + '***',
+      type: job.data.type,
+      reason: due.skip
+    });
+    return { sent: false, reason: due.skip };
+  }
+
+  const sent = await scheduledMessages.deliver(job, due.slot);
+  return { sent };
+}, {
+  connection: queueRedis,
+  prefix: 'queue:',
+  concurrency: 5
+});
+
+scheduledMessagesWorker.on('failed', (job, error) => {
+  if (!job) {
+    return;
+  }
+
+  logger.error('Scheduled message failed', {
+    jobId: job.id,
+    phone: job.data?.phone?.substring(0, 6) + '***',
+    type: job.data?.type,
+    attempts: job.attemptsMade,
+    error: error.message
+  });
+});
+
+module.exports = scheduledMessagesWorker;
@@ -0,0 +1,108 @@
+// workers/whatsappOutbound.js - Sends queued WhatsApp messages (services/whatsappOutbox.js)
+
+const { Worker, DelayedError, UnrecoverableError } = require('bullmq');
+const config = require('../config');
+const { queueRedis } = require('../config/redis');
+const logger = require('../utils/logger');
+const ycloud = require('../services/ycloud');
+const whatsappOutbox = require('../services/whatsappOutbox');
+
+// How soon a message waiting on an earlier one to the same recipient is looked at again
+const TURN_RETRY_MS = 500;
+
+async function sendMessage(job) {
+  const { payload, template, retryOf, fallbackText } = job.data;
+  const meta = { outboxJobId: job.id, retryOf };
+  const isTemplate = payload.type === 'template';
+  const sessionOpen = isTemplate || await whatsappOutbox.isSessionOpen(payload.to);
+
+  const templatePayload = isTemplate ? null : whatsappOutbox.buildTemplatePayload(payload, template);
+  const first = sessionOpen || !templatePayload ? payload : templatePayload;
+
+  try {
+    const messageId = await ycloud.deliver(first, meta);
+    return { messageId, template: first.type === 'template' };
+
+  } catch (error) {
+    // Invalid list or buttons: the user still gets the content as text
+    if (whatsappOutbox.isRejected(error) && first.type === 'interactive') {
+      logger.warn('Interactive WhatsApp message rejected, sending as text', {
+        to: payload.to.substring(0, 6) + '***',
+        error: error.response?.data?.error?.message || error.message
+      });
+      const messageId = await ycloud.deliver(whatsappOutbox.buildTextPayload(first, fallbackText), meta);
+      return { messageId, template: false };
+    }
+
+    if (whatsappOutbox.isRejected(error)) {
+      throw new UnrecoverableError(`Rejected by YCloud: ${error.message}`);
+    }
+
+    if (!whatsappOutbox.isWindowError(error)) {
+      throw error;
+    }
+
+    // Our window record said open but WhatsApp disagrees
+    if (first === payload && templatePayload) {
+      const messageId = await ycloud.deliver(templatePayload, meta);
+      return { messageId, template: true };
+    }
+
+    throw new UnrecoverableError(`Session window closed and no template available: ${error.message}`);
+  }
+}
+
+const whatsappOutboundWorker = new Worker(whatsappOutbox.queueName, async (job, token) => {
+  const { payload, seq } = job.data;
+
+  if (!(await whatsappOutbox.isTurn(payload.to, seq, job))) {
+    await job.moveToDelayed(Date.now() + TURN_RETRY_MS, token);
+    throw new DelayedError();
+  }
+
+  try {
+    const result = await sendMessage(job);
+    await whatsappOutbox.markDone(payload.to, seq);
+
+    if (result.template) {
+      logger.info('Outbound WhatsApp sent as template (session window closed)', {
+        to: payload.to.substring(0, 6) + '***',
+        messageId: result.messageId
+      });
+    }
+
+    return result;
+
+  } catch (error) {
+    // Don't hold up later messages to this recipient once this one is given up
+    const finalAttempt = error instanceof UnrecoverableError || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    if (finalAttempt) {
+      await whatsappOutbox.markDone(payload.to, seq);
+    }
+    throw error;
+  }
+}, {
+  connection: queueRedis,
+  prefix: 'queue:',
+  concurrency: config.get('ycloud.outbox.concurrency'),
+  limiter: {
+    max: config.get('ycloud.outbox.messagesPerSecond'),
+    duration: 1000
+  }
+});
+
+whatsappOutboundWorker.on('failed', (job, error) => {
+  if (!job) {
+    return;
+  }
+
+  logger.error('Outbound WhatsApp message failed', {
+    jobId: job.id,
+    to: job.data?.payload?.to?.substring(0, 6) + '***',
+    type: job.data?.payload?.type,
+    attempts: job.attemptsMade,
+    error: error.message
+  });
+});
+
+module.exports = whatsappOutboundWorker;